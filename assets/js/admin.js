@@ -1,7 +1,7 @@
 /**
  * ACF Clone Fields - Admin JavaScript
  *
- * Handles modal functionality, AJAX requests, and user interface interactions
+ * Handles modal functionality, REST API requests, and user interface interactions
  * for the ACF field cloning system.
  *
  * @package SilverAssist\ACFCloneFields
@@ -13,74 +13,205 @@
  * DATA STRUCTURES REFERENCE
  * ============================================================================
  * 
- * This file interacts with several server endpoints. Below are the expected
- * data structures for all AJAX communications:
+ * This file talks to the plugin's REST API (namespace
+ * silver-assist-acf-clone-fields/v1) through wp.apiFetch, see apiRequest().
+ * Responses below are the JSON bodies of successful requests; failures
+ * reject with the WP_Error body { code, message, data: { status } }.
  * 
- * 1. LOAD SOURCE POSTS (action: acf_clone_get_source_posts)
+ * 1. LOAD SOURCE POSTS (GET /source-posts)
+ *    Request: { post_id, post_type, search?, status?, author?, modified_within?, offset? }
  *    Response: {
- *      success: boolean,
- *      data: {
- *        posts: Array<{
- *          id: number,
- *          title: string,
- *          stats: {
- *            total_fields: number,
- *            cloneable_fields: number,
- *            fields_with_values: number,
- *            group_fields: number,
- *            repeater_fields: number,
- *            total_groups: number
- *          }
- *        }>,
- *        target_post: {
- *          id: number,
- *          title: string,
- *          stats: {...same as above}
- *        },
- *        message?: string
- *      }
+ *      posts: Array<{
+ *        id: number,
+ *        title: string,
+ *        status: string,
+ *        author: string,
+ *        modified: string,
+ *        field_count: number,
+ *        field_stats: {
+ *          total_fields: number,
+ *          cloneable_fields: number,
+ *          fields_with_values: number,
+ *          group_fields: number,
+ *          repeater_fields: number,
+ *          total_groups: number
+ *        }
+ *      }>,
+ *      total: number,
+ *      offset: number,
+ *      per_page: number,
+ *      has_more: boolean,
+ *      authors?: Array<{ id: number, name: string }>
  *    }
  * 
- * 2. LOAD SOURCE FIELDS (action: acf_clone_get_source_fields)
+ * 2. LOAD SOURCE FIELDS (GET /source-fields)
+ *    Request: { source_post_id, target_post_id }
  *    Response: {
- *      success: boolean,
- *      data: {
+ *      fields: Array<{
+ *        key: string,
+ *        title: string,
  *        fields: Array<{
  *          key: string,
- *          title: string,
- *          fields: Array<{
- *            key: string,
- *            name: string,
- *            label: string,
- *            type: string,
- *            has_value: boolean,
- *            will_overwrite: boolean
- *          }>
- *        }>,
- *        source_post: { id: number, title: string, stats: {...} },
- *        target_post: { id: number, title: string, stats: {...} },
- *        message?: string
- *      }
+ *          name: string,
+ *          label: string,
+ *          type: string,
+ *          has_value: boolean,
+ *          will_overwrite: boolean,
+ *          sub_fields?: Array<{ key, name, label, type }>,   // repeater, group, flexible_content (by name)
+ *          rows?: Array<{ index, summary, layout? }>,        // repeater, flexible_content
+ *          mapping_targets?: Array<string>,                  // cross-type: compatible target field keys
+ *          mapped_to?: string                                // cross-type: suggested target field key
+ *        }>
+ *      }>,
+ *      source_post: { id: number, title: string, stats: {...} },
+ *      target_post: { id: number, title: string, stats: {...} },
+ *      cross_type: boolean,                                 // Source is of another post type
+ *      target_fields: Array<{ key, name, label, type, group }> // cross-type: fields of the target post
+ *    }
+ * 
+ * 3. LOAD FIELD DIFF (GET /field-diff)
+ *    Request: { source_post_id, target_post_id, field_keys: Array<string> }
+ *    Response: {
+ *      fields: Array<{
+ *        key: string,
+ *        name: string,
+ *        label: string,
+ *        type: string,
+ *        kind: 'text'|'rows'|'group'|'layouts',
+ *        source: DiffValue,
+ *        target: DiffValue,
+ *        identical: boolean
+ *      }>
  *    }
+ *    DiffValue by kind:
+ *      text    - string|null
+ *      group   - Array<{ key, label, value }>
+ *      rows    - Array<Array<{ key, label, value }>>
+ *      layouts - Array<{ layout: string, fields: Array<{ key, label, value }> }>
  * 
- * 3. EXECUTE CLONE (action: acf_clone_execute_clone)
+ * 4. EXECUTE CLONE (POST /clone)
+ *    Fields are identified by ACF field key (field_...) throughout; names are
+ *    accepted for older callers and resolved on the server.
+ *    Request: {
+ *      source_post_id, target_post_id, field_keys,
+ *      field_parts?: { [fieldKey]: { rows?: Array<number>, sub_fields?: Array<string> } },
+ *      merge_strategies?: { [fieldKey]: { strategy: 'replace'|'append'|'prepend'|'merge', merge_key: string } },
+ *      field_mapping?: { [fieldKey]: string },   // cross-type: target field key per source field
+ *      options: { create_backup, empty_values: 'skip'|'clear'|'keep', dry_run, overwrite_existing,
+ *                 duplicate_attachments, duplicate_posts }
+ *    }
  *    Response: {
  *      success: boolean,
- *      data: {
- *        cloned_count: number,
- *        skipped_count: number,
- *        cloned_fields: Array<string>,
- *        skipped_fields: Array<string>,
- *        source_post: { id: number, title: string },
- *        target_post: { id: number, title: string },
- *        backup_info?: { backup_id: string, created_at: string },
- *        operation_summary: {
- *          total_requested: number,
- *          successful: number,
- *          failed: number
- *        },
- *        message?: string
- *      }
+ *      message: string,
+ *      cloned_fields: Array<string>,  // Field keys
+ *      skipped_fields: Array<string>, // Field keys
+ *      errors: Array<string>,
+ *      warnings: Array<string>,
+ *      dry_run: boolean,
+ *      report: Array<{
+ *        field: string,
+ *        label: string,
+ *        status: 'cloned'|'cleared'|'skipped'|'failed',
+ *        message: string,
+ *        warnings: Array<string>
+ *      }>,
+ *      field_values: Array<{          // Real runs: new values of the written fields
+ *        key: string, name: string, label: string, type: string,
+ *        value: *                     // Containers keyed by sub-field key; flexible
+ *      }>,                            // content rows are { layout, fields }
+ *      attachments: { [id]: Object }, // acf_get_attachment() data of image/file values
+ *      backup_info: { backup_id, created_at, source_title } | null   // Backup for "Undo last clone"
+ *    }
+ * 
+ * 5. PRESETS (GET /presets, POST /presets, DELETE /presets/{id})
+ *    Request: get { post_type }, save { post_type, preset: Preset }, delete { post_type }
+ *    Preset: {
+ *      id: string,                       // Empty when saving a new preset
+ *      name: string,
+ *      post_type: string,
+ *      shared: boolean,                  // Site-wide instead of personal
+ *      source_post_id: number,           // 0 unless the source post is remembered
+ *      fields: Array<{ key, name, group }>,   // Same shape as state.selectedFields; older
+ *                                        // presets have no key and are matched by name
+ *      field_parts, merge_strategies, field_mapping,   // As in EXECUTE CLONE
+ *      options: { create_backup, empty_values, duplicate_attachments, duplicate_posts },
+ *      editable?: boolean                // Current user may change or delete it
+ *    }
+ *    Response: { presets: Array<Preset>, preset?: Preset }   // preset: the saved one
+ * 
+ * 6. BACKUPS (GET /backups/{id}, DELETE /backups/{id}, POST /backups/{id}/restore,
+ *    POST /backups/cleanup, GET /backups/{id}/source-fields, POST /backups/{id}/clone)
+ *    Request: restore { field_keys?, delete_after? }, others {}
+ *    Get response: {
+ *      backup_id: string,
+ *      post_id: number,
+ *      created_at: string,     // Formatted date
+ *      user: string,
+ *      fields: Array<FieldDiff & { missing: boolean }>   // As in LOAD FIELD DIFF;
+ *    }                                                    // source = backup, target = current
+ *    Restore response: { success, message, restored_fields,
+ *      field_values, attachments }   // As in EXECUTE CLONE, for the restored fields
+ *    Source fields response: as in LOAD SOURCE FIELDS, with source_post: { id: 0, backup_id, title }
+ *    Clone request: { field_keys, field_parts?, merge_strategies?, options }   // As in EXECUTE CLONE
+ *    Clone response: as in EXECUTE CLONE
+ *    Other responses: { message: string, ... }
+ * 
+ * 7. EXPORT / IMPORT (GET /posts/{id}/export, POST /import/preview, POST /import)
+ *    Export request: { field_keys? }, response: Package
+ *    Package: {
+ *      format: 'silver-assist-acf-clone-fields', version: number,
+ *      exported_at: string, site_url: string,
+ *      source: { id, title, post_type },
+ *      fields: Array<{ key, name, label, type, group: { key, title },
+ *        value: *   // Raw value; IDs replaced by { ref: 'attachment'|'post'|'term'|'user', ... }
+ *      }>
+ *    }
+ *    Preview request: { target_post_id, package }
+ *    Preview response: {
+ *      source: { title, site_url, exported_at },
+ *      fields: Array<FieldDiff & { group, has_value, missing, warnings: Array<string> }>
+ *    }                                   // As in LOAD FIELD DIFF; source = file, target = current
+ *    Import request: { target_post_id, package, field_keys, options }   // options as in EXECUTE CLONE
+ *    Import response: as in EXECUTE CLONE
+ * 
+ * 8. POST HISTORY (GET /posts/{id}/history)
+ *    Response: {
+ *      revisions: Array<{ id, title, author, modified, modified_ago, field_count, field_stats }>,
+ *      backups: Array<{ backup_id, title, user, created_at, field_count }>
+ *    }
+ *    A revision is used as source_post_id of LOAD SOURCE FIELDS, LOAD FIELD DIFF and
+ *    EXECUTE CLONE; a backup through the backup routes of BACKUPS.
+ * 
+ * 9. TERMS, USERS AND OPTIONS PAGES (GET /objects, GET /objects/source-fields,
+ *    GET /objects/field-diff, POST /objects/clone)
+ *    Object IDs are strings: a post ID, 'term_<id>', 'user_<id>' or an options page
+ *    post ID such as 'options'. At least one of source and target is not a post.
+ *    List request: { target, search? }
+ *    List response: {
+ *      sources: Array<{ id: number|string, kind: 'post'|'term'|'user'|'options',
+ *        type_label: string, title: string, shared_groups: number }>
+ *    }
+ *    Source fields request: { source, target }
+ *    Source fields response: as in LOAD SOURCE FIELDS, limited to the field groups
+ *      both share; source_post and target_post hold the objects, cross_type is false
+ *    Field diff request: { source, target, field_keys }, response as in LOAD FIELD DIFF
+ *    Clone request: { source, target, field_keys, field_parts?, merge_strategies?, options }
+ *    Clone response: as in EXECUTE CLONE
+ * 
+ * 10. VALIDATE SELECTION (GET /validate-selection, GET /objects/validate-selection)
+ *    Checks the selected fields against the target before cloning; nothing is written.
+ *    Request: { source_post_id, target_post_id, field_keys, field_mapping?, options: { empty_values } }
+ *             or, between objects, { source, target, field_keys, options: { empty_values } }
+ *    Response: {
+ *      fields: Array<{
+ *        field: string,                     // Field key
+ *        label: string,
+ *        status: 'ok'|'warning'|'error',    // Errors would fail the clone
+ *        messages: Array<string>
+ *      }>,
+ *      has_errors: boolean,
+ *      has_warnings: boolean,
+ *      can_proceed: boolean
  *    }
  * 
  * ============================================================================
@@ -89,6 +220,12 @@
 (function($) {
     'use strict';
 
+    /**
+     * Largest token grid (before tokens x after tokens) diffed word by word.
+     * Bigger values are shown side by side without inline highlighting.
+     */
+    const MAX_DIFF_CELLS = 250000;
+
     /**
      * Main ACF Clone Fields object
      */
@@ -99,19 +236,71 @@
         
         // Configuration
         config: {
-            nonce: acfCloneFields.nonce || '',
-            ajaxUrl: acfCloneFields.ajaxUrl || '',
+            restNamespace: acfCloneFields.restNamespace || 'silver-assist-acf-clone-fields/v1',
             postId: acfCloneFields.postId || 0,
+            objectId: acfCloneFields.objectId || '',
+            objectSources: acfCloneFields.objectSources || false,
             postType: acfCloneFields.postType || '',
+            sourcePostTypes: acfCloneFields.sourcePostTypes || [],
+            presets: acfCloneFields.presets || [],
+            canSharePresets: acfCloneFields.canSharePresets || false,
+            emptyValues: acfCloneFields.emptyValues || 'clear',
+            undo: acfCloneFields.undo || null,
             debugMode: acfCloneFields.debugMode || false
         },
 
+        // Field type renderers by ACF type, see registerFieldType()
+        fieldTypes: {},
+
         // State management
         state: {
             modal: null,
             selectedSource: null,
+            selectedBackup: '',
+            selectedObject: '',
+            sourceMode: 'posts',
             selectedFields: [],
             sourceFields: {},
+            fieldDiffs: {},
+            fieldParts: {},
+            mergeStrategies: {},
+            fieldMapping: {},
+            crossType: false,
+            targetFields: [],
+            fieldFilter: {
+                search: '',
+                withValues: false,
+                conflicts: false
+            },
+            cloneOptions: null,
+            presets: [],
+            activePresetId: '',
+            pendingPreset: null,
+            sourcePosts: [],
+            sourceAuthors: [],
+            sourceQuery: {
+                postType: '',
+                search: '',
+                status: '',
+                author: 0,
+                modifiedWithin: 0
+            },
+            sourcePaging: {
+                offset: 0,
+                total: 0,
+                hasMore: false,
+                loading: false,
+                requestId: 0
+            },
+            objectSearch: '',
+            objectRequestId: 0,
+            validation: {},
+            validationPending: false,
+            validationRequestId: 0,
+            validationTimer: null,
+            validationWarnings: '',
+            warningsAcknowledged: false,
+            searchTimer: null,
             isLoading: false,
             currentStep: 1
         },
@@ -126,8 +315,15 @@
                 return;
             }
             
+            this.state.presets = this.config.presets;
             this.bindEvents();
             this.setupModal();
+
+            // The last clone into this post, kept across reloads
+            if (this.config.undo) {
+                this.showUndoNotice(this.config.undo.backup_id, this.config.undo.source_title);
+            }
+
             this.initialized = true;
             this.log('ACF Clone Fields initialized', this.config);
         },
@@ -138,6 +334,7 @@
         bindEvents: function() {
             // Meta box button
             $(document).on('click', '.acf-clone-open-modal', this.openModal.bind(this));
+            $(document).on('click', '.acf-clone-apply-preset', this.openModalWithPreset.bind(this));
             
             // Modal events
             $(document).on('click', '.acf-clone-modal-close, .acf-clone-modal-overlay', this.closeModal.bind(this));
@@ -147,18 +344,56 @@
             
             // Source post selection
             $(document).on('change', 'input[name="acf_clone_source_post"]', this.onSourcePostSelect.bind(this));
+            $(document).on('input', '.acf-clone-source-search', this.onSourceSearchInput.bind(this));
+            $(document).on('change', '.acf-clone-source-filter', this.onSourceFilterChange.bind(this));
+            $(document).on('click', '.acf-clone-load-more', this.loadMoreSourcePosts.bind(this));
+            $(document).on('click', '.acf-clone-source-mode', this.onSourceModeChange.bind(this));
+            $(document).on('change', 'input[name="acf_clone_history_source"]', this.onHistorySourceSelect.bind(this));
+            $(document).on('change', 'input[name="acf_clone_source_object"]', this.onObjectSourceSelect.bind(this));
+            $(document).on('input', '.acf-clone-object-search', this.onObjectSearchInput.bind(this));
             
             // Field group toggle
             $(document).on('click', '.acf-clone-group-header', this.toggleFieldGroup.bind(this));
             
             // Field selection
             $(document).on('change', '.acf-clone-field-checkbox input', this.onFieldSelect.bind(this));
+            $(document).on('input', '.acf-clone-field-search', this.onFieldSearchInput.bind(this));
+            $(document).on('change', '.acf-clone-field-filter', this.onFieldFilterChange.bind(this));
+            $(document).on('click', '.acf-clone-field-select', this.onFieldBulkSelect.bind(this));
+            $(document).on('click', '.acf-clone-groups-toggle', this.onGroupsToggle.bind(this));
+
+            // Row/sub-field selection
+            $(document).on('click', '.acf-clone-field-parts-toggle', this.toggleFieldParts.bind(this));
+            $(document).on('change', '.acf-clone-field-parts input', this.onFieldPartChange.bind(this));
+
+            // Cross-type field mapping
+            $(document).on('change', '.acf-clone-field-mapping select', this.onFieldMappingChange.bind(this));
+
+            // Presets
+            $(document).on('change', '.acf-clone-preset-select', this.onPresetSelect.bind(this));
+            $(document).on('click', '.acf-clone-preset-save-toggle', this.togglePresetForm.bind(this));
+            $(document).on('click', '.acf-clone-preset-save', this.savePreset.bind(this));
+            $(document).on('click', '.acf-clone-preset-delete', this.deletePreset.bind(this));
+
+            // Value comparison
+            $(document).on('click', '.acf-clone-field-compare', this.toggleFieldDiff.bind(this));
+            $(document).on('click', '.acf-clone-show-diffs', this.showSelectedDiffs.bind(this));
             
             // Modal buttons
             $(document).on('click', '.acf-clone-next-step', this.nextStep.bind(this));
             $(document).on('click', '.acf-clone-prev-step', this.previousStep.bind(this));
             $(document).on('click', '.acf-clone-execute', this.executeClone.bind(this));
+            $(document).on('click', '.acf-clone-run-for-real', this.runForReal.bind(this));
+            $(document).on('change', '#dry-run', this.onDryRunToggle.bind(this));
+            $(document).on('change', '#empty-values', this.scheduleValidation.bind(this));
+            $(document).on('change', '#acknowledge-warnings', this.onAcknowledgeWarnings.bind(this));
+            $(document).on('change', '.acf-clone-merge-options select', this.onMergeStrategyChange.bind(this));
             $(document).on('click', '.acf-clone-cancel', this.closeModal.bind(this));
+            $(document).on('click', '.acf-clone-reload-page', () => window.location.reload());
+
+            // Undo last clone
+            $(document).on('click', '.acf-clone-undo-button', e => this.undoLastClone(String($(e.currentTarget).data('backup-id'))));
+            $(document).on('click', '.acf-clone-undo-notice .notice-dismiss', this.dismissUndo.bind(this));
 
             // Keyboard shortcuts
             $(document).on('keydown', this.handleKeyboard.bind(this));
@@ -217,6 +452,36 @@
             this.showModal();
         },
 
+        /**
+         * Open the clone modal with a preset from the meta box
+         *
+         * A preset that remembers its source post goes straight to the
+         * confirmation step; otherwise the source is picked first and the
+         * preset is applied once its fields are loaded.
+         */
+        openModalWithPreset: function(e) {
+            e.preventDefault();
+
+            const presetId = String($(e.currentTarget).data('preset-id'));
+            const preset = this.state.presets.find(p => p.id === presetId);
+
+            if (!preset) {
+                return;
+            }
+
+            this.log('Opening clone modal with preset', preset);
+            this.resetState();
+            this.state.pendingPreset = preset;
+            this.showModal();
+
+            if (preset.source_post_id) {
+                this.state.selectedSource = parseInt(preset.source_post_id);
+                this.loadSourceFields();
+            } else {
+                this.loadSourcePosts();
+            }
+        },
+
         /**
          * Close the modal
          */
@@ -232,11 +497,14 @@
 
         /**
          * Show modal with animation
+         *
+         * @param {string} [title] - Modal title, defaults to the clone wizard's
          */
-        showModal: function() {
+        showModal: function(title) {
             if (!this.state.modal || !this.state.modal.length) {
                 this.setupModal();
             }
+            this.state.modal.find('.acf-clone-modal-title').text(title || 'Clone Custom Fields');
             this.state.modal.fadeIn(200);
             this.positionModal();
             $('body').addClass('modal-open');
@@ -273,106 +541,78 @@
          */
         resetState: function() {
             this.state.selectedSource = null;
+            this.state.selectedBackup = '';
+            this.state.selectedObject = '';
+            // Terms, users and options pages only clone from other objects
+            this.state.sourceMode = this.config.objectId ? 'objects' : 'posts';
             this.state.selectedFields = [];
             this.state.sourceFields = {};
+            this.state.fieldDiffs = {};
+            this.state.fieldParts = {};
+            this.state.mergeStrategies = {};
+            this.state.fieldMapping = {};
+            this.state.crossType = false;
+            this.state.targetFields = [];
+            this.state.fieldFilter = { search: '', withValues: false, conflicts: false };
+            this.state.cloneOptions = null;
+            this.state.activePresetId = '';
+            this.state.pendingPreset = null;
+            this.state.sourcePosts = [];
+            this.state.sourceQuery = { postType: this.config.postType, search: '', status: '', author: 0, modifiedWithin: 0 };
+            this.state.objectSearch = '';
+            this.resetValidation();
+            this.state.sourcePaging.offset = 0;
+            this.state.sourcePaging.total = 0;
+            this.state.sourcePaging.hasMore = false;
+            this.state.sourcePaging.loading = false;
+            clearTimeout(this.state.searchTimer);
             this.state.currentStep = 1;
             this.state.isLoading = false;
         },
 
         /**
-         * Load source posts via AJAX
-         * 
-         * Server Response Structure:
-         * @typedef {Object} LoadSourcePostsResponse
-         * @property {boolean} success - Whether the request was successful
-         * @property {Object} data - Response data object
-         * @property {Array} data.posts - Array of available posts
-         * @property {number} data.posts[].id - Post ID
-         * @property {string} data.posts[].title - Post title
-         * @property {Object} data.posts[].stats - Field statistics
-         * @property {number} data.posts[].stats.total_fields - Total number of fields
-         * @property {number} data.posts[].stats.cloneable_fields - Number of cloneable fields
-         * @property {number} data.posts[].stats.fields_with_values - Number of fields with values
-         * @property {number} data.posts[].stats.group_fields - Number of group fields
-         * @property {number} data.posts[].stats.repeater_fields - Number of repeater fields
-         * @property {number} data.posts[].stats.total_groups - Total number of field groups
-         * @property {Object} data.target_post - Current target post info
-         * @property {number} data.target_post.id - Target post ID
-         * @property {string} data.target_post.title - Target post title
-         * @property {Object} data.target_post.stats - Target post field statistics
-         * @property {string} [data.message] - Error message if success is false
+         * Load source posts step
+         *
+         * Renders the picker shell (search box, filters, list) and fetches
+         * the first page of posts for the current query, or lists this
+         * post's history or the terms, users and options pages when one of
+         * those was picked as the source.
          */
         loadSourcePosts: function() {
-            this.log('Loading source posts');
-            this.showLoading('Loading available posts...');
-
-            $.ajax({
-                url: this.config.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'acf_clone_get_source_posts',
-                    nonce: this.config.nonce,
-                    post_id: this.config.postId,
-                    post_type: this.config.postType
-                },
-                success: this.onSourcePostsLoaded.bind(this),
-                error: this.onAjaxError.bind(this)
-            });
-        },
-
-        /**
-         * Handle source posts loaded
-         * 
-         * @param {LoadSourcePostsResponse} response - Server response from loadSourcePosts
-         * @see loadSourcePosts for complete response structure
-         */
-        onSourcePostsLoaded: function(response) {
-            this.log('Source posts loaded', response);
+            if (this.state.sourceMode === 'history') {
+                this.loadHistory();
+                return;
+            }
 
-            if (!response.success) {
-                this.showError(response.data.message || 'Failed to load source posts');
+            if (this.isObjectSource()) {
+                this.loadObjectSources();
                 return;
             }
 
-            // Pass posts array - each item has: {id, title, stats: {total_fields, cloneable_fields, etc.}}
-            this.renderSourcePostsStep(response.data.posts);
+            this.log('Loading source posts');
+            this.renderSourcePostsStep();
+            this.fetchSourcePosts(true);
         },
 
         /**
-         * Render source posts selection step
+         * Load the history step
+         *
+         * Lists the revisions (with field values) and backups of this post,
+         * to restore fields from an earlier state.
          */
-        renderSourcePostsStep: function(posts) {
-            if (!posts || posts.length === 0) {
-                this.showError('No source posts available for cloning.');
-                return;
-            }
+        loadHistory: function() {
+            this.log('Loading post history');
 
-            let html = `
+            const html = `
                 <div class="acf-clone-step" data-step="1">
-                    <h3 class="acf-clone-step-title">Step 1: Select Source Post</h3>
-                    <p class="acf-clone-step-description">Choose the post you want to copy custom fields from:</p>
-                    
-                    <div class="acf-clone-source-posts">
-            `;
-
-            posts.forEach(post => {
-                html += `
-                    <div class="acf-clone-source-post" data-post-id="${post.id}">
-                        <input type="radio" name="acf_clone_source_post" value="${post.id}" id="source_${post.id}">
-                        <div class="acf-clone-post-info">
-                            <div class="acf-clone-post-title">${this.escapeHtml(post.title)}</div>
-                            <div class="acf-clone-post-meta">
-                                ID: ${post.id} | Modified: ${post.modified}
-                            </div>
-                        </div>
-                        <div class="acf-clone-post-stats">
-                            <span class="acf-clone-post-field-count">${post.field_count}</span> fields
-                        </div>
-                    </div>
-                `;
-            });
+                    <h3 class="acf-clone-step-title">Step 1: Select Source</h3>
+                    ${this.renderSourceModes()}
+                    <p class="acf-clone-step-description">
+                        Choose an earlier revision or backup of this post to restore fields from:
+                    </p>
 
-            html += `
+                    <div class="acf-clone-source-posts">
+                        <div class="acf-clone-loading">Loading revisions and backups...</div>
                     </div>
                 </div>
             `;
@@ -380,647 +620,4255 @@
             this.setModalBody(html);
             this.updateFooterButtons([
                 { text: 'Cancel', class: 'button acf-clone-cancel' },
-                { text: 'Next', class: 'button button-primary acf-clone-next-step', disabled: true }
+                { text: 'Next', class: 'button button-primary acf-clone-next-step', disabled: !this.hasSelectedSource() }
             ]);
+
+            this.apiRequest(`/posts/${this.config.postId}/history`, 'GET').then(
+                data => this.onHistoryLoaded(data),
+                error => this.renderSourcePostsMessage(`Request failed: ${this.requestErrorMessage(error, 'Failed to load the post history')}`)
+            );
         },
 
         /**
-         * Handle source post selection
+         * Render the revisions and backups of this post
+         *
+         * @param {Object} data - Server response (see POST HISTORY in the header)
          */
-        onSourcePostSelect: function(e) {
-            const postId = $(e.target).val();
-            this.state.selectedSource = parseInt(postId);
-            
-            this.log('Source post selected:', postId);
-            
-            // Enable next button
-            $('.acf-clone-next-step').prop('disabled', false);
-            
-            // Update visual selection
-            $('.acf-clone-source-post').removeClass('selected');
-            $(e.target).closest('.acf-clone-source-post').addClass('selected');
+        onHistoryLoaded: function(data) {
+            this.log('Post history loaded', data);
+
+            if (this.state.sourceMode !== 'history') {
+                return;
+            }
+
+            if (data.revisions.length === 0 && data.backups.length === 0) {
+                this.renderSourcePostsMessage('This post has no revisions with field values and no backups yet.');
+                return;
+            }
+
+            let html = '';
+
+            if (data.revisions.length) {
+                html += '<h4 class="acf-clone-history-heading">Revisions</h4>';
+                html += data.revisions.map(revision => this.renderHistorySource(
+                    'revision:' + revision.id,
+                    revision.title,
+                    `Revision | ${this.escapeHtml(revision.author)} | ${this.escapeHtml(revision.modified_ago)}`,
+                    revision.field_count,
+                    this.state.selectedSource === revision.id
+                )).join('');
+            }
+
+            if (data.backups.length) {
+                html += '<h4 class="acf-clone-history-heading">Backups</h4>';
+                html += data.backups.map(backup => this.renderHistorySource(
+                    'backup:' + backup.backup_id,
+                    backup.title,
+                    `Backup | ${this.escapeHtml(backup.user)}`,
+                    backup.field_count,
+                    this.state.selectedBackup === backup.backup_id
+                )).join('');
+            }
+
+            $('.acf-clone-source-posts').html(html);
         },
 
         /**
-         * Move to next step
+         * Render a single revision or backup row
+         *
+         * @param {string} value - Radio value, "revision:<id>" or "backup:<id>"
+         * @param {string} title - Title
+         * @param {string} meta - Escaped meta line
+         * @param {number} fieldCount - Number of fields
+         * @param {boolean} isSelected - Whether the row is the selected source
+         * @returns {string} HTML
          */
-        nextStep: function(e) {
-            e.preventDefault();
-            
-            if (this.state.currentStep === 1) {
-                if (!this.state.selectedSource) {
-                    this.showNotice('Please select a source post first.');
-                    return;
-                }
-                this.loadSourceFields();
-            } else if (this.state.currentStep === 2) {
-                this.showConfirmationStep();
+        renderHistorySource: function(value, title, meta, fieldCount, isSelected) {
+            const id = 'history_' + value.replace(/[^a-zA-Z0-9_]/g, '_');
+
+            return `
+                <div class="acf-clone-source-post${isSelected ? ' selected' : ''}">
+                    <input type="radio" name="acf_clone_history_source" value="${this.escapeHtml(value)}" id="${id}"${isSelected ? ' checked' : ''}>
+                    <div class="acf-clone-post-info">
+                        <div class="acf-clone-post-title">${this.escapeHtml(title)}</div>
+                        <div class="acf-clone-post-meta">${meta}</div>
+                    </div>
+                    <div class="acf-clone-post-stats">
+                        <span class="acf-clone-post-field-count">${fieldCount}</span> fields
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * Render the switch between other posts, this post's history and
+         * the terms, users and options pages sharing its field groups
+         *
+         * @returns {string} HTML, empty when there is no current post
+         */
+        renderSourceModes: function() {
+            if (!this.config.postId) {
+                return '';
+            }
+
+            const modes = [
+                { mode: 'posts', label: 'Other posts' },
+                { mode: 'history', label: "This post's history" }
+            ];
+
+            if (this.config.objectSources) {
+                modes.push({ mode: 'objects', label: 'Options, terms & users' });
             }
+
+            return `
+                <div class="acf-clone-source-modes">
+                    ${modes.map(item => {
+                        const active = item.mode === this.state.sourceMode;
+                        return `<button type="button" class="button acf-clone-source-mode${active ? ' is-active' : ''}" data-mode="${item.mode}" aria-pressed="${active}">${item.label}</button>`;
+                    }).join('')}
+                </div>
+            `;
         },
 
         /**
-         * Move to previous step
+         * Switch step 1 between other posts and this post's history
          */
-        previousStep: function(e) {
+        onSourceModeChange: function(e) {
             e.preventDefault();
-            
-            if (this.state.currentStep === 2) {
-                this.state.currentStep = 1;
-                this.loadSourcePosts();
-            } else if (this.state.currentStep === 3) {
-                this.state.currentStep = 2;
-                this.renderFieldsStep();
+
+            const mode = String($(e.currentTarget).data('mode'));
+
+            if (mode === this.state.sourceMode) {
+                return;
             }
+
+            this.state.sourceMode = mode;
+            this.state.selectedSource = null;
+            this.state.selectedBackup = '';
+            this.state.selectedObject = '';
+            this.loadSourcePosts();
         },
 
         /**
-         * Load source fields via AJAX
-         * 
-         * Server Response Structure:
-         * @typedef {Object} LoadSourceFieldsResponse
-         * @property {boolean} success - Whether the request was successful
-         * @property {Object} data - Response data object
-         * @property {Array} data.fields - Array of field groups from source post
-         * @property {string} data.fields[].key - Field group key (e.g., 'location_fields_group')
-         * @property {string} data.fields[].title - Field group title (e.g., 'Location Information')
-         * @property {Array} data.fields[].fields - Array of individual fields in this group
-         * @property {string} data.fields[].fields[].key - Field key
-         * @property {string} data.fields[].fields[].name - Field name
-         * @property {string} data.fields[].fields[].label - Field label
-         * @property {string} data.fields[].fields[].type - Field type (text, textarea, image, etc.)
-         * @property {boolean} data.fields[].fields[].has_value - Whether field has a value in source
-         * @property {boolean} data.fields[].fields[].will_overwrite - Whether field will overwrite existing data
-         * @property {Object} data.source_post - Source post information
-         * @property {number} data.source_post.id - Source post ID
-         * @property {string} data.source_post.title - Source post title
-         * @property {Object} data.source_post.stats - Source post field statistics
-         * @property {Object} data.target_post - Target post information
-         * @property {number} data.target_post.id - Target post ID
-         * @property {string} data.target_post.title - Target post title
-         * @property {Object} data.target_post.stats - Target post field statistics
-         * @property {string} [data.message] - Error message if success is false
+         * Handle revision or backup selection
          */
-        loadSourceFields: function() {
-            this.log('Loading source fields for post:', this.state.selectedSource);
-            this.showLoading('Loading custom fields...');
+        onHistorySourceSelect: function(e) {
+            const value = String($(e.target).val());
+            const separator = value.indexOf(':');
+            const type = value.slice(0, separator);
+            const id = value.slice(separator + 1);
 
-            $.ajax({
-                url: this.config.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'acf_clone_get_source_fields',
-                    nonce: this.config.nonce,
-                    target_post_id: this.config.postId,
-                    source_post_id: this.state.selectedSource
-                },
-                success: this.onSourceFieldsLoaded.bind(this),
-                error: this.onAjaxError.bind(this)
-            });
+            this.state.selectedSource = type === 'revision' ? parseInt(id, 10) : null;
+            this.state.selectedBackup = type === 'backup' ? id : '';
+
+            this.log('History source selected:', value);
+
+            $('.acf-clone-next-step').prop('disabled', false);
+            $('.acf-clone-source-post').removeClass('selected');
+            $(e.target).closest('.acf-clone-source-post').addClass('selected');
         },
 
         /**
-         * Handle source fields loaded
-         * 
-         * @param {LoadSourceFieldsResponse} response - Server response from loadSourceFields
-         * @see loadSourceFields for complete response structure
+         * Whether a source post, revision, backup or object is selected
+         *
+         * @returns {boolean}
          */
-        onSourceFieldsLoaded: function(response) {
-            this.log('Source fields loaded', response);
-
-            if (!response.success) {
-                this.showError(response.data.message || 'Failed to load source fields');
-                return;
-            }
+        hasSelectedSource: function() {
+            return !!this.state.selectedSource || this.state.selectedBackup !== '' || this.state.selectedObject !== '';
+        },
 
-            // Store fields array - each item has: {key, title, fields: [{key, name, label, type, has_value, will_overwrite}]}
-            this.state.sourceFields = response.data.fields;
-            this.state.currentStep = 2;
-            this.renderFieldsStep();
+        /**
+         * Whether the source is an earlier state of this post
+         *
+         * @returns {boolean} True for a revision or backup of this post
+         */
+        isHistorySource: function() {
+            return this.state.sourceMode === 'history';
         },
 
         /**
-         * Render fields selection step
+         * Whether the source is picked from the terms, users and options pages
+         *
+         * @returns {boolean} True when cloning through the object routes
          */
-        renderFieldsStep: function() {
-            const fieldGroups = this.state.sourceFields;
+        isObjectSource: function() {
+            return this.state.sourceMode === 'objects';
+        },
 
-            if (!fieldGroups || !Array.isArray(fieldGroups) || fieldGroups.length === 0) {
-                this.showError('No custom fields found in the selected post.');
-                return;
-            }
+        /**
+         * Get the object the fields are cloned into
+         *
+         * @returns {string} Object ID (see TERMS, USERS AND OPTIONS PAGES in the header)
+         */
+        getTargetId: function() {
+            return this.config.objectId || String(this.config.postId);
+        },
 
-            let html = `
-                <div class="acf-clone-step" data-step="2">
-                    <h3 class="acf-clone-step-title">Step 2: Select Fields to Clone</h3>
-                    <p class="acf-clone-step-description">Choose which custom fields you want to copy:</p>
-                    
-                    <div class="acf-clone-field-groups">
-            `;
+        /**
+         * Load the object sources step
+         *
+         * Lists the terms, users and options pages (and, on their screens,
+         * posts) that share a field group with the target.
+         */
+        loadObjectSources: function() {
+            this.log('Loading object sources');
 
-            fieldGroups.forEach((group, index) => {
-                html += this.renderFieldGroup(group.key || 'group_' + index, group);
-            });
+            const html = `
+                <div class="acf-clone-step" data-step="1">
+                    <h3 class="acf-clone-step-title">Step 1: Select Source</h3>
+                    ${this.renderSourceModes()}
+                    <p class="acf-clone-step-description">
+                        Choose what to copy custom fields from. Only sources sharing a field group with
+                        ${this.config.objectId ? 'this screen' : 'this post'} are listed:
+                    </p>
 
-            html += `
-                    </div>
-                    
-                    <div class="acf-clone-selection-summary" style="display: none;">
-                        <h4>Selection Summary</h4>
-                        <div class="acf-clone-summary-stats">
-                            <div class="acf-clone-summary-stat">
-                                Fields: <span class="acf-clone-summary-stat-value" id="selected-count">0</span>
-                            </div>
-                            <div class="acf-clone-summary-stat">
-                                Groups: <span class="acf-clone-summary-stat-value" id="groups-count">0</span>
-                            </div>
-                            <div class="acf-clone-summary-stat">
-                                Conflicts: <span class="acf-clone-summary-stat-value" id="conflicts-count">0</span>
-                            </div>
-                        </div>
+                    <div class="acf-clone-source-toolbar">
+                        <input type="search"
+                               class="acf-clone-object-search"
+                               placeholder="Search..."
+                               value="${this.escapeHtml(this.state.objectSearch)}">
                     </div>
+
+                    <div class="acf-clone-source-posts"></div>
                 </div>
             `;
 
             this.setModalBody(html);
             this.updateFooterButtons([
-                { text: 'Back', class: 'button acf-clone-prev-step' },
-                { text: 'Next', class: 'button button-primary acf-clone-next-step', disabled: true }
+                { text: 'Cancel', class: 'button acf-clone-cancel' },
+                { text: 'Next', class: 'button button-primary acf-clone-next-step', disabled: !this.hasSelectedSource() }
             ]);
 
-            // Expand first group by default
-            $('.acf-clone-group-header').first().click();
+            this.fetchObjectSources();
         },
 
         /**
-         * Render individual field group
+         * Fetch the object sources matching the search
          */
-        renderFieldGroup: function(groupKey, group) {
-            let html = `
-                <div class="acf-clone-field-group" data-group="${groupKey}">
-                    <div class="acf-clone-group-header">
-                        <h4 class="acf-clone-group-title">${this.escapeHtml(group.title)}</h4>
-                        <span class="acf-clone-group-toggle">+</span>
-                    </div>
-                    <div class="acf-clone-group-fields">
-            `;
+        fetchObjectSources: function() {
+            const requestId = ++this.state.objectRequestId;
 
-            if (group.fields && group.fields.length > 0) {
-                group.fields.forEach(field => {
-                    html += this.renderField(field, groupKey);
-                });
-            } else {
-                html += '<p class="acf-clone-text-muted">No fields found in this group.</p>';
+            $('.acf-clone-source-posts').html('<div class="acf-clone-loading">Loading available sources...</div>');
+
+            this.apiRequest('/objects', 'GET', {
+                target: this.getTargetId(),
+                search: this.state.objectSearch
+            }).then(
+                data => this.onObjectSourcesLoaded(data, requestId),
+                error => {
+                    if (requestId === this.state.objectRequestId) {
+                        this.renderSourcePostsMessage(`Request failed: ${this.requestErrorMessage(error, 'Failed to load sources')}`);
+                    }
+                }
+            );
+        },
+
+        /**
+         * Render the object sources
+         *
+         * @param {Object} data - Server response (see TERMS, USERS AND OPTIONS PAGES in the header)
+         * @param {number} requestId - Sequence number of the request
+         */
+        onObjectSourcesLoaded: function(data, requestId) {
+            if (requestId !== this.state.objectRequestId || !this.isObjectSource()) {
+                return;
             }
 
-            html += `
-                    </div>
-                </div>
-            `;
+            this.log('Object sources loaded', data);
 
-            return html;
+            if (data.sources.length === 0) {
+                this.renderSourcePostsMessage(
+                    this.state.objectSearch !== ''
+                        ? 'Nothing matches your search.'
+                        : 'No options pages, terms or users share a field group with this one.'
+                );
+                return;
+            }
+
+            $('.acf-clone-source-posts').html(data.sources.map(source => this.renderObjectSource(source)).join(''));
         },
 
         /**
-         * Render individual field
+         * Render a single object source row
+         *
+         * @param {Object} source - Source from the objects list
+         * @returns {string} HTML
          */
-        renderField: function(field, groupKey) {
-            const hasValue = field.has_value ? 'acf-clone-field-has-value' : 'acf-clone-field-empty';
-            const conflictClass = field.will_overwrite ? 'acf-clone-field-conflict' : '';
-            
-            let html = `
-                <div class="acf-clone-field-item ${conflictClass}" data-field="${field.name}">
-                    <div class="acf-clone-field-checkbox">
-                        <input type="checkbox" 
-                               id="field_${groupKey}_${field.name}" 
-                               value="${field.name}" 
-                               data-group="${groupKey}">
+        renderObjectSource: function(source) {
+            const id = String(source.id);
+            const isSelected = this.state.selectedObject === id;
+            const groups = source.shared_groups === 1 ? '1 shared field group' : `${source.shared_groups} shared field groups`;
+
+            return `
+                <div class="acf-clone-source-post${isSelected ? ' selected' : ''}">
+                    <input type="radio" name="acf_clone_source_object" value="${this.escapeHtml(id)}" id="object_${this.escapeHtml(id.replace(/[^a-zA-Z0-9_]/g, '_'))}"${isSelected ? ' checked' : ''}>
+                    <div class="acf-clone-post-info">
+                        <div class="acf-clone-post-title">${this.escapeHtml(source.title)}</div>
+                        <div class="acf-clone-post-meta">${this.escapeHtml(source.type_label)} | ${groups}</div>
                     </div>
-                    <div class="acf-clone-field-info">
-                        <div class="acf-clone-field-label">${this.escapeHtml(field.label)}</div>
-                        <div class="acf-clone-field-name">${field.name}</div>
-                        <div class="acf-clone-field-type">${field.type}</div>
+                </div>
             `;
+        },
 
-            if (field.preview) {
-                html += `<div class="acf-clone-field-preview">${this.escapeHtml(field.preview)}</div>`;
+        /**
+         * Handle typing in the object search box (debounced)
+         */
+        onObjectSearchInput: function(e) {
+            const value = $(e.target).val().trim();
+
+            clearTimeout(this.state.searchTimer);
+            this.state.searchTimer = setTimeout(() => {
+                if (value === this.state.objectSearch) {
+                    return;
+                }
+                this.state.objectSearch = value;
+                this.fetchObjectSources();
+            }, 300);
+        },
+
+        /**
+         * Handle object source selection
+         */
+        onObjectSourceSelect: function(e) {
+            this.state.selectedObject = String($(e.target).val());
+
+            this.log('Object source selected:', this.state.selectedObject);
+
+            $('.acf-clone-next-step').prop('disabled', false);
+            $('.acf-clone-source-post').removeClass('selected');
+            $(e.target).closest('.acf-clone-source-post').addClass('selected');
+        },
+
+        /**
+         * Fetch a page of source posts from the REST API
+         * 
+         * Server Response Structure:
+         * @typedef {Object} LoadSourcePostsResponse
+         * @property {Array} posts - Array of available posts (one page)
+         * @property {number} posts[].id - Post ID
+         * @property {string} posts[].title - Post title
+         * @property {string} posts[].status - Post status
+         * @property {string} posts[].author - Author display name
+         * @property {string} posts[].modified - Last modified date
+         * @property {number} posts[].field_count - Number of ACF fields
+         * @property {Object} posts[].field_stats - Field statistics
+         * @property {number} total - Total posts matching the query
+         * @property {number} offset - Offset of this page
+         * @property {number} per_page - Page size
+         * @property {boolean} has_more - Whether more pages are available
+         * @property {Array} [authors] - Author filter choices (first page only)
+         *
+         * @param {boolean} reset - Start over from the first page
+         */
+        fetchSourcePosts: function(reset) {
+            const paging = this.state.sourcePaging;
+
+            if (reset) {
+                paging.offset = 0;
+                paging.hasMore = false;
+                this.state.sourcePosts = [];
+                $('.acf-clone-source-posts').html('<div class="acf-clone-loading">Loading available posts...</div>');
+            } else {
+                $('.acf-clone-source-posts').append('<div class="acf-clone-loading acf-clone-source-loading-more">Loading more posts...</div>');
             }
 
-            if (field.will_overwrite) {
-                html += `<div class="acf-clone-field-conflict-warning">⚠️ Will overwrite existing data</div>`;
+            // Newer requests win; stale responses are discarded
+            const requestId = ++paging.requestId;
+            paging.loading = true;
+            this.updateSourcePagingControls();
+
+            this.apiRequest('/source-posts', 'GET', {
+                post_id: this.config.postId,
+                post_type: this.state.sourceQuery.postType || this.config.postType,
+                search: this.state.sourceQuery.search,
+                status: this.state.sourceQuery.status,
+                author: this.state.sourceQuery.author,
+                modified_within: this.state.sourceQuery.modifiedWithin,
+                offset: paging.offset
+            })
+                .then(
+                    data => this.onSourcePostsLoaded(data, requestId),
+                    error => this.onSourcePostsError(requestId, this.requestErrorMessage(error, 'Failed to load source posts'))
+                );
+        },
+
+        /**
+         * Handle source posts loaded
+         * 
+         * @param {LoadSourcePostsResponse} data - Server response from fetchSourcePosts
+         * @param {number} requestId - Sequence number of the request
+         * @see fetchSourcePosts for complete response structure
+         */
+        onSourcePostsLoaded: function(data, requestId) {
+            if (requestId !== this.state.sourcePaging.requestId) {
+                this.log('Discarding stale source posts response', requestId);
+                return;
             }
 
-            html += `
+            this.log('Source posts loaded', data);
+            this.state.sourcePaging.loading = false;
+            $('.acf-clone-source-loading-more').remove();
+
+            const isFirstPage = data.offset === 0;
+
+            if (data.authors) {
+                this.state.sourceAuthors = data.authors;
+                this.renderAuthorFilterOptions();
+            }
+
+            this.state.sourcePosts = this.state.sourcePosts.concat(data.posts);
+            this.state.sourcePaging.offset = data.offset + data.per_page;
+            this.state.sourcePaging.total = data.total;
+            this.state.sourcePaging.hasMore = data.has_more;
+
+            if (isFirstPage) {
+                $('.acf-clone-source-posts').empty();
+            }
+
+            if (this.state.sourcePosts.length === 0) {
+                this.renderSourcePostsMessage(
+                    this.hasSourceFilters()
+                        ? 'No posts match your search.'
+                        : 'No source posts available for cloning.'
+                );
+            } else {
+                $('.acf-clone-source-posts').append(
+                    data.posts.map(post => this.renderSourcePost(post)).join('')
+                );
+            }
+
+            this.updateSourcePagingControls();
+        },
+
+        /**
+         * Handle source posts request failure
+         *
+         * @param {number} requestId - Sequence number of the request
+         * @param {string} error - Error message
+         */
+        onSourcePostsError: function(requestId, error) {
+            if (requestId !== this.state.sourcePaging.requestId) {
+                return;
+            }
+
+            this.state.sourcePaging.loading = false;
+            $('.acf-clone-source-loading-more').remove();
+            this.log('Source posts request failed', error);
+
+            if (this.state.sourcePosts.length === 0) {
+                this.renderSourcePostsMessage(`Request failed: ${error}`);
+            } else {
+                this.showNotice(`Could not load more posts: ${error}`);
+            }
+
+            this.updateSourcePagingControls();
+        },
+
+        /**
+         * Render source posts selection step
+         *
+         * Only renders the shell; the list itself is filled page by page
+         * by onSourcePostsLoaded.
+         */
+        renderSourcePostsStep: function() {
+            const query = this.state.sourceQuery;
+            const selected = (value, current) => String(value) === String(current) ? ' selected' : '';
+
+            const html = `
+                <div class="acf-clone-step" data-step="1">
+                    <h3 class="acf-clone-step-title">Step 1: Select Source Post</h3>
+                    ${this.renderSourceModes()}
+                    <p class="acf-clone-step-description">
+                        Choose the post you want to copy custom fields from, or
+                        <button type="button" class="button-link acf-clone-import-fields">import them from a file</button>:
+                    </p>
+
+                    <div class="acf-clone-source-toolbar">
+                        ${this.renderPostTypeFilter()}
+                        <input type="search"
+                               class="acf-clone-source-search"
+                               placeholder="Search posts..."
+                               value="${this.escapeHtml(query.search)}">
+                        <select class="acf-clone-source-filter" data-filter="status">
+                            <option value=""${selected('', query.status)}>Any status</option>
+                            <option value="publish"${selected('publish', query.status)}>Published</option>
+                            <option value="draft"${selected('draft', query.status)}>Draft</option>
+                            <option value="pending"${selected('pending', query.status)}>Pending</option>
+                        </select>
+                        <select class="acf-clone-source-filter" data-filter="author">
+                            <option value="0">All authors</option>
+                        </select>
+                        <select class="acf-clone-source-filter" data-filter="modifiedWithin">
+                            <option value="0"${selected(0, query.modifiedWithin)}>Modified any time</option>
+                            <option value="7"${selected(7, query.modifiedWithin)}>Last 7 days</option>
+                            <option value="30"${selected(30, query.modifiedWithin)}>Last 30 days</option>
+                            <option value="90"${selected(90, query.modifiedWithin)}>Last 90 days</option>
+                            <option value="365"${selected(365, query.modifiedWithin)}>Last year</option>
+                        </select>
                     </div>
-                    <div class="acf-clone-field-status ${hasValue}">
-                        ${field.has_value ? 'Has Value' : 'Empty'}
+
+                    <div class="acf-clone-source-posts"></div>
+
+                    <div class="acf-clone-source-paging">
+                        <span class="acf-clone-source-count"></span>
+                        <button type="button" class="button acf-clone-load-more" style="display: none;">Load more</button>
                     </div>
                 </div>
             `;
 
-            return html;
+            this.setModalBody(html);
+            this.renderAuthorFilterOptions();
+            this.updateFooterButtons([
+                { text: 'Cancel', class: 'button acf-clone-cancel' },
+                { text: 'Next', class: 'button button-primary acf-clone-next-step', disabled: !this.state.selectedSource }
+            ]);
+
+            // Scroll events don't bubble, so bind directly to the rendered list
+            $('.acf-clone-source-posts').on('scroll', this.onSourceListScroll.bind(this));
         },
 
         /**
-         * Toggle field group expand/collapse
+         * Render the source post type picker
+         *
+         * Only shown when more than one post type is enabled; picking another
+         * type switches the wizard to cross-type cloning with field mapping.
+         *
+         * @returns {string} HTML, empty with a single post type
          */
-        toggleFieldGroup: function(e) {
-            const $header = $(e.currentTarget);
-            const $fields = $header.next('.acf-clone-group-fields');
-            const $toggle = $header.find('.acf-clone-group-toggle');
+        renderPostTypeFilter: function() {
+            const postTypes = this.config.sourcePostTypes;
+            const current = this.state.sourceQuery.postType || this.config.postType;
+
+            if (postTypes.length < 2) {
+                return '';
+            }
+
+            const options = postTypes.map(postType => {
+                const selected = postType.name === current ? ' selected' : '';
+                const suffix = postType.name === this.config.postType ? ' (this type)' : '';
+                return `<option value="${this.escapeHtml(postType.name)}"${selected}>${this.escapeHtml(postType.label)}${suffix}</option>`;
+            }).join('');
 
-            $fields.toggleClass('expanded');
-            $toggle.text($fields.hasClass('expanded') ? '−' : '+');
+            return `<select class="acf-clone-source-filter" data-filter="postType" aria-label="Source post type">${options}</select>`;
         },
 
         /**
-         * Handle field selection
+         * Render a single source post row
          */
-        onFieldSelect: function(e) {
-            const $checkbox = $(e.target);
-            const fieldName = $checkbox.val();
-            const groupKey = $checkbox.data('group');
-            const isChecked = $checkbox.is(':checked');
+        renderSourcePost: function(post) {
+            const isSelected = this.state.selectedSource === post.id;
 
-            if (isChecked) {
-                this.state.selectedFields.push({
-                    name: fieldName,
-                    group: groupKey
-                });
-            } else {
-                this.state.selectedFields = this.state.selectedFields.filter(
-                    field => !(field.name === fieldName && field.group === groupKey)
-                );
+            return `
+                <div class="acf-clone-source-post${isSelected ? ' selected' : ''}" data-post-id="${post.id}">
+                    <input type="radio" name="acf_clone_source_post" value="${post.id}" id="source_${post.id}"${isSelected ? ' checked' : ''}>
+                    <div class="acf-clone-post-info">
+                        <div class="acf-clone-post-title">${this.escapeHtml(post.title)}</div>
+                        <div class="acf-clone-post-meta">
+                            ID: ${post.id} | ${this.escapeHtml(post.author || '')} | ${this.escapeHtml(post.status)} | Modified: ${post.modified}
+                        </div>
+                    </div>
+                    <div class="acf-clone-post-stats">
+                        <span class="acf-clone-post-field-count">${post.field_count}</span> fields
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * Render a message in place of the source post list
+         */
+        renderSourcePostsMessage: function(message) {
+            $('.acf-clone-source-posts').html(
+                `<p class="acf-clone-source-empty acf-clone-text-muted">${this.escapeHtml(message)}</p>`
+            );
+        },
+
+        /**
+         * Fill the author filter with the choices sent by the server
+         */
+        renderAuthorFilterOptions: function() {
+            const $select = $('.acf-clone-source-filter[data-filter="author"]');
+            const current = String(this.state.sourceQuery.author);
+
+            $select.find('option:not(:first)').remove();
+            this.state.sourceAuthors.forEach(author => {
+                const selected = String(author.id) === current ? ' selected' : '';
+                $select.append(`<option value="${author.id}"${selected}>${this.escapeHtml(author.name)}</option>`);
+            });
+        },
+
+        /**
+         * Update the "showing X of Y" text and the load more button
+         */
+        updateSourcePagingControls: function() {
+            const paging = this.state.sourcePaging;
+            const loaded = this.state.sourcePosts.length;
+
+            $('.acf-clone-source-count').text(
+                loaded > 0 ? `Showing ${loaded} of ${paging.total} posts` : ''
+            );
+            $('.acf-clone-load-more')
+                .toggle(paging.hasMore)
+                .prop('disabled', paging.loading);
+        },
+
+        /**
+         * Whether any search or filter is narrowing the source list
+         */
+        hasSourceFilters: function() {
+            const query = this.state.sourceQuery;
+            return query.search !== '' || query.status !== '' || query.author > 0 || query.modifiedWithin > 0;
+        },
+
+        /**
+         * Handle typing in the source search box (debounced)
+         */
+        onSourceSearchInput: function(e) {
+            const value = $(e.target).val().trim();
+
+            clearTimeout(this.state.searchTimer);
+            this.state.searchTimer = setTimeout(() => {
+                if (value === this.state.sourceQuery.search) {
+                    return;
+                }
+                this.state.sourceQuery.search = value;
+                this.fetchSourcePosts(true);
+            }, 300);
+        },
+
+        /**
+         * Handle a source filter change
+         */
+        onSourceFilterChange: function(e) {
+            const $select = $(e.target);
+            const filter = $select.data('filter');
+            const value = $select.val();
+
+            this.state.sourceQuery[filter] = (filter === 'status' || filter === 'postType') ? value : parseInt(value, 10) || 0;
+
+            // A post of the previous type is no longer listed
+            if (filter === 'postType') {
+                this.state.selectedSource = null;
+                this.state.sourceQuery.author = 0;
+                $('.acf-clone-next-step').prop('disabled', true);
             }
 
-            this.updateSelectionSummary();
-            this.log('Field selection updated', this.state.selectedFields);
+            this.fetchSourcePosts(true);
         },
 
         /**
-         * Update selection summary
+         * Load the next page when the list is scrolled near the bottom
          */
-        updateSelectionSummary: function() {
-            const selectedCount = this.state.selectedFields.length;
-            const $summary = $('.acf-clone-selection-summary');
+        onSourceListScroll: function(e) {
+            const list = e.currentTarget;
+            const nearBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 40;
+
+            if (nearBottom) {
+                this.loadMoreSourcePosts();
+            }
+        },
+
+        /**
+         * Load the next page of source posts
+         */
+        loadMoreSourcePosts: function(e) {
+            if (e) {
+                e.preventDefault();
+            }
+
+            const paging = this.state.sourcePaging;
+            if (paging.hasMore && !paging.loading) {
+                this.fetchSourcePosts(false);
+            }
+        },
+
+        /**
+         * Handle source post selection
+         */
+        onSourcePostSelect: function(e) {
+            const postId = $(e.target).val();
+            this.state.selectedSource = parseInt(postId);
             
-            if (selectedCount > 0) {
-                $summary.show();
-                
-                // Count unique groups
-                const uniqueGroups = new Set(this.state.selectedFields.map(f => f.group));
-                
-                // Count conflicts (fields that will overwrite)
-                let conflictCount = 0;
-                this.state.selectedFields.forEach(selected => {
-                    const $fieldItem = $(`.acf-clone-field-item[data-field="${selected.name}"]`);
-                    if ($fieldItem.hasClass('acf-clone-field-conflict')) {
-                        conflictCount++;
-                    }
-                });
+            this.log('Source post selected:', postId);
+            
+            // Enable next button
+            $('.acf-clone-next-step').prop('disabled', false);
+            
+            // Update visual selection
+            $('.acf-clone-source-post').removeClass('selected');
+            $(e.target).closest('.acf-clone-source-post').addClass('selected');
+        },
 
-                $('#selected-count').text(selectedCount);
-                $('#groups-count').text(uniqueGroups.size);
-                $('#conflicts-count').text(conflictCount);
+        /**
+         * Move to next step
+         */
+        nextStep: function(e) {
+            e.preventDefault();
+            
+            if (this.state.currentStep === 1) {
+                if (!this.hasSelectedSource()) {
+                    this.showNotice('Please select a source post first.');
+                    return;
+                }
+                this.loadSourceFields();
+            } else if (this.state.currentStep === 2) {
+                if (this.state.crossType && this.state.selectedFields.some(field => !this.state.fieldMapping[field.key])) {
+                    this.showNotice('Choose a target field for every selected field.');
+                    return;
+                }
+                this.showConfirmationStep();
+            }
+        },
 
-                $('.acf-clone-next-step').prop('disabled', false);
-            } else {
-                $summary.hide();
-                $('.acf-clone-next-step').prop('disabled', true);
+        /**
+         * Check whether the field selection is complete enough for step 3
+         *
+         * @returns {boolean} True with at least one field selected and, across
+         *                    post types, every selected field mapped
+         */
+        canLeaveFieldsStep: function() {
+            if (this.state.selectedFields.length === 0) {
+                return false;
+            }
+
+            return !this.state.crossType || this.state.selectedFields.every(field => this.state.fieldMapping[field.key]);
+        },
+
+        /**
+         * Move to previous step
+         */
+        previousStep: function(e) {
+            e.preventDefault();
+            
+            if (this.state.currentStep === 2) {
+                this.state.currentStep = 1;
+                this.loadSourcePosts();
+            } else if (this.state.currentStep === 3) {
+                this.state.currentStep = 2;
+                this.renderFieldsStep();
+            } else if (this.state.currentStep === 4) {
+                this.showConfirmationStep();
+            }
+        },
+
+        /**
+         * Load source fields from the REST API
+         * 
+         * Server Response Structure:
+         * @typedef {Object} LoadSourceFieldsResponse
+         * @property {Array} fields - Array of field groups from source post
+         * @property {string} fields[].key - Field group key (e.g., 'location_fields_group')
+         * @property {string} fields[].title - Field group title (e.g., 'Location Information')
+         * @property {Array} fields[].fields - Array of individual fields in this group
+         * @property {string} fields[].fields[].key - Field key
+         * @property {string} fields[].fields[].name - Field name
+         * @property {string} fields[].fields[].label - Field label
+         * @property {string} fields[].fields[].type - Field type (text, textarea, image, etc.)
+         * @property {boolean} fields[].fields[].has_value - Whether field has a value in source
+         * @property {boolean} fields[].fields[].will_overwrite - Whether field will overwrite existing data
+         * @property {Object} source_post - Source post information
+         * @property {number} source_post.id - Source post ID
+         * @property {string} source_post.title - Source post title
+         * @property {Object} source_post.stats - Source post field statistics
+         * @property {Object} target_post - Target post information
+         * @property {number} target_post.id - Target post ID
+         * @property {string} target_post.title - Target post title
+         * @property {Object} target_post.stats - Target post field statistics
+         */
+        loadSourceFields: function() {
+            this.log('Loading source fields for:', this.state.selectedBackup || this.state.selectedObject || this.state.selectedSource);
+            this.showLoading('Loading custom fields...');
+
+            if (this.state.selectedObject) {
+                this.apiRequest('/objects/source-fields', 'GET', {
+                    source: this.state.selectedObject,
+                    target: this.getTargetId()
+                }).then(this.onSourceFieldsLoaded.bind(this), this.onRequestError.bind(this));
+                return;
+            }
+
+            // A backup stands in for the source post, with the same response
+            if (this.state.selectedBackup) {
+                this.apiRequest(`/backups/${this.state.selectedBackup}/source-fields`, 'GET')
+                    .then(this.onSourceFieldsLoaded.bind(this), this.onRequestError.bind(this));
+                return;
             }
+
+            this.apiRequest('/source-fields', 'GET', {
+                target_post_id: this.config.postId,
+                source_post_id: this.state.selectedSource
+            }).then(this.onSourceFieldsLoaded.bind(this), this.onRequestError.bind(this));
+        },
+
+        /**
+         * Handle source fields loaded
+         * 
+         * @param {LoadSourceFieldsResponse} data - Server response from loadSourceFields
+         * @see loadSourceFields for complete response structure
+         */
+        onSourceFieldsLoaded: function(data) {
+            this.log('Source fields loaded', data);
+
+            // Store fields array - each item has: {key, title, fields: [{key, name, label, type, has_value, will_overwrite}]}
+            this.state.sourceFields = data.fields;
+            this.state.fieldDiffs = {};
+            this.state.fieldParts = {};
+            this.state.mergeStrategies = {};
+            this.state.selectedFields = [];
+            this.state.fieldFilter = { search: '', withValues: false, conflicts: false };
+            this.resetValidation();
+            this.state.crossType = !!data.cross_type;
+            this.state.targetFields = data.target_fields || [];
+
+            // Start from the suggested same-name targets
+            this.state.fieldMapping = {};
+            if (this.state.crossType) {
+                this.state.sourceFields.forEach(group => {
+                    group.fields.forEach(field => {
+                        if (field.mapped_to) {
+                            this.state.fieldMapping[field.key] = field.mapped_to;
+                        }
+                    });
+                });
+            }
+
+            this.state.currentStep = 2;
+
+            // Preset picked in the meta box
+            const preset = this.state.pendingPreset;
+            this.state.pendingPreset = null;
+
+            if (preset) {
+                this.applyPreset(preset);
+
+                if (preset.source_post_id && this.canLeaveFieldsStep()) {
+                    this.showConfirmationStep();
+                }
+                return;
+            }
+
+            this.renderFieldsStep();
+        },
+
+        /**
+         * Render fields selection step
+         */
+        renderFieldsStep: function() {
+            const fieldGroups = this.state.sourceFields;
+
+            if (!fieldGroups || !Array.isArray(fieldGroups) || fieldGroups.length === 0) {
+                this.showError('No custom fields found in the selected post.');
+                return;
+            }
+
+            let html = `
+                <div class="acf-clone-step" data-step="2">
+                    <h3 class="acf-clone-step-title">Step 2: Select Fields to Clone</h3>
+                    <p class="acf-clone-step-description">${this.state.crossType
+                        ? 'The source post is of another type. Choose which fields to copy and the field of this post each one goes into:'
+                        : this.isHistorySource()
+                            ? 'Choose which custom fields to restore to their earlier values:'
+                            : this.isObjectSource()
+                                ? 'Choose which custom fields you want to copy. Only the field groups both share are listed:'
+                                : 'Choose which custom fields you want to copy:'}</p>
+
+                    ${this.config.postType ? this.renderPresetBar() : ''}
+
+                    ${this.renderFieldToolbar()}
+                    
+                    <div class="acf-clone-field-groups">
+            `;
+
+            fieldGroups.forEach((group, index) => {
+                html += this.renderFieldGroup(group.key || 'group_' + index, group);
+            });
+
+            html += `
+                    </div>
+                    
+                    <div class="acf-clone-selection-summary" style="display: none;">
+                        <h4>Selection Summary</h4>
+                        <div class="acf-clone-summary-stats">
+                            <div class="acf-clone-summary-stat">
+                                Fields: <span class="acf-clone-summary-stat-value" id="selected-count">0</span>
+                            </div>
+                            <div class="acf-clone-summary-stat">
+                                Groups: <span class="acf-clone-summary-stat-value" id="groups-count">0</span>
+                            </div>
+                            <div class="acf-clone-summary-stat">
+                                Conflicts: <span class="acf-clone-summary-stat-value" id="conflicts-count">0</span>
+                            </div>
+                            <div class="acf-clone-summary-stat acf-clone-summary-hidden" style="display: none;">
+                                Hidden by filter: <span class="acf-clone-summary-stat-value" id="hidden-count">0</span>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            this.setModalBody(html);
+            this.updateFooterButtons([
+                { text: 'Back', class: 'button acf-clone-prev-step' },
+                { text: 'Next', class: 'button button-primary acf-clone-next-step', disabled: true }
+            ]);
+
+            // Expand first group by default
+            $('.acf-clone-group-header').first().click();
+
+            // Restore filter and selection when coming back from step 3
+            this.applyFieldFilter();
+            this.updateSelectionSummary();
+            this.renderValidation();
+        },
+
+        /**
+         * Render individual field group
+         */
+        renderFieldGroup: function(groupKey, group) {
+            let html = `
+                <div class="acf-clone-field-group" data-group="${groupKey}">
+                    <div class="acf-clone-group-header">
+                        <h4 class="acf-clone-group-title">${this.escapeHtml(group.title)}</h4>
+                        <span class="acf-clone-group-count"></span>
+                        <span class="acf-clone-group-select">
+                            <button type="button" class="button-link acf-clone-field-select" data-select="all" data-group="${groupKey}">All</button>
+                            <button type="button" class="button-link acf-clone-field-select" data-select="none" data-group="${groupKey}">None</button>
+                        </span>
+                        <span class="acf-clone-group-toggle">+</span>
+                    </div>
+                    <div class="acf-clone-group-fields">
+            `;
+
+            if (group.fields && group.fields.length > 0) {
+                group.fields.forEach(field => {
+                    html += this.renderField(field, groupKey);
+                });
+            } else {
+                html += '<p class="acf-clone-text-muted">No fields found in this group.</p>';
+            }
+
+            html += `
+                    </div>
+                </div>
+            `;
+
+            return html;
+        },
+
+        /**
+         * Render individual field
+         */
+        renderField: function(field, groupKey) {
+            const hasValue = field.has_value ? 'acf-clone-field-has-value' : 'acf-clone-field-empty';
+            const conflictClass = field.will_overwrite ? 'acf-clone-field-conflict' : '';
+            const isSelected = this.state.selectedFields.some(f => f.key === field.key);
+            const isUnmappable = this.state.crossType && (field.mapping_targets || []).length === 0;
+            
+            let html = `
+                <div class="acf-clone-field-item ${conflictClass}" data-field="${this.escapeHtml(field.key)}">
+                    <div class="acf-clone-field-checkbox">
+                        <input type="checkbox" 
+                               id="acf_clone_${this.escapeHtml(field.key)}" 
+                               value="${this.escapeHtml(field.key)}" 
+                               data-group="${groupKey}"${isSelected ? ' checked' : ''}${isUnmappable ? ' disabled' : ''}>
+                    </div>
+                    <div class="acf-clone-field-info">
+                        <div class="acf-clone-field-label">${this.escapeHtml(field.label)}</div>
+                        <div class="acf-clone-field-name">${this.escapeHtml(field.name)}</div>
+                        <div class="acf-clone-field-type">${field.type}</div>
+            `;
+
+            const renderer = this.fieldTypes[field.type];
+            if (renderer && typeof renderer.renderPreview === 'function') {
+                html += `<div class="acf-clone-field-preview">${renderer.renderPreview.call(this, field)}</div>`;
+            } else if (field.preview) {
+                html += `<div class="acf-clone-field-preview">${this.escapeHtml(field.preview)}</div>`;
+            }
+
+            if (field.will_overwrite) {
+                html += `<div class="acf-clone-field-conflict-warning">⚠️ Will overwrite existing data</div>`;
+            }
+
+            // Values are only compared between posts of the same type
+            const compareHtml = this.state.crossType ? this.renderFieldMapping(field) : `
+                        <button type="button" class="button-link acf-clone-field-compare" data-field-key="${this.escapeHtml(field.key)}" aria-expanded="false">
+                            Compare values
+                        </button>
+                        <div class="acf-clone-field-diff" style="display: none;"></div>`;
+
+            html += `
+                        ${compareHtml}
+                        ${this.renderFieldParts(field, groupKey)}
+                    </div>
+                    <div class="acf-clone-field-status ${hasValue}">
+                        ${field.has_value ? 'Has Value' : 'Empty'}
+                    </div>
+                </div>
+            `;
+
+            return html;
+        },
+
+        /**
+         * Render the target field picker of a cross-type clone
+         *
+         * Only type-compatible fields of this post are offered.
+         *
+         * @param {Object} field - Field data from acf_clone_get_source_fields
+         * @returns {string} HTML
+         */
+        renderFieldMapping: function(field) {
+            const targetKeys = field.mapping_targets || [];
+
+            if (targetKeys.length === 0) {
+                return '<div class="acf-clone-field-mapping acf-clone-text-muted">No compatible field in this post</div>';
+            }
+
+            const current = this.state.fieldMapping[field.key] || '';
+            const options = this.state.targetFields
+                .filter(target => targetKeys.includes(target.key))
+                .map(target => {
+                    const selected = target.key === current ? ' selected' : '';
+                    return `<option value="${this.escapeHtml(target.key)}"${selected}>${this.escapeHtml(target.label)} (${this.escapeHtml(target.group)})</option>`;
+                })
+                .join('');
+
+            return `
+                <label class="acf-clone-field-mapping">
+                    Copy into
+                    <select data-field="${this.escapeHtml(field.key)}">
+                        <option value="">— Choose a field —</option>
+                        ${options}
+                    </select>
+                </label>
+            `;
+        },
+
+        /**
+         * Store the target field picked for a source field
+         */
+        onFieldMappingChange: function(e) {
+            const $select = $(e.target);
+            const fieldKey = String($select.data('field'));
+            const targetKey = $select.val();
+
+            if (targetKey) {
+                this.state.fieldMapping[fieldKey] = targetKey;
+            } else {
+                delete this.state.fieldMapping[fieldKey];
+            }
+
+            this.log('Field mapping updated', this.state.fieldMapping);
+            this.scheduleValidation();
+        },
+
+        /**
+         * Get the label of the target field a source field is mapped to
+         *
+         * @param {string} fieldKey - Source field key
+         * @returns {string} Target field label, empty when unmapped
+         */
+        getMappedFieldLabel: function(fieldKey) {
+            const target = this.state.targetFields.find(t => t.key === this.state.fieldMapping[fieldKey]);
+            return target ? target.label : '';
+        },
+
+        /**
+         * Render row/sub-field pickers for container fields
+         *
+         * Repeaters offer rows and sub-fields, groups sub-fields and flexible
+         * content its layout rows. Everything starts ticked (whole field).
+         *
+         * @param {Object} field - Field data from acf_clone_get_source_fields
+         * @param {string} groupKey - Field group key
+         * @returns {string} HTML, empty for other field types
+         */
+        renderFieldParts: function(field, groupKey) {
+            const rows = (field.type === 'repeater' || field.type === 'flexible_content') ? (field.rows || []) : [];
+            const subFields = (field.type === 'repeater' || field.type === 'group') ? (field.sub_fields || []) : [];
+
+            if (rows.length === 0 && subFields.length === 0) {
+                return '';
+            }
+
+            const parts = this.state.fieldParts[field.key] || {};
+            const toggleLabels = {
+                repeater: 'Choose rows and sub-fields',
+                group: 'Choose sub-fields',
+                flexible_content: 'Choose layouts'
+            };
+
+            let html = `
+                <button type="button" class="button-link acf-clone-field-parts-toggle" aria-expanded="false">
+                    ${toggleLabels[field.type]}
+                </button>
+                <div class="acf-clone-field-parts" data-field="${this.escapeHtml(field.key)}" data-group="${groupKey}" style="display: none;">
+            `;
+
+            if (rows.length > 0) {
+                html += `
+                    <div class="acf-clone-field-parts-section" data-part="rows">
+                        <div class="acf-clone-field-parts-heading">${field.type === 'flexible_content' ? 'Layouts' : 'Rows'}</div>
+                `;
+
+                rows.forEach(row => {
+                    const checked = !parts.rows || parts.rows.includes(row.index) ? ' checked' : '';
+                    let label = `Row ${row.index + 1}`;
+                    if (row.layout) {
+                        label += `: ${row.layout}`;
+                    }
+                    if (row.summary) {
+                        label += ` — ${row.summary}`;
+                    }
+
+                    html += `
+                        <label class="acf-clone-field-part">
+                            <input type="checkbox" class="acf-clone-part-row" value="${row.index}"${checked}>
+                            ${this.escapeHtml(label)}
+                        </label>
+                    `;
+                });
+
+                html += '</div>';
+            }
+
+            if (subFields.length > 0) {
+                html += `
+                    <div class="acf-clone-field-parts-section" data-part="sub_fields">
+                        <div class="acf-clone-field-parts-heading">Sub-fields</div>
+                `;
+
+                subFields.forEach(subField => {
+                    const checked = !parts.sub_fields || parts.sub_fields.includes(subField.key) ? ' checked' : '';
+                    html += `
+                        <label class="acf-clone-field-part">
+                            <input type="checkbox" class="acf-clone-part-sub-field" value="${this.escapeHtml(subField.key)}"${checked}>
+                            ${this.escapeHtml(subField.label)} <span class="acf-clone-field-type">${this.escapeHtml(subField.type)}</span>
+                        </label>
+                    `;
+                });
+
+                html += '</div>';
+            }
+
+            html += '</div>';
+
+            return html;
+        },
+
+        /**
+         * Toggle the row/sub-field picker of a field
+         */
+        toggleFieldParts: function(e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const $panel = $button.siblings('.acf-clone-field-parts');
+
+            $panel.toggle();
+            $button.attr('aria-expanded', $panel.is(':visible') ? 'true' : 'false');
+        },
+
+        /**
+         * Handle a row/sub-field tick
+         *
+         * Stores only partial selections; a fully ticked section means "all".
+         * Ticking a part selects the field, unticking every row or sub-field
+         * deselects it.
+         */
+        onFieldPartChange: function(e) {
+            const $panel = $(e.target).closest('.acf-clone-field-parts');
+            const fieldKey = String($panel.data('field'));
+            const $fieldCheckbox = $panel.closest('.acf-clone-field-item').find('.acf-clone-field-checkbox input');
+            const parts = {};
+            let emptySection = false;
+
+            $panel.find('.acf-clone-field-parts-section').each((index, section) => {
+                const $section = $(section);
+                const $inputs = $section.find('input');
+                const $checked = $inputs.filter(':checked');
+
+                if ($checked.length === 0) {
+                    emptySection = true;
+                } else if ($checked.length < $inputs.length) {
+                    const values = $checked.map((i, input) => input.value).get();
+                    parts[$section.data('part')] = $section.data('part') === 'rows' ? values.map(Number) : values;
+                }
+            });
+
+            if (Object.keys(parts).length > 0) {
+                this.state.fieldParts[fieldKey] = parts;
+            } else {
+                delete this.state.fieldParts[fieldKey];
+            }
+
+            if (emptySection === $fieldCheckbox.is(':checked')) {
+                $fieldCheckbox.prop('checked', !emptySection).trigger('change');
+            }
+
+            this.log('Field parts updated', this.state.fieldParts);
+        },
+
+        /**
+         * Describe a partial selection for the confirmation step
+         *
+         * @param {Object} fieldData - Field data from acf_clone_get_source_fields
+         * @returns {string} Description, empty when the whole field is selected
+         */
+        describeFieldParts: function(fieldData) {
+            const parts = this.state.fieldParts[fieldData.key];
+            const description = [];
+
+            if (!parts) {
+                return '';
+            }
+
+            if (parts.rows) {
+                const noun = fieldData.type === 'flexible_content' ? 'layouts' : 'rows';
+                description.push(`${noun} ${parts.rows.map(index => index + 1).join(', ')}`);
+            }
+
+            if (parts.sub_fields) {
+                description.push(`${parts.sub_fields.length} of ${(fieldData.sub_fields || []).length} sub-fields`);
+            }
+
+            return description.join('; ');
+        },
+
+        /**
+         * Toggle field group expand/collapse
+         */
+        toggleFieldGroup: function(e) {
+            const $group = $(e.currentTarget).closest('.acf-clone-field-group');
+
+            this.setGroupExpanded($group, !$group.find('.acf-clone-group-fields').hasClass('expanded'));
+        },
+
+        /**
+         * Expand or collapse field groups
+         *
+         * @param {jQuery} $groups - Field group elements
+         * @param {boolean} expanded - Expand (true) or collapse (false)
+         */
+        setGroupExpanded: function($groups, expanded) {
+            $groups.find('.acf-clone-group-fields').toggleClass('expanded', expanded);
+            $groups.find('.acf-clone-group-toggle').text(expanded ? '−' : '+');
+        },
+
+        /**
+         * Expand or collapse all shown field groups
+         */
+        onGroupsToggle: function(e) {
+            e.preventDefault();
+
+            this.setGroupExpanded($('.acf-clone-field-group:visible'), String($(e.currentTarget).data('expand')) === '1');
+        },
+
+        /**
+         * Render the filter and bulk selection controls of step 2
+         *
+         * @returns {string} HTML
+         */
+        renderFieldToolbar: function() {
+            const filter = this.state.fieldFilter;
+
+            return `
+                <div class="acf-clone-field-toolbar">
+                    <input type="search" class="acf-clone-field-search" placeholder="Filter by label, name or type…" aria-label="Filter fields" value="${this.escapeHtml(filter.search)}">
+                    <label>
+                        <input type="checkbox" class="acf-clone-field-filter" data-filter="withValues"${filter.withValues ? ' checked' : ''}>
+                        Only fields with values
+                    </label>
+                    <label>
+                        <input type="checkbox" class="acf-clone-field-filter" data-filter="conflicts"${filter.conflicts ? ' checked' : ''}>
+                        Only conflicts
+                    </label>
+                </div>
+                <div class="acf-clone-field-bulk-actions">
+                    <button type="button" class="button-link acf-clone-field-select" data-select="all">Select all shown</button>
+                    <button type="button" class="button-link acf-clone-field-select" data-select="none">Select none shown</button>
+                    <button type="button" class="button-link acf-clone-groups-toggle" data-expand="1">Expand all</button>
+                    <button type="button" class="button-link acf-clone-groups-toggle" data-expand="0">Collapse all</button>
+                    <span class="acf-clone-field-filter-count acf-clone-text-muted"></span>
+                </div>
+            `;
+        },
+
+        /**
+         * Filter the fields by the text typed in the filter box
+         */
+        onFieldSearchInput: function(e) {
+            this.state.fieldFilter.search = $(e.target).val().trim();
+            this.applyFieldFilter();
+        },
+
+        /**
+         * Toggle the "only fields with values" and "only conflicts" filters
+         */
+        onFieldFilterChange: function(e) {
+            const $checkbox = $(e.target);
+
+            this.state.fieldFilter[$checkbox.data('filter')] = $checkbox.is(':checked');
+            this.applyFieldFilter();
+        },
+
+        /**
+         * Check whether any field filter is active
+         *
+         * @returns {boolean} True when a filter narrows the fields
+         */
+        hasFieldFilter: function() {
+            const filter = this.state.fieldFilter;
+
+            return filter.search !== '' || filter.withValues || filter.conflicts;
+        },
+
+        /**
+         * Check a source field against the field filters
+         *
+         * @param {Object} field - Field data from the source fields
+         * @returns {boolean} True when the field is shown
+         */
+        matchesFieldFilter: function(field) {
+            const filter = this.state.fieldFilter;
+            const search = filter.search.toLowerCase();
+
+            if ((filter.withValues && !field.has_value) || (filter.conflicts && !field.will_overwrite)) {
+                return false;
+            }
+
+            return search === '' || [field.label, field.name, field.type].some(value => String(value || '').toLowerCase().includes(search));
+        },
+
+        /**
+         * Show only the fields matching the filters
+         *
+         * Hidden fields keep their selection; the summary counts the
+         * selected fields the filters hide. While filtering, groups without
+         * matches are hidden and groups with matches expanded.
+         */
+        applyFieldFilter: function() {
+            const filtering = this.hasFieldFilter();
+            let shownCount = 0;
+            let totalCount = 0;
+
+            $('.acf-clone-field-group').each((index, groupElement) => {
+                const $group = $(groupElement);
+                let groupShown = 0;
+
+                $group.find('.acf-clone-field-item').each((i, item) => {
+                    const field = this.findSourceField(String($(item).data('field')));
+                    const shown = !field || this.matchesFieldFilter(field);
+
+                    $(item).toggleClass('acf-clone-filtered-out', !shown);
+                    groupShown += shown ? 1 : 0;
+                    totalCount++;
+                });
+
+                shownCount += groupShown;
+                $group.toggleClass('acf-clone-filtered-out', filtering && groupShown === 0);
+
+                if (filtering && groupShown > 0) {
+                    this.setGroupExpanded($group, true);
+                }
+            });
+
+            $('.acf-clone-field-filter-count').text(filtering ? `${shownCount} of ${totalCount} fields shown` : '');
+            $('.acf-clone-field-groups').toggleClass('acf-clone-no-matches', filtering && shownCount === 0);
+
+            this.updateSelectionSummary();
+        },
+
+        /**
+         * Select or deselect all shown fields, of one group or of every group
+         *
+         * Fields hidden by the filters and fields that cannot be selected
+         * are left as they are.
+         */
+        onFieldBulkSelect: function(e) {
+            e.preventDefault();
+            // Keep the group header from toggling
+            e.stopPropagation();
+
+            const $button = $(e.currentTarget);
+            const select = $button.data('select') === 'all';
+            const groupKey = $button.data('group');
+            const $scope = groupKey !== undefined
+                ? $button.closest('.acf-clone-field-group')
+                : $('.acf-clone-field-groups');
+
+            $scope.find('.acf-clone-field-item:not(.acf-clone-filtered-out) .acf-clone-field-checkbox input:not(:disabled)').each((index, input) => {
+                if (input.checked !== select) {
+                    $(input).prop('checked', select);
+                    this.setFieldSelected($(input));
+                }
+            });
+
+            this.updateSelectionSummary();
+            this.log('Field selection updated', this.state.selectedFields);
+        },
+
+        /**
+         * Handle field selection
+         */
+        onFieldSelect: function(e) {
+            this.setFieldSelected($(e.target));
+            this.updateSelectionSummary();
+            this.log('Field selection updated', this.state.selectedFields);
+        },
+
+        /**
+         * Add a field to the selection or remove it, as its checkbox says
+         *
+         * @param {jQuery} $checkbox - Field checkbox
+         */
+        setFieldSelected: function($checkbox) {
+            const fieldKey = $checkbox.val();
+            const groupKey = $checkbox.data('group');
+            const isChecked = $checkbox.is(':checked');
+
+            if (isChecked) {
+                const fieldData = this.findSourceField(fieldKey);
+
+                this.state.selectedFields.push({
+                    key: fieldKey,
+                    name: fieldData ? fieldData.name : '',
+                    group: groupKey
+                });
+
+                // Re-selecting a field whose parts were all unticked selects it whole again
+                const $parts = $checkbox.closest('.acf-clone-field-item').find('.acf-clone-field-parts');
+                if ($parts.find('.acf-clone-field-parts-section').filter((i, section) => $(section).find('input:checked').length === 0).length) {
+                    $parts.find('input').prop('checked', true);
+                    delete this.state.fieldParts[fieldKey];
+                }
+            } else {
+                this.state.selectedFields = this.state.selectedFields.filter(field => field.key !== fieldKey);
+            }
+        },
+
+        /**
+         * Find a field of the loaded source by its key
+         *
+         * @param {string} fieldKey - ACF field key
+         * @returns {Object|null} Field data from the source fields, null if not loaded
+         */
+        findSourceField: function(fieldKey) {
+            for (const group of this.state.sourceFields) {
+                const field = group.fields.find(f => f.key === fieldKey);
+                if (field) {
+                    return field;
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Update selection summary
+         */
+        updateSelectionSummary: function() {
+            const selectedCount = this.state.selectedFields.length;
+            const $summary = $('.acf-clone-selection-summary');
+            
+            if (selectedCount > 0) {
+                $summary.show();
+                
+                // Count unique groups
+                const uniqueGroups = new Set(this.state.selectedFields.map(f => f.group));
+                
+                // Count conflicts (fields that will overwrite)
+                let conflictCount = 0;
+                this.state.selectedFields.forEach(selected => {
+                    const $fieldItem = $(`.acf-clone-field-item[data-field="${selected.key}"]`);
+                    if ($fieldItem.hasClass('acf-clone-field-conflict')) {
+                        conflictCount++;
+                    }
+                });
+
+                // Count selected fields the filters hide
+                const hiddenCount = this.state.selectedFields
+                    .filter(selected => $(`.acf-clone-field-item[data-field="${selected.key}"]`).hasClass('acf-clone-filtered-out'))
+                    .length;
+
+                $('#selected-count').text(selectedCount);
+                $('#groups-count').text(uniqueGroups.size);
+                $('#conflicts-count').text(conflictCount);
+                $('#hidden-count').text(hiddenCount);
+                $('.acf-clone-summary-hidden').toggle(hiddenCount > 0);
+
+                $('.acf-clone-next-step').prop('disabled', false);
+            } else {
+                $summary.hide();
+                $('.acf-clone-next-step').prop('disabled', true);
+            }
+
+            $('.acf-clone-field-group').each((index, group) => {
+                const selected = $(group).find('.acf-clone-field-checkbox input:checked').length;
+                $(group).find('.acf-clone-group-count').text(selected > 0 ? `${selected} selected` : '');
+            });
+
+            this.scheduleValidation();
+        },
+
+        /**
+         * Render the preset bar of step 2
+         *
+         * Applies a saved preset, saves the current selection as one and
+         * deletes presets the user may edit.
+         *
+         * @returns {string} HTML
+         */
+        renderPresetBar: function() {
+            const active = this.state.presets.find(p => p.id === this.state.activePresetId);
+            const options = this.state.presets.map(preset => {
+                const selected = active && preset.id === active.id ? ' selected' : '';
+                const suffix = preset.shared ? ' (shared)' : '';
+                return `<option value="${this.escapeHtml(preset.id)}"${selected}>${this.escapeHtml(preset.name)}${suffix}</option>`;
+            }).join('');
+
+            // Revisions and backups belong to this post, so only posts are remembered
+            const rememberHtml = this.isHistorySource() || this.isObjectSource() ? '' : `
+                        <label>
+                            <input type="checkbox" class="acf-clone-preset-remember-source"${active && active.source_post_id ? ' checked' : ''}>
+                            Remember the source post
+                        </label>`;
+
+            const shareHtml = this.config.canSharePresets ? `
+                        <label>
+                            <input type="checkbox" class="acf-clone-preset-share"${active && active.shared ? ' checked' : ''}>
+                            Share with all users
+                        </label>` : '';
+
+            return `
+                <div class="acf-clone-presets">
+                    <div class="acf-clone-presets-toolbar">
+                        <select class="acf-clone-preset-select" aria-label="Preset"${this.state.presets.length ? '' : ' disabled'}>
+                            <option value="">${this.state.presets.length ? '— Apply a preset —' : 'No presets saved yet'}</option>
+                            ${options}
+                        </select>
+                        <button type="button" class="button-link acf-clone-preset-delete"${active && active.editable ? '' : ' style="display: none;"'}>
+                            Delete preset
+                        </button>
+                        <button type="button" class="button acf-clone-preset-save-toggle" aria-expanded="false">
+                            Save selection as preset
+                        </button>
+                    </div>
+                    <div class="acf-clone-preset-form" style="display: none;">
+                        <input type="text" class="acf-clone-preset-name" placeholder="Preset name" value="${active && active.editable ? this.escapeHtml(active.name) : ''}">${rememberHtml}${shareHtml}
+                        <button type="button" class="button button-primary acf-clone-preset-save">Save preset</button>
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * Apply the preset picked in the step 2 preset bar
+         */
+        onPresetSelect: function(e) {
+            const presetId = $(e.target).val();
+            const preset = this.state.presets.find(p => p.id === presetId);
+
+            if (preset) {
+                this.applyPreset(preset);
+            }
+        },
+
+        /**
+         * Apply a preset to the loaded source fields and re-render step 2
+         *
+         * Fields the source post doesn't have (or, across post types, that
+         * have no compatible target field) are left out with a notice.
+         * Presets saved before fields were identified by key are matched by
+         * field name, and their settings looked up by name.
+         *
+         * @param {Object} preset - Preset (see PRESETS in the header)
+         */
+        applyPreset: function(preset) {
+            const byKey = {};
+            const byName = {};
+
+            this.state.sourceFields.forEach((group, index) => {
+                const groupKey = group.key || 'group_' + index;
+                group.fields.forEach(field => {
+                    if (!this.state.crossType || (field.mapping_targets || []).length > 0) {
+                        byKey[field.key] = { group: groupKey, field: field };
+                        byName[field.name] = byName[field.name] || byKey[field.key];
+                    }
+                });
+            });
+
+            const find = field => (field.key ? byKey[field.key] : byName[field.name]) || null;
+            const fields = (preset.fields || []).filter(field => find(field));
+            const missing = (preset.fields || []).length - fields.length;
+            const pick = (values, field) => values ? values[field.key || field.name] || null : null;
+
+            this.state.selectedFields = [];
+            this.state.fieldParts = {};
+            this.state.mergeStrategies = {};
+
+            fields.forEach(field => {
+                const available = find(field);
+                const key = available.field.key;
+                const parts = pick(preset.field_parts, field);
+                const strategy = pick(preset.merge_strategies, field);
+                const target = pick(preset.field_mapping, field);
+
+                if (this.state.selectedFields.some(selected => selected.key === key)) {
+                    return;
+                }
+
+                this.state.selectedFields.push({ key: key, name: available.field.name, group: available.group });
+
+                if (parts) {
+                    this.state.fieldParts[key] = {};
+                    if (parts.rows) {
+                        this.state.fieldParts[key].rows = parts.rows.map(Number);
+                    }
+                    if (parts.sub_fields) {
+                        this.state.fieldParts[key].sub_fields = parts.sub_fields;
+                    }
+                }
+                if (strategy) {
+                    this.state.mergeStrategies[key] = strategy;
+                }
+                // Saved targets win over the same-name suggestions
+                if (this.state.crossType && target && (available.field.mapping_targets || []).includes(target)) {
+                    this.state.fieldMapping[key] = target;
+                }
+            });
+
+            this.state.cloneOptions = {
+                create_backup: preset.options ? !!preset.options.create_backup : true,
+                empty_values: (preset.options && preset.options.empty_values) || this.config.emptyValues,
+                duplicate_attachments: !!(preset.options && preset.options.duplicate_attachments),
+                duplicate_posts: !!(preset.options && preset.options.duplicate_posts),
+                dry_run: false
+            };
+            this.state.activePresetId = preset.id;
+
+            this.log('Preset applied', preset);
+            this.renderFieldsStep();
+
+            if (missing > 0) {
+                this.showNotice(`${missing} field(s) of the preset are not available in this source post and were skipped.`);
+            }
+        },
+
+        /**
+         * Show or hide the save preset form
+         */
+        togglePresetForm: function(e) {
+            e.preventDefault();
+
+            const $form = $('.acf-clone-preset-form');
+            $form.toggle();
+            $(e.currentTarget).attr('aria-expanded', $form.is(':visible') ? 'true' : 'false');
+
+            if ($form.is(':visible')) {
+                $form.find('.acf-clone-preset-name').trigger('focus');
+            }
+        },
+
+        /**
+         * Save the current selection as a preset
+         *
+         * Saving under the name of the active editable preset updates it.
+         */
+        savePreset: function(e) {
+            e.preventDefault();
+
+            const name = $.trim($('.acf-clone-preset-name').val());
+            const active = this.state.presets.find(p => p.id === this.state.activePresetId);
+            const shared = $('.acf-clone-preset-share').is(':checked');
+
+            if (!name) {
+                this.showNotice('Enter a name for the preset.');
+                return;
+            }
+
+            if (this.state.selectedFields.length === 0) {
+                this.showNotice('Select at least one field to save as a preset.');
+                return;
+            }
+
+            const selection = this.getSelectionSettings();
+            const options = this.state.cloneOptions || { create_backup: true, empty_values: this.config.emptyValues };
+            const isUpdate = active && active.editable && active.name === name && active.shared === shared;
+
+            $('.acf-clone-preset-save').prop('disabled', true);
+
+            this.apiRequest('/presets', 'POST', {
+                post_type: this.config.postType,
+                preset: {
+                    id: isUpdate ? active.id : '',
+                    name: name,
+                    shared: shared,
+                    source_post_id: !this.isHistorySource() && $('.acf-clone-preset-remember-source').is(':checked') ? this.state.selectedSource : 0,
+                    fields: this.state.selectedFields,
+                    field_parts: selection.fieldParts,
+                    merge_strategies: selection.mergeStrategies,
+                    field_mapping: selection.fieldMapping,
+                    options: {
+                        create_backup: options.create_backup,
+                        empty_values: options.empty_values,
+                        duplicate_attachments: !!options.duplicate_attachments,
+                        duplicate_posts: !!options.duplicate_posts
+                    }
+                }
+            }).then(
+                data => {
+                    this.state.activePresetId = data.preset.id;
+                    this.onPresetsChanged(data.presets);
+                    this.showNotice(`Preset "${data.preset.name}" saved.`);
+                },
+                error => {
+                    $('.acf-clone-preset-save').prop('disabled', false);
+                    this.showNotice(this.requestErrorMessage(error, 'Failed to save preset'));
+                }
+            );
+        },
+
+        /**
+         * Delete the active preset
+         */
+        deletePreset: function(e) {
+            e.preventDefault();
+
+            const preset = this.state.presets.find(p => p.id === this.state.activePresetId);
+
+            if (!preset || !window.confirm(`Delete the preset "${preset.name}"?`)) {
+                return;
+            }
+
+            this.apiRequest(`/presets/${encodeURIComponent(preset.id)}`, 'DELETE', {
+                post_type: this.config.postType
+            }).then(
+                data => {
+                    this.state.activePresetId = '';
+                    this.onPresetsChanged(data.presets);
+                    this.showNotice(`Preset "${preset.name}" deleted.`);
+                },
+                error => this.showNotice(this.requestErrorMessage(error, 'Failed to delete preset'))
+            );
+        },
+
+        /**
+         * Store an updated preset list and refresh the preset bar and meta box
+         *
+         * @param {Array<Object>} presets - Presets from the server
+         */
+        onPresetsChanged: function(presets) {
+            this.state.presets = presets || [];
+            $('.acf-clone-presets').replaceWith(this.renderPresetBar());
+
+            const $metaBoxPresets = $('.acf-clone-metabox-presets');
+            $metaBoxPresets.remove();
+
+            if (this.state.presets.length === 0) {
+                return;
+            }
+
+            const items = this.state.presets.map(preset => `
+                <li>
+                    <button type="button" class="button-link acf-clone-apply-preset" data-preset-id="${this.escapeHtml(preset.id)}">${this.escapeHtml(preset.name)}</button>
+                    ${preset.shared ? '<span class="acf-clone-preset-shared">Shared</span>' : ''}
+                </li>
+            `).join('');
+
+            $('.acf-clone-fields-metabox .acf-clone-actions .description').first().after(`
+                <div class="acf-clone-metabox-presets">
+                    <h4>Presets</h4>
+                    <ul>${items}</ul>
+                </div>
+            `);
+        },
+
+        /**
+         * Toggle the value comparison panel of a field in step 2
+         *
+         * Values are fetched on first open and cached for the current source.
+         */
+        toggleFieldDiff: function(e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const $panel = $button.siblings('.acf-clone-field-diff');
+            const fieldKey = String($button.data('field-key'));
+
+            if ($panel.is(':visible')) {
+                $panel.hide();
+                $button.attr('aria-expanded', 'false');
+                return;
+            }
+
+            $button.attr('aria-expanded', 'true');
+            $panel.html('<div class="acf-clone-text-muted">Loading values...</div>').show();
+
+            this.fetchFieldDiffs([fieldKey])
+                .done(() => {
+                    $panel.html(this.renderFieldDiff(this.state.fieldDiffs[fieldKey], false));
+                })
+                .fail(message => {
+                    $panel.html(`<div class="acf-clone-diff-error">${this.escapeHtml(message)}</div>`);
+                });
+        },
+
+        /**
+         * Show the comparison of every selected field in step 3
+         */
+        showSelectedDiffs: function(e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const $list = $('.acf-clone-diff-list');
+            const fieldKeys = this.getSelectedFieldKeys();
+
+            $button.prop('disabled', true);
+            $list.html('<div class="acf-clone-text-muted">Loading values...</div>');
+
+            this.fetchFieldDiffs(fieldKeys)
+                .done(() => {
+                    $button.hide();
+                    $list.html(fieldKeys.map(key => this.renderFieldDiff(this.state.fieldDiffs[key], true)).join(''));
+                })
+                .fail(message => {
+                    $button.prop('disabled', false);
+                    $list.html(`<div class="acf-clone-diff-error">${this.escapeHtml(message)}</div>`);
+                });
+        },
+
+        /**
+         * Get the field keys of the current selection
+         *
+         * @returns {Array<string>} Field keys
+         */
+        getSelectedFieldKeys: function() {
+            return this.state.selectedFields.map(selected => selected.key);
+        },
+
+        /**
+         * Fetch comparison data for fields not cached yet
+         *
+         * @param {Array<string>} fieldKeys - Field keys to compare
+         * @returns {Promise} Resolved once state.fieldDiffs holds the fields,
+         *                    rejected with an error message
+         */
+        fetchFieldDiffs: function(fieldKeys) {
+            const deferred = $.Deferred();
+            const missing = fieldKeys.filter(key => !this.state.fieldDiffs[key]);
+            const sourceId = this.state.selectedSource;
+
+            if (missing.length === 0) {
+                return deferred.resolve().promise();
+            }
+
+            if (this.state.selectedBackup) {
+                return this.fetchBackupDiffs(deferred);
+            }
+
+            const objectId = this.state.selectedObject;
+            const request = objectId
+                ? this.apiRequest('/objects/field-diff', 'GET', {
+                    source: objectId,
+                    target: this.getTargetId(),
+                    field_keys: missing
+                })
+                : this.apiRequest('/field-diff', 'GET', {
+                    target_post_id: this.config.postId,
+                    source_post_id: sourceId,
+                    field_keys: missing
+                });
+
+            request.then(
+                data => {
+                    this.log('Field diff loaded', data);
+
+                    // Source changed while the request was running
+                    if (sourceId !== this.state.selectedSource || objectId !== this.state.selectedObject) {
+                        deferred.reject('The source post has changed.');
+                        return;
+                    }
+
+                    data.fields.forEach(diff => {
+                        this.state.fieldDiffs[diff.key] = diff;
+                    });
+                    deferred.resolve();
+                },
+                error => deferred.reject(this.requestErrorMessage(error, 'Failed to load field values'))
+            );
+
+            return deferred.promise();
+        },
+
+        /**
+         * Fetch comparison data of every field from the selected backup
+         *
+         * The backup preview compares each backed-up value with the current
+         * one, keyed as stored in the backup (field key or name).
+         *
+         * @param {jQuery.Deferred} deferred - Deferred of fetchFieldDiffs
+         * @returns {Promise} As for fetchFieldDiffs
+         */
+        fetchBackupDiffs: function(deferred) {
+            const backupId = this.state.selectedBackup;
+
+            this.apiRequest(`/backups/${backupId}`, 'GET').then(
+                data => {
+                    this.log('Backup diff loaded', data);
+
+                    if (backupId !== this.state.selectedBackup) {
+                        deferred.reject('The source has changed.');
+                        return;
+                    }
+
+                    // Backup entries are keyed by field key, like the source fields
+                    data.fields.forEach(diff => {
+                        this.state.fieldDiffs[diff.key] = diff;
+                    });
+                    deferred.resolve();
+                },
+                error => deferred.reject(this.requestErrorMessage(error, 'Failed to load field values'))
+            );
+
+            return deferred.promise();
+        },
+
+        /**
+         * Render the comparison of one field
+         *
+         * @param {Object} diff - Field diff entry from the field-diff route
+         * @param {boolean} withHeading - Whether to print the field label
+         * @param {string} [sourceLabel] - Heading of the incoming value column
+         * @returns {string} HTML
+         */
+        renderFieldDiff: function(diff, withHeading, sourceLabel) {
+            if (!diff) {
+                return '<div class="acf-clone-diff-error">Values for this field are not available.</div>';
+            }
+
+            let html = '<div class="acf-clone-diff">';
+
+            if (withHeading) {
+                html += `
+                    <div class="acf-clone-diff-title">
+                        <strong>${this.escapeHtml(diff.label)}</strong>
+                        <span class="acf-clone-field-type">${this.escapeHtml(diff.type)}</span>
+                    </div>
+                `;
+            }
+
+            if (diff.identical) {
+                html += '<div class="acf-clone-diff-identical">Values are identical. Nothing will change.</div>';
+            }
+
+            switch (diff.kind) {
+                case 'rows':
+                case 'layouts':
+                    html += this.renderRowsDiff(diff.target || [], diff.source || [], diff.kind === 'layouts');
+                    break;
+
+                case 'group':
+                    html += this.renderEntriesDiff(diff.target || [], diff.source || []);
+                    break;
+
+                default:
+                    html += this.renderTextDiff(diff.target, diff.source, sourceLabel);
+            }
+
+            html += '</div>';
+
+            return html;
+        },
+
+        /**
+         * Render a scalar value diff as two columns
+         *
+         * @param {*} before - Current target value
+         * @param {*} after - Incoming source value
+         * @param {string} [afterLabel] - Heading of the incoming value column
+         * @returns {string} HTML
+         */
+        renderTextDiff: function(before, after, afterLabel) {
+            const diff = this.diffText(this.diffValueToText(before), this.diffValueToText(after));
+
+            return `
+                <div class="acf-clone-diff-columns">
+                    <div class="acf-clone-diff-column acf-clone-diff-before">
+                        <div class="acf-clone-diff-heading">Current value</div>
+                        <div class="acf-clone-diff-value">${diff.before || '<em class="acf-clone-text-muted">(empty)</em>'}</div>
+                    </div>
+                    <div class="acf-clone-diff-column acf-clone-diff-after">
+                        <div class="acf-clone-diff-heading">${this.escapeHtml(afterLabel || 'Source value')}</div>
+                        <div class="acf-clone-diff-value">${diff.after || '<em class="acf-clone-text-muted">(empty)</em>'}</div>
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * Render a repeater or flexible content diff row by row
+         *
+         * @param {Array} beforeRows - Current target rows
+         * @param {Array} afterRows - Incoming source rows
+         * @param {boolean} isLayouts - Rows are flexible content layouts
+         * @returns {string} HTML
+         */
+        renderRowsDiff: function(beforeRows, afterRows, isLayouts) {
+            const rowCount = Math.max(beforeRows.length, afterRows.length);
+
+            if (rowCount === 0) {
+                return '<div class="acf-clone-text-muted">No rows in either post.</div>';
+            }
+
+            let html = '<div class="acf-clone-diff-rows">';
+
+            for (let i = 0; i < rowCount; i++) {
+                const before = beforeRows[i];
+                const after = afterRows[i];
+                let status = 'changed';
+                let statusLabel = 'Changed';
+
+                if (before === undefined) {
+                    status = 'added';
+                    statusLabel = 'Added';
+                } else if (after === undefined) {
+                    status = 'removed';
+                    statusLabel = 'Removed';
+                } else if (JSON.stringify(before) === JSON.stringify(after)) {
+                    status = 'unchanged';
+                    statusLabel = 'Unchanged';
+                }
+
+                let title = `Row ${i + 1}`;
+                if (isLayouts) {
+                    const beforeLayout = before ? before.layout : '';
+                    const afterLayout = after ? after.layout : '';
+                    const layoutLabel = beforeLayout && afterLayout && beforeLayout !== afterLayout
+                        ? `${beforeLayout} → ${afterLayout}`
+                        : (afterLayout || beforeLayout);
+                    title += `: ${layoutLabel}`;
+                }
+
+                html += `
+                    <div class="acf-clone-diff-row acf-clone-diff-row-${status}">
+                        <div class="acf-clone-diff-row-header">
+                            <span>${this.escapeHtml(title)}</span>
+                            <span class="acf-clone-diff-badge">${statusLabel}</span>
+                        </div>
+                `;
+
+                if (status !== 'unchanged') {
+                    const beforeEntries = before ? (isLayouts ? before.fields : before) : [];
+                    const afterEntries = after ? (isLayouts ? after.fields : after) : [];
+                    html += this.renderEntriesDiff(beforeEntries, afterEntries);
+                }
+
+                html += '</div>';
+            }
+
+            html += '</div>';
+
+            return html;
+        },
+
+        /**
+         * Render a sub-field by sub-field diff table
+         *
+         * @param {Array<{key: string, label: string, value: *}>} beforeEntries - Current target sub-fields
+         * @param {Array<{key: string, label: string, value: *}>} afterEntries - Incoming source sub-fields
+         * @returns {string} HTML
+         */
+        renderEntriesDiff: function(beforeEntries, afterEntries) {
+            const entries = [];
+            const seen = {};
+
+            afterEntries.concat(beforeEntries).forEach(entry => {
+                if (!seen[entry.key]) {
+                    seen[entry.key] = true;
+                    entries.push(entry);
+                }
+            });
+
+            if (entries.length === 0) {
+                return '<div class="acf-clone-text-muted">No sub-fields.</div>';
+            }
+
+            let html = `
+                <table class="acf-clone-diff-table">
+                    <thead>
+                        <tr>
+                            <th>Sub-field</th>
+                            <th>Current value</th>
+                            <th>Source value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+
+            entries.forEach(entry => {
+                const before = beforeEntries.find(e => e.key === entry.key);
+                const after = afterEntries.find(e => e.key === entry.key);
+                const beforeText = this.diffValueToText(before ? before.value : null);
+                const afterText = this.diffValueToText(after ? after.value : null);
+                const diff = this.diffText(beforeText, afterText);
+                const rowClass = beforeText === afterText ? 'acf-clone-diff-row-unchanged' : 'acf-clone-diff-row-changed';
+
+                html += `
+                    <tr class="${rowClass}">
+                        <th scope="row">${this.escapeHtml(entry.label)}</th>
+                        <td><div class="acf-clone-diff-value">${diff.before || '<em class="acf-clone-text-muted">(empty)</em>'}</div></td>
+                        <td><div class="acf-clone-diff-value">${diff.after || '<em class="acf-clone-text-muted">(empty)</em>'}</div></td>
+                    </tr>
+                `;
+            });
+
+            html += `
+                    </tbody>
+                </table>
+            `;
+
+            return html;
+        },
+
+        /**
+         * Convert a diff value to comparable text
+         *
+         * @param {*} value - Display value from the server
+         * @returns {string} Text
+         */
+        diffValueToText: function(value) {
+            if (value === null || value === undefined) {
+                return '';
+            }
+
+            if (typeof value === 'object') {
+                return JSON.stringify(value, null, 2);
+            }
+
+            return String(value);
+        },
+
+        /**
+         * Word-level diff of two texts
+         *
+         * Uses a longest common subsequence over word/whitespace tokens and
+         * wraps removed tokens in <del> and added tokens in <ins>. Both sides
+         * are HTML-escaped.
+         *
+         * @param {string} before - Current text
+         * @param {string} after - Incoming text
+         * @returns {{before: string, after: string}} Highlighted HTML for each side
+         */
+        diffText: function(before, after) {
+            if (before === after) {
+                const html = this.escapeHtml(before);
+                return { before: html, after: html };
+            }
+
+            const a = before.match(/\s+|[^\s]+/g) || [];
+            const b = after.match(/\s+|[^\s]+/g) || [];
+
+            // Too large to diff inline: highlight both sides as a whole
+            if (a.length * b.length > MAX_DIFF_CELLS) {
+                return {
+                    before: before ? `<del>${this.escapeHtml(before)}</del>` : '',
+                    after: after ? `<ins>${this.escapeHtml(after)}</ins>` : ''
+                };
+            }
+
+            // lcs[i][j] = LCS length of a[i..] and b[j..]
+            const lcs = [];
+            for (let i = 0; i <= a.length; i++) {
+                lcs.push(new Uint32Array(b.length + 1));
+            }
+            for (let i = a.length - 1; i >= 0; i--) {
+                for (let j = b.length - 1; j >= 0; j--) {
+                    lcs[i][j] = a[i] === b[j]
+                        ? lcs[i + 1][j + 1] + 1
+                        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+
+            let beforeHtml = '';
+            let afterHtml = '';
+            let i = 0;
+            let j = 0;
+
+            while (i < a.length && j < b.length) {
+                if (a[i] === b[j]) {
+                    const token = this.escapeHtml(a[i]);
+                    beforeHtml += token;
+                    afterHtml += token;
+                    i++;
+                    j++;
+                } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                    beforeHtml += `<del>${this.escapeHtml(a[i])}</del>`;
+                    i++;
+                } else {
+                    afterHtml += `<ins>${this.escapeHtml(b[j])}</ins>`;
+                    j++;
+                }
+            }
+            for (; i < a.length; i++) {
+                beforeHtml += `<del>${this.escapeHtml(a[i])}</del>`;
+            }
+            for (; j < b.length; j++) {
+                afterHtml += `<ins>${this.escapeHtml(b[j])}</ins>`;
+            }
+
+            return { before: beforeHtml, after: afterHtml };
+        },
+
+        /**
+         * Show confirmation step
+         */
+        showConfirmationStep: function() {
+            this.state.currentStep = 3;
+
+            // Keep the options chosen before a dry run
+            const options = this.state.cloneOptions || {
+                create_backup: true,
+                empty_values: this.config.emptyValues,
+                dry_run: false
+            };
+            const emptyValueChoices = [
+                { value: 'skip', label: 'Skip the field' },
+                { value: 'clear', label: 'Clear the field in this post' },
+                { value: 'keep', label: "Keep this post's value if it has one" }
+            ];
+            const emptyValueOptions = emptyValueChoices.map(choice =>
+                `<option value="${choice.value}"${options.empty_values === choice.value ? ' selected' : ''}>${choice.label}</option>`
+            ).join('');
+            
+            let html = `
+                <div class="acf-clone-step" data-step="3">
+                    <h3 class="acf-clone-step-title">Step 3: Confirm Clone Operation</h3>
+                    <p class="acf-clone-step-description">Review your selections and execute the clone:</p>
+                    
+                    <div class="acf-clone-selection-summary">
+                        <h4>Selected Fields (${this.state.selectedFields.length})</h4>
+                        <div class="acf-clone-summary-list">
+            `;
+
+            // Group selections by field group
+            const groupedSelections = {};
+            this.state.selectedFields.forEach(field => {
+                if (!groupedSelections[field.group]) {
+                    groupedSelections[field.group] = [];
+                }
+                groupedSelections[field.group].push(field);
+            });
+
+            Object.entries(groupedSelections).forEach(([groupKey, fields]) => {
+                const group = this.state.sourceFields.find(g => g.key === groupKey);
+                html += `
+                    <div class="acf-clone-confirmation-group">
+                        <strong>${this.escapeHtml(group.title)}</strong>
+                        <ul>
+                `;
+                
+                fields.forEach(field => {
+                    const fieldData = group.fields.find(f => f.key === field.key);
+                    const conflictIcon = fieldData.will_overwrite ? ' ⚠️' : '';
+                    const partsDescription = this.describeFieldParts(fieldData);
+                    const partsHtml = partsDescription ? ` <span class="acf-clone-text-muted">— ${this.escapeHtml(partsDescription)}</span>` : '';
+                    const mappingHtml = this.state.crossType ? ` → ${this.escapeHtml(this.getMappedFieldLabel(field.key))}` : '';
+                    html += `<li class="acf-clone-confirmation-field" data-field="${this.escapeHtml(field.key)}">${this.escapeHtml(fieldData.label)} (${fieldData.type})${mappingHtml}${partsHtml}${conflictIcon}${this.renderMergeOptions(fieldData)}</li>`;
+                });
+                
+                html += `
+                        </ul>
+                    </div>
+                `;
+            });
+
+            html += `
+                        </div>
+                    </div>
+
+                    <div class="acf-clone-validation-summary"></div>
+                    
+                    <div class="acf-clone-diff-review"${this.state.crossType ? ' style="display: none;"' : ''}>
+                        <h4>Review Changes</h4>
+                        <p class="acf-clone-option-description">
+                            Compare the values that will be copied with the current values of this post.
+                        </p>
+                        <button type="button" class="button acf-clone-show-diffs">Show differences</button>
+                        <div class="acf-clone-diff-list"></div>
+                    </div>
+
+                    <div class="acf-clone-options">
+                        <h4>Clone Options</h4>
+                        <div class="acf-clone-option">
+                            <label>
+                                <input type="checkbox" id="create-backup" ${options.create_backup ? 'checked' : ''}>
+                                Create backup before cloning
+                            </label>
+                            <div class="acf-clone-option-description">
+                                Creates a backup of existing field values that can be restored if needed.
+                            </div>
+                        </div>
+                        <div class="acf-clone-option">
+                            <label for="empty-values">When a field is empty in the source post</label>
+                            <select id="empty-values">${emptyValueOptions}</select>
+                            <div class="acf-clone-option-description">
+                                Fields that are left unchanged are listed as skipped in the result.
+                            </div>
+                        </div>
+                        <div class="acf-clone-option">
+                            <label>
+                                <input type="checkbox" id="duplicate-attachments" ${options.duplicate_attachments ? 'checked' : ''}>
+                                Duplicate images and files
+                            </label>
+                            <div class="acf-clone-option-description">
+                                Copies the media used by the cloned fields, including inside repeaters and flexible content, so this post gets its own files instead of sharing them.
+                            </div>
+                        </div>
+                        <div class="acf-clone-option">
+                            <label>
+                                <input type="checkbox" id="duplicate-posts" ${options.duplicate_posts ? 'checked' : ''}>
+                                Duplicate related posts
+                            </label>
+                            <div class="acf-clone-option-description">
+                                Copies the posts selected in relationship and post object fields and links this post to the copies.
+                            </div>
+                        </div>
+                        <div class="acf-clone-option">
+                            <label>
+                                <input type="checkbox" id="dry-run" ${options.dry_run ? 'checked' : ''}>
+                                Preview only (dry run)
+                            </label>
+                            <div class="acf-clone-option-description">
+                                Simulate the clone and report which fields would be written, skipped or raise warnings. Nothing is changed.
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            this.setModalBody(html);
+            this.updateFooterButtons([
+                { text: 'Back', class: 'button acf-clone-prev-step' },
+                { text: options.dry_run ? 'Run Preview' : 'Clone Fields', class: 'button button-primary acf-clone-execute' }
+            ]);
+
+            // The empty-value policy chosen here can change the outcome
+            this.renderValidation();
+            this.validateSelection();
+        },
+
+        /**
+         * Render the merge strategy picker for repeater/flexible content fields
+         *
+         * @param {Object} fieldData - Field data from acf_clone_get_source_fields
+         * @returns {string} HTML, empty for other field types
+         */
+        renderMergeOptions: function(fieldData) {
+            if (fieldData.type !== 'repeater' && fieldData.type !== 'flexible_content') {
+                return '';
+            }
+
+            const current = this.state.mergeStrategies[fieldData.key] || { strategy: 'replace', merge_key: '' };
+            const subFields = fieldData.sub_fields || [];
+            // Flexible content layouts share sub-fields by name, repeaters by key
+            const keyProperty = fieldData.type === 'flexible_content' ? 'name' : 'key';
+            const strategies = [
+                { value: 'replace', label: 'Replace existing rows' },
+                { value: 'append', label: 'Append after existing rows' },
+                { value: 'prepend', label: 'Prepend before existing rows' },
+                { value: 'merge', label: 'Merge by key sub-field', disabled: subFields.length === 0 }
+            ];
+
+            let html = `
+                <div class="acf-clone-merge-options" data-field="${this.escapeHtml(fieldData.key)}">
+                    <select class="acf-clone-merge-strategy" aria-label="Merge strategy for ${this.escapeHtml(fieldData.label)}">
+            `;
+
+            strategies.forEach(strategy => {
+                const selected = current.strategy === strategy.value ? ' selected' : '';
+                const disabled = strategy.disabled ? ' disabled' : '';
+                html += `<option value="${strategy.value}"${selected}${disabled}>${strategy.label}</option>`;
+            });
+
+            html += `
+                    </select>
+                    <select class="acf-clone-merge-key" aria-label="Key sub-field"${current.strategy === 'merge' ? '' : ' style="display: none;"'}>
+            `;
+
+            subFields.forEach(subField => {
+                const value = subField[keyProperty];
+                const selected = current.merge_key === value ? ' selected' : '';
+                html += `<option value="${this.escapeHtml(value)}"${selected}>${this.escapeHtml(subField.label)}</option>`;
+            });
+
+            html += `
+                    </select>
+                </div>
+            `;
+
+            return html;
+        },
+
+        /**
+         * Store the merge strategy chosen for a field
+         */
+        onMergeStrategyChange: function(e) {
+            const $container = $(e.target).closest('.acf-clone-merge-options');
+            const fieldKey = String($container.data('field'));
+            const strategy = $container.find('.acf-clone-merge-strategy').val();
+            const $key = $container.find('.acf-clone-merge-key');
+
+            $key.toggle(strategy === 'merge');
+
+            if (strategy === 'replace') {
+                delete this.state.mergeStrategies[fieldKey];
+            } else {
+                this.state.mergeStrategies[fieldKey] = {
+                    strategy: strategy,
+                    merge_key: strategy === 'merge' ? $key.val() : ''
+                };
+            }
+
+            this.log('Merge strategies updated', this.state.mergeStrategies);
+        },
+
+        /**
+         * Switch the execute button label when "Preview only" is toggled
+         */
+        onDryRunToggle: function(e) {
+            $('.acf-clone-execute').text($(e.target).is(':checked') ? 'Run Preview' : 'Clone Fields');
+            this.updateExecuteButton();
+        },
+
+        /**
+         * Forget the results of the last selection check
+         */
+        resetValidation: function() {
+            clearTimeout(this.state.validationTimer);
+            this.state.validationRequestId++;
+            this.state.validation = {};
+            this.state.validationPending = false;
+            this.state.validationWarnings = '';
+            this.state.warningsAcknowledged = false;
+        },
+
+        /**
+         * Check the selection again once it has stopped changing
+         */
+        scheduleValidation: function() {
+            clearTimeout(this.state.validationTimer);
+            this.state.validationTimer = setTimeout(this.validateSelection.bind(this), 400);
+        },
+
+        /**
+         * Check the selected fields against this post before cloning
+         *
+         * See VALIDATE SELECTION. Backups hold this post's own fields and are
+         * not checked; across post types only mapped fields are.
+         */
+        validateSelection: function() {
+            clearTimeout(this.state.validationTimer);
+
+            const requestId = ++this.state.validationRequestId;
+            const fieldKeys = this.getSelectedFieldKeys().filter(key => !this.state.crossType || this.state.fieldMapping[key]);
+            const options = { empty_values: this.getEmptyValuesPolicy() };
+
+            if (fieldKeys.length === 0 || this.state.selectedBackup) {
+                this.onValidationLoaded({ fields: [] }, requestId);
+                return;
+            }
+
+            const request = this.state.selectedObject
+                ? this.apiRequest('/objects/validate-selection', 'GET', {
+                    source: this.state.selectedObject,
+                    target: this.getTargetId(),
+                    field_keys: fieldKeys,
+                    options: options
+                })
+                : this.apiRequest('/validate-selection', 'GET', {
+                    source_post_id: this.state.selectedSource,
+                    target_post_id: this.config.postId,
+                    field_keys: fieldKeys,
+                    field_mapping: this.getSelectionSettings().fieldMapping,
+                    options: options
+                });
+
+            this.state.validationPending = true;
+            this.updateExecuteButton();
+
+            request.then(
+                data => this.onValidationLoaded(data, requestId),
+                error => {
+                    // Not being able to check never blocks the clone, which reports its own errors
+                    this.log('Selection validation failed', error);
+                    this.onValidationLoaded({ fields: [] }, requestId);
+                }
+            );
+        },
+
+        /**
+         * Get the empty-value policy the clone would run with
+         *
+         * @returns {string} 'skip', 'clear' or 'keep'
+         */
+        getEmptyValuesPolicy: function() {
+            const $select = $('#empty-values');
+
+            if ($select.length) {
+                return $select.val();
+            }
+
+            return (this.state.cloneOptions && this.state.cloneOptions.empty_values) || this.config.emptyValues;
+        },
+
+        /**
+         * Store the results of a selection check
+         *
+         * Warnings have to be acknowledged again when they change.
+         *
+         * @param {Object} data - VALIDATE SELECTION response
+         * @param {number} requestId - Request the results belong to
+         */
+        onValidationLoaded: function(data, requestId) {
+            if (requestId !== this.state.validationRequestId) {
+                return;
+            }
+
+            const validation = {};
+            (data.fields || []).forEach(result => {
+                validation[result.field] = result;
+            });
+
+            const warnings = Object.values(validation)
+                .filter(result => result.status === 'warning')
+                .map(result => result.field + ':' + result.messages.join('|'))
+                .join('\n');
+
+            if (warnings !== this.state.validationWarnings) {
+                this.state.validationWarnings = warnings;
+                this.state.warningsAcknowledged = false;
+            }
+
+            this.state.validation = validation;
+            this.state.validationPending = false;
+            this.log('Selection validated', validation);
+            this.renderValidation();
+        },
+
+        /**
+         * Count the selected fields with errors and with warnings
+         *
+         * @returns {{errors: number, warnings: number}} Counts
+         */
+        getValidationCounts: function() {
+            const counts = { errors: 0, warnings: 0 };
+
+            this.state.selectedFields.forEach(field => {
+                const result = this.state.validation[field.key];
+                if (result && result.status === 'error') {
+                    counts.errors++;
+                } else if (result && result.status === 'warning') {
+                    counts.warnings++;
+                }
+            });
+
+            return counts;
+        },
+
+        /**
+         * Show the check results next to the selected fields of steps 2 and 3
+         *
+         * Step 3 also sums them up: errors block "Clone Fields", warnings
+         * have to be acknowledged first.
+         */
+        renderValidation: function() {
+            $('.acf-clone-field-validation').remove();
+
+            this.state.selectedFields.forEach(field => {
+                const result = this.state.validation[field.key];
+                if (!result || result.status === 'ok') {
+                    return;
+                }
+
+                const messages = result.messages.map(message => `<li>${this.escapeHtml(message)}</li>`).join('');
+                $(`.acf-clone-field-item[data-field="${field.key}"] .acf-clone-field-info, .acf-clone-confirmation-field[data-field="${field.key}"]`)
+                    .append(`<ul class="acf-clone-field-validation acf-clone-field-validation-${result.status}">${messages}</ul>`);
+            });
+
+            const counts = this.getValidationCounts();
+            let summary = '';
+
+            if (counts.errors > 0) {
+                summary = `
+                    <div class="acf-clone-validation-errors">
+                        ${counts.errors} selected field(s) cannot be cloned into this post. Go back and deselect ${this.state.crossType ? 'or remap ' : ''}them to continue.
+                    </div>`;
+            } else if (counts.warnings > 0) {
+                summary = `
+                    <div class="acf-clone-validation-warnings">
+                        <p>${counts.warnings} selected field(s) may not be cloned as expected, see the warnings above.</p>
+                        <label>
+                            <input type="checkbox" id="acknowledge-warnings"${this.state.warningsAcknowledged ? ' checked' : ''}>
+                            I have reviewed the warnings and want to clone anyway
+                        </label>
+                    </div>`;
+            }
+
+            $('.acf-clone-validation-summary').html(summary);
+            this.updateExecuteButton();
+        },
+
+        /**
+         * Store whether the warnings of the selection were acknowledged
+         */
+        onAcknowledgeWarnings: function(e) {
+            this.state.warningsAcknowledged = $(e.target).is(':checked');
+            this.updateExecuteButton();
+        },
+
+        /**
+         * Check the selection may be cloned for real
+         *
+         * @returns {boolean} True once checked, without errors and with any
+         *                    warnings acknowledged
+         */
+        canCloneSelection: function() {
+            const counts = this.getValidationCounts();
+
+            return !this.state.validationPending && counts.errors === 0 && (counts.warnings === 0 || this.state.warningsAcknowledged);
+        },
+
+        /**
+         * Enable "Clone Fields" only for a selection that may be cloned
+         *
+         * Previews always run.
+         */
+        updateExecuteButton: function() {
+            $('.acf-clone-execute').prop('disabled', !$('#dry-run').is(':checked') && !this.canCloneSelection());
+        },
+
+        /**
+         * Execute the clone operation
+         * 
+         * Sends the final clone request to server with selected fields and options.
+         * 
+         * Request Data Structure (POST /clone):
+         * @typedef {Object} ExecuteCloneRequest
+         * @property {number} target_post_id - Target post ID (from this.config.postId)
+         * @property {number} source_post_id - Source post ID (from this.state.selectedSource)
+         * @property {Array<string>} field_keys - Selected field keys (extracted from this.state.selectedFields)
+         * @property {Object} options - Clone operation options
+         * @property {boolean} options.create_backup - Whether to create backup before cloning
+         * @property {string} options.empty_values - Empty source values: 'skip', 'clear' or 'keep'
+         * @property {boolean} options.duplicate_attachments - Copy referenced images and files
+         * @property {boolean} options.duplicate_posts - Copy referenced posts
+         * @property {boolean} options.dry_run - Simulate only, nothing is written
+         * @property {Object<string, {rows?: Array<number>, sub_fields?: Array<string>}>} field_parts - Partial selections keyed by field key
+         * @property {Object<string, {strategy: string, merge_key: string}>} merge_strategies - Non-replace strategies keyed by field key
+         */
+        executeClone: function(e) {
+            e.preventDefault();
+            
+            if (this.state.isLoading) {
+                return;
+            }
+
+            const options = {
+                create_backup: $('#create-backup').is(':checked'),
+                empty_values: $('#empty-values').val(),
+                duplicate_attachments: $('#duplicate-attachments').is(':checked'),
+                duplicate_posts: $('#duplicate-posts').is(':checked'),
+                dry_run: $('#dry-run').is(':checked'),
+                overwrite_existing: true  // Allow overwriting existing values
+            };
+
+            // Previews run regardless; they report the failing fields
+            if (!options.dry_run && !this.canCloneSelection()) {
+                return;
+            }
+
+            this.state.cloneOptions = options;
+            this.sendCloneRequest(options);
+        },
+
+        /**
+         * Run the previewed clone for real from the dry run report
+         */
+        runForReal: function(e) {
+            e.preventDefault();
+
+            if (this.state.isLoading || !this.state.cloneOptions || !this.canCloneSelection()) {
+                return;
+            }
+
+            this.sendCloneRequest($.extend({}, this.state.cloneOptions, { dry_run: false }));
+        },
+
+        /**
+         * Send the clone request
+         *
+         * @param {Object} options - Clone options (see ExecuteCloneRequest)
+         */
+        sendCloneRequest: function(options) {
+            this.log('Executing clone operation', {
+                source: this.state.selectedBackup || this.state.selectedObject || this.state.selectedSource,
+                fields: this.state.selectedFields,
+                options: options
+            });
+
+            this.showLoading(options.dry_run ? 'Simulating clone...' : 'Cloning fields...');
+            this.state.isLoading = true;
+
+            const fieldKeys = this.getSelectedFieldKeys();
+            const selection = this.getSelectionSettings();
+
+            // Restore from a backup of this post; there is no source post to map
+            if (this.state.selectedBackup) {
+                this.apiRequest(`/backups/${this.state.selectedBackup}/clone`, 'POST', {
+                    field_keys: fieldKeys,
+                    field_parts: selection.fieldParts,
+                    merge_strategies: selection.mergeStrategies,
+                    options: options
+                }).then(this.onCloneComplete.bind(this), this.onRequestError.bind(this));
+                return;
+            }
+
+            // Terms, users and options pages share field groups; there is nothing to map
+            if (this.state.selectedObject) {
+                this.apiRequest('/objects/clone', 'POST', {
+                    source: this.state.selectedObject,
+                    target: this.getTargetId(),
+                    field_keys: fieldKeys,
+                    field_parts: selection.fieldParts,
+                    merge_strategies: selection.mergeStrategies,
+                    options: options
+                }).then(this.onCloneComplete.bind(this), this.onRequestError.bind(this));
+                return;
+            }
+
+            this.apiRequest('/clone', 'POST', {
+                target_post_id: this.config.postId,
+                source_post_id: this.state.selectedSource,
+                field_keys: fieldKeys,
+                field_parts: selection.fieldParts,
+                merge_strategies: selection.mergeStrategies,
+                field_mapping: selection.fieldMapping,
+                options: options
+            }).then(this.onCloneComplete.bind(this), this.onRequestError.bind(this));
+        },
+
+        /**
+         * Collect the per-field settings of the selected fields
+         *
+         * @returns {{fieldParts: Object, mergeStrategies: Object, fieldMapping: Object}}
+         *          Row/sub-field selections, merge strategies and (across post
+         *          types) target fields, keyed by field key
+         */
+        getSelectionSettings: function() {
+            const settings = { fieldParts: {}, mergeStrategies: {}, fieldMapping: {} };
+
+            this.state.selectedFields.forEach(field => {
+                const key = field.key;
+                if (this.state.fieldParts[key]) {
+                    settings.fieldParts[key] = this.state.fieldParts[key];
+                }
+                if (this.state.mergeStrategies[key]) {
+                    settings.mergeStrategies[key] = this.state.mergeStrategies[key];
+                }
+                if (this.state.crossType && this.state.fieldMapping[key]) {
+                    settings.fieldMapping[key] = this.state.fieldMapping[key];
+                }
+            });
+
+            return settings;
+        },
+
+        /**
+         * Handle clone completion
+         * 
+         * Server Response Structure:
+         * @typedef {Object} ExecuteCloneResponse
+         * @property {boolean} success - Whether the clone completed
+         * @property {Array<string>} cloned_fields - Fields written (or that would be written)
+         * @property {Array<string>} skipped_fields - Fields left unchanged
+         * @property {Array<string>} errors - Error messages
+         * @property {Array<string>} warnings - Warning messages
+         * @property {string} message - Summary message
+         * @property {boolean} dry_run - Whether this was a simulation
+         * @property {Array<{field: string, label: string, status: string, message: string, warnings: Array<string>}>} report - Per-field outcome
+         * @property {Array<{key: string, name: string, label: string, type: string, value: *}>} field_values - New values of the written fields (real runs)
+         * @property {Object<string, Object>} attachments - Attachment data of image/file values, keyed by ID
+         * @property {{backup_id: string, created_at: string, source_title: string}|null} backup_info - Backup taken before writing
+         */
+        onCloneComplete: function(data) {
+            this.state.isLoading = false;
+            this.log('Clone operation completed', data);
+
+            if (data.dry_run) {
+                this.renderDryRunReport(data);
+                return;
+            }
+
+            // Show the new values in this page's inputs instead of reloading,
+            // so unsaved edits elsewhere on the page are kept
+            const notUpdated = this.applyFieldValues(data.field_values || [], data.attachments || {});
+
+            if (data.backup_info) {
+                this.showUndoNotice(data.backup_info.backup_id, data.backup_info.source_title);
+            }
+
+            if (notUpdated.length === 0) {
+                this.showSuccess(`${data.message}. The fields on this page show the cloned values.`);
+                this.updateFooterButtons([
+                    { text: 'Close', class: 'button button-primary acf-clone-cancel' }
+                ]);
+                this.showEditorNotice(`ACF fields were updated by a clone. Remember to ${this.getSaveHint()} to keep your other changes.`);
+                return;
+            }
+
+            this.showSuccess(
+                `${data.message}. These fields could not be updated on this page and are locked ` +
+                `until it is reloaded: ${notUpdated.join(', ')}. Save your other changes, then reload.`
+            );
+            this.updateFooterButtons([
+                { text: 'Close', class: 'button acf-clone-cancel' },
+                { text: 'Reload page', class: 'button button-primary acf-clone-reload-page' }
+            ]);
+            this.showEditorNotice(`ACF fields were updated by a clone. Remember to ${this.getSaveHint()}, then reload to edit the locked fields.`);
+        },
+
+        /**
+         * Render the dry run report
+         *
+         * Lists what a real run would do per field and offers to run it.
+         *
+         * @param {Object} data - Execute clone response data with dry_run = true
+         */
+        renderDryRunReport: function(data) {
+            this.state.currentStep = 4;
+
+            const statusLabels = {
+                cloned: 'Will be written',
+                cleared: 'Will be cleared',
+                skipped: 'Skipped',
+                failed: 'Will fail'
+            };
+            const report = data.report || [];
+            const counts = { cloned: 0, cleared: 0, skipped: 0, failed: 0 };
+
+            report.forEach(entry => {
+                counts[entry.status] = (counts[entry.status] || 0) + 1;
+            });
+
+            let html = `
+                <div class="acf-clone-step" data-step="4">
+                    <h3 class="acf-clone-step-title">Dry Run Report</h3>
+                    <p class="acf-clone-step-description">${this.escapeHtml(data.message)}. No content has been changed.</p>
+
+                    <div class="acf-clone-selection-summary">
+                        <div class="acf-clone-summary-stats">
+                            <div class="acf-clone-summary-stat">
+                                Will be written: <span class="acf-clone-summary-stat-value">${counts.cloned}</span>
+                            </div>
+                            <div class="acf-clone-summary-stat">
+                                Will be cleared: <span class="acf-clone-summary-stat-value">${counts.cleared}</span>
+                            </div>
+                            <div class="acf-clone-summary-stat">
+                                Skipped: <span class="acf-clone-summary-stat-value">${counts.skipped}</span>
+                            </div>
+                            <div class="acf-clone-summary-stat">
+                                Will fail: <span class="acf-clone-summary-stat-value">${counts.failed}</span>
+                            </div>
+                            <div class="acf-clone-summary-stat">
+                                Warnings: <span class="acf-clone-summary-stat-value">${(data.warnings || []).length}</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <ul class="acf-clone-report-list">
+            `;
+
+            report.forEach(entry => {
+                html += `
+                    <li class="acf-clone-report-item acf-clone-report-${entry.status}">
+                        <div class="acf-clone-report-header">
+                            <strong>${this.escapeHtml(entry.label)}</strong>
+                            <span class="acf-clone-report-status">${statusLabels[entry.status] || this.escapeHtml(entry.status)}</span>
+                        </div>
+                `;
+
+                if (entry.status !== 'cloned') {
+                    html += `<div class="acf-clone-report-message">${this.escapeHtml(entry.message)}</div>`;
+                }
+
+                if (entry.warnings && entry.warnings.length) {
+                    html += '<ul class="acf-clone-report-warnings">';
+                    entry.warnings.forEach(warning => {
+                        html += `<li>⚠️ ${this.escapeHtml(warning)}</li>`;
+                    });
+                    html += '</ul>';
+                }
+
+                html += '</li>';
+            });
+
+            html += `
+                    </ul>
+                </div>
+            `;
+
+            this.setModalBody(html);
+            this.updateFooterButtons([
+                { text: 'Back', class: 'button acf-clone-prev-step' },
+                { text: 'Run for real', class: 'button button-primary acf-clone-run-for-real', disabled: counts.cloned + counts.cleared === 0 || !this.canCloneSelection() }
+            ]);
+        },
+
+        /**
+         * Push cloned values into the ACF inputs of this edit screen
+         *
+         * Fields are found through the ACF JS API; repeater and flexible
+         * content rows are rebuilt. A field that cannot be updated in place is
+         * disabled, so saving the post does not write its stale input back
+         * over the cloned value.
+         *
+         * @param {Array<Object>} fields - data.field_values of the clone response
+         * @param {Object<string, Object>} attachments - data.attachments of the clone response
+         * @returns {Array<string>} Labels of the fields that were not updated
+         */
+        applyFieldValues: function(fields, attachments) {
+            const notUpdated = [];
+
+            fields.forEach(entry => {
+                const field = window.acf ? acf.getFields({ key: entry.key, limit: 1 })[0] : null;
+
+                if (!field) {
+                    // Not on this page (or no ACF): only a reload shows it
+                    notUpdated.push(entry.label);
+                    return;
+                }
+
+                if (!this.setAcfFieldValue(field, entry.value, attachments)) {
+                    this.lockAcfField(field);
+                    notUpdated.push(entry.label);
+                }
+            });
+
+            this.log('Field values applied', { fields, notUpdated });
+            return notUpdated;
+        },
+
+        /**
+         * Set the value of one ACF field instance
+         *
+         * Uses the setValue() of the renderer registered for the field type.
+         *
+         * @param {Object} field - ACF field instance
+         * @param {*} value - Editor value (containers keyed by sub-field key)
+         * @param {Object<string, Object>} attachments - Attachment data keyed by ID
+         * @returns {boolean} False if the field type cannot be updated in place
+         */
+        setAcfFieldValue: function(field, value, attachments) {
+            const renderer = this.fieldTypes[field.get('type')];
+
+            if (!renderer || typeof renderer.setValue !== 'function') {
+                return false;
+            }
+
+            return renderer.setValue.call(this, field, value, attachments) !== false;
+        },
+
+        /**
+         * Register how the modal handles a field type
+         *
+         * Scripts registered for a field type with the PHP FieldTypeRegistry
+         * call this (as window.ACFCloneFields.registerFieldType) once admin.js
+         * has loaded. Registering a type again replaces the given callbacks.
+         *
+         * @param {string|Array<string>} types - ACF field type name(s)
+         * @param {Object} renderer - Callbacks, called with ACFCloneFields as this
+         * @param {Function} [renderer.renderPreview] - (field) => HTML shown in the field picker
+         *        instead of the plain-text preview; field is an entry of the source-fields response
+         * @param {Function} [renderer.setValue] - (acfField, value, attachments) => boolean,
+         *        writes a cloned value into the ACF field on the edit screen
+         */
+        registerFieldType: function(types, renderer) {
+            [].concat(types).forEach(type => {
+                this.fieldTypes[type] = Object.assign({}, this.fieldTypes[type], renderer);
+            });
+        },
+
+        /**
+         * Register the built-in field types
+         */
+        registerBuiltInFieldTypes: function() {
+            const toText = value => (value === null || value === undefined ? '' : value);
+
+            this.registerFieldType(['text', 'textarea', 'number', 'range', 'email', 'url', 'password', 'select'], {
+                setValue: function(field, value) {
+                    field.val(toText(value));
+                    return true;
+                }
+            });
+
+            this.registerFieldType('true_false', {
+                setValue: function(field, value) {
+                    field.$input().prop('checked', Number(toText(value)) === 1).trigger('change');
+                    return true;
+                }
+            });
+
+            this.registerFieldType('checkbox', {
+                setValue: function(field, value) {
+                    const checked = [].concat(toText(value) || []).map(String);
+                    field.$('input[type="checkbox"]').each(function() {
+                        $(this).prop('checked', checked.includes(this.value)).trigger('change');
+                    });
+                    return true;
+                }
+            });
+
+            this.registerFieldType(['radio', 'button_group'], {
+                setValue: function(field, value) {
+                    const $inputs = field.$('input[type="radio"]');
+                    const $checked = $inputs.filter((i, input) => input.value === String(toText(value)));
+                    $inputs.prop('checked', false).closest('label').removeClass('selected');
+                    $checked.prop('checked', true).trigger('change').closest('label').addClass('selected');
+                    return true;
+                }
+            });
+
+            this.registerFieldType('wysiwyg', {
+                setValue: function(field, value) {
+                    const $textarea = field.$input();
+                    const editor = window.tinymce ? window.tinymce.get($textarea.attr('id')) : null;
+                    $textarea.val(toText(value)).trigger('change');
+                    if (editor) {
+                        editor.setContent(String(toText(value)));
+                        editor.fire('change');
+                    }
+                    return true;
+                }
+            });
+
+            this.registerFieldType(['image', 'file'], {
+                setValue: function(field, value, attachments) {
+                    if (typeof field.render !== 'function') {
+                        return false;
+                    }
+                    field.render(value && attachments[value] ? attachments[value] : false);
+                    return true;
+                }
+            });
+
+            this.registerFieldType('group', {
+                setValue: function(field, value, attachments) {
+                    return this.setAcfSubFieldValues(field.$el, value || {}, attachments);
+                }
+            });
+
+            this.registerFieldType('repeater', {
+                setValue: function(field, value, attachments) {
+                    // Paginated repeaters only hold one page of rows in the DOM
+                    if (field.$('.acf-repeater:first').data('pagination') || typeof field.$rows !== 'function') {
+                        return false;
+                    }
+                    this.removeAcfRows(field.$rows());
+                    return this.addAcfRows(field, value || [], row => ({ args: {}, values: row }), attachments);
+                }
+            });
+
+            this.registerFieldType('flexible_content', {
+                setValue: function(field, value, attachments) {
+                    if (typeof field.$layouts !== 'function') {
+                        return false;
+                    }
+                    this.removeAcfRows(field.$layouts());
+                    return this.addAcfRows(field, value || [], row => ({ args: { layout: row.layout }, values: row.fields }), attachments);
+                }
+            });
+        },
+
+        /**
+         * Set sub-field values inside a group, row or layout
+         *
+         * @param {jQuery} $parent - Element holding the sub-fields
+         * @param {Object<string, *>} values - Editor values keyed by sub-field key
+         * @param {Object<string, Object>} attachments - Attachment data keyed by ID
+         * @returns {boolean} False if any sub-field was not updated
+         */
+        setAcfSubFieldValues: function($parent, values, attachments) {
+            let complete = true;
+
+            Object.entries(values).forEach(([key, value]) => {
+                const subField = acf.getFields({ key: key, parent: $parent, limit: 1 })[0];
+                if (!subField || !this.setAcfFieldValue(subField, value, attachments)) {
+                    complete = false;
+                }
+            });
+
+            return complete;
+        },
+
+        /**
+         * Remove repeater rows or flexible content layouts right away
+         *
+         * @param {jQuery} $rows - Rows to remove
+         */
+        removeAcfRows: function($rows) {
+            $rows.each(function() {
+                acf.doAction('remove', $(this));
+                $(this).remove();
+            });
+        },
+
+        /**
+         * Add filled rows to a repeater or flexible content field
+         *
+         * @param {Object} field - ACF repeater or flexible content instance
+         * @param {Array} rows - Editor rows
+         * @param {Function} describeRow - Maps a row to { args, values } for field.add()
+         * @param {Object<string, Object>} attachments - Attachment data keyed by ID
+         * @returns {boolean} False if a row could not be added or filled
+         */
+        addAcfRows: function(field, rows, describeRow, attachments) {
+            let complete = true;
+
+            rows.forEach(row => {
+                const { args, values } = describeRow(row);
+                const $row = field.add(args);
+
+                if (!$row || !$row.length || !this.setAcfSubFieldValues($row, values || {}, attachments)) {
+                    complete = false;
+                }
+            });
+
+            field.render();
+            return complete;
+        },
+
+        /**
+         * Disable a field whose input still shows the old value
+         *
+         * Disabled inputs are not submitted, so saving keeps the cloned value.
+         *
+         * @param {Object} field - ACF field instance
+         */
+        lockAcfField: function(field) {
+            acf.disable(field.$el, 'acf-clone-fields');
+            field.$el.addClass('acf-clone-field-locked');
+            field.$el.find('.acf-label:first').append(
+                '<p class="description acf-clone-field-locked-note">Updated by a clone. Reload the page to edit this field.</p>'
+            );
+        },
+
+        /**
+         * Show a dismissible notice on the edit screen, outside the modal
+         *
+         * @param {string} message - Notice text
+         */
+        showEditorNotice: function(message) {
+            if ($('body').hasClass('block-editor-page') && window.wp && wp.data) {
+                wp.data.dispatch('core/notices').createNotice('info', message, {
+                    id: 'acf-clone-fields-updated',
+                    isDismissible: true
+                });
+                return;
+            }
+
+            $('.acf-clone-editor-notice').remove();
+            this.insertScreenNotice(`
+                <div class="notice notice-info is-dismissible acf-clone-editor-notice">
+                    <p>${this.escapeHtml(message)}</p>
+                </div>
+            `);
+        },
+
+        /**
+         * Add a notice below the screen heading
+         *
+         * Screens without the header end marker (e.g. some options pages)
+         * get it at the top of their content.
+         *
+         * @param {string} html - Notice HTML
+         */
+        insertScreenNotice: function(html) {
+            const $headerEnd = $('.wp-header-end').first();
+
+            if ($headerEnd.length) {
+                $headerEnd.after(html);
+            } else {
+                $('#wpbody-content .wrap').first().prepend(html);
+            }
+
+            // Lets WordPress add the dismiss button
+            $(document).trigger('wp-updates-notice-added');
+        },
+
+        /**
+         * Describe how the cloned values are kept, for the notices
+         *
+         * @returns {string} E.g. "save the post"
+         */
+        getSaveHint: function() {
+            return this.config.objectId ? 'save the form' : 'save the post';
+        },
+
+        /**
+         * Offer to undo the last clone into this post
+         *
+         * Stays until the clone is undone or the notice is dismissed; the
+         * server also remembers it for an hour, so it comes back on reload.
+         *
+         * @param {string} backupId - Backup taken before the clone
+         * @param {string} sourceTitle - Title of the source post
+         */
+        showUndoNotice: function(backupId, sourceTitle) {
+            const message = sourceTitle
+                ? `Fields were cloned from "${sourceTitle}".`
+                : `Fields were cloned into this ${this.config.objectId ? 'screen' : 'post'}.`;
+
+            if ($('body').hasClass('block-editor-page') && window.wp && wp.data) {
+                wp.data.dispatch('core/notices').createNotice('success', message, {
+                    id: 'acf-clone-undo',
+                    isDismissible: true,
+                    actions: [
+                        { label: 'Undo last clone', onClick: () => this.undoLastClone(backupId) }
+                    ],
+                    onDismiss: this.dismissUndo.bind(this)
+                });
+                return;
+            }
+
+            $('.acf-clone-undo-notice').remove();
+            this.insertScreenNotice(`
+                <div class="notice notice-success is-dismissible acf-clone-undo-notice">
+                    <p>
+                        ${this.escapeHtml(message)}
+                        <button type="button" class="button-link acf-clone-undo-button" data-backup-id="${this.escapeHtml(backupId)}">Undo last clone</button>
+                    </p>
+                </div>
+            `);
+        },
+
+        /**
+         * Remove the undo notice
+         */
+        removeUndoNotice: function() {
+            if ($('body').hasClass('block-editor-page') && window.wp && wp.data) {
+                wp.data.dispatch('core/notices').removeNotice('acf-clone-undo');
+            }
+            $('.acf-clone-undo-notice').remove();
+        },
+
+        /**
+         * Stop offering the undo, also after a reload
+         */
+        dismissUndo: function() {
+            this.apiRequest('/undo', 'DELETE').catch(error => this.log('Undo dismiss failed', error));
+        },
+
+        /**
+         * Undo the last clone by restoring (and deleting) its backup
+         *
+         * The restored values are put into the page's inputs, as after a clone.
+         *
+         * @param {string} backupId - Backup taken before the clone
+         */
+        undoLastClone: function(backupId) {
+            $('.acf-clone-undo-button').prop('disabled', true);
+
+            this.apiRequest(`/backups/${encodeURIComponent(backupId)}/restore`, 'POST', { delete_after: true }).then(
+                result => {
+                    this.removeUndoNotice();
+                    $('.acf-clone-backup-item [data-backup-id]')
+                        .filter((index, button) => String($(button).data('backup-id')) === backupId)
+                        .closest('.acf-clone-backup-item')
+                        .remove();
+
+                    const notUpdated = this.applyFieldValues(result.field_values || [], result.attachments || {});
+
+                    this.showEditorNotice(notUpdated.length === 0
+                        ? `The last clone was undone. Remember to ${this.getSaveHint()} to keep your other changes.`
+                        : `The last clone was undone. Save your other changes, then reload to see: ${notUpdated.join(', ')}.`);
+                },
+                error => {
+                    $('.acf-clone-undo-button').prop('disabled', false);
+                    this.showEditorNotice(`Undo failed: ${this.requestErrorMessage(error, 'Unknown error')}`);
+                }
+            );
+        },
+
+        /**
+         * Send a request to the plugin's REST API
+         *
+         * GET and DELETE arguments go in the query string, others in the JSON
+         * body. wp.apiFetch adds the REST nonce and rejects with the error
+         * response ({ code, message, data }) for non-2xx statuses.
+         *
+         * @param {string} path - Route below the namespace, e.g. '/clone'
+         * @param {string} method - HTTP method
+         * @param {Object} [data] - Request arguments
+         * @returns {Promise<Object>} Response data
+         */
+        apiRequest: function(path, method, data) {
+            const route = `/${this.config.restNamespace}${path}`;
+
+            if (method === 'GET' || method === 'DELETE') {
+                return wp.apiFetch({ path: wp.url.addQueryArgs(route, data || {}), method: method });
+            }
+
+            return wp.apiFetch({ path: route, method: method, data: data || {} });
+        },
+
+        /**
+         * Get the message of a failed REST request
+         *
+         * @param {Object} error - Rejection value of apiRequest
+         * @param {string} fallback - Message when the error has none
+         * @returns {string} Error message
+         */
+        requestErrorMessage: function(error, fallback) {
+            return (error && error.message) || fallback;
+        },
+
+        /**
+         * Handle a failed REST request of the modal
+         *
+         * @param {Object} error - Rejection value of apiRequest
+         * @param {string} error.code - Error code, e.g. 'rest_forbidden'
+         * @param {string} error.message - Error message from the server
+         */
+        onRequestError: function(error) {
+            this.state.isLoading = false;
+            this.log('Request error', error);
+            this.showError(`Request failed: ${this.requestErrorMessage(error, 'Unknown error')}`);
+        },
+
+        /**
+         * Handle keyboard shortcuts
+         */
+        handleKeyboard: function(e) {
+            if (!this.state.modal.is(':visible')) {
+                return;
+            }
+
+            // ESC to close modal
+            if (e.keyCode === 27) {
+                this.closeModal();
+            }
+
+            // Enter to proceed
+            if (e.keyCode === 13 && !$(e.target).is('textarea, input[type="search"], .acf-clone-preset-name')) {
+                e.preventDefault();
+                const $nextButton = $('.acf-clone-next-step:visible, .acf-clone-execute:visible');
+                if ($nextButton.length && !$nextButton.prop('disabled')) {
+                    $nextButton.click();
+                }
+            }
+        },
+
+        /**
+         * Show loading state
+         */
+        showLoading: function(message) {
+            const html = `
+                <div class="acf-clone-loading">
+                    ${message || 'Loading...'}
+                </div>
+            `;
+            this.setModalBody(html);
+        },
+
+        /**
+         * Show error message
+         */
+        showError: function(message) {
+            const html = `
+                <div class="acf-clone-error-message">
+                    <strong>Error:</strong> ${this.escapeHtml(message)}
+                </div>
+            `;
+            this.setModalBody(html);
+        },
+
+        /**
+         * Show success message
+         */
+        showSuccess: function(message) {
+            const html = `
+                <div class="acf-clone-success-message">
+                    <strong>Success:</strong> ${this.escapeHtml(message)}
+                </div>
+            `;
+            this.setModalBody(html);
+        },
+
+        /**
+         * Show notice message
+         */
+        showNotice: function(message) {
+            // Create temporary notice
+            const $notice = $(`
+                <div class="notice notice-warning is-dismissible" style="margin: 10px 0;">
+                    <p>${this.escapeHtml(message)}</p>
+                </div>
+            `);
+            
+            $('.acf-clone-modal-body').prepend($notice);
+            
+            // Auto-remove after 3 seconds
+            setTimeout(() => {
+                $notice.fadeOut(300, function() {
+                    $(this).remove();
+                });
+            }, 3000);
+        },
+
+        /**
+         * Set modal body content
+         */
+        setModalBody: function(html) {
+            $('.acf-clone-modal-body').html(html);
+        },
+
+        /**
+         * Update footer buttons
+         */
+        updateFooterButtons: function(buttons) {
+            const $footer = $('.acf-clone-modal-footer');
+            $footer.empty();
+
+            buttons.forEach(button => {
+                const disabled = button.disabled ? ' disabled' : '';
+                $footer.append(`
+                    <button type="button" class="${button.class}"${disabled}>
+                        ${button.text}
+                    </button>
+                `);
+            });
+        },
+
+        /**
+         * Escape HTML for safe output
+         */
+        escapeHtml: function(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        },
+
+        /**
+         * Debug logging
+         */
+        log: function(message, data) {
+            if (this.config.debugMode && console && console.log) {
+                console.log('[ACF Clone Fields]', message, data || '');
+            }
+        }
+    };
+
+    /**
+     * Field Backups meta box
+     *
+     * Previews a backup in the clone modal (stored values next to the current
+     * ones) and restores all or some of its fields. Uses the modal and diff
+     * rendering of ACFCloneFields.
+     */
+    const ACFCloneBackups = {
+
+        // Initialization flag to prevent multiple inits
+        initialized: false,
+
+        // State management
+        state: {
+            backup: null,
+            pendingConfirm: null,
+            isLoading: false
+        },
+
+        /**
+         * Initialize the backups meta box
+         */
+        init: function() {
+            if (this.initialized) {
+                return;
+            }
+
+            this.bindEvents();
+            this.initialized = true;
+
+            this.openFromUrl();
+        },
+
+        /**
+         * Open the backup named in the URL (`acf_clone_backup`)
+         *
+         * The clone history screen links here to review and restore the
+         * backup taken before a clone.
+         */
+        openFromUrl: function() {
+            const backupId = wp.url.getQueryArg(window.location.href, 'acf_clone_backup');
+
+            if (backupId) {
+                this.loadPreview(String(backupId));
+            }
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function() {
+            // Meta box buttons
+            $(document).on('click', '.acf-clone-restore-backup', this.openPreview.bind(this));
+            $(document).on('click', '.acf-clone-delete-backup', this.confirmDelete.bind(this));
+            $(document).on('click', '#acf-clone-cleanup-backups', this.confirmCleanup.bind(this));
+
+            // Preview modal
+            $(document).on('change', '.acf-clone-backup-field-checkbox input', this.updateRestoreButton.bind(this));
+            $(document).on('click', '.acf-clone-backup-select', this.onSelectShortcut.bind(this));
+            $(document).on('click', '.acf-clone-backup-restore-selected', this.restoreSelected.bind(this));
+            $(document).on('click', '.acf-clone-backup-back', this.renderPreview.bind(this));
+            $(document).on('click', '.acf-clone-backup-confirm', this.onConfirm.bind(this));
+        },
+
+        /**
+         * Open the preview of a backup
+         */
+        openPreview: function(e) {
+            e.preventDefault();
+
+            this.loadPreview(String($(e.currentTarget).data('backup-id')));
+        },
+
+        /**
+         * Load and show the preview of a backup
+         *
+         * @param {string} backupId - Backup ID
+         */
+        loadPreview: function(backupId) {
+            ACFCloneFields.resetState();
+            ACFCloneFields.showModal('Restore Backup');
+            ACFCloneFields.showLoading('Loading backup...');
+            ACFCloneFields.updateFooterButtons([
+                { text: 'Cancel', class: 'button acf-clone-cancel' }
+            ]);
+
+            ACFCloneFields.apiRequest(`/backups/${encodeURIComponent(backupId)}`, 'GET').then(
+                this.onPreviewLoaded.bind(this),
+                error => ACFCloneFields.showError(ACFCloneFields.requestErrorMessage(error, 'Failed to load backup.'))
+            );
+        },
+
+        /**
+         * Handle the loaded backup preview
+         *
+         * @param {Object} backup - Backup preview (see BACKUPS in the header)
+         */
+        onPreviewLoaded: function(backup) {
+            this.state.backup = backup;
+            this.renderPreview();
+        },
+
+        /**
+         * Render the backup's fields with a comparison to the current values
+         *
+         * Fields whose current value differs are ticked; identical fields and
+         * fields removed from the field groups start unticked.
+         */
+        renderPreview: function() {
+            const backup = this.state.backup;
+
+            let html = `
+                <div class="acf-clone-step acf-clone-backup-preview">
+                    <p class="acf-clone-step-description">
+                        Backup from ${ACFCloneFields.escapeHtml(backup.created_at)} by ${ACFCloneFields.escapeHtml(backup.user)}.
+                        Choose the fields to restore; their current values will be replaced.
+                    </p>
+                    <div class="acf-clone-backup-select-links">
+                        <button type="button" class="button-link acf-clone-backup-select" data-select="all">Select all</button>
+                        <button type="button" class="button-link acf-clone-backup-select" data-select="changed">Select changed</button>
+                        <button type="button" class="button-link acf-clone-backup-select" data-select="none">Select none</button>
+                    </div>
+                    <div class="acf-clone-backup-fields">
+            `;
+
+            backup.fields.forEach(field => {
+                const checked = !field.identical && !field.missing ? ' checked' : '';
+                const note = field.missing
+                    ? '<span class="acf-clone-text-muted">Field no longer exists</span>'
+                    : (field.identical ? '<span class="acf-clone-text-muted">Unchanged since the backup</span>' : '');
+
+                html += `
+                    <div class="acf-clone-backup-field" data-identical="${field.identical ? 1 : 0}">
+                        <label class="acf-clone-backup-field-checkbox">
+                            <input type="checkbox" value="${ACFCloneFields.escapeHtml(field.key)}"${checked}${field.missing ? ' disabled' : ''}>
+                            <strong>${ACFCloneFields.escapeHtml(field.label)}</strong>
+                            <span class="acf-clone-field-type">${ACFCloneFields.escapeHtml(field.type)}</span>
+                            ${note}
+                        </label>
+                        ${ACFCloneFields.renderFieldDiff(field, false, 'Backup value')}
+                    </div>
+                `;
+            });
+
+            html += `
+                    </div>
+                </div>
+            `;
+
+            ACFCloneFields.setModalBody(html);
+            ACFCloneFields.updateFooterButtons([
+                { text: 'Cancel', class: 'button acf-clone-cancel' },
+                { text: 'Restore Selected Fields', class: 'button button-primary acf-clone-backup-restore-selected' }
+            ]);
+            this.updateRestoreButton();
+        },
+
+        /**
+         * Apply a select all / changed / none shortcut
+         */
+        onSelectShortcut: function(e) {
+            e.preventDefault();
+
+            const mode = $(e.currentTarget).data('select');
+
+            $('.acf-clone-backup-field').each((index, item) => {
+                const $input = $(item).find('.acf-clone-backup-field-checkbox input:not(:disabled)');
+                const changed = String($(item).data('identical')) !== '1';
+                $input.prop('checked', mode === 'all' || (mode === 'changed' && changed));
+            });
+
+            this.updateRestoreButton();
+        },
+
+        /**
+         * Get the field keys ticked in the preview
+         *
+         * @returns {Array<string>} Field keys
+         */
+        getSelectedKeys: function() {
+            return $('.acf-clone-backup-field-checkbox input:checked').map((i, input) => input.value).get();
+        },
+
+        /**
+         * Enable the restore button only with a selection
+         */
+        updateRestoreButton: function() {
+            const count = this.getSelectedKeys().length;
+            $('.acf-clone-backup-restore-selected')
+                .prop('disabled', count === 0 || this.state.isLoading)
+                .text(count > 0 ? `Restore ${count} Field(s)` : 'Restore Selected Fields');
+        },
+
+        /**
+         * Restore the ticked fields of the previewed backup
+         */
+        restoreSelected: function(e) {
+            e.preventDefault();
+
+            const fieldKeys = this.getSelectedKeys();
+
+            if (this.state.isLoading || !this.state.backup || fieldKeys.length === 0) {
+                return;
+            }
+
+            this.state.isLoading = true;
+            ACFCloneFields.showLoading('Restoring fields...');
+            ACFCloneFields.updateFooterButtons([]);
+
+            ACFCloneFields.apiRequest(`/backups/${encodeURIComponent(this.state.backup.backup_id)}/restore`, 'POST', {
+                field_keys: fieldKeys
+            }).then(
+                result => {
+                    this.state.isLoading = false;
+                    this.reloadWithMessage(result.message);
+                },
+                error => {
+                    this.state.isLoading = false;
+                    ACFCloneFields.showError(ACFCloneFields.requestErrorMessage(error, 'Failed to restore backup.'));
+                    ACFCloneFields.updateFooterButtons([
+                        { text: 'Back', class: 'button acf-clone-backup-back' },
+                        { text: 'Close', class: 'button acf-clone-cancel' }
+                    ]);
+                }
+            );
+        },
+
+        /**
+         * Show a success message and reload the page to show the new values
+         *
+         * @param {string} message - Server message
+         */
+        reloadWithMessage: function(message) {
+            ACFCloneFields.showSuccess(`${message} Reloading page...`);
+            ACFCloneFields.updateFooterButtons([
+                { text: 'Reloading...', class: 'button button-primary', disabled: true }
+            ]);
+
+            setTimeout(() => {
+                window.location.reload();
+            }, 2000);
+        },
+
+        /**
+         * Ask in the modal before running a destructive action
+         *
+         * @param {string} title - Modal title
+         * @param {string} message - Question shown in the modal body
+         * @param {string} buttonText - Label of the confirm button
+         * @param {Function} onConfirm - Called when confirmed
+         */
+        askConfirmation: function(title, message, buttonText, onConfirm) {
+            this.state.pendingConfirm = onConfirm;
+
+            ACFCloneFields.resetState();
+            ACFCloneFields.showModal(title);
+            ACFCloneFields.setModalBody(`<p class="acf-clone-step-description">${ACFCloneFields.escapeHtml(message)}</p>`);
+            ACFCloneFields.updateFooterButtons([
+                { text: 'Cancel', class: 'button acf-clone-cancel' },
+                { text: buttonText, class: 'button button-primary acf-clone-backup-confirm' }
+            ]);
+        },
+
+        /**
+         * Run the confirmed action
+         */
+        onConfirm: function(e) {
+            e.preventDefault();
+
+            const onConfirm = this.state.pendingConfirm;
+            this.state.pendingConfirm = null;
+
+            if (onConfirm) {
+                $(e.currentTarget).prop('disabled', true);
+                onConfirm();
+            }
+        },
+
+        /**
+         * Confirm and delete a backup
+         */
+        confirmDelete: function(e) {
+            e.preventDefault();
+
+            const $item = $(e.currentTarget).closest('.acf-clone-backup-item');
+            const backupId = String($(e.currentTarget).data('backup-id'));
+
+            this.askConfirmation(
+                'Delete Backup',
+                'Are you sure you want to delete this backup? This cannot be undone.',
+                'Delete Backup',
+                () => this.deleteBackup(backupId, $item)
+            );
+        },
+
+        /**
+         * Delete a backup and remove it from the meta box
+         *
+         * @param {string} backupId - Backup ID
+         * @param {jQuery} $item - Backup item in the meta box
+         */
+        deleteBackup: function(backupId, $item) {
+            ACFCloneFields.apiRequest(`/backups/${encodeURIComponent(backupId)}`, 'DELETE').then(
+                () => {
+                    ACFCloneFields.closeModal();
+                    $item.fadeOut(300, function() {
+                        $(this).remove();
+                        if ($('.acf-clone-backup-item').length === 0) {
+                            $('#acf-clone-backups-list').html('<p>No backups available for this post.</p>');
+                        }
+                    });
+                },
+                error => {
+                    ACFCloneFields.showError(ACFCloneFields.requestErrorMessage(error, 'Failed to delete backup.'));
+                    ACFCloneFields.updateFooterButtons([
+                        { text: 'Close', class: 'button acf-clone-cancel' }
+                    ]);
+                }
+            );
+        },
+
+        /**
+         * Confirm and clean up old backups
+         */
+        confirmCleanup: function(e) {
+            e.preventDefault();
+
+            this.askConfirmation(
+                'Clean Up Old Backups',
+                'This will delete backups older than the retention period. Continue?',
+                'Clean Up',
+                () => this.cleanupBackups()
+            );
+        },
+
+        /**
+         * Delete backups past the retention period
+         */
+        cleanupBackups: function() {
+            ACFCloneFields.showLoading('Cleaning up...');
+
+            ACFCloneFields.apiRequest('/backups/cleanup', 'POST').then(
+                result => this.reloadWithMessage(result.message),
+                error => {
+                    ACFCloneFields.showError(ACFCloneFields.requestErrorMessage(error, 'Cleanup failed.'));
+                    ACFCloneFields.updateFooterButtons([
+                        { text: 'Close', class: 'button acf-clone-cancel' }
+                    ]);
+                }
+            );
+        }
+    };
+
+    /**
+     * Field export and import
+     *
+     * Exports fields of the post as a JSON file and imports such a file,
+     * from this or another site, into the post: the file's fields are
+     * previewed against the current values, and the chosen ones imported
+     * like a clone (backup, undo, in-place editor update). Uses the modal
+     * and diff rendering of ACFCloneFields.
+     */
+    const ACFClonePackages = {
+
+        // Initialization flag to prevent multiple inits
+        initialized: false,
+
+        // State management
+        state: {
+            package: null,
+            preview: null,
+            isLoading: false
+        },
+
+        /**
+         * Initialize export and import
+         */
+        init: function() {
+            if (this.initialized) {
+                return;
+            }
+
+            this.bindEvents();
+            this.initialized = true;
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function() {
+            // Meta box buttons and the clone modal's first step
+            $(document).on('click', '.acf-clone-export-fields', this.openExport.bind(this));
+            $(document).on('click', '.acf-clone-import-fields', this.openImport.bind(this));
+
+            // Export and import modal
+            $(document).on('change', '.acf-clone-package-file', this.onFileChosen.bind(this));
+            $(document).on('change', '.acf-clone-package-field-checkbox input', this.updateActionButton.bind(this));
+            $(document).on('click', '.acf-clone-package-select', this.onSelectShortcut.bind(this));
+            $(document).on('click', '.acf-clone-package-download', this.downloadSelected.bind(this));
+            $(document).on('click', '.acf-clone-package-import', this.importSelected.bind(this));
+            $(document).on('click', '.acf-clone-package-choose', this.renderFileStep.bind(this));
+        },
+
+        /**
+         * Load the post's fields and offer them for export
+         */
+        openExport: function(e) {
+            e.preventDefault();
+
+            this.resetState();
+            ACFCloneFields.resetState();
+            ACFCloneFields.showModal('Export Fields');
+            ACFCloneFields.showLoading('Loading fields...');
+            ACFCloneFields.updateFooterButtons([
+                { text: 'Cancel', class: 'button acf-clone-cancel' }
+            ]);
+
+            ACFCloneFields.apiRequest(`/posts/${ACFCloneFields.config.postId}/export`, 'GET').then(
+                pkg => {
+                    this.state.package = pkg;
+                    this.renderExportStep();
+                },
+                error => ACFCloneFields.showError(ACFCloneFields.requestErrorMessage(error, 'Failed to load fields.'))
+            );
         },
 
         /**
-         * Show confirmation step
+         * Render the exported fields, grouped by field group, for picking
          */
-        showConfirmationStep: function() {
-            this.state.currentStep = 3;
-            
-            let html = `
-                <div class="acf-clone-step" data-step="3">
-                    <h3 class="acf-clone-step-title">Step 3: Confirm Clone Operation</h3>
-                    <p class="acf-clone-step-description">Review your selections and execute the clone:</p>
-                    
-                    <div class="acf-clone-selection-summary">
-                        <h4>Selected Fields (${this.state.selectedFields.length})</h4>
-                        <div class="acf-clone-summary-list">
-            `;
-
-            // Group selections by field group
-            const groupedSelections = {};
-            this.state.selectedFields.forEach(field => {
-                if (!groupedSelections[field.group]) {
-                    groupedSelections[field.group] = [];
-                }
-                groupedSelections[field.group].push(field);
-            });
+        renderExportStep: function() {
+            const fields = this.state.package.fields;
 
-            Object.entries(groupedSelections).forEach(([groupKey, fields]) => {
-                const group = this.state.sourceFields.find(g => g.key === groupKey);
-                html += `
-                    <div class="acf-clone-confirmation-group">
-                        <strong>${this.escapeHtml(group.title)}</strong>
-                        <ul>
-                `;
-                
-                fields.forEach(field => {
-                    const fieldData = group.fields.find(f => f.name === field.name);
-                    const conflictIcon = fieldData.will_overwrite ? ' ⚠️' : '';
-                    html += `<li>${this.escapeHtml(fieldData.label)} (${fieldData.type})${conflictIcon}</li>`;
-                });
-                
-                html += `
-                        </ul>
-                    </div>
-                `;
-            });
+            if (fields.length === 0) {
+                ACFCloneFields.showError('This post has no field values to export.');
+                return;
+            }
 
-            html += `
-                        </div>
-                    </div>
-                    
-                    <div class="acf-clone-options">
-                        <h4>Clone Options</h4>
-                        <div class="acf-clone-option">
-                            <label>
-                                <input type="checkbox" id="create-backup" checked>
-                                Create backup before cloning
-                            </label>
-                            <div class="acf-clone-option-description">
-                                Creates a backup of existing field values that can be restored if needed.
-                            </div>
-                        </div>
-                        <div class="acf-clone-option">
-                            <label>
-                                <input type="checkbox" id="preserve-empty">
-                                Skip empty fields
-                            </label>
-                            <div class="acf-clone-option-description">
-                                Don't copy fields that have no value in the source post.
-                            </div>
-                        </div>
+            const html = `
+                <div class="acf-clone-step acf-clone-package-export">
+                    <p class="acf-clone-step-description">
+                        Choose the fields to export. Images, files, posts, terms and users are saved by
+                        file path, slug or login, so the file can be imported on another site.
+                    </p>
+                    ${this.renderSelectLinks(false)}
+                    <div class="acf-clone-package-fields">
+                        ${this.renderGroups(fields, field => this.renderFieldCheckbox(field, true, false))}
                     </div>
                 </div>
             `;
 
-            this.setModalBody(html);
-            this.updateFooterButtons([
-                { text: 'Back', class: 'button acf-clone-prev-step' },
-                { text: 'Clone Fields', class: 'button button-primary acf-clone-execute' }
+            ACFCloneFields.setModalBody(html);
+            ACFCloneFields.updateFooterButtons([
+                { text: 'Cancel', class: 'button acf-clone-cancel' },
+                { text: 'Download', class: 'button button-primary acf-clone-package-download' }
             ]);
+            this.updateActionButton();
         },
 
         /**
-         * Execute the clone operation
-         * 
-         * Sends the final clone request to server with selected fields and options.
-         * 
-         * Request Data Structure:
-         * @typedef {Object} ExecuteCloneRequest
-         * @property {string} action - 'acf_clone_execute_clone'
-         * @property {string} nonce - Security nonce
-         * @property {number} post_id - Target post ID (from this.config.postId)
-         * @property {number} source_post_id - Source post ID (from this.state.selectedSource)
-         * @property {Array<string>} field_keys - Selected field names array (extracted from this.state.selectedFields)
-         * @property {Object} options - Clone operation options
-         * @property {boolean} options.create_backup - Whether to create backup before cloning
-         * @property {boolean} options.preserve_empty - Whether to preserve empty values
+         * Download the ticked fields as a JSON file
          */
-        executeClone: function(e) {
+        downloadSelected: function(e) {
             e.preventDefault();
-            
-            if (this.state.isLoading) {
+
+            const fieldKeys = this.getSelectedKeys();
+
+            if (!this.state.package || fieldKeys.length === 0) {
                 return;
             }
 
-            const options = {
-                create_backup: $('#create-backup').is(':checked'),
-                preserve_empty: $('#preserve-empty').is(':checked'),
-                overwrite_existing: true  // Allow overwriting existing values
-            };
-
-            this.log('Executing clone operation', {
-                source: this.state.selectedSource,
-                fields: this.state.selectedFields,
-                options: options
+            const pkg = $.extend({}, this.state.package, {
+                fields: this.state.package.fields.filter(field => fieldKeys.includes(field.key))
             });
+            const blob = new Blob([JSON.stringify(pkg, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
 
-            this.showLoading('Cloning fields...');
-            this.state.isLoading = true;
-
-            // Extract field names from selected fields objects
-            const fieldKeys = this.state.selectedFields.map(field => field.name);
+            link.href = url;
+            link.download = `acf-fields-${ACFCloneFields.config.postType}-${ACFCloneFields.config.postId}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
 
-            $.ajax({
-                url: this.config.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'acf_clone_execute_clone',
-                    nonce: this.config.nonce,
-                    target_post_id: this.config.postId,
-                    source_post_id: this.state.selectedSource,
-                    field_keys: fieldKeys,
-                    options: options
-                },
-                success: this.onCloneComplete.bind(this),
-                error: this.onAjaxError.bind(this)
-            });
+            ACFCloneFields.closeModal();
         },
 
         /**
-         * Handle clone completion
-         * 
-         * Server Response Structure:
-         * @typedef {Object} ExecuteCloneResponse
-         * @property {boolean} success - Whether the clone operation was successful
-         * @property {Object} data - Response data object
-         * @property {number} data.cloned_count - Number of fields successfully cloned
-         * @property {number} data.skipped_count - Number of fields skipped (if any)
-         * @property {Array} data.cloned_fields - Array of cloned field names
-         * @property {Array} data.skipped_fields - Array of skipped field names (if any)
-         * @property {Object} data.source_post - Source post information
-         * @property {number} data.source_post.id - Source post ID
-         * @property {string} data.source_post.title - Source post title
-         * @property {Object} data.target_post - Target post information
-         * @property {number} data.target_post.id - Target post ID
-         * @property {string} data.target_post.title - Target post title
-         * @property {Object} [data.backup_info] - Backup information (if backup was created)
-         * @property {string} [data.backup_info.backup_id] - Backup identifier
-         * @property {string} [data.backup_info.created_at] - Backup creation timestamp
-         * @property {Object} data.operation_summary - Summary of the operation
-         * @property {number} data.operation_summary.total_requested - Total fields requested for cloning
-         * @property {number} data.operation_summary.successful - Successfully cloned fields
-         * @property {number} data.operation_summary.failed - Failed field operations
-         * @property {string} [data.message] - Success or error message
-         */
-        onCloneComplete: function(response) {
-            this.state.isLoading = false;
-            this.log('Clone operation completed', response);
-
-            if (response.success) {
-                // Disable all buttons immediately to prevent double submissions
-                this.state.modal.find('.button').prop('disabled', true);
-                
-                // Access cloned_count from response.data - also available: skipped_count, cloned_fields, operation_summary
-                this.showSuccess(
-                    `Successfully cloned ${response.data.cloned_count} field(s). ` +
-                    `Reloading page to show updated fields...`
-                );
-
-                // Update footer to show completion state
-                this.updateFooterButtons([
-                    { text: 'Reloading...', class: 'button button-primary', disabled: true }
-                ]);
+         * Open the import modal
+         */
+        openImport: function(e) {
+            e.preventDefault();
 
-                // Reload the page after a short delay
-                setTimeout(() => {
-                    window.location.reload();
-                }, 2000);
-            } else {
-                this.showError(response.data.message || 'Clone operation failed');
-            }
+            this.resetState();
+            ACFCloneFields.resetState();
+            ACFCloneFields.showModal('Import Fields');
+            this.renderFileStep();
         },
 
         /**
-         * Handle AJAX errors
-         * 
-         * Standard jQuery AJAX Error Parameters:
-         * @typedef {Object} AjaxErrorResponse
-         * @property {Object} xhr - XMLHttpRequest object
-         * @property {number} xhr.status - HTTP status code (404, 500, etc.)
-         * @property {string} xhr.statusText - HTTP status text
-         * @property {string} xhr.responseText - Raw response text
-         * @property {Object} [xhr.responseJSON] - Parsed JSON response (if applicable)
-         * @property {boolean} [xhr.responseJSON.success] - Success flag (usually false for errors)
-         * @property {string} [xhr.responseJSON.data] - Error message from server
-         * @property {string} status - Request status ('error', 'timeout', 'abort', etc.)
-         * @property {string} error - Error message string
-         */
-        onAjaxError: function(xhr, status, error) {
-            this.state.isLoading = false;
-            this.log('AJAX error', { xhr, status, error });
-            this.showError(`Request failed: ${error}`);
+         * Render the file picker
+         *
+         * @param {string} [error] - Problem with the previously chosen file
+         */
+        renderFileStep: function(error) {
+            const errorHtml = typeof error === 'string'
+                ? `<div class="acf-clone-error-message"><strong>Error:</strong> ${ACFCloneFields.escapeHtml(error)}</div>`
+                : '';
+
+            const html = `
+                <div class="acf-clone-step acf-clone-package-file-step">
+                    <p class="acf-clone-step-description">
+                        Choose a file exported with "Export Fields", from this site or another one.
+                        Its fields are matched to this post's fields by key.
+                    </p>
+                    ${errorHtml}
+                    <input type="file" class="acf-clone-package-file" accept=".json,application/json">
+                </div>
+            `;
+
+            this.state.package = null;
+            this.state.preview = null;
+            ACFCloneFields.setModalBody(html);
+            ACFCloneFields.updateFooterButtons([
+                { text: 'Cancel', class: 'button acf-clone-cancel' }
+            ]);
         },
 
         /**
-         * Handle keyboard shortcuts
+         * Read the chosen file and load its preview
          */
-        handleKeyboard: function(e) {
-            if (!this.state.modal.is(':visible')) {
+        onFileChosen: function(e) {
+            const file = e.target.files && e.target.files[0];
+
+            if (!file) {
                 return;
             }
 
-            // ESC to close modal
-            if (e.keyCode === 27) {
-                this.closeModal();
-            }
+            const reader = new FileReader();
 
-            // Enter to proceed
-            if (e.keyCode === 13 && !$(e.target).is('textarea')) {
-                e.preventDefault();
-                const $nextButton = $('.acf-clone-next-step:visible, .acf-clone-execute:visible');
-                if ($nextButton.length && !$nextButton.prop('disabled')) {
-                    $nextButton.click();
+            reader.onload = () => {
+                let pkg;
+
+                try {
+                    pkg = JSON.parse(reader.result);
+                } catch (parseError) {
+                    this.renderFileStep('The file is not valid JSON.');
+                    return;
                 }
-            }
+
+                this.loadPreview(pkg);
+            };
+            reader.onerror = () => this.renderFileStep('The file could not be read.');
+            reader.readAsText(file);
         },
 
         /**
-         * Show loading state
+         * Compare the package's fields with this post's values
+         *
+         * @param {Object} pkg - Parsed package (see EXPORT / IMPORT in the header)
          */
-        showLoading: function(message) {
-            const html = `
-                <div class="acf-clone-loading">
-                    ${message || 'Loading...'}
-                </div>
-            `;
-            this.setModalBody(html);
+        loadPreview: function(pkg) {
+            ACFCloneFields.showLoading('Reading file...');
+
+            ACFCloneFields.apiRequest('/import/preview', 'POST', {
+                target_post_id: ACFCloneFields.config.postId,
+                package: pkg
+            }).then(
+                preview => {
+                    this.state.package = pkg;
+                    this.state.preview = preview;
+                    this.renderImportPreview();
+                },
+                error => this.renderFileStep(ACFCloneFields.requestErrorMessage(error, 'Failed to read the file.'))
+            );
         },
 
         /**
-         * Show error message
+         * Render the package's fields, grouped like step 2 of the clone
+         *
+         * Fields with a value that differs from this post's are ticked;
+         * fields this post does not have cannot be picked.
          */
-        showError: function(message) {
+        renderImportPreview: function() {
+            const preview = this.state.preview;
+            const source = preview.source;
+            const origin = [
+                source.title ? `"${ACFCloneFields.escapeHtml(source.title)}"` : '',
+                source.site_url ? `on ${ACFCloneFields.escapeHtml(source.site_url)}` : ''
+            ].filter(Boolean).join(' ');
+
             const html = `
-                <div class="acf-clone-error-message">
-                    <strong>Error:</strong> ${this.escapeHtml(message)}
+                <div class="acf-clone-step acf-clone-package-import">
+                    <p class="acf-clone-step-description">
+                        Fields exported from ${origin || 'another post'}.
+                        Choose the fields to import; their current values will be replaced.
+                    </p>
+                    ${this.renderSelectLinks(true)}
+                    <div class="acf-clone-package-fields">
+                        ${this.renderGroups(preview.fields, field => this.renderPreviewField(field))}
+                    </div>
+                    <div class="acf-clone-options">
+                        <div class="acf-clone-option">
+                            <label>
+                                <input type="checkbox" id="acf-clone-package-backup" checked>
+                                Create backup before importing
+                            </label>
+                        </div>
+                    </div>
                 </div>
             `;
-            this.setModalBody(html);
+
+            ACFCloneFields.setModalBody(html);
+            ACFCloneFields.updateFooterButtons([
+                { text: 'Choose Another File', class: 'button acf-clone-package-choose' },
+                { text: 'Import Selected Fields', class: 'button button-primary acf-clone-package-import' }
+            ]);
+            this.updateActionButton();
         },
 
         /**
-         * Show success message
+         * Render one previewed field with its diff and reference warnings
+         *
+         * @param {Object} field - Field comparison with group, has_value, missing and warnings
+         * @returns {string} HTML
          */
-        showSuccess: function(message) {
-            const html = `
-                <div class="acf-clone-success-message">
-                    <strong>Success:</strong> ${this.escapeHtml(message)}
+        renderPreviewField: function(field) {
+            let note = '';
+            if (field.missing) {
+                note = '<span class="acf-clone-text-muted">This post has no such field</span>';
+            } else if (field.identical) {
+                note = '<span class="acf-clone-text-muted">Same as the current value</span>';
+            }
+
+            const warnings = field.warnings.map(warning =>
+                `<li>${ACFCloneFields.escapeHtml(warning)}</li>`
+            ).join('');
+
+            return `
+                <div class="acf-clone-package-field" data-identical="${field.identical ? 1 : 0}">
+                    ${this.renderFieldCheckbox(field, !field.identical && !field.missing && field.has_value, field.missing, note)}
+                    ${warnings ? `<ul class="acf-clone-package-warnings">${warnings}</ul>` : ''}
+                    ${ACFCloneFields.renderFieldDiff(field, false, 'Imported value')}
                 </div>
             `;
-            this.setModalBody(html);
         },
 
         /**
-         * Show notice message
+         * Render fields under their field group titles
+         *
+         * @param {Array<Object>} fields - Fields with a group { key, title }
+         * @param {Function} renderField - Returns the HTML of one field
+         * @returns {string} HTML
          */
-        showNotice: function(message) {
-            // Create temporary notice
-            const $notice = $(`
-                <div class="notice notice-warning is-dismissible" style="margin: 10px 0;">
-                    <p>${this.escapeHtml(message)}</p>
+        renderGroups: function(fields, renderField) {
+            const groups = [];
+
+            fields.forEach(field => {
+                let group = groups.find(g => g.key === field.group.key);
+                if (!group) {
+                    group = { key: field.group.key, title: field.group.title, fields: [] };
+                    groups.push(group);
+                }
+                group.fields.push(field);
+            });
+
+            return groups.map(group => `
+                <div class="acf-clone-package-group">
+                    <h4 class="acf-clone-group-title">${ACFCloneFields.escapeHtml(group.title || 'Other fields')}</h4>
+                    ${group.fields.map(renderField).join('')}
                 </div>
-            `);
-            
-            $('.acf-clone-modal-body').prepend($notice);
-            
-            // Auto-remove after 3 seconds
-            setTimeout(() => {
-                $notice.fadeOut(300, function() {
-                    $(this).remove();
-                });
-            }, 3000);
+            `).join('');
         },
 
         /**
-         * Set modal body content
+         * Render the checkbox of a field
+         *
+         * @param {Object} field - Field with key, label and type
+         * @param {boolean} checked - Whether it starts ticked
+         * @param {boolean} disabled - Whether it cannot be picked
+         * @param {string} [note] - HTML shown after the type
+         * @returns {string} HTML
          */
-        setModalBody: function(html) {
-            $('.acf-clone-modal-body').html(html);
+        renderFieldCheckbox: function(field, checked, disabled, note) {
+            return `
+                <label class="acf-clone-package-field-checkbox">
+                    <input type="checkbox" value="${ACFCloneFields.escapeHtml(field.key)}"${checked ? ' checked' : ''}${disabled ? ' disabled' : ''}>
+                    <strong>${ACFCloneFields.escapeHtml(field.label)}</strong>
+                    <span class="acf-clone-field-type">${ACFCloneFields.escapeHtml(field.type)}</span>
+                    ${note || ''}
+                </label>
+            `;
         },
 
         /**
-         * Update footer buttons
+         * Render the select all / changed / none shortcuts
+         *
+         * @param {boolean} withChanged - Whether to offer "Select changed"
+         * @returns {string} HTML
          */
-        updateFooterButtons: function(buttons) {
-            const $footer = $('.acf-clone-modal-footer');
-            $footer.empty();
+        renderSelectLinks: function(withChanged) {
+            return `
+                <div class="acf-clone-backup-select-links">
+                    <button type="button" class="button-link acf-clone-package-select" data-select="all">Select all</button>
+                    ${withChanged ? '<button type="button" class="button-link acf-clone-package-select" data-select="changed">Select changed</button>' : ''}
+                    <button type="button" class="button-link acf-clone-package-select" data-select="none">Select none</button>
+                </div>
+            `;
+        },
 
-            buttons.forEach(button => {
-                const disabled = button.disabled ? ' disabled' : '';
-                $footer.append(`
-                    <button type="button" class="${button.class}"${disabled}>
-                        ${button.text}
-                    </button>
-                `);
+        /**
+         * Apply a select all / changed / none shortcut
+         */
+        onSelectShortcut: function(e) {
+            e.preventDefault();
+
+            const mode = $(e.currentTarget).data('select');
+
+            $('.acf-clone-package-field-checkbox input:not(:disabled)').each((index, input) => {
+                const changed = String($(input).closest('.acf-clone-package-field').data('identical')) !== '1';
+                $(input).prop('checked', mode === 'all' || (mode === 'changed' && changed));
             });
+
+            this.updateActionButton();
         },
 
         /**
-         * Escape HTML for safe output
+         * Get the field keys ticked in the modal
+         *
+         * @returns {Array<string>} Field keys
          */
-        escapeHtml: function(text) {
-            const div = document.createElement('div');
-            div.textContent = text;
-            return div.innerHTML;
+        getSelectedKeys: function() {
+            return $('.acf-clone-package-field-checkbox input:checked').map((i, input) => input.value).get();
         },
 
         /**
-         * Debug logging
+         * Enable the download or import button only with a selection
          */
-        log: function(message, data) {
-            if (this.config.debugMode && console && console.log) {
-                console.log('[ACF Clone Fields]', message, data || '');
+        updateActionButton: function() {
+            const count = this.getSelectedKeys().length;
+
+            $('.acf-clone-package-download')
+                .prop('disabled', count === 0)
+                .text(count > 0 ? `Download ${count} Field(s)` : 'Download');
+            $('.acf-clone-package-import')
+                .prop('disabled', count === 0 || this.state.isLoading)
+                .text(count > 0 ? `Import ${count} Field(s)` : 'Import Selected Fields');
+        },
+
+        /**
+         * Import the ticked fields of the package
+         *
+         * The result is handled like a clone's: the editor shows the new
+         * values and the undo notice offers the backup.
+         */
+        importSelected: function(e) {
+            e.preventDefault();
+
+            const fieldKeys = this.getSelectedKeys();
+
+            if (this.state.isLoading || !this.state.package || fieldKeys.length === 0) {
+                return;
             }
+
+            const options = {
+                create_backup: $('#acf-clone-package-backup').is(':checked'),
+                overwrite_existing: true
+            };
+
+            this.state.isLoading = true;
+            ACFCloneFields.showLoading('Importing fields...');
+            ACFCloneFields.updateFooterButtons([]);
+
+            ACFCloneFields.apiRequest('/import', 'POST', {
+                target_post_id: ACFCloneFields.config.postId,
+                package: this.state.package,
+                field_keys: fieldKeys,
+                options: options
+            }).then(
+                data => {
+                    this.state.isLoading = false;
+                    ACFCloneFields.onCloneComplete(data);
+                },
+                error => {
+                    this.state.isLoading = false;
+                    ACFCloneFields.showError(ACFCloneFields.requestErrorMessage(error, 'Import failed.'));
+                    ACFCloneFields.updateFooterButtons([
+                        { text: 'Close', class: 'button acf-clone-cancel' }
+                    ]);
+                }
+            );
+        },
+
+        /**
+         * Forget the previous export or import
+         */
+        resetState: function() {
+            this.state.package = null;
+            this.state.preview = null;
+            this.state.isLoading = false;
         }
     };
 
@@ -1028,13 +4876,27 @@
      * Initialize when document is ready
      */
     $(document).ready(function() {
-        // Check if we're on a post edit screen with the meta box
-        if ($('.acf-clone-fields-metabox').length > 0) {
+        // Check if we're on a post edit screen with the meta box, or a term,
+        // user or options page screen with the clone button
+        if ($('.acf-clone-fields-metabox, .acf-clone-backups-metabox, .acf-clone-fields-object').length > 0) {
             ACFCloneFields.init();
         }
+
+        if ($('.acf-clone-backups-metabox').length > 0) {
+            ACFCloneBackups.init();
+        }
+
+        if ($('.acf-clone-fields-metabox').length > 0) {
+            ACFClonePackages.init();
+        }
     });
 
-    // Expose to global scope for debugging
+    // Built-in types first, so scripts loaded after this file can override them
+    ACFCloneFields.registerBuiltInFieldTypes();
+
+    // Expose to global scope for debugging and field type scripts
     window.ACFCloneFields = ACFCloneFields;
+    window.ACFCloneBackups = ACFCloneBackups;
+    window.ACFClonePackages = ACFClonePackages;
 
 })(jQuery);
\ No newline at end of file
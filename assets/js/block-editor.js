@@ -0,0 +1,617 @@
+/**
+ * ACF Clone Fields - Block Editor Sidebar
+ *
+ * Registers a "Clone Fields" sidebar in the block editor. It runs the same
+ * flow as the meta box modal (pick a source post, pick fields, confirm)
+ * with the editor's components, reports through the editor's notices and
+ * keeps the post's save state in step with the cloned values.
+ *
+ * Row/sub-field selections, merge strategies and presets stay in the
+ * modal; the sidebar can open it ("More options").
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ *
+ * ============================================================================
+ * DATA STRUCTURES REFERENCE
+ * ============================================================================
+ *
+ * Uses the REST routes of the meta box (GET /source-posts,
+ * GET /source-fields, POST /clone) and the acfCloneFields configuration
+ * of admin.js, see admin.js.
+ *
+ * After a real run the cloned values are written into the ACF inputs with
+ * ACFCloneFields.applyFieldValues(), and the post is marked as having
+ * unsaved changes through the edit below. It is not a post attribute, so
+ * the REST API ignores it when the post is saved.
+ *
+ *    editPost({ acf_clone_fields_applied: number })   // Time of the last clone
+ *
+ * ============================================================================
+ */
+
+(function(wp, $) {
+    'use strict';
+
+    const { createElement: el, Fragment, useEffect, useRef, useState } = wp.element;
+    const { __, _n, sprintf } = wp.i18n;
+    const {
+        Button,
+        CheckboxControl,
+        Notice,
+        PanelBody,
+        SelectControl,
+        Spinner,
+        TextControl,
+        ToggleControl
+    } = wp.components;
+    const { useDispatch, useSelect } = wp.data;
+
+    // WordPress 6.6 moved the sidebar slots from edit-post to editor
+    const editorSlots = wp.editor && wp.editor.PluginSidebar ? wp.editor : wp.editPost;
+    const { PluginSidebar, PluginSidebarMoreMenuItem } = editorSlots;
+
+    const config = window.acfCloneFields || {};
+    const SIDEBAR_NAME = 'acf-clone-fields-sidebar';
+    const LOCK_NAME = 'acf-clone-fields';
+    const SEARCH_DELAY = 300;
+
+    const emptyValueChoices = [
+        { value: 'skip', label: __('Skip the field', 'silver-assist-acf-clone-fields') },
+        { value: 'clear', label: __('Clear the field in this post', 'silver-assist-acf-clone-fields') },
+        { value: 'keep', label: __("Keep this post's value if it has one", 'silver-assist-acf-clone-fields') }
+    ];
+
+    const reportStatusLabels = {
+        cloned: __('Will be written', 'silver-assist-acf-clone-fields'),
+        cleared: __('Will be cleared', 'silver-assist-acf-clone-fields'),
+        skipped: __('Skipped', 'silver-assist-acf-clone-fields'),
+        failed: __('Will fail', 'silver-assist-acf-clone-fields')
+    };
+
+    /**
+     * Call one of the plugin's REST routes through ACFCloneFields.apiRequest()
+     *
+     * @param {string} path - Route below the namespace, e.g. '/clone'
+     * @param {string} method - HTTP method
+     * @param {Object} data - Request arguments
+     * @returns {Promise<Object>} Response data; rejects with an Error carrying the server message
+     */
+    function request(path, method, data) {
+        return window.ACFCloneFields.apiRequest(path, method, data).catch(error => {
+            throw new Error(error && error.message ? error.message : __('An error occurred. Please try again.', 'silver-assist-acf-clone-fields'));
+        });
+    }
+
+    /**
+     * Open the meta box modal for the options the sidebar does not cover
+     */
+    function openModal() {
+        const clone = window.ACFCloneFields;
+
+        if (!clone) {
+            return;
+        }
+
+        clone.init();
+        clone.openModal($.Event('click'));
+    }
+
+    /**
+     * Step 1: search and pick the source post
+     *
+     * @param {Object} props
+     * @param {number} props.postId - Post being edited
+     * @param {Function} props.onSelect - Called with the picked post
+     */
+    function SourceStep({ postId, onSelect }) {
+        const sourcePostTypes = config.sourcePostTypes || [];
+        const [search, setSearch] = useState('');
+        const [postType, setPostType] = useState(config.postType || '');
+        const [posts, setPosts] = useState([]);
+        const [paging, setPaging] = useState({ offset: 0, hasMore: false });
+        const [loading, setLoading] = useState(false);
+        const [error, setError] = useState('');
+        const requestId = useRef(0);
+
+        /**
+         * Load a page of source posts; newer requests win
+         *
+         * @param {number} offset - Offset of the page, 0 starts over
+         */
+        const load = (offset) => {
+            const id = ++requestId.current;
+            setLoading(true);
+            setError('');
+
+            request('/source-posts', 'GET', {
+                post_id: postId,
+                post_type: postType,
+                search: search,
+                offset: offset
+            })
+                .then(data => {
+                    if (id !== requestId.current) {
+                        return;
+                    }
+                    setPosts(current => (offset === 0 ? data.posts : current.concat(data.posts)));
+                    setPaging({ offset: data.offset + data.per_page, hasMore: data.has_more });
+                })
+                .catch(err => {
+                    if (id === requestId.current) {
+                        setError(err.message);
+                    }
+                })
+                .finally(() => {
+                    if (id === requestId.current) {
+                        setLoading(false);
+                    }
+                });
+        };
+
+        // Debounce typing; switching post types reloads right away
+        useEffect(() => {
+            const timer = setTimeout(() => load(0), search ? SEARCH_DELAY : 0);
+            return () => clearTimeout(timer);
+        }, [search, postType]);
+
+        return el(Fragment, null,
+            el(PanelBody, { title: __('1. Source post', 'silver-assist-acf-clone-fields'), initialOpen: true },
+                sourcePostTypes.length > 1 && el(SelectControl, {
+                    label: __('Post type', 'silver-assist-acf-clone-fields'),
+                    value: postType,
+                    options: sourcePostTypes.map(type => ({ value: type.name, label: type.label })),
+                    onChange: setPostType,
+                    __nextHasNoMarginBottom: true
+                }),
+                el(TextControl, {
+                    label: __('Search posts', 'silver-assist-acf-clone-fields'),
+                    type: 'search',
+                    value: search,
+                    onChange: setSearch,
+                    __nextHasNoMarginBottom: true
+                }),
+                error && el(Notice, { status: 'error', isDismissible: false }, error),
+                !loading && !error && posts.length === 0 && el('p', { className: 'acf-clone-sidebar-muted' },
+                    search
+                        ? __('No posts match your search.', 'silver-assist-acf-clone-fields')
+                        : __('No source posts available for cloning.', 'silver-assist-acf-clone-fields')
+                ),
+                posts.length > 0 && el('ul', { className: 'acf-clone-sidebar-posts' },
+                    posts.map(post => el('li', { key: post.id },
+                        el(Button, {
+                            className: 'acf-clone-sidebar-post',
+                            onClick: () => onSelect(post)
+                        },
+                            el('span', { className: 'acf-clone-sidebar-post-title' }, post.title),
+                            el('span', { className: 'acf-clone-sidebar-muted' },
+                                /* translators: 1: number of ACF fields, 2: last modified date */
+                                sprintf(__('%1$d fields · %2$s', 'silver-assist-acf-clone-fields'), post.field_count, post.modified)
+                            )
+                        )
+                    ))
+                ),
+                loading && el(Spinner),
+                !loading && paging.hasMore && el(Button, {
+                    variant: 'secondary',
+                    onClick: () => load(paging.offset)
+                }, __('Load more', 'silver-assist-acf-clone-fields'))
+            )
+        );
+    }
+
+    /**
+     * Step 2: pick the fields to clone
+     *
+     * @param {Object} props
+     * @param {Object} props.source - Picked source post
+     * @param {Array<Object>} props.groups - Field groups from acf_clone_get_source_fields
+     * @param {Object} props.selection - { fields: Array<string>, mapping: Object }, by field key
+     * @param {boolean} props.crossType - Source is of another post type
+     * @param {Array<Object>} props.targetFields - Fields of this post (cross-type)
+     * @param {Function} props.onChange - Called with the new selection
+     */
+    function FieldsStep({ source, groups, selection, crossType, targetFields, onChange }) {
+        const isSelected = key => selection.fields.includes(key);
+        const canSelect = field => !crossType || (field.mapping_targets || []).length > 0;
+
+        const toggleField = (key, checked) => {
+            const fields = selection.fields.filter(selected => selected !== key);
+            onChange($.extend({}, selection, { fields: checked ? fields.concat(key) : fields }));
+        };
+
+        const toggleGroup = (group, checked) => {
+            const keys = group.fields.filter(canSelect).map(field => field.key);
+            const fields = selection.fields.filter(key => !keys.includes(key));
+            onChange($.extend({}, selection, { fields: checked ? fields.concat(keys) : fields }));
+        };
+
+        const setMapping = (key, targetKey) => {
+            const mapping = $.extend({}, selection.mapping);
+            if (targetKey) {
+                mapping[key] = targetKey;
+            } else {
+                delete mapping[key];
+            }
+            onChange($.extend({}, selection, { mapping: mapping }));
+        };
+
+        const renderField = field => {
+            const notes = [field.type, field.has_value
+                ? __('Has value', 'silver-assist-acf-clone-fields')
+                : __('Empty', 'silver-assist-acf-clone-fields')];
+
+            if (field.will_overwrite) {
+                notes.push(__('Will overwrite existing data', 'silver-assist-acf-clone-fields'));
+            }
+
+            const targets = targetFields.filter(target => (field.mapping_targets || []).includes(target.key));
+
+            return el('div', { key: field.key, className: 'acf-clone-sidebar-field' },
+                el(CheckboxControl, {
+                    label: field.label,
+                    help: notes.join(' · '),
+                    checked: isSelected(field.key),
+                    disabled: !canSelect(field),
+                    onChange: checked => toggleField(field.key, checked),
+                    __nextHasNoMarginBottom: true
+                }),
+                crossType && targets.length > 0 && isSelected(field.key) && el(SelectControl, {
+                    label: __('Copy into', 'silver-assist-acf-clone-fields'),
+                    value: selection.mapping[field.key] || '',
+                    options: [{ value: '', label: __('— Choose a field —', 'silver-assist-acf-clone-fields') }].concat(
+                        targets.map(target => ({ value: target.key, label: `${target.label} (${target.group})` }))
+                    ),
+                    onChange: targetKey => setMapping(field.key, targetKey),
+                    __nextHasNoMarginBottom: true
+                }),
+                crossType && targets.length === 0 && el('p', { className: 'acf-clone-sidebar-muted' },
+                    __('No compatible field in this post', 'silver-assist-acf-clone-fields')
+                )
+            );
+        };
+
+        return el(Fragment, null,
+            el(PanelBody, { title: __('2. Fields', 'silver-assist-acf-clone-fields'), initialOpen: true },
+                el('p', null,
+                    /* translators: %s: source post title */
+                    sprintf(__('From “%s”', 'silver-assist-acf-clone-fields'), source.title)
+                ),
+                crossType && el('p', { className: 'acf-clone-sidebar-muted' },
+                    __('The source post is of another type. Choose the field of this post each one goes into.', 'silver-assist-acf-clone-fields')
+                )
+            ),
+            groups.map((group, index) => {
+                const selectable = group.fields.filter(canSelect);
+                const allSelected = selectable.length > 0 && selectable.every(field => isSelected(field.key));
+
+                return el(PanelBody, { key: group.key || index, title: group.title, initialOpen: index === 0 },
+                    selectable.length > 1 && el(Button, {
+                        variant: 'link',
+                        onClick: () => toggleGroup(group, !allSelected)
+                    }, allSelected
+                        ? __('Deselect all', 'silver-assist-acf-clone-fields')
+                        : __('Select all', 'silver-assist-acf-clone-fields')),
+                    group.fields.length > 0
+                        ? group.fields.map(renderField)
+                        : el('p', { className: 'acf-clone-sidebar-muted' }, __('No fields found in this group.', 'silver-assist-acf-clone-fields'))
+                );
+            })
+        );
+    }
+
+    /**
+     * Step 3: clone options
+     *
+     * @param {Object} props
+     * @param {Object} props.options - { create_backup, empty_values, duplicate_attachments, duplicate_posts, dry_run }
+     * @param {Function} props.onChange - Called with the new options
+     */
+    function ConfirmStep({ options, onChange }) {
+        const set = (key, value) => onChange($.extend({}, options, { [key]: value }));
+
+        return el(PanelBody, { title: __('3. Options', 'silver-assist-acf-clone-fields'), initialOpen: true },
+            el(ToggleControl, {
+                label: __('Create backup before cloning', 'silver-assist-acf-clone-fields'),
+                checked: options.create_backup,
+                onChange: value => set('create_backup', value),
+                __nextHasNoMarginBottom: true
+            }),
+            el(SelectControl, {
+                label: __('When a field is empty in the source post', 'silver-assist-acf-clone-fields'),
+                value: options.empty_values,
+                options: emptyValueChoices,
+                onChange: value => set('empty_values', value),
+                __nextHasNoMarginBottom: true
+            }),
+            el(ToggleControl, {
+                label: __('Duplicate images and files', 'silver-assist-acf-clone-fields'),
+                help: __('Give this post its own copies of the media in the cloned fields.', 'silver-assist-acf-clone-fields'),
+                checked: options.duplicate_attachments,
+                onChange: value => set('duplicate_attachments', value),
+                __nextHasNoMarginBottom: true
+            }),
+            el(ToggleControl, {
+                label: __('Duplicate related posts', 'silver-assist-acf-clone-fields'),
+                help: __('Link this post to copies of the posts in relationship and post object fields.', 'silver-assist-acf-clone-fields'),
+                checked: options.duplicate_posts,
+                onChange: value => set('duplicate_posts', value),
+                __nextHasNoMarginBottom: true
+            }),
+            el(ToggleControl, {
+                label: __('Preview only (dry run)', 'silver-assist-acf-clone-fields'),
+                help: __('Report which fields would be written or skipped. Nothing is changed.', 'silver-assist-acf-clone-fields'),
+                checked: options.dry_run,
+                onChange: value => set('dry_run', value),
+                __nextHasNoMarginBottom: true
+            })
+        );
+    }
+
+    /**
+     * Dry run report
+     *
+     * @param {Object} props
+     * @param {Object} props.data - Execute clone response data with dry_run = true
+     */
+    function ReportStep({ data }) {
+        return el(PanelBody, { title: __('Dry run report', 'silver-assist-acf-clone-fields'), initialOpen: true },
+            el('p', null, data.message),
+            el('ul', { className: 'acf-clone-sidebar-report' },
+                (data.report || []).map(entry => el('li', {
+                    key: entry.field,
+                    className: `acf-clone-report-item acf-clone-report-${entry.status}`
+                },
+                    el('strong', null, entry.label),
+                    ' ',
+                    el('span', { className: 'acf-clone-report-status' }, reportStatusLabels[entry.status] || entry.status),
+                    entry.status !== 'cloned' && el('div', { className: 'acf-clone-report-message' }, entry.message),
+                    (entry.warnings || []).map((warning, index) => el('div', {
+                        key: index,
+                        className: 'acf-clone-report-warnings'
+                    }, `⚠️ ${warning}`))
+                ))
+            )
+        );
+    }
+
+    /**
+     * Sidebar controller: holds the flow state and runs the clone
+     */
+    function CloneSidebar() {
+        const { postId, isSaving } = useSelect(select => ({
+            postId: select('core/editor').getCurrentPostId(),
+            isSaving: select('core/editor').isSavingPost()
+        }), []);
+        const { editPost, lockPostSaving, unlockPostSaving } = useDispatch('core/editor');
+        const { createErrorNotice, createNotice, createSuccessNotice } = useDispatch('core/notices');
+
+        const [step, setStep] = useState('source');
+        const [source, setSource] = useState(null);
+        const [fields, setFields] = useState({ groups: [], crossType: false, targetFields: [] });
+        const [selection, setSelection] = useState({ fields: [], mapping: {} });
+        const [options, setOptions] = useState({
+            create_backup: true,
+            empty_values: config.emptyValues || 'skip',
+            duplicate_attachments: false,
+            duplicate_posts: false,
+            dry_run: false
+        });
+        const [report, setReport] = useState(null);
+        const [busy, setBusy] = useState(false);
+        const [error, setError] = useState('');
+
+        const reset = () => {
+            setStep('source');
+            setSource(null);
+            setSelection({ fields: [], mapping: {} });
+            setReport(null);
+            setError('');
+        };
+
+        const selectSource = post => {
+            setSource(post);
+            setBusy(true);
+            setError('');
+
+            request('/source-fields', 'GET', { target_post_id: postId, source_post_id: post.id })
+                .then(data => {
+                    // Start from the suggested same-name targets
+                    const mapping = {};
+                    if (data.cross_type) {
+                        data.fields.forEach(group => group.fields.forEach(field => {
+                            if (field.mapped_to) {
+                                mapping[field.key] = field.mapped_to;
+                            }
+                        }));
+                    }
+
+                    setFields({ groups: data.fields || [], crossType: !!data.cross_type, targetFields: data.target_fields || [] });
+                    setSelection({ fields: [], mapping: mapping });
+                    setStep('fields');
+                })
+                .catch(err => setError(err.message))
+                .finally(() => setBusy(false));
+        };
+
+        const selectedFields = selection.fields.filter(key => !fields.crossType || selection.mapping[key]);
+
+        /**
+         * Send the clone request
+         *
+         * Saving is locked while it runs, so the post cannot be saved with
+         * the inputs' old values halfway through.
+         *
+         * @param {boolean} dryRun - Simulate only
+         */
+        const runClone = dryRun => {
+            const fieldMapping = {};
+            if (fields.crossType) {
+                selectedFields.forEach(key => {
+                    fieldMapping[key] = selection.mapping[key];
+                });
+            }
+
+            setBusy(true);
+            setError('');
+            lockPostSaving(LOCK_NAME);
+
+            request('/clone', 'POST', {
+                target_post_id: postId,
+                source_post_id: source.id,
+                field_keys: selectedFields,
+                field_mapping: fieldMapping,
+                options: $.extend({}, options, { dry_run: dryRun, overwrite_existing: true })
+            })
+                .then(data => {
+                    if (data.dry_run) {
+                        setReport(data);
+                        setStep('report');
+                        return;
+                    }
+
+                    onCloned(data);
+                    reset();
+                })
+                .catch(err => {
+                    setError(err.message);
+                    createErrorNotice(err.message, { id: 'acf-clone-fields-error', type: 'snackbar' });
+                })
+                .finally(() => {
+                    unlockPostSaving(LOCK_NAME);
+                    setBusy(false);
+                });
+        };
+
+        /**
+         * Show the cloned values in the ACF inputs and report the result
+         *
+         * @param {Object} data - Execute clone response data
+         */
+        const onCloned = data => {
+            const clone = window.ACFCloneFields;
+            const fieldValues = data.field_values || [];
+            const notUpdated = clone
+                ? clone.applyFieldValues(fieldValues, data.attachments || {})
+                : fieldValues.map(entry => entry.label);
+
+            if (fieldValues.length > notUpdated.length) {
+                // The inputs changed outside the block editor's store
+                editPost({ acf_clone_fields_applied: Date.now() });
+            }
+
+            if (clone && data.backup_info) {
+                clone.showUndoNotice(data.backup_info.backup_id, data.backup_info.source_title);
+            }
+
+            if (notUpdated.length === 0) {
+                /* translators: %s: clone result message */
+                createSuccessNotice(sprintf(__('%s. Save the post to keep your other changes.', 'silver-assist-acf-clone-fields'), data.message), {
+                    id: 'acf-clone-fields-updated',
+                    type: 'snackbar'
+                });
+                return;
+            }
+
+            createNotice('warning', sprintf(
+                /* translators: 1: clone result message, 2: comma-separated field labels */
+                __('%1$s. These fields could not be updated on this page and are locked until it is reloaded: %2$s. Save your other changes, then reload.', 'silver-assist-acf-clone-fields'),
+                data.message,
+                notUpdated.join(', ')
+            ), {
+                id: 'acf-clone-fields-updated',
+                isDismissible: true,
+                actions: [{ label: __('Reload page', 'silver-assist-acf-clone-fields'), onClick: () => window.location.reload() }]
+            });
+        };
+
+        let body;
+        let actions = null;
+
+        if (step === 'source') {
+            body = el(SourceStep, { postId: postId, onSelect: selectSource });
+        } else if (step === 'fields') {
+            body = el(FieldsStep, {
+                source: source,
+                groups: fields.groups,
+                selection: selection,
+                crossType: fields.crossType,
+                targetFields: fields.targetFields,
+                onChange: setSelection
+            });
+            actions = [
+                el(Button, { key: 'back', variant: 'tertiary', onClick: reset }, __('Back', 'silver-assist-acf-clone-fields')),
+                el(Button, {
+                    key: 'next',
+                    variant: 'primary',
+                    disabled: selectedFields.length === 0,
+                    onClick: () => setStep('confirm')
+                }, sprintf(
+                    /* translators: %d: number of selected fields */
+                    _n('Next (%d field)', 'Next (%d fields)', selectedFields.length, 'silver-assist-acf-clone-fields'),
+                    selectedFields.length
+                ))
+            ];
+        } else if (step === 'confirm') {
+            body = el(ConfirmStep, { options: options, onChange: setOptions });
+            actions = [
+                el(Button, { key: 'back', variant: 'tertiary', onClick: () => setStep('fields') }, __('Back', 'silver-assist-acf-clone-fields')),
+                el(Button, {
+                    key: 'clone',
+                    variant: 'primary',
+                    isBusy: busy,
+                    disabled: busy || isSaving,
+                    onClick: () => runClone(options.dry_run)
+                }, options.dry_run
+                    ? __('Run preview', 'silver-assist-acf-clone-fields')
+                    : __('Clone fields', 'silver-assist-acf-clone-fields'))
+            ];
+        } else {
+            const writes = (report.report || []).filter(entry => entry.status === 'cloned' || entry.status === 'cleared');
+            body = el(ReportStep, { data: report });
+            actions = [
+                el(Button, { key: 'back', variant: 'tertiary', onClick: () => setStep('confirm') }, __('Back', 'silver-assist-acf-clone-fields')),
+                el(Button, {
+                    key: 'run',
+                    variant: 'primary',
+                    isBusy: busy,
+                    disabled: busy || isSaving || writes.length === 0,
+                    onClick: () => runClone(false)
+                }, __('Run for real', 'silver-assist-acf-clone-fields'))
+            ];
+        }
+
+        return el(Fragment, null,
+            error && el(Notice, { status: 'error', isDismissible: true, onRemove: () => setError('') }, error),
+            busy && step === 'source' ? el(PanelBody, null, el(Spinner)) : body,
+            actions && el('div', { className: 'acf-clone-sidebar-actions' }, actions),
+            el(PanelBody, { title: __('More options', 'silver-assist-acf-clone-fields'), initialOpen: false },
+                el('p', { className: 'acf-clone-sidebar-muted' },
+                    __('Presets, single rows or sub-fields, merge strategies and value comparison are available in the full dialog.', 'silver-assist-acf-clone-fields')
+                ),
+                el(Button, { variant: 'secondary', onClick: openModal }, __('Open clone dialog', 'silver-assist-acf-clone-fields'))
+            )
+        );
+    }
+
+    /**
+     * Sidebar plugin: toolbar pin, "Options" menu item and the sidebar
+     */
+    function CloneFieldsPlugin() {
+        const title = __('Clone Fields', 'silver-assist-acf-clone-fields');
+
+        return el(Fragment, null,
+            el(PluginSidebarMoreMenuItem, { target: SIDEBAR_NAME, icon: 'admin-page' }, title),
+            el(PluginSidebar, { name: SIDEBAR_NAME, title: title, icon: 'admin-page', className: 'acf-clone-sidebar' },
+                el(CloneSidebar)
+            )
+        );
+    }
+
+    wp.plugins.registerPlugin('silver-assist-acf-clone-fields', {
+        render: CloneFieldsPlugin
+    });
+
+})(window.wp, jQuery);
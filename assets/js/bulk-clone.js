@@ -0,0 +1,757 @@
+/**
+ * ACF Clone Fields - Bulk Clone JavaScript
+ *
+ * Drives the Tools > Bulk Clone ACF Fields screen: pick one source post and
+ * its fields, collect target posts, then clone into the targets in batches
+ * with a progress bar, per-target results and retry of failed targets. The
+ * same selection can be saved as a sync job that repeats the clone later.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ *
+ * ============================================================================
+ * DATA STRUCTURES REFERENCE
+ * ============================================================================
+ *
+ * Source/target search and field loading reuse the modal endpoints
+ * (acf_clone_get_source_posts, acf_clone_get_source_fields), see admin.js.
+ * The source post search is sent with post_id 0 (no post being edited).
+ *
+ * BULK CLONE (action: acf_clone_bulk_clone)
+ *    Request: {
+ *      source_post_id: number,
+ *      target_post_ids: Array<number>,   // At most BulkClone::MAX_BATCH_SIZE
+ *      field_keys: Array<string>,        // ACF field keys
+ *      options: { create_backup, overwrite_existing, dry_run }
+ *    }
+ *    Response: {
+ *      success: boolean,
+ *      data: {
+ *        results: Array<{
+ *          target_post_id: number,
+ *          title: string,
+ *          success: boolean,
+ *          message: string,
+ *          errors: Array<string>,
+ *          warnings: Array<string>
+ *        }>,
+ *        success_count: number,
+ *        failure_count: number,
+ *        dry_run: boolean
+ *      }
+ *    }
+ *
+ * SAVE SYNC JOB (action: acf_clone_save_sync_job)
+ *    Request: {
+ *      job: {
+ *        name: string,
+ *        source_post_id: number,
+ *        field_keys: Array<string>,
+ *        target_post_ids: Array<number>,
+ *        schedule: string,                 // '' or a WP-Cron schedule, see SyncJobs::SCHEDULES
+ *        sync_on_save: boolean,
+ *        options: { create_backup }
+ *      }
+ *    }
+ *    Response: {
+ *      success: boolean,
+ *      data: { job: Object, manage_url: string }   // data is the error message on failure
+ *    }
+ *
+ * ============================================================================
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Bulk clone screen controller
+     */
+    const ACFCloneBulk = {
+
+        // Configuration
+        config: {
+            nonce: acfCloneBulk.nonce || '',
+            ajaxUrl: acfCloneBulk.ajaxUrl || '',
+            postType: acfCloneBulk.postType || '',
+            initialTargets: acfCloneBulk.initialTargets || [],
+            batchSize: parseInt(acfCloneBulk.batchSize, 10) || 5,
+            createBackup: !!acfCloneBulk.createBackup,
+            debugMode: acfCloneBulk.debugMode || false
+        },
+
+        // State management
+        state: {
+            postType: '',
+            source: null,
+            fieldGroups: [],
+            targets: [],
+            queue: [],
+            results: {},
+            total: 0,
+            running: false,
+            searchTimers: {},
+            requestIds: {
+                source: 0,
+                target: 0,
+                fields: 0
+            }
+        },
+
+        /**
+         * Initialize the screen
+         */
+        init: function() {
+            this.state.postType = this.config.postType;
+            this.state.targets = this.config.initialTargets.map(target => ({
+                id: parseInt(target.id, 10),
+                title: target.title
+            }));
+
+            $('#acf-clone-bulk-backup').prop('checked', this.config.createBackup);
+
+            this.bindEvents();
+            this.renderTargets();
+            this.searchPosts('source');
+            this.log('Bulk clone initialized', this.config);
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function() {
+            $(document).on('change', '#acf-clone-bulk-post-type', this.onPostTypeChange.bind(this));
+
+            // Source post
+            $(document).on('input', '#acf-clone-bulk-source-search', () => this.scheduleSearch('source'));
+            $(document).on('click', '.acf-clone-bulk-pick-source', this.onSourcePick.bind(this));
+
+            // Fields
+            $(document).on('change', '.acf-clone-bulk-field input', this.updateStartButton.bind(this));
+            $(document).on('click', '.acf-clone-bulk-toggle-fields', this.toggleAllFields.bind(this));
+
+            // Targets
+            $(document).on('input', '#acf-clone-bulk-target-search', () => this.scheduleSearch('target'));
+            $(document).on('click', '.acf-clone-bulk-add-target', this.onTargetAdd.bind(this));
+            $(document).on('click', '.acf-clone-bulk-remove-target', this.onTargetRemove.bind(this));
+
+            // Run
+            $(document).on('click', '#acf-clone-bulk-start', this.startBulkClone.bind(this));
+            $(document).on('click', '#acf-clone-bulk-retry', this.retryFailed.bind(this));
+
+            // Sync job
+            $(document).on('click', '#acf-clone-bulk-sync-save', this.saveSyncJob.bind(this));
+        },
+
+        /**
+         * Start over when the post type changes
+         *
+         * Source, fields and targets all belong to one post type.
+         */
+        onPostTypeChange: function(e) {
+            this.state.postType = $(e.target).val();
+            this.state.source = null;
+            this.state.fieldGroups = [];
+            this.state.targets = [];
+
+            $('#acf-clone-bulk-source-search, #acf-clone-bulk-target-search').val('');
+            $('#acf-clone-bulk-target-results').empty();
+            $('#acf-clone-bulk-fields').html('<p class="description">Select a source post first.</p>');
+
+            this.renderTargets();
+            this.searchPosts('source');
+        },
+
+        /**
+         * Debounce search input
+         *
+         * @param {string} kind - 'source' or 'target'
+         */
+        scheduleSearch: function(kind) {
+            clearTimeout(this.state.searchTimers[kind]);
+            this.state.searchTimers[kind] = setTimeout(() => this.searchPosts(kind), 300);
+        },
+
+        /**
+         * Search posts for the source or target list
+         *
+         * Target searches are sent with the source as the current post so the
+         * source itself is never offered as a target.
+         *
+         * @param {string} kind - 'source' or 'target'
+         */
+        searchPosts: function(kind) {
+            const $results = $(`#acf-clone-bulk-${kind}-results`);
+
+            if (kind === 'target' && !this.state.source) {
+                return;
+            }
+
+            // Newer requests win; stale responses are discarded
+            const requestId = ++this.state.requestIds[kind];
+            $results.html('<p class="acf-clone-loading">Searching posts...</p>');
+
+            $.ajax({
+                url: this.config.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'acf_clone_get_source_posts',
+                    nonce: this.config.nonce,
+                    post_id: kind === 'target' ? this.state.source.id : 0,
+                    post_type: this.state.postType,
+                    search: $(`#acf-clone-bulk-${kind}-search`).val()
+                },
+                success: (response) => {
+                    if (requestId !== this.state.requestIds[kind]) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        $results.html(`<p class="acf-clone-error-message">${this.escapeHtml(response.data || 'Failed to load posts')}</p>`);
+                        return;
+                    }
+
+                    this.renderPostResults(kind, response.data.posts || [], response.data.has_more);
+                },
+                error: (xhr, status, error) => {
+                    if (requestId === this.state.requestIds[kind]) {
+                        $results.html(`<p class="acf-clone-error-message">Request failed: ${this.escapeHtml(error)}</p>`);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render a search result list
+         *
+         * @param {string} kind - 'source' or 'target'
+         * @param {Array} posts - Posts from acf_clone_get_source_posts
+         * @param {boolean} hasMore - Whether more posts match the search
+         */
+        renderPostResults: function(kind, posts, hasMore) {
+            const $results = $(`#acf-clone-bulk-${kind}-results`);
+
+            if (posts.length === 0) {
+                $results.html('<p class="acf-clone-text-muted">No posts found.</p>');
+                return;
+            }
+
+            let html = '<ul>';
+            posts.forEach(post => {
+                const isSource = this.state.source && this.state.source.id === post.id;
+                const isTarget = this.state.targets.some(target => target.id === post.id);
+                const buttonClass = kind === 'source' ? 'acf-clone-bulk-pick-source' : 'acf-clone-bulk-add-target';
+                const buttonText = kind === 'source' ? (isSource ? 'Selected' : 'Use as source') : (isTarget ? 'Added' : 'Add');
+                const disabled = (kind === 'source' ? isSource : isTarget) ? ' disabled' : '';
+
+                html += `
+                    <li>
+                        <span class="acf-clone-bulk-post-title">${this.escapeHtml(post.title)}</span>
+                        <span class="acf-clone-text-muted">${this.escapeHtml(post.status)} &middot; ${post.field_count} fields</span>
+                        <button type="button" class="button button-small ${buttonClass}"
+                                data-post-id="${post.id}" data-title="${this.escapeHtml(post.title)}"${disabled}>
+                            ${buttonText}
+                        </button>
+                    </li>
+                `;
+            });
+            html += '</ul>';
+
+            if (hasMore) {
+                html += '<p class="acf-clone-text-muted">More posts match; refine the search to narrow the list.</p>';
+            }
+
+            $results.html(html);
+        },
+
+        /**
+         * Use a post as the source
+         */
+        onSourcePick: function(e) {
+            const $button = $(e.currentTarget);
+            const sourceId = parseInt($button.data('post-id'), 10);
+
+            this.state.source = {
+                id: sourceId,
+                title: $button.data('title')
+            };
+
+            // The source cannot also be a target
+            this.state.targets = this.state.targets.filter(target => target.id !== sourceId);
+
+            $('.acf-clone-bulk-pick-source').prop('disabled', false).text('Use as source');
+            $button.prop('disabled', true).text('Selected');
+
+            this.renderTargets();
+            this.loadFields();
+            this.searchPosts('target');
+        },
+
+        /**
+         * Load the fields of the source post
+         *
+         * The source is sent as its own target: overwrite flags are not
+         * meaningful across many targets, only the field list is used.
+         */
+        loadFields: function() {
+            const requestId = ++this.state.requestIds.fields;
+            const $fields = $('#acf-clone-bulk-fields');
+
+            this.state.fieldGroups = [];
+            $fields.html('<p class="acf-clone-loading">Loading custom fields...</p>');
+            this.updateStartButton();
+
+            $.ajax({
+                url: this.config.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'acf_clone_get_source_fields',
+                    nonce: this.config.nonce,
+                    source_post_id: this.state.source.id,
+                    target_post_id: this.state.source.id
+                },
+                success: (response) => {
+                    if (requestId !== this.state.requestIds.fields) {
+                        return;
+                    }
+
+                    if (!response.success) {
+                        $fields.html(`<p class="acf-clone-error-message">${this.escapeHtml(response.data || 'Failed to load source fields')}</p>`);
+                        return;
+                    }
+
+                    this.state.fieldGroups = response.data.fields || [];
+                    this.renderFields();
+                },
+                error: (xhr, status, error) => {
+                    if (requestId === this.state.requestIds.fields) {
+                        $fields.html(`<p class="acf-clone-error-message">Request failed: ${this.escapeHtml(error)}</p>`);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render the source field checkboxes
+         */
+        renderFields: function() {
+            const groups = this.state.fieldGroups;
+
+            if (groups.length === 0) {
+                $('#acf-clone-bulk-fields').html('<p class="acf-clone-text-muted">No custom fields found in the selected post.</p>');
+                this.updateStartButton();
+                return;
+            }
+
+            let html = `
+                <p>
+                    Source: <strong>${this.escapeHtml(this.state.source.title)}</strong>
+                    <button type="button" class="button-link acf-clone-bulk-toggle-fields">Select all</button>
+                </p>
+            `;
+
+            groups.forEach(group => {
+                html += `
+                    <fieldset class="acf-clone-bulk-field-group">
+                        <legend>${this.escapeHtml(group.title)}</legend>
+                `;
+
+                (group.fields || []).forEach(field => {
+                    html += `
+                        <label class="acf-clone-bulk-field">
+                            <input type="checkbox" value="${this.escapeHtml(field.key)}">
+                            ${this.escapeHtml(field.label)}
+                            <span class="acf-clone-text-muted">${this.escapeHtml(field.type)}${field.has_value ? '' : ' &middot; empty'}</span>
+                        </label>
+                    `;
+                });
+
+                html += '</fieldset>';
+            });
+
+            $('#acf-clone-bulk-fields').html(html);
+            this.updateStartButton();
+        },
+
+        /**
+         * Select or clear every field
+         */
+        toggleAllFields: function(e) {
+            const $checkboxes = $('.acf-clone-bulk-field input');
+            const selectAll = $checkboxes.filter(':checked').length < $checkboxes.length;
+
+            $checkboxes.prop('checked', selectAll);
+            $(e.currentTarget).text(selectAll ? 'Clear all' : 'Select all');
+            this.updateStartButton();
+        },
+
+        /**
+         * Get the selected field names
+         *
+         * @returns {Array<string>} Field names
+         */
+        getSelectedFields: function() {
+            return $('.acf-clone-bulk-field input:checked').map(function() {
+                return $(this).val();
+            }).get();
+        },
+
+        /**
+         * Add a post to the targets
+         */
+        onTargetAdd: function(e) {
+            const $button = $(e.currentTarget);
+            const targetId = parseInt($button.data('post-id'), 10);
+
+            if (!this.state.targets.some(target => target.id === targetId)) {
+                this.state.targets.push({
+                    id: targetId,
+                    title: $button.data('title')
+                });
+            }
+
+            $button.prop('disabled', true).text('Added');
+            this.renderTargets();
+        },
+
+        /**
+         * Remove a post from the targets
+         */
+        onTargetRemove: function(e) {
+            const targetId = parseInt($(e.currentTarget).data('post-id'), 10);
+
+            this.state.targets = this.state.targets.filter(target => target.id !== targetId);
+            $(`.acf-clone-bulk-add-target[data-post-id="${targetId}"]`).prop('disabled', false).text('Add');
+            this.renderTargets();
+        },
+
+        /**
+         * Render the selected targets
+         */
+        renderTargets: function() {
+            const html = this.state.targets.map(target => `
+                <li>
+                    ${this.escapeHtml(target.title)}
+                    <button type="button" class="button-link acf-clone-bulk-remove-target" data-post-id="${target.id}"
+                            aria-label="Remove ${this.escapeHtml(target.title)}"${this.state.running ? ' disabled' : ''}>
+                        Remove
+                    </button>
+                </li>
+            `).join('');
+
+            $('#acf-clone-bulk-targets').html(html);
+            $('#acf-clone-bulk-target-count').text(this.state.targets.length);
+            this.updateStartButton();
+        },
+
+        /**
+         * Enable the start button once source, fields and targets are chosen
+         */
+        updateStartButton: function() {
+            const ready = !this.state.running &&
+                this.state.source !== null &&
+                this.state.targets.length > 0 &&
+                this.getSelectedFields().length > 0;
+
+            $('#acf-clone-bulk-start, #acf-clone-bulk-sync-save').prop('disabled', !ready);
+        },
+
+        /**
+         * Save the current selection as a sync job
+         */
+        saveSyncJob: function(e) {
+            if (e) {
+                e.preventDefault();
+            }
+
+            const name = $.trim($('#acf-clone-bulk-sync-name').val());
+            const $message = $('.acf-clone-bulk-sync-message');
+            const $button = $('#acf-clone-bulk-sync-save');
+
+            if (!name) {
+                $message.attr('class', 'acf-clone-bulk-sync-message acf-clone-error-message').text('Enter a name for the sync job.');
+                $('#acf-clone-bulk-sync-name').trigger('focus');
+                return;
+            }
+
+            $button.prop('disabled', true);
+            $message.attr('class', 'acf-clone-bulk-sync-message acf-clone-text-muted').text('Saving...');
+
+            $.ajax({
+                url: this.config.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'acf_clone_save_sync_job',
+                    nonce: this.config.nonce,
+                    job: {
+                        name: name,
+                        source_post_id: this.state.source.id,
+                        field_keys: this.getSelectedFields(),
+                        target_post_ids: this.state.targets.map(target => target.id),
+                        schedule: $('#acf-clone-bulk-sync-schedule').val(),
+                        sync_on_save: $('#acf-clone-bulk-sync-on-save').is(':checked'),
+                        options: {
+                            create_backup: $('#acf-clone-bulk-backup').is(':checked')
+                        }
+                    }
+                },
+                success: (response) => {
+                    if (!response.success) {
+                        $message.attr('class', 'acf-clone-bulk-sync-message acf-clone-error-message').text(response.data || 'Failed to save the sync job');
+                        return;
+                    }
+
+                    $message.attr('class', 'acf-clone-bulk-sync-message')
+                        .html(`Sync job saved. <a href="${this.escapeHtml(response.data.manage_url)}">Manage sync jobs</a>`);
+                },
+                error: (xhr, status, error) => {
+                    $message.attr('class', 'acf-clone-bulk-sync-message acf-clone-error-message').text(`Request failed: ${error || status}`);
+                },
+                complete: () => {
+                    this.updateStartButton();
+                }
+            });
+        },
+
+        /**
+         * Start cloning into every selected target
+         */
+        startBulkClone: function(e) {
+            if (e) {
+                e.preventDefault();
+            }
+
+            const targetCount = this.state.targets.length;
+            const fieldCount = this.getSelectedFields().length;
+
+            if (!window.confirm(`Clone ${fieldCount} field(s) into ${targetCount} post(s)? Existing values in those posts will be overwritten.`)) {
+                return;
+            }
+
+            this.state.results = {};
+            this.renderResultsTable();
+            this.runQueue(this.state.targets.map(target => target.id));
+        },
+
+        /**
+         * Clone again into the targets that failed
+         */
+        retryFailed: function(e) {
+            if (e) {
+                e.preventDefault();
+            }
+
+            const failedIds = Object.keys(this.state.results)
+                .filter(id => !this.state.results[id].success)
+                .map(id => parseInt(id, 10));
+
+            failedIds.forEach(id => {
+                this.state.results[id] = { success: null, message: 'Pending' };
+                this.renderResultRow(id);
+            });
+
+            this.runQueue(failedIds);
+        },
+
+        /**
+         * Process target IDs batch by batch
+         *
+         * @param {Array<number>} targetIds - Targets to clone into
+         */
+        runQueue: function(targetIds) {
+            this.state.queue = targetIds.slice();
+            this.state.total = targetIds.length;
+            this.setRunning(true);
+            this.updateProgress();
+            this.processNextBatch();
+        },
+
+        /**
+         * Send the next batch of targets to the server
+         */
+        processNextBatch: function() {
+            if (this.state.queue.length === 0) {
+                this.finishBulkClone();
+                return;
+            }
+
+            const batch = this.state.queue.splice(0, this.config.batchSize);
+
+            batch.forEach(id => {
+                this.state.results[id] = { success: null, message: 'Cloning...' };
+                this.renderResultRow(id);
+            });
+
+            $.ajax({
+                url: this.config.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'acf_clone_bulk_clone',
+                    nonce: this.config.nonce,
+                    source_post_id: this.state.source.id,
+                    target_post_ids: batch,
+                    field_keys: this.getSelectedFields(),
+                    options: {
+                        create_backup: $('#acf-clone-bulk-backup').is(':checked'),
+                        overwrite_existing: true
+                    }
+                },
+                success: (response) => {
+                    if (!response.success) {
+                        this.failBatch(batch, response.data || 'Bulk clone request failed');
+                        return;
+                    }
+
+                    (response.data.results || []).forEach(result => {
+                        this.state.results[result.target_post_id] = result;
+                        this.renderResultRow(result.target_post_id);
+                    });
+                },
+                error: (xhr, status, error) => {
+                    this.failBatch(batch, `Request failed: ${error || status}`);
+                },
+                complete: () => {
+                    this.updateProgress();
+                    this.processNextBatch();
+                }
+            });
+        },
+
+        /**
+         * Mark every target of a batch as failed
+         *
+         * @param {Array<number>} batch - Target IDs
+         * @param {string} message - Failure reason
+         */
+        failBatch: function(batch, message) {
+            batch.forEach(id => {
+                this.state.results[id] = { success: false, message: message, errors: [], warnings: [] };
+                this.renderResultRow(id);
+            });
+        },
+
+        /**
+         * Wrap up once the queue is empty
+         */
+        finishBulkClone: function() {
+            const results = Object.values(this.state.results);
+            const failed = results.filter(result => !result.success).length;
+
+            this.setRunning(false);
+            $('#acf-clone-bulk-retry').toggle(failed > 0);
+            $('.acf-clone-bulk-progress-text').text(
+                `Finished: ${results.length - failed} succeeded, ${failed} failed.`
+            );
+        },
+
+        /**
+         * Lock the form while batches are running
+         *
+         * @param {boolean} running - Whether a run is in progress
+         */
+        setRunning: function(running) {
+            this.state.running = running;
+
+            $('#acf-clone-bulk-post-type, #acf-clone-bulk-backup, .acf-clone-bulk-field input').prop('disabled', running);
+            $('#acf-clone-bulk-start').text(running ? 'Cloning...' : 'Start Bulk Clone');
+            $('#acf-clone-bulk-retry').hide();
+            $('#acf-clone-bulk-progress').show();
+
+            this.renderTargets();
+        },
+
+        /**
+         * Update the progress bar
+         */
+        updateProgress: function() {
+            const total = this.state.total;
+            const done = total - this.state.queue.length;
+            const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+
+            $('.acf-clone-bulk-progress-bar span').css('width', `${percent}%`);
+            $('.acf-clone-bulk-progress-text').text(`Processed ${done} of ${total} post(s)...`);
+        },
+
+        /**
+         * Render the results table with one pending row per target
+         */
+        renderResultsTable: function() {
+            const $tbody = $('#acf-clone-bulk-results tbody').empty();
+
+            this.state.targets.forEach(target => {
+                this.state.results[target.id] = { title: target.title, success: null, message: 'Pending' };
+                $tbody.append(`<tr data-target-id="${target.id}"></tr>`);
+                this.renderResultRow(target.id);
+            });
+
+            $('#acf-clone-bulk-results').show();
+        },
+
+        /**
+         * Render the result row of one target
+         *
+         * @param {number} targetId - Target post ID
+         */
+        renderResultRow: function(targetId) {
+            const result = this.state.results[targetId];
+            const target = this.state.targets.find(t => t.id === parseInt(targetId, 10));
+            const title = result.title || (target ? target.title : `Post #${targetId}`);
+
+            let status = 'Pending';
+            let statusClass = 'pending';
+            if (result.success === true) {
+                status = 'Success';
+                statusClass = 'success';
+            } else if (result.success === false) {
+                status = 'Failed';
+                statusClass = 'failed';
+            }
+
+            const details = [result.message]
+                .concat(result.errors || [])
+                .concat(result.warnings || [])
+                .filter((line, index, lines) => line && lines.indexOf(line) === index)
+                .map(line => this.escapeHtml(line))
+                .join('<br>');
+
+            $(`#acf-clone-bulk-results tr[data-target-id="${targetId}"]`).html(`
+                <td>${this.escapeHtml(title)}</td>
+                <td><span class="acf-clone-bulk-status acf-clone-bulk-status-${statusClass}">${status}</span></td>
+                <td>${details}</td>
+            `);
+        },
+
+        /**
+         * Escape HTML for safe output
+         */
+        escapeHtml: function(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        },
+
+        /**
+         * Debug logging
+         */
+        log: function(message, data) {
+            if (this.config.debugMode && console && console.log) {
+                console.log('[ACF Clone Fields Bulk]', message, data || '');
+            }
+        }
+    };
+
+    /**
+     * Initialize when document is ready
+     */
+    $(document).ready(function() {
+        if ($('.acf-clone-bulk').length > 0) {
+            ACFCloneBulk.init();
+        }
+    });
+
+    // Expose to global scope for debugging
+    window.ACFCloneBulk = ACFCloneBulk;
+
+})(jQuery);
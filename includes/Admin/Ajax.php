@@ -4,6 +4,8 @@
  *
  * Handles AJAX requests for field cloning operations and modal interactions.
  * Provides secure endpoints for getting posts, fields, and executing clones.
+ * The operations themselves live in Services\CloneOperations, shared with
+ * the REST API.
  *
  * @package SilverAssist\ACFCloneFields
  * @subpackage Admin
@@ -15,8 +17,10 @@
 namespace SilverAssist\ACFCloneFields\Admin;
 
 use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+use SilverAssist\ACFCloneFields\Services\CloneOperations;
 use SilverAssist\ACFCloneFields\Services\FieldDetector;
-use SilverAssist\ACFCloneFields\Services\FieldCloner;
+use SilverAssist\ACFCloneFields\Services\PresetManager;
+use SilverAssist\ACFCloneFields\Services\SyncJobs;
 use SilverAssist\ACFCloneFields\Utils\Helpers;
 use SilverAssist\ACFCloneFields\Utils\Logger;
 
@@ -84,8 +88,14 @@ class Ajax implements LoadableInterface {
 	private function register_ajax_handlers(): void {
 		\add_action( 'wp_ajax_acf_clone_get_source_posts', [ $this, 'handle_get_source_posts' ] );
 		\add_action( 'wp_ajax_acf_clone_get_source_fields', [ $this, 'handle_get_source_fields' ] );
+		\add_action( 'wp_ajax_acf_clone_get_field_diff', [ $this, 'handle_get_field_diff' ] );
 		\add_action( 'wp_ajax_acf_clone_execute_clone', [ $this, 'handle_execute_clone' ] );
+		\add_action( 'wp_ajax_acf_clone_bulk_clone', [ $this, 'handle_bulk_clone' ] );
+		\add_action( 'wp_ajax_acf_clone_get_presets', [ $this, 'handle_get_presets' ] );
+		\add_action( 'wp_ajax_acf_clone_save_preset', [ $this, 'handle_save_preset' ] );
+		\add_action( 'wp_ajax_acf_clone_delete_preset', [ $this, 'handle_delete_preset' ] );
 		\add_action( 'wp_ajax_acf_clone_validate_selection', [ $this, 'handle_validate_selection' ] );
+		\add_action( 'wp_ajax_acf_clone_save_sync_job', [ $this, 'handle_save_sync_job' ] );
 	}
 
 	/**
@@ -105,34 +115,43 @@ class Ajax implements LoadableInterface {
 		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verify_ajax_nonce().
 		$current_post_id = (int) ( $_POST['post_id'] ?? 0 );
 
-		if ( ! $post_type || ! $current_post_id ) {
+		if ( ! $post_type ) {
 			wp_send_json_error( 'Missing required parameters' );
 		}
 
-		// Check permissions.
-		if ( ! current_user_can( 'edit_post', $current_post_id ) ) {
+		// Check permissions. Without a current post (bulk clone screen) the
+		// user must be able to edit posts of the requested type.
+		if ( $current_post_id ) {
+			$can_edit = current_user_can( 'edit_post', $current_post_id );
+		} else {
+			$post_type_object = get_post_type_object( $post_type );
+			$can_edit         = $post_type_object && current_user_can( $post_type_object->cap->edit_posts );
+		}
+
+		if ( ! $can_edit ) {
 			wp_send_json_error( 'Insufficient permissions' );
 		}
 
+		// Other post types can be offered as sources, but only enabled ones.
+		if ( ! CloneOperations::instance()->is_post_type_enabled( $post_type ) ) {
+			wp_send_json_error( 'Post type not enabled for cloning' );
+		}
+
+		// Source post picker filters, sanitized in CloneOperations.
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified in verify_ajax_nonce().
+		$filters = [
+			'search'          => wp_unslash( $_POST['search'] ?? '' ),
+			'status'          => wp_unslash( $_POST['status'] ?? '' ),
+			'author'          => wp_unslash( $_POST['author'] ?? 0 ),
+			'modified_within' => wp_unslash( $_POST['modified_within'] ?? 0 ),
+		];
+		$offset  = (int) ( $_POST['offset'] ?? 0 );
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
 		try {
-			// Get source posts.
-			$args = [
-				'exclude'        => [ $current_post_id ],
-				'posts_per_page' => get_option( 'silver_assist_acf_clone_fields_max_source_posts', 50 ),
-				'post_status'    => [ 'publish', 'draft', 'pending' ],
-				'orderby'        => 'modified',
-				'order'          => 'DESC',
-			];
-
-			$source_posts    = Helpers::get_posts_by_type( $post_type, $args );
-			$formatted_posts = $this->format_posts_for_response( $source_posts );
+			$response = CloneOperations::instance()->get_source_posts( $post_type, $current_post_id, $filters, $offset );
 
-			wp_send_json_success(
-				[
-					'posts' => $formatted_posts,
-					'total' => count( $formatted_posts ),
-				]
-			);
+			wp_send_json_success( $response );
 
 		} catch ( \Exception $e ) {
 			Logger::instance()->error(
@@ -169,8 +188,8 @@ class Ajax implements LoadableInterface {
 			wp_send_json_error( 'Missing required parameters' );
 		}
 
-		// Check permissions.
-		if ( ! current_user_can( 'edit_post', $target_post_id ) ) {
+		// Field values of the source are read, so the user must be able to edit both posts.
+		if ( ! current_user_can( 'edit_post', $target_post_id ) || ! Helpers::can_user_clone_from( $source_post_id ) ) {
 			wp_send_json_error( 'Insufficient permissions' );
 		}
 
@@ -182,49 +201,92 @@ class Ajax implements LoadableInterface {
 			wp_send_json_error( 'Invalid post IDs' );
 		}
 
-		if ( $source_post->post_type !== $target_post->post_type ) {
-			wp_send_json_error( 'Posts must be the same type' );
+		if ( ! CloneOperations::instance()->can_clone_between( $source_post, $target_post ) ) {
+			wp_send_json_error( 'Source post type not available for cloning' );
 		}
 
 		try {
-			// Get field data.
-			$source_fields = FieldDetector::instance()->get_available_fields( $source_post_id );
-			$target_fields = FieldDetector::instance()->get_available_fields( $target_post_id );
+			wp_send_json_success( CloneOperations::instance()->get_source_fields( $source_post, $target_post ) );
 
-			// Format for frontend.
-			$formatted_fields = $this->format_fields_for_response( $source_fields, $target_fields );
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Failed to get source fields',
+				[
+					'error'          => $e->getMessage(),
+					'source_post_id' => $source_post_id,
+					'target_post_id' => $target_post_id,
+				]
+			);
 
-			// Get statistics.
-			$source_stats = FieldDetector::instance()->get_field_statistics( $source_post_id );
-			$target_stats = FieldDetector::instance()->get_field_statistics( $target_post_id );
+			wp_send_json_error( 'Failed to load field data' );
+		}
+	}
+
+	/**
+	 * Handle get field diff AJAX request
+	 *
+	 * Returns the full source and target values of the requested fields so
+	 * the user can compare them before cloning.
+	 *
+	 * @return void
+	 */
+	public function handle_get_field_diff(): void {
+		// Verify nonce.
+		if ( ! $this->verify_ajax_nonce() ) {
+			wp_send_json_error( 'Invalid nonce' );
+		}
+
+		// Get and validate parameters.
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verify_ajax_nonce().
+		$source_post_id = (int) ( $_POST['source_post_id'] ?? 0 );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verify_ajax_nonce().
+		$target_post_id = (int) ( $_POST['target_post_id'] ?? 0 );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verify_ajax_nonce().
+		$field_keys = $_POST['field_keys'] ?? [];
+
+		if ( ! $source_post_id || ! $target_post_id || ! is_array( $field_keys ) || empty( $field_keys ) ) {
+			wp_send_json_error( 'Missing or invalid parameters' );
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', $field_keys );
+
+		// Field values of the source are read, so the user must be able to edit both posts.
+		if ( ! current_user_can( 'edit_post', $target_post_id ) || ! Helpers::can_user_clone_from( $source_post_id ) ) {
+			wp_send_json_error( 'Insufficient permissions' );
+		}
+
+		$source_post = get_post( $source_post_id );
+		$target_post = get_post( $target_post_id );
+
+		if ( ! $source_post || ! $target_post ) {
+			wp_send_json_error( 'Invalid post IDs' );
+		}
+
+		if ( $source_post->post_type !== $target_post->post_type ) {
+			wp_send_json_error( 'Posts must be the same type' );
+		}
+
+		try {
+			$comparison = FieldDetector::instance()->get_field_comparison( $source_post_id, $target_post_id, $field_keys );
 
 			wp_send_json_success(
 				[
-					'fields'      => $formatted_fields,
-					'source_post' => [
-						'id'    => $source_post_id,
-						'title' => $source_post->post_title,
-						'stats' => $source_stats,
-					],
-					'target_post' => [
-						'id'    => $target_post_id,
-						'title' => $target_post->post_title,
-						'stats' => $target_stats,
-					],
+					'fields' => $comparison,
 				]
 			);
 
 		} catch ( \Exception $e ) {
 			Logger::instance()->error(
-				'Failed to get source fields',
+				'Failed to get field diff',
 				[
 					'error'          => $e->getMessage(),
 					'source_post_id' => $source_post_id,
 					'target_post_id' => $target_post_id,
+					'field_keys'     => $field_keys,
 				]
 			);
 
-			wp_send_json_error( 'Failed to load field data' );
+			wp_send_json_error( 'Failed to load field values' );
 		}
 	}
 
@@ -248,6 +310,12 @@ class Ajax implements LoadableInterface {
 		$field_keys = $_POST['field_keys'] ?? [];
 		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
 		$options = $_POST['options'] ?? [];
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified above; sanitized in CloneOperations::execute_clone().
+		$field_parts = $_POST['field_parts'] ?? [];
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified above; sanitized in CloneOperations::execute_clone().
+		$merge_strategies = $_POST['merge_strategies'] ?? [];
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified above; sanitized in CloneOperations::execute_clone().
+		$field_mapping = $_POST['field_mapping'] ?? [];
 
 		// Validate required parameters.
 		if ( ! $source_post_id || ! $target_post_id || ! is_array( $field_keys ) || empty( $field_keys ) ) {
@@ -257,8 +325,8 @@ class Ajax implements LoadableInterface {
 		// Sanitize field keys.
 		$field_keys = array_map( 'sanitize_text_field', $field_keys );
 
-		// Check permissions.
-		if ( ! current_user_can( 'edit_post', $target_post_id ) ) {
+		// Field values of the source are read, so the user must be able to edit both posts.
+		if ( ! current_user_can( 'edit_post', $target_post_id ) || ! Helpers::can_user_clone_from( $source_post_id ) ) {
 			wp_send_json_error( 'Insufficient permissions' );
 		}
 
@@ -270,36 +338,25 @@ class Ajax implements LoadableInterface {
 			wp_send_json_error( 'Invalid post IDs' );
 		}
 
-		if ( $source_post->post_type !== $target_post->post_type ) {
-			wp_send_json_error( 'Posts must be the same type' );
+		if ( ! CloneOperations::instance()->can_clone_between( $source_post, $target_post ) ) {
+			wp_send_json_error( 'Source post type not available for cloning' );
 		}
 
 		try {
-			// Prepare cloning options.
-			$clone_options = $this->prepare_clone_options( $options );
-
-			// Execute clone operation.
-			$clone_result = FieldCloner::instance()->clone_fields(
-				$source_post_id,
-				$target_post_id,
+			$clone_result = CloneOperations::instance()->execute_clone(
+				$source_post,
+				$target_post,
 				$field_keys,
-				$clone_options
-			);
-
-			// Log activity.
-			$this->log_clone_activity( $target_post_id, $source_post_id, $clone_result );
-
-			// Send response.
-			wp_send_json_success(
 				[
-					'message'       => $clone_result['message'],
-					'cloned_fields' => $clone_result['cloned_fields'],
-					'errors'        => $clone_result['errors'],
-					'warnings'      => $clone_result['warnings'],
-					'success'       => $clone_result['success'],
+					'options'          => $options,
+					'field_parts'      => $field_parts,
+					'merge_strategies' => $merge_strategies,
+					'field_mapping'    => $field_mapping,
 				]
 			);
 
+			wp_send_json_success( $clone_result );
+
 		} catch ( \Exception $e ) {
 			Logger::instance()->error(
 				'Clone operation failed',
@@ -316,11 +373,15 @@ class Ajax implements LoadableInterface {
 	}
 
 	/**
-	 * Handle validate selection AJAX request
+	 * Handle bulk clone AJAX request
+	 *
+	 * Clones the same fields from one source post into a batch of target
+	 * posts. Each target is checked and cloned independently, so a failing
+	 * target is reported without stopping the rest of the batch.
 	 *
 	 * @return void
 	 */
-	public function handle_validate_selection(): void {
+	public function handle_bulk_clone(): void {
 		// Verify nonce.
 		if ( ! $this->verify_ajax_nonce() ) {
 			wp_send_json_error( 'Invalid nonce' );
@@ -330,360 +391,271 @@ class Ajax implements LoadableInterface {
 		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
 		$source_post_id = (int) ( $_POST['source_post_id'] ?? 0 );
 		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
-		$target_post_id = (int) ( $_POST['target_post_id'] ?? 0 );
+		$target_post_ids = $_POST['target_post_ids'] ?? [];
 		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
 		$field_keys = $_POST['field_keys'] ?? [];
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
+		$options = $_POST['options'] ?? [];
 
-		if ( ! $source_post_id || ! $target_post_id || ! is_array( $field_keys ) ) {
+		if ( ! $source_post_id || ! is_array( $target_post_ids ) || empty( $target_post_ids ) || ! is_array( $field_keys ) || empty( $field_keys ) ) {
 			wp_send_json_error( 'Missing or invalid parameters' );
 		}
 
-		// Sanitize field keys.
-		$field_keys = array_map( 'sanitize_text_field', $field_keys );
+		$target_post_ids = array_values( array_unique( array_filter( array_map( 'absint', $target_post_ids ) ) ) );
+		$field_keys      = array_map( 'sanitize_text_field', $field_keys );
 
-		// Check permissions.
-		if ( ! current_user_can( 'edit_post', $target_post_id ) ) {
-			wp_send_json_error( 'Insufficient permissions' );
+		if ( count( $target_post_ids ) > BulkClone::MAX_BATCH_SIZE ) {
+			wp_send_json_error( sprintf( 'Too many target posts in one request (maximum %d)', BulkClone::MAX_BATCH_SIZE ) );
 		}
 
-		try {
-			// Validate selection.
-			$validation_result = $this->validate_field_selection( $source_post_id, $target_post_id, $field_keys );
+		// Check permissions on the source.
+		$source_post = get_post( $source_post_id );
 
-			wp_send_json_success( $validation_result );
+		if ( ! $source_post ) {
+			wp_send_json_error( 'Invalid source post ID' );
+		}
 
-		} catch ( \Exception $e ) {
-			wp_send_json_error( 'Validation failed: ' . $e->getMessage() );
+		if ( ! current_user_can( 'edit_post', $source_post_id ) ) {
+			wp_send_json_error( 'Insufficient permissions' );
 		}
-	}
 
-	/**
-	 * Verify AJAX nonce
-	 *
-	 * @return bool True if valid
-	 */
-	private function verify_ajax_nonce(): bool {
-		$nonce = $_POST['nonce'] ?? '';
-		return (bool) wp_verify_nonce( $nonce, 'silver_assist_acf_clone_fields_ajax' );
-	}
+		$clone_options = CloneOperations::instance()->prepare_clone_options( is_array( $options ) ? $options : [] );
+		$results       = [];
 
-	/**
-	 * Format posts for AJAX response
-	 *
-	 * @param array<\WP_Post> $posts Posts to format.
-	 * @return array<array<string, mixed>> Formatted posts
-	 */
-	private function format_posts_for_response( array $posts ): array {
-		$formatted = [];
-
-		foreach ( $posts as $post ) {
-			$field_stats = FieldDetector::instance()->get_field_statistics( $post->ID );
-
-			$formatted[] = [
-				'id'           => $post->ID,
-				'title'        => $post->post_title,
-				'status'       => $post->post_status,
-				'modified'     => get_post_modified_time( 'Y-m-d H:i:s', false, $post->ID ),
-				'modified_ago' => human_time_diff( (int) get_post_modified_time( 'U', false, $post->ID ), time() ) . ' ago',
-				'field_count'  => $field_stats['total_fields'] ?? 0,
-				'field_stats'  => $field_stats,
-				'edit_url'     => get_edit_post_link( $post->ID ),
-				'preview_url'  => get_permalink( $post->ID ),
-			];
-		}
-
-		return $formatted;
-	}
+		foreach ( $target_post_ids as $target_post_id ) {
+			$results[] = CloneOperations::instance()->clone_into_target( $source_post, $target_post_id, $field_keys, $clone_options );
+		}
 
-	/**
-	 * Format fields for AJAX response
-	 *
-	 * @param array<string, mixed> $source_fields Source fields.
-	 * @param array<string, mixed> $target_fields Target fields.
-	 * @return list<array<string, mixed>> Formatted fields
-	 */
-	private function format_fields_for_response( array $source_fields, array $target_fields ): array {
-		$formatted = [];
-
-		foreach ( $source_fields as $group_key => $group_data ) {
-			$formatted_group = [
-				'key'    => $group_key,
-				'title'  => $group_data['title'],
-				'fields' => [],
-			];
-
-			foreach ( $group_data['fields'] as $field_key => $field_data ) {
-				// Check if target has this field and has value.
-				$target_field_data = $target_fields[ $group_key ]['fields'][ $field_key ] ?? null;
-				$target_has_value  = $target_field_data ? $target_field_data['has_value'] : false;
-
-				$formatted_field = [
-					'key'              => $field_key,
-					'name'             => $field_data['name'],
-					'label'            => $field_data['label'],
-					'type'             => $field_data['type'],
-					'has_value'        => $field_data['has_value'],
-					'target_has_value' => $target_has_value,
-					'is_cloneable'     => $field_data['is_cloneable'],
-					'preview'          => $this->get_field_preview( $field_data ),
-					'conflict_warning' => $target_has_value,
-				];
-
-				// Add type-specific data.
-				$formatted_field = $this->add_type_specific_data( $formatted_field, $field_data );
-
-				if ( $field_data['is_cloneable'] ) {
-					$formatted_group['fields'][] = $formatted_field;
-				}
-			}
-
-			if ( ! empty( $formatted_group['fields'] ) ) {
-				$formatted[] = $formatted_group;
-			}
-		}
-
-		return $formatted;
+		$success_count = count( array_filter( array_column( $results, 'success' ) ) );
+
+		wp_send_json_success(
+			[
+				'results'       => $results,
+				'success_count' => $success_count,
+				'failure_count' => count( $results ) - $success_count,
+				'dry_run'       => $clone_options['dry_run'],
+			]
+		);
 	}
 
 	/**
-	 * Add type-specific data to field
+	 * Handle save sync job AJAX request
 	 *
-	 * @param array<string, mixed> $formatted_field Formatted field.
-	 * @param array<string, mixed> $field_data Raw field data.
-	 * @return array<string, mixed> Field with type-specific data
+	 * Saves the bulk clone screen's source, fields and targets as a sync job
+	 * that keeps the targets in sync with the source.
+	 *
+	 * @return void
 	 */
-	private function add_type_specific_data( array $formatted_field, array $field_data ): array {
-		switch ( $field_data['type'] ) {
-			case 'repeater':
-				$formatted_field['row_count']        = $field_data['row_count'] ?? 0;
-				$formatted_field['sub_fields_count'] = count( $field_data['sub_fields'] ?? [] );
-				break;
-
-			case 'group':
-				$formatted_field['sub_fields_count'] = count( $field_data['sub_fields'] ?? [] );
-				break;
-
-			case 'flexible_content':
-				$formatted_field['layouts_count'] = count( $field_data['layouts'] ?? [] );
-				break;
-
-			case 'image':
-			case 'file':
-				if ( isset( $field_data['attachment_info'] ) ) {
-					$formatted_field['attachment_info'] = $field_data['attachment_info'];
-				}
-				break;
-		}
-
-		return $formatted_field;
+	public function handle_save_sync_job(): void {
+		// Verify nonce.
+		if ( ! $this->verify_ajax_nonce() ) {
+			wp_send_json_error( 'Invalid nonce' );
+		}
+
+		if ( ! current_user_can( SyncJobsPage::instance()->get_capability() ) ) {
+			wp_send_json_error( 'Insufficient permissions' );
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified above; sanitized in SyncJobs::save_job().
+		$job = $_POST['job'] ?? [];
+
+		if ( ! is_array( $job ) ) {
+			wp_send_json_error( 'Missing or invalid parameters' );
+		}
+
+		$saved = SyncJobs::instance()->save_job( wp_unslash( $job ), get_current_user_id() );
+
+		if ( is_wp_error( $saved ) ) {
+			wp_send_json_error( $saved->get_error_message() );
+		}
+
+		wp_send_json_success(
+			[
+				'job'        => $saved,
+				'manage_url' => SyncJobsPage::instance()->get_page_url(),
+			]
+		);
 	}
 
 	/**
-	 * Get field preview for display
+	 * Handle get presets AJAX request
 	 *
-	 * @param array<string, mixed> $field_data Field data.
-	 * @return string Field preview
+	 * @return void
 	 */
-	private function get_field_preview( array $field_data ): string {
-		if ( ! $field_data['has_value'] ) {
-			return __( '(empty)', 'silver-assist-acf-clone-fields' );
-		}
-
-		$value = $field_data['value'];
-		$type  = $field_data['type'];
-
-		switch ( $type ) {
-			case 'text':
-			case 'textarea':
-			case 'email':
-			case 'url':
-				return is_string( $value ) ? wp_trim_words( wp_strip_all_tags( $value ), 8 ) : '';
-
-			case 'number':
-			case 'range':
-				return (string) $value;
-
-			case 'select':
-			case 'radio':
-			case 'button_group':
-				return is_string( $value ) ? $value : '';
-
-			case 'checkbox':
-				if ( is_array( $value ) ) {
-					return implode( ', ', array_slice( $value, 0, 3 ) ) . ( count( $value ) > 3 ? '...' : '' );
-				}
-				return '';
-
-			case 'true_false':
-				return $value ? __( 'Yes', 'silver-assist-acf-clone-fields' ) : __( 'No', 'silver-assist-acf-clone-fields' );
-
-			case 'image':
-				return isset( $field_data['attachment_info']['title'] )
-					? $field_data['attachment_info']['title']
-					: __( 'Image', 'silver-assist-acf-clone-fields' );
-
-			case 'file':
-				return isset( $field_data['attachment_info']['filename'] )
-					? $field_data['attachment_info']['filename']
-					: __( 'File', 'silver-assist-acf-clone-fields' );
-
-			case 'repeater':
-				$count = $field_data['row_count'] ?? 0;
-				return sprintf(
-					/* translators: %d: number of rows */
-					_n( '%d row', '%d rows', $count, 'silver-assist-acf-clone-fields' ),
-					$count
-				);
-
-			case 'group':
-				$count = count( $field_data['sub_fields'] ?? [] );
-				return sprintf(
-					/* translators: %d: number of fields */
-					_n( '%d field', '%d fields', $count, 'silver-assist-acf-clone-fields' ),
-					$count
-				);
-
-			case 'flexible_content':
-				$count = count( $field_data['layouts'] ?? [] );
-				return sprintf(
-					/* translators: %d: number of layouts */
-					_n( '%d layout', '%d layouts', $count, 'silver-assist-acf-clone-fields' ),
-					$count
-				);
-
-			default:
-				return __( 'Has value', 'silver-assist-acf-clone-fields' );
+	public function handle_get_presets(): void {
+		// Verify nonce.
+		if ( ! $this->verify_ajax_nonce() ) {
+			wp_send_json_error( 'Invalid nonce' );
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
+		$post_type = sanitize_key( $_POST['post_type'] ?? '' );
+
+		if ( ! CloneOperations::instance()->can_use_presets( $post_type ) ) {
+			wp_send_json_error( 'Insufficient permissions' );
 		}
+
+		wp_send_json_success(
+			[
+				'presets' => PresetManager::instance()->get_presets( $post_type, get_current_user_id() ),
+			]
+		);
 	}
 
 	/**
-	 * Prepare clone options from request
+	 * Handle save preset AJAX request
+	 *
+	 * Creates a preset, or updates it when `preset[id]` is sent.
 	 *
-	 * @param array<string, mixed> $request_options Raw options.
-	 * @return array<string, mixed> Prepared options
+	 * @return void
 	 */
-	private function prepare_clone_options( array $request_options ): array {
-		$default_options = [
-			'overwrite_existing' => get_option( 'silver_assist_acf_clone_fields_default_overwrite', false ),
-			'create_backup'      => get_option( 'silver_assist_acf_clone_fields_create_backup', true ),
-			'copy_attachments'   => get_option( 'silver_assist_acf_clone_fields_copy_attachments', true ),
-			'validate_data'      => get_option( 'silver_assist_acf_clone_fields_validate_data', true ),
-		];
+	public function handle_save_preset(): void {
+		// Verify nonce.
+		if ( ! $this->verify_ajax_nonce() ) {
+			wp_send_json_error( 'Invalid nonce' );
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified above; sanitized in PresetManager::save_preset().
+		$preset = $_POST['preset'] ?? [];
+
+		if ( ! is_array( $preset ) || empty( $preset['name'] ) || empty( $preset['fields'] ) || ! is_array( $preset['fields'] ) ) {
+			wp_send_json_error( 'Missing or invalid parameters' );
+		}
 
-		// Override with request options.
-		foreach ( $request_options as $key => $value ) {
-			if ( array_key_exists( $key, $default_options ) ) {
-				// Handle boolean conversion - catch string 'false' and '0'.
-				if ( is_string( $value ) ) {
-					$value = filter_var( $value, FILTER_VALIDATE_BOOLEAN );
-				} else {
-					$value = (bool) $value;
-				}
-				$default_options[ $key ] = $value;
-			}
+		$post_type = sanitize_key( $preset['post_type'] ?? '' );
+
+		if ( ! CloneOperations::instance()->can_use_presets( $post_type ) ) {
+			wp_send_json_error( 'Insufficient permissions' );
 		}
 
-		return $default_options;
+		$preset['post_type'] = $post_type;
+
+		$manager = PresetManager::instance();
+		$saved   = $manager->save_preset( $preset, get_current_user_id() );
+
+		if ( null === $saved ) {
+			wp_send_json_error( 'Failed to save preset' );
+		}
+
+		wp_send_json_success(
+			[
+				'preset'  => $saved,
+				'presets' => $manager->get_presets( $post_type, get_current_user_id() ),
+			]
+		);
 	}
 
 	/**
-	 * Validate field selection
+	 * Handle delete preset AJAX request
 	 *
-	 * @param int           $source_post_id Source post ID.
-	 * @param int           $target_post_id Target post ID.
-	 * @param array<string> $field_keys Field keys to validate.
-	 * @return array<string, mixed> Validation result
+	 * @return void
 	 */
-	private function validate_field_selection( int $source_post_id, int $target_post_id, array $field_keys ): array {
-		$source_fields = FieldDetector::instance()->get_available_fields( $source_post_id );
-		$target_fields = FieldDetector::instance()->get_available_fields( $target_post_id );
-
-		$conflicts    = [];
-		$warnings     = [];
-		$valid_fields = [];
-
-		foreach ( $field_keys as $field_key ) {
-			// Find field in source.
-			$source_field = $this->find_field_in_groups( $source_fields, $field_key );
-			if ( ! $source_field ) {
-				$warnings[] = sprintf( 'Field %s not found in source post', $field_key );
-				continue;
-			}
-
-			// Check if cloneable.
-			if ( ! $source_field['is_cloneable'] ) {
-				$warnings[] = sprintf( 'Field %s (%s) is not cloneable', $source_field['label'], $field_key );
-				continue;
-			}
-
-			// Check for conflicts in target.
-			$target_field = $this->find_field_in_groups( $target_fields, $field_key );
-			if ( $target_field && $target_field['has_value'] ) {
-				$conflicts[] = [
-					'field_key'   => $field_key,
-					'field_label' => $source_field['label'],
-					'field_type'  => $source_field['type'],
-				];
-			}
-
-			$valid_fields[] = $field_key;
-		}
-
-		return [
-			'valid_fields'  => $valid_fields,
-			'conflicts'     => $conflicts,
-			'warnings'      => $warnings,
-			'has_conflicts' => ! empty( $conflicts ),
-			'can_proceed'   => ! empty( $valid_fields ),
-		];
+	public function handle_delete_preset(): void {
+		// Verify nonce.
+		if ( ! $this->verify_ajax_nonce() ) {
+			wp_send_json_error( 'Invalid nonce' );
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
+		$preset_id = sanitize_key( $_POST['preset_id'] ?? '' );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
+		$post_type = sanitize_key( $_POST['post_type'] ?? '' );
+
+		if ( '' === $preset_id ) {
+			wp_send_json_error( 'Missing or invalid parameters' );
+		}
+
+		if ( ! CloneOperations::instance()->can_use_presets( $post_type ) ) {
+			wp_send_json_error( 'Insufficient permissions' );
+		}
+
+		$manager = PresetManager::instance();
+
+		if ( ! $manager->delete_preset( $preset_id, $post_type, get_current_user_id() ) ) {
+			wp_send_json_error( 'Failed to delete preset' );
+		}
+
+		wp_send_json_success(
+			[
+				'presets' => $manager->get_presets( $post_type, get_current_user_id() ),
+			]
+		);
 	}
 
 	/**
-	 * Find field in field groups
+	 * Handle validate selection AJAX request
+	 *
+	 * Checks the selected fields against the target before cloning (see
+	 * CloneOperations::validate_selection()).
 	 *
-	 * @param array<string, mixed> $field_groups Field groups.
-	 * @param string               $field_key Field key to find.
-	 * @return array<string, mixed>|null Field data or null
+	 * @return void
 	 */
-	private function find_field_in_groups( array $field_groups, string $field_key ): ?array {
-		foreach ( $field_groups as $group_data ) {
-			if ( isset( $group_data['fields'][ $field_key ] ) ) {
-				return $group_data['fields'][ $field_key ];
-			}
+	public function handle_validate_selection(): void {
+		// Verify nonce.
+		if ( ! $this->verify_ajax_nonce() ) {
+			wp_send_json_error( 'Invalid nonce' );
+		}
+
+		// Get and validate parameters.
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
+		$source_post_id = (int) ( $_POST['source_post_id'] ?? 0 );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
+		$target_post_id = (int) ( $_POST['target_post_id'] ?? 0 );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via verify_ajax_nonce().
+		$field_keys = $_POST['field_keys'] ?? [];
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified above; sanitized in CloneOperations::validate_selection().
+		$options = $_POST['options'] ?? [];
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified above; sanitized in CloneOperations::validate_selection().
+		$field_mapping = $_POST['field_mapping'] ?? [];
+
+		if ( ! $source_post_id || ! $target_post_id || ! is_array( $field_keys ) ) {
+			wp_send_json_error( 'Missing or invalid parameters' );
+		}
+
+		// Sanitize field keys.
+		$field_keys = array_map( 'sanitize_text_field', $field_keys );
+
+		// Field values of the source are read, so the user must be able to edit both posts.
+		if ( ! current_user_can( 'edit_post', $target_post_id ) || ! Helpers::can_user_clone_from( $source_post_id ) ) {
+			wp_send_json_error( 'Insufficient permissions' );
+		}
+
+		$source_post = get_post( $source_post_id );
+		$target_post = get_post( $target_post_id );
+
+		if ( ! $source_post || ! $target_post ) {
+			wp_send_json_error( 'Invalid post IDs' );
+		}
+
+		if ( ! CloneOperations::instance()->can_clone_between( $source_post, $target_post ) ) {
+			wp_send_json_error( 'Source post type not available for cloning' );
+		}
+
+		try {
+			wp_send_json_success(
+				CloneOperations::instance()->validate_selection(
+					$source_post,
+					$target_post,
+					$field_keys,
+					[
+						'options'       => $options,
+						'field_mapping' => $field_mapping,
+					]
+				)
+			);
+
+		} catch ( \Exception $e ) {
+			wp_send_json_error( 'Validation failed: ' . $e->getMessage() );
 		}
-		return null;
 	}
 
 	/**
-	 * Log clone activity to post meta
+	 * Verify AJAX nonce
 	 *
-	 * @param int                  $target_post_id Target post ID.
-	 * @param int                  $source_post_id Source post ID.
-	 * @param array<string, mixed> $clone_result Clone result.
-	 * @return void
+	 * @return bool True if valid
 	 */
-	private function log_clone_activity( int $target_post_id, int $source_post_id, array $clone_result ): void {
-		$activity = get_post_meta( $target_post_id, '_acf_clone_activity', true );
-		if ( ! is_array( $activity ) ) {
-			$activity = [];
-		}
-
-		$source_post  = get_post( $source_post_id );
-		$source_title = $source_post ? $source_post->post_title : "Post #{$source_post_id}";
-
-		$activity[] = [
-			'time'           => current_time( 'Y-m-d H:i:s' ),
-			'timestamp'      => time(),
-			'source_post_id' => $source_post_id,
-			'source_title'   => $source_title,
-			'fields_cloned'  => count( $clone_result['cloned_fields'] ),
-			'success'        => $clone_result['success'],
-			'user_id'        => get_current_user_id(),
-		];
-
-		// Keep only last 10 activities.
-		$activity = array_slice( $activity, -10, 10 );
-
-		update_post_meta( $target_post_id, '_acf_clone_activity', $activity );
+	private function verify_ajax_nonce(): bool {
+		$nonce = $_POST['nonce'] ?? '';
+		return (bool) wp_verify_nonce( $nonce, 'silver_assist_acf_clone_fields_ajax' );
 	}
 }
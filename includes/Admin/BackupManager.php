@@ -3,7 +3,8 @@
  * Backup Manager Component
  *
  * Provides admin interface for managing field backups.
- * Allows users to view, restore, and delete backups.
+ * Allows users to preview, restore (fully or field by field), and delete
+ * backups. The meta box UI lives in assets/js/admin.js.
  *
  * @package SilverAssist\ACFCloneFields
  * @subpackage Admin
@@ -15,6 +16,8 @@
 namespace SilverAssist\ACFCloneFields\Admin;
 
 use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+use SilverAssist\ACFCloneFields\Services\AcfObjects;
+use SilverAssist\ACFCloneFields\Services\CloneOperations;
 use SilverAssist\ACFCloneFields\Services\FieldCloner;
 
 defined( 'ABSPATH' ) || exit;
@@ -81,6 +84,7 @@ class BackupManager implements LoadableInterface {
 		add_action( 'add_meta_boxes', [ $this, 'add_backup_meta_box' ] );
 
 		// AJAX handlers.
+		add_action( 'wp_ajax_acf_clone_get_backup', [ $this, 'handle_get_backup' ] );
 		add_action( 'wp_ajax_acf_clone_restore_backup', [ $this, 'handle_restore_backup' ] );
 		add_action( 'wp_ajax_acf_clone_delete_backup', [ $this, 'handle_delete_backup' ] );
 		add_action( 'wp_ajax_acf_clone_cleanup_backups', [ $this, 'handle_cleanup_backups' ] );
@@ -119,8 +123,11 @@ class BackupManager implements LoadableInterface {
 		// Nonce for security.
 		wp_nonce_field( 'acf_clone_backup_action', 'acf_clone_backup_nonce' );
 
+		echo '<div class="acf-clone-backups-metabox">';
+
 		if ( empty( $backups ) ) {
 			echo '<p>' . esc_html__( 'No backups available for this post.', 'silver-assist-acf-clone-fields' ) . '</p>';
+			echo '</div>';
 			return;
 		}
 
@@ -140,8 +147,7 @@ class BackupManager implements LoadableInterface {
 		echo '</button>';
 		echo '</p>';
 
-		// Add inline JavaScript.
-		$this->render_backup_scripts();
+		echo '</div>';
 	}
 
 	/**
@@ -190,131 +196,40 @@ class BackupManager implements LoadableInterface {
 	}
 
 	/**
-	 * Render backup management scripts
+	 * Handle get backup AJAX request
+	 *
+	 * Returns the backup's fields with their stored values compared to the
+	 * post's current values, for the preview before restoring.
 	 *
 	 * @return void
 	 */
-	private function render_backup_scripts(): void {
-		?>
-		<script type="text/javascript">
-		jQuery(document).ready(function($) {
-			// Restore backup.
-			$('.acf-clone-restore-backup').on('click', function(e) {
-				e.preventDefault();
-				
-				if (!confirm('<?php echo esc_js( __( 'Are you sure you want to restore this backup? Current field values will be replaced.', 'silver-assist-acf-clone-fields' ) ); ?>')) {
-					return;
-				}
-				
-				var $button = $(this);
-				var backupId = $button.data('backup-id');
-				var postId = $button.data('post-id');
-				
-				$button.prop('disabled', true).text('<?php echo esc_js( __( 'Restoring...', 'silver-assist-acf-clone-fields' ) ); ?>');
-				
-				$.ajax({
-					url: ajaxurl,
-					type: 'POST',
-					data: {
-						action: 'acf_clone_restore_backup',
-						backup_id: backupId,
-						post_id: postId,
-						nonce: $('#acf_clone_backup_nonce').val()
-					},
-					success: function(response) {
-						if (response.success) {
-							alert(response.data.message);
-							location.reload();
-						} else {
-							alert(response.data.message || '<?php echo esc_js( __( 'Failed to restore backup.', 'silver-assist-acf-clone-fields' ) ); ?>');
-							$button.prop('disabled', false).text('<?php echo esc_js( __( 'Restore', 'silver-assist-acf-clone-fields' ) ); ?>');
-						}
-					},
-					error: function() {
-						alert('<?php echo esc_js( __( 'An error occurred. Please try again.', 'silver-assist-acf-clone-fields' ) ); ?>');
-						$button.prop('disabled', false).text('<?php echo esc_js( __( 'Restore', 'silver-assist-acf-clone-fields' ) ); ?>');
-					}
-				});
-			});
-			
-			// Delete backup.
-			$('.acf-clone-delete-backup').on('click', function(e) {
-				e.preventDefault();
-				
-				if (!confirm('<?php echo esc_js( __( 'Are you sure you want to delete this backup? This cannot be undone.', 'silver-assist-acf-clone-fields' ) ); ?>')) {
-					return;
-				}
-				
-				var $button = $(this);
-				var $item = $button.closest('.acf-clone-backup-item');
-				var backupId = $button.data('backup-id');
-				
-				$button.prop('disabled', true);
-				
-				$.ajax({
-					url: ajaxurl,
-					type: 'POST',
-					data: {
-						action: 'acf_clone_delete_backup',
-						backup_id: backupId,
-						nonce: $('#acf_clone_backup_nonce').val()
-					},
-					success: function(response) {
-						if (response.success) {
-							$item.fadeOut(300, function() {
-								$(this).remove();
-								if ($('.acf-clone-backup-item').length === 0) {
-									$('#acf-clone-backups-list').html('<p><?php echo esc_js( __( 'No backups available for this post.', 'silver-assist-acf-clone-fields' ) ); ?></p>');
-								}
-							});
-						} else {
-							alert(response.data.message || '<?php echo esc_js( __( 'Failed to delete backup.', 'silver-assist-acf-clone-fields' ) ); ?>');
-							$button.prop('disabled', false);
-						}
-					},
-					error: function() {
-						alert('<?php echo esc_js( __( 'An error occurred. Please try again.', 'silver-assist-acf-clone-fields' ) ); ?>');
-						$button.prop('disabled', false);
-					}
-				});
-			});
-			
-			// Clean up old backups.
-			$('#acf-clone-cleanup-backups').on('click', function(e) {
-				e.preventDefault();
-				
-				if (!confirm('<?php echo esc_js( __( 'This will delete backups older than the retention period. Continue?', 'silver-assist-acf-clone-fields' ) ); ?>')) {
-					return;
-				}
-				
-				var $button = $(this);
-				$button.prop('disabled', true).text('<?php echo esc_js( __( 'Cleaning up...', 'silver-assist-acf-clone-fields' ) ); ?>');
-				
-				$.ajax({
-					url: ajaxurl,
-					type: 'POST',
-					data: {
-						action: 'acf_clone_cleanup_backups',
-						nonce: $('#acf_clone_backup_nonce').val()
-					},
-					success: function(response) {
-						if (response.success) {
-							alert(response.data.message);
-							location.reload();
-						} else {
-							alert(response.data.message || '<?php echo esc_js( __( 'Cleanup failed.', 'silver-assist-acf-clone-fields' ) ); ?>');
-						}
-						$button.prop('disabled', false).text('<?php echo esc_js( __( 'Clean Up Old Backups', 'silver-assist-acf-clone-fields' ) ); ?>');
-					},
-					error: function() {
-						alert('<?php echo esc_js( __( 'An error occurred. Please try again.', 'silver-assist-acf-clone-fields' ) ); ?>');
-						$button.prop('disabled', false).text('<?php echo esc_js( __( 'Clean Up Old Backups', 'silver-assist-acf-clone-fields' ) ); ?>');
-					}
-				});
-			});
-		});
-		</script>
-		<?php
+	public function handle_get_backup(): void {
+		// Verify nonce.
+		check_ajax_referer( 'acf_clone_backup_action', 'nonce' );
+
+		// Check capabilities.
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Insufficient permissions.', 'silver-assist-acf-clone-fields' ) ] );
+		}
+
+		// Get backup ID.
+		$backup_id = sanitize_text_field( $_POST['backup_id'] ?? '' );
+
+		if ( empty( $backup_id ) ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid backup ID.', 'silver-assist-acf-clone-fields' ) ] );
+		}
+
+		$preview = CloneOperations::instance()->get_backup_preview( $backup_id );
+
+		if ( null === $preview ) {
+			wp_send_json_error( [ 'message' => __( 'Backup not found.', 'silver-assist-acf-clone-fields' ) ] );
+		}
+
+		if ( ! $this->can_edit_backup_object( $preview['post_id'] ) ) {
+			wp_send_json_error( [ 'message' => __( 'Insufficient permissions.', 'silver-assist-acf-clone-fields' ) ] );
+		}
+
+		wp_send_json_success( $preview );
 	}
 
 	/**
@@ -338,8 +253,15 @@ class BackupManager implements LoadableInterface {
 			wp_send_json_error( [ 'message' => __( 'Invalid backup ID.', 'silver-assist-acf-clone-fields' ) ] );
 		}
 
+		$this->check_backup_permission( $backup_id );
+
+		// Optional subset of fields to restore.
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via check_ajax_referer().
+		$field_keys = $_POST['field_keys'] ?? [];
+		$field_keys = is_array( $field_keys ) ? array_map( 'sanitize_text_field', $field_keys ) : [];
+
 		// Restore backup.
-		$result = FieldCloner::instance()->restore_backup( $backup_id, false );
+		$result = FieldCloner::instance()->restore_backup( $backup_id, false, $field_keys );
 
 		if ( $result['success'] ) {
 			wp_send_json_success( $result );
@@ -369,6 +291,8 @@ class BackupManager implements LoadableInterface {
 			wp_send_json_error( [ 'message' => __( 'Invalid backup ID.', 'silver-assist-acf-clone-fields' ) ] );
 		}
 
+		$this->check_backup_permission( $backup_id );
+
 		// Delete backup.
 		$deleted = FieldCloner::instance()->delete_backup( $backup_id );
 
@@ -379,6 +303,38 @@ class BackupManager implements LoadableInterface {
 		}
 	}
 
+	/**
+	 * Stop unless the backup exists and the user can edit what it belongs to
+	 *
+	 * @param string $backup_id Backup ID.
+	 * @return void
+	 */
+	private function check_backup_permission( string $backup_id ): void {
+		$backup = FieldCloner::instance()->get_backup( $backup_id );
+
+		if ( null === $backup ) {
+			wp_send_json_error( [ 'message' => __( 'Backup not found.', 'silver-assist-acf-clone-fields' ) ] );
+		}
+
+		if ( ! $this->can_edit_backup_object( $backup['post_id'] ) ) {
+			wp_send_json_error( [ 'message' => __( 'Insufficient permissions.', 'silver-assist-acf-clone-fields' ) ] );
+		}
+	}
+
+	/**
+	 * Check the current user can edit the object a backup belongs to
+	 *
+	 * Backups of terms, users and options pages need the right to edit those.
+	 *
+	 * @param int|string $object_id Post ID or normalized object ID.
+	 * @return bool True if allowed
+	 */
+	private function can_edit_backup_object( int|string $object_id ): bool {
+		return is_int( $object_id )
+			? current_user_can( 'edit_post', $object_id )
+			: AcfObjects::instance()->can_edit( $object_id );
+	}
+
 	/**
 	 * Handle cleanup backups AJAX request
 	 *
@@ -393,12 +349,7 @@ class BackupManager implements LoadableInterface {
 			wp_send_json_error( [ 'message' => __( 'Insufficient permissions.', 'silver-assist-acf-clone-fields' ) ] );
 		}
 
-		// This will trigger the cleanup in FieldCloner.
-		// We'll use reflection to access the private method.
-		$reflection = new \ReflectionClass( FieldCloner::instance() );
-		$method     = $reflection->getMethod( 'cleanup_old_backups' );
-		$method->setAccessible( true );
-		$deleted_count = $method->invoke( FieldCloner::instance() );
+		$deleted_count = FieldCloner::instance()->cleanup_old_backups();
 
 		wp_send_json_success(
 			[
@@ -0,0 +1,144 @@
+<?php
+/**
+ * Block Editor Component
+ *
+ * Adds a "Clone Fields" sidebar to the block editor that runs the clone
+ * flow (source post, fields, confirmation) with the editor's own components,
+ * notices and save state.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Admin
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Admin;
+
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class BlockEditor
+ *
+ * Enqueues the block editor sidebar. The sidebar reuses the meta box
+ * script's configuration (acfCloneFields) and REST routes.
+ */
+class BlockEditor implements LoadableInterface {
+	/**
+	 * Sidebar script handle
+	 *
+	 * @var string
+	 */
+	public const SCRIPT_HANDLE = 'acf-clone-fields-block-editor';
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var BlockEditor|null
+	 */
+	private static ?BlockEditor $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return BlockEditor
+	 */
+	public static function instance(): BlockEditor {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize block editor functionality
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'enqueue_block_editor_assets', [ $this, 'enqueue_block_editor_assets' ] );
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 40; // Admin components.
+	}
+
+	/**
+	 * Determine if block editor support should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return is_admin();
+	}
+
+	/**
+	 * Enqueue the sidebar script for enabled post types
+	 *
+	 * Runs before admin_enqueue_scripts on block editor screens; the
+	 * dependency on the meta box script (enqueued there by MetaBox) is
+	 * resolved when scripts are printed.
+	 *
+	 * @return void
+	 */
+	public function enqueue_block_editor_assets(): void {
+		if ( ! $this->is_enabled_screen() ) {
+			return;
+		}
+
+		wp_enqueue_script(
+			self::SCRIPT_HANDLE,
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/block-editor.js',
+			[
+				'wp-plugins',
+				'wp-edit-post',
+				'wp-element',
+				'wp-components',
+				'wp-data',
+				'wp-i18n',
+				'jquery',
+				'acf-clone-fields-admin',
+			],
+			SILVER_ACF_CLONE_VERSION,
+			true
+		);
+
+		wp_set_script_translations(
+			self::SCRIPT_HANDLE,
+			'silver-assist-acf-clone-fields',
+			plugin_dir_path( dirname( __DIR__ ) ) . 'languages'
+		);
+	}
+
+	/**
+	 * Check whether the current screen edits a post type enabled for cloning
+	 *
+	 * @return bool True on a block editor screen of an enabled post type with ACF active
+	 */
+	public function is_enabled_screen(): bool {
+		if ( ! function_exists( 'get_field' ) ) {
+			return false;
+		}
+
+		$screen = get_current_screen();
+		if ( ! $screen || 'post' !== $screen->base || ! $screen->is_block_editor() ) {
+			return false;
+		}
+
+		$enabled_post_types = (array) get_option( 'silver_assist_acf_clone_fields_enabled_post_types', [ 'post', 'page' ] );
+
+		return in_array( $screen->post_type, $enabled_post_types, true );
+	}
+}
@@ -0,0 +1,408 @@
+<?php
+/**
+ * Bulk Clone Component
+ *
+ * Provides the "Bulk Clone ACF Fields" screen (Tools menu) and the posts list
+ * bulk action that opens it, for cloning fields from one source post to many
+ * target posts in batches, or to save the selection as a sync job.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Admin
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Admin;
+
+use SilverAssist\ACFCloneFields\Services\SyncJobs;
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class BulkClone
+ *
+ * Manages the bulk clone screen and posts list bulk action.
+ */
+class BulkClone implements LoadableInterface {
+	/**
+	 * Bulk action name on the posts list table
+	 *
+	 * @var string
+	 */
+	public const BULK_ACTION = 'acf_clone_bulk_clone';
+
+	/**
+	 * Largest number of targets processed in one AJAX request
+	 *
+	 * @var int
+	 */
+	public const MAX_BATCH_SIZE = 20;
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var BulkClone|null
+	 */
+	private static ?BulkClone $instance = null;
+
+	/**
+	 * Bulk clone page slug
+	 *
+	 * @var string
+	 */
+	private string $page_slug = 'acf-clone-bulk';
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return BulkClone
+	 */
+	public static function instance(): BulkClone {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize bulk clone functionality
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 40; // Admin components.
+	}
+
+	/**
+	 * Determine if bulk clone should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return is_admin();
+	}
+
+	/**
+	 * Initialize WordPress hooks
+	 *
+	 * @return void
+	 */
+	private function init_hooks(): void {
+		add_action( 'admin_menu', [ $this, 'add_bulk_clone_page' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_bulk_clone_assets' ] );
+
+		// Posts list bulk action for every enabled post type.
+		foreach ( $this->get_enabled_post_types() as $post_type ) {
+			add_filter( "bulk_actions-edit-{$post_type}", [ $this, 'register_bulk_action' ] );
+			add_filter( "handle_bulk_actions-edit-{$post_type}", [ $this, 'handle_bulk_action' ], 10, 3 );
+		}
+	}
+
+	/**
+	 * Get post types enabled for cloning
+	 *
+	 * @return array<string> Post type names
+	 */
+	private function get_enabled_post_types(): array {
+		return (array) get_option( 'silver_assist_acf_clone_fields_enabled_post_types', [ 'post', 'page' ] );
+	}
+
+	/**
+	 * Get the bulk clone screen URL
+	 *
+	 * @param array<string, string> $args Extra query arguments.
+	 * @return string Admin URL
+	 */
+	public function get_page_url( array $args = [] ): string {
+		return add_query_arg( array_merge( [ 'page' => $this->page_slug ], $args ), admin_url( 'tools.php' ) );
+	}
+
+	/**
+	 * Add bulk clone page under Tools
+	 *
+	 * @return void
+	 */
+	public function add_bulk_clone_page(): void {
+		add_management_page(
+			__( 'Bulk Clone ACF Fields', 'silver-assist-acf-clone-fields' ),
+			__( 'Bulk Clone ACF Fields', 'silver-assist-acf-clone-fields' ),
+			'edit_posts',
+			$this->page_slug,
+			[ $this, 'render_bulk_clone_page' ]
+		);
+	}
+
+	/**
+	 * Add the bulk action to the posts list table
+	 *
+	 * @param array<string, string> $bulk_actions Registered bulk actions.
+	 * @return array<string, string> Bulk actions
+	 */
+	public function register_bulk_action( array $bulk_actions ): array {
+		$bulk_actions[ self::BULK_ACTION ] = __( 'Clone ACF fields into…', 'silver-assist-acf-clone-fields' );
+		return $bulk_actions;
+	}
+
+	/**
+	 * Send the selected posts to the bulk clone screen as targets
+	 *
+	 * WordPress has already checked the bulk-posts nonce at this point.
+	 *
+	 * @param string     $redirect_url Default redirect URL.
+	 * @param string     $action Bulk action being run.
+	 * @param array<int> $post_ids Selected post IDs.
+	 * @return string Redirect URL
+	 */
+	public function handle_bulk_action( string $redirect_url, string $action, array $post_ids ): string {
+		if ( self::BULK_ACTION !== $action || empty( $post_ids ) ) {
+			return $redirect_url;
+		}
+
+		$post_ids = array_map( 'absint', $post_ids );
+
+		return $this->get_page_url(
+			[
+				'post_type' => (string) get_post_type( $post_ids[0] ),
+				'targets'   => implode( ',', $post_ids ),
+			]
+		);
+	}
+
+	/**
+	 * Get the post type and targets preselected through the bulk action
+	 *
+	 * Targets that do not exist, belong to another post type or cannot be
+	 * edited by the current user are dropped.
+	 *
+	 * @return array{post_type: string, targets: list<array{id: int, title: string}>} Initial selection
+	 */
+	public function get_initial_selection(): array {
+		$enabled_post_types = $this->get_enabled_post_types();
+
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Read-only prefill of the form.
+		$post_type  = sanitize_key( $_GET['post_type'] ?? '' );
+		$target_ids = array_filter( array_map( 'absint', explode( ',', sanitize_text_field( wp_unslash( $_GET['targets'] ?? '' ) ) ) ) );
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		if ( ! in_array( $post_type, $enabled_post_types, true ) ) {
+			$post_type = $enabled_post_types[0] ?? '';
+		}
+
+		$targets = [];
+		foreach ( $target_ids as $target_id ) {
+			$target = get_post( $target_id );
+			if ( $target && $target->post_type === $post_type && current_user_can( 'edit_post', $target_id ) ) {
+				$targets[] = [
+					'id'    => $target_id,
+					'title' => get_the_title( $target ),
+				];
+			}
+		}
+
+		return [
+			'post_type' => $post_type,
+			'targets'   => $targets,
+		];
+	}
+
+	/**
+	 * Enqueue bulk clone page assets
+	 *
+	 * @param string $hook_suffix Current admin page hook.
+	 * @return void
+	 */
+	public function enqueue_bulk_clone_assets( string $hook_suffix ): void {
+		if ( 'tools_page_' . $this->page_slug !== $hook_suffix ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'silver-acf-clone-fields-admin',
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/css/silver-acf-clone-fields.css',
+			[],
+			SILVER_ACF_CLONE_VERSION
+		);
+
+		wp_enqueue_script(
+			'acf-clone-fields-bulk',
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/bulk-clone.js',
+			[ 'jquery' ],
+			SILVER_ACF_CLONE_VERSION,
+			true
+		);
+
+		$initial_selection = $this->get_initial_selection();
+
+		/**
+		 * Filter how many target posts are cloned per AJAX request on the bulk clone screen
+		 *
+		 * @since 1.4.0
+		 *
+		 * @param int $batch_size Targets per request (capped at BulkClone::MAX_BATCH_SIZE).
+		 */
+		$batch_size = (int) apply_filters( 'silver_assist_acf_clone_fields_bulk_batch_size', 5 );
+
+		wp_localize_script(
+			'acf-clone-fields-bulk',
+			'acfCloneBulk',
+			[
+				'ajaxUrl'        => admin_url( 'admin-ajax.php' ),
+				'nonce'          => wp_create_nonce( 'silver_assist_acf_clone_fields_ajax' ),
+				'postType'       => $initial_selection['post_type'],
+				'initialTargets' => $initial_selection['targets'],
+				'batchSize'      => max( 1, min( self::MAX_BATCH_SIZE, $batch_size ) ),
+				'createBackup'   => (bool) get_option( 'silver_assist_acf_clone_fields_create_backup', true ),
+				'debugMode'      => defined( 'WP_DEBUG' ) && WP_DEBUG,
+			]
+		);
+	}
+
+	/**
+	 * Render the bulk clone page
+	 *
+	 * The page is a static skeleton; assets/js/bulk-clone.js fills the lists
+	 * and runs the batches.
+	 *
+	 * @return void
+	 */
+	public function render_bulk_clone_page(): void {
+		$initial_selection = $this->get_initial_selection();
+		?>
+		<div class="wrap acf-clone-bulk">
+			<h1><?php esc_html_e( 'Bulk Clone ACF Fields', 'silver-assist-acf-clone-fields' ); ?></h1>
+			<p class="description">
+				<?php esc_html_e( 'Copy custom fields from one source post into many posts of the same type.', 'silver-assist-acf-clone-fields' ); ?>
+			</p>
+
+			<?php if ( ! function_exists( 'get_field' ) ) : ?>
+				<div class="notice notice-error">
+					<p><?php esc_html_e( 'Advanced Custom Fields is required for bulk cloning.', 'silver-assist-acf-clone-fields' ); ?></p>
+				</div>
+				<?php
+				return;
+			endif;
+			?>
+
+			<div class="acf-clone-bulk-section">
+				<h2><?php esc_html_e( '1. Source Post', 'silver-assist-acf-clone-fields' ); ?></h2>
+				<p>
+					<label for="acf-clone-bulk-post-type"><?php esc_html_e( 'Post type', 'silver-assist-acf-clone-fields' ); ?></label>
+					<select id="acf-clone-bulk-post-type">
+						<?php foreach ( $this->get_enabled_post_types() as $post_type ) : ?>
+							<?php $post_type_object = get_post_type_object( $post_type ); ?>
+							<?php if ( $post_type_object ) : ?>
+								<option value="<?php echo esc_attr( $post_type ); ?>" <?php selected( $initial_selection['post_type'], $post_type ); ?>>
+									<?php echo esc_html( $post_type_object->labels->name ); ?>
+								</option>
+							<?php endif; ?>
+						<?php endforeach; ?>
+					</select>
+					<input type="search" id="acf-clone-bulk-source-search" class="regular-text"
+						placeholder="<?php esc_attr_e( 'Search source posts…', 'silver-assist-acf-clone-fields' ); ?>">
+				</p>
+				<div id="acf-clone-bulk-source-results" class="acf-clone-bulk-list"></div>
+			</div>
+
+			<div class="acf-clone-bulk-section">
+				<h2><?php esc_html_e( '2. Fields', 'silver-assist-acf-clone-fields' ); ?></h2>
+				<div id="acf-clone-bulk-fields">
+					<p class="description"><?php esc_html_e( 'Select a source post first.', 'silver-assist-acf-clone-fields' ); ?></p>
+				</div>
+			</div>
+
+			<div class="acf-clone-bulk-section">
+				<h2><?php esc_html_e( '3. Target Posts', 'silver-assist-acf-clone-fields' ); ?></h2>
+				<p>
+					<input type="search" id="acf-clone-bulk-target-search" class="regular-text"
+						placeholder="<?php esc_attr_e( 'Search posts to add…', 'silver-assist-acf-clone-fields' ); ?>">
+				</p>
+				<div id="acf-clone-bulk-target-results" class="acf-clone-bulk-list"></div>
+				<h3>
+					<?php esc_html_e( 'Selected targets', 'silver-assist-acf-clone-fields' ); ?>
+					(<span id="acf-clone-bulk-target-count">0</span>)
+				</h3>
+				<ul id="acf-clone-bulk-targets" class="acf-clone-bulk-targets"></ul>
+			</div>
+
+			<div class="acf-clone-bulk-section">
+				<h2><?php esc_html_e( '4. Run', 'silver-assist-acf-clone-fields' ); ?></h2>
+				<p>
+					<label>
+						<input type="checkbox" id="acf-clone-bulk-backup">
+						<?php esc_html_e( 'Create a backup of each target before cloning', 'silver-assist-acf-clone-fields' ); ?>
+					</label>
+				</p>
+				<p>
+					<button type="button" id="acf-clone-bulk-start" class="button button-primary" disabled>
+						<?php esc_html_e( 'Start Bulk Clone', 'silver-assist-acf-clone-fields' ); ?>
+					</button>
+					<button type="button" id="acf-clone-bulk-retry" class="button" style="display: none;">
+						<?php esc_html_e( 'Retry Failed', 'silver-assist-acf-clone-fields' ); ?>
+					</button>
+				</p>
+				<div id="acf-clone-bulk-progress" class="acf-clone-bulk-progress" style="display: none;">
+					<div class="acf-clone-bulk-progress-bar"><span></span></div>
+					<p class="acf-clone-bulk-progress-text"></p>
+				</div>
+				<table id="acf-clone-bulk-results" class="widefat striped acf-clone-bulk-results" style="display: none;">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'Post', 'silver-assist-acf-clone-fields' ); ?></th>
+							<th><?php esc_html_e( 'Status', 'silver-assist-acf-clone-fields' ); ?></th>
+							<th><?php esc_html_e( 'Details', 'silver-assist-acf-clone-fields' ); ?></th>
+						</tr>
+					</thead>
+					<tbody></tbody>
+				</table>
+			</div>
+
+			<?php if ( current_user_can( SyncJobsPage::instance()->get_capability() ) ) : ?>
+				<div class="acf-clone-bulk-section acf-clone-bulk-sync">
+					<h2><?php esc_html_e( '5. Keep in Sync', 'silver-assist-acf-clone-fields' ); ?></h2>
+					<p class="description">
+						<?php esc_html_e( 'Save this source, fields and targets as a sync job to clone them again on a schedule or whenever the source is saved.', 'silver-assist-acf-clone-fields' ); ?>
+					</p>
+					<p>
+						<label for="acf-clone-bulk-sync-name"><?php esc_html_e( 'Job name', 'silver-assist-acf-clone-fields' ); ?></label>
+						<input type="text" id="acf-clone-bulk-sync-name" class="regular-text">
+						<label for="acf-clone-bulk-sync-schedule"><?php esc_html_e( 'Schedule', 'silver-assist-acf-clone-fields' ); ?></label>
+						<select id="acf-clone-bulk-sync-schedule">
+							<?php foreach ( SyncJobs::instance()->get_schedules() as $schedule => $label ) : ?>
+								<option value="<?php echo esc_attr( $schedule ); ?>"><?php echo esc_html( $label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</p>
+					<p>
+						<label>
+							<input type="checkbox" id="acf-clone-bulk-sync-on-save" checked>
+							<?php esc_html_e( 'Also sync whenever the source post is saved', 'silver-assist-acf-clone-fields' ); ?>
+						</label>
+					</p>
+					<p>
+						<button type="button" id="acf-clone-bulk-sync-save" class="button" disabled>
+							<?php esc_html_e( 'Save as Sync Job', 'silver-assist-acf-clone-fields' ); ?>
+						</button>
+						<span class="acf-clone-bulk-sync-message"></span>
+					</p>
+				</div>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+}
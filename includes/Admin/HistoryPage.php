@@ -0,0 +1,627 @@
+<?php
+/**
+ * Clone History Page Component
+ *
+ * Provides the "ACF Clone History" screen (Tools menu): every clone on the
+ * site, filterable by user, post, date and outcome, with CSV export and
+ * links to the backup taken before each clone.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Admin
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Admin;
+
+use SilverAssist\ACFCloneFields\Services\AcfObjects;
+use SilverAssist\ACFCloneFields\Services\CloneHistory;
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class HistoryPage
+ *
+ * Manages the clone history screen and its CSV export.
+ */
+class HistoryPage implements LoadableInterface {
+	/**
+	 * admin-post.php action of the CSV export
+	 *
+	 * @var string
+	 */
+	public const EXPORT_ACTION = 'acf_clone_export_history';
+
+	/**
+	 * Entries per page
+	 *
+	 * @var int
+	 */
+	private const PER_PAGE = 20;
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var HistoryPage|null
+	 */
+	private static ?HistoryPage $instance = null;
+
+	/**
+	 * History page slug
+	 *
+	 * @var string
+	 */
+	private string $page_slug = 'acf-clone-history';
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return HistoryPage
+	 */
+	public static function instance(): HistoryPage {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize history page functionality
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 40; // Admin components.
+	}
+
+	/**
+	 * Determine if history page should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return is_admin();
+	}
+
+	/**
+	 * Initialize WordPress hooks
+	 *
+	 * @return void
+	 */
+	private function init_hooks(): void {
+		add_action( 'admin_menu', [ $this, 'add_history_page' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_history_assets' ] );
+		add_action( 'admin_post_' . self::EXPORT_ACTION, [ $this, 'handle_export' ] );
+	}
+
+	/**
+	 * Get the capability needed to view and export the history
+	 *
+	 * @return string Capability
+	 */
+	public function get_capability(): string {
+		/**
+		 * Filter the capability needed to view and export the clone history
+		 *
+		 * @since 1.4.0
+		 *
+		 * @param string $capability Capability. Default 'manage_options'.
+		 */
+		return (string) apply_filters( 'silver_assist_acf_clone_fields_history_capability', 'manage_options' );
+	}
+
+	/**
+	 * Get the history screen URL
+	 *
+	 * @param array<string, int|string> $args Extra query arguments, e.g. filters.
+	 * @return string Admin URL
+	 */
+	public function get_page_url( array $args = [] ): string {
+		return add_query_arg( array_merge( [ 'page' => $this->page_slug ], $args ), admin_url( 'tools.php' ) );
+	}
+
+	/**
+	 * Add history page under Tools
+	 *
+	 * @return void
+	 */
+	public function add_history_page(): void {
+		add_management_page(
+			__( 'ACF Clone History', 'silver-assist-acf-clone-fields' ),
+			__( 'ACF Clone History', 'silver-assist-acf-clone-fields' ),
+			$this->get_capability(),
+			$this->page_slug,
+			[ $this, 'render_history_page' ]
+		);
+	}
+
+	/**
+	 * Enqueue history page assets
+	 *
+	 * @param string $hook_suffix Current admin page hook.
+	 * @return void
+	 */
+	public function enqueue_history_assets( string $hook_suffix ): void {
+		if ( 'tools_page_' . $this->page_slug !== $hook_suffix ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'silver-acf-clone-fields-admin',
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/css/silver-acf-clone-fields.css',
+			[],
+			SILVER_ACF_CLONE_VERSION
+		);
+	}
+
+	/**
+	 * Get the filters of the current request
+	 *
+	 * @return array{user: int, post: int, date_from: string, date_to: string, outcome: string} Filters
+	 */
+	private function get_request_filters(): array {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only filters, sanitized by prepare_filters().
+		return CloneHistory::instance()->prepare_filters( wp_unslash( $_GET ) );
+	}
+
+	/**
+	 * Get the translated label of an outcome
+	 *
+	 * @param string $outcome Outcome from CloneHistory::OUTCOMES.
+	 * @return string Label
+	 */
+	private function get_outcome_label( string $outcome ): string {
+		$labels = [
+			'success' => __( 'Success', 'silver-assist-acf-clone-fields' ),
+			'partial' => __( 'Partial', 'silver-assist-acf-clone-fields' ),
+			'failed'  => __( 'Failed', 'silver-assist-acf-clone-fields' ),
+		];
+
+		return $labels[ $outcome ] ?? $outcome;
+	}
+
+	/**
+	 * Get the display name of a user
+	 *
+	 * @param int $user_id User ID (0 when cloned without a user, e.g. from WP-CLI).
+	 * @return string Display name
+	 */
+	private function get_user_name( int $user_id ): string {
+		$user = $user_id ? get_userdata( $user_id ) : false;
+
+		return $user ? $user->display_name : __( 'Unknown', 'silver-assist-acf-clone-fields' );
+	}
+
+	/**
+	 * Get the title of a post, noting posts deleted since the clone
+	 *
+	 * @param int $post_id Post ID.
+	 * @return string Title
+	 */
+	private function get_post_title( int $post_id ): string {
+		$post = get_post( $post_id );
+
+		if ( ! $post ) {
+			/* translators: %d: post ID */
+			return sprintf( __( '#%d (deleted)', 'silver-assist-acf-clone-fields' ), $post_id );
+		}
+
+		$title = get_the_title( $post );
+
+		/* translators: %d: post ID */
+		return '' !== $title ? $title : sprintf( __( '#%d (no title)', 'silver-assist-acf-clone-fields' ), $post_id );
+	}
+
+	/**
+	 * Get the title of a term, user or options page, with its type
+	 *
+	 * @param string $object_id ACF object ID.
+	 * @return string Title
+	 */
+	private function get_object_title( string $object_id ): string {
+		$objects    = AcfObjects::instance();
+		$normalized = $objects->normalize( $object_id );
+
+		if ( null === $normalized ) {
+			/* translators: %s: ACF object ID, e.g. term_12 */
+			return sprintf( __( '%s (deleted)', 'silver-assist-acf-clone-fields' ), $object_id );
+		}
+
+		/* translators: 1: object type, e.g. Category, 2: object title */
+		return sprintf( __( '%1$s: %2$s', 'silver-assist-acf-clone-fields' ), $objects->get_type_label( $normalized ), $objects->get_title( $normalized ) );
+	}
+
+	/**
+	 * Get the source title of an entry without a source post
+	 *
+	 * Imports from a file and clones from a backup have no source post;
+	 * neither do clones from a term, user or options page.
+	 *
+	 * @param array<string, mixed> $options Options the clone ran with.
+	 * @return string Title
+	 */
+	private function get_sourceless_title( array $options ): string {
+		if ( ! empty( $options['source_object'] ) ) {
+			return $this->get_object_title( (string) $options['source_object'] );
+		}
+
+		if ( ! empty( $options['backup_source'] ) ) {
+			/* translators: %s: date and time of the backup */
+			return sprintf( __( 'Backup from %s', 'silver-assist-acf-clone-fields' ), mysql2date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $options['backup_source'] ) );
+		}
+
+		if ( empty( $options['imported_from'] ) ) {
+			return __( 'Imported file', 'silver-assist-acf-clone-fields' );
+		}
+
+		/* translators: %s: title of the exported post */
+		return sprintf( __( 'Imported file (%s)', 'silver-assist-acf-clone-fields' ), $options['imported_from'] );
+	}
+
+	/**
+	 * Get the link to review and restore an entry's backup
+	 *
+	 * Opens the target's edit screen, where the Field Backups meta box
+	 * previews the backup.
+	 *
+	 * @param array<string, mixed> $entry History entry.
+	 * @return string URL, or '' if the backup is gone, the user cannot edit the target or it is not a post
+	 */
+	public function get_backup_url( array $entry ): string {
+		if ( empty( $entry['backup_available'] ) || ! current_user_can( 'edit_post', $entry['target_post_id'] ) ) {
+			return '';
+		}
+
+		$edit_url = get_edit_post_link( $entry['target_post_id'], 'raw' );
+
+		if ( ! $edit_url ) {
+			return '';
+		}
+
+		return add_query_arg( 'acf_clone_backup', rawurlencode( $entry['backup_id'] ), $edit_url ) . '#silver-acf-clone-backups';
+	}
+
+	/**
+	 * Stream the filtered history as a CSV download
+	 *
+	 * @return void
+	 */
+	public function handle_export(): void {
+		if ( ! current_user_can( $this->get_capability() ) ) {
+			wp_die( esc_html__( 'You do not have permission to export the clone history.', 'silver-assist-acf-clone-fields' ), '', [ 'response' => 403 ] );
+		}
+
+		check_admin_referer( self::EXPORT_ACTION );
+
+		$history = CloneHistory::instance()->get_entries( $this->get_request_filters(), 0 );
+
+		nocache_headers();
+		header( 'Content-Type: text/csv; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename=acf-clone-history-' . gmdate( 'Y-m-d' ) . '.csv' );
+
+		$output = fopen( 'php://output', 'w' );
+
+		if ( false === $output ) {
+			exit;
+		}
+
+		fputcsv( $output, [ 'date', 'user', 'source_post_id', 'source_title', 'target_post_id', 'target_title', 'fields', 'options', 'outcome', 'message', 'backup_id' ] );
+
+		foreach ( $history['entries'] as $entry ) {
+			fputcsv(
+				$output,
+				array_map(
+					[ $this, 'escape_csv_cell' ],
+					[
+						$entry['created_at'],
+						$this->get_user_name( $entry['user_id'] ),
+						$entry['source_post_id'],
+						$entry['source_post_id'] ? $this->get_post_title( $entry['source_post_id'] ) : $this->get_sourceless_title( $entry['options'] ),
+						$entry['target_post_id'],
+						$entry['target_post_id'] ? $this->get_post_title( $entry['target_post_id'] ) : $this->get_object_title( (string) ( $entry['options']['target_object'] ?? '' ) ),
+						implode( '; ', array_map( static fn( array $field ): string => $field['field'] . ':' . $field['status'], $entry['fields'] ) ),
+						(string) wp_json_encode( $entry['options'] ),
+						$entry['outcome'],
+						$entry['message'],
+						$entry['backup_id'],
+					]
+				)
+			);
+		}
+
+		fclose( $output ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- php://output stream.
+		exit;
+	}
+
+	/**
+	 * Neutralise a CSV cell spreadsheets would run as a formula
+	 *
+	 * Post titles, user names and messages are editable, so text starting
+	 * with =, +, -, @, a tab or a carriage return is prefixed with a quote.
+	 *
+	 * @param mixed $value Cell value.
+	 * @return mixed Cell value, safe to open in a spreadsheet
+	 */
+	private function escape_csv_cell( $value ) {
+		if ( is_string( $value ) && '' !== $value && in_array( $value[0], [ '=', '+', '-', '@', "\t", "\r" ], true ) ) {
+			return "'" . $value;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Render the history page
+	 *
+	 * @return void
+	 */
+	public function render_history_page(): void {
+		$filters = $this->get_request_filters();
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only pagination.
+		$current_page = max( 1, absint( $_GET['paged'] ?? 1 ) );
+		$history      = CloneHistory::instance()->get_entries( $filters, self::PER_PAGE, $current_page );
+		$export_url   = wp_nonce_url(
+			add_query_arg( array_merge( [ 'action' => self::EXPORT_ACTION ], array_filter( $filters ) ), admin_url( 'admin-post.php' ) ),
+			self::EXPORT_ACTION
+		);
+		?>
+		<div class="wrap acf-clone-history">
+			<h1 class="wp-heading-inline"><?php esc_html_e( 'ACF Clone History', 'silver-assist-acf-clone-fields' ); ?></h1>
+			<a href="<?php echo esc_url( $export_url ); ?>" class="page-title-action"><?php esc_html_e( 'Export CSV', 'silver-assist-acf-clone-fields' ); ?></a>
+			<hr class="wp-header-end">
+			<p class="description">
+				<?php esc_html_e( 'Every clone on this site: who copied which fields from where, and the backup taken before writing.', 'silver-assist-acf-clone-fields' ); ?>
+			</p>
+
+			<form method="get" class="acf-clone-history-filters">
+				<input type="hidden" name="page" value="<?php echo esc_attr( $this->page_slug ); ?>">
+				<label class="screen-reader-text" for="acf-clone-history-user"><?php esc_html_e( 'User', 'silver-assist-acf-clone-fields' ); ?></label>
+				<?php
+				wp_dropdown_users(
+					[
+						'name'            => 'user',
+						'id'              => 'acf-clone-history-user',
+						'selected'        => $filters['user'],
+						'show_option_all' => __( 'All users', 'silver-assist-acf-clone-fields' ),
+					]
+				);
+				?>
+				<label for="acf-clone-history-post"><?php esc_html_e( 'Post ID', 'silver-assist-acf-clone-fields' ); ?></label>
+				<input type="number" min="1" id="acf-clone-history-post" name="post" class="small-text" value="<?php echo esc_attr( $filters['post'] ? (string) $filters['post'] : '' ); ?>">
+				<label for="acf-clone-history-date-from"><?php esc_html_e( 'From', 'silver-assist-acf-clone-fields' ); ?></label>
+				<input type="date" id="acf-clone-history-date-from" name="date_from" value="<?php echo esc_attr( $filters['date_from'] ); ?>">
+				<label for="acf-clone-history-date-to"><?php esc_html_e( 'To', 'silver-assist-acf-clone-fields' ); ?></label>
+				<input type="date" id="acf-clone-history-date-to" name="date_to" value="<?php echo esc_attr( $filters['date_to'] ); ?>">
+				<label class="screen-reader-text" for="acf-clone-history-outcome"><?php esc_html_e( 'Outcome', 'silver-assist-acf-clone-fields' ); ?></label>
+				<select id="acf-clone-history-outcome" name="outcome">
+					<option value=""><?php esc_html_e( 'All outcomes', 'silver-assist-acf-clone-fields' ); ?></option>
+					<?php foreach ( CloneHistory::OUTCOMES as $outcome ) : ?>
+						<option value="<?php echo esc_attr( $outcome ); ?>" <?php selected( $filters['outcome'], $outcome ); ?>>
+							<?php echo esc_html( $this->get_outcome_label( $outcome ) ); ?>
+						</option>
+					<?php endforeach; ?>
+				</select>
+				<?php submit_button( __( 'Filter', 'silver-assist-acf-clone-fields' ), '', '', false ); ?>
+				<?php if ( array_filter( $filters ) ) : ?>
+					<a href="<?php echo esc_url( $this->get_page_url() ); ?>" class="button-link"><?php esc_html_e( 'Reset', 'silver-assist-acf-clone-fields' ); ?></a>
+				<?php endif; ?>
+			</form>
+
+			<table class="widefat striped acf-clone-history-table">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Date', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'User', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Source', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Target', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Fields', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Outcome', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Backup', 'silver-assist-acf-clone-fields' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php if ( empty( $history['entries'] ) ) : ?>
+						<tr>
+							<td colspan="7"><?php esc_html_e( 'No clones found.', 'silver-assist-acf-clone-fields' ); ?></td>
+						</tr>
+					<?php endif; ?>
+					<?php foreach ( $history['entries'] as $entry ) : ?>
+						<?php $this->render_history_row( $entry ); ?>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+
+			<?php $this->render_pagination( $history['total'], $current_page ); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render one history entry
+	 *
+	 * @param array<string, mixed> $entry History entry.
+	 * @return void
+	 */
+	private function render_history_row( array $entry ): void {
+		$date_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+		$backup_url  = $this->get_backup_url( $entry );
+		?>
+		<tr>
+			<td><?php echo esc_html( (string) mysql2date( $date_format, $entry['created_at'] ) ); ?></td>
+			<td>
+				<a href="<?php echo esc_url( $this->get_page_url( [ 'user' => $entry['user_id'] ] ) ); ?>">
+					<?php echo esc_html( $this->get_user_name( $entry['user_id'] ) ); ?>
+				</a>
+			</td>
+			<td>
+				<?php
+				if ( $entry['source_post_id'] ) {
+					$this->render_post_cell( $entry['source_post_id'] );
+				} else {
+					echo esc_html( $this->get_sourceless_title( $entry['options'] ) );
+				}
+				?>
+			</td>
+			<td>
+				<?php
+				if ( $entry['target_post_id'] ) {
+					$this->render_post_cell( $entry['target_post_id'] );
+				} else {
+					echo esc_html( $this->get_object_title( (string) ( $entry['options']['target_object'] ?? '' ) ) );
+				}
+				?>
+			</td>
+			<td>
+				<?php if ( empty( $entry['fields'] ) ) : ?>
+					<?php echo esc_html( $entry['message'] ); ?>
+				<?php else : ?>
+					<details>
+						<summary>
+							<?php
+							printf(
+								/* translators: %d: number of fields */
+								esc_html( _n( '%d field', '%d fields', count( $entry['fields'] ), 'silver-assist-acf-clone-fields' ) ),
+								count( $entry['fields'] )
+							);
+							?>
+						</summary>
+						<ul class="acf-clone-history-fields">
+							<?php foreach ( $entry['fields'] as $field ) : ?>
+								<li>
+									<?php echo esc_html( $field['label'] ); ?>
+									<code><?php echo esc_html( $field['status'] ); ?></code>
+								</li>
+							<?php endforeach; ?>
+						</ul>
+						<?php $this->render_options( $entry['options'] ); ?>
+					</details>
+				<?php endif; ?>
+			</td>
+			<td>
+				<span class="acf-clone-history-outcome acf-clone-history-outcome-<?php echo esc_attr( $entry['outcome'] ); ?>" title="<?php echo esc_attr( $entry['message'] ); ?>">
+					<?php echo esc_html( $this->get_outcome_label( $entry['outcome'] ) ); ?>
+				</span>
+			</td>
+			<td>
+				<?php if ( $backup_url ) : ?>
+					<a href="<?php echo esc_url( $backup_url ); ?>"><?php esc_html_e( 'Review & restore', 'silver-assist-acf-clone-fields' ); ?></a>
+				<?php elseif ( ! empty( $entry['backup_available'] ) ) : ?>
+					<code><?php echo esc_html( $entry['backup_id'] ); ?></code>
+				<?php elseif ( '' !== $entry['backup_id'] ) : ?>
+					<span class="description"><?php esc_html_e( 'Deleted', 'silver-assist-acf-clone-fields' ); ?></span>
+				<?php else : ?>
+					<span class="description"><?php esc_html_e( 'None', 'silver-assist-acf-clone-fields' ); ?></span>
+				<?php endif; ?>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Render a post with links to edit it and to filter the history by it
+	 *
+	 * @param int $post_id Post ID.
+	 * @return void
+	 */
+	private function render_post_cell( int $post_id ): void {
+		$edit_url = current_user_can( 'edit_post', $post_id ) ? get_edit_post_link( $post_id ) : '';
+
+		if ( $edit_url ) {
+			printf( '<a href="%s">%s</a>', esc_url( $edit_url ), esc_html( $this->get_post_title( $post_id ) ) );
+		} else {
+			echo esc_html( $this->get_post_title( $post_id ) );
+		}
+
+		printf(
+			' <a href="%s" class="acf-clone-history-filter-link" title="%s">#%d</a>',
+			esc_url( $this->get_page_url( [ 'post' => $post_id ] ) ),
+			esc_attr__( 'Show clones of this post', 'silver-assist-acf-clone-fields' ),
+			(int) $post_id
+		);
+	}
+
+	/**
+	 * Render the options a clone ran with
+	 *
+	 * @param array<string, mixed> $options Clone options.
+	 * @return void
+	 */
+	private function render_options( array $options ): void {
+		$labels = [
+			'create_backup'         => __( 'Backup', 'silver-assist-acf-clone-fields' ),
+			'overwrite_existing'    => __( 'Overwrite', 'silver-assist-acf-clone-fields' ),
+			'copy_attachments'      => __( 'Attachments', 'silver-assist-acf-clone-fields' ),
+			'duplicate_attachments' => __( 'Duplicate media', 'silver-assist-acf-clone-fields' ),
+			'duplicate_posts'       => __( 'Duplicate posts', 'silver-assist-acf-clone-fields' ),
+			'empty_values'          => __( 'Empty values', 'silver-assist-acf-clone-fields' ),
+			'sync_job'              => __( 'Sync job', 'silver-assist-acf-clone-fields' ),
+		];
+
+		$parts = [];
+		foreach ( $labels as $option => $label ) {
+			if ( ! array_key_exists( $option, $options ) ) {
+				continue;
+			}
+
+			$value = $options[ $option ];
+			if ( is_bool( $value ) ) {
+				$value = $value ? __( 'yes', 'silver-assist-acf-clone-fields' ) : __( 'no', 'silver-assist-acf-clone-fields' );
+			}
+
+			$parts[] = $label . ': ' . $value;
+		}
+
+		if ( ! empty( $parts ) ) {
+			echo '<p class="description">' . esc_html( implode( ', ', $parts ) ) . '</p>';
+		}
+	}
+
+	/**
+	 * Render the pagination links
+	 *
+	 * @param int $total Number of matching entries.
+	 * @param int $current_page Current page.
+	 * @return void
+	 */
+	private function render_pagination( int $total, int $current_page ): void {
+		$total_pages = (int) ceil( $total / self::PER_PAGE );
+
+		if ( $total_pages <= 1 ) {
+			return;
+		}
+
+		$links = paginate_links(
+			[
+				'base'    => add_query_arg( 'paged', '%#%' ),
+				'format'  => '',
+				'current' => $current_page,
+				'total'   => $total_pages,
+			]
+		);
+
+		echo '<div class="tablenav"><div class="tablenav-pages">';
+		printf(
+			'<span class="displaying-num">%s</span>',
+			/* translators: %s: number of entries */
+			esc_html( sprintf( _n( '%s entry', '%s entries', $total, 'silver-assist-acf-clone-fields' ), number_format_i18n( $total ) ) )
+		);
+		echo wp_kses_post( (string) $links );
+		echo '</div></div>';
+	}
+}
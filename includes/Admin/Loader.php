@@ -2,7 +2,8 @@
 /**
  * Admin Loader
  *
- * Loads and initializes all Admin components including MetaBox, Settings, and Ajax handlers.
+ * Loads and initializes all Admin components including MetaBox, Settings, Ajax handlers,
+ * the bulk clone screen and the block editor sidebar.
  *
  * @package SilverAssist\ACFCloneFields
  * @subpackage Admin
@@ -89,6 +90,11 @@ class Loader implements LoadableInterface {
 			'Settings.php',
 			'Ajax.php',
 			'BackupManager.php',
+			'BulkClone.php',
+			'BlockEditor.php',
+			'HistoryPage.php',
+			'SyncJobsPage.php',
+			'ObjectScreens.php',
 		];
 
 		foreach ( $admin_files as $file ) {
@@ -125,5 +131,30 @@ class Loader implements LoadableInterface {
 		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\BackupManager' ) ) {
 			BackupManager::instance()->init();
 		}
+
+		// Initialize BulkClone (bulk clone screen and posts list bulk action).
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\BulkClone' ) ) {
+			BulkClone::instance()->init();
+		}
+
+		// Initialize BlockEditor (clone sidebar in the block editor).
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\BlockEditor' ) ) {
+			BlockEditor::instance()->init();
+		}
+
+		// Initialize HistoryPage (site-wide clone history screen).
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\HistoryPage' ) ) {
+			HistoryPage::instance()->init();
+		}
+
+		// Initialize SyncJobsPage (sync jobs screen).
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\SyncJobsPage' ) ) {
+			SyncJobsPage::instance()->init();
+		}
+
+		// Initialize ObjectScreens (clone button on term, user and options page screens).
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\ObjectScreens' ) ) {
+			ObjectScreens::instance()->init();
+		}
 	}
 }
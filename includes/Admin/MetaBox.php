@@ -15,7 +15,12 @@
 namespace SilverAssist\ACFCloneFields\Admin;
 
 use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+use SilverAssist\ACFCloneFields\Services\AcfObjects;
+use SilverAssist\ACFCloneFields\Services\CloneOperations;
 use SilverAssist\ACFCloneFields\Services\FieldDetector;
+use SilverAssist\ACFCloneFields\Services\FieldTypeRegistry;
+use SilverAssist\ACFCloneFields\Rest\RestController;
+use SilverAssist\ACFCloneFields\Services\PresetManager;
 use SilverAssist\ACFCloneFields\Utils\Helpers;
 use SilverAssist\ACFCloneFields\Utils\Logger;
 
@@ -195,6 +200,12 @@ class MetaBox implements LoadableInterface {
 		$source_posts = $this->get_source_posts( $post );
 		$source_count = count( $source_posts );
 
+		// Other enabled post types can supply fields too (cross-type cloning).
+		$has_other_source_types = count( $this->get_source_post_types() ) > 1;
+
+		// So can terms, users and options pages sharing a field group.
+		$has_object_sources = AcfObjects::instance()->has_other_kind_sources( $post->ID );
+
 		// Get current post field statistics.
 		$field_stats = FieldDetector::instance()->get_field_statistics( $post->ID );
 
@@ -217,7 +228,7 @@ class MetaBox implements LoadableInterface {
 
 			<!-- Clone Action -->
 			<div class="acf-clone-actions">
-				<?php if ( $source_count > 0 ) : ?>
+				<?php if ( $source_count > 0 || $has_other_source_types || $has_object_sources ) : ?>
 					<button type="button" class="button button-secondary acf-clone-open-modal" 
 							data-post-id="<?php echo esc_attr( (string) $post->ID ); ?>"
 							data-post-type="<?php echo esc_attr( $post->post_type ); ?>">
@@ -225,15 +236,21 @@ class MetaBox implements LoadableInterface {
 					</button>
 					<p class="description">
 						<?php
-						/* translators: %1$d: number of available posts, %2$s: post type name */
-						printf(
-							/* translators: %1$d: number of available posts, %2$s: post type name */
-							esc_html__( 'Clone fields from %1$d available %2$s post(s)', 'silver-assist-acf-clone-fields' ),
-							intval( $source_count ),
-							esc_html( get_post_type_object( $post->post_type )->labels->name ?? $post->post_type )
-						);
+						if ( $source_count > 0 ) {
+							printf(
+								/* translators: %1$d: number of available posts, %2$s: post type name */
+								esc_html__( 'Clone fields from %1$d available %2$s post(s)', 'silver-assist-acf-clone-fields' ),
+								intval( $source_count ),
+								esc_html( get_post_type_object( $post->post_type )->labels->name ?? $post->post_type )
+							);
+						} elseif ( $has_other_source_types ) {
+							esc_html_e( 'Clone fields from posts of another type', 'silver-assist-acf-clone-fields' );
+						} else {
+							esc_html_e( 'Clone fields from options pages, terms or users', 'silver-assist-acf-clone-fields' );
+						}
 						?>
 					</p>
+					<?php $this->render_presets( $post ); ?>
 				<?php else : ?>
 					<p class="acf-clone-no-sources">
 						<?php esc_html_e( 'No other posts available to clone from.', 'silver-assist-acf-clone-fields' ); ?>
@@ -244,6 +261,16 @@ class MetaBox implements LoadableInterface {
 				<?php endif; ?>
 			</div>
 
+			<!-- Export / Import -->
+			<div class="acf-clone-transfer">
+				<button type="button" class="button button-small acf-clone-export-fields">
+					<?php esc_html_e( 'Export Fields', 'silver-assist-acf-clone-fields' ); ?>
+				</button>
+				<button type="button" class="button button-small acf-clone-import-fields">
+					<?php esc_html_e( 'Import from File', 'silver-assist-acf-clone-fields' ); ?>
+				</button>
+			</div>
+
 			<!-- Recent Activity -->
 			<?php $this->render_recent_activity( $post->ID ); ?>
 
@@ -251,6 +278,38 @@ class MetaBox implements LoadableInterface {
 		<?php
 	}
 
+	/**
+	 * Render one-click buttons for the saved presets of the post type
+	 *
+	 * @param \WP_Post $post Current post.
+	 * @return void
+	 */
+	private function render_presets( \WP_Post $post ): void {
+		$presets = PresetManager::instance()->get_presets( $post->post_type, get_current_user_id() );
+
+		if ( empty( $presets ) ) {
+			return;
+		}
+		?>
+		<div class="acf-clone-metabox-presets">
+			<h4><?php esc_html_e( 'Presets', 'silver-assist-acf-clone-fields' ); ?></h4>
+			<ul>
+				<?php foreach ( $presets as $preset ) : ?>
+					<li>
+						<button type="button" class="button-link acf-clone-apply-preset"
+								data-preset-id="<?php echo esc_attr( $preset['id'] ); ?>">
+							<?php echo esc_html( $preset['name'] ); ?>
+						</button>
+						<?php if ( $preset['shared'] ) : ?>
+							<span class="acf-clone-preset-shared"><?php esc_html_e( 'Shared', 'silver-assist-acf-clone-fields' ); ?></span>
+						<?php endif; ?>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+		</div>
+		<?php
+	}
+
 	/**
 	 * Render ACF not available message
 	 *
@@ -301,6 +360,13 @@ class MetaBox implements LoadableInterface {
 					</li>
 				<?php endforeach; ?>
 			</ul>
+			<?php if ( current_user_can( HistoryPage::instance()->get_capability() ) ) : ?>
+				<p>
+					<a href="<?php echo esc_url( HistoryPage::instance()->get_page_url( [ 'post' => $post_id ] ) ); ?>">
+						<?php esc_html_e( 'View full clone history', 'silver-assist-acf-clone-fields' ); ?>
+					</a>
+				</p>
+			<?php endif; ?>
 		</div>
 		<?php
 	}
@@ -322,6 +388,27 @@ class MetaBox implements LoadableInterface {
 		);
 	}
 
+	/**
+	 * Get post types the user can pick source posts from
+	 *
+	 * @return array<array{name: string, label: string}> Enabled post types the user can edit
+	 */
+	private function get_source_post_types(): array {
+		$post_types = [];
+
+		foreach ( $this->enabled_post_types as $post_type ) {
+			$post_type_object = get_post_type_object( $post_type );
+			if ( $post_type_object && current_user_can( $post_type_object->cap->edit_posts ) ) {
+				$post_types[] = [
+					'name'  => $post_type,
+					'label' => $post_type_object->labels->name,
+				];
+			}
+		}
+
+		return $post_types;
+	}
+
 	/**
 	 * Get recent cloning activity
 	 *
@@ -369,6 +456,29 @@ class MetaBox implements LoadableInterface {
 			return;
 		}
 
+		$this->enqueue_modal(
+			[
+				'postId'          => $post->ID,
+				'postType'        => $post->post_type,
+				'sourcePostTypes' => $this->get_source_post_types(),
+				'objectSources'   => AcfObjects::instance()->has_other_kind_sources( $post->ID ),
+				'presets'         => PresetManager::instance()->get_presets( $post->post_type, get_current_user_id() ),
+				'canSharePresets' => PresetManager::instance()->can_manage_shared_presets( get_current_user_id() ),
+				'undo'            => CloneOperations::instance()->get_undo( get_current_user_id(), $post->ID ),
+			]
+		);
+	}
+
+	/**
+	 * Enqueue the clone modal's styles and scripts
+	 *
+	 * Also used by the term, user and options page screens (see
+	 * ObjectScreens), which pass an `objectId` instead of a post.
+	 *
+	 * @param array<string, mixed> $config Screen-specific script configuration.
+	 * @return void
+	 */
+	public function enqueue_modal( array $config ): void {
 		// Enqueue styles.
 		wp_enqueue_style(
 			'silver-acf-clone-fields-admin',
@@ -381,7 +491,7 @@ class MetaBox implements LoadableInterface {
 		wp_enqueue_script(
 			'acf-clone-fields-admin',
 			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/js/admin.js',
-			[ 'jquery', 'wp-util' ],
+			[ 'jquery', 'wp-util', 'wp-api-fetch', 'wp-url' ],
 			SILVER_ACF_CLONE_VERSION,
 			true
 		);
@@ -390,21 +500,27 @@ class MetaBox implements LoadableInterface {
 		wp_localize_script(
 			'acf-clone-fields-admin',
 			'acfCloneFields',
-			[
-				'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
-				'nonce'     => wp_create_nonce( 'silver_assist_acf_clone_fields_ajax' ),
-				'postId'    => $post->ID,
-				'postType'  => $post->post_type,
-				'debugMode' => defined( 'WP_DEBUG' ) && WP_DEBUG,
-				'strings'   => [
-					'loading'          => __( 'Loading...', 'silver-assist-acf-clone-fields' ),
-					'error'            => __( 'An error occurred. Please try again.', 'silver-assist-acf-clone-fields' ),
-					'confirmClone'     => __( 'Are you sure you want to clone the selected fields? This will overwrite existing field values.', 'silver-assist-acf-clone-fields' ),
-					'noFieldsSelected' => __( 'Please select at least one field to clone.', 'silver-assist-acf-clone-fields' ),
-					'cloneSuccess'     => __( 'Fields cloned successfully!', 'silver-assist-acf-clone-fields' ),
-					'cloneError'       => __( 'Error cloning fields. Please check the console for details.', 'silver-assist-acf-clone-fields' ),
+			array_merge(
+				[
+					'restNamespace' => RestController::NAMESPACE,
+					'emptyValues'   => get_option( 'silver_assist_acf_clone_fields_empty_values', 'clear' ),
+					'debugMode'     => defined( 'WP_DEBUG' ) && WP_DEBUG,
+					'strings'       => [
+						'loading'          => __( 'Loading...', 'silver-assist-acf-clone-fields' ),
+						'error'            => __( 'An error occurred. Please try again.', 'silver-assist-acf-clone-fields' ),
+						'confirmClone'     => __( 'Are you sure you want to clone the selected fields? This will overwrite existing field values.', 'silver-assist-acf-clone-fields' ),
+						'noFieldsSelected' => __( 'Please select at least one field to clone.', 'silver-assist-acf-clone-fields' ),
+						'cloneSuccess'     => __( 'Fields cloned successfully!', 'silver-assist-acf-clone-fields' ),
+						'cloneError'       => __( 'Error cloning fields. Please check the console for details.', 'silver-assist-acf-clone-fields' ),
+					],
 				],
-			]
+				$config
+			)
 		);
+
+		// Scripts of registered field types render and apply their values in the modal.
+		foreach ( FieldTypeRegistry::instance()->get_scripts() as $handle ) {
+			wp_enqueue_script( $handle );
+		}
 	}
 }
\ No newline at end of file
@@ -0,0 +1,264 @@
+<?php
+/**
+ * Object Screens Component
+ *
+ * Adds the clone button to the edit screens of taxonomy terms, users and
+ * ACF options pages, so fields can be cloned into them from other terms,
+ * users, options pages or posts sharing a field group.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Admin
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Admin;
+
+use SilverAssist\ACFCloneFields\Services\AcfObjects;
+use SilverAssist\ACFCloneFields\Services\CloneOperations;
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class ObjectScreens
+ *
+ * The clone modal is the one of the post meta box (see
+ * MetaBox::enqueue_modal()), configured with the object being edited.
+ */
+class ObjectScreens implements LoadableInterface {
+	/**
+	 * Singleton instance
+	 *
+	 * @var ObjectScreens|null
+	 */
+	private static ?ObjectScreens $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return ObjectScreens
+	 */
+	public static function instance(): ObjectScreens {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize the object screens
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'admin_init', [ $this, 'register_term_hooks' ] );
+		add_action( 'show_user_profile', [ $this, 'render_user_box' ] );
+		add_action( 'edit_user_profile', [ $this, 'render_user_box' ] );
+		add_action( 'acf/input/admin_head', [ $this, 'add_options_page_box' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 40; // Admin components.
+	}
+
+	/**
+	 * Determine if the object screens should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return is_admin();
+	}
+
+	/**
+	 * Add the clone box to the edit form of every taxonomy with a UI
+	 *
+	 * @return void
+	 */
+	public function register_term_hooks(): void {
+		foreach ( get_taxonomies( [ 'show_ui' => true ] ) as $taxonomy ) {
+			add_action( "{$taxonomy}_edit_form", [ $this, 'render_term_box' ], 20 );
+		}
+	}
+
+	/**
+	 * Render the clone box below a term's fields
+	 *
+	 * @param \WP_Term $term Term being edited.
+	 * @return void
+	 */
+	public function render_term_box( \WP_Term $term ): void {
+		$this->render_section( 'term_' . $term->term_id );
+	}
+
+	/**
+	 * Render the clone box below a user's profile fields
+	 *
+	 * @param \WP_User $user User being edited.
+	 * @return void
+	 */
+	public function render_user_box( \WP_User $user ): void {
+		$this->render_section( 'user_' . $user->ID );
+	}
+
+	/**
+	 * Add the clone box to the sidebar of an ACF options page
+	 *
+	 * @return void
+	 */
+	public function add_options_page_box(): void {
+		$object_id = $this->get_options_page_object_id();
+
+		if ( null === $object_id || ! $this->is_available( $object_id ) ) {
+			return;
+		}
+
+		add_meta_box(
+			'acf_clone_fields',
+			__( 'Clone Custom Fields', 'silver-assist-acf-clone-fields' ),
+			function () use ( $object_id ): void {
+				$this->render_box( $object_id );
+			},
+			'acf_options_page',
+			'side'
+		);
+	}
+
+	/**
+	 * Enqueue the clone modal on term, user and options page screens
+	 *
+	 * @param string $hook_suffix Current admin page hook.
+	 * @return void
+	 */
+	public function enqueue_assets( string $hook_suffix ): void {
+		$object_id = $this->get_screen_object_id( $hook_suffix );
+
+		if ( null === $object_id || ! $this->is_available( $object_id ) ) {
+			return;
+		}
+
+		MetaBox::instance()->enqueue_modal(
+			[
+				'postId'   => 0,
+				'objectId' => $object_id,
+				'undo'     => CloneOperations::instance()->get_undo( get_current_user_id(), $object_id ),
+			]
+		);
+	}
+
+	/**
+	 * Get the object edited on the current screen
+	 *
+	 * @param string $hook_suffix Current admin page hook.
+	 * @return int|string|null Normalized object ID, null on other screens
+	 */
+	private function get_screen_object_id( string $hook_suffix ) {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Only reads which object the screen edits.
+		switch ( $hook_suffix ) {
+			case 'term.php':
+				$object_id = 'term_' . absint( $_GET['tag_ID'] ?? 0 );
+				break;
+
+			case 'profile.php':
+				$object_id = 'user_' . get_current_user_id();
+				break;
+
+			case 'user-edit.php':
+				$object_id = 'user_' . absint( $_GET['user_id'] ?? 0 );
+				break;
+
+			default:
+				return $this->get_options_page_object_id();
+		}
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		return AcfObjects::instance()->normalize( $object_id );
+	}
+
+	/**
+	 * Get the object ID of the ACF options page being viewed
+	 *
+	 * @return string|null Options page post ID, null if not on an options page
+	 */
+	private function get_options_page_object_id(): ?string {
+		$plugin_page = (string) ( $GLOBALS['plugin_page'] ?? '' );
+
+		if ( '' === $plugin_page ) {
+			return null;
+		}
+
+		foreach ( AcfObjects::instance()->get_options_pages() as $object_id => $pages ) {
+			if ( in_array( $plugin_page, array_column( $pages, 'menu_slug' ), true ) ) {
+				return (string) $object_id;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check the clone box can be offered for an object
+	 *
+	 * @param int|string $object_id Normalized object ID.
+	 * @return bool True if ACF is active, the user can edit the object and it has field groups
+	 */
+	private function is_available( $object_id ): bool {
+		if ( ! function_exists( 'get_field' ) ) {
+			return false;
+		}
+
+		$objects = AcfObjects::instance();
+
+		return $objects->can_edit( $object_id ) && ! empty( $objects->get_field_groups( $object_id ) );
+	}
+
+	/**
+	 * Render the clone box as a section of a term or user form
+	 *
+	 * @param string $object_id Object ID.
+	 * @return void
+	 */
+	private function render_section( string $object_id ): void {
+		$object_id = AcfObjects::instance()->normalize( $object_id );
+
+		if ( null === $object_id || ! $this->is_available( $object_id ) ) {
+			return;
+		}
+		?>
+		<h2><?php esc_html_e( 'Clone Custom Fields', 'silver-assist-acf-clone-fields' ); ?></h2>
+		<?php
+		$this->render_box( $object_id );
+	}
+
+	/**
+	 * Render the clone button
+	 *
+	 * @param int|string $object_id Normalized object ID.
+	 * @return void
+	 */
+	private function render_box( $object_id ): void {
+		?>
+		<div class="acf-clone-fields-object" data-object-id="<?php echo esc_attr( (string) $object_id ); ?>">
+			<button type="button" class="button button-secondary acf-clone-open-modal">
+				<?php esc_html_e( 'Clone Custom Fields', 'silver-assist-acf-clone-fields' ); ?>
+			</button>
+			<p class="description">
+				<?php esc_html_e( 'Copy field values from an options page, term, user or post that shares a field group with this one.', 'silver-assist-acf-clone-fields' ); ?>
+			</p>
+		</div>
+		<?php
+	}
+}
@@ -14,6 +14,7 @@
 
 namespace SilverAssist\ACFCloneFields\Admin;
 
+use SilverAssist\ACFCloneFields\Services\FieldCloner;
 use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
 use SilverAssist\SettingsHub\SettingsHub;
 
@@ -132,6 +133,7 @@ class Settings implements LoadableInterface {
 			'silver_assist_acf_clone_fields_default_overwrite' => false,
 			'silver_assist_acf_clone_fields_create_backup' => true,
 			'silver_assist_acf_clone_fields_copy_attachments' => true,
+			'silver_assist_acf_clone_fields_empty_values' => 'clear',
 			'silver_assist_acf_clone_fields_validate_data' => true,
 			'silver_assist_acf_clone_fields_log_operations' => true,
 			'silver_assist_acf_clone_fields_max_source_posts' => 50,
@@ -200,6 +202,12 @@ class Settings implements LoadableInterface {
 			];
 		}
 
+		$actions[] = [
+			'label' => __( 'Bulk Clone', 'silver-assist-acf-clone-fields' ),
+			'url'   => BulkClone::instance()->get_page_url(),
+			'class' => 'button',
+		];
+
 		return $actions;
 	}
 
@@ -278,6 +286,15 @@ class Settings implements LoadableInterface {
 			'acf_clone_behavior'
 		);
 
+		// Empty Values Field.
+		add_settings_field(
+			'empty_values',
+			__( 'Empty Source Fields', 'silver-assist-acf-clone-fields' ),
+			[ $this, 'render_empty_values_field' ],
+			$this->page_slug,
+			'acf_clone_behavior'
+		);
+
 		// Advanced Settings Section.
 		add_settings_section(
 			'acf_clone_advanced',
@@ -307,7 +324,7 @@ class Settings implements LoadableInterface {
 		// Max Source Posts Field.
 		add_settings_field(
 			'max_source_posts',
-			__( 'Max Source Posts', 'silver-assist-acf-clone-fields' ),
+			__( 'Source Posts Per Page', 'silver-assist-acf-clone-fields' ),
 			[ $this, 'render_max_posts_field' ],
 			$this->page_slug,
 			'acf_clone_advanced'
@@ -344,6 +361,7 @@ class Settings implements LoadableInterface {
 		register_setting( $this->settings_group, 'silver_assist_acf_clone_fields_default_overwrite' );
 		register_setting( $this->settings_group, 'silver_assist_acf_clone_fields_create_backup' );
 		register_setting( $this->settings_group, 'silver_assist_acf_clone_fields_copy_attachments' );
+		register_setting( $this->settings_group, 'silver_assist_acf_clone_fields_empty_values' );
 		register_setting( $this->settings_group, 'silver_assist_acf_clone_fields_validate_data' );
 		register_setting( $this->settings_group, 'silver_assist_acf_clone_fields_log_operations' );
 		register_setting( $this->settings_group, 'silver_assist_acf_clone_fields_max_source_posts' );
@@ -558,6 +576,32 @@ class Settings implements LoadableInterface {
 		echo '<p class="description">' . esc_html__( 'When enabled, image and file fields will reference the same attachments. When disabled, attachment fields will be skipped.', 'silver-assist-acf-clone-fields' ) . '</p>';
 	}
 
+	/**
+	 * Render empty values field
+	 *
+	 * @return void
+	 */
+	public function render_empty_values_field(): void {
+		$value   = get_option( 'silver_assist_acf_clone_fields_empty_values', 'clear' );
+		$choices = [
+			'skip'  => __( 'Skip the field', 'silver-assist-acf-clone-fields' ),
+			'clear' => __( 'Clear the field in the target post', 'silver-assist-acf-clone-fields' ),
+			'keep'  => __( 'Keep the target value if it has one', 'silver-assist-acf-clone-fields' ),
+		];
+
+		echo '<select name="silver_assist_acf_clone_fields_empty_values">';
+		foreach ( $choices as $choice => $label ) {
+			printf(
+				'<option value="%s" %s>%s</option>',
+				esc_attr( $choice ),
+				selected( $value, $choice, false ),
+				esc_html( $label )
+			);
+		}
+		echo '</select>';
+		echo '<p class="description">' . esc_html__( 'What to do when a selected field is empty in the source post. Can be changed for each clone.', 'silver-assist-acf-clone-fields' ) . '</p>';
+	}
+
 	/**
 	 * Render validation field
 	 *
@@ -599,7 +643,7 @@ class Settings implements LoadableInterface {
 			'<input type="number" name="silver_assist_acf_clone_fields_max_source_posts" value="%d" min="10" max="200" class="small-text">',
 			(int) $value
 		);
-		echo '<p class="description">' . esc_html__( 'Maximum number of source posts to show in the clone interface. Higher values may impact performance.', 'silver-assist-acf-clone-fields' ) . '</p>';
+		echo '<p class="description">' . esc_html__( 'Number of source posts loaded at a time in the clone interface. More posts load as you scroll or search. Higher values may impact performance.', 'silver-assist-acf-clone-fields' ) . '</p>';
 	}
 
 	/**
@@ -668,6 +712,14 @@ class Settings implements LoadableInterface {
 			update_option( $option, $value );
 		}
 
+		// Save empty-value policy.
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in render_settings_page() before calling this method.
+		$empty_values = sanitize_key( wp_unslash( $_POST['silver_assist_acf_clone_fields_empty_values'] ?? 'clear' ) );
+		if ( ! in_array( $empty_values, FieldCloner::EMPTY_VALUE_POLICIES, true ) ) {
+			$empty_values = 'clear';
+		}
+		update_option( 'silver_assist_acf_clone_fields_empty_values', $empty_values );
+
 		// Save numeric options.
 		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in render_settings_page() before calling this method.
 		$max_posts = (int) ( $_POST['silver_assist_acf_clone_fields_max_source_posts'] ?? 50 );
@@ -755,6 +807,7 @@ class Settings implements LoadableInterface {
 			'default_overwrite'  => get_option( 'silver_assist_acf_clone_fields_default_overwrite', false ),
 			'create_backup'      => get_option( 'silver_assist_acf_clone_fields_create_backup', true ),
 			'copy_attachments'   => get_option( 'silver_assist_acf_clone_fields_copy_attachments', true ),
+			'empty_values'       => get_option( 'silver_assist_acf_clone_fields_empty_values', 'clear' ),
 			'validate_data'      => get_option( 'silver_assist_acf_clone_fields_validate_data', true ),
 			'log_operations'     => get_option( 'silver_assist_acf_clone_fields_log_operations', true ),
 			'max_source_posts'   => get_option( 'silver_assist_acf_clone_fields_max_source_posts', 50 ),
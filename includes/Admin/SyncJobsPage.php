@@ -0,0 +1,463 @@
+<?php
+/**
+ * Sync Jobs Page Component
+ *
+ * Provides the "ACF Field Sync" screen (Tools menu): the sync jobs of the
+ * site with their schedule and last results, and actions to run, pause,
+ * resume and delete them. Jobs are created from the Bulk Clone screen.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Admin
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Admin;
+
+use SilverAssist\ACFCloneFields\Services\SyncJobs;
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class SyncJobsPage
+ *
+ * Manages the sync jobs screen and its admin-post actions.
+ */
+class SyncJobsPage implements LoadableInterface {
+	/**
+	 * admin-post.php action for the job actions
+	 *
+	 * @var string
+	 */
+	public const ACTION = 'acf_clone_sync_job';
+
+	/**
+	 * Actions handle_job_action() runs on a job
+	 *
+	 * @var array<string>
+	 */
+	private const JOB_ACTIONS = [ 'run', 'pause', 'resume', 'delete' ];
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var SyncJobsPage|null
+	 */
+	private static ?SyncJobsPage $instance = null;
+
+	/**
+	 * Sync jobs page slug
+	 *
+	 * @var string
+	 */
+	private string $page_slug = 'acf-clone-sync';
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return SyncJobsPage
+	 */
+	public static function instance(): SyncJobsPage {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize sync jobs page functionality
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 40; // Admin components.
+	}
+
+	/**
+	 * Determine if sync jobs page should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return is_admin();
+	}
+
+	/**
+	 * Initialize WordPress hooks
+	 *
+	 * @return void
+	 */
+	private function init_hooks(): void {
+		add_action( 'admin_menu', [ $this, 'add_sync_jobs_page' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_sync_jobs_assets' ] );
+		add_action( 'admin_post_' . self::ACTION, [ $this, 'handle_job_action' ] );
+	}
+
+	/**
+	 * Get the capability needed to manage sync jobs
+	 *
+	 * @return string Capability
+	 */
+	public function get_capability(): string {
+		/**
+		 * Filter the capability needed to create and manage sync jobs
+		 *
+		 * @since 1.4.0
+		 *
+		 * @param string $capability Capability. Default 'manage_options'.
+		 */
+		return (string) apply_filters( 'silver_assist_acf_clone_fields_sync_capability', 'manage_options' );
+	}
+
+	/**
+	 * Get the sync jobs screen URL
+	 *
+	 * @param array<string, string> $args Extra query arguments.
+	 * @return string Admin URL
+	 */
+	public function get_page_url( array $args = [] ): string {
+		return add_query_arg( array_merge( [ 'page' => $this->page_slug ], $args ), admin_url( 'tools.php' ) );
+	}
+
+	/**
+	 * Get the URL running an action on a job
+	 *
+	 * @param string $job_action Action from JOB_ACTIONS.
+	 * @param string $job_id Job ID.
+	 * @return string Nonced admin-post URL
+	 */
+	private function get_action_url( string $job_action, string $job_id ): string {
+		return wp_nonce_url(
+			add_query_arg(
+				[
+					'action'     => self::ACTION,
+					'job_action' => $job_action,
+					'job'        => $job_id,
+				],
+				admin_url( 'admin-post.php' )
+			),
+			self::ACTION . '_' . $job_id
+		);
+	}
+
+	/**
+	 * Add sync jobs page under Tools
+	 *
+	 * @return void
+	 */
+	public function add_sync_jobs_page(): void {
+		add_management_page(
+			__( 'ACF Field Sync', 'silver-assist-acf-clone-fields' ),
+			__( 'ACF Field Sync', 'silver-assist-acf-clone-fields' ),
+			$this->get_capability(),
+			$this->page_slug,
+			[ $this, 'render_sync_jobs_page' ]
+		);
+	}
+
+	/**
+	 * Enqueue sync jobs page assets
+	 *
+	 * @param string $hook_suffix Current admin page hook.
+	 * @return void
+	 */
+	public function enqueue_sync_jobs_assets( string $hook_suffix ): void {
+		if ( 'tools_page_' . $this->page_slug !== $hook_suffix ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'silver-acf-clone-fields-admin',
+			plugin_dir_url( dirname( __DIR__ ) ) . 'assets/css/silver-acf-clone-fields.css',
+			[],
+			SILVER_ACF_CLONE_VERSION
+		);
+	}
+
+	/**
+	 * Run, pause, resume or delete a job and return to the screen
+	 *
+	 * @return void
+	 */
+	public function handle_job_action(): void {
+		if ( ! current_user_can( $this->get_capability() ) ) {
+			wp_die( esc_html__( 'You do not have permission to manage sync jobs.', 'silver-assist-acf-clone-fields' ), '', [ 'response' => 403 ] );
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- The nonce action includes the job ID, checked below.
+		$job_id = sanitize_key( wp_unslash( $_GET['job'] ?? '' ) );
+
+		check_admin_referer( self::ACTION . '_' . $job_id );
+
+		$job_action = sanitize_key( wp_unslash( $_GET['job_action'] ?? '' ) );
+
+		$sync_jobs = SyncJobs::instance();
+		$done      = false;
+
+		if ( in_array( $job_action, self::JOB_ACTIONS, true ) ) {
+			switch ( $job_action ) {
+				case 'run':
+					$done = null !== $sync_jobs->run_job( $job_id );
+					break;
+				case 'pause':
+				case 'resume':
+					$done = $sync_jobs->set_paused( $job_id, 'pause' === $job_action );
+					break;
+				case 'delete':
+					$done = $sync_jobs->delete_job( $job_id );
+					break;
+			}
+		}
+
+		wp_safe_redirect( $this->get_page_url( [ 'message' => $done ? $job_action : 'error' ] ) );
+		exit;
+	}
+
+	/**
+	 * Get the notice for the action just run
+	 *
+	 * @param string $message Message key from the redirect.
+	 * @return string Notice text, or '' for none
+	 */
+	private function get_notice( string $message ): string {
+		$notices = [
+			'run'    => __( 'Sync job run. See the last run for the results.', 'silver-assist-acf-clone-fields' ),
+			'pause'  => __( 'Sync job paused.', 'silver-assist-acf-clone-fields' ),
+			'resume' => __( 'Sync job resumed.', 'silver-assist-acf-clone-fields' ),
+			'delete' => __( 'Sync job deleted.', 'silver-assist-acf-clone-fields' ),
+			'error'  => __( 'The sync job was not found.', 'silver-assist-acf-clone-fields' ),
+		];
+
+		return $notices[ $message ] ?? '';
+	}
+
+	/**
+	 * Get the translated label of what started a run
+	 *
+	 * @param string $trigger 'schedule', 'save' or 'manual'.
+	 * @return string Label
+	 */
+	private function get_trigger_label( string $trigger ): string {
+		$labels = [
+			'schedule' => __( 'on schedule', 'silver-assist-acf-clone-fields' ),
+			'save'     => __( 'on source save', 'silver-assist-acf-clone-fields' ),
+			'manual'   => __( 'by hand', 'silver-assist-acf-clone-fields' ),
+		];
+
+		return $labels[ $trigger ] ?? $trigger;
+	}
+
+	/**
+	 * Render the sync jobs page
+	 *
+	 * @return void
+	 */
+	public function render_sync_jobs_page(): void {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only notice after a redirect.
+		$notice = $this->get_notice( sanitize_key( wp_unslash( $_GET['message'] ?? '' ) ) );
+		$jobs   = SyncJobs::instance()->get_jobs();
+		?>
+		<div class="wrap acf-clone-sync">
+			<h1 class="wp-heading-inline"><?php esc_html_e( 'ACF Field Sync', 'silver-assist-acf-clone-fields' ); ?></h1>
+			<a href="<?php echo esc_url( BulkClone::instance()->get_page_url() ); ?>" class="page-title-action"><?php esc_html_e( 'Add New', 'silver-assist-acf-clone-fields' ); ?></a>
+			<hr class="wp-header-end">
+
+			<?php if ( '' !== $notice ) : ?>
+				<div class="notice notice-info is-dismissible"><p><?php echo esc_html( $notice ); ?></p></div>
+			<?php endif; ?>
+
+			<p class="description">
+				<?php esc_html_e( 'Sync jobs keep posts in step with a source post by cloning the same fields into them on a schedule or whenever the source is saved. Create one on the Bulk Clone screen.', 'silver-assist-acf-clone-fields' ); ?>
+			</p>
+
+			<table class="widefat striped acf-clone-sync-table">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Job', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Source', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Fields', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Targets', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Runs', 'silver-assist-acf-clone-fields' ); ?></th>
+						<th><?php esc_html_e( 'Last run', 'silver-assist-acf-clone-fields' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php if ( empty( $jobs ) ) : ?>
+						<tr>
+							<td colspan="6"><?php esc_html_e( 'No sync jobs yet.', 'silver-assist-acf-clone-fields' ); ?></td>
+						</tr>
+					<?php endif; ?>
+					<?php foreach ( $jobs as $job ) : ?>
+						<?php $this->render_job_row( $job ); ?>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render one sync job
+	 *
+	 * @param array<string, mixed> $job Job.
+	 * @return void
+	 */
+	private function render_job_row( array $job ): void {
+		$date_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+		$schedules   = SyncJobs::instance()->get_schedules();
+		$next_run    = SyncJobs::instance()->get_next_run( $job['id'] );
+		$owner       = get_userdata( $job['user_id'] );
+		?>
+		<tr>
+			<td>
+				<strong><?php echo esc_html( $job['name'] ); ?></strong>
+				<?php if ( $job['paused'] ) : ?>
+					<span class="acf-clone-sync-paused"><?php esc_html_e( 'Paused', 'silver-assist-acf-clone-fields' ); ?></span>
+				<?php endif; ?>
+				<br>
+				<span class="description">
+					<?php
+					/* translators: %s: user display name */
+					echo esc_html( sprintf( __( 'Runs as %s', 'silver-assist-acf-clone-fields' ), $owner ? $owner->display_name : __( 'Unknown', 'silver-assist-acf-clone-fields' ) ) );
+					?>
+				</span>
+				<div class="row-actions">
+					<span><a href="<?php echo esc_url( $this->get_action_url( 'run', $job['id'] ) ); ?>"><?php esc_html_e( 'Run now', 'silver-assist-acf-clone-fields' ); ?></a> | </span>
+					<?php if ( $job['paused'] ) : ?>
+						<span><a href="<?php echo esc_url( $this->get_action_url( 'resume', $job['id'] ) ); ?>"><?php esc_html_e( 'Resume', 'silver-assist-acf-clone-fields' ); ?></a> | </span>
+					<?php else : ?>
+						<span><a href="<?php echo esc_url( $this->get_action_url( 'pause', $job['id'] ) ); ?>"><?php esc_html_e( 'Pause', 'silver-assist-acf-clone-fields' ); ?></a> | </span>
+					<?php endif; ?>
+					<span class="trash">
+						<a href="<?php echo esc_url( $this->get_action_url( 'delete', $job['id'] ) ); ?>"
+							onclick="return window.confirm('<?php echo esc_js( __( 'Delete this sync job?', 'silver-assist-acf-clone-fields' ) ); ?>');">
+							<?php esc_html_e( 'Delete', 'silver-assist-acf-clone-fields' ); ?>
+						</a>
+					</span>
+				</div>
+			</td>
+			<td><?php $this->render_post_link( $job['source_post_id'] ); ?></td>
+			<td><?php echo esc_html( implode( ', ', $job['field_keys'] ) ); ?></td>
+			<td>
+				<details>
+					<summary>
+						<?php
+						printf(
+							/* translators: %d: number of posts */
+							esc_html( _n( '%d post', '%d posts', count( $job['target_post_ids'] ), 'silver-assist-acf-clone-fields' ) ),
+							count( $job['target_post_ids'] )
+						);
+						?>
+					</summary>
+					<ul>
+						<?php foreach ( $job['target_post_ids'] as $target_post_id ) : ?>
+							<li><?php $this->render_post_link( $target_post_id ); ?></li>
+						<?php endforeach; ?>
+					</ul>
+				</details>
+			</td>
+			<td>
+				<?php echo esc_html( $schedules[ $job['schedule'] ] ?? $job['schedule'] ); ?>
+				<?php if ( $next_run ) : ?>
+					<br>
+					<span class="description">
+						<?php
+						/* translators: %s: date and time */
+						echo esc_html( sprintf( __( 'Next: %s', 'silver-assist-acf-clone-fields' ), wp_date( $date_format, $next_run ) ) );
+						?>
+					</span>
+				<?php endif; ?>
+				<?php if ( $job['sync_on_save'] ) : ?>
+					<br><?php esc_html_e( 'When the source is saved', 'silver-assist-acf-clone-fields' ); ?>
+				<?php endif; ?>
+			</td>
+			<td><?php $this->render_last_run( $job['last_run'] ); ?></td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Render the outcome of a job's last run
+	 *
+	 * @param array<string, mixed>|null $last_run Last run, or null if never run.
+	 * @return void
+	 */
+	private function render_last_run( ?array $last_run ): void {
+		if ( null === $last_run ) {
+			echo '<span class="description">' . esc_html__( 'Never', 'silver-assist-acf-clone-fields' ) . '</span>';
+			return;
+		}
+
+		$date_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+		$outcome     = $last_run['failure_count'] > 0 ? 'partial' : 'success';
+
+		if ( 0 === $last_run['success_count'] && $last_run['failure_count'] > 0 ) {
+			$outcome = 'failed';
+		}
+		?>
+		<details>
+			<summary>
+				<?php echo esc_html( (string) mysql2date( $date_format, $last_run['time'] ) ); ?>
+				(<?php echo esc_html( $this->get_trigger_label( $last_run['trigger'] ) ); ?>)
+				<span class="acf-clone-history-outcome acf-clone-history-outcome-<?php echo esc_attr( $outcome ); ?>">
+					<?php
+					/* translators: 1: number of posts updated, 2: number of posts that failed */
+					echo esc_html( sprintf( __( '%1$d updated, %2$d failed', 'silver-assist-acf-clone-fields' ), $last_run['success_count'], $last_run['failure_count'] ) );
+					?>
+				</span>
+			</summary>
+			<ul class="acf-clone-sync-results">
+				<?php foreach ( $last_run['results'] as $result ) : ?>
+					<li>
+						<?php $this->render_post_link( $result['target_post_id'] ); ?>:
+						<?php echo esc_html( $result['message'] ); ?>
+						<?php foreach ( array_merge( $result['errors'], $result['warnings'] ) as $line ) : ?>
+							<br><span class="description"><?php echo esc_html( $line ); ?></span>
+						<?php endforeach; ?>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+		</details>
+		<?php
+	}
+
+	/**
+	 * Render a post title, linked to its edit screen when editable
+	 *
+	 * @param int $post_id Post ID.
+	 * @return void
+	 */
+	private function render_post_link( int $post_id ): void {
+		$post = get_post( $post_id );
+
+		if ( ! $post ) {
+			/* translators: %d: post ID */
+			echo esc_html( sprintf( __( '#%d (deleted)', 'silver-assist-acf-clone-fields' ), $post_id ) );
+			return;
+		}
+
+		$edit_url = current_user_can( 'edit_post', $post_id ) ? get_edit_post_link( $post_id ) : '';
+
+		if ( $edit_url ) {
+			printf( '<a href="%s">%s</a>', esc_url( $edit_url ), esc_html( get_the_title( $post ) ) );
+		} else {
+			echo esc_html( get_the_title( $post ) );
+		}
+	}
+}
@@ -0,0 +1,210 @@
+<?php
+/**
+ * Backups CLI Command
+ *
+ * `wp acf-clone backups list|restore|delete|prune`.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Cli
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Cli;
+
+use SilverAssist\ACFCloneFields\Services\FieldCloner;
+use WP_CLI;
+use WP_CLI\Utils;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Manage the field backups taken before cloning.
+ *
+ * ## EXAMPLES
+ *
+ *     # List the backups of post 34
+ *     $ wp acf-clone backups list 34
+ *
+ *     # Restore one field of a backup
+ *     $ wp acf-clone backups restore backup_34_1700000000_a1b2c3 --fields=field_64f1a2b3c4d5e
+ *
+ *     # Delete backups past the retention period
+ *     $ wp acf-clone backups prune --yes
+ */
+class BackupsCommand {
+	/**
+	 * Columns of the backup list
+	 *
+	 * @var array<string>
+	 */
+	private const BACKUP_COLUMNS = [ 'backup_id', 'created_at', 'user', 'field_count', 'fields' ];
+
+	/**
+	 * List the backups of a post, newest first.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <post>
+	 * : Post ID.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 *   - ids
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     # Delete all backups of post 34
+	 *     $ wp acf-clone backups delete $(wp acf-clone backups list 34 --format=ids)
+	 *
+	 * @subcommand list
+	 *
+	 * @param array<int, string>   $args Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function list_( array $args, array $assoc_args ): void {
+		$post_id = absint( $args[0] );
+
+		if ( ! get_post( $post_id ) ) {
+			WP_CLI::error( sprintf( 'Post %d not found.', $post_id ) );
+		}
+
+		$format  = (string) Utils\get_flag_value( $assoc_args, 'format', 'table' );
+		$backups = FieldCloner::instance()->get_post_backups( $post_id );
+
+		if ( 'ids' === $format ) {
+			WP_CLI::line( implode( ' ', array_column( $backups, 'backup_id' ) ) );
+			return;
+		}
+
+		Utils\format_items( $format, array_map( [ $this, 'get_backup_row' ], $backups ), self::BACKUP_COLUMNS );
+	}
+
+	/**
+	 * Restore a backup into its post.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <backup_id>
+	 * : Backup ID.
+	 *
+	 * [--fields=<fields>]
+	 * : Comma-separated field keys to restore. Default: every field in the backup.
+	 *
+	 * [--delete]
+	 * : Delete the backup after a full restore.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp acf-clone backups restore backup_34_1700000000_a1b2c3 --delete
+	 *     Success: Backup restored successfully
+	 *
+	 * @param array<int, string>   $args Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function restore( array $args, array $assoc_args ): void {
+		$field_keys = array_map( 'sanitize_text_field', wp_parse_list( (string) Utils\get_flag_value( $assoc_args, 'fields', '' ) ) );
+		$result     = FieldCloner::instance()->restore_backup(
+			$args[0],
+			(bool) Utils\get_flag_value( $assoc_args, 'delete', false ),
+			$field_keys
+		);
+
+		foreach ( $result['errors'] ?? [] as $error ) {
+			WP_CLI::warning( $error );
+		}
+
+		if ( ! $result['success'] ) {
+			WP_CLI::error( $result['message'] );
+		}
+
+		WP_CLI::success( $result['message'] );
+	}
+
+	/**
+	 * Delete one or more backups.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <backup_id>...
+	 * : Backup IDs.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp acf-clone backups delete backup_34_1700000000_a1b2c3
+	 *     Success: Deleted 1 of 1 backups.
+	 *
+	 * @param array<int, string>   $args Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function delete( array $args, array $assoc_args ): void {
+		$successes = 0;
+		$failures  = 0;
+
+		foreach ( $args as $backup_id ) {
+			if ( FieldCloner::instance()->delete_backup( $backup_id ) ) {
+				++$successes;
+			} else {
+				++$failures;
+				WP_CLI::warning( sprintf( 'Backup %s not found.', $backup_id ) );
+			}
+		}
+
+		Utils\report_batch_operation_results( 'backup', 'delete', count( $args ), $successes, $failures );
+	}
+
+	/**
+	 * Delete backups past the retention period.
+	 *
+	 * Applies the retention days and maximum backup count from the plugin
+	 * settings, as the cleanup after each new backup does.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--yes]
+	 * : Skip the confirmation prompt.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp acf-clone backups prune --yes
+	 *     Success: Deleted 12 backup(s).
+	 *
+	 * @param array<int, string>   $args Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function prune( array $args, array $assoc_args ): void {
+		WP_CLI::confirm( 'Delete all backups past the retention period?', $assoc_args );
+
+		WP_CLI::success( sprintf( 'Deleted %d backup(s).', FieldCloner::instance()->cleanup_old_backups() ) );
+	}
+
+	/**
+	 * Build the list row of one backup
+	 *
+	 * @param array<string, mixed> $backup Backup from FieldCloner::get_post_backups().
+	 * @return array<string, mixed> Backup row
+	 */
+	private function get_backup_row( array $backup ): array {
+		$user = get_userdata( (int) $backup['user_id'] );
+
+		return [
+			'backup_id'   => $backup['backup_id'],
+			'created_at'  => $backup['created_at'],
+			'user'        => $user ? $user->user_login : (int) $backup['user_id'],
+			'field_count' => (int) $backup['field_count'],
+			'fields'      => implode( ',', $backup['fields'] ),
+		];
+	}
+}
@@ -0,0 +1,532 @@
+<?php
+/**
+ * Clone CLI Command
+ *
+ * `wp acf-clone clone`, `wp acf-clone fields`, `wp acf-clone export` and
+ * `wp acf-clone import`.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Cli
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Cli;
+
+use SilverAssist\ACFCloneFields\Services\CloneOperations;
+use SilverAssist\ACFCloneFields\Services\FieldCloner;
+use SilverAssist\ACFCloneFields\Services\FieldDetector;
+use SilverAssist\ACFCloneFields\Services\FieldPackage;
+use WP_CLI;
+use WP_CLI\Utils;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Clone ACF field values between posts.
+ *
+ * `clone` and `import` write as the user given with `--user`, who must be
+ * able to edit the target posts.
+ *
+ * ## EXAMPLES
+ *
+ *     # Clone two fields from post 12 into posts 34 and 56
+ *     $ wp acf-clone clone 12 34 56 --fields=hero_title,gallery --user=admin
+ *
+ *     # Preview a clone without writing anything
+ *     $ wp acf-clone clone 12 34 --fields=hero_title --dry-run --format=json --user=admin
+ *
+ *     # List the fields of post 12 that can be cloned
+ *     $ wp acf-clone fields 12
+ *
+ *     # Copy fields to another site through a file
+ *     $ wp acf-clone export 12 --file=post-12.json
+ *     $ wp --url=staging.example.com acf-clone import post-12.json 78 --user=admin
+ */
+class CloneCommand {
+	/**
+	 * Columns of the clone report
+	 *
+	 * @var array<string>
+	 */
+	private const REPORT_COLUMNS = [ 'target', 'field', 'label', 'status', 'message' ];
+
+	/**
+	 * Columns of the field list
+	 *
+	 * @var array<string>
+	 */
+	private const FIELD_COLUMNS = [ 'group', 'key', 'name', 'label', 'type', 'has_value' ];
+
+	/**
+	 * Clone fields from a source post into one or more target posts.
+	 *
+	 * Prints one report row per target and field. Options left out use the
+	 * plugin settings. Exits with an error if any target could not be cloned.
+	 * Needs `--user` with a user who can edit the targets.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <source>
+	 * : Source post ID.
+	 *
+	 * <target>...
+	 * : Target post IDs, of the same post type as the source.
+	 *
+	 * --fields=<fields>
+	 * : Comma-separated field names or keys (see `wp acf-clone fields`).
+	 *
+	 * [--[no-]backup]
+	 * : Back up the target's fields before writing them.
+	 *
+	 * [--[no-]overwrite]
+	 * : Overwrite target fields that already have a value.
+	 *
+	 * [--empty-values=<policy>]
+	 * : What to do with fields that are empty in the source.
+	 * ---
+	 * options:
+	 *   - skip
+	 *   - clear
+	 *   - keep
+	 * ---
+	 *
+	 * [--duplicate-attachments]
+	 * : Copy the images and files referenced by the cloned values (also
+	 * inside repeaters and flexible content) and use the copies. Needs a
+	 * user who can upload files.
+	 *
+	 * [--duplicate-posts]
+	 * : Copy the posts referenced by relationship and post object fields and
+	 * use the copies. Needs a user who can create those posts.
+	 *
+	 * [--dry-run]
+	 * : Report what would be written without changing anything.
+	 *
+	 * [--format=<format>]
+	 * : Output format of the report.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp acf-clone clone 12 34 --fields=hero_title,gallery --no-backup --user=admin
+	 *     +--------+------------+------------+--------+----------------------------+
+	 *     | target | field      | label      | status | message                    |
+	 *     +--------+------------+------------+--------+----------------------------+
+	 *     | 34     | hero_title | Hero title | cloned | Field cloned successfully  |
+	 *     | 34     | gallery    | Gallery    | cloned | Field cloned successfully  |
+	 *     +--------+------------+------------+--------+----------------------------+
+	 *     Success: Cloned fields into 1 post(s).
+	 *
+	 * @subcommand clone
+	 *
+	 * @param array<int, string>   $args Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function clone_fields( array $args, array $assoc_args ): void {
+		$source_post_id  = absint( array_shift( $args ) );
+		$target_post_ids = array_values( array_unique( array_filter( array_map( 'absint', $args ) ) ) );
+		$field_keys      = array_map( 'sanitize_text_field', wp_parse_list( (string) Utils\get_flag_value( $assoc_args, 'fields', '' ) ) );
+		$format          = (string) Utils\get_flag_value( $assoc_args, 'format', 'table' );
+
+		$this->require_user();
+
+		if ( ! get_post( $source_post_id ) ) {
+			WP_CLI::error( sprintf( 'Source post %d not found.', $source_post_id ) );
+		}
+
+		if ( empty( $target_post_ids ) ) {
+			WP_CLI::error( 'Specify at least one target post ID.' );
+		}
+
+		if ( empty( $field_keys ) ) {
+			WP_CLI::error( 'Specify at least one field with --fields.' );
+		}
+
+		$clone_options = CloneOperations::instance()->prepare_clone_options( $this->get_clone_options( $assoc_args ) );
+		$rows          = [];
+		$failed        = 0;
+
+		foreach ( $target_post_ids as $target_post_id ) {
+			$result = $this->clone_into( $source_post_id, $target_post_id, $field_keys, $clone_options );
+
+			if ( ! $result['success'] ) {
+				++$failed;
+			}
+
+			$rows = array_merge( $rows, $this->get_report_rows( $target_post_id, $result ) );
+		}
+
+		Utils\format_items( $format, $rows, self::REPORT_COLUMNS );
+
+		if ( $failed > 0 ) {
+			WP_CLI::error( sprintf( 'Cloning failed for %d of %d post(s).', $failed, count( $target_post_ids ) ) );
+		}
+
+		// Keep JSON and CSV output parseable.
+		if ( 'table' === $format ) {
+			WP_CLI::success(
+				$clone_options['dry_run']
+					? sprintf( 'Dry run complete for %d post(s); nothing was written.', count( $target_post_ids ) )
+					: sprintf( 'Cloned fields into %d post(s).', count( $target_post_ids ) )
+			);
+		}
+	}
+
+	/**
+	 * List the fields of a post that can be cloned.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <post>
+	 * : Post ID.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp acf-clone fields 12 --format=csv
+	 *     group,key,name,label,type,has_value
+	 *     "Hero",field_64f1a2b3c4d5e,hero_title,"Hero title",text,1
+	 *
+	 * @param array<int, string>   $args Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function fields( array $args, array $assoc_args ): void {
+		$post_id = absint( $args[0] );
+
+		if ( ! get_post( $post_id ) ) {
+			WP_CLI::error( sprintf( 'Post %d not found.', $post_id ) );
+		}
+
+		Utils\format_items(
+			(string) Utils\get_flag_value( $assoc_args, 'format', 'table' ),
+			$this->get_field_rows( FieldDetector::instance()->get_available_fields( $post_id ) ),
+			self::FIELD_COLUMNS
+		);
+	}
+
+	/**
+	 * Export fields of a post as a portable JSON package.
+	 *
+	 * Attachment, post, term and user IDs in the values are replaced by
+	 * references (file path, slug, login) that `wp acf-clone import`
+	 * resolves on the importing site.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <post>
+	 * : Post ID.
+	 *
+	 * [--fields=<fields>]
+	 * : Comma-separated field names or keys. Defaults to all fields with a value.
+	 *
+	 * [--file=<file>]
+	 * : Write the package to this file instead of printing it.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp acf-clone export 12 --fields=hero_title,gallery --file=hero.json
+	 *     Success: Exported 2 field(s) to hero.json.
+	 *
+	 * @param array<int, string>   $args Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function export( array $args, array $assoc_args ): void {
+		$post_id    = absint( $args[0] );
+		$field_keys = array_map( 'sanitize_text_field', wp_parse_list( (string) Utils\get_flag_value( $assoc_args, 'fields', '' ) ) );
+		$file       = (string) Utils\get_flag_value( $assoc_args, 'file', '' );
+
+		if ( ! get_post( $post_id ) ) {
+			WP_CLI::error( sprintf( 'Post %d not found.', $post_id ) );
+		}
+
+		$package = FieldPackage::instance()->export( $post_id, $field_keys );
+		$json    = (string) wp_json_encode( $package, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+
+		if ( '' === $file ) {
+			WP_CLI::line( $json );
+			return;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- Local file named by the CLI user.
+		if ( false === file_put_contents( $file, $json ) ) {
+			WP_CLI::error( sprintf( 'Could not write %s.', $file ) );
+		}
+
+		WP_CLI::success( sprintf( 'Exported %d field(s) to %s.', count( $package['fields'] ), $file ) );
+	}
+
+	/**
+	 * Import fields from an exported package into a post.
+	 *
+	 * Fields are matched by key, so the post needs the same field groups as
+	 * the exporting site. References that match nothing on this site are
+	 * left out and reported. Needs `--user` with a user who can edit the
+	 * target.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <file>
+	 * : Package file written by `wp acf-clone export`.
+	 *
+	 * <target>
+	 * : Target post ID.
+	 *
+	 * [--fields=<fields>]
+	 * : Comma-separated field names or keys. Defaults to all fields of the package.
+	 *
+	 * [--[no-]backup]
+	 * : Back up the target's fields before writing them.
+	 *
+	 * [--[no-]overwrite]
+	 * : Overwrite target fields that already have a value.
+	 *
+	 * [--empty-values=<policy>]
+	 * : What to do with fields that are empty in the package.
+	 * ---
+	 * options:
+	 *   - skip
+	 *   - clear
+	 *   - keep
+	 * ---
+	 *
+	 * [--dry-run]
+	 * : Report what would be written without changing anything.
+	 *
+	 * [--format=<format>]
+	 * : Output format of the report.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp acf-clone import hero.json 34 --overwrite --user=admin
+	 *     +--------+---------------------+------------+--------+--------------------------------------+
+	 *     | target | field               | label      | status | message                              |
+	 *     +--------+---------------------+------------+--------+--------------------------------------+
+	 *     | 34     | field_64f1a2b3c4d5e | Hero title | cloned | Successfully cloned field Hero title |
+	 *     +--------+---------------------+------------+--------+--------------------------------------+
+	 *     Success: Imported fields into post 34.
+	 *
+	 * @param array<int, string>   $args Positional arguments.
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function import( array $args, array $assoc_args ): void {
+		list( $file, $target_post_id ) = $args;
+
+		$target_post = get_post( absint( $target_post_id ) );
+		$format      = (string) Utils\get_flag_value( $assoc_args, 'format', 'table' );
+
+		$this->require_user();
+
+		if ( ! $target_post ) {
+			WP_CLI::error( sprintf( 'Target post %d not found.', absint( $target_post_id ) ) );
+		}
+
+		if ( ! is_readable( $file ) ) {
+			WP_CLI::error( sprintf( 'Could not read %s.', $file ) );
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Local file named by the CLI user.
+		$package = json_decode( (string) file_get_contents( $file ), true );
+		$valid   = FieldPackage::instance()->validate( $package );
+
+		if ( is_wp_error( $valid ) ) {
+			WP_CLI::error( $valid );
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', wp_parse_list( (string) Utils\get_flag_value( $assoc_args, 'fields', '' ) ) );
+		if ( empty( $field_keys ) ) {
+			$field_keys = array_map( 'sanitize_text_field', array_column( array_filter( $package['fields'], 'is_array' ), 'key' ) );
+		}
+
+		try {
+			$result = CloneOperations::instance()->execute_import( $package, $target_post, $field_keys, [ 'options' => $this->get_clone_options( $assoc_args ) ] );
+		} catch ( \Exception $e ) {
+			WP_CLI::error( 'Import failed: ' . $e->getMessage() );
+		}
+
+		Utils\format_items( $format, $this->get_report_rows( $target_post->ID, $result ), self::REPORT_COLUMNS );
+
+		if ( ! $result['success'] ) {
+			WP_CLI::error( sprintf( 'Import into post %d failed.', $target_post->ID ) );
+		}
+
+		// Keep JSON and CSV output parseable.
+		if ( 'table' === $format ) {
+			WP_CLI::success(
+				$result['dry_run']
+					? 'Dry run complete; nothing was written.'
+					: sprintf( 'Imported fields into post %d.', $target_post->ID )
+			);
+		}
+	}
+
+	/**
+	 * Stop unless the command runs as a user
+	 *
+	 * WP-CLI runs as user 0 without `--user`, and clones check the user's
+	 * right to edit each target.
+	 *
+	 * @return void
+	 */
+	private function require_user(): void {
+		if ( 0 === get_current_user_id() ) {
+			WP_CLI::error( 'Run this command as a user who can edit the target posts, e.g. --user=admin.' );
+		}
+	}
+
+	/**
+	 * Clone fields into one target post
+	 *
+	 * @param int                  $source_post_id Source post ID.
+	 * @param int                  $target_post_id Target post ID.
+	 * @param array<string>        $field_keys Field names or keys.
+	 * @param array<string, mixed> $clone_options Prepared clone options.
+	 * @return array<string, mixed> Clone result
+	 */
+	private function clone_into( int $source_post_id, int $target_post_id, array $field_keys, array $clone_options ): array {
+		if ( $source_post_id === $target_post_id ) {
+			return [
+				'success' => false,
+				'message' => 'Target is the source post',
+			];
+		}
+
+		try {
+			$result = FieldCloner::instance()->clone_fields( $source_post_id, $target_post_id, $field_keys, $clone_options );
+		} catch ( \Exception $e ) {
+			return [
+				'success' => false,
+				'message' => 'Clone operation failed: ' . $e->getMessage(),
+			];
+		}
+
+		// Log activity (a dry run changes nothing, so there is nothing to log).
+		if ( ! $clone_options['dry_run'] ) {
+			CloneOperations::instance()->log_clone_activity( $target_post_id, $source_post_id, $result, $clone_options );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Map the command's flags to clone options
+	 *
+	 * Flags that were not given are left out, so the plugin settings apply.
+	 *
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @return array<string, mixed> Raw clone options
+	 */
+	private function get_clone_options( array $assoc_args ): array {
+		$options = [];
+		$flags   = [
+			'backup'                => 'create_backup',
+			'overwrite'             => 'overwrite_existing',
+			'duplicate-attachments' => 'duplicate_attachments',
+			'duplicate-posts'       => 'duplicate_posts',
+			'dry-run'               => 'dry_run',
+		];
+
+		foreach ( $flags as $flag => $option ) {
+			if ( isset( $assoc_args[ $flag ] ) ) {
+				$options[ $option ] = (bool) $assoc_args[ $flag ];
+			}
+		}
+
+		if ( isset( $assoc_args['empty-values'] ) ) {
+			$options['empty_values'] = (string) $assoc_args['empty-values'];
+		}
+
+		return $options;
+	}
+
+	/**
+	 * Build the report rows of one target
+	 *
+	 * A clone refused as a whole (missing post, other post type) has no
+	 * per-field report and gets a single row.
+	 *
+	 * @param int                  $target_post_id Target post ID.
+	 * @param array<string, mixed> $result Clone result.
+	 * @return array<array<string, mixed>> Report rows
+	 */
+	private function get_report_rows( int $target_post_id, array $result ): array {
+		if ( empty( $result['report'] ) ) {
+			return [
+				[
+					'target'  => $target_post_id,
+					'field'   => '',
+					'label'   => '',
+					'status'  => $result['success'] ? 'skipped' : 'failed',
+					'message' => $result['message'],
+				],
+			];
+		}
+
+		return array_map(
+			static fn( array $entry ): array => [
+				'target'  => $target_post_id,
+				'field'   => $entry['field'],
+				'label'   => $entry['label'],
+				'status'  => $entry['status'],
+				'message' => implode( ' ', array_merge( [ $entry['message'] ], $entry['warnings'] ) ),
+			],
+			$result['report']
+		);
+	}
+
+	/**
+	 * Flatten the detected field groups into cloneable field rows
+	 *
+	 * @param array<string, mixed> $field_groups Fields by group from FieldDetector::get_available_fields().
+	 * @return array<array<string, mixed>> Field rows
+	 */
+	private function get_field_rows( array $field_groups ): array {
+		$rows = [];
+
+		foreach ( $field_groups as $group ) {
+			foreach ( $group['fields'] as $field_key => $field ) {
+				if ( empty( $field['is_cloneable'] ) ) {
+					continue;
+				}
+
+				$rows[] = [
+					'group'     => $group['title'],
+					'key'       => $field_key,
+					'name'      => $field['name'],
+					'label'     => $field['label'],
+					'type'      => $field['type'],
+					'has_value' => (bool) $field['has_value'],
+				];
+			}
+		}
+
+		return $rows;
+	}
+}
@@ -0,0 +1,119 @@
+<?php
+/**
+ * CLI Loader
+ *
+ * Registers the `wp acf-clone` WP-CLI commands.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Cli
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Cli;
+
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class Loader
+ *
+ * Manages loading of CLI commands.
+ */
+class Loader implements LoadableInterface {
+	/**
+	 * Singleton instance
+	 *
+	 * @var Loader|null
+	 */
+	private static ?Loader $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return Loader
+	 */
+	public static function instance(): Loader {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize CLI commands
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		$this->load_commands();
+		$this->register_commands();
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 40; // CLI commands - after Services (30).
+	}
+
+	/**
+	 * Determine if CLI commands should load
+	 *
+	 * Only under WP-CLI, and only with ACF (the commands run the Services).
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return defined( 'WP_CLI' ) && WP_CLI
+			&& function_exists( 'acf_get_field_groups' ) && function_exists( 'get_field' );
+	}
+
+	/**
+	 * Load command files
+	 *
+	 * @return void
+	 */
+	private function load_commands(): void {
+		$cli_dir = plugin_dir_path( __FILE__ );
+
+		// Command files.
+		$command_files = [
+			'CloneCommand.php',
+			'BackupsCommand.php',
+		];
+
+		foreach ( $command_files as $file ) {
+			$file_path = $cli_dir . $file;
+			if ( file_exists( $file_path ) ) {
+				require_once $file_path;
+			}
+		}
+	}
+
+	/**
+	 * Register commands with WP-CLI
+	 *
+	 * @return void
+	 */
+	private function register_commands(): void {
+		// wp acf-clone clone|fields.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Cli\\CloneCommand' ) ) {
+			\WP_CLI::add_command( 'acf-clone', CloneCommand::class );
+		}
+
+		// wp acf-clone backups list|restore|delete|prune.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Cli\\BackupsCommand' ) ) {
+			\WP_CLI::add_command( 'acf-clone backups', BackupsCommand::class );
+		}
+	}
+}
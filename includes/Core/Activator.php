@@ -14,6 +14,8 @@
 
 namespace SilverAssist\ACFCloneFields\Core;
 
+use SilverAssist\ACFCloneFields\Services\SyncJobs;
+
 defined( 'ABSPATH' ) || exit;
 
 /**
@@ -70,6 +72,7 @@ class Activator
 	{
 		// Clear any scheduled cron events.
 		wp_clear_scheduled_hook( 'silver_acf_clone_cleanup' );
+		wp_unschedule_hook( SyncJobs::CRON_HOOK );
 
 		// Clear cached data.
 		wp_cache_flush();
@@ -107,7 +110,8 @@ class Activator
 	/**
 	 * Create database tables
 	 *
-	 * Creates all required database tables for the plugin.
+	 * Creates all required database tables for the plugin: field backups
+	 * and the clone history.
 	 * Public static method to allow reuse in test environments.
 	 *
 	 * Uses dbDelta() which intelligently:
@@ -123,15 +127,17 @@ class Activator
 	{
 		global $wpdb;
 
-		$table_name      = $wpdb->prefix . 'acf_field_backups';
-		$charset_collate = $wpdb->get_charset_collate();
+		$table_name         = $wpdb->prefix . 'acf_field_backups';
+		$history_table_name = $wpdb->prefix . 'acf_clone_history';
+		$charset_collate    = $wpdb->get_charset_collate();
 
 		// Note: dbDelta requires specific formatting:
 		// - NO "IF NOT EXISTS" (dbDelta handles this)
 		// - Exactly 2 spaces before PRIMARY KEY
 		// - Each field on its own line
 		// - Spaces around parentheses.
-		$sql = "CREATE TABLE $table_name (
+		$queries = [
+			"CREATE TABLE $table_name (
 			id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
 			backup_id varchar(100) NOT NULL,
 			post_id bigint(20) UNSIGNED NOT NULL,
@@ -143,7 +149,26 @@ class Activator
 			KEY backup_id (backup_id),
 			KEY post_id (post_id),
 			KEY created_at (created_at)
-		) $charset_collate;";
+		) $charset_collate;",
+			"CREATE TABLE $history_table_name (
+			id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+			source_post_id bigint(20) UNSIGNED NOT NULL,
+			target_post_id bigint(20) UNSIGNED NOT NULL,
+			user_id bigint(20) UNSIGNED NOT NULL,
+			backup_id varchar(100) NOT NULL DEFAULT '',
+			outcome varchar(20) NOT NULL,
+			message text NOT NULL,
+			fields longtext NOT NULL,
+			options longtext NOT NULL,
+			created_at datetime NOT NULL,
+			PRIMARY KEY  (id),
+			KEY source_post_id (source_post_id),
+			KEY target_post_id (target_post_id),
+			KEY user_id (user_id),
+			KEY outcome (outcome),
+			KEY created_at (created_at)
+		) $charset_collate;",
+		];
 
 		// Try to load dbDelta function.
 		if ( ! function_exists( 'dbDelta' ) && defined( 'ABSPATH' ) ) {
@@ -155,11 +180,13 @@ class Activator
 
 		// Use dbDelta if available, otherwise use direct query.
 		if ( function_exists( 'dbDelta' ) ) {
-			\dbDelta( $sql );
+			\dbDelta( $queries );
 		} else {
 			// Fallback for test environments where dbDelta might not be available.
-			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange, WordPress.DB.PreparedSQL.NotPrepared
-			$wpdb->query( str_replace( 'CREATE TABLE', 'CREATE TABLE IF NOT EXISTS', $sql ) );
+			foreach ( $queries as $sql ) {
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange, WordPress.DB.PreparedSQL.NotPrepared
+				$wpdb->query( str_replace( 'CREATE TABLE', 'CREATE TABLE IF NOT EXISTS', $sql ) );
+			}
 		}
 	}
 
@@ -15,6 +15,8 @@
 namespace SilverAssist\ACFCloneFields\Core;
 
 use SilverAssist\ACFCloneFields\Admin\Loader as AdminLoader;
+use SilverAssist\ACFCloneFields\Cli\Loader as CliLoader;
+use SilverAssist\ACFCloneFields\Rest\Loader as RestLoader;
 use SilverAssist\ACFCloneFields\Services\Loader as ServicesLoader;
 use SilverAssist\PluginKernel\AbstractPlugin;
 
@@ -76,7 +78,7 @@ class Plugin extends AbstractPlugin {
 	/**
 	 * List the component classes this plugin loads
 	 *
-	 * Both are sub-loaders (each a small LoadableInterface implementer in
+	 * All are sub-loaders (each a small LoadableInterface implementer in
 	 * their own right) that in turn manually require/init their own
 	 * component files — kept as-is rather than flattened into a single
 	 * list, to avoid changing the load-order/gating semantics of the
@@ -88,6 +90,8 @@ class Plugin extends AbstractPlugin {
 		return [
 			ServicesLoader::class,
 			AdminLoader::class,
+			RestLoader::class,
+			CliLoader::class,
 		];
 	}
 
@@ -0,0 +1,112 @@
+<?php
+/**
+ * REST Loader
+ *
+ * Loads and initializes the REST API components.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Rest
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Rest;
+
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class Loader
+ *
+ * Manages loading of REST components.
+ */
+class Loader implements LoadableInterface {
+	/**
+	 * Singleton instance
+	 *
+	 * @var Loader|null
+	 */
+	private static ?Loader $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return Loader
+	 */
+	public static function instance(): Loader {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize REST components
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		$this->load_rest_components();
+		$this->init_components();
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 40; // REST components - after Services (30).
+	}
+
+	/**
+	 * Determine if REST components should load
+	 *
+	 * The routes are served by the Services, which need ACF.
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return function_exists( 'acf_get_field_groups' ) && function_exists( 'get_field' );
+	}
+
+	/**
+	 * Load REST component files
+	 *
+	 * @return void
+	 */
+	private function load_rest_components(): void {
+		$rest_dir = plugin_dir_path( __FILE__ );
+
+		// REST component files.
+		$rest_files = [
+			'RestController.php',
+		];
+
+		foreach ( $rest_files as $file ) {
+			$file_path = $rest_dir . $file;
+			if ( file_exists( $file_path ) ) {
+				require_once $file_path;
+			}
+		}
+	}
+
+	/**
+	 * Initialize REST components
+	 *
+	 * @return void
+	 */
+	private function init_components(): void {
+		// Initialize RestController (registers routes on rest_api_init).
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Rest\\RestController' ) ) {
+			RestController::instance()->init();
+		}
+	}
+}
@@ -0,0 +1,1911 @@
+<?php
+/**
+ * REST API Controller
+ *
+ * Registers the plugin's versioned REST routes: source post and history
+ * listing, field detection and comparison, selection validation, clone
+ * execution (including dry runs and clones from a backup), clones between
+ * terms, users, options pages and posts, field export and import, presets
+ * and backups.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Rest
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Rest;
+
+use SilverAssist\ACFCloneFields\Services\AcfObjects;
+use SilverAssist\ACFCloneFields\Services\CloneOperations;
+use SilverAssist\ACFCloneFields\Services\FieldCloner;
+use SilverAssist\ACFCloneFields\Services\FieldDetector;
+use SilverAssist\ACFCloneFields\Services\FieldPackage;
+use SilverAssist\ACFCloneFields\Services\PresetManager;
+use SilverAssist\ACFCloneFields\Utils\Helpers;
+use SilverAssist\ACFCloneFields\Utils\Logger;
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class RestController
+ *
+ * Routes live under the `silver-assist-acf-clone-fields/v1` namespace. The
+ * work is done by Services\CloneOperations, shared with the admin-ajax
+ * endpoints; this class checks permissions, validates arguments against
+ * the route schemas and turns failures into WP_Error responses.
+ */
+class RestController implements LoadableInterface {
+	/**
+	 * REST namespace
+	 *
+	 * @var string
+	 */
+	public const NAMESPACE = 'silver-assist-acf-clone-fields/v1';
+
+	/**
+	 * Route pattern of a backup ID (see FieldCloner::create_backup())
+	 *
+	 * @var string
+	 */
+	private const BACKUP_ID_PATTERN = '(?P<backup_id>backup_[0-9]+_[0-9]+_[a-zA-Z0-9]+)';
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var RestController|null
+	 */
+	private static ?RestController $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return RestController
+	 */
+	public static function instance(): RestController {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize REST functionality
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'rest_api_init', [ $this, 'register_routes' ] );
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 40; // REST components - after Services (30).
+	}
+
+	/**
+	 * Determine if the REST controller should load
+	 *
+	 * REST requests are not admin requests, so this is not limited to is_admin().
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Register REST routes
+	 *
+	 * @return void
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			self::NAMESPACE,
+			'/source-posts',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_source_posts' ],
+				'permission_callback' => [ $this, 'get_source_posts_permissions_check' ],
+				'args'                => $this->get_source_posts_args(),
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/source-fields',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_source_fields' ],
+				'permission_callback' => [ $this, 'edit_both_permissions_check' ],
+				'args'                => $this->get_post_pair_args(),
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/field-diff',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_field_diff' ],
+				'permission_callback' => [ $this, 'edit_both_permissions_check' ],
+				'args'                => array_merge(
+					$this->get_post_pair_args(),
+					[
+						'field_keys' => $this->get_field_keys_arg( true ),
+					]
+				),
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/validate-selection',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'validate_selection' ],
+				'permission_callback' => [ $this, 'edit_both_permissions_check' ],
+				'args'                => array_intersect_key( $this->get_clone_args(), array_flip( [ 'source_post_id', 'target_post_id', 'field_keys', 'field_mapping', 'options' ] ) ),
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/clone',
+			[
+				[
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'execute_clone' ],
+					'permission_callback' => [ $this, 'edit_both_permissions_check' ],
+					'args'                => $this->get_clone_args(),
+				],
+				'schema' => [ $this, 'get_clone_schema' ],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/objects',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_object_sources' ],
+				'permission_callback' => [ $this, 'edit_object_permissions_check' ],
+				'args'                => [
+					'target' => $this->get_object_arg( __( 'Object to clone fields into: a post ID, term_{id}, user_{id} or options page post ID.', 'silver-assist-acf-clone-fields' ) ),
+					'search' => [
+						'description' => __( 'Search term.', 'silver-assist-acf-clone-fields' ),
+						'type'        => 'string',
+						'default'     => '',
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/objects/source-fields',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_object_source_fields' ],
+				'permission_callback' => [ $this, 'edit_objects_permissions_check' ],
+				'args'                => $this->get_object_pair_args(),
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/objects/field-diff',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_object_field_diff' ],
+				'permission_callback' => [ $this, 'edit_objects_permissions_check' ],
+				'args'                => array_merge(
+					$this->get_object_pair_args(),
+					[
+						'field_keys' => $this->get_field_keys_arg( true ),
+					]
+				),
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/objects/validate-selection',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'validate_object_selection' ],
+				'permission_callback' => [ $this, 'edit_objects_permissions_check' ],
+				'args'                => array_intersect_key( $this->get_object_clone_args(), array_flip( [ 'source', 'target', 'field_keys', 'options' ] ) ),
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/objects/clone',
+			[
+				[
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'execute_object_clone' ],
+					'permission_callback' => [ $this, 'edit_objects_permissions_check' ],
+					'args'                => $this->get_object_clone_args(),
+				],
+				'schema' => [ $this, 'get_clone_schema' ],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/presets',
+			[
+				[
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_presets' ],
+					'permission_callback' => [ $this, 'presets_permissions_check' ],
+					'args'                => [
+						'post_type' => $this->get_post_type_arg(),
+					],
+				],
+				[
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'save_preset' ],
+					'permission_callback' => [ $this, 'presets_permissions_check' ],
+					'args'                => [
+						'post_type' => $this->get_post_type_arg(),
+						'preset'    => [
+							'description' => __( 'Preset to save; an existing preset is updated when its id is set.', 'silver-assist-acf-clone-fields' ),
+							'type'        => 'object',
+							'required'    => true,
+						],
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/presets/(?P<preset_id>[a-z0-9_]+)',
+			[
+				'methods'             => \WP_REST_Server::DELETABLE,
+				'callback'            => [ $this, 'delete_preset' ],
+				'permission_callback' => [ $this, 'presets_permissions_check' ],
+				'args'                => [
+					'post_type' => $this->get_post_type_arg(),
+				],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/posts/(?P<post_id>[\d]+)/backups',
+			[
+				[
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_post_backups' ],
+					'permission_callback' => [ $this, 'edit_post_permissions_check' ],
+					'args'                => [
+						'post_id' => [
+							'description' => __( 'Post the backups belong to.', 'silver-assist-acf-clone-fields' ),
+							'type'        => 'integer',
+							'minimum'     => 1,
+						],
+					],
+				],
+				'schema' => [ $this, 'get_backup_list_schema' ],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/posts/(?P<post_id>[\d]+)/history',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_post_history' ],
+				'permission_callback' => [ $this, 'edit_post_permissions_check' ],
+				'args'                => [
+					'post_id' => [
+						'description' => __( 'Post whose revisions and backups to list.', 'silver-assist-acf-clone-fields' ),
+						'type'        => 'integer',
+						'minimum'     => 1,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/posts/(?P<post_id>[\d]+)/export',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'export_fields' ],
+				'permission_callback' => [ $this, 'edit_post_permissions_check' ],
+				'args'                => [
+					'post_id'    => [
+						'description' => __( 'Post to export fields from.', 'silver-assist-acf-clone-fields' ),
+						'type'        => 'integer',
+						'minimum'     => 1,
+					],
+					'field_keys' => $this->get_field_keys_arg( false ),
+				],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/import/preview',
+			[
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'preview_import' ],
+				'permission_callback' => [ $this, 'edit_target_permissions_check' ],
+				'args'                => $this->get_import_args( false ),
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/import',
+			[
+				[
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'execute_import' ],
+					'permission_callback' => [ $this, 'edit_target_permissions_check' ],
+					'args'                => $this->get_import_args( true ),
+				],
+				'schema' => [ $this, 'get_clone_schema' ],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/backups/' . self::BACKUP_ID_PATTERN,
+			[
+				[
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_backup' ],
+					'permission_callback' => [ $this, 'backup_permissions_check' ],
+				],
+				[
+					'methods'             => \WP_REST_Server::DELETABLE,
+					'callback'            => [ $this, 'delete_backup' ],
+					'permission_callback' => [ $this, 'backup_permissions_check' ],
+				],
+				'schema' => [ $this, 'get_backup_schema' ],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/backups/' . self::BACKUP_ID_PATTERN . '/restore',
+			[
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'restore_backup' ],
+				'permission_callback' => [ $this, 'backup_permissions_check' ],
+				'args'                => [
+					'field_keys'   => $this->get_field_keys_arg( false ),
+					'delete_after' => [
+						'description' => __( 'Delete the backup after a full restore.', 'silver-assist-acf-clone-fields' ),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/backups/' . self::BACKUP_ID_PATTERN . '/source-fields',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_backup_source_fields' ],
+				'permission_callback' => [ $this, 'backup_permissions_check' ],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/backups/' . self::BACKUP_ID_PATTERN . '/clone',
+			[
+				[
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'execute_backup_clone' ],
+					'permission_callback' => [ $this, 'backup_permissions_check' ],
+					'args'                => $this->get_backup_clone_args(),
+				],
+				'schema' => [ $this, 'get_clone_schema' ],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/undo',
+			[
+				'methods'             => \WP_REST_Server::DELETABLE,
+				'callback'            => [ $this, 'dismiss_undo' ],
+				'permission_callback' => [ $this, 'logged_in_permissions_check' ],
+			]
+		);
+
+		register_rest_route(
+			self::NAMESPACE,
+			'/backups/cleanup',
+			[
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'cleanup_backups' ],
+				'permission_callback' => [ $this, 'manage_options_permissions_check' ],
+			]
+		);
+	}
+
+	/**
+	 * Check the current user can list source posts
+	 *
+	 * With a current post the user must be able to edit it; without one
+	 * (bulk clone screen) they must be able to edit posts of the type.
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return true|\WP_Error
+	 */
+	public function get_source_posts_permissions_check( \WP_REST_Request $request ) {
+		$current_post_id = (int) $request['post_id'];
+
+		if ( $current_post_id ) {
+			$can_edit = current_user_can( 'edit_post', $current_post_id );
+		} else {
+			$post_type_object = get_post_type_object( (string) $request['post_type'] );
+			$can_edit         = $post_type_object && current_user_can( $post_type_object->cap->edit_posts );
+		}
+
+		return $can_edit ? true : $this->forbidden_error();
+	}
+
+	/**
+	 * Check the current user can edit the target post
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return true|\WP_Error
+	 */
+	public function edit_target_permissions_check( \WP_REST_Request $request ) {
+		return current_user_can( 'edit_post', (int) $request['target_post_id'] ) ? true : $this->forbidden_error();
+	}
+
+	/**
+	 * Check the current user can edit both the source and the target post
+	 *
+	 * Used by every route that reads the source's field values: the field
+	 * list with its previews, the comparison, validation and the clone. A
+	 * revision source is checked against its post.
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return true|\WP_Error
+	 */
+	public function edit_both_permissions_check( \WP_REST_Request $request ) {
+		if ( ! current_user_can( 'edit_post', (int) $request['target_post_id'] ) || ! Helpers::can_user_clone_from( (int) $request['source_post_id'] ) ) {
+			return $this->forbidden_error();
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check the current user can edit the target object
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return true|\WP_Error
+	 */
+	public function edit_object_permissions_check( \WP_REST_Request $request ) {
+		$objects   = AcfObjects::instance();
+		$object_id = $objects->normalize( (string) $request['target'] );
+
+		return null !== $object_id && $objects->can_edit( $object_id ) ? true : $this->forbidden_error();
+	}
+
+	/**
+	 * Check the current user can edit both the source and the target object
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return true|\WP_Error
+	 */
+	public function edit_objects_permissions_check( \WP_REST_Request $request ) {
+		$objects = AcfObjects::instance();
+
+		foreach ( [ 'source', 'target' ] as $param ) {
+			$object_id = $objects->normalize( (string) $request[ $param ] );
+
+			if ( null === $object_id || ! $objects->can_edit( $object_id ) ) {
+				return $this->forbidden_error();
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check the current user can manage presets of the requested post type
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return true|\WP_Error
+	 */
+	public function presets_permissions_check( \WP_REST_Request $request ) {
+		return CloneOperations::instance()->can_use_presets( (string) $request['post_type'] ) ? true : $this->forbidden_error();
+	}
+
+	/**
+	 * Check the current user can edit the post of the route
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return true|\WP_Error
+	 */
+	public function edit_post_permissions_check( \WP_REST_Request $request ) {
+		return current_user_can( 'edit_post', (int) $request['post_id'] ) ? true : $this->forbidden_error();
+	}
+
+	/**
+	 * Check the backup exists and the current user can edit its post
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return true|\WP_Error
+	 */
+	public function backup_permissions_check( \WP_REST_Request $request ) {
+		$backup = FieldCloner::instance()->get_backup( (string) $request['backup_id'] );
+
+		if ( null === $backup ) {
+			return new \WP_Error(
+				'acf_clone_backup_not_found',
+				__( 'Backup not found.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		// Backups of terms, users and options pages need the right to edit those.
+		$can_edit = is_int( $backup['post_id'] )
+			? current_user_can( 'edit_post', $backup['post_id'] )
+			: AcfObjects::instance()->can_edit( $backup['post_id'] );
+
+		return $can_edit ? true : $this->forbidden_error();
+	}
+
+	/**
+	 * Check the current user is logged in
+	 *
+	 * @return true|\WP_Error
+	 */
+	public function logged_in_permissions_check() {
+		return is_user_logged_in() ? true : $this->forbidden_error();
+	}
+
+	/**
+	 * Check the current user can manage options
+	 *
+	 * @return true|\WP_Error
+	 */
+	public function manage_options_permissions_check() {
+		return current_user_can( 'manage_options' ) ? true : $this->forbidden_error();
+	}
+
+	/**
+	 * List one page of source posts
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_source_posts( \WP_REST_Request $request ) {
+		$post_type = (string) $request['post_type'];
+
+		// Other post types can be offered as sources, but only enabled ones.
+		if ( ! CloneOperations::instance()->is_post_type_enabled( $post_type ) ) {
+			return $this->post_type_not_enabled_error();
+		}
+
+		$filters = [
+			'search'          => (string) $request['search'],
+			'status'          => (string) $request['status'],
+			'author'          => (int) $request['author'],
+			'modified_within' => (int) $request['modified_within'],
+		];
+
+		try {
+			return rest_ensure_response(
+				CloneOperations::instance()->get_source_posts( $post_type, (int) $request['post_id'], $filters, (int) $request['offset'] )
+			);
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Failed to get source posts',
+				[
+					'error'           => $e->getMessage(),
+					'post_type'       => $post_type,
+					'current_post_id' => (int) $request['post_id'],
+				]
+			);
+
+			return $this->server_error( __( 'Failed to load source posts.', 'silver-assist-acf-clone-fields' ) );
+		}
+	}
+
+	/**
+	 * Get the cloneable fields of a source post for a target post
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_source_fields( \WP_REST_Request $request ) {
+		$posts = $this->get_clone_posts( $request );
+
+		if ( is_wp_error( $posts ) ) {
+			return $posts;
+		}
+
+		try {
+			return rest_ensure_response( CloneOperations::instance()->get_source_fields( $posts['source'], $posts['target'] ) );
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Failed to get source fields',
+				[
+					'error'          => $e->getMessage(),
+					'source_post_id' => $posts['source']->ID,
+					'target_post_id' => $posts['target']->ID,
+				]
+			);
+
+			return $this->server_error( __( 'Failed to load field data.', 'silver-assist-acf-clone-fields' ) );
+		}
+	}
+
+	/**
+	 * Compare the values of fields in the source and target post
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_field_diff( \WP_REST_Request $request ) {
+		$source_post = get_post( (int) $request['source_post_id'] );
+		$target_post = get_post( (int) $request['target_post_id'] );
+
+		if ( ! $source_post || ! $target_post ) {
+			return $this->post_not_found_error();
+		}
+
+		if ( ! CloneOperations::instance()->is_same_post_type( $source_post, $target_post ) ) {
+			return new \WP_Error(
+				'acf_clone_post_type_mismatch',
+				__( 'Posts must be the same type.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+
+		try {
+			return rest_ensure_response(
+				[
+					'fields' => FieldDetector::instance()->get_field_comparison( $source_post->ID, $target_post->ID, $field_keys ),
+				]
+			);
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Failed to get field diff',
+				[
+					'error'          => $e->getMessage(),
+					'source_post_id' => $source_post->ID,
+					'target_post_id' => $target_post->ID,
+					'field_keys'     => $field_keys,
+				]
+			);
+
+			return $this->server_error( __( 'Failed to load field values.', 'silver-assist-acf-clone-fields' ) );
+		}
+	}
+
+	/**
+	 * Check the selected fields against the target post before cloning
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function validate_selection( \WP_REST_Request $request ) {
+		$posts = $this->get_clone_posts( $request );
+
+		if ( is_wp_error( $posts ) ) {
+			return $posts;
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+
+		try {
+			return rest_ensure_response(
+				CloneOperations::instance()->validate_selection(
+					$posts['source'],
+					$posts['target'],
+					$field_keys,
+					[
+						'options'       => (array) $request['options'],
+						'field_mapping' => (array) $request['field_mapping'],
+					]
+				)
+			);
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Failed to validate field selection',
+				[
+					'error'          => $e->getMessage(),
+					'source_post_id' => $posts['source']->ID,
+					'target_post_id' => $posts['target']->ID,
+					'field_keys'     => $field_keys,
+				]
+			);
+
+			return $this->server_error( __( 'Failed to validate the selected fields.', 'silver-assist-acf-clone-fields' ) );
+		}
+	}
+
+	/**
+	 * Clone fields from the source post into the target post
+	 *
+	 * With `options.dry_run` nothing is written and the report describes
+	 * what would happen.
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function execute_clone( \WP_REST_Request $request ) {
+		$posts = $this->get_clone_posts( $request );
+
+		if ( is_wp_error( $posts ) ) {
+			return $posts;
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+
+		try {
+			$clone_result = CloneOperations::instance()->execute_clone(
+				$posts['source'],
+				$posts['target'],
+				$field_keys,
+				[
+					'options'          => (array) $request['options'],
+					'field_parts'      => (array) $request['field_parts'],
+					'merge_strategies' => (array) $request['merge_strategies'],
+					'field_mapping'    => (array) $request['field_mapping'],
+				]
+			);
+
+			return rest_ensure_response( $clone_result );
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Clone operation failed',
+				[
+					'error'          => $e->getMessage(),
+					'source_post_id' => $posts['source']->ID,
+					'target_post_id' => $posts['target']->ID,
+					'field_keys'     => $field_keys,
+				]
+			);
+
+			/* translators: %s: error message */
+			return $this->server_error( sprintf( __( 'Clone operation failed: %s', 'silver-assist-acf-clone-fields' ), $e->getMessage() ) );
+		}
+	}
+
+	/**
+	 * List the terms, users, options pages and posts a target can clone from
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_object_sources( \WP_REST_Request $request ) {
+		$objects = AcfObjects::instance();
+		$target  = $objects->normalize( (string) $request['target'] );
+
+		try {
+			return rest_ensure_response(
+				[
+					'sources' => $objects->get_sources( $target, (string) $request['search'] ),
+				]
+			);
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Failed to get object sources',
+				[
+					'error'  => $e->getMessage(),
+					'target' => $target,
+				]
+			);
+
+			return $this->server_error( __( 'Failed to load sources.', 'silver-assist-acf-clone-fields' ) );
+		}
+	}
+
+	/**
+	 * Get the fields a source object can clone into a target object
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_object_source_fields( \WP_REST_Request $request ) {
+		$objects = $this->get_clone_objects( $request );
+
+		if ( is_wp_error( $objects ) ) {
+			return $objects;
+		}
+
+		try {
+			return rest_ensure_response( CloneOperations::instance()->get_object_source_fields( $objects['source'], $objects['target'] ) );
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Failed to get object source fields',
+				[
+					'error'  => $e->getMessage(),
+					'source' => $objects['source'],
+					'target' => $objects['target'],
+				]
+			);
+
+			return $this->server_error( __( 'Failed to load field data.', 'silver-assist-acf-clone-fields' ) );
+		}
+	}
+
+	/**
+	 * Compare the values of fields in the source and target object
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_object_field_diff( \WP_REST_Request $request ) {
+		$objects = $this->get_clone_objects( $request );
+
+		if ( is_wp_error( $objects ) ) {
+			return $objects;
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+
+		try {
+			return rest_ensure_response(
+				[
+					'fields' => FieldDetector::instance()->get_field_comparison( $objects['source'], $objects['target'], $field_keys ),
+				]
+			);
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Failed to get object field diff',
+				[
+					'error'      => $e->getMessage(),
+					'source'     => $objects['source'],
+					'target'     => $objects['target'],
+					'field_keys' => $field_keys,
+				]
+			);
+
+			return $this->server_error( __( 'Failed to load field values.', 'silver-assist-acf-clone-fields' ) );
+		}
+	}
+
+	/**
+	 * Check the selected fields against the target object before cloning
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function validate_object_selection( \WP_REST_Request $request ) {
+		$objects = $this->get_clone_objects( $request );
+
+		if ( is_wp_error( $objects ) ) {
+			return $objects;
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+
+		try {
+			return rest_ensure_response(
+				CloneOperations::instance()->validate_object_selection(
+					$objects['source'],
+					$objects['target'],
+					$field_keys,
+					[
+						'options' => (array) $request['options'],
+					]
+				)
+			);
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Failed to validate object field selection',
+				[
+					'error'      => $e->getMessage(),
+					'source'     => $objects['source'],
+					'target'     => $objects['target'],
+					'field_keys' => $field_keys,
+				]
+			);
+
+			return $this->server_error( __( 'Failed to validate the selected fields.', 'silver-assist-acf-clone-fields' ) );
+		}
+	}
+
+	/**
+	 * Clone fields from the source object into the target object
+	 *
+	 * The response is that of a clone between posts; `options.dry_run` is
+	 * supported.
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function execute_object_clone( \WP_REST_Request $request ) {
+		$objects = $this->get_clone_objects( $request );
+
+		if ( is_wp_error( $objects ) ) {
+			return $objects;
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+
+		try {
+			return rest_ensure_response(
+				CloneOperations::instance()->execute_object_clone(
+					$objects['source'],
+					$objects['target'],
+					$field_keys,
+					[
+						'options'          => (array) $request['options'],
+						'field_parts'      => (array) $request['field_parts'],
+						'merge_strategies' => (array) $request['merge_strategies'],
+					]
+				)
+			);
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Object clone operation failed',
+				[
+					'error'      => $e->getMessage(),
+					'source'     => $objects['source'],
+					'target'     => $objects['target'],
+					'field_keys' => $field_keys,
+				]
+			);
+
+			/* translators: %s: error message */
+			return $this->server_error( sprintf( __( 'Clone operation failed: %s', 'silver-assist-acf-clone-fields' ), $e->getMessage() ) );
+		}
+	}
+
+	/**
+	 * List the revisions and backups of a post that can be cloned from
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_post_history( \WP_REST_Request $request ) {
+		$post = get_post( (int) $request['post_id'] );
+
+		if ( ! $post ) {
+			return $this->post_not_found_error();
+		}
+
+		if ( ! CloneOperations::instance()->is_post_type_enabled( $post->post_type ) ) {
+			return $this->post_type_not_enabled_error();
+		}
+
+		return rest_ensure_response( CloneOperations::instance()->get_post_history( $post ) );
+	}
+
+	/**
+	 * Export fields of a post as a portable package
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function export_fields( \WP_REST_Request $request ) {
+		$post = get_post( (int) $request['post_id'] );
+
+		if ( ! $post ) {
+			return $this->post_not_found_error();
+		}
+
+		if ( ! CloneOperations::instance()->is_post_type_enabled( $post->post_type ) ) {
+			return $this->post_type_not_enabled_error();
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+
+		return rest_ensure_response( FieldPackage::instance()->export( $post->ID, $field_keys ) );
+	}
+
+	/**
+	 * Preview the import of a package into the target post
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function preview_import( \WP_REST_Request $request ) {
+		$target_post = $this->get_import_target( $request );
+
+		if ( is_wp_error( $target_post ) ) {
+			return $target_post;
+		}
+
+		return rest_ensure_response( FieldPackage::instance()->preview( (array) $request['package'], $target_post->ID ) );
+	}
+
+	/**
+	 * Import fields of a package into the target post
+	 *
+	 * The response is that of a clone; `options.dry_run` is supported.
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function execute_import( \WP_REST_Request $request ) {
+		$target_post = $this->get_import_target( $request );
+
+		if ( is_wp_error( $target_post ) ) {
+			return $target_post;
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+
+		try {
+			return rest_ensure_response(
+				CloneOperations::instance()->execute_import(
+					(array) $request['package'],
+					$target_post,
+					$field_keys,
+					[
+						'options' => (array) $request['options'],
+					]
+				)
+			);
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Import operation failed',
+				[
+					'error'          => $e->getMessage(),
+					'target_post_id' => $target_post->ID,
+					'field_keys'     => $field_keys,
+				]
+			);
+
+			/* translators: %s: error message */
+			return $this->server_error( sprintf( __( 'Import failed: %s', 'silver-assist-acf-clone-fields' ), $e->getMessage() ) );
+		}
+	}
+
+	/**
+	 * List the presets of a post type
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response
+	 */
+	public function get_presets( \WP_REST_Request $request ): \WP_REST_Response {
+		return rest_ensure_response(
+			[
+				'presets' => PresetManager::instance()->get_presets( (string) $request['post_type'], get_current_user_id() ),
+			]
+		);
+	}
+
+	/**
+	 * Create or update a preset
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function save_preset( \WP_REST_Request $request ) {
+		$preset = (array) $request['preset'];
+
+		if ( empty( $preset['name'] ) || empty( $preset['fields'] ) || ! is_array( $preset['fields'] ) ) {
+			return new \WP_Error(
+				'acf_clone_invalid_preset',
+				__( 'A preset needs a name and at least one field.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$post_type           = (string) $request['post_type'];
+		$preset['post_type'] = $post_type;
+
+		$manager = PresetManager::instance();
+		$saved   = $manager->save_preset( $preset, get_current_user_id() );
+
+		if ( null === $saved ) {
+			return new \WP_Error(
+				'acf_clone_preset_not_saved',
+				__( 'Failed to save preset.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'preset'  => $saved,
+				'presets' => $manager->get_presets( $post_type, get_current_user_id() ),
+			]
+		);
+	}
+
+	/**
+	 * Delete a preset
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function delete_preset( \WP_REST_Request $request ) {
+		$post_type = (string) $request['post_type'];
+		$manager   = PresetManager::instance();
+
+		if ( ! $manager->delete_preset( (string) $request['preset_id'], $post_type, get_current_user_id() ) ) {
+			return new \WP_Error(
+				'acf_clone_preset_not_deleted',
+				__( 'Failed to delete preset.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'presets' => $manager->get_presets( $post_type, get_current_user_id() ),
+			]
+		);
+	}
+
+	/**
+	 * List the backups of a post, newest first
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response
+	 */
+	public function get_post_backups( \WP_REST_Request $request ): \WP_REST_Response {
+		$backups = array_map(
+			static fn( array $backup ): array => [
+				'backup_id'   => $backup['backup_id'],
+				'post_id'     => (int) $backup['post_id'],
+				'user_id'     => (int) $backup['user_id'],
+				'created_at'  => mysql_to_rfc3339( $backup['created_at'] ),
+				'field_count' => (int) $backup['field_count'],
+				'fields'      => array_map( 'strval', $backup['fields'] ),
+			],
+			FieldCloner::instance()->get_post_backups( (int) $request['post_id'] )
+		);
+
+		return rest_ensure_response( $backups );
+	}
+
+	/**
+	 * Get the preview of a backup
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_backup( \WP_REST_Request $request ) {
+		$preview = CloneOperations::instance()->get_backup_preview( (string) $request['backup_id'] );
+
+		if ( null === $preview ) {
+			return new \WP_Error(
+				'acf_clone_backup_not_found',
+				__( 'Backup not found.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		return rest_ensure_response( $preview );
+	}
+
+	/**
+	 * Restore a backup, or the listed fields of it
+	 *
+	 * The response also holds the restored fields' new values, for updating
+	 * an open editor in place.
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function restore_backup( \WP_REST_Request $request ) {
+		$backup_id  = (string) $request['backup_id'];
+		$backup     = FieldCloner::instance()->get_backup( $backup_id );
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+		$result     = FieldCloner::instance()->restore_backup( $backup_id, (bool) $request['delete_after'], $field_keys );
+
+		if ( ! $result['success'] ) {
+			return new \WP_Error(
+				'acf_clone_restore_failed',
+				$result['message'],
+				[
+					'status' => 400,
+					'result' => $result,
+				]
+			);
+		}
+
+		// The backup is undone; stop offering it as the user's undo.
+		CloneOperations::instance()->forget_undo( get_current_user_id(), $backup_id );
+
+		$editor_values = $backup
+			? FieldDetector::instance()->get_editor_values( $backup['post_id'], ! empty( $field_keys ) ? $field_keys : array_keys( $backup['field_data'] ) )
+			: [
+				'fields'      => [],
+				'attachments' => [],
+			];
+
+		$result['field_values'] = $editor_values['fields'];
+		$result['attachments']  = (object) $editor_values['attachments'];
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Get the fields of a backup as a clone source for its post
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_backup_source_fields( \WP_REST_Request $request ) {
+		$backup = $this->get_backup_with_post( $request );
+
+		if ( is_wp_error( $backup ) ) {
+			return $backup;
+		}
+
+		return rest_ensure_response( CloneOperations::instance()->get_backup_source_fields( $backup['backup'], $backup['post'] ) );
+	}
+
+	/**
+	 * Clone fields from a backup back into its post
+	 *
+	 * Unlike a restore this takes the clone options, parts and merge
+	 * strategies, and backs up the current values first. The response is
+	 * that of a clone; `options.dry_run` is supported.
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function execute_backup_clone( \WP_REST_Request $request ) {
+		$backup = $this->get_backup_with_post( $request );
+
+		if ( is_wp_error( $backup ) ) {
+			return $backup;
+		}
+
+		$field_keys = array_map( 'sanitize_text_field', (array) $request['field_keys'] );
+
+		try {
+			return rest_ensure_response(
+				CloneOperations::instance()->execute_backup_clone(
+					$backup['backup'],
+					$backup['post'],
+					$field_keys,
+					[
+						'options'          => (array) $request['options'],
+						'field_parts'      => (array) $request['field_parts'],
+						'merge_strategies' => (array) $request['merge_strategies'],
+					]
+				)
+			);
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Clone from backup failed',
+				[
+					'error'      => $e->getMessage(),
+					'backup_id'  => $backup['backup']['backup_id'],
+					'field_keys' => $field_keys,
+				]
+			);
+
+			/* translators: %s: error message */
+			return $this->server_error( sprintf( __( 'Clone operation failed: %s', 'silver-assist-acf-clone-fields' ), $e->getMessage() ) );
+		}
+	}
+
+	/**
+	 * Stop offering the current user's last clone for undo
+	 *
+	 * @return \WP_REST_Response
+	 */
+	public function dismiss_undo(): \WP_REST_Response {
+		CloneOperations::instance()->forget_undo( get_current_user_id() );
+
+		return rest_ensure_response( [ 'dismissed' => true ] );
+	}
+
+	/**
+	 * Delete a backup
+	 *
+	 * @param \WP_REST_Request $request Request.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function delete_backup( \WP_REST_Request $request ) {
+		if ( ! FieldCloner::instance()->delete_backup( (string) $request['backup_id'] ) ) {
+			return $this->server_error( __( 'Failed to delete backup.', 'silver-assist-acf-clone-fields' ) );
+		}
+
+		return rest_ensure_response(
+			[
+				'deleted' => true,
+				'message' => __( 'Backup deleted successfully.', 'silver-assist-acf-clone-fields' ),
+			]
+		);
+	}
+
+	/**
+	 * Delete backups past the retention period
+	 *
+	 * @return \WP_REST_Response
+	 */
+	public function cleanup_backups(): \WP_REST_Response {
+		$deleted_count = FieldCloner::instance()->cleanup_old_backups();
+
+		return rest_ensure_response(
+			[
+				'deleted' => $deleted_count,
+				'message' => sprintf(
+					/* translators: %d: number of deleted backups */
+					__( 'Cleanup complete. %d backup(s) deleted.', 'silver-assist-acf-clone-fields' ),
+					$deleted_count
+				),
+			]
+		);
+	}
+
+	/**
+	 * Get the JSON schema of a clone result
+	 *
+	 * @return array<string, mixed>
+	 */
+	public function get_clone_schema(): array {
+		$string_list = [
+			'type'  => 'array',
+			'items' => [ 'type' => 'string' ],
+		];
+
+		return [
+			'$schema'    => 'http://json-schema.org/draft-04/schema#',
+			'title'      => 'acf-clone-result',
+			'type'       => 'object',
+			'properties' => [
+				'success'        => [
+					'description' => __( 'Whether the clone completed.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'boolean',
+				],
+				'message'        => [
+					'description' => __( 'Summary of the operation.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'string',
+				],
+				'dry_run'        => [
+					'description' => __( 'Whether the clone was only simulated.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'boolean',
+				],
+				'cloned_fields'  => $string_list + [ 'description' => __( 'Fields written (or that would be written).', 'silver-assist-acf-clone-fields' ) ],
+				'skipped_fields' => $string_list + [ 'description' => __( 'Fields left unchanged.', 'silver-assist-acf-clone-fields' ) ],
+				'errors'         => $string_list,
+				'warnings'       => $string_list,
+				'report'         => [
+					'description' => __( 'Outcome per requested field.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'array',
+					'items'       => [
+						'type'       => 'object',
+						'properties' => [
+							'field'    => [ 'type' => 'string' ],
+							'label'    => [ 'type' => 'string' ],
+							'status'   => [
+								'type' => 'string',
+								'enum' => [ 'cloned', 'cleared', 'skipped', 'failed' ],
+							],
+							'message'  => [ 'type' => 'string' ],
+							'warnings' => $string_list,
+						],
+					],
+				],
+				'backup_info'    => [
+					'description' => __( 'Backup taken before writing, for undoing the clone; null if none was taken.', 'silver-assist-acf-clone-fields' ),
+					'type'        => [ 'object', 'null' ],
+					'properties'  => [
+						'backup_id'    => [ 'type' => 'string' ],
+						'created_at'   => [ 'type' => 'string' ],
+						'source_title' => [ 'type' => 'string' ],
+					],
+				],
+				'field_values'   => [
+					'description' => __( 'New values of the written fields, for updating an open editor.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'array',
+					'items'       => [ 'type' => 'object' ],
+				],
+				'attachments'    => [
+					'description' => __( 'Attachment data of image and file values, keyed by attachment ID.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'object',
+				],
+			],
+		];
+	}
+
+	/**
+	 * Get the JSON schema of a post's backup list
+	 *
+	 * @return array<string, mixed>
+	 */
+	public function get_backup_list_schema(): array {
+		return [
+			'$schema' => 'http://json-schema.org/draft-04/schema#',
+			'title'   => 'acf-clone-backups',
+			'type'    => 'array',
+			'items'   => [
+				'type'       => 'object',
+				'properties' => [
+					'backup_id'   => [ 'type' => 'string' ],
+					'post_id'     => [ 'type' => 'integer' ],
+					'user_id'     => [ 'type' => 'integer' ],
+					'created_at'  => [
+						'type'   => 'string',
+						'format' => 'date-time',
+					],
+					'field_count' => [ 'type' => 'integer' ],
+					'fields'      => [
+						'type'  => 'array',
+						'items' => [ 'type' => 'string' ],
+					],
+				],
+			],
+		];
+	}
+
+	/**
+	 * Get the JSON schema of a backup preview
+	 *
+	 * @return array<string, mixed>
+	 */
+	public function get_backup_schema(): array {
+		return [
+			'$schema'    => 'http://json-schema.org/draft-04/schema#',
+			'title'      => 'acf-clone-backup',
+			'type'       => 'object',
+			'properties' => [
+				'backup_id'  => [ 'type' => 'string' ],
+				'post_id'    => [
+					'description' => __( 'Post ID, or term_{id}, user_{id} or options page post ID of the backed-up object.', 'silver-assist-acf-clone-fields' ),
+					'type'        => [ 'integer', 'string' ],
+				],
+				'created_at' => [
+					'description' => __( 'Creation date, formatted with the site date and time formats.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'string',
+				],
+				'user'       => [
+					'description' => __( 'Display name of the user whose clone created the backup.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'string',
+				],
+				'fields'     => [
+					'description' => __( 'Field comparisons; source is the backed-up value, target the current one.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'array',
+					'items'       => [ 'type' => 'object' ],
+				],
+			],
+		];
+	}
+
+	/**
+	 * Get the source and target post of a request, checked for cloning
+	 *
+	 * @param \WP_REST_Request $request Request with source_post_id and target_post_id.
+	 * @return array{source: \WP_Post, target: \WP_Post}|\WP_Error
+	 */
+	private function get_clone_posts( \WP_REST_Request $request ) {
+		$source_post = get_post( (int) $request['source_post_id'] );
+		$target_post = get_post( (int) $request['target_post_id'] );
+
+		if ( ! $source_post || ! $target_post ) {
+			return $this->post_not_found_error();
+		}
+
+		if ( ! CloneOperations::instance()->can_clone_between( $source_post, $target_post ) ) {
+			return new \WP_Error(
+				'acf_clone_source_not_allowed',
+				__( 'Source post type not available for cloning.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return [
+			'source' => $source_post,
+			'target' => $target_post,
+		];
+	}
+
+	/**
+	 * Get the source and target object of a request, checked for cloning
+	 *
+	 * At least one of the two must be a term, user or options page; posts
+	 * are cloned between through the post routes. Posts must be of a post
+	 * type enabled for cloning.
+	 *
+	 * @param \WP_REST_Request $request Request with source and target.
+	 * @return array{source: int|string, target: int|string}|\WP_Error
+	 */
+	private function get_clone_objects( \WP_REST_Request $request ) {
+		$objects = AcfObjects::instance();
+		$source  = $objects->normalize( (string) $request['source'] );
+		$target  = $objects->normalize( (string) $request['target'] );
+
+		if ( null === $source || null === $target ) {
+			return new \WP_Error(
+				'acf_clone_object_not_found',
+				__( 'Invalid source or target.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		if ( $source === $target || ( is_int( $source ) && is_int( $target ) ) ) {
+			return new \WP_Error(
+				'acf_clone_objects_not_allowed',
+				__( 'Clone between two different objects, at least one of them a term, user or options page.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		foreach ( [ $source, $target ] as $object_id ) {
+			if ( is_int( $object_id ) ) {
+				$parent_id = wp_is_post_revision( $object_id );
+
+				if ( ! CloneOperations::instance()->is_post_type_enabled( (string) get_post_type( $parent_id ? $parent_id : $object_id ) ) ) {
+					return $this->post_type_not_enabled_error();
+				}
+			}
+		}
+
+		return [
+			'source' => $source,
+			'target' => $target,
+		];
+	}
+
+	/**
+	 * Get the target post of an import request, checked for importing
+	 *
+	 * @param \WP_REST_Request $request Request with target_post_id and package.
+	 * @return \WP_Post|\WP_Error
+	 */
+	private function get_import_target( \WP_REST_Request $request ) {
+		$target_post = get_post( (int) $request['target_post_id'] );
+
+		if ( ! $target_post ) {
+			return $this->post_not_found_error();
+		}
+
+		if ( ! CloneOperations::instance()->is_post_type_enabled( $target_post->post_type ) ) {
+			return $this->post_type_not_enabled_error();
+		}
+
+		$valid = FieldPackage::instance()->validate( $request['package'] );
+
+		return is_wp_error( $valid ) ? $valid : $target_post;
+	}
+
+	/**
+	 * Get the backup of a request and its post, checked for cloning
+	 *
+	 * Backups exist and belong to an editable post once
+	 * backup_permissions_check() passed.
+	 *
+	 * @param \WP_REST_Request $request Request with backup_id.
+	 * @return array{backup: array<string, mixed>, post: \WP_Post}|\WP_Error
+	 */
+	private function get_backup_with_post( \WP_REST_Request $request ) {
+		$backup = FieldCloner::instance()->get_backup( (string) $request['backup_id'] );
+		$post   = $backup ? get_post( $backup['post_id'] ) : null;
+
+		if ( ! $post ) {
+			return $this->post_not_found_error();
+		}
+
+		if ( ! CloneOperations::instance()->is_post_type_enabled( $post->post_type ) ) {
+			return $this->post_type_not_enabled_error();
+		}
+
+		return [
+			'backup' => $backup,
+			'post'   => $post,
+		];
+	}
+
+	/**
+	 * Get the arguments of the source posts route
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_source_posts_args(): array {
+		return [
+			'post_type'       => $this->get_post_type_arg(),
+			'post_id'         => [
+				'description' => __( 'Post being edited, excluded from the list.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'integer',
+				'default'     => 0,
+				'minimum'     => 0,
+			],
+			'search'          => [
+				'description' => __( 'Search term.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'string',
+				'default'     => '',
+			],
+			'status'          => [
+				'description' => __( 'Limit to one post status.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'string',
+				'default'     => '',
+				'enum'        => [ '', 'publish', 'draft', 'pending' ],
+			],
+			'author'          => [
+				'description' => __( 'Limit to posts of one author.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'integer',
+				'default'     => 0,
+				'minimum'     => 0,
+			],
+			'modified_within' => [
+				'description' => __( 'Limit to posts modified in the last number of days.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'integer',
+				'default'     => 0,
+				'minimum'     => 0,
+			],
+			'offset'          => [
+				'description' => __( 'Number of posts to skip.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'integer',
+				'default'     => 0,
+				'minimum'     => 0,
+			],
+		];
+	}
+
+	/**
+	 * Get the arguments of the clone route
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_clone_args(): array {
+		return array_merge(
+			$this->get_post_pair_args(),
+			[
+				'field_keys'       => $this->get_field_keys_arg( true ),
+				'field_parts'      => [
+					'description' => __( 'Rows and sub-fields to clone, keyed by field.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'object',
+					'default'     => [],
+				],
+				'merge_strategies' => [
+					'description' => __( 'Merge strategy of repeater and flexible content fields, keyed by field.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'object',
+					'default'     => [],
+				],
+				'field_mapping'    => [
+					'description' => __( 'Target field key per source field when cloning across post types.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'object',
+					'default'     => [],
+				],
+				'options'          => $this->get_clone_options_arg(),
+			]
+		);
+	}
+
+	/**
+	 * Get the arguments of the object clone route
+	 *
+	 * Those of the clone route, with objects in place of the posts and
+	 * without field mapping.
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_object_clone_args(): array {
+		return array_merge(
+			$this->get_object_pair_args(),
+			array_diff_key( $this->get_clone_args(), array_flip( [ 'source_post_id', 'target_post_id', 'field_mapping' ] ) )
+		);
+	}
+
+	/**
+	 * Get the arguments of the backup clone route
+	 *
+	 * Those of the clone route, without the posts and field mapping.
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_backup_clone_args(): array {
+		return array_diff_key( $this->get_clone_args(), array_flip( [ 'source_post_id', 'target_post_id', 'field_mapping' ] ) );
+	}
+
+	/**
+	 * Get the options argument of the clone and import routes
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_clone_options_arg(): array {
+		return [
+			'description' => __( 'Clone options; omitted options use the plugin settings.', 'silver-assist-acf-clone-fields' ),
+			'type'        => 'object',
+			'default'     => [],
+			'properties'  => [
+				'create_backup'         => [ 'type' => 'boolean' ],
+				'overwrite_existing'    => [ 'type' => 'boolean' ],
+				'copy_attachments'      => [ 'type' => 'boolean' ],
+				'duplicate_attachments' => [
+					'description' => __( 'Copy the referenced images and files and use the copies.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'boolean',
+				],
+				'duplicate_posts'       => [
+					'description' => __( 'Copy the posts referenced by relationship and post object fields and use the copies.', 'silver-assist-acf-clone-fields' ),
+					'type'        => 'boolean',
+				],
+				'validate_data'         => [ 'type' => 'boolean' ],
+				'dry_run'               => [ 'type' => 'boolean' ],
+				'empty_values'          => [
+					'type' => 'string',
+					'enum' => FieldCloner::EMPTY_VALUE_POLICIES,
+				],
+			],
+		];
+	}
+
+	/**
+	 * Get the arguments of the import routes
+	 *
+	 * @param bool $execute Whether the route imports (rather than previews).
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_import_args( bool $execute ): array {
+		$args = [
+			'target_post_id' => [
+				'description' => __( 'Post to import fields into.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'integer',
+				'required'    => true,
+				'minimum'     => 1,
+			],
+			'package'        => [
+				'description' => __( 'Exported field package.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'object',
+				'required'    => true,
+			],
+		];
+
+		if ( $execute ) {
+			$args['field_keys'] = $this->get_field_keys_arg( true );
+			$args['options']    = $this->get_clone_options_arg();
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Get the source_post_id and target_post_id arguments
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_post_pair_args(): array {
+		return [
+			'source_post_id' => [
+				'description' => __( 'Post to clone fields from.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'integer',
+				'required'    => true,
+				'minimum'     => 1,
+			],
+			'target_post_id' => [
+				'description' => __( 'Post to clone fields into.', 'silver-assist-acf-clone-fields' ),
+				'type'        => 'integer',
+				'required'    => true,
+				'minimum'     => 1,
+			],
+		];
+	}
+
+	/**
+	 * Get the source and target arguments of the object routes
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_object_pair_args(): array {
+		return [
+			'source' => $this->get_object_arg( __( 'Object to clone fields from: a post ID, term_{id}, user_{id} or options page post ID.', 'silver-assist-acf-clone-fields' ) ),
+			'target' => $this->get_object_arg( __( 'Object to clone fields into: a post ID, term_{id}, user_{id} or options page post ID.', 'silver-assist-acf-clone-fields' ) ),
+		];
+	}
+
+	/**
+	 * Get an object ID argument
+	 *
+	 * @param string $description Argument description.
+	 * @return array<string, mixed>
+	 */
+	private function get_object_arg( string $description ): array {
+		return [
+			'description'       => $description,
+			'type'              => 'string',
+			'required'          => true,
+			'sanitize_callback' => 'sanitize_text_field',
+		];
+	}
+
+	/**
+	 * Get the field_keys argument
+	 *
+	 * @param bool $required Whether at least one field key is required.
+	 * @return array<string, mixed>
+	 */
+	private function get_field_keys_arg( bool $required ): array {
+		$arg = [
+			'description' => __( 'Field keys or names.', 'silver-assist-acf-clone-fields' ),
+			'type'        => 'array',
+			'items'       => [ 'type' => 'string' ],
+			'required'    => $required,
+		];
+
+		if ( $required ) {
+			$arg['minItems'] = 1;
+		} else {
+			$arg['default'] = [];
+		}
+
+		return $arg;
+	}
+
+	/**
+	 * Get the post_type argument
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_post_type_arg(): array {
+		return [
+			'description'       => __( 'Post type name.', 'silver-assist-acf-clone-fields' ),
+			'type'              => 'string',
+			'required'          => true,
+			'sanitize_callback' => 'sanitize_key',
+		];
+	}
+
+	/**
+	 * Build the error returned when the current user lacks a capability
+	 *
+	 * @return \WP_Error
+	 */
+	private function forbidden_error(): \WP_Error {
+		return new \WP_Error(
+			'rest_forbidden',
+			__( 'Sorry, you are not allowed to do that.', 'silver-assist-acf-clone-fields' ),
+			[ 'status' => rest_authorization_required_code() ]
+		);
+	}
+
+	/**
+	 * Build the error returned for unknown post IDs
+	 *
+	 * @return \WP_Error
+	 */
+	private function post_not_found_error(): \WP_Error {
+		return new \WP_Error(
+			'acf_clone_post_not_found',
+			__( 'Invalid post IDs.', 'silver-assist-acf-clone-fields' ),
+			[ 'status' => 404 ]
+		);
+	}
+
+	/**
+	 * Build the error returned for post types not enabled for cloning
+	 *
+	 * @return \WP_Error
+	 */
+	private function post_type_not_enabled_error(): \WP_Error {
+		return new \WP_Error(
+			'acf_clone_post_type_not_enabled',
+			__( 'Post type not enabled for cloning.', 'silver-assist-acf-clone-fields' ),
+			[ 'status' => 400 ]
+		);
+	}
+
+	/**
+	 * Build the error returned when an operation fails unexpectedly
+	 *
+	 * @param string $message Error message.
+	 * @return \WP_Error
+	 */
+	private function server_error( string $message ): \WP_Error {
+		return new \WP_Error( 'acf_clone_operation_failed', $message, [ 'status' => 500 ] );
+	}
+}
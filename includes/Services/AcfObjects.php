@@ -0,0 +1,485 @@
+<?php
+/**
+ * ACF Objects Service
+ *
+ * Resolves the objects ACF stores field values on (posts, taxonomy terms,
+ * users and options pages) from the identifiers ACF uses for them, and finds
+ * their field groups.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Services
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Services;
+
+use SilverAssist\ACFCloneFields\Utils\Helpers;
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class AcfObjects
+ *
+ * Object IDs are those ACF's get_field() and update_field() take: a post ID
+ * (int), `term_{id}`, `user_{id}`, or the `post_id` of an options page
+ * (`options` unless the page sets another). Both `option` and `options`
+ * resolve to `options`, which is what ACF stores under.
+ */
+class AcfObjects implements LoadableInterface {
+	/**
+	 * Kinds of objects fields can be cloned between
+	 *
+	 * @var array<string>
+	 */
+	public const KINDS = [ 'post', 'term', 'user', 'options' ];
+
+	/**
+	 * Most sources of one type (post type, taxonomy) listed by get_sources()
+	 *
+	 * @var int
+	 */
+	private const SOURCES_PER_TYPE = 20;
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var AcfObjects|null
+	 */
+	private static ?AcfObjects $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return AcfObjects
+	 */
+	public static function instance(): AcfObjects {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize the service
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Called by the detector, cloner and screens; no hooks needed.
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 30; // Services.
+	}
+
+	/**
+	 * Determine if the service should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Resolve an object ID to the ID ACF stores its fields under
+	 *
+	 * @param mixed $object_id Post ID, `term_{id}`, `user_{id}` or options page post ID.
+	 * @return int|string|null Post ID (int) or string ID, null if the object does not exist
+	 */
+	public function normalize( $object_id ) {
+		if ( is_int( $object_id ) || ( is_string( $object_id ) && ctype_digit( $object_id ) ) ) {
+			$post_id = (int) $object_id;
+			return $post_id > 0 && get_post( $post_id ) ? $post_id : null;
+		}
+
+		if ( ! is_string( $object_id ) || '' === $object_id ) {
+			return null;
+		}
+
+		if ( preg_match( '/^term_(\d+)$/', $object_id, $matches ) ) {
+			return get_term( (int) $matches[1] ) instanceof \WP_Term ? $object_id : null;
+		}
+
+		if ( preg_match( '/^user_(\d+)$/', $object_id, $matches ) ) {
+			return get_userdata( (int) $matches[1] ) ? $object_id : null;
+		}
+
+		$object_id = 'option' === $object_id ? 'options' : $object_id;
+
+		return array_key_exists( $object_id, $this->get_options_pages() ) ? $object_id : null;
+	}
+
+	/**
+	 * Get the kind of an object
+	 *
+	 * @param int|string $object_id Normalized object ID.
+	 * @return string One of self::KINDS
+	 */
+	public function get_kind( $object_id ): string {
+		if ( is_int( $object_id ) ) {
+			return 'post';
+		}
+
+		if ( str_starts_with( $object_id, 'term_' ) ) {
+			return 'term';
+		}
+
+		return str_starts_with( $object_id, 'user_' ) ? 'user' : 'options';
+	}
+
+	/**
+	 * Get the display title of an object
+	 *
+	 * @param int|string $object_id Normalized object ID.
+	 * @return string Title
+	 */
+	public function get_title( $object_id ): string {
+		switch ( $this->get_kind( $object_id ) ) {
+			case 'post':
+				return get_the_title( $object_id );
+
+			case 'term':
+				$term = get_term( $this->get_numeric_id( $object_id ) );
+				return $term instanceof \WP_Term ? $term->name : (string) $object_id;
+
+			case 'user':
+				$user = get_userdata( $this->get_numeric_id( $object_id ) );
+				return $user ? $user->display_name : (string) $object_id;
+
+			default:
+				$pages = $this->get_options_pages()[ $object_id ] ?? [];
+				return $pages ? implode( ', ', wp_list_pluck( $pages, 'page_title' ) ) : (string) $object_id;
+		}
+	}
+
+	/**
+	 * Get the label of an object's type, e.g. the post type or taxonomy name
+	 *
+	 * @param int|string $object_id Normalized object ID.
+	 * @return string Type label
+	 */
+	public function get_type_label( $object_id ): string {
+		switch ( $this->get_kind( $object_id ) ) {
+			case 'post':
+				$post_type = get_post_type_object( (string) get_post_type( $object_id ) );
+				return $post_type ? $post_type->labels->singular_name : __( 'Post', 'silver-assist-acf-clone-fields' );
+
+			case 'term':
+				$term     = get_term( $this->get_numeric_id( $object_id ) );
+				$taxonomy = $term instanceof \WP_Term ? get_taxonomy( $term->taxonomy ) : false;
+				return $taxonomy ? $taxonomy->labels->singular_name : __( 'Term', 'silver-assist-acf-clone-fields' );
+
+			case 'user':
+				return __( 'User', 'silver-assist-acf-clone-fields' );
+
+			default:
+				return __( 'Options page', 'silver-assist-acf-clone-fields' );
+		}
+	}
+
+	/**
+	 * Check a user can edit the fields of an object
+	 *
+	 * Options need the capability of one of the options pages storing
+	 * under the object ID.
+	 *
+	 * @param int|string $object_id Normalized object ID.
+	 * @param int|null   $user_id User ID, null for the current user.
+	 * @return bool
+	 */
+	public function can_edit( $object_id, ?int $user_id = null ): bool {
+		$user_id = $user_id ?? get_current_user_id();
+
+		if ( ! $user_id ) {
+			return false;
+		}
+
+		switch ( $this->get_kind( $object_id ) ) {
+			case 'post':
+				return Helpers::can_user_edit_post( $object_id, $user_id );
+
+			case 'term':
+				return user_can( $user_id, 'edit_term', $this->get_numeric_id( $object_id ) );
+
+			case 'user':
+				return user_can( $user_id, 'edit_user', $this->get_numeric_id( $object_id ) );
+
+			default:
+				foreach ( $this->get_options_pages()[ $object_id ] ?? [] as $page ) {
+					if ( user_can( $user_id, $page['capability'] ?? 'edit_posts' ) ) {
+						return true;
+					}
+				}
+				return false;
+		}
+	}
+
+	/**
+	 * Get the field groups shown on an object's edit screen
+	 *
+	 * A revision has the field groups of its parent post.
+	 *
+	 * @param int|string $object_id Normalized object ID.
+	 * @return array<array<string, mixed>> Field groups
+	 */
+	public function get_field_groups( $object_id ): array {
+		if ( ! function_exists( 'acf_get_field_groups' ) ) {
+			return [];
+		}
+
+		switch ( $this->get_kind( $object_id ) ) {
+			case 'post':
+				$parent_id = wp_is_post_revision( $object_id );
+				$post_type = get_post_type( $parent_id ? $parent_id : $object_id );
+				return $post_type ? FieldDetector::instance()->get_field_groups( $post_type ) : [];
+
+			case 'term':
+				$term = get_term( $this->get_numeric_id( $object_id ) );
+				return $term instanceof \WP_Term ? $this->query_field_groups( [ 'taxonomy' => $term->taxonomy ] ) : [];
+
+			case 'user':
+				return $this->query_field_groups(
+					[
+						'user_id'   => $this->get_numeric_id( $object_id ),
+						'user_form' => 'edit',
+					]
+				);
+
+			default:
+				$field_groups = [];
+				foreach ( $this->get_options_pages()[ $object_id ] ?? [] as $page ) {
+					foreach ( $this->query_field_groups( [ 'options_page' => $page['menu_slug'] ] ) as $field_group ) {
+						$field_groups[ $field_group['key'] ] = $field_group;
+					}
+				}
+				return array_values( $field_groups );
+		}
+	}
+
+	/**
+	 * Get the keys of the field groups two objects have in common
+	 *
+	 * Fields can only be cloned between objects of different kinds, or of
+	 * different post types or taxonomies, through these groups.
+	 *
+	 * @param int|string $source_id Normalized source object ID.
+	 * @param int|string $target_id Normalized target object ID.
+	 * @return array<string> Field group keys
+	 */
+	public function get_shared_group_keys( $source_id, $target_id ): array {
+		return array_values(
+			array_intersect(
+				array_column( $this->get_field_groups( $source_id ), 'key' ),
+				array_column( $this->get_field_groups( $target_id ), 'key' )
+			)
+		);
+	}
+
+	/**
+	 * Get the keys and names of the fields in two objects' shared field groups
+	 *
+	 * @param int|string $source_id Normalized source object ID.
+	 * @param int|string $target_id Normalized target object ID.
+	 * @return array<string> Field keys and names
+	 */
+	public function get_shared_fields( $source_id, $target_id ): array {
+		$fields = [];
+
+		foreach ( $this->get_shared_group_keys( $source_id, $target_id ) as $group_key ) {
+			$group_fields = acf_get_fields( $group_key );
+
+			foreach ( $group_fields ? $group_fields : [] as $field ) {
+				$fields[] = $field['key'];
+				$fields[] = $field['name'];
+			}
+		}
+
+		return array_values( array_unique( $fields ) );
+	}
+
+	/**
+	 * List the objects a target can clone fields from
+	 *
+	 * Options pages, terms and users (and, for targets other than posts,
+	 * posts of enabled post types) that share a field group with the
+	 * target and that the current user can edit. At most
+	 * SOURCES_PER_TYPE objects of each post type or taxonomy, and users,
+	 * are listed; `$search` narrows them by title, name or login.
+	 *
+	 * @param int|string $target_id Normalized target object ID.
+	 * @param string     $search Search term.
+	 * @return list<array{id: int|string, kind: string, type_label: string, title: string, shared_groups: int}> Sources
+	 */
+	public function get_sources( $target_id, string $search = '' ): array {
+		$target_groups = array_column( $this->get_field_groups( $target_id ), 'key' );
+
+		if ( empty( $target_groups ) ) {
+			return [];
+		}
+
+		$shares_groups = static fn( array $field_groups ): bool => (bool) array_intersect( array_column( $field_groups, 'key' ), $target_groups );
+		$candidates    = [];
+
+		foreach ( array_keys( $this->get_options_pages() ) as $options_id ) {
+			if ( '' === $search || false !== stripos( $this->get_title( $options_id ), $search ) ) {
+				$candidates[] = $options_id;
+			}
+		}
+
+		foreach ( get_taxonomies( [ 'show_ui' => true ] ) as $taxonomy ) {
+			if ( ! $shares_groups( $this->query_field_groups( [ 'taxonomy' => $taxonomy ] ) ) ) {
+				continue;
+			}
+
+			$term_ids = get_terms(
+				[
+					'taxonomy'   => $taxonomy,
+					'hide_empty' => false,
+					'number'     => self::SOURCES_PER_TYPE,
+					'search'     => $search,
+					'fields'     => 'ids',
+				]
+			);
+
+			foreach ( is_array( $term_ids ) ? $term_ids : [] as $term_id ) {
+				$candidates[] = 'term_' . $term_id;
+			}
+		}
+
+		$user_ids = get_users(
+			[
+				'number'         => self::SOURCES_PER_TYPE,
+				'search'         => '' !== $search ? '*' . $search . '*' : '',
+				'search_columns' => [ 'user_login', 'user_nicename', 'display_name' ],
+				'fields'         => 'ID',
+			]
+		);
+
+		foreach ( $user_ids as $user_id ) {
+			$candidates[] = 'user_' . $user_id;
+		}
+
+		// Post targets list the posts they can clone from in their own picker.
+		if ( 'post' !== $this->get_kind( $target_id ) ) {
+			foreach ( get_post_types( [ 'show_ui' => true ] ) as $post_type ) {
+				if ( ! CloneOperations::instance()->is_post_type_enabled( $post_type ) || ! $shares_groups( FieldDetector::instance()->get_field_groups( $post_type ) ) ) {
+					continue;
+				}
+
+				$post_ids = get_posts(
+					[
+						'post_type'      => $post_type,
+						'post_status'    => [ 'publish', 'draft', 'pending', 'private', 'future' ],
+						'posts_per_page' => self::SOURCES_PER_TYPE,
+						's'              => $search,
+						'fields'         => 'ids',
+					]
+				);
+
+				foreach ( $post_ids as $post_id ) {
+					$candidates[] = (int) $post_id;
+				}
+			}
+		}
+
+		$sources = [];
+
+		foreach ( $candidates as $object_id ) {
+			if ( $object_id === $target_id || ! $this->can_edit( $object_id ) ) {
+				continue;
+			}
+
+			$shared = array_intersect( array_column( $this->get_field_groups( $object_id ), 'key' ), $target_groups );
+			if ( empty( $shared ) ) {
+				continue;
+			}
+
+			$sources[] = [
+				'id'            => $object_id,
+				'kind'          => $this->get_kind( $object_id ),
+				'type_label'    => $this->get_type_label( $object_id ),
+				'title'         => $this->get_title( $object_id ),
+				'shared_groups' => count( $shared ),
+			];
+		}
+
+		return $sources;
+	}
+
+	/**
+	 * Check other kinds of objects share field groups with an object
+	 *
+	 * Looks at the location rules of the object's field groups only, so it
+	 * is cheap enough for every edit screen.
+	 *
+	 * @param int|string $object_id Normalized object ID.
+	 * @return bool True if a field group is also shown on terms, users or options pages
+	 */
+	public function has_other_kind_sources( $object_id ): bool {
+		$params = [ 'taxonomy', 'user_form', 'user_role', 'options_page' ];
+
+		foreach ( $this->get_field_groups( $object_id ) as $field_group ) {
+			foreach ( $field_group['location'] ?? [] as $rule_group ) {
+				foreach ( $rule_group as $rule ) {
+					if ( in_array( $rule['param'] ?? '', $params, true ) && '==' === ( $rule['operator'] ?? '' ) ) {
+						return true;
+					}
+				}
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Get the registered options pages by the post ID they store under
+	 *
+	 * @return array<string, list<array<string, mixed>>> Options pages
+	 */
+	public function get_options_pages(): array {
+		$pages = function_exists( 'acf_get_options_pages' ) ? acf_get_options_pages() : [];
+		$by_id = [];
+
+		foreach ( is_array( $pages ) ? $pages : [] as $page ) {
+			$by_id[ (string) ( $page['post_id'] ?? 'options' ) ][] = $page;
+		}
+
+		return $by_id;
+	}
+
+	/**
+	 * Get the ID a term or user object ID wraps
+	 *
+	 * @param string $object_id `term_{id}` or `user_{id}`.
+	 * @return int Term or user ID
+	 */
+	private function get_numeric_id( string $object_id ): int {
+		return (int) substr( $object_id, strpos( $object_id, '_' ) + 1 );
+	}
+
+	/**
+	 * Query field groups for an ACF screen
+	 *
+	 * @param array<string, mixed> $screen ACF screen arguments.
+	 * @return array<array<string, mixed>> Field groups
+	 */
+	private function query_field_groups( array $screen ): array {
+		$field_groups = acf_get_field_groups( $screen );
+
+		return $field_groups ? $field_groups : [];
+	}
+}
@@ -0,0 +1,391 @@
+<?php
+/**
+ * Clone History Service
+ *
+ * Site-wide audit log of clone operations: who cloned which fields from
+ * where into where, with which options, the backup taken and the outcome.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Services
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Services;
+
+use SilverAssist\ACFCloneFields\Core\Activator;
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class CloneHistory
+ *
+ * Stores one row per clone into one target post in the
+ * `{prefix}acf_clone_history` table. Dry runs are not recorded.
+ */
+class CloneHistory implements LoadableInterface {
+	/**
+	 * Outcome of a clone: every field cloned or skipped, some fields failed,
+	 * or nothing cloned
+	 *
+	 * @var array<string>
+	 */
+	public const OUTCOMES = [ 'success', 'partial', 'failed' ];
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var CloneHistory|null
+	 */
+	private static ?CloneHistory $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return CloneHistory
+	 */
+	public static function instance(): CloneHistory {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize the clone history
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Storage only; no hooks needed.
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 30; // Services.
+	}
+
+	/**
+	 * Determine if clone history should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Get the history table name
+	 *
+	 * @return string Table name with prefix
+	 */
+	public function get_table_name(): string {
+		global $wpdb;
+
+		return $wpdb->prefix . 'acf_clone_history';
+	}
+
+	/**
+	 * Record a clone into one target post
+	 *
+	 * Each field of the clone report is stored with its label and status;
+	 * entries past the retention period are removed.
+	 *
+	 * @param int                  $source_post_id Source post ID.
+	 * @param int                  $target_post_id Target post ID.
+	 * @param array<string, mixed> $clone_result Result from FieldCloner::clone_fields().
+	 * @param array<string, mixed> $clone_options Options the clone ran with.
+	 * @return int|false Entry ID, or false on failure
+	 */
+	public function record( int $source_post_id, int $target_post_id, array $clone_result, array $clone_options = [] ) {
+		global $wpdb;
+
+		$this->maybe_create_table();
+
+		$fields = array_map(
+			static fn( array $entry ): array => [
+				'field'  => $entry['field'],
+				'label'  => $entry['label'],
+				'status' => $entry['status'],
+			],
+			$clone_result['report'] ?? []
+		);
+
+		$inserted = $wpdb->insert(
+			$this->get_table_name(),
+			[
+				'source_post_id' => $source_post_id,
+				'target_post_id' => $target_post_id,
+				'user_id'        => get_current_user_id(),
+				'backup_id'      => (string) ( $clone_result['backup_id'] ?? '' ),
+				'outcome'        => $this->get_outcome( $clone_result ),
+				'message'        => (string) ( $clone_result['message'] ?? '' ),
+				'fields'         => (string) wp_json_encode( $fields ),
+				'options'        => (string) wp_json_encode( $clone_options ),
+				'created_at'     => current_time( 'mysql' ),
+			],
+			[ '%d', '%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s' ]
+		);
+
+		if ( false === $inserted ) {
+			return false;
+		}
+
+		$entry_id = (int) $wpdb->insert_id;
+
+		$this->prune();
+
+		return $entry_id;
+	}
+
+	/**
+	 * Get the outcome of a clone result
+	 *
+	 * @param array<string, mixed> $clone_result Result from FieldCloner::clone_fields().
+	 * @return string One of self::OUTCOMES
+	 */
+	public function get_outcome( array $clone_result ): string {
+		if ( ! empty( $clone_result['success'] ) ) {
+			return 'success';
+		}
+
+		return empty( $clone_result['cloned_fields'] ) ? 'failed' : 'partial';
+	}
+
+	/**
+	 * Sanitize history filters
+	 *
+	 * `user` and `post` are IDs (`post` matches the source or the target),
+	 * `date_from` and `date_to` are `Y-m-d` dates in the site's timezone,
+	 * `outcome` one of self::OUTCOMES. Unknown or invalid filters are dropped.
+	 *
+	 * @param array<string, mixed> $filters Raw filters.
+	 * @return array{user: int, post: int, date_from: string, date_to: string, outcome: string} Filters
+	 */
+	public function prepare_filters( array $filters ): array {
+		$date = static function ( $value ): string {
+			$value = sanitize_text_field( (string) $value );
+			return preg_match( '/^\d{4}-\d{2}-\d{2}$/', $value ) ? $value : '';
+		};
+
+		$outcome = sanitize_key( (string) ( $filters['outcome'] ?? '' ) );
+
+		return [
+			'user'      => absint( $filters['user'] ?? 0 ),
+			'post'      => absint( $filters['post'] ?? 0 ),
+			'date_from' => $date( $filters['date_from'] ?? '' ),
+			'date_to'   => $date( $filters['date_to'] ?? '' ),
+			'outcome'   => in_array( $outcome, self::OUTCOMES, true ) ? $outcome : '',
+		];
+	}
+
+	/**
+	 * Get history entries, newest first
+	 *
+	 * Each entry carries the decoded `fields` and `options`, and
+	 * `backup_available` telling whether its backup still exists.
+	 *
+	 * @param array<string, mixed> $filters Filters from prepare_filters().
+	 * @param int                  $per_page Entries per page; 0 for all.
+	 * @param int                  $page Page number, from 1.
+	 * @return array{entries: array<array<string, mixed>>, total: int} Entries and total matching count
+	 */
+	public function get_entries( array $filters, int $per_page = 20, int $page = 1 ): array {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return [
+				'entries' => [],
+				'total'   => 0,
+			];
+		}
+
+		list( $where, $where_args ) = $this->build_where( $filters );
+
+		$table_name = $this->get_table_name();
+		$limit      = '';
+		if ( $per_page > 0 ) {
+			$limit = $wpdb->prepare( 'LIMIT %d OFFSET %d', $per_page, ( max( 1, $page ) - 1 ) * $per_page );
+		}
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQL.NotPrepared -- $where holds placeholders only, $limit is prepared.
+		$total = (int) $wpdb->get_var(
+			$wpdb->prepare( "SELECT COUNT(*) FROM %i WHERE {$where}", array_merge( [ $table_name ], $where_args ) )
+		);
+		$rows  = $wpdb->get_results(
+			$wpdb->prepare( "SELECT * FROM %i WHERE {$where} ORDER BY created_at DESC, id DESC {$limit}", array_merge( [ $table_name ], $where_args ) ),
+			ARRAY_A
+		);
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQL.NotPrepared
+
+		$available_backups = $this->get_existing_backup_ids( array_filter( array_column( (array) $rows, 'backup_id' ) ) );
+
+		$entries = array_map(
+			static function ( array $row ) use ( $available_backups ): array {
+				$fields  = json_decode( (string) $row['fields'], true );
+				$options = json_decode( (string) $row['options'], true );
+
+				return [
+					'id'               => (int) $row['id'],
+					'source_post_id'   => (int) $row['source_post_id'],
+					'target_post_id'   => (int) $row['target_post_id'],
+					'user_id'          => (int) $row['user_id'],
+					'backup_id'        => $row['backup_id'],
+					'backup_available' => '' !== $row['backup_id'] && in_array( $row['backup_id'], $available_backups, true ),
+					'outcome'          => $row['outcome'],
+					'message'          => $row['message'],
+					'fields'           => is_array( $fields ) ? $fields : [],
+					'options'          => is_array( $options ) ? $options : [],
+					'created_at'       => $row['created_at'],
+				];
+			},
+			(array) $rows
+		);
+
+		return [
+			'entries' => $entries,
+			'total'   => $total,
+		];
+	}
+
+	/**
+	 * Build the WHERE clause of the filters
+	 *
+	 * @param array<string, mixed> $filters Filters from prepare_filters().
+	 * @return array{0: string, 1: array<int|string>} Clause with placeholders, and its arguments
+	 */
+	private function build_where( array $filters ): array {
+		$clauses = [ '1=1' ];
+		$args    = [];
+
+		if ( ! empty( $filters['user'] ) ) {
+			$clauses[] = 'user_id = %d';
+			$args[]    = $filters['user'];
+		}
+
+		if ( ! empty( $filters['post'] ) ) {
+			$clauses[] = '( source_post_id = %d OR target_post_id = %d )';
+			$args[]    = $filters['post'];
+			$args[]    = $filters['post'];
+		}
+
+		if ( ! empty( $filters['date_from'] ) ) {
+			$clauses[] = 'created_at >= %s';
+			$args[]    = $filters['date_from'] . ' 00:00:00';
+		}
+
+		if ( ! empty( $filters['date_to'] ) ) {
+			$clauses[] = 'created_at <= %s';
+			$args[]    = $filters['date_to'] . ' 23:59:59';
+		}
+
+		if ( ! empty( $filters['outcome'] ) ) {
+			$clauses[] = 'outcome = %s';
+			$args[]    = $filters['outcome'];
+		}
+
+		return [ implode( ' AND ', $clauses ), $args ];
+	}
+
+	/**
+	 * Get which of the given backups still exist
+	 *
+	 * @param array<string> $backup_ids Backup IDs.
+	 * @return array<string> Existing backup IDs
+	 */
+	private function get_existing_backup_ids( array $backup_ids ): array {
+		global $wpdb;
+
+		if ( empty( $backup_ids ) ) {
+			return [];
+		}
+
+		$backup_ids   = array_values( array_unique( $backup_ids ) );
+		$placeholders = implode( ', ', array_fill( 0, count( $backup_ids ), '%s' ) );
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare -- Placeholders are built above.
+		$existing = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT backup_id FROM %i WHERE backup_id IN ({$placeholders})",
+				array_merge( [ $wpdb->prefix . 'acf_field_backups' ], $backup_ids )
+			)
+		);
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+
+		return (array) $existing;
+	}
+
+	/**
+	 * Delete entries past the retention period
+	 *
+	 * @return int Number of entries deleted
+	 */
+	public function prune(): int {
+		global $wpdb;
+
+		/**
+		 * Filter how many days clone history entries are kept
+		 *
+		 * @since 1.4.0
+		 *
+		 * @param int $retention_days Days to keep entries; 0 keeps them forever.
+		 */
+		$retention_days = (int) apply_filters( 'silver_assist_acf_clone_fields_history_retention_days', 365 );
+
+		if ( $retention_days <= 0 ) {
+			return 0;
+		}
+
+		// Entries are stored in site time, so the cutoff is too (the database clock may be in another timezone).
+		$cutoff = gmdate( 'Y-m-d H:i:s', (int) strtotime( current_time( 'mysql' ) ) - $retention_days * DAY_IN_SECONDS );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$deleted = $wpdb->query(
+			$wpdb->prepare(
+				'DELETE FROM %i WHERE created_at < %s',
+				$this->get_table_name(),
+				$cutoff
+			)
+		);
+
+		return $deleted ? (int) $deleted : 0;
+	}
+
+	/**
+	 * Check whether the history table exists
+	 *
+	 * @return bool
+	 */
+	private function table_exists(): bool {
+		global $wpdb;
+
+		$table_name = $this->get_table_name();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $table_name ) ) === $table_name;
+	}
+
+	/**
+	 * Create the history table if it doesn't exist
+	 *
+	 * Sites updated without reactivating the plugin have no history table yet.
+	 *
+	 * @return void
+	 */
+	private function maybe_create_table(): void {
+		if ( ! $this->table_exists() ) {
+			Activator::create_tables();
+		}
+	}
+}
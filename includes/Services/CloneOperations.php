@@ -0,0 +1,1625 @@
+<?php
+/**
+ * Clone Operations Service
+ *
+ * Transport-independent clone operations shared by the AJAX handlers and
+ * the REST API: source post and history listing, field detection, clone
+ * execution, preset preparation and backup previews. Callers check nonces and
+ * capabilities; these methods only sanitize and run the operation.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Services
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Services;
+
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+use SilverAssist\ACFCloneFields\Utils\Helpers;
+use SilverAssist\ACFCloneFields\Utils\Logger;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class CloneOperations
+ *
+ * Builds the response data of each clone operation from plain arguments.
+ */
+class CloneOperations implements LoadableInterface {
+	/**
+	 * Transient holding a user's last clone undo, suffixed with the user ID
+	 *
+	 * @var string
+	 */
+	public const UNDO_TRANSIENT_PREFIX = 'silver_assist_acf_clone_fields_undo_';
+
+	/**
+	 * Post statuses the source post picker lists
+	 *
+	 * @var array<string>
+	 */
+	private const SOURCE_POST_STATUSES = [ 'publish', 'draft', 'pending' ];
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var CloneOperations|null
+	 */
+	private static ?CloneOperations $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return CloneOperations
+	 */
+	public static function instance(): CloneOperations {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize the clone operations service
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Stateless; no hooks needed.
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 30; // Services.
+	}
+
+	/**
+	 * Determine if clone operations should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Get one page of source posts of a post type
+	 *
+	 * @param string               $post_type Post type to list.
+	 * @param int                  $current_post_id Post being edited (excluded), 0 for none.
+	 * @param array<string, mixed> $filters Optional search, status, author and modified_within filters.
+	 * @param int                  $offset Number of posts to skip.
+	 * @return array{posts: array<array<string, mixed>>, total: int, offset: int, per_page: int, has_more: bool, authors?: array<array{id: int, name: string}>} Page of posts with paging metadata
+	 */
+	public function get_source_posts( string $post_type, int $current_post_id, array $filters, int $offset ): array {
+		$per_page   = max( 1, (int) get_option( 'silver_assist_acf_clone_fields_max_source_posts', 50 ) );
+		$offset     = max( 0, $offset );
+		$query_args = $this->build_source_posts_query_args( $current_post_id, $per_page, $offset, $filters );
+
+		$query_result = Helpers::query_posts_by_type( $post_type, $query_args );
+
+		$response = [
+			'posts'    => $this->format_posts_for_response( $query_result['posts'] ),
+			'total'    => $query_result['total'],
+			'offset'   => $offset,
+			'per_page' => $per_page,
+			'has_more' => ( $offset + $per_page ) < $query_result['total'],
+		];
+
+		// Filter choices only need to be sent with the first page.
+		if ( 0 === $offset ) {
+			$response['authors'] = $this->get_source_post_authors( $post_type );
+		}
+
+		return $response;
+	}
+
+	/**
+	 * Get the source post's cloneable fields, checked against the target post
+	 *
+	 * Across post types every field also lists the target fields it can be
+	 * mapped to (see add_field_mapping_data()). The source may be a revision
+	 * of the target.
+	 *
+	 * @param \WP_Post $source_post Source post.
+	 * @param \WP_Post $target_post Target post.
+	 * @return array<string, mixed> Fields grouped by field group, both posts and mapping targets
+	 */
+	public function get_source_fields( \WP_Post $source_post, \WP_Post $target_post ): array {
+		$detector   = FieldDetector::instance();
+		$cross_type = ! $this->is_same_post_type( $source_post, $target_post );
+
+		$source_fields = $detector->get_available_fields( $source_post->ID );
+		$target_fields = $detector->get_available_fields( $target_post->ID );
+
+		$formatted_fields = $this->format_fields_for_response( $source_fields, $target_fields );
+		$mapping_targets  = $cross_type ? $this->get_mapping_targets( $target_fields ) : [];
+
+		if ( $cross_type ) {
+			$formatted_fields = $this->add_field_mapping_data( $formatted_fields, $mapping_targets );
+		}
+
+		return [
+			'fields'        => $formatted_fields,
+			'source_post'   => [
+				'id'    => $source_post->ID,
+				'title' => $this->get_source_title( $source_post ),
+				'stats' => $detector->get_field_statistics( $source_post->ID ),
+			],
+			'target_post'   => [
+				'id'    => $target_post->ID,
+				'title' => $target_post->post_title,
+				'stats' => $detector->get_field_statistics( $target_post->ID ),
+			],
+			'cross_type'    => $cross_type,
+			'target_fields' => $mapping_targets,
+		];
+	}
+
+	/**
+	 * Get the fields of a backup as a clone source for its own post
+	 *
+	 * The response has the shape of get_source_fields(), with the backup
+	 * in place of the source post (`source_post.backup_id`). Fields that
+	 * were empty when the backup was taken are listed too.
+	 *
+	 * @param array<string, mixed> $backup Backup from FieldCloner::get_backup().
+	 * @param \WP_Post             $target_post Post the backup belongs to.
+	 * @return array<string, mixed> Fields grouped by field group and both sources
+	 */
+	public function get_backup_source_fields( array $backup, \WP_Post $target_post ): array {
+		$detector = FieldDetector::instance();
+
+		$source_fields = $detector->get_fields_with_values( $target_post->ID, wp_list_pluck( $backup['field_data'], 'value' ) );
+		$target_fields = $detector->get_available_fields( $target_post->ID );
+
+		return [
+			'fields'        => $this->format_fields_for_response( $source_fields, $target_fields ),
+			'source_post'   => [
+				'id'        => 0,
+				'backup_id' => $backup['backup_id'],
+				'title'     => $this->get_backup_title( $backup['created_at'] ),
+			],
+			'target_post'   => [
+				'id'    => $target_post->ID,
+				'title' => $target_post->post_title,
+				'stats' => $detector->get_field_statistics( $target_post->ID ),
+			],
+			'cross_type'    => false,
+			'target_fields' => [],
+		];
+	}
+
+	/**
+	 * Get the fields a term, user, options page or post can clone into another
+	 *
+	 * Only the fields of the field groups both objects show are listed. The
+	 * response has the shape of get_source_fields(), with the objects in
+	 * place of the posts.
+	 *
+	 * @param int|string $source_id Normalized source object ID.
+	 * @param int|string $target_id Normalized target object ID.
+	 * @return array<string, mixed> Fields grouped by field group and both objects
+	 */
+	public function get_object_source_fields( int|string $source_id, int|string $target_id ): array {
+		$detector = FieldDetector::instance();
+		$objects  = AcfObjects::instance();
+
+		$source_fields = array_intersect_key(
+			$detector->get_available_fields( $source_id ),
+			array_flip( $objects->get_shared_group_keys( $source_id, $target_id ) )
+		);
+		$target_fields = $detector->get_available_fields( $target_id );
+
+		return [
+			'fields'        => $this->format_fields_for_response( $source_fields, $target_fields ),
+			'source_post'   => [
+				'id'    => $source_id,
+				'title' => $objects->get_title( $source_id ),
+				'stats' => $detector->get_field_statistics( $source_id ),
+			],
+			'target_post'   => [
+				'id'    => $target_id,
+				'title' => $objects->get_title( $target_id ),
+				'stats' => $detector->get_field_statistics( $target_id ),
+			],
+			'cross_type'    => false,
+			'target_fields' => [],
+		];
+	}
+
+	/**
+	 * List the revisions and backups of a post that can be cloned from
+	 *
+	 * Only revisions that carry field values are listed (ACF stores them on
+	 * revisions when the post is saved), newest first and up to the source
+	 * post limit.
+	 *
+	 * @param \WP_Post $post Post being edited.
+	 * @return array{revisions: array<array<string, mixed>>, backups: array<array<string, mixed>>} History entries
+	 */
+	public function get_post_history( \WP_Post $post ): array {
+		$detector  = FieldDetector::instance();
+		$revisions = [];
+
+		$post_revisions = wp_get_post_revisions(
+			$post->ID,
+			[
+				'posts_per_page' => max( 1, (int) get_option( 'silver_assist_acf_clone_fields_max_source_posts', 50 ) ),
+			]
+		);
+
+		foreach ( $post_revisions as $revision ) {
+			$field_stats = $detector->get_field_statistics( $revision->ID );
+
+			if ( empty( $field_stats['fields_with_values'] ) ) {
+				continue;
+			}
+
+			$author      = get_userdata( (int) $revision->post_author );
+			$revisions[] = [
+				'id'           => $revision->ID,
+				'title'        => $this->get_source_title( $revision ),
+				'author'       => $author ? $author->display_name : __( 'Unknown', 'silver-assist-acf-clone-fields' ),
+				'modified'     => get_post_modified_time( 'Y-m-d H:i:s', false, $revision->ID ),
+				'modified_ago' => human_time_diff( (int) get_post_modified_time( 'U', false, $revision->ID ), time() ) . ' ago',
+				'field_count'  => $field_stats['total_fields'],
+				'field_stats'  => $field_stats,
+			];
+		}
+
+		$backups = [];
+
+		foreach ( FieldCloner::instance()->get_post_backups( $post->ID ) as $backup ) {
+			$user      = get_userdata( (int) $backup['user_id'] );
+			$backups[] = [
+				'backup_id'   => $backup['backup_id'],
+				'title'       => $this->get_backup_title( $backup['created_at'] ),
+				'user'        => $user ? $user->display_name : __( 'Unknown', 'silver-assist-acf-clone-fields' ),
+				'created_at'  => $backup['created_at'],
+				'field_count' => $backup['field_count'],
+			];
+		}
+
+		return [
+			'revisions' => $revisions,
+			'backups'   => $backups,
+		];
+	}
+
+	/**
+	 * Clone fields from one post into another
+	 *
+	 * `$request` holds the raw `options`, `field_parts`, `merge_strategies`
+	 * and `field_mapping` of the request; they are sanitized here. Real runs
+	 * are logged to the target's clone activity and return the new values of
+	 * the written fields for updating the editor in place. When a backup was
+	 * taken it is returned in `backup_info` and remembered as the user's
+	 * undo (see get_undo()).
+	 *
+	 * @param \WP_Post             $source_post Source post.
+	 * @param \WP_Post             $target_post Target post.
+	 * @param array<string>        $field_keys Sanitized field keys to clone.
+	 * @param array<string, mixed> $request Raw clone settings.
+	 * @return array<string, mixed> Clone result
+	 * @throws \Exception When the clone fails unexpectedly.
+	 */
+	public function execute_clone( \WP_Post $source_post, \WP_Post $target_post, array $field_keys, array $request ): array {
+		$setting = static fn( string $key ): array => is_array( $request[ $key ] ?? null ) ? $request[ $key ] : [];
+
+		$clone_options                     = $this->prepare_clone_options( $setting( 'options' ) );
+		$clone_options['field_parts']      = $this->prepare_field_parts( $setting( 'field_parts' ), $field_keys );
+		$clone_options['merge_strategies'] = $this->prepare_merge_strategies( $setting( 'merge_strategies' ), $field_keys );
+
+		// Cross-type clones write into the target fields picked in the mapping.
+		if ( ! $this->is_same_post_type( $source_post, $target_post ) ) {
+			$clone_options['allow_cross_type'] = true;
+			$clone_options['field_mapping']    = $this->prepare_field_mapping(
+				$setting( 'field_mapping' ),
+				$field_keys,
+				array_column( $this->get_mapping_targets( FieldDetector::instance()->get_available_fields( $target_post->ID ) ), 'key' )
+			);
+		}
+
+		$clone_result = FieldCloner::instance()->clone_fields(
+			$source_post->ID,
+			$target_post->ID,
+			$field_keys,
+			$clone_options
+		);
+
+		return $this->complete_clone( $target_post->ID, $source_post->ID, $this->get_source_title( $source_post ), $clone_result, $clone_options );
+	}
+
+	/**
+	 * Clone fields between a term, user, options page or post and another
+	 *
+	 * At least one of the two is not a post. `$request` holds the raw
+	 * `options`, `field_parts` and `merge_strategies`; the result is that of
+	 * execute_clone(). The clone is logged with a post ID of 0 for objects
+	 * that are not posts and their IDs in the `source_object` and
+	 * `target_object` options.
+	 *
+	 * @param int|string           $source_id Normalized source object ID.
+	 * @param int|string           $target_id Normalized target object ID.
+	 * @param array<string>        $field_keys Sanitized field keys to clone.
+	 * @param array<string, mixed> $request Raw clone settings.
+	 * @return array<string, mixed> Clone result
+	 * @throws \Exception When the clone fails unexpectedly.
+	 */
+	public function execute_object_clone( int|string $source_id, int|string $target_id, array $field_keys, array $request ): array {
+		$setting = static fn( string $key ): array => is_array( $request[ $key ] ?? null ) ? $request[ $key ] : [];
+
+		$clone_options                     = $this->prepare_clone_options( $setting( 'options' ) );
+		$clone_options['field_parts']      = $this->prepare_field_parts( $setting( 'field_parts' ), $field_keys );
+		$clone_options['merge_strategies'] = $this->prepare_merge_strategies( $setting( 'merge_strategies' ), $field_keys );
+
+		$clone_result = FieldCloner::instance()->clone_fields( $source_id, $target_id, $field_keys, $clone_options );
+
+		$clone_options['field_mapping'] = [];
+
+		return $this->complete_clone( $target_id, $source_id, AcfObjects::instance()->get_title( $source_id ), $clone_result, $clone_options );
+	}
+
+	/**
+	 * Clone fields from a backup back into its post
+	 *
+	 * Restores the selected fields through the clone pipeline, so the
+	 * options, parts and merge strategies of a clone apply and a new backup
+	 * is taken first. `$request` holds the raw `options`, `field_parts` and
+	 * `merge_strategies`. The result is that of execute_clone(); the clone
+	 * is logged with a source post ID of 0 and the backup's date in the
+	 * `backup_source` option.
+	 *
+	 * @param array<string, mixed> $backup Backup from FieldCloner::get_backup().
+	 * @param \WP_Post             $target_post Post the backup belongs to.
+	 * @param array<string>        $field_keys Sanitized keys or names of the backup fields to clone.
+	 * @param array<string, mixed> $request Raw clone settings.
+	 * @return array<string, mixed> Clone result
+	 */
+	public function execute_backup_clone( array $backup, \WP_Post $target_post, array $field_keys, array $request ): array {
+		$setting = static fn( string $key ): array => is_array( $request[ $key ] ?? null ) ? $request[ $key ] : [];
+
+		$clone_options                     = $this->prepare_clone_options( $setting( 'options' ) );
+		$clone_options['field_parts']      = $this->prepare_field_parts( $setting( 'field_parts' ), $field_keys );
+		$clone_options['merge_strategies'] = $this->prepare_merge_strategies( $setting( 'merge_strategies' ), $field_keys );
+
+		// Values are keyed as requested, which parts and strategies are keyed by.
+		$values = [];
+		foreach ( $backup['field_data'] as $stored_key => $field_info ) {
+			$field = get_field_object( (string) $stored_key, $target_post->ID, false, false );
+
+			foreach ( array_filter( [ (string) $stored_key, $field ? $field['name'] : '' ] ) as $identifier ) {
+				if ( in_array( $identifier, $field_keys, true ) ) {
+					$values[ $identifier ] = $field_info['value'];
+					break;
+				}
+			}
+		}
+
+		$clone_result = FieldCloner::instance()->import_values( $target_post->ID, $values, $clone_options );
+
+		$clone_options['backup_source'] = $backup['created_at'];
+		$clone_options['field_mapping'] = [];
+
+		return $this->complete_clone( $target_post->ID, 0, $this->get_backup_title( $backup['created_at'] ), $clone_result, $clone_options );
+	}
+
+	/**
+	 * Import fields of an exported package into a post
+	 *
+	 * `$request` holds the raw `options` of the request. The result and its
+	 * side effects (activity log, undo, editor values) are those of
+	 * execute_clone(), with the package's source title in place of the
+	 * source post.
+	 *
+	 * @param array<string, mixed> $package Validated package.
+	 * @param \WP_Post             $target_post Target post.
+	 * @param array<string>        $field_keys Sanitized keys or names of the package fields to import.
+	 * @param array<string, mixed> $request Raw import settings.
+	 * @return array<string, mixed> Import result
+	 */
+	public function execute_import( array $package, \WP_Post $target_post, array $field_keys, array $request ): array {
+		$clone_options = $this->prepare_clone_options( is_array( $request['options'] ?? null ) ? $request['options'] : [] );
+		$clone_result  = FieldPackage::instance()->import( $package, $target_post->ID, $field_keys, $clone_options );
+
+		$clone_options['imported_from'] = sanitize_text_field( (string) ( $package['source']['title'] ?? '' ) );
+		$clone_options['field_mapping'] = [];
+
+		$source_title = '' !== $clone_options['imported_from']
+			/* translators: %s: title of the exported post */
+			? sprintf( __( 'Imported file (%s)', 'silver-assist-acf-clone-fields' ), $clone_options['imported_from'] )
+			: __( 'Imported file', 'silver-assist-acf-clone-fields' );
+
+		return $this->complete_clone( $target_post->ID, 0, $source_title, $clone_result, $clone_options );
+	}
+
+	/**
+	 * Check a field selection before cloning between two posts
+	 *
+	 * `$request` holds the raw `options` and `field_mapping` of the clone
+	 * the selection is for. See FieldCloner::validate_fields() for what is
+	 * checked; fields with errors would fail, so the clone cannot proceed.
+	 *
+	 * @param \WP_Post             $source_post Source post.
+	 * @param \WP_Post             $target_post Target post.
+	 * @param array<string>        $field_keys Sanitized field keys to check.
+	 * @param array<string, mixed> $request Raw clone settings.
+	 * @return array{fields: array<array<string, mixed>>, has_errors: bool, has_warnings: bool, can_proceed: bool} Validation result
+	 */
+	public function validate_selection( \WP_Post $source_post, \WP_Post $target_post, array $field_keys, array $request ): array {
+		$setting       = static fn( string $key ): array => is_array( $request[ $key ] ?? null ) ? $request[ $key ] : [];
+		$clone_options = $this->prepare_clone_options( $setting( 'options' ) );
+
+		if ( ! $this->is_same_post_type( $source_post, $target_post ) ) {
+			$clone_options['field_mapping'] = $this->prepare_field_mapping(
+				$setting( 'field_mapping' ),
+				$field_keys,
+				array_column( $this->get_mapping_targets( FieldDetector::instance()->get_available_fields( $target_post->ID ) ), 'key' )
+			);
+		}
+
+		return $this->summarize_validation(
+			FieldCloner::instance()->validate_fields( $source_post->ID, $target_post->ID, $field_keys, $clone_options )
+		);
+	}
+
+	/**
+	 * Check a field selection before cloning between a term, user, options page or post and another
+	 *
+	 * As validate_selection(), without a field mapping.
+	 *
+	 * @param int|string           $source_id Normalized source object ID.
+	 * @param int|string           $target_id Normalized target object ID.
+	 * @param array<string>        $field_keys Sanitized field keys to check.
+	 * @param array<string, mixed> $request Raw clone settings.
+	 * @return array{fields: array<array<string, mixed>>, has_errors: bool, has_warnings: bool, can_proceed: bool} Validation result
+	 */
+	public function validate_object_selection( int|string $source_id, int|string $target_id, array $field_keys, array $request ): array {
+		$clone_options = $this->prepare_clone_options( is_array( $request['options'] ?? null ) ? $request['options'] : [] );
+
+		return $this->summarize_validation(
+			FieldCloner::instance()->validate_fields( $source_id, $target_id, $field_keys, $clone_options )
+		);
+	}
+
+	/**
+	 * Clone fields into one of several target posts
+	 *
+	 * Used by bulk clones and sync jobs. The target is checked first, so a
+	 * failing target is reported without stopping the others.
+	 *
+	 * @param \WP_Post             $source_post Source post.
+	 * @param int                  $target_post_id Target post ID.
+	 * @param array<string>        $field_keys Field keys to clone.
+	 * @param array<string, mixed> $clone_options Prepared clone options.
+	 * @return array{target_post_id: int, title: string, success: bool, message: string, errors: array<string>, warnings: array<string>} Target result
+	 */
+	public function clone_into_target( \WP_Post $source_post, int $target_post_id, array $field_keys, array $clone_options ): array {
+		$target_post = get_post( $target_post_id );
+		$result      = [
+			'target_post_id' => $target_post_id,
+			'title'          => $target_post ? get_the_title( $target_post ) : "Post #{$target_post_id}",
+			'success'        => false,
+			'message'        => '',
+			'errors'         => [],
+			'warnings'       => [],
+		];
+
+		if ( ! $target_post ) {
+			$result['message'] = 'Target post not found';
+			return $result;
+		}
+
+		if ( ! current_user_can( 'edit_post', $target_post_id ) ) {
+			$result['message'] = 'Insufficient permissions';
+			return $result;
+		}
+
+		if ( $source_post->post_type !== $target_post->post_type ) {
+			$result['message'] = 'Posts must be the same type';
+			return $result;
+		}
+
+		if ( $source_post->ID === $target_post_id ) {
+			$result['message'] = 'Target is the source post';
+			return $result;
+		}
+
+		try {
+			$clone_result = FieldCloner::instance()->clone_fields(
+				$source_post->ID,
+				$target_post_id,
+				$field_keys,
+				$clone_options
+			);
+
+			// Log activity (a dry run changes nothing, so there is nothing to log).
+			if ( ! $clone_options['dry_run'] ) {
+				$this->log_clone_activity( $target_post_id, $source_post->ID, $clone_result, $clone_options );
+			}
+
+			$result['success']  = (bool) $clone_result['success'];
+			$result['message']  = $clone_result['message'];
+			$result['errors']   = $clone_result['errors'];
+			$result['warnings'] = $clone_result['warnings'];
+
+		} catch ( \Exception $e ) {
+			Logger::instance()->error(
+				'Clone failed for target post',
+				[
+					'error'          => $e->getMessage(),
+					'source_post_id' => $source_post->ID,
+					'target_post_id' => $target_post_id,
+					'field_keys'     => $field_keys,
+				]
+			);
+
+			$result['message'] = 'Clone operation failed: ' . $e->getMessage();
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Log a clone or import and build its response
+	 *
+	 * @param int|string           $target_id Target post ID or ACF object ID.
+	 * @param int|string           $source_id Source post ID or ACF object ID (0 for imports).
+	 * @param string               $source_title Title the undo notice names as the source.
+	 * @param array<string, mixed> $clone_result Result from FieldCloner.
+	 * @param array<string, mixed> $clone_options Options the clone ran with.
+	 * @return array<string, mixed> Clone result
+	 */
+	private function complete_clone( int|string $target_id, int|string $source_id, string $source_title, array $clone_result, array $clone_options ): array {
+		// Log activity (a dry run changes nothing, so there is nothing to log).
+		if ( ! $clone_options['dry_run'] ) {
+			$this->log_clone_activity( $target_id, $source_id, $clone_result, $clone_options );
+		}
+
+		// The backup taken before writing, offered as "Undo last clone".
+		$backup_info = null;
+		if ( ! empty( $clone_result['backup_id'] ) ) {
+			$backup_info = [
+				'backup_id'    => $clone_result['backup_id'],
+				'created_at'   => current_time( 'mysql' ),
+				'source_title' => $source_title,
+			];
+
+			// WP-CLI runs have no user to offer the undo to.
+			if ( get_current_user_id() ) {
+				$this->remember_undo( get_current_user_id(), $target_id, $backup_info['backup_id'], $backup_info['source_title'] );
+			}
+		}
+
+		// New values of the written fields, to update the editor in place.
+		$editor_values = [
+			'fields'      => [],
+			'attachments' => [],
+		];
+		if ( ! $clone_options['dry_run'] && ! empty( $clone_result['cloned_fields'] ) ) {
+			$editor_values = FieldDetector::instance()->get_editor_values(
+				$target_id,
+				array_map(
+					static fn( $field_key ) => $clone_options['field_mapping'][ $field_key ] ?? $field_key,
+					$clone_result['cloned_fields']
+				)
+			);
+		}
+
+		return [
+			'message'        => $clone_result['message'],
+			'cloned_fields'  => $clone_result['cloned_fields'],
+			'skipped_fields' => $clone_result['skipped_fields'] ?? [],
+			'errors'         => $clone_result['errors'],
+			'warnings'       => $clone_result['warnings'],
+			'success'        => $clone_result['success'],
+			'dry_run'        => $clone_options['dry_run'],
+			'report'         => $clone_result['report'] ?? [],
+			'backup_info'    => $backup_info,
+			'field_values'   => $editor_values['fields'],
+			'attachments'    => (object) $editor_values['attachments'],
+		];
+	}
+
+	/**
+	 * Sanitize the row/sub-field parts, merge strategies and field mapping of a preset
+	 *
+	 * Parts, strategies and mapping are keyed by the preset's fields (their
+	 * key, or their name for fields sent without one); entries for other
+	 * fields are dropped. Called by PresetManager when it sanitizes a preset.
+	 *
+	 * @param array<string, mixed> $preset Raw preset data.
+	 * @return array<string, mixed> Preset data
+	 */
+	public function prepare_preset( array $preset ): array {
+		$fields     = is_array( $preset['fields'] ?? null ) ? $preset['fields'] : [];
+		$field_keys = [];
+		foreach ( $fields as $field ) {
+			if ( is_array( $field ) ) {
+				$field_keys[] = sanitize_text_field( (string) ( ! empty( $field['key'] ) ? $field['key'] : ( $field['name'] ?? '' ) ) );
+			}
+		}
+		$field_keys = array_filter( $field_keys );
+
+		$preset['field_parts']      = $this->prepare_field_parts( is_array( $preset['field_parts'] ?? null ) ? $preset['field_parts'] : [], $field_keys );
+		$preset['merge_strategies'] = $this->prepare_merge_strategies( is_array( $preset['merge_strategies'] ?? null ) ? $preset['merge_strategies'] : [], $field_keys );
+		$preset['field_mapping']    = $this->prepare_preset_field_mapping( is_array( $preset['field_mapping'] ?? null ) ? $preset['field_mapping'] : [], $field_keys );
+
+		return $preset;
+	}
+
+	/**
+	 * Build the preview of a backup
+	 *
+	 * Each field carries the same comparison entry as the clone diff, with
+	 * the backed-up value as `source` and the post's current value as `target`.
+	 *
+	 * @param string $backup_id Backup identifier.
+	 * @return array{backup_id: string, post_id: int|string, created_at: string, user: string, fields: array<array<string, mixed>>}|null Preview, or null if the backup is not found
+	 */
+	public function get_backup_preview( string $backup_id ): ?array {
+		$backup = FieldCloner::instance()->get_backup( $backup_id );
+
+		if ( null === $backup ) {
+			return null;
+		}
+
+		$detector = FieldDetector::instance();
+		$user     = get_userdata( $backup['user_id'] );
+		$fields   = [];
+
+		foreach ( $backup['field_data'] as $field_key => $field_info ) {
+			$field = get_field_object( (string) $field_key, $backup['post_id'], false, false );
+
+			if ( $field ) {
+				$entry = $detector->compare_values( $field, $field_info['value'], get_field( $field['key'], $backup['post_id'], false ) );
+			} else {
+				// The field was removed since; show the stored value as plain text.
+				$entry = $detector->compare_values(
+					[
+						'key'   => (string) $field_key,
+						'name'  => (string) $field_key,
+						'label' => $field_info['label'] ?? (string) $field_key,
+						'type'  => 'text',
+					],
+					is_scalar( $field_info['value'] ) ? $field_info['value'] : wp_json_encode( $field_info['value'] ),
+					null
+				);
+			}
+
+			// Restoring is keyed by the key stored in the backup.
+			$entry['key']     = (string) $field_key;
+			$entry['missing'] = ! $field;
+			$fields[]         = $entry;
+		}
+
+		return [
+			'backup_id'  => $backup['backup_id'],
+			'post_id'    => $backup['post_id'],
+			'created_at' => mysql2date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $backup['created_at'] ),
+			'user'       => $user ? $user->display_name : __( 'Unknown', 'silver-assist-acf-clone-fields' ),
+			'fields'     => $fields,
+		];
+	}
+
+	/**
+	 * Check whether a post type is enabled for cloning in the settings
+	 *
+	 * @param string $post_type Post type name.
+	 * @return bool True if enabled
+	 */
+	public function is_post_type_enabled( string $post_type ): bool {
+		return in_array( $post_type, (array) get_option( 'silver_assist_acf_clone_fields_enabled_post_types', [ 'post', 'page' ] ), true );
+	}
+
+	/**
+	 * Check whether the current user can manage presets for a post type
+	 *
+	 * The post type must be enabled for cloning and the user must be able
+	 * to edit posts of that type.
+	 *
+	 * @param string $post_type Post type name.
+	 * @return bool True if allowed
+	 */
+	public function can_use_presets( string $post_type ): bool {
+		$post_type_object = '' !== $post_type ? get_post_type_object( $post_type ) : null;
+
+		return $post_type_object
+			&& $this->is_post_type_enabled( $post_type )
+			&& current_user_can( $post_type_object->cap->edit_posts );
+	}
+
+	/**
+	 * Check whether fields may be cloned from one post into another
+	 *
+	 * Posts of the same type always qualify, and revisions of the target.
+	 * Across types the source type must be enabled for cloning and the user
+	 * must be able to edit the source.
+	 *
+	 * @param \WP_Post $source_post Source post.
+	 * @param \WP_Post $target_post Target post.
+	 * @return bool True if allowed
+	 */
+	public function can_clone_between( \WP_Post $source_post, \WP_Post $target_post ): bool {
+		// A revision can only be cloned back into its own post.
+		if ( 'revision' === $source_post->post_type ) {
+			return (int) $source_post->post_parent === $target_post->ID;
+		}
+
+		if ( $source_post->post_type === $target_post->post_type ) {
+			return true;
+		}
+
+		return $this->is_post_type_enabled( $source_post->post_type )
+			&& current_user_can( 'edit_post', $source_post->ID );
+	}
+
+	/**
+	 * Check whether a source post has the fields of the target's post type
+	 *
+	 * A revision counts as a post of its parent's type.
+	 *
+	 * @param \WP_Post $source_post Source post or revision.
+	 * @param \WP_Post $target_post Target post.
+	 * @return bool True if the post types match
+	 */
+	public function is_same_post_type( \WP_Post $source_post, \WP_Post $target_post ): bool {
+		$source_type = 'revision' === $source_post->post_type ? get_post_type( $source_post->post_parent ) : $source_post->post_type;
+
+		return $source_type === $target_post->post_type;
+	}
+
+	/**
+	 * Get the title a clone source is shown with
+	 *
+	 * @param \WP_Post $source_post Source post or revision.
+	 * @return string Post title, or the revision's date
+	 */
+	private function get_source_title( \WP_Post $source_post ): string {
+		if ( 'revision' !== $source_post->post_type ) {
+			return get_the_title( $source_post );
+		}
+
+		return sprintf(
+			/* translators: %s: date and time of the revision */
+			__( 'Revision from %s', 'silver-assist-acf-clone-fields' ),
+			get_post_modified_time( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), false, $source_post )
+		);
+	}
+
+	/**
+	 * Get the title a backup is shown with as a clone source
+	 *
+	 * @param string $created_at Backup creation time (MySQL format).
+	 * @return string Title
+	 */
+	private function get_backup_title( string $created_at ): string {
+		return sprintf(
+			/* translators: %s: date and time of the backup */
+			__( 'Backup from %s', 'silver-assist-acf-clone-fields' ),
+			mysql2date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $created_at )
+		);
+	}
+
+	/**
+	 * Prepare clone options from request
+	 *
+	 * Boolean options accept the strings JS sends ('true', 'false', '0').
+	 * `empty_values` must be one of FieldCloner::EMPTY_VALUE_POLICIES and
+	 * otherwise falls back to the site default.
+	 *
+	 * @param array<string, mixed> $request_options Raw options.
+	 * @return array<string, mixed> Prepared options
+	 */
+	public function prepare_clone_options( array $request_options ): array {
+		$default_options = [
+			'overwrite_existing'    => get_option( 'silver_assist_acf_clone_fields_default_overwrite', false ),
+			'create_backup'         => get_option( 'silver_assist_acf_clone_fields_create_backup', true ),
+			'copy_attachments'      => get_option( 'silver_assist_acf_clone_fields_copy_attachments', true ),
+			'duplicate_attachments' => false,
+			'duplicate_posts'       => false,
+			'validate_data'         => get_option( 'silver_assist_acf_clone_fields_validate_data', true ),
+			'dry_run'               => false,
+			'empty_values'          => get_option( 'silver_assist_acf_clone_fields_empty_values', 'clear' ),
+		];
+
+		if ( ! in_array( $default_options['empty_values'], FieldCloner::EMPTY_VALUE_POLICIES, true ) ) {
+			$default_options['empty_values'] = 'clear';
+		}
+
+		// Override with request options.
+		foreach ( $request_options as $key => $value ) {
+			if ( 'empty_values' === $key ) {
+				if ( in_array( $value, FieldCloner::EMPTY_VALUE_POLICIES, true ) ) {
+					$default_options[ $key ] = $value;
+				}
+				continue;
+			}
+
+			if ( array_key_exists( $key, $default_options ) ) {
+				// Handle boolean conversion - catch string 'false' and '0'.
+				if ( is_string( $value ) ) {
+					$value = filter_var( $value, FILTER_VALIDATE_BOOLEAN );
+				} else {
+					$value = (bool) $value;
+				}
+				$default_options[ $key ] = $value;
+			}
+		}
+
+		return $default_options;
+	}
+
+	/**
+	 * Sanitize the row/sub-field selection sent with a clone request
+	 *
+	 * Only entries for requested fields are kept. Rows are zero-based row
+	 * indexes, sub-fields are sub-field keys or names.
+	 *
+	 * @param array<string, mixed> $request_parts Raw parts keyed by field key.
+	 * @param array<string>        $field_keys Requested field keys.
+	 * @return array<string, array<string, array<int|string>>> Sanitized parts
+	 */
+	public function prepare_field_parts( array $request_parts, array $field_keys ): array {
+		$field_parts = [];
+
+		foreach ( $request_parts as $field_key => $parts ) {
+			$field_key = sanitize_text_field( (string) $field_key );
+			if ( ! in_array( $field_key, $field_keys, true ) || ! is_array( $parts ) ) {
+				continue;
+			}
+
+			if ( isset( $parts['rows'] ) && is_array( $parts['rows'] ) ) {
+				$field_parts[ $field_key ]['rows'] = array_values( array_unique( array_map( 'absint', $parts['rows'] ) ) );
+			}
+
+			if ( isset( $parts['sub_fields'] ) && is_array( $parts['sub_fields'] ) ) {
+				$field_parts[ $field_key ]['sub_fields'] = array_values( array_map( 'sanitize_text_field', $parts['sub_fields'] ) );
+			}
+		}
+
+		return $field_parts;
+	}
+
+	/**
+	 * Sanitize the per-field merge strategies sent with a clone request
+	 *
+	 * @param array<string, mixed> $request_strategies Raw strategies keyed by field key.
+	 * @param array<string>        $field_keys Requested field keys.
+	 * @return array<string, array{strategy: string, merge_key: string}> Sanitized strategies
+	 */
+	public function prepare_merge_strategies( array $request_strategies, array $field_keys ): array {
+		$merge_strategies = [];
+
+		foreach ( $request_strategies as $field_key => $strategy ) {
+			$field_key = sanitize_text_field( (string) $field_key );
+			if ( ! in_array( $field_key, $field_keys, true ) || ! is_array( $strategy ) ) {
+				continue;
+			}
+
+			$name = sanitize_key( $strategy['strategy'] ?? 'replace' );
+			if ( ! in_array( $name, [ 'replace', 'append', 'prepend', 'merge' ], true ) ) {
+				continue;
+			}
+
+			$merge_strategies[ $field_key ] = [
+				'strategy'  => $name,
+				'merge_key' => sanitize_text_field( $strategy['merge_key'] ?? '' ),
+			];
+		}
+
+		return $merge_strategies;
+	}
+
+	/**
+	 * Remember a user's last clone for "Undo last clone"
+	 *
+	 * Only the last clone is kept, for an hour, so the undo is still offered
+	 * after the edit screen reloads.
+	 *
+	 * @param int        $user_id User ID.
+	 * @param int|string $target_post_id Post (or ACF object) the clone wrote into.
+	 * @param string     $backup_id Backup taken before the clone.
+	 * @param string     $source_title Title of the source post.
+	 * @return void
+	 */
+	public function remember_undo( int $user_id, int|string $target_post_id, string $backup_id, string $source_title ): void {
+		set_transient(
+			self::UNDO_TRANSIENT_PREFIX . $user_id,
+			[
+				'backup_id'    => $backup_id,
+				'post_id'      => $target_post_id,
+				'source_title' => $source_title,
+			],
+			HOUR_IN_SECONDS
+		);
+	}
+
+	/**
+	 * Get the undo of a user's last clone into a post
+	 *
+	 * @param int        $user_id User ID.
+	 * @param int|string $post_id Post (or ACF object) being edited.
+	 * @return array{backup_id: string, post_id: int|string, source_title: string}|null Undo, or null if the last clone went elsewhere or its backup is gone
+	 */
+	public function get_undo( int $user_id, int|string $post_id ): ?array {
+		$undo = get_transient( self::UNDO_TRANSIENT_PREFIX . $user_id );
+
+		if ( ! is_array( $undo ) || (string) ( $undo['post_id'] ?? '' ) !== (string) $post_id ) {
+			return null;
+		}
+
+		if ( null === FieldCloner::instance()->get_backup( (string) $undo['backup_id'] ) ) {
+			$this->forget_undo( $user_id );
+			return null;
+		}
+
+		return $undo;
+	}
+
+	/**
+	 * Forget a user's last clone undo
+	 *
+	 * @param int    $user_id User ID.
+	 * @param string $backup_id Only forget the undo of this backup; '' for any.
+	 * @return void
+	 */
+	public function forget_undo( int $user_id, string $backup_id = '' ): void {
+		$undo = get_transient( self::UNDO_TRANSIENT_PREFIX . $user_id );
+
+		if ( '' === $backup_id || ( is_array( $undo ) && ( $undo['backup_id'] ?? '' ) === $backup_id ) ) {
+			delete_transient( self::UNDO_TRANSIENT_PREFIX . $user_id );
+		}
+	}
+
+	/**
+	 * Log clone activity
+	 *
+	 * Adds the clone to the target's recent activity (post meta) and to the
+	 * site-wide clone history. Imports have a source post ID of 0 and the
+	 * exported post's title in the `imported_from` option; clones from a
+	 * backup have the backup's date in the `backup_source` option instead.
+	 * Terms, users and options pages are recorded in the history with a
+	 * post ID of 0 and their IDs in the `source_object` and `target_object`
+	 * options; only posts keep recent activity.
+	 *
+	 * @param int|string           $target_post_id Target post ID or ACF object ID.
+	 * @param int|string           $source_post_id Source post ID or ACF object ID.
+	 * @param array<string, mixed> $clone_result Clone result.
+	 * @param array<string, mixed> $clone_options Options the clone ran with.
+	 * @return void
+	 */
+	public function log_clone_activity( int|string $target_post_id, int|string $source_post_id, array $clone_result, array $clone_options = [] ): void {
+		$history_options = $clone_options;
+		if ( ! is_int( $source_post_id ) ) {
+			$history_options['source_object'] = $source_post_id;
+		}
+		if ( ! is_int( $target_post_id ) ) {
+			$history_options['target_object'] = $target_post_id;
+		}
+
+		CloneHistory::instance()->record(
+			is_int( $source_post_id ) ? $source_post_id : 0,
+			is_int( $target_post_id ) ? $target_post_id : 0,
+			$clone_result,
+			$history_options
+		);
+
+		if ( ! is_int( $target_post_id ) ) {
+			return;
+		}
+
+		$activity = get_post_meta( $target_post_id, '_acf_clone_activity', true );
+		if ( ! is_array( $activity ) ) {
+			$activity = [];
+		}
+
+		$source_post  = is_int( $source_post_id ) ? get_post( $source_post_id ) : null;
+		$source_title = $source_post ? $source_post->post_title : "Post #{$source_post_id}";
+
+		if ( ! empty( $clone_options['backup_source'] ) ) {
+			$source_title = "Backup from {$clone_options['backup_source']}";
+		} elseif ( ! is_int( $source_post_id ) ) {
+			$source_title = AcfObjects::instance()->get_title( $source_post_id );
+		} elseif ( 0 === $source_post_id ) {
+			$source_title = empty( $clone_options['imported_from'] ) ? 'Imported file' : "Imported file ({$clone_options['imported_from']})";
+		} elseif ( $source_post && 'revision' === $source_post->post_type ) {
+			$source_title = "Revision from {$source_post->post_modified}";
+		}
+
+		$activity[] = [
+			'time'           => current_time( 'Y-m-d H:i:s' ),
+			'timestamp'      => time(),
+			'source_post_id' => $source_post_id,
+			'source_title'   => $source_title,
+			'fields_cloned'  => count( $clone_result['cloned_fields'] ),
+			'success'        => $clone_result['success'],
+			'user_id'        => get_current_user_id(),
+		];
+
+		// Keep only last 10 activities.
+		$activity = array_slice( $activity, -10, 10 );
+
+		update_post_meta( $target_post_id, '_acf_clone_activity', $activity );
+	}
+
+	/**
+	 * Build the response of a field selection check
+	 *
+	 * @param array<array<string, mixed>> $fields Result per field from FieldCloner::validate_fields().
+	 * @return array{fields: array<array<string, mixed>>, has_errors: bool, has_warnings: bool, can_proceed: bool} Validation result
+	 */
+	private function summarize_validation( array $fields ): array {
+		$statuses = array_column( $fields, 'status' );
+
+		return [
+			'fields'       => $fields,
+			'has_errors'   => in_array( 'error', $statuses, true ),
+			'has_warnings' => in_array( 'warning', $statuses, true ),
+			'can_proceed'  => ! empty( $fields ) && ! in_array( 'error', $statuses, true ),
+		];
+	}
+
+	/**
+	 * Sanitize requested source-to-target field mapping
+	 *
+	 * Mappings for fields that are not being cloned, or to fields the target
+	 * post does not have, are dropped.
+	 *
+	 * @param array<string, mixed> $request_mapping Raw mapping from the request.
+	 * @param array<string>        $field_keys Sanitized field keys being cloned.
+	 * @param array<string>        $target_field_keys Keys of the target post's fields.
+	 * @return array<string, string> Target field key by source field key
+	 */
+	private function prepare_field_mapping( array $request_mapping, array $field_keys, array $target_field_keys ): array {
+		$field_mapping = [];
+
+		foreach ( $request_mapping as $field_key => $target_field_key ) {
+			$field_key        = sanitize_text_field( (string) $field_key );
+			$target_field_key = is_string( $target_field_key ) ? sanitize_text_field( $target_field_key ) : '';
+
+			if ( in_array( $field_key, $field_keys, true ) && in_array( $target_field_key, $target_field_keys, true ) ) {
+				$field_mapping[ $field_key ] = $target_field_key;
+			}
+		}
+
+		return $field_mapping;
+	}
+
+	/**
+	 * Sanitize the field mapping saved with a preset
+	 *
+	 * Unlike prepare_field_mapping() there is no target post to check the
+	 * mapped keys against; they are checked again when the clone runs.
+	 *
+	 * @param array<string, mixed> $request_mapping Raw mapping from the request.
+	 * @param array<string>        $field_keys Sanitized preset field keys.
+	 * @return array<string, string> Target field key by source field key
+	 */
+	private function prepare_preset_field_mapping( array $request_mapping, array $field_keys ): array {
+		$field_mapping = [];
+
+		foreach ( $request_mapping as $field_key => $target_field_key ) {
+			$field_key = sanitize_text_field( (string) $field_key );
+
+			if ( in_array( $field_key, $field_keys, true ) && is_string( $target_field_key ) && '' !== $target_field_key ) {
+				$field_mapping[ $field_key ] = sanitize_text_field( $target_field_key );
+			}
+		}
+
+		return $field_mapping;
+	}
+
+	/**
+	 * Build source posts query arguments from the picker's filters
+	 *
+	 * Applies the optional search, status, author and modified-date filters
+	 * of the source post picker.
+	 *
+	 * @param int                  $current_post_id Post being edited (excluded from results).
+	 * @param int                  $per_page Page size.
+	 * @param int                  $offset Number of posts to skip.
+	 * @param array<string, mixed> $filters Raw search, status, author and modified_within filters.
+	 * @return array<string, mixed> WP_Query arguments
+	 */
+	private function build_source_posts_query_args( int $current_post_id, int $per_page, int $offset, array $filters ): array {
+		$allowed_statuses = self::SOURCE_POST_STATUSES;
+
+		$search          = sanitize_text_field( (string) ( $filters['search'] ?? '' ) );
+		$status          = sanitize_key( (string) ( $filters['status'] ?? '' ) );
+		$author          = (int) ( $filters['author'] ?? 0 );
+		$modified_within = (int) ( $filters['modified_within'] ?? 0 );
+
+		$args = [
+			'post__not_in'   => [ $current_post_id ],
+			'posts_per_page' => $per_page,
+			'offset'         => $offset,
+			'post_status'    => in_array( $status, $allowed_statuses, true ) ? $status : $allowed_statuses,
+			'orderby'        => 'modified',
+			'order'          => 'DESC',
+		];
+
+		if ( '' !== $search ) {
+			$args['s'] = $search;
+		}
+
+		if ( $author > 0 ) {
+			$args['author'] = $author;
+		}
+
+		if ( $modified_within > 0 ) {
+			$args['date_query'] = [
+				[
+					'column'    => 'post_modified',
+					'after'     => sprintf( '%d days ago', $modified_within ),
+					'inclusive' => true,
+				],
+			];
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Get authors available as a source post filter
+	 *
+	 * Authors of posts of the type in any status the picker lists. Users who
+	 * cannot edit others' posts of the type only ever see their own posts,
+	 * so they only get themselves as a choice.
+	 *
+	 * @param string $post_type Post type being cloned.
+	 * @return array<array{id: int, name: string}> Author choices
+	 */
+	private function get_source_post_authors( string $post_type ): array {
+		global $wpdb;
+
+		$post_type_object = get_post_type_object( $post_type );
+
+		if ( ! $post_type_object || ! current_user_can( $post_type_object->cap->edit_others_posts ) ) {
+			$user = wp_get_current_user();
+			return [
+				[
+					'id'   => (int) $user->ID,
+					'name' => $user->display_name,
+				],
+			];
+		}
+
+		$placeholders = implode( ', ', array_fill( 0, count( self::SOURCE_POST_STATUSES ), '%s' ) );
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- $placeholders holds placeholders only.
+		$author_ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT DISTINCT post_author FROM {$wpdb->posts} WHERE post_type = %s AND post_status IN ({$placeholders})",
+				array_merge( [ $post_type ], self::SOURCE_POST_STATUSES )
+			)
+		);
+		// phpcs:enable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+		$author_ids = array_filter( array_map( 'intval', $author_ids ) );
+		if ( empty( $author_ids ) ) {
+			return [];
+		}
+
+		$users = get_users(
+			[
+				'include' => $author_ids,
+				'orderby' => 'display_name',
+				'fields'  => [ 'ID', 'display_name' ],
+			]
+		);
+
+		return array_map(
+			static fn( $user ): array => [
+				'id'   => (int) $user->ID,
+				'name' => $user->display_name,
+			],
+			$users
+		);
+	}
+
+	/**
+	 * Format posts for the source post picker
+	 *
+	 * @param array<\WP_Post> $posts Posts to format.
+	 * @return array<array<string, mixed>> Formatted posts
+	 */
+	private function format_posts_for_response( array $posts ): array {
+		$formatted = [];
+
+		foreach ( $posts as $post ) {
+			$field_stats = FieldDetector::instance()->get_field_statistics( $post->ID );
+
+			$formatted[] = [
+				'id'           => $post->ID,
+				'title'        => $post->post_title,
+				'status'       => $post->post_status,
+				'author'       => get_the_author_meta( 'display_name', (int) $post->post_author ),
+				'modified'     => get_post_modified_time( 'Y-m-d H:i:s', false, $post->ID ),
+				'modified_ago' => human_time_diff( (int) get_post_modified_time( 'U', false, $post->ID ), time() ) . ' ago',
+				'field_count'  => $field_stats['total_fields'] ?? 0,
+				'field_stats'  => $field_stats,
+				'edit_url'     => get_edit_post_link( $post->ID ),
+				'preview_url'  => get_permalink( $post->ID ),
+			];
+		}
+
+		return $formatted;
+	}
+
+	/**
+	 * Format fields for the field picker
+	 *
+	 * @param array<string, mixed> $source_fields Source fields.
+	 * @param array<string, mixed> $target_fields Target fields.
+	 * @return list<array<string, mixed>> Formatted fields
+	 */
+	private function format_fields_for_response( array $source_fields, array $target_fields ): array {
+		$formatted = [];
+
+		foreach ( $source_fields as $group_key => $group_data ) {
+			$formatted_group = [
+				'key'    => $group_key,
+				'title'  => $group_data['title'],
+				'fields' => [],
+			];
+
+			foreach ( $group_data['fields'] as $field_key => $field_data ) {
+				// Check if target has this field and has value.
+				$target_field_data = $target_fields[ $group_key ]['fields'][ $field_key ] ?? null;
+				$target_has_value  = $target_field_data ? $target_field_data['has_value'] : false;
+
+				$formatted_field = [
+					'key'              => $field_key,
+					'name'             => $field_data['name'],
+					'label'            => $field_data['label'],
+					'type'             => $field_data['type'],
+					'has_value'        => $field_data['has_value'],
+					'target_has_value' => $target_has_value,
+					'is_cloneable'     => $field_data['is_cloneable'],
+					'preview'          => $this->get_field_preview( $field_data ),
+					'conflict_warning' => $target_has_value,
+				];
+
+				// Add type-specific data.
+				$formatted_field = $this->add_type_specific_data( $formatted_field, $field_data );
+
+				if ( $field_data['is_cloneable'] ) {
+					$formatted_group['fields'][] = $formatted_field;
+				}
+			}
+
+			if ( ! empty( $formatted_group['fields'] ) ) {
+				$formatted[] = $formatted_group;
+			}
+		}
+
+		return $formatted;
+	}
+
+	/**
+	 * Add type-specific data to field
+	 *
+	 * @param array<string, mixed> $formatted_field Formatted field.
+	 * @param array<string, mixed> $field_data Raw field data.
+	 * @return array<string, mixed> Field with type-specific data
+	 */
+	private function add_type_specific_data( array $formatted_field, array $field_data ): array {
+		switch ( $field_data['type'] ) {
+			case 'repeater':
+				$formatted_field['row_count']        = $field_data['row_count'] ?? 0;
+				$formatted_field['sub_fields_count'] = count( $field_data['sub_fields'] ?? [] );
+				$formatted_field['sub_fields']       = $this->format_sub_fields_for_response( $field_data['sub_fields'] ?? [] );
+				$formatted_field['rows']             = $field_data['rows'] ?? [];
+				break;
+
+			case 'group':
+				$formatted_field['sub_fields_count'] = count( $field_data['sub_fields'] ?? [] );
+				$formatted_field['sub_fields']       = $this->format_sub_fields_for_response( $field_data['sub_fields'] ?? [] );
+				break;
+
+			case 'flexible_content':
+				$formatted_field['layouts_count'] = count( $field_data['layouts'] ?? [] );
+				$formatted_field['rows']          = $field_data['rows'] ?? [];
+				$formatted_field['sub_fields']    = $this->format_layout_sub_fields_for_response( $field_data['layouts'] ?? [] );
+				break;
+
+			case 'image':
+			case 'file':
+				if ( isset( $field_data['attachment_info'] ) ) {
+					$formatted_field['attachment_info'] = $field_data['attachment_info'];
+				}
+				break;
+		}
+
+		return $formatted_field;
+	}
+
+	/**
+	 * Format sub-fields for part selection in the frontend
+	 *
+	 * @param array<string, array<string, mixed>> $sub_fields Sub-fields keyed by field key.
+	 * @return list<array<string, string>> Sub-field key, name, label and type
+	 */
+	private function format_sub_fields_for_response( array $sub_fields ): array {
+		$formatted = [];
+
+		foreach ( $sub_fields as $sub_field ) {
+			$formatted[] = [
+				'key'   => $sub_field['key'],
+				'name'  => $sub_field['name'],
+				'label' => $sub_field['label'],
+				'type'  => $sub_field['type'],
+			];
+		}
+
+		return $formatted;
+	}
+
+	/**
+	 * List the distinct sub-fields of all flexible content layouts
+	 *
+	 * Sub-fields are matched by name across layouts, so each name is listed
+	 * once (with the key of its first occurrence).
+	 *
+	 * @param array<string, array<string, mixed>> $layouts Layouts keyed by layout key.
+	 * @return list<array<string, string>> Sub-field key, name, label and type
+	 */
+	private function format_layout_sub_fields_for_response( array $layouts ): array {
+		$sub_fields = [];
+
+		foreach ( $layouts as $layout ) {
+			foreach ( $layout['sub_fields'] ?? [] as $sub_field ) {
+				if ( ! isset( $sub_fields[ $sub_field['name'] ] ) ) {
+					$sub_fields[ $sub_field['name'] ] = $sub_field;
+				}
+			}
+		}
+
+		return $this->format_sub_fields_for_response( $sub_fields );
+	}
+
+	/**
+	 * Get field preview for display
+	 *
+	 * Uses the `preview` handler the field type registered with the
+	 * FieldTypeRegistry.
+	 *
+	 * @param array<string, mixed> $field_data Field data.
+	 * @return string Field preview
+	 */
+	private function get_field_preview( array $field_data ): string {
+		if ( ! $field_data['has_value'] ) {
+			return __( '(empty)', 'silver-assist-acf-clone-fields' );
+		}
+
+		$preview = FieldTypeRegistry::instance()->get_handler( $field_data['type'], 'preview' );
+
+		if ( null === $preview ) {
+			return __( 'Has value', 'silver-assist-acf-clone-fields' );
+		}
+
+		return (string) $preview( $field_data );
+	}
+
+	/**
+	 * Register the built-in field type previews
+	 *
+	 * Called by FieldTypeRegistry before other plugins register theirs.
+	 *
+	 * @param FieldTypeRegistry $registry Field type registry.
+	 * @return void
+	 */
+	public function register_field_types( FieldTypeRegistry $registry ): void {
+		$scalar_preview = static fn( array $field_data ): string => is_scalar( $field_data['value'] ) ? (string) $field_data['value'] : '';
+
+		$previews = [
+			'text'             => $this->get_text_preview( ... ),
+			'textarea'         => $this->get_text_preview( ... ),
+			'email'            => $this->get_text_preview( ... ),
+			'url'              => $this->get_text_preview( ... ),
+			'number'           => $scalar_preview,
+			'range'            => $scalar_preview,
+			'select'           => $this->get_choice_preview( ... ),
+			'radio'            => $this->get_choice_preview( ... ),
+			'button_group'     => $this->get_choice_preview( ... ),
+			'checkbox'         => $this->get_choice_preview( ... ),
+			'date_picker'      => $scalar_preview,
+			'date_time_picker' => $scalar_preview,
+			'time_picker'      => $scalar_preview,
+			'color_picker'     => $scalar_preview,
+			'true_false'       => static fn( array $field_data ): string => $field_data['value'] ? __( 'Yes', 'silver-assist-acf-clone-fields' ) : __( 'No', 'silver-assist-acf-clone-fields' ),
+			'link'             => $this->get_link_preview( ... ),
+			'image'            => static fn( array $field_data ): string => $field_data['attachment_info']['title'] ?? __( 'Image', 'silver-assist-acf-clone-fields' ),
+			'file'             => static fn( array $field_data ): string => $field_data['attachment_info']['filename'] ?? __( 'File', 'silver-assist-acf-clone-fields' ),
+			'gallery'          => $this->get_gallery_preview( ... ),
+			'repeater'         => $this->get_repeater_preview( ... ),
+			'group'            => $this->get_group_preview( ... ),
+			'flexible_content' => $this->get_flexible_content_preview( ... ),
+		];
+
+		foreach ( $previews as $type => $preview ) {
+			$registry->register( $type, [ 'preview' => $preview ] );
+		}
+	}
+
+	/**
+	 * Preview a text value as its first words
+	 *
+	 * @param array<string, mixed> $field_data Field data.
+	 * @return string Preview
+	 */
+	private function get_text_preview( array $field_data ): string {
+		return is_string( $field_data['value'] ) ? wp_trim_words( wp_strip_all_tags( $field_data['value'] ), 8 ) : '';
+	}
+
+	/**
+	 * Preview the chosen option(s) of a choice field
+	 *
+	 * @param array<string, mixed> $field_data Field data.
+	 * @return string Preview
+	 */
+	private function get_choice_preview( array $field_data ): string {
+		$value = $field_data['value'];
+
+		if ( is_array( $value ) ) {
+			return implode( ', ', array_slice( $value, 0, 3 ) ) . ( count( $value ) > 3 ? '...' : '' );
+		}
+
+		return is_string( $value ) ? $value : '';
+	}
+
+	/**
+	 * Preview a link as its title, or its URL
+	 *
+	 * @param array<string, mixed> $field_data Field data.
+	 * @return string Preview
+	 */
+	private function get_link_preview( array $field_data ): string {
+		$value = $field_data['value'];
+
+		if ( is_array( $value ) ) {
+			return (string) ( ! empty( $value['title'] ) ? $value['title'] : ( $value['url'] ?? '' ) );
+		}
+
+		return is_string( $value ) ? $value : '';
+	}
+
+	/**
+	 * Preview a gallery as its number of images
+	 *
+	 * @param array<string, mixed> $field_data Field data.
+	 * @return string Preview
+	 */
+	private function get_gallery_preview( array $field_data ): string {
+		$count = is_array( $field_data['value'] ) ? count( $field_data['value'] ) : 0;
+
+		return sprintf(
+			/* translators: %d: number of images */
+			_n( '%d image', '%d images', $count, 'silver-assist-acf-clone-fields' ),
+			$count
+		);
+	}
+
+	/**
+	 * Preview a repeater as its number of rows
+	 *
+	 * @param array<string, mixed> $field_data Field data.
+	 * @return string Preview
+	 */
+	private function get_repeater_preview( array $field_data ): string {
+		$count = $field_data['row_count'] ?? 0;
+
+		return sprintf(
+			/* translators: %d: number of rows */
+			_n( '%d row', '%d rows', $count, 'silver-assist-acf-clone-fields' ),
+			$count
+		);
+	}
+
+	/**
+	 * Preview a group as its number of sub-fields
+	 *
+	 * @param array<string, mixed> $field_data Field data.
+	 * @return string Preview
+	 */
+	private function get_group_preview( array $field_data ): string {
+		$count = count( $field_data['sub_fields'] ?? [] );
+
+		return sprintf(
+			/* translators: %d: number of fields */
+			_n( '%d field', '%d fields', $count, 'silver-assist-acf-clone-fields' ),
+			$count
+		);
+	}
+
+	/**
+	 * Preview flexible content as its number of layouts
+	 *
+	 * @param array<string, mixed> $field_data Field data.
+	 * @return string Preview
+	 */
+	private function get_flexible_content_preview( array $field_data ): string {
+		$count = count( $field_data['layouts'] ?? [] );
+
+		return sprintf(
+			/* translators: %d: number of layouts */
+			_n( '%d layout', '%d layouts', $count, 'silver-assist-acf-clone-fields' ),
+			$count
+		);
+	}
+
+	/**
+	 * List the target post's fields that source fields can be mapped to
+	 *
+	 * @param array<string, mixed> $target_fields Target fields from FieldDetector::get_available_fields().
+	 * @return array<array{key: string, name: string, label: string, type: string, group: string}> Mapping targets
+	 */
+	private function get_mapping_targets( array $target_fields ): array {
+		$mapping_targets = [];
+
+		foreach ( $target_fields as $group_data ) {
+			foreach ( $group_data['fields'] as $field_key => $field_data ) {
+				if ( empty( $field_data['is_cloneable'] ) ) {
+					continue;
+				}
+
+				$mapping_targets[] = [
+					'key'   => (string) $field_key,
+					'name'  => $field_data['name'],
+					'label' => $field_data['label'],
+					'type'  => $field_data['type'],
+					'group' => $group_data['title'],
+				];
+			}
+		}
+
+		return $mapping_targets;
+	}
+
+	/**
+	 * Add the compatible target fields to each source field of a cross-type clone
+	 *
+	 * `mapping_targets` lists the keys of type-compatible target fields and
+	 * `mapped_to` suggests the one with the same name, if any.
+	 *
+	 * @param array<array<string, mixed>> $formatted_groups Groups from format_fields_for_response().
+	 * @param array<array<string, mixed>> $mapping_targets Targets from get_mapping_targets().
+	 * @return array<array<string, mixed>> Groups with mapping data
+	 */
+	private function add_field_mapping_data( array $formatted_groups, array $mapping_targets ): array {
+		$cloner = FieldCloner::instance();
+
+		foreach ( $formatted_groups as &$group ) {
+			foreach ( $group['fields'] as &$field ) {
+				$compatible = array_values(
+					array_filter(
+						$mapping_targets,
+						static fn( $target ) => $cloner->are_field_types_compatible( $field['type'], $target['type'] )
+					)
+				);
+
+				$same_name = array_values( array_filter( $compatible, static fn( $target ) => $target['name'] === $field['name'] ) );
+
+				$field['mapping_targets'] = array_column( $compatible, 'key' );
+				$field['mapped_to']       = $same_name[0]['key'] ?? '';
+			}
+			unset( $field );
+		}
+		unset( $group );
+
+		return $formatted_groups;
+	}
+}
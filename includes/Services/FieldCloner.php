@@ -33,6 +33,51 @@ class FieldCloner implements LoadableInterface {
 	 */
 	private static ?FieldCloner $instance = null;
 
+	/**
+	 * Field types whose raw values can be written into each other
+	 *
+	 * A field can always be mapped to a field of the same type; these groups
+	 * add the cross-type pairs that store values in the same shape.
+	 *
+	 * @var array<array<string>>
+	 */
+	private const COMPATIBLE_FIELD_TYPES = [
+		[ 'text', 'textarea', 'wysiwyg', 'email', 'url', 'oembed' ],
+		[ 'number', 'range' ],
+		[ 'select', 'radio', 'button_group' ],
+		[ 'image', 'file' ],
+		[ 'post_object', 'page_link', 'relationship' ],
+	];
+
+	/**
+	 * Field types whose values must be one of the field's choices
+	 *
+	 * @var array<string>
+	 */
+	private const CHOICE_FIELD_TYPES = [ 'select', 'radio', 'checkbox', 'button_group' ];
+
+	/**
+	 * Empty-value policies: what to do with a field that is empty in the source
+	 *
+	 * @var array<string>
+	 */
+	public const EMPTY_VALUE_POLICIES = [ 'skip', 'clear', 'keep' ];
+
+	/**
+	 * Copies made by the current clone, old ID => new ID per `attachment`
+	 * and `post`, so a reference used twice is duplicated once
+	 *
+	 * @var array<string, array<int, int>>
+	 */
+	private array $duplicated_ids = [];
+
+	/**
+	 * Post the current clone writes into; duplicated attachments are attached to it
+	 *
+	 * @var int
+	 */
+	private int $duplicate_parent_id = 0;
+
 
 
 	/**
@@ -79,15 +124,51 @@ class FieldCloner implements LoadableInterface {
 	/**
 	 * Clone selected fields from source post to target post
 	 *
-	 * @param int                  $source_post_id Source post ID.
-	 * @param int                  $target_post_id Target post ID.
+	 * With the `dry_run` option the whole pipeline (lookup, overwrite checks,
+	 * value processing, validation) runs but nothing is written: no backup,
+	 * no update_field() call and no before/after clone actions. The result's
+	 * `report` then describes what a real run would do.
+	 *
+	 * The `field_parts` option narrows container fields to a selection,
+	 * keyed by field key: `rows` (zero-based indexes, repeater and flexible
+	 * content) and `sub_fields` (keys or names, repeater and group).
+	 *
+	 * The `merge_strategies` option, keyed by field key, decides how repeater
+	 * and flexible content rows are combined with the target's rows:
+	 * `replace` (default), `append`, `prepend` or `merge` by `merge_key`.
+	 *
+	 * Posts of different types can only be combined with `allow_cross_type`.
+	 * The `field_mapping` option, keyed by source field key, then names the
+	 * target field each source field is written into; sub-fields of container
+	 * fields are matched by name. Unmapped fields keep their own key.
+	 *
+	 * The `empty_values` option decides what happens to fields that are empty
+	 * in the source: `skip` them, `clear` the target's value (default, so the
+	 * empty value is copied as before the option existed), or `keep` the
+	 * target's value. Fields left unchanged this way are listed in
+	 * `skipped_fields` rather than `errors`.
+	 *
+	 * The `duplicate_attachments` and `duplicate_posts` options deep-copy
+	 * the attachments (image, file, gallery) and posts (relationship, post
+	 * object) referenced by the cloned values, at any nesting level, and
+	 * write the copies' IDs instead. Dry runs make no copies.
+	 *
+	 * The result's `backup_id` is the backup taken before writing, or null
+	 * when none was taken (disabled, dry run, or no target values to save).
+	 *
+	 * Fields are identified by ACF field key. Field names are still accepted:
+	 * they are resolved to keys on the source, along with the options keyed
+	 * by them, and the result, report and backup list the keys.
+	 *
+	 * @param int|string           $source_post_id Source post ID.
+	 * @param int|string           $target_post_id Target post ID.
 	 * @param array<string>        $field_keys Array of field keys to clone.
 	 * @param array<string, mixed> $options Cloning options.
 	 * @return array<string, mixed> Result of cloning operation
 	 */
-	public function clone_fields( int $source_post_id, int $target_post_id, array $field_keys, array $options = [] ): array {
+	public function clone_fields( int|string $source_post_id, int|string $target_post_id, array $field_keys, array $options = [] ): array {
 		// Validate inputs.
-		$validation_result = $this->validate_clone_request( $source_post_id, $target_post_id, $field_keys );
+		$validation_result = $this->validate_clone_request( $source_post_id, $target_post_id, $field_keys, ! empty( $options['allow_cross_type'] ) );
 		if ( ! $validation_result['valid'] ) {
 			return [
 				'success'       => false,
@@ -97,50 +178,158 @@ class FieldCloner implements LoadableInterface {
 			];
 		}
 
+		return $this->run_clone( $source_post_id, $target_post_id, $field_keys, $options );
+	}
+
+	/**
+	 * Import field values into a post
+	 *
+	 * Writes raw values (keyed by field key, e.g. from an exported package)
+	 * through the same pipeline as clone_fields(), with the same options,
+	 * backup and report, except `field_mapping`. Hooks and logs see a source
+	 * post ID of 0.
+	 *
+	 * @param int|string           $target_post_id Target post ID.
+	 * @param array<string, mixed> $values Raw values keyed by field key.
+	 * @param array<string, mixed> $options Cloning options.
+	 * @return array<string, mixed> Result of the import, as for clone_fields()
+	 */
+	public function import_values( int $target_post_id, array $values, array $options = [] ): array {
+		$message = '';
+
+		if ( ! get_post( $target_post_id ) ) {
+			$message = 'Target post not found';
+		} elseif ( ! Helpers::can_user_edit_post( $target_post_id ) ) {
+			$message = 'You do not have permission to edit the target post';
+		} elseif ( empty( $values ) ) {
+			$message = 'No field values provided for import';
+		}
+
+		if ( '' !== $message ) {
+			return [
+				'success'       => false,
+				'message'       => $message,
+				'cloned_fields' => [],
+				'errors'        => [ $message ],
+			];
+		}
+
+		$options['field_mapping'] = [];
+
+		return $this->run_clone( 0, $target_post_id, array_map( 'strval', array_keys( $values ) ), $options, $values );
+	}
+
+	/**
+	 * Run a validated clone or import
+	 *
+	 * @param int|string                $source_post_id Source post ID (0 for imports).
+	 * @param int|string                $target_post_id Target post ID.
+	 * @param array<string>             $field_keys Field keys to write.
+	 * @param array<string, mixed>      $options Cloning options.
+	 * @param array<string, mixed>|null $source_values Imported raw values keyed by field key, or null to read the source post.
+	 * @return array<string, mixed> Result of cloning operation
+	 */
+	private function run_clone( int|string $source_post_id, int|string $target_post_id, array $field_keys, array $options, ?array $source_values = null ): array {
 		// Default options.
 		$default_options = [
-			'overwrite_existing' => false,
-			'create_backup'      => true,
-			'copy_attachments'   => true,
-			'validate_data'      => true,
+			'overwrite_existing'    => false,
+			'create_backup'         => true,
+			'copy_attachments'      => true,
+			'duplicate_attachments' => false,
+			'duplicate_posts'       => false,
+			'validate_data'         => true,
+			'dry_run'               => false,
+			'field_parts'           => [],
+			'merge_strategies'      => [],
+			'allow_cross_type'      => false,
+			'field_mapping'         => [],
+			'empty_values'          => 'clear',
 		];
 		$options         = array_merge( $default_options, $options );
+		$dry_run         = (bool) $options['dry_run'];
+
+		// Names are resolved where the values come from: the source, or the
+		// target's configuration for imported values.
+		$key_map    = $this->map_field_keys( $field_keys, null !== $source_values ? $target_post_id : $source_post_id );
+		$field_keys = array_values( array_unique( $key_map ) );
+		foreach ( [ 'field_parts', 'merge_strategies', 'field_mapping' ] as $setting ) {
+			$options[ $setting ] = $this->rekey_by_field_key( (array) $options[ $setting ], $key_map );
+		}
+		if ( null !== $source_values ) {
+			$source_values = $this->rekey_by_field_key( $source_values, $key_map );
+		}
+
+		$this->duplicated_ids      = [
+			'attachment' => [],
+			'post'       => [],
+		];
+		$this->duplicate_parent_id = is_int( $target_post_id ) ? $target_post_id : 0;
+
+		if ( ! in_array( $options['empty_values'], self::EMPTY_VALUE_POLICIES, true ) ) {
+			$options['empty_values'] = 'clear';
+		}
 
-		// Create backup if requested.
-		if ( $options['create_backup'] ) {
-			$this->create_backup( $target_post_id, $field_keys );
+		// Create backup if requested (of the target fields actually written).
+		$backup_id = false;
+		if ( $options['create_backup'] && ! $dry_run ) {
+			$target_field_keys = array_map(
+				static fn( $field_key ) => $options['field_mapping'][ $field_key ] ?? $field_key,
+				$field_keys
+			);
+
+			$backup_id = $this->create_backup( $target_post_id, $target_field_keys );
 		}
 
 		$result = [
-			'success'       => true,
-			'message'       => '',
-			'cloned_fields' => [],
-			'errors'        => [],
-			'warnings'      => [],
+			'success'        => true,
+			'message'        => '',
+			'cloned_fields'  => [],
+			'skipped_fields' => [],
+			'errors'         => [],
+			'warnings'       => [],
+			'dry_run'        => $dry_run,
+			'backup_id'      => $backup_id ? $backup_id : null,
+			'report'         => [],
 		];
 
 		// Fire before clone action.
-		do_action( 'silver_assist_acf_clone_fields_before_clone', $source_post_id, $target_post_id, $field_keys, $options );
+		if ( ! $dry_run ) {
+			do_action( 'silver_assist_acf_clone_fields_before_clone', $source_post_id, $target_post_id, $field_keys, $options );
+		}
 
 		// Process each field.
 		foreach ( $field_keys as $field_key ) {
-			$clone_result = $this->clone_single_field( $source_post_id, $target_post_id, $field_key, $options );
+			$clone_result = $this->clone_single_field( $source_post_id, $target_post_id, $field_key, $options, $source_values );
 
-			if ( $clone_result['success'] ) {
-				$result['cloned_fields'][] = $field_key;
-			} else {
+			if ( ! $clone_result['success'] ) {
 				$result['errors'][] = $clone_result['message'];
+			} elseif ( 'skipped' === $clone_result['status'] ) {
+				$result['skipped_fields'][] = $field_key;
+			} else {
+				$result['cloned_fields'][] = $field_key;
 			}
 
 			if ( ! empty( $clone_result['warnings'] ) ) {
 				$result['warnings'] = array_merge( $result['warnings'], $clone_result['warnings'] );
 			}
+
+			$result['report'][] = [
+				'field'    => $field_key,
+				'label'    => $clone_result['label'] ?? $field_key,
+				'status'   => $clone_result['status'],
+				'message'  => $clone_result['message'],
+				'warnings' => $clone_result['warnings'],
+			];
 		}
 
 		// Determine overall success.
 		$result['success'] = empty( $result['errors'] );
 		$result['message'] = $this->generate_result_message( $result );
 
+		if ( $dry_run ) {
+			return $result;
+		}
+
 		// Fire after clone action.
 		do_action( 'silver_assist_acf_clone_fields_after_clone', $target_post_id, $result );
 
@@ -150,67 +339,238 @@ class FieldCloner implements LoadableInterface {
 		return $result;
 	}
 
+	/**
+	 * Map field selectors to field keys
+	 *
+	 * @param array<string> $field_keys Field keys or names.
+	 * @param int|string    $post_id Post or ACF object ID to resolve names on.
+	 * @return array<string, string> Field key by selector; selectors that match no field map to themselves
+	 */
+	private function map_field_keys( array $field_keys, int|string $post_id ): array {
+		$key_map = [];
+
+		foreach ( $field_keys as $selector ) {
+			$selector             = (string) $selector;
+			$key_map[ $selector ] = FieldDetector::instance()->resolve_field_key( $selector, $post_id ) ?? $selector;
+		}
+
+		return $key_map;
+	}
+
+	/**
+	 * Re-key per-field settings or values from selectors to field keys
+	 *
+	 * An entry already stored under the field key wins over one stored
+	 * under the field's name.
+	 *
+	 * @param array<string, mixed>  $entries Entries keyed by field key or name.
+	 * @param array<string, string> $key_map Field key by selector (see map_field_keys()).
+	 * @return array<string, mixed> Entries keyed by field key
+	 */
+	private function rekey_by_field_key( array $entries, array $key_map ): array {
+		foreach ( $key_map as $selector => $field_key ) {
+			$selector = (string) $selector;
+
+			if ( $selector === $field_key || ! array_key_exists( $selector, $entries ) ) {
+				continue;
+			}
+
+			if ( ! array_key_exists( $field_key, $entries ) ) {
+				$entries[ $field_key ] = $entries[ $selector ];
+			}
+			unset( $entries[ $selector ] );
+		}
+
+		return $entries;
+	}
+
 	/**
 	 * Clone a single field between posts
 	 *
-	 * @param int                  $source_post_id Source post ID.
-	 * @param int                  $target_post_id Target post ID.
-	 * @param string               $field_key Field key to clone.
-	 * @param array<string, mixed> $options Cloning options.
+	 * The result's `status` is `cloned` (or would be, in a dry run), `cleared`
+	 * when an empty source value cleared the target, `skipped` when there is
+	 * nothing to copy or overwriting is disabled, and `failed` for
+	 * configuration, validation and write errors. Fields skipped by the
+	 * empty-value policy succeed; the other skips do not.
+	 *
+	 * @param int|string                $source_post_id Source post ID.
+	 * @param int|string                $target_post_id Target post ID.
+	 * @param string                    $field_key Field key to clone (a name only if it matched no field).
+	 * @param array<string, mixed>      $options Cloning options.
+	 * @param array<string, mixed>|null $source_values Imported raw values keyed by field key, or null to read the source post.
 	 * @return array<string, mixed> Clone result
 	 */
-	private function clone_single_field( int $source_post_id, int $target_post_id, string $field_key, array $options ): array {
-		// Get source field value.
-		$source_value = get_field( $field_key, $source_post_id, false );
+	private function clone_single_field( int|string $source_post_id, int|string $target_post_id, string $field_key, array $options, ?array $source_values = null ): array {
+		// Get source field value and configuration. Imported values use the
+		// target's configuration of the field.
+		if ( null !== $source_values ) {
+			$source_value = $source_values[ $field_key ] ?? null;
+			$field_object = get_field_object( $field_key, $target_post_id, false, false );
+
+			if ( ! $field_object ) {
+				return [
+					'success'  => false,
+					'status'   => 'failed',
+					'message'  => sprintf( 'Field %s not found on the target post', $field_key ),
+					'warnings' => [],
+				];
+			}
+		} else {
+			$source_value = get_field( $field_key, $source_post_id, false );
+			$field_object = get_field_object( $field_key, $source_post_id );
+		}
+
+		if ( ! $field_object ) {
+			if ( false === $source_value || null === $source_value ) {
+				return [
+					'success'  => false,
+					'status'   => 'skipped',
+					'message'  => sprintf( 'Field %s not found in source post', $field_key ),
+					'warnings' => [],
+				];
+			}
 
-		if ( false === $source_value || null === $source_value ) {
 			return [
 				'success'  => false,
-				'message'  => sprintf( 'Field %s not found in source post', $field_key ),
+				'status'   => 'failed',
+				'message'  => sprintf( 'Field configuration not found for %s', $field_key ),
 				'warnings' => [],
 			];
 		}
 
-		// Get field configuration.
-		$field_object = get_field_object( $field_key, $source_post_id );
-		if ( ! $field_object ) {
+		$is_empty_source = $this->is_empty_value( $source_value );
+
+		if ( $is_empty_source && 'skip' === $options['empty_values'] ) {
 			return [
-				'success'  => false,
-				'message'  => sprintf( 'Field configuration not found for %s', $field_key ),
+				'success'  => true,
+				'status'   => 'skipped',
+				'label'    => $field_object['label'],
+				'message'  => sprintf( 'Field %s is empty in the source post and was skipped', $field_object['label'] ),
 				'warnings' => [],
 			];
 		}
 
 		$warnings = [];
 
+		// Resolve the target field of a mapped (cross-type) clone.
+		$target_field_key    = $options['field_mapping'][ $field_key ] ?? $field_key;
+		$target_field_object = $field_object;
+		$is_mapped           = $target_field_key !== $field_key;
+
+		if ( $is_mapped ) {
+			$target_field_object = get_field_object( $target_field_key, $target_post_id, false, false );
+
+			if ( ! $target_field_object ) {
+				return [
+					'success'  => false,
+					'status'   => 'failed',
+					'label'    => $field_object['label'],
+					'message'  => sprintf( 'Target field %s not found', $target_field_key ),
+					'warnings' => [],
+				];
+			}
+
+			if ( ! $this->are_field_types_compatible( $field_object['type'] ?? '', $target_field_object['type'] ?? '' ) ) {
+				return [
+					'success'  => false,
+					'status'   => 'failed',
+					'label'    => $field_object['label'],
+					'message'  => sprintf(
+						'Field %1$s (%2$s) cannot be cloned into %3$s (%4$s)',
+						$field_object['label'],
+						$field_object['type'] ?? '',
+						$target_field_object['label'],
+						$target_field_object['type'] ?? ''
+					),
+					'warnings' => [],
+				];
+			}
+		}
+
 		// Check if target field exists and handle overwrite logic.
-		$existing_value = get_field( $field_key, $target_post_id, false );
+		$existing_value = get_field( $target_field_key, $target_post_id, false );
+		$merge_strategy = $this->get_merge_strategy( $field_object, $options['merge_strategies'][ $field_key ] ?? [] );
+
+		// Merging an empty value adds no rows, so only a replace can clear.
+		if ( $is_empty_source ) {
+			return $this->apply_empty_value_policy(
+				$target_field_key,
+				$target_post_id,
+				$field_object,
+				$existing_value,
+				'replace' === $merge_strategy['strategy'] ? $options['empty_values'] : 'keep',
+				$options
+			);
+		}
+
 		if ( false !== $existing_value && null !== $existing_value && ! $options['overwrite_existing'] ) {
 			return [
 				'success'  => false,
+				'status'   => 'skipped',
+				'label'    => $field_object['label'],
 				'message'  => sprintf( 'Field %s already has a value and overwrite is disabled', $field_object['label'] ),
 				'warnings' => [],
 			];
 		}
 
+		// Parts and merges below work in the source field's sub-field keys.
+		if ( $is_mapped ) {
+			$existing_value = $this->remap_sub_field_keys( $existing_value, $target_field_object, $field_object );
+		}
+
+		// Narrow container fields to the selected rows/sub-fields. Target rows
+		// only fill unselected sub-fields when rows are replaced by position.
+		if ( ! empty( $options['field_parts'][ $field_key ] ) ) {
+			$source_value = $this->apply_field_parts(
+				$source_value,
+				'replace' === $merge_strategy['strategy'] ? $existing_value : null,
+				$field_object,
+				$options['field_parts'][ $field_key ]
+			);
+		}
+
 		// Process field value based on type.
 		$processed_value = $this->process_field_value( $source_value, $field_object, $options, $warnings );
 
+		// Combine with the target's rows unless replacing.
+		if ( 'replace' !== $merge_strategy['strategy'] ) {
+			$processed_value = $this->merge_rows( $processed_value, $existing_value, $field_object, $merge_strategy );
+		}
+
+		if ( $is_mapped ) {
+			$processed_value = $this->remap_sub_field_keys( $processed_value, $field_object, $target_field_object );
+		}
+
 		// Validate processed value.
-		if ( $options['validate_data'] && ! $this->validate_field_value( $processed_value, $field_object ) ) {
+		if ( $options['validate_data'] && ! $this->validate_field_value( $processed_value, $target_field_object ) ) {
 			return [
 				'success'  => false,
+				'status'   => 'failed',
+				'label'    => $field_object['label'],
 				'message'  => sprintf( 'Validation failed for field %s', $field_object['label'] ),
 				'warnings' => $warnings,
 			];
 		}
 
+		// Stop short of writing in simulation mode.
+		if ( $options['dry_run'] ) {
+			return [
+				'success'  => true,
+				'status'   => 'cloned',
+				'label'    => $field_object['label'],
+				'message'  => sprintf( 'Field %s would be cloned', $field_object['label'] ),
+				'warnings' => $warnings,
+			];
+		}
+
 		// Update the field.
-		$update_result = update_field( $field_key, $processed_value, $target_post_id );
+		$update_result = update_field( $target_field_key, $processed_value, $target_post_id );
 
 		if ( ! $update_result ) {
 			return [
 				'success'  => false,
+				'status'   => 'failed',
+				'label'    => $field_object['label'],
 				'message'  => sprintf( 'Failed to update field %s', $field_object['label'] ),
 				'warnings' => $warnings,
 			];
@@ -218,54 +578,486 @@ class FieldCloner implements LoadableInterface {
 
 		return [
 			'success'  => true,
+			'status'   => 'cloned',
+			'label'    => $field_object['label'],
 			'message'  => sprintf( 'Successfully cloned field %s', $field_object['label'] ),
 			'warnings' => $warnings,
 		];
 	}
 
 	/**
-	 * Process field value based on field type
+	 * Apply the empty-value policy to a field that is empty in the source
 	 *
-	 * @param mixed                $value Field value to process.
-	 * @param array<string, mixed> $field_object Field configuration.
-	 * @param array<string, mixed> $options Processing options.
-	 * @param array<string>        &$warnings Reference to warnings array.
-	 * @return mixed Processed value
+	 * A target that is already empty is left alone. Otherwise `keep` leaves
+	 * the target's value as it is and `clear` deletes it, which counts as an
+	 * overwrite.
+	 *
+	 * @param string               $target_field_key Target field key.
+	 * @param int|string           $target_post_id Target post ID.
+	 * @param array<string, mixed> $field_object Source field configuration.
+	 * @param mixed                $existing_value Raw target value.
+	 * @param string               $policy `clear` or `keep`.
+	 * @param array<string, mixed> $options Cloning options.
+	 * @return array<string, mixed> Clone result
+	 */
+	private function apply_empty_value_policy( string $target_field_key, int|string $target_post_id, array $field_object, $existing_value, string $policy, array $options ): array {
+		$label = $field_object['label'];
+
+		if ( $this->is_empty_value( $existing_value ) ) {
+			return [
+				'success'  => true,
+				'status'   => 'skipped',
+				'label'    => $label,
+				'message'  => sprintf( 'Field %s is empty in both posts', $label ),
+				'warnings' => [],
+			];
+		}
+
+		if ( 'clear' !== $policy ) {
+			return [
+				'success'  => true,
+				'status'   => 'skipped',
+				'label'    => $label,
+				'message'  => sprintf( 'Field %s is empty in the source post; the existing value was kept', $label ),
+				'warnings' => [],
+			];
+		}
+
+		if ( ! $options['overwrite_existing'] ) {
+			return [
+				'success'  => false,
+				'status'   => 'skipped',
+				'label'    => $label,
+				'message'  => sprintf( 'Field %s already has a value and overwrite is disabled', $label ),
+				'warnings' => [],
+			];
+		}
+
+		if ( $options['dry_run'] ) {
+			return [
+				'success'  => true,
+				'status'   => 'cleared',
+				'label'    => $label,
+				'message'  => sprintf( 'Field %s would be cleared', $label ),
+				'warnings' => [],
+			];
+		}
+
+		if ( ! delete_field( $target_field_key, $target_post_id ) ) {
+			return [
+				'success'  => false,
+				'status'   => 'failed',
+				'label'    => $label,
+				'message'  => sprintf( 'Failed to clear field %s', $label ),
+				'warnings' => [],
+			];
+		}
+
+		return [
+			'success'  => true,
+			'status'   => 'cleared',
+			'label'    => $label,
+			'message'  => sprintf( 'Cleared field %s (empty in the source post)', $label ),
+			'warnings' => [],
+		];
+	}
+
+	/**
+	 * Check whether a raw field value counts as empty
+	 *
+	 * `0` and `'0'` are values; only missing, blank and empty-array values
+	 * are empty.
+	 *
+	 * @param mixed $value Raw field value.
+	 * @return bool True if empty
+	 */
+	private function is_empty_value( $value ): bool {
+		return null === $value || false === $value || '' === $value || [] === $value;
+	}
+
+	/**
+	 * Reduce a container field value to the selected parts
+	 *
+	 * Selected rows replace the target's rows, in source order. Sub-fields
+	 * that are not selected keep the target's value (same row position for
+	 * repeaters), so a column can be copied without touching the others.
+	 *
+	 * @param mixed                            $source_value Raw source value.
+	 * @param mixed                            $target_value Raw target value.
+	 * @param array<string, mixed>             $field_object Field configuration.
+	 * @param array<string, array<int|string>> $parts Selected `rows` and/or `sub_fields`.
+	 * @return mixed Value to clone
 	 */
-	private function process_field_value( $value, array $field_object, array $options, array &$warnings ) {
-		$field_type = $field_object['type'] ?? 'text';
+	private function apply_field_parts( $source_value, $target_value, array $field_object, array $parts ) {
+		$field_type = $field_object['type'] ?? '';
 
 		switch ( $field_type ) {
-			case 'image':
-			case 'file':
-				return $this->process_attachment_field( $value, $options, $warnings );
+			case 'repeater':
+			case 'flexible_content':
+				if ( ! is_array( $source_value ) ) {
+					return $source_value;
+				}
+
+				$rows = array_values( $source_value );
+
+				if ( isset( $parts['rows'] ) ) {
+					$selected_rows = [];
+					foreach ( $parts['rows'] as $row_index ) {
+						if ( isset( $rows[ (int) $row_index ] ) ) {
+							$selected_rows[] = $rows[ (int) $row_index ];
+						}
+					}
+					$rows = $selected_rows;
+				}
+
+				if ( 'repeater' === $field_type && isset( $parts['sub_fields'] ) ) {
+					$target_rows = is_array( $target_value ) ? array_values( $target_value ) : [];
+					foreach ( $rows as $row_index => $row ) {
+						$rows[ $row_index ] = $this->merge_sub_field_values(
+							is_array( $row ) ? $row : [],
+							is_array( $target_rows[ $row_index ] ?? null ) ? $target_rows[ $row_index ] : [],
+							$field_object['sub_fields'] ?? [],
+							$parts['sub_fields']
+						);
+					}
+				}
+
+				return $rows;
+
+			case 'group':
+				if ( ! isset( $parts['sub_fields'] ) ) {
+					return $source_value;
+				}
+
+				return $this->merge_sub_field_values(
+					is_array( $source_value ) ? $source_value : [],
+					is_array( $target_value ) ? $target_value : [],
+					$field_object['sub_fields'] ?? [],
+					$parts['sub_fields']
+				);
+
+			default:
+				return $source_value;
+		}
+	}
+
+	/**
+	 * Combine selected sub-field values from the source with the target's others
+	 *
+	 * Raw values can be keyed by sub-field key or name, so both are checked and
+	 * the source row's keying is preserved.
+	 *
+	 * @param array<string, mixed>        $source_row Source row/group value.
+	 * @param array<string, mixed>        $target_row Target row/group value.
+	 * @param array<array<string, mixed>> $sub_fields Sub-field configurations.
+	 * @param array<int|string>           $selected Selected sub-field keys or names.
+	 * @return array<string, mixed> Merged row
+	 */
+	private function merge_sub_field_values( array $source_row, array $target_row, array $sub_fields, array $selected ): array {
+		$merged = [];
+
+		foreach ( $sub_fields as $sub_field ) {
+			$index       = array_key_exists( $sub_field['name'], $source_row ) ? $sub_field['name'] : $sub_field['key'];
+			$is_selected = in_array( $sub_field['key'], $selected, true ) || in_array( $sub_field['name'], $selected, true );
+
+			if ( $is_selected ) {
+				$merged[ $index ] = $source_row[ $index ] ?? null;
+			} else {
+				$merged[ $index ] = $target_row[ $sub_field['key'] ] ?? $target_row[ $sub_field['name'] ] ?? null;
+			}
+		}
 
+		return $merged;
+	}
+
+	/**
+	 * Resolve the merge strategy requested for a field
+	 *
+	 * Only repeater and flexible content fields support strategies other
+	 * than `replace`; `merge` without a key falls back to `replace`.
+	 *
+	 * @param array<string, mixed>  $field_object Field configuration.
+	 * @param array<string, string> $requested Requested `strategy` and `merge_key`.
+	 * @return array{strategy: string, merge_key: string} Strategy to apply
+	 */
+	private function get_merge_strategy( array $field_object, array $requested ): array {
+		$strategy  = $requested['strategy'] ?? 'replace';
+		$merge_key = $requested['merge_key'] ?? '';
+
+		if ( ! in_array( $field_object['type'] ?? '', [ 'repeater', 'flexible_content' ], true )
+			|| ! in_array( $strategy, [ 'replace', 'append', 'prepend', 'merge' ], true )
+			|| ( 'merge' === $strategy && '' === $merge_key ) ) {
+			$strategy = 'replace';
+		}
+
+		return [
+			'strategy'  => $strategy,
+			'merge_key' => $merge_key,
+		];
+	}
+
+	/**
+	 * Combine source rows with the target's existing rows
+	 *
+	 * `append`/`prepend` keep every target row. `merge` updates the target row
+	 * whose key sub-field equals the source row's (same layout for flexible
+	 * content), keeping target values where the source has none, and appends
+	 * source rows without a match.
+	 *
+	 * @param mixed                                      $source_rows Processed source rows.
+	 * @param mixed                                      $target_rows Raw target rows.
+	 * @param array<string, mixed>                       $field_object Field configuration.
+	 * @param array{strategy: string, merge_key: string} $merge_strategy Strategy to apply.
+	 * @return array<mixed> Combined rows
+	 */
+	private function merge_rows( $source_rows, $target_rows, array $field_object, array $merge_strategy ): array {
+		$source_rows = is_array( $source_rows ) ? array_values( $source_rows ) : [];
+		$target_rows = is_array( $target_rows ) ? array_values( $target_rows ) : [];
+
+		switch ( $merge_strategy['strategy'] ) {
+			case 'append':
+				return array_merge( $target_rows, $source_rows );
+
+			case 'prepend':
+				return array_merge( $source_rows, $target_rows );
+
+			case 'merge':
+				foreach ( $source_rows as $source_row ) {
+					$match_value = $this->get_row_value( $source_row, $merge_strategy['merge_key'], $field_object );
+					$matched     = false;
+
+					if ( null !== $match_value && '' !== $match_value ) {
+						foreach ( $target_rows as $row_index => $target_row ) {
+							if ( ( $source_row['acf_fc_layout'] ?? null ) !== ( $target_row['acf_fc_layout'] ?? null ) ) {
+								continue;
+							}
+
+							if ( $this->get_row_value( $target_row, $merge_strategy['merge_key'], $field_object ) === $match_value ) {
+								$target_rows[ $row_index ] = array_merge(
+									is_array( $target_row ) ? $target_row : [],
+									array_filter( $source_row, static fn( $value ) => null !== $value )
+								);
+								$matched                   = true;
+								break;
+							}
+						}
+					}
+
+					if ( ! $matched ) {
+						$target_rows[] = $source_row;
+					}
+				}
+
+				return $target_rows;
+
+			default:
+				return $source_rows;
+		}
+	}
+
+	/**
+	 * Get a row's sub-field value as a comparable string
+	 *
+	 * @param mixed                $row Row value (keyed by sub-field key or name).
+	 * @param string               $sub_field_selector Sub-field key or name.
+	 * @param array<string, mixed> $field_object Repeater or flexible content configuration.
+	 * @return string|null Value, or null when the row has no such sub-field
+	 */
+	private function get_row_value( $row, string $sub_field_selector, array $field_object ): ?string {
+		if ( ! is_array( $row ) ) {
+			return null;
+		}
+
+		$sub_fields = $field_object['sub_fields'] ?? [];
+		if ( isset( $row['acf_fc_layout'] ) ) {
+			$sub_fields = [];
+			foreach ( $field_object['layouts'] ?? [] as $layout ) {
+				if ( $layout['name'] === $row['acf_fc_layout'] ) {
+					$sub_fields = $layout['sub_fields'] ?? [];
+					break;
+				}
+			}
+		}
+
+		$value = $row[ $sub_field_selector ] ?? null;
+		foreach ( $sub_fields as $sub_field ) {
+			if ( $sub_field['key'] === $sub_field_selector || $sub_field['name'] === $sub_field_selector ) {
+				$value = $row[ $sub_field['key'] ] ?? $row[ $sub_field['name'] ] ?? null;
+				break;
+			}
+		}
+
+		if ( null === $value ) {
+			return null;
+		}
+
+		return is_scalar( $value ) ? (string) $value : (string) wp_json_encode( $value );
+	}
+
+	/**
+	 * Check whether a source field type can be cloned into a target field type
+	 *
+	 * @param string $source_type Source field type.
+	 * @param string $target_type Target field type.
+	 * @return bool True if compatible
+	 */
+	public function are_field_types_compatible( string $source_type, string $target_type ): bool {
+		if ( $source_type === $target_type ) {
+			return '' !== $source_type;
+		}
+
+		foreach ( self::COMPATIBLE_FIELD_TYPES as $types ) {
+			if ( in_array( $source_type, $types, true ) && in_array( $target_type, $types, true ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Re-key a container field value from one field's sub-fields to another's
+	 *
+	 * Sub-fields (and flexible content layouts) are matched by name, at every
+	 * nesting level. Sub-fields without a compatible counterpart are dropped, as are
+	 * flexible content rows whose layout the other field does not have.
+	 *
+	 * @param mixed                $value Raw value keyed by the `$from_field` sub-field keys.
+	 * @param array<string, mixed> $from_field Field the value belongs to.
+	 * @param array<string, mixed> $to_field Field to re-key the value for.
+	 * @return mixed Re-keyed value (unchanged for non-container fields)
+	 */
+	private function remap_sub_field_keys( $value, array $from_field, array $to_field ) {
+		if ( ! is_array( $value ) ) {
+			return $value;
+		}
+
+		switch ( $to_field['type'] ?? '' ) {
 			case 'repeater':
-				return $this->process_repeater_field( $value, $field_object, $options, $warnings );
+				$rows = [];
+				foreach ( array_values( $value ) as $row ) {
+					$rows[] = $this->remap_row( is_array( $row ) ? $row : [], $from_field['sub_fields'] ?? [], $to_field['sub_fields'] ?? [] );
+				}
+				return $rows;
 
 			case 'group':
-				return $this->process_group_field( $value, $field_object, $options, $warnings );
+				return $this->remap_row( $value, $from_field['sub_fields'] ?? [], $to_field['sub_fields'] ?? [] );
 
 			case 'flexible_content':
-				return $this->process_flexible_content_field( $value, $field_object, $options, $warnings );
+				$from_layouts = array_column( $from_field['layouts'] ?? [], null, 'name' );
+				$to_layouts   = array_column( $to_field['layouts'] ?? [], null, 'name' );
+				$rows         = [];
 
-			case 'relationship':
-			case 'post_object':
-				return $this->process_post_reference_field( $value, $warnings );
-
-			case 'taxonomy':
-				return $this->process_taxonomy_field( $value, $field_object, $warnings );
+				foreach ( array_values( $value ) as $row ) {
+					$layout = is_array( $row ) ? ( $row['acf_fc_layout'] ?? '' ) : '';
+					if ( ! isset( $from_layouts[ $layout ], $to_layouts[ $layout ] ) ) {
+						continue;
+					}
 
-			case 'user':
-				return $this->process_user_field( $value, $warnings );
+					$rows[] = array_merge(
+						[ 'acf_fc_layout' => $layout ],
+						$this->remap_row( $row, $from_layouts[ $layout ]['sub_fields'] ?? [], $to_layouts[ $layout ]['sub_fields'] ?? [] )
+					);
+				}
+				return $rows;
 
 			default:
-				return $value; // Return as-is for simple field types.
+				return $value;
 		}
 	}
 
 	/**
-	 * Process attachment field (image/file)
+	 * Re-key one row/group value by sub-field name
+	 *
+	 * @param array<string, mixed>        $row Row keyed by `$from_sub_fields` keys (or names).
+	 * @param array<array<string, mixed>> $from_sub_fields Sub-fields the row belongs to.
+	 * @param array<array<string, mixed>> $to_sub_fields Sub-fields to re-key the row for.
+	 * @return array<string, mixed> Row keyed by `$to_sub_fields` keys
+	 */
+	private function remap_row( array $row, array $from_sub_fields, array $to_sub_fields ): array {
+		$from_by_name = array_column( $from_sub_fields, null, 'name' );
+		$remapped     = [];
+
+		foreach ( $to_sub_fields as $to_sub_field ) {
+			$from_sub_field = $from_by_name[ $to_sub_field['name'] ] ?? null;
+			if ( ! $from_sub_field || ! $this->are_field_types_compatible( $from_sub_field['type'] ?? '', $to_sub_field['type'] ?? '' ) ) {
+				continue;
+			}
+
+			$sub_value = $row[ $from_sub_field['key'] ] ?? $row[ $from_sub_field['name'] ] ?? null;
+
+			$remapped[ $to_sub_field['key'] ] = $this->remap_sub_field_keys( $sub_value, $from_sub_field, $to_sub_field );
+		}
+
+		return $remapped;
+	}
+
+	/**
+	 * Register the built-in field type processors and validators
+	 *
+	 * Called by FieldTypeRegistry before other plugins register theirs.
+	 *
+	 * @param FieldTypeRegistry $registry Field type registry.
+	 * @return void
+	 */
+	public function register_field_types( FieldTypeRegistry $registry ): void {
+		foreach ( [ 'image', 'file', 'gallery' ] as $type ) {
+			$registry->register(
+				$type,
+				[ 'process' => fn( $value, array $field_object, array $options, array &$warnings ) => $this->process_attachment_field( $value, $options, $warnings ) ]
+			);
+		}
+
+		foreach ( [ 'relationship', 'post_object' ] as $type ) {
+			$registry->register(
+				$type,
+				[ 'process' => fn( $value, array $field_object, array $options, array &$warnings ) => $this->process_post_reference_field( $value, $options, $warnings ) ]
+			);
+		}
+
+		$registry->register( 'repeater', [ 'process' => $this->process_repeater_field( ... ) ] );
+		$registry->register( 'group', [ 'process' => $this->process_group_field( ... ) ] );
+		$registry->register( 'flexible_content', [ 'process' => $this->process_flexible_content_field( ... ) ] );
+		$registry->register(
+			'taxonomy',
+			[ 'process' => fn( $value, array $field_object, array $options, array &$warnings ) => $this->process_taxonomy_field( $value, $field_object, $warnings ) ]
+		);
+		$registry->register(
+			'user',
+			[ 'process' => fn( $value, array $field_object, array $options, array &$warnings ) => $this->process_user_field( $value, $warnings ) ]
+		);
+
+		$registry->register( 'email', [ 'validate' => static fn( $value ): bool => ! $value || is_email( $value ) ] );
+		$registry->register( 'url', [ 'validate' => static fn( $value ): bool => ! $value || false !== filter_var( $value, FILTER_VALIDATE_URL ) ] );
+		$registry->register( 'number', [ 'validate' => static fn( $value ): bool => ! $value || is_numeric( $value ) ] );
+		$registry->register( 'range', [ 'validate' => $this->validate_range_value( ... ) ] );
+	}
+
+	/**
+	 * Process field value based on field type
+	 *
+	 * Runs the `process` handler the field type registered with the
+	 * FieldTypeRegistry; types without one are cloned as-is. Custom container
+	 * types can call this for their sub-field values.
+	 *
+	 * @param mixed                $value Field value to process.
+	 * @param array<string, mixed> $field_object Field configuration.
+	 * @param array<string, mixed> $options Processing options.
+	 * @param array<string>        &$warnings Reference to warnings array.
+	 * @return mixed Processed value
+	 */
+	public function process_field_value( $value, array $field_object, array $options, array &$warnings ) {
+		$processor = FieldTypeRegistry::instance()->get_handler( $field_object['type'] ?? 'text', 'process' );
+
+		if ( null === $processor ) {
+			return $value; // Return as-is for simple field types.
+		}
+
+		return $processor( $value, $field_object, $options, $warnings );
+	}
+
+	/**
+	 * Process attachment field (image/file/gallery)
 	 *
 	 * @param mixed                $value Attachment value.
 	 * @param array<string, mixed> $options Processing options.
@@ -273,6 +1065,10 @@ class FieldCloner implements LoadableInterface {
 	 * @return mixed Processed attachment value
 	 */
 	private function process_attachment_field( $value, array $options, array &$warnings ) {
+		if ( $options['duplicate_attachments'] && ! $options['dry_run'] ) {
+			return $this->duplicate_references( $value, 'attachment', $warnings );
+		}
+
 		if ( ! $options['copy_attachments'] ) {
 			return $value; // Return original attachment reference.
 		}
@@ -299,6 +1095,18 @@ class FieldCloner implements LoadableInterface {
 			}
 		}
 
+		// Handle galleries: keep the attachments that still exist.
+		if ( is_array( $value ) && array_is_list( $value ) ) {
+			$attachments = [];
+			foreach ( $value as $attachment ) {
+				$attachment = $this->process_attachment_field( $attachment, $options, $warnings );
+				if ( null !== $attachment ) {
+					$attachments[] = $attachment;
+				}
+			}
+			return $attachments;
+		}
+
 		return $value;
 	}
 
@@ -327,14 +1135,7 @@ class FieldCloner implements LoadableInterface {
 			$processed_row = [];
 
 			foreach ( $row_data as $sub_field_name => $sub_value ) {
-				// Find sub-field configuration.
-				$sub_field_object = null;
-				foreach ( $sub_fields as $sub_field ) {
-					if ( $sub_field['name'] === $sub_field_name ) {
-						$sub_field_object = $sub_field;
-						break;
-					}
-				}
+				$sub_field_object = $this->find_sub_field( $sub_fields, (string) $sub_field_name );
 
 				if ( $sub_field_object ) {
 					$processed_row[ $sub_field_name ] = $this->process_field_value( $sub_value, $sub_field_object, $options, $warnings );
@@ -367,14 +1168,7 @@ class FieldCloner implements LoadableInterface {
 		$sub_fields      = $field_object['sub_fields'] ?? [];
 
 		foreach ( $value as $sub_field_name => $sub_value ) {
-			// Find sub-field configuration.
-			$sub_field_object = null;
-			foreach ( $sub_fields as $sub_field ) {
-				if ( $sub_field['name'] === $sub_field_name ) {
-					$sub_field_object = $sub_field;
-					break;
-				}
-			}
+			$sub_field_object = $this->find_sub_field( $sub_fields, (string) $sub_field_name );
 
 			if ( $sub_field_object ) {
 				$processed_group[ $sub_field_name ] = $this->process_field_value( $sub_value, $sub_field_object, $options, $warnings );
@@ -426,14 +1220,7 @@ class FieldCloner implements LoadableInterface {
 						continue;
 					}
 
-					// Find sub-field configuration.
-					$sub_field_object = null;
-					foreach ( $layout_config['sub_fields'] as $sub_field ) {
-						if ( $sub_field['name'] === $field_name ) {
-							$sub_field_object = $sub_field;
-							break;
-						}
-					}
+					$sub_field_object = $this->find_sub_field( $layout_config['sub_fields'], (string) $field_name );
 
 					if ( $sub_field_object ) {
 						$processed_layout[ $field_name ] = $this->process_field_value( $field_value, $sub_field_object, $options, $warnings );
@@ -452,14 +1239,36 @@ class FieldCloner implements LoadableInterface {
 		return $processed_layouts;
 	}
 
+	/**
+	 * Find a sub-field configuration by key or name
+	 *
+	 * Raw values are keyed by sub-field key, formatted values by name.
+	 *
+	 * @param array<array<string, mixed>> $sub_fields Sub-field configurations.
+	 * @param string                      $selector Sub-field key or name.
+	 * @return array<string, mixed>|null Sub-field configuration
+	 */
+	private function find_sub_field( array $sub_fields, string $selector ): ?array {
+		foreach ( $sub_fields as $sub_field ) {
+			if ( $sub_field['key'] === $selector || $sub_field['name'] === $selector ) {
+				return $sub_field;
+			}
+		}
+
+		return null;
+	}
+
 	/**
 	 * Process post reference field (relationship/post_object)
 	 *
-	 * @param mixed         $value Post reference value.
-	 * @param array<string> &$warnings Reference to warnings array.
+	 * @param mixed                $value Post reference value.
+	 * @param array<string, mixed> $options Processing options.
+	 * @param array<string>        &$warnings Reference to warnings array.
 	 * @return mixed Processed post reference value
 	 */
-	private function process_post_reference_field( $value, array &$warnings ) {
+	private function process_post_reference_field( $value, array $options, array &$warnings ) {
+		$duplicate = $options['duplicate_posts'] && ! $options['dry_run'];
+
 		// Validate post references exist.
 		if ( is_array( $value ) ) {
 			$validated_posts = [];
@@ -470,13 +1279,13 @@ class FieldCloner implements LoadableInterface {
 					$warnings[] = "Referenced post ID {$post_id} not found";
 				}
 			}
-			return $validated_posts;
+			return $duplicate ? $this->duplicate_references( $validated_posts, 'post', $warnings ) : $validated_posts;
 		}
 
 		if ( is_numeric( $value ) ) {
 			$post_id = (int) $value;
 			if ( get_post( $post_id ) ) {
-				return $post_id;
+				return $duplicate ? $this->duplicate_references( $post_id, 'post', $warnings ) : $post_id;
 			} else {
 				$warnings[] = "Referenced post ID {$post_id} not found";
 				return null;
@@ -486,6 +1295,52 @@ class FieldCloner implements LoadableInterface {
 		return $value;
 	}
 
+	/**
+	 * Replace referenced attachment or post IDs with IDs of copies
+	 *
+	 * Each ID is copied once per clone. When a copy fails the original is
+	 * kept and a warning is added.
+	 *
+	 * @param mixed         $value ID, array of IDs, or attachment array.
+	 * @param string        $type `attachment` or `post`.
+	 * @param array<string> &$warnings Reference to warnings array.
+	 * @return mixed Value with the copies' IDs
+	 */
+	private function duplicate_references( $value, string $type, array &$warnings ) {
+		if ( is_array( $value ) && isset( $value['ID'] ) ) {
+			$value = $value['ID'];
+		}
+
+		if ( is_array( $value ) ) {
+			$duplicated = [];
+			foreach ( $value as $id ) {
+				$duplicated[] = $this->duplicate_references( $id, $type, $warnings );
+			}
+			return $duplicated;
+		}
+
+		if ( ! is_numeric( $value ) || (int) $value <= 0 ) {
+			return $value;
+		}
+
+		$id = (int) $value;
+
+		if ( ! isset( $this->duplicated_ids[ $type ][ $id ] ) ) {
+			$copy_id = 'attachment' === $type
+				? ReferenceDuplicator::instance()->duplicate_attachment( $id, $this->duplicate_parent_id )
+				: ReferenceDuplicator::instance()->duplicate_post( $id );
+
+			if ( is_wp_error( $copy_id ) ) {
+				$warnings[] = sprintf( '%s The original is referenced instead.', $copy_id->get_error_message() );
+				return $id;
+			}
+
+			$this->duplicated_ids[ $type ][ $id ] = $copy_id;
+		}
+
+		return $this->duplicated_ids[ $type ][ $id ];
+	}
+
 	/**
 	 * Process taxonomy field
 	 *
@@ -568,12 +1423,17 @@ class FieldCloner implements LoadableInterface {
 	/**
 	 * Validate clone request
 	 *
-	 * @param int           $source_post_id Source post ID.
-	 * @param int           $target_post_id Target post ID.
+	 * @param int|string    $source_post_id Source post ID.
+	 * @param int|string    $target_post_id Target post ID.
 	 * @param array<string> $field_keys Field keys to clone.
+	 * @param bool          $allow_cross_type Whether the posts may be of different types.
 	 * @return array<string, mixed> Validation result
 	 */
-	private function validate_clone_request( int $source_post_id, int $target_post_id, array $field_keys ): array {
+	private function validate_clone_request( int|string $source_post_id, int|string $target_post_id, array $field_keys, bool $allow_cross_type = false ): array {
+		if ( ! is_int( $source_post_id ) || ! is_int( $target_post_id ) ) {
+			return $this->validate_object_clone_request( $source_post_id, $target_post_id, $field_keys );
+		}
+
 		// Check if posts exist.
 		$source_post = get_post( $source_post_id );
 		$target_post = get_post( $target_post_id );
@@ -592,8 +1452,9 @@ class FieldCloner implements LoadableInterface {
 			];
 		}
 
-		// Check post types match.
-		if ( $source_post->post_type !== $target_post->post_type ) {
+		// Check post types match (a revision has its parent's type).
+		$source_type = 'revision' === $source_post->post_type ? get_post_type( $source_post->post_parent ) : $source_post->post_type;
+		if ( ! $allow_cross_type && $source_type !== $target_post->post_type ) {
 			return [
 				'valid'   => false,
 				'message' => 'Source and target posts must be the same post type',
@@ -608,6 +1469,13 @@ class FieldCloner implements LoadableInterface {
 			];
 		}
 
+		if ( ! Helpers::can_user_clone_from( $source_post_id ) ) {
+			return [
+				'valid'   => false,
+				'message' => 'You do not have permission to edit the source post',
+			];
+		}
+
 		// Validate field keys.
 		if ( empty( $field_keys ) ) {
 			return [
@@ -622,61 +1490,308 @@ class FieldCloner implements LoadableInterface {
 		];
 	}
 
+	/**
+	 * Validate a clone from or into a term, user or options page
+	 *
+	 * Instead of a matching post type, every field must belong to a field
+	 * group that both the source and the target show.
+	 *
+	 * @param int|string    $source_id Source post ID or ACF object ID.
+	 * @param int|string    $target_id Target post ID or ACF object ID.
+	 * @param array<string> $field_keys Field keys to clone.
+	 * @return array<string, mixed> Validation result
+	 */
+	private function validate_object_clone_request( int|string $source_id, int|string $target_id, array $field_keys ): array {
+		$objects   = AcfObjects::instance();
+		$source_id = $objects->normalize( $source_id );
+		$target_id = $objects->normalize( $target_id );
+
+		if ( null === $source_id ) {
+			return [
+				'valid'   => false,
+				'message' => 'Source not found',
+			];
+		}
+
+		if ( null === $target_id ) {
+			return [
+				'valid'   => false,
+				'message' => 'Target not found',
+			];
+		}
+
+		if ( ! $objects->can_edit( $target_id ) ) {
+			return [
+				'valid'   => false,
+				'message' => 'You do not have permission to edit the target',
+			];
+		}
+
+		if ( empty( $field_keys ) ) {
+			return [
+				'valid'   => false,
+				'message' => 'No field keys provided for cloning',
+			];
+		}
+
+		$shared_fields = $objects->get_shared_fields( $source_id, $target_id );
+		foreach ( $field_keys as $field_key ) {
+			if ( ! in_array( $field_key, $shared_fields, true ) ) {
+				return [
+					'valid'   => false,
+					'message' => sprintf( 'Field %s is not in a field group of both the source and the target', $field_key ),
+				];
+			}
+		}
+
+		return [
+			'valid'   => true,
+			'message' => 'Validation passed',
+		];
+	}
+
+	/**
+	 * Check a field selection against the target before cloning
+	 *
+	 * Nothing is cloned: each field is checked for what would stop or change
+	 * its clone. Errors are fields the target does not have, field types that
+	 * cannot be mapped, source values that fail the target field's validation
+	 * and required target values the `clear` policy would delete. Warnings
+	 * are choices the target field does not offer and required target fields
+	 * left as they are because the source is empty.
+	 *
+	 * Values are checked as stored in the source, before field parts and
+	 * merge strategies apply. The request itself is not validated; see
+	 * clone_fields().
+	 *
+	 * @param int|string           $source_post_id Source post ID or ACF object ID.
+	 * @param int|string           $target_post_id Target post ID or ACF object ID.
+	 * @param array<string>        $field_keys Field keys or names to check.
+	 * @param array<string, mixed> $options `field_mapping`, `empty_values` and `validate_data`, as for clone_fields().
+	 * @return list<array{field: string, label: string, status: string, messages: array<string>}> Result per field; `status` is `ok`, `warning` or `error`
+	 */
+	public function validate_fields( int|string $source_post_id, int|string $target_post_id, array $field_keys, array $options = [] ): array {
+		$options = array_merge(
+			[
+				'field_mapping' => [],
+				'empty_values'  => 'clear',
+				'validate_data' => true,
+			],
+			$options
+		);
+
+		$key_map       = $this->map_field_keys( $field_keys, $source_post_id );
+		$field_mapping = $this->rekey_by_field_key( (array) $options['field_mapping'], $key_map );
+		$target_fields = $this->get_target_field_keys( $target_post_id );
+		$results       = [];
+
+		foreach ( array_unique( $key_map ) as $field_key ) {
+			$messages = $this->check_field_selection(
+				$source_post_id,
+				$target_post_id,
+				$field_key,
+				$field_mapping[ $field_key ] ?? $field_key,
+				$target_fields,
+				$options
+			);
+
+			$status = 'ok';
+			if ( ! empty( $messages['errors'] ) ) {
+				$status = 'error';
+			} elseif ( ! empty( $messages['warnings'] ) ) {
+				$status = 'warning';
+			}
+
+			$results[] = [
+				'field'    => $field_key,
+				'label'    => $messages['label'],
+				'status'   => $status,
+				'messages' => array_merge( $messages['errors'], $messages['warnings'] ),
+			];
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Check one field of a selection against the target
+	 *
+	 * @param int|string           $source_post_id Source post ID or ACF object ID.
+	 * @param int|string           $target_post_id Target post ID or ACF object ID.
+	 * @param string               $field_key Source field key.
+	 * @param string               $target_field_key Target field key.
+	 * @param array<string>        $target_fields Keys of the fields in the target's field groups.
+	 * @param array<string, mixed> $options Validation options (see validate_fields()).
+	 * @return array{label: string, errors: array<string>, warnings: array<string>} Field label and findings
+	 */
+	private function check_field_selection( int|string $source_post_id, int|string $target_post_id, string $field_key, string $target_field_key, array $target_fields, array $options ): array {
+		$field_object = get_field_object( $field_key, $source_post_id, false, false );
+		$result       = [
+			'label'    => $field_object ? $field_object['label'] : $field_key,
+			'errors'   => [],
+			'warnings' => [],
+		];
+
+		if ( ! $field_object ) {
+			$result['errors'][] = sprintf( 'Field %s not found in the source', $field_key );
+			return $result;
+		}
+
+		$label = $field_object['label'];
+
+		if ( ! in_array( $target_field_key, $target_fields, true ) ) {
+			$result['errors'][] = sprintf( 'Field %s does not exist on the target', $label );
+			return $result;
+		}
+
+		$target_field_object = get_field_object( $target_field_key, $target_post_id, false, false );
+
+		if ( ! $target_field_object ) {
+			$result['errors'][] = sprintf( 'Field %s does not exist on the target', $label );
+			return $result;
+		}
+
+		if ( ! $this->are_field_types_compatible( $field_object['type'] ?? '', $target_field_object['type'] ?? '' ) ) {
+			$result['errors'][] = sprintf(
+				'Field %1$s (%2$s) cannot be cloned into %3$s (%4$s)',
+				$label,
+				$field_object['type'] ?? '',
+				$target_field_object['label'],
+				$target_field_object['type'] ?? ''
+			);
+			return $result;
+		}
+
+		$source_value = get_field( $field_key, $source_post_id, false );
+
+		if ( $this->is_empty_value( $source_value ) ) {
+			if ( ! empty( $target_field_object['required'] ) ) {
+				if ( 'clear' === $options['empty_values'] && ! $this->is_empty_value( get_field( $target_field_key, $target_post_id, false ) ) ) {
+					$result['errors'][] = sprintf( 'Field %s is required on the target and would be cleared', $label );
+				} else {
+					$result['warnings'][] = sprintf( 'Field %s is required on the target but empty in the source, so it will not be cloned', $label );
+				}
+			}
+
+			return $result;
+		}
+
+		if ( in_array( $target_field_object['type'] ?? '', self::CHOICE_FIELD_TYPES, true ) ) {
+			$unknown_choices = $this->get_unknown_choices( $source_value, $target_field_object );
+
+			if ( ! empty( $unknown_choices ) ) {
+				$result['warnings'][] = sprintf( 'Field %1$s has values the target does not offer: %2$s', $label, implode( ', ', $unknown_choices ) );
+			}
+		}
+
+		// Container values are validated in the target field's sub-field keys, as cloned.
+		if ( $target_field_key !== $field_key ) {
+			$source_value = $this->remap_sub_field_keys( $source_value, $field_object, $target_field_object );
+		}
+
+		if ( $options['validate_data'] && ! $this->validate_field_value( $source_value, $target_field_object ) ) {
+			$result['errors'][] = sprintf( 'Validation failed for field %s', $label );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get the keys of the fields in an object's field groups
+	 *
+	 * @param int|string $post_id Post ID or ACF object ID.
+	 * @return array<string> Top-level field keys
+	 */
+	private function get_target_field_keys( int|string $post_id ): array {
+		$field_keys = [];
+
+		foreach ( AcfObjects::instance()->get_field_groups( $post_id ) as $field_group ) {
+			$group_fields = acf_get_fields( $field_group['key'] );
+
+			foreach ( $group_fields ? $group_fields : [] as $field ) {
+				$field_keys[] = $field['key'];
+			}
+		}
+
+		return $field_keys;
+	}
+
+	/**
+	 * Get the values of a choice field the target field does not offer
+	 *
+	 * Fields that accept custom values offer every value.
+	 *
+	 * @param mixed                $value Raw source value.
+	 * @param array<string, mixed> $field_object Target field configuration.
+	 * @return array<string> Values missing from the target's choices
+	 */
+	private function get_unknown_choices( $value, array $field_object ): array {
+		if ( ! empty( $field_object['allow_custom'] ) || ! empty( $field_object['other_choice'] ) ) {
+			return [];
+		}
+
+		$choices = array_map( 'strval', array_keys( (array) ( $field_object['choices'] ?? [] ) ) );
+		$values  = array_map( 'strval', array_filter( (array) $value, 'is_scalar' ) );
+
+		return array_values( array_diff( $values, $choices ) );
+	}
+
 	/**
 	 * Validate field value against field configuration
 	 *
+	 * Required fields must not be empty; the rest is up to the `validate`
+	 * handler the field type registered with the FieldTypeRegistry.
+	 *
 	 * @param mixed                $value Field value.
 	 * @param array<string, mixed> $field_object Field configuration.
 	 * @return bool True if valid
 	 */
 	private function validate_field_value( $value, array $field_object ): bool {
-		$field_type = $field_object['type'] ?? '';
-		$required   = $field_object['required'] ?? false;
+		$required = $field_object['required'] ?? false;
 
 		// Check required fields.
 		if ( $required && ( null === $value || '' === $value || [] === $value ) ) {
 			return false;
 		}
 
-		// Type-specific validation.
-		switch ( $field_type ) {
-			case 'email':
-				return ! $value || is_email( $value );
-
-			case 'url':
-				return ! $value || filter_var( $value, FILTER_VALIDATE_URL ) !== false;
-
-			case 'number':
-				return ! $value || is_numeric( $value );
-
-			case 'range':
-				if ( $value && is_numeric( $value ) ) {
-					$min       = $field_object['min'] ?? null;
-					$max       = $field_object['max'] ?? null;
-					$num_value = (float) $value;
+		$validator = FieldTypeRegistry::instance()->get_handler( $field_object['type'] ?? '', 'validate' );
 
-					if ( null !== $min && $num_value < $min ) {
-						return false;
-					}
-					if ( null !== $max && $num_value > $max ) {
-						return false;
-					}
-				}
-				return true;
+		return null === $validator || (bool) $validator( $value, $field_object );
+	}
 
-			default:
-				return true; // Basic validation passed.
+	/**
+	 * Validate a range field value against its minimum and maximum
+	 *
+	 * @param mixed                $value Field value.
+	 * @param array<string, mixed> $field_object Field configuration.
+	 * @return bool True if valid
+	 */
+	private function validate_range_value( $value, array $field_object ): bool {
+		if ( $value && is_numeric( $value ) ) {
+			$min       = $field_object['min'] ?? null;
+			$max       = $field_object['max'] ?? null;
+			$num_value = (float) $value;
+
+			if ( null !== $min && $num_value < $min ) {
+				return false;
+			}
+			if ( null !== $max && $num_value > $max ) {
+				return false;
+			}
 		}
+		return true;
 	}
 
 	/**
 	 * Create backup of existing field values
 	 *
-	 * @param int           $post_id Post ID to backup.
+	 * Values are stored by field key, with the field's name for reference.
+	 *
+	 * @param int|string    $post_id Post ID or ACF object ID to backup.
 	 * @param array<string> $field_keys Field keys to backup.
 	 * @return string|false Backup ID on success, false on failure
 	 */
-	private function create_backup( int $post_id, array $field_keys ) {
+	private function create_backup( int|string $post_id, array $field_keys ) {
 		$backup_data = [
 			'post_id'    => $post_id,
 			'timestamp'  => current_time( 'mysql' ),
@@ -684,17 +1799,21 @@ class FieldCloner implements LoadableInterface {
 			'field_data' => [],
 		];
 
-		// Collect field values.
+		// Collect field values. Empty fields are kept too (as null), so that
+		// restoring the backup empties fields the clone filled.
 		foreach ( $field_keys as $field_key ) {
-			$existing_value = get_field( $field_key, $post_id, false );
-			if ( false !== $existing_value && null !== $existing_value ) {
-				$field_object                            = get_field_object( $field_key, $post_id );
-				$backup_data['field_data'][ $field_key ] = [
-					'value' => $existing_value,
-					'label' => $field_object['label'] ?? $field_key,
-					'type'  => $field_object['type'] ?? 'unknown',
-				];
+			$field_object = get_field_object( $field_key, $post_id, false );
+			if ( ! $field_object ) {
+				continue;
 			}
+
+			$existing_value                                    = get_field( $field_object['key'], $post_id, false );
+			$backup_data['field_data'][ $field_object['key'] ] = [
+				'value' => false === $existing_value ? null : $existing_value,
+				'label' => $field_object['label'] ?? $field_key,
+				'name'  => $field_object['name'] ?? '',
+				'type'  => $field_object['type'] ?? 'unknown',
+			];
 		}
 
 		// Don't create backup if no fields to backup.
@@ -702,8 +1821,8 @@ class FieldCloner implements LoadableInterface {
 			return false;
 		}
 
-		// Generate unique backup ID.
-		$backup_id = 'backup_' . $post_id . '_' . time() . '_' . wp_generate_password( 8, false );
+		// Generate unique backup ID (terms, users and options pages use 0 for the post).
+		$backup_id = 'backup_' . ( is_int( $post_id ) ? $post_id : 0 ) . '_' . time() . '_' . wp_generate_password( 8, false );
 
 		// Store backup in database.
 		$stored = $this->store_backup( $backup_id, $backup_data );
@@ -754,7 +1873,7 @@ class FieldCloner implements LoadableInterface {
 			$table_name,
 			[
 				'backup_id'   => $backup_id,
-				'post_id'     => $backup_data['post_id'],
+				'post_id'     => is_int( $backup_data['post_id'] ) ? $backup_data['post_id'] : 0,
 				'user_id'     => $backup_data['user_id'],
 				'backup_data' => wp_json_encode( $backup_data ),
 				'created_at'  => $backup_data['timestamp'],
@@ -803,55 +1922,131 @@ class FieldCloner implements LoadableInterface {
 	}
 
 	/**
-	 * Restore backup by ID
+	 * Check whether a string is a valid backup ID
 	 *
 	 * @param string $backup_id Backup identifier.
-	 * @param bool   $delete_after_restore Delete backup after successful restore.
-	 * @return array<string, mixed> Restore result
+	 * @return bool True if the format is valid
+	 */
+	private function is_valid_backup_id( string $backup_id ): bool {
+		return (bool) preg_match( '/^backup_\d+_\d+_[a-zA-Z0-9]+$/', $backup_id );
+	}
+
+	/**
+	 * Get a backup with its stored field values
+	 *
+	 * Field values are keyed by field key. Backups taken before fields were
+	 * identified by key store some values by field name; those are resolved
+	 * on the backup's post, and kept under the name if the field is gone.
+	 *
+	 * @param string $backup_id Backup identifier.
+	 * @return array{backup_id: string, post_id: int|string, user_id: int, created_at: string, field_data: array<string, array{value: mixed, label: string, name?: string, type: string}>}|null Backup, or null if not found or unreadable
 	 */
-	public function restore_backup( string $backup_id, bool $delete_after_restore = false ): array {
+	public function get_backup( string $backup_id ): ?array {
 		global $wpdb;
 
-		// Validate backup ID format.
-		if ( ! preg_match( '/^backup_\d+_\d+_[a-zA-Z0-9]+$/', $backup_id ) ) {
-			return [
-				'success' => false,
-				'message' => __( 'Invalid backup ID format', 'silver-assist-acf-clone-fields' ),
-			];
+		if ( ! $this->is_valid_backup_id( $backup_id ) ) {
+			return null;
 		}
 
 		$table_name = $wpdb->prefix . 'acf_field_backups';
 
-		// Retrieve backup.
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 		$backup_row = $wpdb->get_row(
 			$wpdb->prepare( 'SELECT * FROM %i WHERE backup_id = %s', $table_name, $backup_id )
 		);
 
 		if ( ! $backup_row ) {
+			return null;
+		}
+
+		$backup_data = json_decode( $backup_row->backup_data, true );
+
+		if ( ! $backup_data || ! isset( $backup_data['field_data'] ) || ! is_array( $backup_data['field_data'] ) ) {
+			return null;
+		}
+
+		$post_id    = is_numeric( $backup_data['post_id'] ) ? (int) $backup_data['post_id'] : (string) $backup_data['post_id'];
+		$field_data = [];
+
+		foreach ( $backup_data['field_data'] as $stored_key => $field_info ) {
+			$stored_key = (string) $stored_key;
+			$field_key  = str_starts_with( $stored_key, 'field_' ) ? $stored_key : FieldDetector::instance()->resolve_field_key( $stored_key, $post_id );
+
+			if ( null === $field_key ) {
+				$field_data[ $stored_key ] = $field_info;
+				continue;
+			}
+
+			if ( $field_key !== $stored_key && ! isset( $field_info['name'] ) ) {
+				$field_info['name'] = $stored_key;
+			}
+
+			$field_data[ $field_key ] = $field_info;
+		}
+
+		return [
+			'backup_id'  => $backup_row->backup_id,
+			'post_id'    => $post_id,
+			'user_id'    => (int) $backup_row->user_id,
+			'created_at' => $backup_row->created_at,
+			'field_data' => $field_data,
+		];
+	}
+
+	/**
+	 * Restore backup by ID
+	 *
+	 * With `$field_keys` only those fields of the backup are restored; the
+	 * backup is then kept even if `$delete_after_restore` is set, since it
+	 * still holds the other fields. Fields can be given by name too.
+	 *
+	 * @param string        $backup_id Backup identifier.
+	 * @param bool          $delete_after_restore Delete backup after successful restore.
+	 * @param array<string> $field_keys Field keys or names to restore (empty for all).
+	 * @return array<string, mixed> Restore result
+	 */
+	public function restore_backup( string $backup_id, bool $delete_after_restore = false, array $field_keys = [] ): array {
+		// Validate backup ID format.
+		if ( ! $this->is_valid_backup_id( $backup_id ) ) {
 			return [
 				'success' => false,
-				'message' => __( 'Backup not found', 'silver-assist-acf-clone-fields' ),
+				'message' => __( 'Invalid backup ID format', 'silver-assist-acf-clone-fields' ),
 			];
 		}
 
-		$backup_data = json_decode( $backup_row->backup_data, true );
+		$backup = $this->get_backup( $backup_id );
 
-		if ( ! $backup_data || ! isset( $backup_data['field_data'] ) ) {
+		if ( ! $backup ) {
 			return [
 				'success' => false,
-				'message' => __( 'Invalid backup data', 'silver-assist-acf-clone-fields' ),
+				'message' => __( 'Backup not found', 'silver-assist-acf-clone-fields' ),
 			];
 		}
 
-		$post_id         = (int) $backup_data['post_id'];
+		$field_data = $backup['field_data'];
+
+		if ( ! empty( $field_keys ) ) {
+			$field_data = array_filter(
+				$field_data,
+				static fn( array $field_info, $field_key ): bool => in_array( (string) $field_key, $field_keys, true ) || in_array( $field_info['name'] ?? '', $field_keys, true ),
+				ARRAY_FILTER_USE_BOTH
+			);
+
+			if ( empty( $field_data ) ) {
+				return [
+					'success' => false,
+					'message' => __( 'None of the selected fields are in this backup', 'silver-assist-acf-clone-fields' ),
+				];
+			}
+		}
+
+		$post_id         = $backup['post_id'];
 		$restored_fields = [];
 		$errors          = [];
 
 		// Restore each field.
-		foreach ( $backup_data['field_data'] as $field_key => $field_info ) {
-			// Get field object to retrieve field name.
-			$field_object = acf_get_field( $field_key );
+		foreach ( $field_data as $field_key => $field_info ) {
+			$field_object = acf_get_field( (string) $field_key );
 
 			if ( ! $field_object ) {
 				$errors[] = sprintf(
@@ -862,9 +2057,8 @@ class FieldCloner implements LoadableInterface {
 				continue;
 			}
 
-			// Use field name (not key) for update_field to work properly.
-			$field_name    = $field_object['name'];
-			$update_result = update_field( $field_name, $field_info['value'], $post_id );
+			// By key, so a field sharing its name with another is restored into itself.
+			$update_result = update_field( $field_object['key'], $field_info['value'], $post_id );
 
 			if ( false !== $update_result ) {
 				$restored_fields[] = $field_info['label'];
@@ -891,8 +2085,8 @@ class FieldCloner implements LoadableInterface {
 			]
 		);
 
-		// Delete backup if requested and restore was successful.
-		if ( $delete_after_restore && $success ) {
+		// Delete backup if requested and the whole backup was restored.
+		if ( $delete_after_restore && $success && count( $field_data ) === count( $backup['field_data'] ) ) {
 			$this->delete_backup( $backup_id );
 		}
 
@@ -948,7 +2142,7 @@ class FieldCloner implements LoadableInterface {
 	/**
 	 * Get all backups for a post
 	 *
-	 * @param int $post_id Post ID.
+	 * @param int|string $post_id Post ID.
 	 * @return array<array<string, mixed>> Array of backups
 	 */
 	public function get_post_backups( int $post_id ): array {
@@ -990,7 +2184,7 @@ class FieldCloner implements LoadableInterface {
 	 *
 	 * @return int Number of backups deleted
 	 */
-	private function cleanup_old_backups(): int {
+	public function cleanup_old_backups(): int {
 		global $wpdb;
 
 		$table_name = $wpdb->prefix . 'acf_field_backups';
@@ -1051,9 +2245,24 @@ class FieldCloner implements LoadableInterface {
 	 */
 	private function generate_result_message( array $result ): string {
 		$cloned_count  = count( $result['cloned_fields'] );
+		$skipped_count = count( $result['skipped_fields'] ?? [] );
 		$error_count   = count( $result['errors'] );
 		$warning_count = count( $result['warnings'] );
 
+		if ( ! empty( $result['dry_run'] ) ) {
+			$message = sprintf( 'Dry run: %d field(s) would be cloned', $cloned_count );
+			if ( $skipped_count > 0 ) {
+				$message .= sprintf( ', %d would be left unchanged', $skipped_count );
+			}
+			if ( $error_count > 0 ) {
+				$message .= sprintf( ', %d would be skipped or fail', $error_count );
+			}
+			if ( $warning_count > 0 ) {
+				$message .= sprintf( ', %d warning(s)', $warning_count );
+			}
+			return $message;
+		}
+
 		if ( 0 === $error_count ) {
 			$message = sprintf( 'Successfully cloned %d field(s)', $cloned_count );
 			if ( $warning_count > 0 ) {
@@ -1066,6 +2275,10 @@ class FieldCloner implements LoadableInterface {
 			}
 		}
 
+		if ( $skipped_count > 0 ) {
+			$message .= sprintf( '; %d empty field(s) left unchanged', $skipped_count );
+		}
+
 		return $message;
 	}
 
@@ -1092,12 +2305,12 @@ class FieldCloner implements LoadableInterface {
 	/**
 	 * Log clone result
 	 *
-	 * @param int                  $source_post_id Source post ID.
-	 * @param int                  $target_post_id Target post ID.
+	 * @param int|string           $source_post_id Source post ID.
+	 * @param int|string           $target_post_id Target post ID.
 	 * @param array<string, mixed> $result Clone result.
 	 * @return void
 	 */
-	private function log_clone_result( int $source_post_id, int $target_post_id, array $result ): void {
+	private function log_clone_result( int|string $source_post_id, int|string $target_post_id, array $result ): void {
 		$log_level = $result['success'] ? 'info' : 'warning';
 
 		Logger::instance()->{$log_level}(
@@ -1117,10 +2330,10 @@ class FieldCloner implements LoadableInterface {
 	/**
 	 * Clear cache after cloning operation
 	 *
-	 * @param int $post_id Target post ID.
+	 * @param int|string $post_id Target post ID.
 	 * @return void
 	 */
-	public function clear_clone_cache( int $post_id ): void {
+	public function clear_clone_cache( int|string $post_id ): void {
 		Helpers::clear_cache( 'field_clone_' . $post_id );
 
 		// Clear field detector cache.
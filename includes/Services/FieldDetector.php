@@ -83,27 +83,57 @@ class FieldDetector implements LoadableInterface {
 	/**
 	 * Get available fields for a post
 	 *
-	 * @param int $post_id Post ID to analyze.
+	 * A revision has the fields of its parent post, with the values stored
+	 * on the revision. Terms, users and options pages have the fields of the
+	 * field groups shown on their edit screen.
+	 *
+	 * @param int|string $post_id Post ID or ACF object ID (`term_{id}`, `user_{id}`, `options`) to analyze.
 	 * @return array<string, mixed> Available fields organized by groups
 	 */
-	public function get_available_fields( int $post_id ): array {
+	public function get_available_fields( int|string $post_id ): array {
 		// Check cache first.
 		if ( isset( $this->field_cache[ $post_id ] ) ) {
 			return $this->field_cache[ $post_id ];
 		}
 
-		$post_type = get_post_type( $post_id );
-		if ( ! $post_type ) {
-			return [];
-		}
+		$available_fields = $this->collect_fields( $post_id, null );
+
+		// Cache the result.
+		$this->field_cache[ $post_id ] = $available_fields;
 
+		return $available_fields;
+	}
+
+	/**
+	 * Get the fields of a post as they would be with the given values
+	 *
+	 * Used for sources that are not a post, such as a backup of the post.
+	 * Only fields with an entry in `$values` are included, also when the
+	 * entry is empty.
+	 *
+	 * @param int|string           $post_id Post whose field groups to use.
+	 * @param array<string, mixed> $values Raw values keyed by field key or name.
+	 * @return array<string, mixed> Fields organized by groups, as get_available_fields()
+	 */
+	public function get_fields_with_values( int|string $post_id, array $values ): array {
+		return $this->collect_fields( $post_id, $values );
+	}
+
+	/**
+	 * Collect the fields of a post's field groups
+	 *
+	 * @param int|string                $post_id Post ID to analyze.
+	 * @param array<string, mixed>|null $values Values to use instead of the post's, or null.
+	 * @return array<string, mixed> Fields organized by groups
+	 */
+	private function collect_fields( int|string $post_id, ?array $values ): array {
 		$available_fields = [];
 
-		// Get field groups for this post type.
-		$field_groups = $this->get_field_groups( $post_type );
+		// Get field groups for this post type (or term, user or options page).
+		$field_groups = AcfObjects::instance()->get_field_groups( $post_id );
 
 		foreach ( $field_groups as $field_group ) {
-			$group_fields = $this->get_fields_from_group( $field_group, $post_id );
+			$group_fields = $this->get_fields_from_group( $field_group, $post_id, $values );
 
 			if ( ! empty( $group_fields ) ) {
 				$available_fields[ $field_group['key'] ] = [
@@ -114,9 +144,6 @@ class FieldDetector implements LoadableInterface {
 			}
 		}
 
-		// Cache the result.
-		$this->field_cache[ $post_id ] = $available_fields;
-
 		return $available_fields;
 	}
 
@@ -143,11 +170,12 @@ class FieldDetector implements LoadableInterface {
 	/**
 	 * Get fields from a field group
 	 *
-	 * @param array<string, mixed> $field_group Field group configuration.
-	 * @param int                  $post_id Post ID for field value context.
+	 * @param array<string, mixed>      $field_group Field group configuration.
+	 * @param int|string                $post_id Post ID for field value context.
+	 * @param array<string, mixed>|null $values Values to use instead of the post's, or null.
 	 * @return array<string, mixed> Fields from the group
 	 */
-	private function get_fields_from_group( array $field_group, int $post_id ): array {
+	private function get_fields_from_group( array $field_group, int|string $post_id, ?array $values = null ): array {
 		if ( ! function_exists( 'acf_get_fields' ) || empty( $field_group['key'] ) ) {
 			return [];
 		}
@@ -160,7 +188,7 @@ class FieldDetector implements LoadableInterface {
 		$processed_fields = [];
 
 		foreach ( $fields as $field ) {
-			$field_data = $this->process_field( $field, $post_id );
+			$field_data = $this->process_field( $field, $post_id, $values );
 			if ( $field_data ) {
 				$processed_fields[ $field['key'] ] = $field_data;
 			}
@@ -172,22 +200,34 @@ class FieldDetector implements LoadableInterface {
 	/**
 	 * Process individual field for cloning analysis
 	 *
-	 * @param array<string, mixed> $field ACF field configuration.
-	 * @param int                  $post_id Post ID for context.
+	 * @param array<string, mixed>      $field ACF field configuration.
+	 * @param int|string                $post_id Post ID for context.
+	 * @param array<string, mixed>|null $values Values to use instead of the post's, or null.
 	 * @return array<string, mixed>|null Processed field data or null if not cloneable
 	 */
-	private function process_field( array $field, int $post_id ): ?array {
+	private function process_field( array $field, int|string $post_id, ?array $values = null ): ?array {
 		// Skip Pro-only fields if ACF Pro is not active.
 		if ( ! Helpers::is_field_type_supported( $field['type'] ) ) {
 			return null;
 		}
 
-		// Get current field value.
-		$current_value = function_exists( 'get_field' ) ? get_field( $field['key'], $post_id ) : null;
+		if ( null !== $values ) {
+			// Given values are keyed by field key, or by name where the clone used names.
+			if ( array_key_exists( $field['key'], $values ) ) {
+				$current_value = $values[ $field['key'] ];
+			} elseif ( array_key_exists( $field['name'], $values ) ) {
+				$current_value = $values[ $field['name'] ];
+			} else {
+				return null;
+			}
+		} else {
+			// Get current field value.
+			$current_value = function_exists( 'get_field' ) ? get_field( $field['key'], $post_id ) : null;
 
-		// Skip empty fields unless they're containers (repeater/group).
-		if ( empty( $current_value ) && ! in_array( $field['type'], [ 'repeater', 'group' ], true ) ) {
-			return null;
+			// Skip empty fields unless they're containers (repeater/group).
+			if ( empty( $current_value ) && ! in_array( $field['type'], [ 'repeater', 'group' ], true ) ) {
+				return null;
+			}
 		}
 
 		$processed_field = [
@@ -206,18 +246,23 @@ class FieldDetector implements LoadableInterface {
 				if ( Helpers::is_acf_pro_active() ) {
 					$processed_field['sub_fields'] = $this->get_repeater_sub_fields( $field, $post_id );
 					$processed_field['row_count']  = is_array( $current_value ) ? count( $current_value ) : 0;
+					$processed_field['rows']       = $this->get_row_summaries( is_array( $current_value ) ? $current_value : [], [] );
 				}
 				break;
 
 			case 'group':
 				if ( Helpers::is_acf_pro_active() ) {
-					$processed_field['sub_fields'] = $this->get_group_sub_fields( $field, $post_id );
+					$processed_field['sub_fields'] = $this->get_group_sub_fields( $field, $post_id, null !== $values ? (array) $current_value : null );
 				}
 				break;
 
 			case 'flexible_content':
 				if ( Helpers::is_acf_pro_active() ) {
 					$processed_field['layouts'] = $this->get_flexible_content_layouts( $field, $post_id );
+					$processed_field['rows']    = $this->get_row_summaries(
+						is_array( $current_value ) ? $current_value : [],
+						wp_list_pluck( $field['layouts'] ?? [], 'label', 'name' )
+					);
 				}
 				break;
 
@@ -234,10 +279,10 @@ class FieldDetector implements LoadableInterface {
 	 * Get repeater sub-fields
 	 *
 	 * @param array<string, mixed> $repeater_field Repeater field configuration.
-	 * @param int                  $post_id Post ID for context.
+	 * @param int|string           $post_id Post ID for context.
 	 * @return array<string, mixed> Sub-fields data
 	 */
-	public function get_repeater_sub_fields( array $repeater_field, int $post_id ): array {
+	public function get_repeater_sub_fields( array $repeater_field, int|string $post_id ): array {
 		$sub_fields = [];
 
 		if ( isset( $repeater_field['sub_fields'] ) && is_array( $repeater_field['sub_fields'] ) ) {
@@ -258,16 +303,17 @@ class FieldDetector implements LoadableInterface {
 	/**
 	 * Get group sub-fields
 	 *
-	 * @param array<string, mixed> $group_field Group field configuration.
-	 * @param int                  $post_id Post ID for context.
+	 * @param array<string, mixed>      $group_field Group field configuration.
+	 * @param int|string                $post_id Post ID for context.
+	 * @param array<string, mixed>|null $values Values of the group to use instead of the post's, or null.
 	 * @return array<string, mixed> Sub-fields data
 	 */
-	private function get_group_sub_fields( array $group_field, int $post_id ): array {
+	private function get_group_sub_fields( array $group_field, int|string $post_id, ?array $values = null ): array {
 		$sub_fields = [];
 
 		if ( isset( $group_field['sub_fields'] ) && is_array( $group_field['sub_fields'] ) ) {
 			foreach ( $group_field['sub_fields'] as $sub_field ) {
-				$processed_sub_field = $this->process_field( $sub_field, $post_id );
+				$processed_sub_field = $this->process_field( $sub_field, $post_id, $values );
 				if ( $processed_sub_field ) {
 					$sub_fields[ $sub_field['key'] ] = $processed_sub_field;
 				}
@@ -281,10 +327,10 @@ class FieldDetector implements LoadableInterface {
 	 * Get flexible content layouts
 	 *
 	 * @param array<string, mixed> $flexible_field Flexible content field configuration.
-	 * @param int                  $post_id Post ID for context.
+	 * @param int|string           $post_id Post ID for context.
 	 * @return array<string, mixed> Layouts data
 	 */
-	private function get_flexible_content_layouts( array $flexible_field, int $post_id ): array {
+	private function get_flexible_content_layouts( array $flexible_field, int|string $post_id ): array {
 		$layouts = [];
 
 		if ( isset( $flexible_field['layouts'] ) && is_array( $flexible_field['layouts'] ) ) {
@@ -313,6 +359,52 @@ class FieldDetector implements LoadableInterface {
 		return $layouts;
 	}
 
+	/**
+	 * Summarize repeater/flexible content rows for row-level selection
+	 *
+	 * Each row is labelled with its first non-empty text value so editors can
+	 * tell rows apart; flexible content rows also carry their layout label.
+	 *
+	 * @param array<mixed>          $rows Formatted rows (keyed by sub-field name).
+	 * @param array<string, string> $layout_labels Layout labels keyed by layout name.
+	 * @return list<array<string, mixed>> Row summaries with index, summary and optional layout
+	 */
+	private function get_row_summaries( array $rows, array $layout_labels ): array {
+		$summaries = [];
+
+		foreach ( array_values( $rows ) as $index => $row ) {
+			$summary = [
+				'index'   => $index,
+				'summary' => '',
+			];
+
+			if ( ! is_array( $row ) ) {
+				$summaries[] = $summary;
+				continue;
+			}
+
+			if ( isset( $row['acf_fc_layout'] ) ) {
+				$summary['layout'] = $layout_labels[ $row['acf_fc_layout'] ] ?? $row['acf_fc_layout'];
+			}
+
+			foreach ( $row as $sub_name => $sub_value ) {
+				if ( 'acf_fc_layout' === $sub_name || ! is_scalar( $sub_value ) ) {
+					continue;
+				}
+
+				$text = trim( wp_strip_all_tags( (string) $sub_value ) );
+				if ( '' !== $text ) {
+					$summary['summary'] = wp_html_excerpt( $text, 60, '…' );
+					break;
+				}
+			}
+
+			$summaries[] = $summary;
+		}
+
+		return $summaries;
+	}
+
 	/**
 	 * Get attachment information for file/image fields
 	 *
@@ -343,6 +435,379 @@ class FieldDetector implements LoadableInterface {
 		];
 	}
 
+	/**
+	 * Compare field values between two posts
+	 *
+	 * Returns the full source and target value of each field, reduced to a
+	 * display-friendly shape (labels instead of IDs, sub-fields by label)
+	 * so the modal can render a side-by-side diff.
+	 *
+	 * @param int|string    $source_post_id Source post ID.
+	 * @param int|string    $target_post_id Target post ID.
+	 * @param array<string> $field_keys Field keys (or names) to compare.
+	 * @return list<array<string, mixed>> One entry per field found in the source
+	 */
+	public function get_field_comparison( int|string $source_post_id, int|string $target_post_id, array $field_keys ): array {
+		if ( ! function_exists( 'get_field_object' ) ) {
+			return [];
+		}
+
+		$comparison = [];
+
+		foreach ( $field_keys as $field_key ) {
+			$field = get_field_object( $field_key, $source_post_id, false, false );
+			if ( ! $field ) {
+				continue;
+			}
+
+			$comparison[] = $this->compare_values(
+				$field,
+				get_field( $field['key'], $source_post_id, false ),
+				get_field( $field['key'], $target_post_id, false )
+			);
+		}
+
+		return $comparison;
+	}
+
+	/**
+	 * Resolve a field selector to its ACF field key
+	 *
+	 * Keys are returned as they are. Names, which older sync jobs, presets,
+	 * backups and scripts may still send, are looked up on the post they
+	 * were stored for, so a name shared by fields of different groups
+	 * resolves to the field the post actually uses.
+	 *
+	 * @param string     $selector Field key or name.
+	 * @param int|string $post_id Post ID or ACF object ID.
+	 * @return string|null Field key, or null if no such field exists
+	 */
+	public function resolve_field_key( string $selector, int|string $post_id ): ?string {
+		if ( ! function_exists( 'acf_get_field' ) || '' === $selector ) {
+			return null;
+		}
+
+		if ( str_starts_with( $selector, 'field_' ) && acf_get_field( $selector ) ) {
+			return $selector;
+		}
+
+		$field = get_field_object( $selector, $post_id, false, false );
+
+		return $field ? $field['key'] : null;
+	}
+
+	/**
+	 * Compare two raw values of one field
+	 *
+	 * @param array<string, mixed> $field Field configuration.
+	 * @param mixed                $source_value Incoming raw value.
+	 * @param mixed                $target_value Current raw value.
+	 * @return array<string, mixed> Comparison entry (key, name, label, type, kind, source, target, identical)
+	 */
+	public function compare_values( array $field, $source_value, $target_value ): array {
+		return [
+			'key'       => $field['key'],
+			'name'      => $field['name'],
+			'label'     => $field['label'],
+			'type'      => $field['type'],
+			'kind'      => $this->get_comparison_kind( $field['type'] ),
+			'source'    => $this->get_display_value( $source_value, $field ),
+			'target'    => $this->get_display_value( $target_value, $field ),
+			'identical' => wp_json_encode( $source_value ) === wp_json_encode( $target_value ),
+		];
+	}
+
+	/**
+	 * Get field values in the shape the edit screen's ACF inputs take
+	 *
+	 * Used to refresh the inputs after a clone without reloading the page.
+	 * Group, repeater and flexible content values are keyed by sub-field key
+	 * at every level. Image and file fields hold the attachment ID, with the
+	 * data ACF's media inputs render collected in `attachments`.
+	 *
+	 * @param int|string    $post_id Post ID.
+	 * @param array<string> $field_keys Field keys (or names).
+	 * @return array{fields: list<array<string, mixed>>, attachments: array<int, array<string, mixed>>} Values (key, name, label, type, value) and attachments by ID
+	 */
+	public function get_editor_values( int|string $post_id, array $field_keys ): array {
+		$values = [
+			'fields'      => [],
+			'attachments' => [],
+		];
+
+		if ( ! function_exists( 'get_field_object' ) ) {
+			return $values;
+		}
+
+		foreach ( $field_keys as $field_key ) {
+			$field = get_field_object( $field_key, $post_id, false, false );
+			if ( ! $field ) {
+				continue;
+			}
+
+			$values['fields'][] = [
+				'key'   => $field['key'],
+				'name'  => $field['name'],
+				'label' => $field['label'],
+				'type'  => $field['type'],
+				'value' => $this->get_editor_value( get_field( $field['key'], $post_id, false ), $field, $values['attachments'] ),
+			];
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Convert a raw field value for the edit screen's inputs
+	 *
+	 * @param mixed                            $value Raw field value.
+	 * @param array<string, mixed>             $field Field configuration.
+	 * @param array<int, array<string, mixed>> $attachments Attachment data by ID, filled in.
+	 * @return mixed Editor value
+	 */
+	private function get_editor_value( $value, array $field, array &$attachments ) {
+		switch ( $field['type'] ?? '' ) {
+			case 'repeater':
+				$rows = [];
+				foreach ( is_array( $value ) ? $value : [] as $row ) {
+					$rows[] = $this->get_editor_row( is_array( $row ) ? $row : [], $field['sub_fields'] ?? [], $attachments );
+				}
+				return $rows;
+
+			case 'group':
+				return $this->get_editor_row( is_array( $value ) ? $value : [], $field['sub_fields'] ?? [], $attachments );
+
+			case 'flexible_content':
+				$rows = [];
+				foreach ( is_array( $value ) ? $value : [] as $row ) {
+					$layout_name = is_array( $row ) ? (string) ( $row['acf_fc_layout'] ?? '' ) : '';
+					$sub_fields  = [];
+					foreach ( $field['layouts'] ?? [] as $layout ) {
+						if ( $layout['name'] === $layout_name ) {
+							$sub_fields = $layout['sub_fields'] ?? [];
+							break;
+						}
+					}
+					$rows[] = [
+						'layout' => $layout_name,
+						'fields' => $this->get_editor_row( is_array( $row ) ? $row : [], $sub_fields, $attachments ),
+					];
+				}
+				return $rows;
+
+			case 'image':
+			case 'file':
+				$attachment_id = is_array( $value ) ? ( $value['ID'] ?? 0 ) : $value;
+				if ( ! is_numeric( $attachment_id ) || (int) $attachment_id <= 0 || ! function_exists( 'acf_get_attachment' ) ) {
+					return null;
+				}
+
+				$attachment = acf_get_attachment( (int) $attachment_id );
+				if ( ! $attachment ) {
+					return null;
+				}
+
+				$attachments[ (int) $attachment_id ] = $attachment;
+				return (int) $attachment_id;
+
+			default:
+				return $value;
+		}
+	}
+
+	/**
+	 * Convert a row of raw sub-field values for the edit screen's inputs
+	 *
+	 * @param array<string, mixed>             $row Raw row/group value, keyed by sub-field key or name.
+	 * @param array<array<string, mixed>>      $sub_fields Sub-field configurations.
+	 * @param array<int, array<string, mixed>> $attachments Attachment data by ID, filled in.
+	 * @return array<string, mixed> Editor values keyed by sub-field key
+	 */
+	private function get_editor_row( array $row, array $sub_fields, array &$attachments ): array {
+		$values = [];
+
+		foreach ( $sub_fields as $sub_field ) {
+			$values[ $sub_field['key'] ] = $this->get_editor_value(
+				$row[ $sub_field['key'] ] ?? $row[ $sub_field['name'] ] ?? null,
+				$sub_field,
+				$attachments
+			);
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Get how a field type should be compared
+	 *
+	 * @param string $field_type ACF field type.
+	 * @return string One of text, rows, group, layouts
+	 */
+	private function get_comparison_kind( string $field_type ): string {
+		switch ( $field_type ) {
+			case 'repeater':
+				return 'rows';
+
+			case 'group':
+				return 'group';
+
+			case 'flexible_content':
+				return 'layouts';
+
+			default:
+				return 'text';
+		}
+	}
+
+	/**
+	 * Convert a raw (unformatted) field value into a display value
+	 *
+	 * Scalars become strings, references become titles/names, and container
+	 * fields become lists of sub-field entries.
+	 *
+	 * @param mixed                $value Raw field value.
+	 * @param array<string, mixed> $field Field configuration.
+	 * @return mixed Display value (string, list of entries/rows, or null when empty)
+	 */
+	public function get_display_value( $value, array $field ) {
+		$type = $field['type'] ?? 'text';
+
+		if ( 'true_false' === $type ) {
+			return $value ? __( 'Yes', 'silver-assist-acf-clone-fields' ) : __( 'No', 'silver-assist-acf-clone-fields' );
+		}
+
+		if ( null === $value || false === $value || '' === $value || [] === $value ) {
+			return null;
+		}
+
+		switch ( $type ) {
+			case 'repeater':
+				if ( ! is_array( $value ) ) {
+					return null;
+				}
+				return array_values(
+					array_map(
+						fn( $row ) => $this->get_sub_field_display_values( is_array( $row ) ? $row : [], $field['sub_fields'] ?? [] ),
+						$value
+					)
+				);
+
+			case 'group':
+				return is_array( $value ) ? $this->get_sub_field_display_values( $value, $field['sub_fields'] ?? [] ) : null;
+
+			case 'flexible_content':
+				if ( ! is_array( $value ) ) {
+					return null;
+				}
+				$rows = [];
+				foreach ( $value as $row ) {
+					$layout_name = is_array( $row ) ? ( $row['acf_fc_layout'] ?? '' ) : '';
+					$layout      = null;
+					foreach ( $field['layouts'] ?? [] as $config_layout ) {
+						if ( $config_layout['name'] === $layout_name ) {
+							$layout = $config_layout;
+							break;
+						}
+					}
+					$rows[] = [
+						'layout' => $layout ? $layout['label'] : $layout_name,
+						'fields' => $this->get_sub_field_display_values( is_array( $row ) ? $row : [], $layout['sub_fields'] ?? [] ),
+					];
+				}
+				return $rows;
+
+			case 'image':
+			case 'file':
+				$info = $this->get_attachment_info( $value );
+				if ( ! $info ) {
+					return is_scalar( $value ) ? (string) $value : null;
+				}
+				return $info['title'] ? $info['title'] . ' (' . $info['filename'] . ')' : $info['filename'];
+
+			case 'gallery':
+				$titles = [];
+				foreach ( (array) $value as $attachment_id ) {
+					$info     = $this->get_attachment_info( $attachment_id );
+					$titles[] = $info ? $info['filename'] : (string) $attachment_id;
+				}
+				return implode( "\n", $titles );
+
+			case 'post_object':
+			case 'relationship':
+			case 'page_link':
+				$titles = [];
+				foreach ( (array) $value as $post_id ) {
+					$titles[] = is_numeric( $post_id ) ? get_the_title( (int) $post_id ) . ' (#' . $post_id . ')' : (string) $post_id;
+				}
+				return implode( "\n", $titles );
+
+			case 'taxonomy':
+				$names = [];
+				foreach ( (array) $value as $term_id ) {
+					$term    = is_numeric( $term_id ) ? get_term( (int) $term_id ) : null;
+					$names[] = $term && ! is_wp_error( $term ) ? $term->name : (string) $term_id;
+				}
+				return implode( ', ', $names );
+
+			case 'user':
+				$names = [];
+				foreach ( (array) $value as $user_id ) {
+					$user    = is_numeric( $user_id ) ? get_user_by( 'id', (int) $user_id ) : false;
+					$names[] = $user ? $user->display_name : (string) $user_id;
+				}
+				return implode( ', ', $names );
+
+			case 'select':
+			case 'checkbox':
+			case 'radio':
+			case 'button_group':
+				$choices = $field['choices'] ?? [];
+				$labels  = array_map(
+					static fn( $choice ) => (string) ( $choices[ $choice ] ?? $choice ),
+					(array) $value
+				);
+				return implode( ', ', $labels );
+
+			case 'link':
+				if ( is_array( $value ) ) {
+					return trim( ( $value['title'] ?? '' ) . ' ' . ( $value['url'] ?? '' ) );
+				}
+				return (string) $value;
+
+			case 'google_map':
+				return is_array( $value ) ? (string) ( $value['address'] ?? wp_json_encode( $value ) ) : (string) $value;
+
+			default:
+				return is_scalar( $value ) ? (string) $value : (string) wp_json_encode( $value );
+		}
+	}
+
+	/**
+	 * Convert a row of sub-field values into display entries
+	 *
+	 * Raw rows may be keyed by sub-field key or by sub-field name depending on
+	 * how the value was stored, so both are checked.
+	 *
+	 * @param array<string, mixed>        $row Raw row/group value.
+	 * @param array<array<string, mixed>> $sub_fields Sub-field configurations.
+	 * @return list<array{key: string, label: string, value: mixed}> Display entries
+	 */
+	private function get_sub_field_display_values( array $row, array $sub_fields ): array {
+		$entries = [];
+
+		foreach ( $sub_fields as $sub_field ) {
+			$sub_value = $row[ $sub_field['key'] ] ?? $row[ $sub_field['name'] ] ?? null;
+
+			$entries[] = [
+				'key'   => $sub_field['key'],
+				'label' => $sub_field['label'],
+				'value' => $this->get_display_value( $sub_value, $sub_field ),
+			];
+		}
+
+		return $entries;
+	}
+
 	/**
 	 * Check if field is cloneable
 	 *
@@ -365,10 +830,10 @@ class FieldDetector implements LoadableInterface {
 	/**
 	 * Clear field cache
 	 *
-	 * @param int|null $post_id Optional post ID to clear specific cache.
+	 * @param int|string|null $post_id Optional post or object ID to clear specific cache.
 	 * @return void
 	 */
-	public function clear_field_cache( ?int $post_id = null ): void {
+	public function clear_field_cache( int|string|null $post_id = null ): void {
 		if ( null !== $post_id ) {
 			unset( $this->field_cache[ $post_id ] );
 		} else {
@@ -382,10 +847,10 @@ class FieldDetector implements LoadableInterface {
 	/**
 	 * Get field statistics for a post
 	 *
-	 * @param int $post_id Post ID to analyze.
+	 * @param int|string $post_id Post ID to analyze.
 	 * @return array<string, int> Field statistics
 	 */
-	public function get_field_statistics( int $post_id ): array {
+	public function get_field_statistics( int|string $post_id ): array {
 		$fields = $this->get_available_fields( $post_id );
 		$stats  = [
 			'total_groups'       => 0,
@@ -0,0 +1,637 @@
+<?php
+/**
+ * Field Package Service
+ *
+ * Exports field values of a post as a portable JSON package and imports
+ * such packages into posts on another site, where IDs differ.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Services
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Services;
+
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class FieldPackage
+ *
+ * A package holds raw field values keyed by ACF field key. Attachment,
+ * post, term and user IDs in them are replaced by references that can be
+ * resolved on another site:
+ *
+ *     { "ref": "attachment", "id": 12, "file": "2026/05/hero.jpg", "url": "...", "guid": "..." }
+ *     { "ref": "post", "id": 34, "post_type": "page", "path": "about/team", "guid": "..." }
+ *     { "ref": "term", "id": 5, "taxonomy": "category", "slug": "news" }
+ *     { "ref": "user", "id": 2, "login": "editor" }
+ *
+ * Fields are matched by key on import, so both sites need the same field
+ * groups (e.g. synced through ACF local JSON).
+ */
+class FieldPackage implements LoadableInterface {
+	/**
+	 * Package format identifier
+	 *
+	 * @var string
+	 */
+	public const FORMAT = 'silver-assist-acf-clone-fields';
+
+	/**
+	 * Package format version
+	 *
+	 * @var int
+	 */
+	public const VERSION = 1;
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var FieldPackage|null
+	 */
+	private static ?FieldPackage $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return FieldPackage
+	 */
+	public static function instance(): FieldPackage {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize the field package service
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Called by the REST API and WP-CLI; no hooks needed.
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 30; // Services.
+	}
+
+	/**
+	 * Determine if the field package service should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Export fields of a post
+	 *
+	 * Exports the cloneable fields FieldDetector finds on the post (those
+	 * with a value, and containers), or only the listed ones.
+	 *
+	 * @param int           $post_id Post to export.
+	 * @param array<string> $field_keys Field keys or names; empty for all.
+	 * @return array<string, mixed> Package
+	 */
+	public function export( int $post_id, array $field_keys = [] ): array {
+		$post   = get_post( $post_id );
+		$fields = [];
+
+		foreach ( FieldDetector::instance()->get_available_fields( $post_id ) as $group ) {
+			foreach ( $group['fields'] as $field ) {
+				if ( empty( $field['is_cloneable'] ) ) {
+					continue;
+				}
+
+				if ( ! empty( $field_keys ) && ! in_array( $field['key'], $field_keys, true ) && ! in_array( $field['name'], $field_keys, true ) ) {
+					continue;
+				}
+
+				$field_object = get_field_object( $field['key'], $post_id, false, false );
+				if ( ! $field_object ) {
+					continue;
+				}
+
+				$fields[] = [
+					'key'   => $field_object['key'],
+					'name'  => $field_object['name'],
+					'label' => $field_object['label'],
+					'type'  => $field_object['type'],
+					'group' => [
+						'key'   => $group['key'],
+						'title' => $group['title'],
+					],
+					'value' => $this->to_portable( get_field( $field_object['key'], $post_id, false ), $field_object ),
+				];
+			}
+		}
+
+		return [
+			'format'      => self::FORMAT,
+			'version'     => self::VERSION,
+			'exported_at' => gmdate( 'c' ),
+			'site_url'    => home_url(),
+			'source'      => [
+				'id'        => $post_id,
+				'title'     => $post ? get_the_title( $post ) : '',
+				'post_type' => $post ? $post->post_type : '',
+			],
+			'fields'      => $fields,
+		];
+	}
+
+	/**
+	 * Check a package can be imported
+	 *
+	 * @param mixed $package Decoded package.
+	 * @return true|\WP_Error
+	 */
+	public function validate( $package ) {
+		if ( ! is_array( $package ) || self::FORMAT !== ( $package['format'] ?? '' ) || ! is_array( $package['fields'] ?? null ) ) {
+			return new \WP_Error(
+				'acf_clone_invalid_package',
+				__( 'This file is not an ACF Clone Fields export.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		if ( (int) ( $package['version'] ?? 0 ) > self::VERSION ) {
+			return new \WP_Error(
+				'acf_clone_package_version',
+				__( 'This file was exported by a newer version of ACF Clone Fields. Update the plugin to import it.', 'silver-assist-acf-clone-fields' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Preview the import of a package into a post
+	 *
+	 * Each field carries the same comparison entry as the clone diff, with
+	 * the package value (references resolved) as `source` and the post's
+	 * current value as `target`, plus its `group`, `has_value`, whether the
+	 * post lacks the field (`missing`) and the references that could not
+	 * be resolved (`warnings`).
+	 *
+	 * @param array<string, mixed> $package Validated package.
+	 * @param int                  $post_id Post to import into.
+	 * @return array<string, mixed> Preview (source, fields)
+	 */
+	public function preview( array $package, int $post_id ): array {
+		$detector = FieldDetector::instance();
+		$fields   = [];
+
+		foreach ( $this->get_package_fields( $package ) as $package_field ) {
+			$field    = get_field_object( $package_field['key'], $post_id, false, false );
+			$warnings = [];
+
+			if ( $field ) {
+				$value = $this->from_portable( $package_field['value'], $field, $warnings );
+				$entry = $detector->compare_values( $field, $value, get_field( $field['key'], $post_id, false ) );
+			} else {
+				// The post has no such field; show the value as plain text.
+				$entry = $detector->compare_values(
+					[
+						'key'   => $package_field['key'],
+						'name'  => $package_field['name'],
+						'label' => $package_field['label'],
+						'type'  => 'text',
+					],
+					is_scalar( $package_field['value'] ) ? $package_field['value'] : wp_json_encode( $package_field['value'] ),
+					null
+				);
+			}
+
+			$entry['group']     = $package_field['group'];
+			$entry['has_value'] = null !== $package_field['value'] && '' !== $package_field['value'] && [] !== $package_field['value'];
+			$entry['missing']   = ! $field;
+			$entry['warnings']  = $warnings;
+			$fields[]           = $entry;
+		}
+
+		return [
+			'source' => [
+				'title'       => sanitize_text_field( (string) ( $package['source']['title'] ?? '' ) ),
+				'site_url'    => esc_url_raw( (string) ( $package['site_url'] ?? '' ) ),
+				'exported_at' => sanitize_text_field( (string) ( $package['exported_at'] ?? '' ) ),
+			],
+			'fields' => $fields,
+		];
+	}
+
+	/**
+	 * Import fields of a package into a post
+	 *
+	 * References are resolved on this site and the values written through
+	 * FieldCloner::import_values(), with the same options, backup and report
+	 * as a clone. References that cannot be resolved are dropped and listed
+	 * in the field's warnings.
+	 *
+	 * @param array<string, mixed> $package Validated package.
+	 * @param int                  $post_id Post to import into.
+	 * @param array<string>        $field_keys Keys or names of the package fields to import.
+	 * @param array<string, mixed> $options Clone options.
+	 * @return array<string, mixed> Clone result
+	 */
+	public function import( array $package, int $post_id, array $field_keys, array $options = [] ): array {
+		$values   = [];
+		$warnings = [];
+
+		foreach ( $this->get_package_fields( $package ) as $package_field ) {
+			if ( ! in_array( $package_field['key'], $field_keys, true ) && ! in_array( $package_field['name'], $field_keys, true ) ) {
+				continue;
+			}
+
+			$key              = $package_field['key'];
+			$field            = get_field_object( $key, $post_id, false, false );
+			$warnings[ $key ] = [];
+			$values[ $key ]   = $field ? $this->from_portable( $package_field['value'], $field, $warnings[ $key ] ) : $package_field['value'];
+		}
+
+		$result = FieldCloner::instance()->import_values( $post_id, $values, $options );
+
+		// Report the unresolved references with their field.
+		foreach ( $result['report'] ?? [] as $index => $entry ) {
+			$field_warnings = $warnings[ $entry['field'] ] ?? [];
+			if ( ! empty( $field_warnings ) ) {
+				$result['report'][ $index ]['warnings'] = array_merge( $field_warnings, $entry['warnings'] );
+				$result['warnings']                     = array_merge( $result['warnings'], $field_warnings );
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get the well-formed fields of a package
+	 *
+	 * @param array<string, mixed> $package Validated package.
+	 * @return list<array{key: string, name: string, label: string, type: string, group: array{key: string, title: string}, value: mixed}> Fields
+	 */
+	private function get_package_fields( array $package ): array {
+		$fields = [];
+
+		foreach ( $package['fields'] as $field ) {
+			if ( ! is_array( $field ) || empty( $field['key'] ) || ! is_string( $field['key'] ) ) {
+				continue;
+			}
+
+			$key      = sanitize_text_field( $field['key'] );
+			$fields[] = [
+				'key'   => $key,
+				'name'  => sanitize_text_field( (string) ( $field['name'] ?? $key ) ),
+				'label' => sanitize_text_field( (string) ( $field['label'] ?? $key ) ),
+				'type'  => sanitize_key( (string) ( $field['type'] ?? '' ) ),
+				'group' => [
+					'key'   => sanitize_text_field( (string) ( $field['group']['key'] ?? '' ) ),
+					'title' => sanitize_text_field( (string) ( $field['group']['title'] ?? '' ) ),
+				],
+				'value' => $field['value'] ?? null,
+			];
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Replace the IDs in a raw field value with portable references
+	 *
+	 * @param mixed                $value Raw value.
+	 * @param array<string, mixed> $field Field configuration.
+	 * @return mixed Portable value
+	 */
+	private function to_portable( $value, array $field ) {
+		switch ( $field['type'] ?? '' ) {
+			case 'image':
+			case 'file':
+			case 'gallery':
+				return $this->map_ids( $value, [ $this, 'get_attachment_reference' ] );
+
+			case 'relationship':
+			case 'post_object':
+			case 'page_link':
+				return $this->map_ids( $value, [ $this, 'get_post_reference' ] );
+
+			case 'taxonomy':
+				return $this->map_ids( $value, fn( int $term_id ) => $this->get_term_reference( $term_id, (string) ( $field['taxonomy'] ?? '' ) ) );
+
+			case 'user':
+				return $this->map_ids( $value, [ $this, 'get_user_reference' ] );
+
+			default:
+				return $this->map_sub_fields( $value, $field, [ $this, 'to_portable' ] );
+		}
+	}
+
+	/**
+	 * Replace the portable references in a field value with IDs of this site
+	 *
+	 * @param mixed                $value Portable value.
+	 * @param array<string, mixed> $field Field configuration on this site.
+	 * @param array<string>        &$warnings Unresolved references.
+	 * @return mixed Raw value
+	 */
+	private function from_portable( $value, array $field, array &$warnings ) {
+		if ( $this->is_reference( $value ) ) {
+			$id = $this->resolve_reference( $value );
+
+			if ( null === $id ) {
+				$warnings[] = sprintf(
+					/* translators: 1: reference type, 2: reference description */
+					__( 'No matching %1$s found for %2$s; it was left out.', 'silver-assist-acf-clone-fields' ),
+					$value['ref'],
+					$this->describe_reference( $value )
+				);
+			}
+
+			return $id;
+		}
+
+		if ( is_array( $value ) && ! in_array( $field['type'] ?? '', [ 'repeater', 'group', 'flexible_content' ], true ) ) {
+			$resolved = [];
+			foreach ( $value as $item ) {
+				$item = $this->from_portable( $item, $field, $warnings );
+				if ( null !== $item ) {
+					$resolved[] = $item;
+				}
+			}
+			return $resolved;
+		}
+
+		return $this->map_sub_fields(
+			$value,
+			$field,
+			function ( $sub_value, array $sub_field ) use ( &$warnings ) {
+				return $this->from_portable( $sub_value, $sub_field, $warnings );
+			}
+		);
+	}
+
+	/**
+	 * Apply a callback to an ID or to each ID of a list
+	 *
+	 * Values that are not IDs (e.g. archive URLs of page link fields) are kept.
+	 *
+	 * @param mixed    $value ID or list of IDs.
+	 * @param callable $callback Called with each ID.
+	 * @return mixed Mapped value
+	 */
+	private function map_ids( $value, callable $callback ) {
+		if ( is_array( $value ) ) {
+			return array_map( fn( $item ) => $this->map_ids( $item, $callback ), array_values( $value ) );
+		}
+
+		return is_numeric( $value ) && (int) $value > 0 ? $callback( (int) $value ) : $value;
+	}
+
+	/**
+	 * Apply a callback to each sub-field value of a container field
+	 *
+	 * Raw container values are keyed by sub-field key; other fields are
+	 * returned unchanged.
+	 *
+	 * @param mixed                $value Raw value.
+	 * @param array<string, mixed> $field Field configuration.
+	 * @param callable             $callback Called with the sub-field value and configuration.
+	 * @return mixed Mapped value
+	 */
+	private function map_sub_fields( $value, array $field, callable $callback ) {
+		if ( ! is_array( $value ) ) {
+			return $value;
+		}
+
+		switch ( $field['type'] ?? '' ) {
+			case 'group':
+				return $this->map_row( $value, $field['sub_fields'] ?? [], $callback );
+
+			case 'repeater':
+				return array_map(
+					fn( $row ) => is_array( $row ) ? $this->map_row( $row, $field['sub_fields'] ?? [], $callback ) : $row,
+					$value
+				);
+
+			case 'flexible_content':
+				$layouts = array_column( $field['layouts'] ?? [], 'sub_fields', 'name' );
+
+				return array_map(
+					fn( $row ) => is_array( $row ) ? $this->map_row( $row, $layouts[ $row['acf_fc_layout'] ?? '' ] ?? [], $callback ) : $row,
+					$value
+				);
+
+			default:
+				return $value;
+		}
+	}
+
+	/**
+	 * Apply a callback to each sub-field value of one row
+	 *
+	 * @param array<string, mixed>        $row Row keyed by sub-field key (or name).
+	 * @param array<array<string, mixed>> $sub_fields Sub-field configurations.
+	 * @param callable                    $callback Called with the sub-field value and configuration.
+	 * @return array<string, mixed> Mapped row
+	 */
+	private function map_row( array $row, array $sub_fields, callable $callback ): array {
+		foreach ( $sub_fields as $sub_field ) {
+			foreach ( [ $sub_field['key'], $sub_field['name'] ] as $index ) {
+				if ( array_key_exists( $index, $row ) ) {
+					$row[ $index ] = $callback( $row[ $index ], $sub_field );
+					break;
+				}
+			}
+		}
+
+		return $row;
+	}
+
+	/**
+	 * Get the portable reference of an attachment
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<string, mixed>|int Reference, or the ID if there is no such attachment
+	 */
+	private function get_attachment_reference( int $attachment_id ) {
+		$attachment = get_post( $attachment_id );
+
+		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+			return $attachment_id;
+		}
+
+		return [
+			'ref'  => 'attachment',
+			'id'   => $attachment_id,
+			'file' => (string) get_post_meta( $attachment_id, '_wp_attached_file', true ),
+			'url'  => (string) wp_get_attachment_url( $attachment_id ),
+			'guid' => $attachment->guid,
+		];
+	}
+
+	/**
+	 * Get the portable reference of a post
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array<string, mixed>|int Reference, or the ID if there is no such post
+	 */
+	private function get_post_reference( int $post_id ) {
+		$post = get_post( $post_id );
+
+		if ( ! $post ) {
+			return $post_id;
+		}
+
+		return [
+			'ref'       => 'post',
+			'id'        => $post_id,
+			'post_type' => $post->post_type,
+			'path'      => get_page_uri( $post ),
+			'guid'      => $post->guid,
+		];
+	}
+
+	/**
+	 * Get the portable reference of a term
+	 *
+	 * @param int    $term_id Term ID.
+	 * @param string $taxonomy Taxonomy of the field.
+	 * @return array<string, mixed>|int Reference, or the ID if there is no such term
+	 */
+	private function get_term_reference( int $term_id, string $taxonomy ) {
+		$term = get_term( $term_id, $taxonomy );
+
+		if ( ! $term instanceof \WP_Term ) {
+			return $term_id;
+		}
+
+		return [
+			'ref'      => 'term',
+			'id'       => $term_id,
+			'taxonomy' => $term->taxonomy,
+			'slug'     => $term->slug,
+		];
+	}
+
+	/**
+	 * Get the portable reference of a user
+	 *
+	 * @param int $user_id User ID.
+	 * @return array<string, mixed>|int Reference, or the ID if there is no such user
+	 */
+	private function get_user_reference( int $user_id ) {
+		$user = get_userdata( $user_id );
+
+		if ( ! $user ) {
+			return $user_id;
+		}
+
+		return [
+			'ref'   => 'user',
+			'id'    => $user_id,
+			'login' => $user->user_login,
+		];
+	}
+
+	/**
+	 * Check whether a value is a portable reference
+	 *
+	 * @param mixed $value Value.
+	 * @return bool True if it is a reference
+	 */
+	private function is_reference( $value ): bool {
+		return is_array( $value ) && in_array( $value['ref'] ?? null, [ 'attachment', 'post', 'term', 'user' ], true );
+	}
+
+	/**
+	 * Find the ID a portable reference points to on this site
+	 *
+	 * Attachments are matched by file path, then GUID; posts by type and
+	 * path, then GUID; terms by taxonomy and slug; users by login.
+	 *
+	 * @param array<string, mixed> $reference Portable reference.
+	 * @return int|null ID, or null if nothing matches
+	 */
+	private function resolve_reference( array $reference ): ?int {
+		global $wpdb;
+
+		switch ( $reference['ref'] ) {
+			case 'attachment':
+				if ( ! empty( $reference['file'] ) ) {
+					$ids = get_posts(
+						[
+							'post_type'      => 'attachment',
+							'post_status'    => 'inherit',
+							'posts_per_page' => 1,
+							'fields'         => 'ids',
+							// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Single lookup per reference.
+							'meta_query'     => [
+								[
+									'key'   => '_wp_attached_file',
+									'value' => (string) $reference['file'],
+								],
+							],
+						]
+					);
+					if ( ! empty( $ids ) ) {
+						return (int) $ids[0];
+					}
+				}
+				break;
+
+			case 'post':
+				$post_type = sanitize_key( (string) ( $reference['post_type'] ?? '' ) );
+				if ( ! empty( $reference['path'] ) && post_type_exists( $post_type ) ) {
+					$post = get_page_by_path( (string) $reference['path'], OBJECT, $post_type );
+					if ( $post ) {
+						return $post->ID;
+					}
+				}
+				break;
+
+			case 'term':
+				$term = get_term_by( 'slug', (string) ( $reference['slug'] ?? '' ), (string) ( $reference['taxonomy'] ?? '' ) );
+				return $term ? $term->term_id : null;
+
+			case 'user':
+				$user = get_user_by( 'login', (string) ( $reference['login'] ?? '' ) );
+				return $user ? $user->ID : null;
+		}
+
+		if ( empty( $reference['guid'] ) ) {
+			return null;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- No API looks posts up by GUID.
+		$post_id = $wpdb->get_var( $wpdb->prepare( "SELECT ID FROM {$wpdb->posts} WHERE guid = %s LIMIT 1", (string) $reference['guid'] ) );
+
+		return $post_id ? (int) $post_id : null;
+	}
+
+	/**
+	 * Describe a portable reference for warnings
+	 *
+	 * @param array<string, mixed> $reference Portable reference.
+	 * @return string Description, e.g. the file or slug
+	 */
+	private function describe_reference( array $reference ): string {
+		$description = $reference['file'] ?? $reference['path'] ?? $reference['slug'] ?? $reference['login'] ?? '';
+
+		return '' !== $description ? sprintf( '"%s"', sanitize_text_field( (string) $description ) ) : sprintf( '#%d', (int) ( $reference['id'] ?? 0 ) );
+	}
+}
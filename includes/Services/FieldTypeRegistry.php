@@ -0,0 +1,294 @@
+<?php
+/**
+ * Field Type Registry Service
+ *
+ * Knows which ACF field types can be cloned and how: each type can bring a
+ * clone processor, a validator, a preview renderer for the field picker and
+ * a script that renders and applies its values in the clone modal.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Services
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Services;
+
+use SilverAssist\ACFCloneFields\Utils\Helpers;
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class FieldTypeRegistry
+ *
+ * The built-in types are registered first: the type list here, their
+ * processors and validators by FieldCloner and their previews by
+ * CloneOperations. Other plugins then add or override types on the
+ * `silver_assist_acf_clone_fields_register_field_types` action.
+ */
+class FieldTypeRegistry implements LoadableInterface {
+	/**
+	 * Action other plugins register their field types on
+	 *
+	 * @var string
+	 */
+	public const REGISTER_ACTION = 'silver_assist_acf_clone_fields_register_field_types';
+
+	/**
+	 * Handlers a field type can register
+	 *
+	 * - `process`  callable( mixed $value, array $field, array $options, array &$warnings ): mixed
+	 *              Turns the source value into the value written to the target.
+	 * - `validate` callable( mixed $value, array $field ): bool
+	 *              Checks the processed value before it is written.
+	 * - `preview`  callable( array $field_data ): string
+	 *              Short plain-text summary of the value in the field picker.
+	 * - `script`   string Handle of a registered script, enqueued after the
+	 *              clone modal, that calls `ACFCloneFields.registerFieldType()`.
+	 *
+	 * @var array<string>
+	 */
+	public const HANDLERS = [ 'process', 'validate', 'preview', 'script' ];
+
+	/**
+	 * Field types available in ACF free
+	 *
+	 * @var array<string>
+	 */
+	private const BASIC_TYPES = [
+		'text',
+		'textarea',
+		'number',
+		'email',
+		'url',
+		'password',
+		'image',
+		'file',
+		'wysiwyg',
+		'oembed',
+		'gallery',
+		'select',
+		'checkbox',
+		'radio',
+		'button_group',
+		'true_false',
+		'link',
+		'post_object',
+		'page_link',
+		'relationship',
+		'taxonomy',
+		'user',
+		'google_map',
+		'date_picker',
+		'date_time_picker',
+		'time_picker',
+		'color_picker',
+		'message',
+		'accordion',
+		'tab',
+	];
+
+	/**
+	 * Field types that need ACF Pro
+	 *
+	 * @var array<string>
+	 */
+	private const PRO_TYPES = [
+		'repeater',
+		'group',
+		'flexible_content',
+		'clone',
+	];
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var FieldTypeRegistry|null
+	 */
+	private static ?FieldTypeRegistry $instance = null;
+
+	/**
+	 * Registered field types, keyed by type name
+	 *
+	 * @var array<string, array<string, mixed>>
+	 */
+	private array $types = [];
+
+	/**
+	 * Whether the built-in and third-party types have been registered
+	 *
+	 * @var bool
+	 */
+	private bool $loaded = false;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return FieldTypeRegistry
+	 */
+	public static function instance(): FieldTypeRegistry {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize the registry
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Types are registered on first use; no hooks needed.
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 30; // Services.
+	}
+
+	/**
+	 * Determine if the registry should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Register a field type or replace some of its handlers
+	 *
+	 * Registering a type that is already known merges the given handlers
+	 * into its existing ones, so a single handler of a built-in type can be
+	 * overridden. Unknown handler names are ignored.
+	 *
+	 * @param string               $type ACF field type name.
+	 * @param array<string, mixed> $handlers Handlers (see HANDLERS) and `pro` (needs ACF Pro).
+	 * @return void
+	 */
+	public function register( string $type, array $handlers = [] ): void {
+		// Register the built-ins first so they cannot replace these handlers later.
+		$this->load_types();
+
+		$definition = $this->types[ $type ] ?? [
+			'pro'      => false,
+			'process'  => null,
+			'validate' => null,
+			'preview'  => null,
+			'script'   => '',
+		];
+
+		if ( array_key_exists( 'pro', $handlers ) ) {
+			$definition['pro'] = (bool) $handlers['pro'];
+		}
+
+		foreach ( [ 'process', 'validate', 'preview' ] as $handler ) {
+			if ( isset( $handlers[ $handler ] ) && is_callable( $handlers[ $handler ] ) ) {
+				$definition[ $handler ] = $handlers[ $handler ];
+			}
+		}
+
+		if ( isset( $handlers['script'] ) && is_string( $handlers['script'] ) ) {
+			$definition['script'] = $handlers['script'];
+		}
+
+		$this->types[ $type ] = $definition;
+	}
+
+	/**
+	 * Get the field types that can be cloned
+	 *
+	 * Pro types are left out when ACF Pro is not active.
+	 *
+	 * @return array<string> Type names
+	 */
+	public function get_types(): array {
+		$this->load_types();
+
+		$pro_active = Helpers::is_acf_pro_active();
+		$types      = array_filter( $this->types, static fn( array $definition ): bool => $pro_active || ! $definition['pro'] );
+
+		return array_keys( $types );
+	}
+
+	/**
+	 * Check a field type can be cloned
+	 *
+	 * @param string $type ACF field type name.
+	 * @return bool
+	 */
+	public function is_supported( string $type ): bool {
+		return in_array( $type, $this->get_types(), true );
+	}
+
+	/**
+	 * Get one handler of a field type
+	 *
+	 * @param string $type ACF field type name.
+	 * @param string $handler `process`, `validate` or `preview`.
+	 * @return callable|null Handler, or null if the type has none
+	 */
+	public function get_handler( string $type, string $handler ): ?callable {
+		$this->load_types();
+
+		$callback = $this->types[ $type ][ $handler ] ?? null;
+
+		return is_callable( $callback ) ? $callback : null;
+	}
+
+	/**
+	 * Get the script handles field types registered for the clone modal
+	 *
+	 * @return array<string> Script handles
+	 */
+	public function get_scripts(): array {
+		$this->load_types();
+
+		return array_values( array_unique( array_filter( array_column( $this->types, 'script' ) ) ) );
+	}
+
+	/**
+	 * Register the built-in types, then let other plugins add theirs
+	 *
+	 * @return void
+	 */
+	private function load_types(): void {
+		if ( $this->loaded ) {
+			return;
+		}
+
+		$this->loaded = true;
+
+		foreach ( self::BASIC_TYPES as $type ) {
+			$this->register( $type );
+		}
+
+		foreach ( self::PRO_TYPES as $type ) {
+			$this->register( $type, [ 'pro' => true ] );
+		}
+
+		FieldCloner::instance()->register_field_types( $this );
+		CloneOperations::instance()->register_field_types( $this );
+
+		/**
+		 * Register custom field types, or override handlers of built-in ones
+		 *
+		 * @since 1.4.0
+		 *
+		 * @param FieldTypeRegistry $registry Field type registry; call register() on it.
+		 */
+		do_action( self::REGISTER_ACTION, $this );
+	}
+}
@@ -2,7 +2,8 @@
 /**
  * Services Loader
  *
- * Loads and initializes all Services components including FieldDetector and FieldCloner.
+ * Loads and initializes all Services components including FieldDetector, FieldCloner,
+ * PresetManager and CloneOperations.
  *
  * @package SilverAssist\ACFCloneFields
  * @subpackage Services
@@ -85,8 +86,16 @@ class Loader implements LoadableInterface {
 
 		// Core Services files.
 		$services_files = [
+			'FieldTypeRegistry.php',
+			'AcfObjects.php',
 			'FieldDetector.php',
 			'FieldCloner.php',
+			'ReferenceDuplicator.php',
+			'FieldPackage.php',
+			'PresetManager.php',
+			'CloneOperations.php',
+			'CloneHistory.php',
+			'SyncJobs.php',
 		];
 
 		foreach ( $services_files as $file ) {
@@ -103,6 +112,16 @@ class Loader implements LoadableInterface {
 	 * @return void
 	 */
 	private function init_services(): void {
+		// Initialize FieldTypeRegistry.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\FieldTypeRegistry' ) ) {
+			FieldTypeRegistry::instance()->init();
+		}
+
+		// Initialize AcfObjects.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\AcfObjects' ) ) {
+			AcfObjects::instance()->init();
+		}
+
 		// Initialize FieldDetector.
 		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\FieldDetector' ) ) {
 			FieldDetector::instance()->init();
@@ -112,5 +131,35 @@ class Loader implements LoadableInterface {
 		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\FieldCloner' ) ) {
 			FieldCloner::instance()->init();
 		}
+
+		// Initialize ReferenceDuplicator.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\ReferenceDuplicator' ) ) {
+			ReferenceDuplicator::instance()->init();
+		}
+
+		// Initialize FieldPackage.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\FieldPackage' ) ) {
+			FieldPackage::instance()->init();
+		}
+
+		// Initialize PresetManager.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\PresetManager' ) ) {
+			PresetManager::instance()->init();
+		}
+
+		// Initialize CloneOperations.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\CloneOperations' ) ) {
+			CloneOperations::instance()->init();
+		}
+
+		// Initialize CloneHistory.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\CloneHistory' ) ) {
+			CloneHistory::instance()->init();
+		}
+
+		// Initialize SyncJobs.
+		if ( class_exists( 'SilverAssist\\ACFCloneFields\\Services\\SyncJobs' ) ) {
+			SyncJobs::instance()->init();
+		}
 	}
 }
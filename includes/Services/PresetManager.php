@@ -0,0 +1,347 @@
+<?php
+/**
+ * Preset Manager Service
+ *
+ * Stores named clone presets: a reusable field selection with its
+ * row/sub-field parts, merge strategies and clone options.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Services
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Services;
+
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class PresetManager
+ *
+ * Personal presets live in user meta, shared (site-wide) presets in an
+ * option. Both are keyed by the post type they were saved for.
+ */
+class PresetManager implements LoadableInterface {
+	/**
+	 * Option holding shared presets
+	 *
+	 * @var string
+	 */
+	public const SHARED_OPTION = 'silver_assist_acf_clone_fields_presets';
+
+	/**
+	 * User meta key holding personal presets
+	 *
+	 * @var string
+	 */
+	public const USER_META_KEY = 'silver_assist_acf_clone_fields_presets';
+
+	/**
+	 * Largest number of presets kept per post type and owner
+	 *
+	 * @var int
+	 */
+	public const MAX_PRESETS = 50;
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var PresetManager|null
+	 */
+	private static ?PresetManager $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return PresetManager
+	 */
+	public static function instance(): PresetManager {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize the preset manager
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Storage only; no hooks needed.
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 30; // Services.
+	}
+
+	/**
+	 * Determine if preset manager should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Check whether a user may create, change or delete shared presets
+	 *
+	 * @param int $user_id User ID.
+	 * @return bool True if allowed
+	 */
+	public function can_manage_shared_presets( int $user_id ): bool {
+		/**
+		 * Filter the capability needed to manage shared presets
+		 *
+		 * @since 1.4.0
+		 *
+		 * @param string $capability Capability name.
+		 */
+		$capability = (string) apply_filters( 'silver_assist_acf_clone_fields_shared_presets_capability', 'edit_others_posts' );
+
+		return user_can( $user_id, $capability );
+	}
+
+	/**
+	 * Get the presets a user can apply for a post type
+	 *
+	 * Shared presets come first, then the user's own; each list is sorted by
+	 * name. Every preset carries an `editable` flag for the given user.
+	 *
+	 * @param string $post_type Post type name.
+	 * @param int    $user_id User ID.
+	 * @return array<array<string, mixed>> Presets
+	 */
+	public function get_presets( string $post_type, int $user_id ): array {
+		$can_manage_shared = $this->can_manage_shared_presets( $user_id );
+
+		$shared = array_map(
+			static fn( $preset ) => array_merge( $preset, [ 'editable' => $can_manage_shared ] ),
+			$this->get_stored_presets( $post_type, true, $user_id )
+		);
+
+		$personal = array_map(
+			static fn( $preset ) => array_merge( $preset, [ 'editable' => true ] ),
+			$this->get_stored_presets( $post_type, false, $user_id )
+		);
+
+		return array_merge( $this->sort_by_name( $shared ), $this->sort_by_name( $personal ) );
+	}
+
+	/**
+	 * Get one preset a user can apply
+	 *
+	 * @param string $preset_id Preset ID.
+	 * @param string $post_type Post type name.
+	 * @param int    $user_id User ID.
+	 * @return array<string, mixed>|null Preset, or null if not found
+	 */
+	public function get_preset( string $preset_id, string $post_type, int $user_id ): ?array {
+		foreach ( $this->get_presets( $post_type, $user_id ) as $preset ) {
+			if ( $preset['id'] === $preset_id ) {
+				return $preset;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Create or update a preset
+	 *
+	 * Without an `id` a new preset is created. With one, the existing preset
+	 * of the same owner (user or site) is replaced, keeping its ID and
+	 * creation date.
+	 *
+	 * @param array<string, mixed> $data Preset data (name, post_type, shared, fields, options, ...).
+	 * @param int                  $user_id User saving the preset.
+	 * @return array<string, mixed>|null Saved preset, or null when invalid or not allowed
+	 */
+	public function save_preset( array $data, int $user_id ): ?array {
+		$preset = $this->sanitize_preset( $data );
+
+		if ( '' === $preset['name'] || '' === $preset['post_type'] || empty( $preset['fields'] ) ) {
+			return null;
+		}
+
+		if ( $preset['shared'] && ! $this->can_manage_shared_presets( $user_id ) ) {
+			return null;
+		}
+
+		$presets = $this->get_stored_presets( $preset['post_type'], $preset['shared'], $user_id );
+		$now     = current_time( 'mysql' );
+
+		if ( '' !== $preset['id'] && isset( $presets[ $preset['id'] ] ) ) {
+			$preset['author_id']  = $presets[ $preset['id'] ]['author_id'];
+			$preset['created_at'] = $presets[ $preset['id'] ]['created_at'];
+		} else {
+			if ( count( $presets ) >= self::MAX_PRESETS ) {
+				return null;
+			}
+
+			$preset['id']         = 'preset_' . strtolower( wp_generate_password( 12, false ) );
+			$preset['author_id']  = $user_id;
+			$preset['created_at'] = $now;
+		}
+
+		$preset['updated_at']     = $now;
+		$presets[ $preset['id'] ] = $preset;
+
+		if ( ! $this->store_presets( $preset['post_type'], $preset['shared'], $user_id, $presets ) ) {
+			return null;
+		}
+
+		return $preset;
+	}
+
+	/**
+	 * Delete a preset
+	 *
+	 * The user's own presets are checked first, then shared presets (which
+	 * need the shared presets capability).
+	 *
+	 * @param string $preset_id Preset ID.
+	 * @param string $post_type Post type name.
+	 * @param int    $user_id User deleting the preset.
+	 * @return bool True if deleted
+	 */
+	public function delete_preset( string $preset_id, string $post_type, int $user_id ): bool {
+		foreach ( [ false, true ] as $shared ) {
+			$presets = $this->get_stored_presets( $post_type, $shared, $user_id );
+
+			if ( ! isset( $presets[ $preset_id ] ) ) {
+				continue;
+			}
+
+			if ( $shared && ! $this->can_manage_shared_presets( $user_id ) ) {
+				return false;
+			}
+
+			unset( $presets[ $preset_id ] );
+			return $this->store_presets( $post_type, $shared, $user_id, $presets );
+		}
+
+		return false;
+	}
+
+	/**
+	 * Normalize preset data
+	 *
+	 * @param array<string, mixed> $data Raw preset data.
+	 * @return array<string, mixed> Preset
+	 */
+	private function sanitize_preset( array $data ): array {
+		// Fields are identified by key; presets saved before that only have the name.
+		$fields = [];
+		foreach ( (array) ( $data['fields'] ?? [] ) as $field ) {
+			if ( is_array( $field ) && ( ! empty( $field['key'] ) || ! empty( $field['name'] ) ) ) {
+				$fields[] = [
+					'key'   => sanitize_text_field( (string) ( $field['key'] ?? '' ) ),
+					'name'  => sanitize_text_field( (string) ( $field['name'] ?? '' ) ),
+					'group' => sanitize_text_field( (string) ( $field['group'] ?? '' ) ),
+				];
+			}
+		}
+
+		$options = (array) ( $data['options'] ?? [] );
+		$parts   = CloneOperations::instance()->prepare_preset( $data );
+
+		return [
+			'id'               => sanitize_key( (string) ( $data['id'] ?? '' ) ),
+			'name'             => sanitize_text_field( (string) ( $data['name'] ?? '' ) ),
+			'post_type'        => sanitize_key( (string) ( $data['post_type'] ?? '' ) ),
+			'shared'           => filter_var( $data['shared'] ?? false, FILTER_VALIDATE_BOOLEAN ),
+			'source_post_id'   => absint( $data['source_post_id'] ?? 0 ),
+			'fields'           => $fields,
+			'field_parts'      => $parts['field_parts'],
+			'merge_strategies' => $parts['merge_strategies'],
+			'field_mapping'    => $parts['field_mapping'],
+			'options'          => [
+				'create_backup'         => filter_var( $options['create_backup'] ?? true, FILTER_VALIDATE_BOOLEAN ),
+				'empty_values'          => in_array( $options['empty_values'] ?? '', FieldCloner::EMPTY_VALUE_POLICIES, true ) ? $options['empty_values'] : 'clear',
+				'duplicate_attachments' => filter_var( $options['duplicate_attachments'] ?? false, FILTER_VALIDATE_BOOLEAN ),
+				'duplicate_posts'       => filter_var( $options['duplicate_posts'] ?? false, FILTER_VALIDATE_BOOLEAN ),
+			],
+		];
+	}
+
+	/**
+	 * Read stored presets of one owner for a post type
+	 *
+	 * @param string $post_type Post type name.
+	 * @param bool   $shared Whether to read shared presets.
+	 * @param int    $user_id User whose personal presets are read.
+	 * @return array<string, array<string, mixed>> Presets keyed by ID
+	 */
+	private function get_stored_presets( string $post_type, bool $shared, int $user_id ): array {
+		$stored = $shared
+			? get_option( self::SHARED_OPTION, [] )
+			: get_user_meta( $user_id, self::USER_META_KEY, true );
+
+		if ( ! is_array( $stored ) || ! isset( $stored[ $post_type ] ) || ! is_array( $stored[ $post_type ] ) ) {
+			return [];
+		}
+
+		return $stored[ $post_type ];
+	}
+
+	/**
+	 * Write the presets of one owner for a post type
+	 *
+	 * @param string                              $post_type Post type name.
+	 * @param bool                                $shared Whether to write shared presets.
+	 * @param int                                 $user_id User whose personal presets are written.
+	 * @param array<string, array<string, mixed>> $presets Presets keyed by ID.
+	 * @return bool True on success
+	 */
+	private function store_presets( string $post_type, bool $shared, int $user_id, array $presets ): bool {
+		$stored = $shared
+			? get_option( self::SHARED_OPTION, [] )
+			: get_user_meta( $user_id, self::USER_META_KEY, true );
+
+		if ( ! is_array( $stored ) ) {
+			$stored = [];
+		}
+
+		$stored[ $post_type ] = $presets;
+
+		if ( empty( $presets ) ) {
+			unset( $stored[ $post_type ] );
+		}
+
+		if ( $shared ) {
+			// update_option() returns false when nothing changed.
+			return update_option( self::SHARED_OPTION, $stored, false ) || get_option( self::SHARED_OPTION ) === $stored;
+		}
+
+		return (bool) update_user_meta( $user_id, self::USER_META_KEY, $stored )
+			|| get_user_meta( $user_id, self::USER_META_KEY, true ) === $stored;
+	}
+
+	/**
+	 * Sort presets by name
+	 *
+	 * @param array<array<string, mixed>> $presets Presets.
+	 * @return array<array<string, mixed>> Sorted presets (list)
+	 */
+	private function sort_by_name( array $presets ): array {
+		$presets = array_values( $presets );
+		usort( $presets, static fn( $a, $b ) => strcasecmp( $a['name'], $b['name'] ) );
+
+		return $presets;
+	}
+}
@@ -0,0 +1,260 @@
+<?php
+/**
+ * Reference Duplicator Service
+ *
+ * Copies attachments and posts referenced by field values, for clones that
+ * should not share media or related posts with their source.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Services
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Services;
+
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class ReferenceDuplicator
+ *
+ * Duplicates attachments (with a copy of their file) and posts (with their
+ * meta and terms). Both check the current user's capabilities, so WP-CLI
+ * callers need `--user`.
+ */
+class ReferenceDuplicator implements LoadableInterface {
+	/**
+	 * Post meta not copied to duplicated posts
+	 *
+	 * Includes this plugin's own clone activity, which belongs to the
+	 * original.
+	 *
+	 * @var array<string>
+	 */
+	private const SKIPPED_META_KEYS = [ '_edit_lock', '_edit_last', '_wp_old_slug', '_wp_old_date', '_acf_clone_activity' ];
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var ReferenceDuplicator|null
+	 */
+	private static ?ReferenceDuplicator $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return ReferenceDuplicator
+	 */
+	public static function instance(): ReferenceDuplicator {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize the reference duplicator
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Called by FieldCloner; no hooks needed.
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 30; // Services.
+	}
+
+	/**
+	 * Determine if the reference duplicator should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Duplicate an attachment
+	 *
+	 * The file is copied into the current uploads folder and registered as a
+	 * new attachment with the original's title, caption, description and alt
+	 * text. Image sizes are generated for the copy.
+	 *
+	 * @param int $attachment_id Attachment to duplicate.
+	 * @param int $parent_post_id Post the copy is attached to (0 for none).
+	 * @return int|\WP_Error New attachment ID
+	 */
+	public function duplicate_attachment( int $attachment_id, int $parent_post_id = 0 ) {
+		$attachment = get_post( $attachment_id );
+		$file       = get_attached_file( $attachment_id );
+
+		if ( ! $attachment || 'attachment' !== $attachment->post_type || ! $file || ! file_exists( $file ) ) {
+			return new \WP_Error(
+				'acf_clone_attachment_not_found',
+				/* translators: %d: attachment ID */
+				sprintf( __( 'The file of attachment %d was not found.', 'silver-assist-acf-clone-fields' ), $attachment_id )
+			);
+		}
+
+		if ( ! current_user_can( 'upload_files' ) ) {
+			return new \WP_Error(
+				'acf_clone_cannot_upload',
+				/* translators: %d: attachment ID */
+				sprintf( __( 'You are not allowed to upload files, so attachment %d was not duplicated.', 'silver-assist-acf-clone-fields' ), $attachment_id )
+			);
+		}
+
+		$upload_dir = wp_upload_dir();
+		if ( ! empty( $upload_dir['error'] ) ) {
+			return new \WP_Error( 'acf_clone_upload_dir', $upload_dir['error'] );
+		}
+
+		$new_file = trailingslashit( $upload_dir['path'] ) . wp_unique_filename( $upload_dir['path'], wp_basename( $file ) );
+
+		if ( ! copy( $file, $new_file ) ) {
+			return new \WP_Error(
+				'acf_clone_copy_failed',
+				/* translators: %d: attachment ID */
+				sprintf( __( 'The file of attachment %d could not be copied.', 'silver-assist-acf-clone-fields' ), $attachment_id )
+			);
+		}
+
+		$new_attachment_id = wp_insert_attachment(
+			[
+				'post_mime_type' => $attachment->post_mime_type,
+				'post_title'     => $attachment->post_title,
+				'post_content'   => $attachment->post_content,
+				'post_excerpt'   => $attachment->post_excerpt,
+				'post_status'    => 'inherit',
+			],
+			$new_file,
+			$parent_post_id,
+			true
+		);
+
+		if ( is_wp_error( $new_attachment_id ) ) {
+			wp_delete_file( $new_file );
+			return $new_attachment_id;
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/image.php';
+		wp_update_attachment_metadata( $new_attachment_id, wp_generate_attachment_metadata( $new_attachment_id, $new_file ) );
+
+		$alt_text = get_post_meta( $attachment_id, '_wp_attachment_image_alt', true );
+		if ( '' !== $alt_text ) {
+			update_post_meta( $new_attachment_id, '_wp_attachment_image_alt', wp_slash( $alt_text ) );
+		}
+
+		return $new_attachment_id;
+	}
+
+	/**
+	 * Duplicate a post
+	 *
+	 * The copy gets the original's content, status, meta (including its own
+	 * ACF fields) and terms, and the current user as author. Published posts
+	 * are copied as drafts when the user cannot publish them. References in
+	 * the copy's own fields are not duplicated. The user must be able to edit
+	 * the original, so private, draft and password-protected posts cannot be
+	 * read through a copy.
+	 *
+	 * @param int $post_id Post to duplicate.
+	 * @return int|\WP_Error New post ID
+	 */
+	public function duplicate_post( int $post_id ) {
+		$post             = get_post( $post_id );
+		$post_type_object = $post ? get_post_type_object( $post->post_type ) : null;
+
+		if ( ! $post || 'attachment' === $post->post_type || ! $post_type_object ) {
+			return new \WP_Error(
+				'acf_clone_post_not_found',
+				/* translators: %d: post ID */
+				sprintf( __( 'Referenced post %d was not found.', 'silver-assist-acf-clone-fields' ), $post_id )
+			);
+		}
+
+		if ( ! current_user_can( 'edit_post', $post_id ) ) {
+			return new \WP_Error(
+				'acf_clone_cannot_edit_post',
+				/* translators: %d: post ID */
+				sprintf( __( 'You are not allowed to edit referenced post %d, so it was not duplicated.', 'silver-assist-acf-clone-fields' ), $post_id )
+			);
+		}
+
+		if ( ! current_user_can( $post_type_object->cap->create_posts ) ) {
+			return new \WP_Error(
+				'acf_clone_cannot_create_post',
+				/* translators: 1: post title, 2: post type label */
+				sprintf( __( 'You are not allowed to create %2$s, so "%1$s" was not duplicated.', 'silver-assist-acf-clone-fields' ), $post->post_title, $post_type_object->labels->name )
+			);
+		}
+
+		$post_status = $post->post_status;
+		if ( in_array( $post_status, [ 'publish', 'future', 'private' ], true ) && ! current_user_can( $post_type_object->cap->publish_posts ) ) {
+			$post_status = 'draft';
+		}
+
+		$post_data = [
+			'post_type'      => $post->post_type,
+			'post_title'     => $post->post_title,
+			'post_content'   => $post->post_content,
+			'post_excerpt'   => $post->post_excerpt,
+			'post_status'    => $post_status,
+			'post_parent'    => $post->post_parent,
+			'post_password'  => $post->post_password,
+			'menu_order'     => $post->menu_order,
+			'comment_status' => $post->comment_status,
+			'ping_status'    => $post->ping_status,
+			'post_author'    => get_current_user_id(),
+		];
+
+		/**
+		 * Filter the data of a post duplicated by a deep-copy clone
+		 *
+		 * @since 1.4.0
+		 *
+		 * @param array<string, mixed> $post_data Data passed to wp_insert_post().
+		 * @param \WP_Post             $post      Post being duplicated.
+		 */
+		$post_data = apply_filters( 'silver_assist_acf_clone_fields_duplicate_post_data', $post_data, $post );
+
+		$new_post_id = wp_insert_post( wp_slash( $post_data ), true );
+
+		if ( is_wp_error( $new_post_id ) ) {
+			return $new_post_id;
+		}
+
+		foreach ( get_post_meta( $post_id ) as $meta_key => $meta_values ) {
+			if ( in_array( $meta_key, self::SKIPPED_META_KEYS, true ) ) {
+				continue;
+			}
+
+			foreach ( $meta_values as $meta_value ) {
+				add_post_meta( $new_post_id, $meta_key, wp_slash( maybe_unserialize( $meta_value ) ) );
+			}
+		}
+
+		foreach ( get_object_taxonomies( $post->post_type ) as $taxonomy ) {
+			$term_ids = wp_get_object_terms( $post_id, $taxonomy, [ 'fields' => 'ids' ] );
+			if ( ! is_wp_error( $term_ids ) && ! empty( $term_ids ) ) {
+				wp_set_object_terms( $new_post_id, $term_ids, $taxonomy );
+			}
+		}
+
+		return $new_post_id;
+	}
+}
@@ -0,0 +1,513 @@
+<?php
+/**
+ * Sync Jobs Service
+ *
+ * Keeps target posts in sync with a source post: a sync job clones the same
+ * fields from its source into its targets on a WP-Cron schedule, and
+ * optionally whenever the source is saved.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Services
+ * @since 1.4.0
+ * @version 1.4.0
+ * @author Silver Assist
+ */
+
+namespace SilverAssist\ACFCloneFields\Services;
+
+use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class SyncJobs
+ *
+ * Jobs are stored in one option. Each job runs as the user who saved it,
+ * through CloneOperations::clone_into_target() like a bulk clone, so it
+ * creates backups and history entries as usual.
+ */
+class SyncJobs implements LoadableInterface {
+	/**
+	 * Option holding the sync jobs
+	 *
+	 * @var string
+	 */
+	public const OPTION = 'silver_assist_acf_clone_fields_sync_jobs';
+
+	/**
+	 * WP-Cron hook running a job
+	 *
+	 * @var string
+	 */
+	public const CRON_HOOK = 'silver_assist_acf_clone_fields_run_sync_job';
+
+	/**
+	 * WP-Cron schedules a job can run on
+	 *
+	 * @var array<string>
+	 */
+	public const SCHEDULES = [ 'hourly', 'twicedaily', 'daily', 'weekly' ];
+
+	/**
+	 * Largest number of jobs kept
+	 *
+	 * @var int
+	 */
+	public const MAX_JOBS = 50;
+
+	/**
+	 * Largest number of targets per job (all are cloned in one cron request)
+	 *
+	 * @var int
+	 */
+	public const MAX_TARGETS = 100;
+
+	/**
+	 * Singleton instance
+	 *
+	 * @var SyncJobs|null
+	 */
+	private static ?SyncJobs $instance = null;
+
+	/**
+	 * Get singleton instance
+	 *
+	 * @return SyncJobs
+	 */
+	public static function instance(): SyncJobs {
+		if ( null === self::$instance ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Private constructor to prevent direct instantiation
+	 */
+	private function __construct() {}
+
+	/**
+	 * Initialize sync jobs
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( self::CRON_HOOK, [ $this, 'run_scheduled_job' ], 10, 2 );
+		add_action( 'acf/save_post', [ $this, 'on_source_save' ], 20 );
+		add_action( 'init', [ $this, 'schedule_missing_jobs' ] );
+	}
+
+	/**
+	 * Get loading priority
+	 *
+	 * @return int
+	 */
+	public function get_priority(): int {
+		return 30; // Services.
+	}
+
+	/**
+	 * Determine if sync jobs should load
+	 *
+	 * @return bool
+	 */
+	public function should_load(): bool {
+		return true;
+	}
+
+	/**
+	 * Get the schedules a job can run on, with their labels
+	 *
+	 * @return array<string, string> Label by schedule ('' runs on save or by hand only)
+	 */
+	public function get_schedules(): array {
+		$schedules = [ '' => __( 'No schedule', 'silver-assist-acf-clone-fields' ) ];
+		$available = wp_get_schedules();
+
+		foreach ( self::SCHEDULES as $schedule ) {
+			if ( isset( $available[ $schedule ] ) ) {
+				$schedules[ $schedule ] = $available[ $schedule ]['display'];
+			}
+		}
+
+		return $schedules;
+	}
+
+	/**
+	 * Get all sync jobs
+	 *
+	 * @return array<string, array<string, mixed>> Jobs by ID
+	 */
+	public function get_jobs(): array {
+		$jobs = get_option( self::OPTION, [] );
+
+		return is_array( $jobs ) ? $jobs : [];
+	}
+
+	/**
+	 * Get one sync job
+	 *
+	 * @param string $job_id Job ID.
+	 * @return array<string, mixed>|null Job, or null if not found
+	 */
+	public function get_job( string $job_id ): ?array {
+		return $this->get_jobs()[ $job_id ] ?? null;
+	}
+
+	/**
+	 * Create or update a sync job
+	 *
+	 * Without an `id` a new job is created. With one, the existing job is
+	 * replaced, keeping its ID, creation date, pause state and last run.
+	 * The job runs as the saving user, who must be able to edit the source
+	 * and every target.
+	 *
+	 * @param array<string, mixed> $data Job data (name, source_post_id, field_keys, target_post_ids, schedule, sync_on_save, options).
+	 * @param int                  $user_id User saving the job.
+	 * @return array<string, mixed>|\WP_Error Saved job
+	 */
+	public function save_job( array $data, int $user_id ) {
+		$job   = $this->sanitize_job( $data );
+		$valid = $this->validate_job( $job, $user_id );
+
+		if ( is_wp_error( $valid ) ) {
+			return $valid;
+		}
+
+		$jobs = $this->get_jobs();
+
+		if ( '' !== $job['id'] && isset( $jobs[ $job['id'] ] ) ) {
+			$job['paused']     = $jobs[ $job['id'] ]['paused'];
+			$job['created_at'] = $jobs[ $job['id'] ]['created_at'];
+			$job['last_run']   = $jobs[ $job['id'] ]['last_run'];
+		} else {
+			if ( count( $jobs ) >= self::MAX_JOBS ) {
+				return new \WP_Error(
+					'acf_clone_sync_job_limit',
+					/* translators: %d: maximum number of sync jobs */
+					sprintf( __( 'A site can have at most %d sync jobs.', 'silver-assist-acf-clone-fields' ), self::MAX_JOBS )
+				);
+			}
+
+			$job['id']         = 'sync_' . strtolower( wp_generate_password( 12, false ) );
+			$job['created_at'] = current_time( 'mysql' );
+		}
+
+		$job['user_id']     = $user_id;
+		$jobs[ $job['id'] ] = $job;
+
+		$this->store_jobs( $jobs );
+		$this->schedule_job( $job );
+
+		return $job;
+	}
+
+	/**
+	 * Pause or resume a sync job
+	 *
+	 * A paused job keeps its settings but neither runs on schedule nor on
+	 * save. It can still be run by hand.
+	 *
+	 * @param string $job_id Job ID.
+	 * @param bool   $paused Whether to pause the job.
+	 * @return bool True if the job exists
+	 */
+	public function set_paused( string $job_id, bool $paused ): bool {
+		$jobs = $this->get_jobs();
+
+		if ( ! isset( $jobs[ $job_id ] ) ) {
+			return false;
+		}
+
+		$jobs[ $job_id ]['paused'] = $paused;
+
+		$this->store_jobs( $jobs );
+		$this->schedule_job( $jobs[ $job_id ] );
+
+		return true;
+	}
+
+	/**
+	 * Delete a sync job and its scheduled runs
+	 *
+	 * @param string $job_id Job ID.
+	 * @return bool True if deleted
+	 */
+	public function delete_job( string $job_id ): bool {
+		$jobs = $this->get_jobs();
+
+		if ( ! isset( $jobs[ $job_id ] ) ) {
+			return false;
+		}
+
+		unset( $jobs[ $job_id ] );
+
+		$this->store_jobs( $jobs );
+		wp_clear_scheduled_hook( self::CRON_HOOK, [ $job_id ] );
+		wp_clear_scheduled_hook( self::CRON_HOOK, [ $job_id, 'save' ] );
+
+		return true;
+	}
+
+	/**
+	 * Get the next scheduled run of a job
+	 *
+	 * @param string $job_id Job ID.
+	 * @return int|null Unix timestamp, or null if not scheduled
+	 */
+	public function get_next_run( string $job_id ): ?int {
+		$timestamp = wp_next_scheduled( self::CRON_HOOK, [ $job_id ] );
+
+		return false === $timestamp ? null : (int) $timestamp;
+	}
+
+	/**
+	 * Run a job from WP-Cron
+	 *
+	 * Paused or deleted jobs are skipped; a run still queued from before the
+	 * job was paused is dropped this way.
+	 *
+	 * @param string $job_id Job ID.
+	 * @param string $trigger 'schedule' or 'save'.
+	 * @return void
+	 */
+	public function run_scheduled_job( $job_id, $trigger = 'schedule' ): void {
+		$job = $this->get_job( (string) $job_id );
+
+		if ( null === $job || $job['paused'] ) {
+			return;
+		}
+
+		$this->run_job( $job['id'], 'save' === $trigger ? 'save' : 'schedule' );
+	}
+
+	/**
+	 * Queue the save-triggered jobs of a post that was just saved
+	 *
+	 * The clone runs in a separate cron request, so saving the source is not
+	 * slowed down by its targets.
+	 *
+	 * @param int|string $post_id ACF post ID (options pages, terms and users are not numeric).
+	 * @return void
+	 */
+	public function on_source_save( $post_id ): void {
+		if ( ! is_numeric( $post_id ) ) {
+			return;
+		}
+
+		$post_id = (int) $post_id;
+
+		if ( wp_is_post_revision( $post_id ) || wp_is_post_autosave( $post_id ) ) {
+			return;
+		}
+
+		foreach ( $this->get_jobs() as $job ) {
+			if ( $job['sync_on_save'] && ! $job['paused'] && $job['source_post_id'] === $post_id ) {
+				wp_schedule_single_event( time(), self::CRON_HOOK, [ $job['id'], 'save' ] );
+			}
+		}
+	}
+
+	/**
+	 * Schedule jobs whose recurring event is missing
+	 *
+	 * Scheduled events are removed on deactivation; this puts them back once
+	 * the plugin runs again.
+	 *
+	 * @return void
+	 */
+	public function schedule_missing_jobs(): void {
+		foreach ( $this->get_jobs() as $job ) {
+			if ( '' !== $job['schedule'] && ! $job['paused'] && null === $this->get_next_run( $job['id'] ) ) {
+				$this->schedule_job( $job );
+			}
+		}
+	}
+
+	/**
+	 * Run a sync job now
+	 *
+	 * Clones the job's fields into each target as the job's owner and stores
+	 * the outcome as the job's last run.
+	 *
+	 * @param string $job_id Job ID.
+	 * @param string $trigger What started the run: 'schedule', 'save' or 'manual'.
+	 * @return array<string, mixed>|null Last run, or null if the job does not exist
+	 */
+	public function run_job( string $job_id, string $trigger = 'manual' ): ?array {
+		$job = $this->get_job( $job_id );
+
+		if ( null === $job ) {
+			return null;
+		}
+
+		$previous_user_id = get_current_user_id();
+		wp_set_current_user( $job['user_id'] );
+
+		try {
+			$results = $this->clone_job( $job );
+		} finally {
+			wp_set_current_user( $previous_user_id );
+		}
+
+		$success_count = count( array_filter( array_column( $results, 'success' ) ) );
+		$last_run      = [
+			'time'          => current_time( 'mysql' ),
+			'trigger'       => $trigger,
+			'success_count' => $success_count,
+			'failure_count' => count( $results ) - $success_count,
+			'results'       => $results,
+		];
+
+		// Re-read the jobs: the job may have been edited while it ran.
+		$jobs = $this->get_jobs();
+		if ( isset( $jobs[ $job_id ] ) ) {
+			$jobs[ $job_id ]['last_run'] = $last_run;
+			$this->store_jobs( $jobs );
+		}
+
+		return $last_run;
+	}
+
+	/**
+	 * Clone a job's fields into its targets
+	 *
+	 * @param array<string, mixed> $job Job.
+	 * @return array<array<string, mixed>> Result per target
+	 */
+	private function clone_job( array $job ): array {
+		$source_post = get_post( $job['source_post_id'] );
+
+		if ( ! $source_post || ! current_user_can( 'edit_post', $source_post->ID ) ) {
+			$message = $source_post ? 'Insufficient permissions on the source post' : 'Source post not found';
+
+			return array_map(
+				static fn( int $target_post_id ): array => [
+					'target_post_id' => $target_post_id,
+					'title'          => get_the_title( $target_post_id ),
+					'success'        => false,
+					'message'        => $message,
+					'errors'         => [],
+					'warnings'       => [],
+				],
+				$job['target_post_ids']
+			);
+		}
+
+		$operations                = CloneOperations::instance();
+		$clone_options             = $operations->prepare_clone_options( $job['options'] );
+		$clone_options['sync_job'] = $job['name'];
+
+		$results = [];
+		foreach ( $job['target_post_ids'] as $target_post_id ) {
+			$results[] = $operations->clone_into_target( $source_post, $target_post_id, $job['field_keys'], $clone_options );
+		}
+
+		return $results;
+	}
+
+	/**
+	 * (Re)schedule the recurring run of a job
+	 *
+	 * @param array<string, mixed> $job Job.
+	 * @return void
+	 */
+	private function schedule_job( array $job ): void {
+		wp_clear_scheduled_hook( self::CRON_HOOK, [ $job['id'] ] );
+
+		if ( '' === $job['schedule'] || $job['paused'] ) {
+			return;
+		}
+
+		$schedules = wp_get_schedules();
+		$interval  = (int) ( $schedules[ $job['schedule'] ]['interval'] ?? HOUR_IN_SECONDS );
+
+		wp_schedule_event( time() + $interval, $job['schedule'], self::CRON_HOOK, [ $job['id'] ] );
+	}
+
+	/**
+	 * Check a job can be saved by a user
+	 *
+	 * @param array<string, mixed> $job Sanitized job.
+	 * @param int                  $user_id User saving the job.
+	 * @return true|\WP_Error
+	 */
+	private function validate_job( array $job, int $user_id ) {
+		if ( '' === $job['name'] || empty( $job['field_keys'] ) || empty( $job['target_post_ids'] ) ) {
+			return new \WP_Error(
+				'acf_clone_sync_job_incomplete',
+				__( 'A sync job needs a name, at least one field and at least one target post.', 'silver-assist-acf-clone-fields' )
+			);
+		}
+
+		if ( '' !== $job['schedule'] && ! isset( $this->get_schedules()[ $job['schedule'] ] ) ) {
+			return new \WP_Error( 'acf_clone_sync_job_schedule', __( 'Unknown schedule.', 'silver-assist-acf-clone-fields' ) );
+		}
+
+		if ( count( $job['target_post_ids'] ) > self::MAX_TARGETS ) {
+			return new \WP_Error(
+				'acf_clone_sync_job_targets',
+				/* translators: %d: maximum number of target posts */
+				sprintf( __( 'A sync job can have at most %d target posts.', 'silver-assist-acf-clone-fields' ), self::MAX_TARGETS )
+			);
+		}
+
+		$source_post = get_post( $job['source_post_id'] );
+
+		if ( ! $source_post || ! user_can( $user_id, 'edit_post', $source_post->ID ) ) {
+			return new \WP_Error( 'acf_clone_sync_job_source', __( 'The source post does not exist or you cannot edit it.', 'silver-assist-acf-clone-fields' ) );
+		}
+
+		foreach ( $job['target_post_ids'] as $target_post_id ) {
+			$target_post = get_post( $target_post_id );
+
+			if ( ! $target_post || $target_post_id === $source_post->ID || $target_post->post_type !== $source_post->post_type || ! user_can( $user_id, 'edit_post', $target_post_id ) ) {
+				return new \WP_Error(
+					'acf_clone_sync_job_target',
+					/* translators: %d: post ID */
+					sprintf( __( 'Post #%d cannot be a target: it must exist, be editable by you, and have the same post type as the source.', 'silver-assist-acf-clone-fields' ), $target_post_id )
+				);
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Normalize job data
+	 *
+	 * @param array<string, mixed> $data Raw job data.
+	 * @return array<string, mixed> Job
+	 */
+	private function sanitize_job( array $data ): array {
+		$options = (array) ( $data['options'] ?? [] );
+
+		return [
+			'id'              => sanitize_key( (string) ( $data['id'] ?? '' ) ),
+			'name'            => sanitize_text_field( (string) ( $data['name'] ?? '' ) ),
+			'source_post_id'  => absint( $data['source_post_id'] ?? 0 ),
+			'field_keys'      => array_values( array_unique( array_filter( array_map( 'sanitize_text_field', (array) ( $data['field_keys'] ?? [] ) ) ) ) ),
+			'target_post_ids' => array_values( array_unique( array_filter( array_map( 'absint', (array) ( $data['target_post_ids'] ?? [] ) ) ) ) ),
+			'schedule'        => sanitize_key( (string) ( $data['schedule'] ?? '' ) ),
+			'sync_on_save'    => filter_var( $data['sync_on_save'] ?? false, FILTER_VALIDATE_BOOLEAN ),
+			'paused'          => false,
+			'options'         => [
+				'create_backup'      => filter_var( $options['create_backup'] ?? true, FILTER_VALIDATE_BOOLEAN ),
+				'overwrite_existing' => true,
+			],
+			'user_id'         => 0,
+			'created_at'      => '',
+			'last_run'        => null,
+		];
+	}
+
+	/**
+	 * Save the jobs option
+	 *
+	 * @param array<string, array<string, mixed>> $jobs Jobs by ID.
+	 * @return void
+	 */
+	private function store_jobs( array $jobs ): void {
+		update_option( self::OPTION, $jobs, false );
+	}
+}
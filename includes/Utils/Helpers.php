@@ -14,6 +14,7 @@
 
 namespace SilverAssist\ACFCloneFields\Utils;
 
+use SilverAssist\ACFCloneFields\Services\FieldTypeRegistry;
 use SilverAssist\PluginKernel\Interfaces\LoadableInterface;
 
 defined( 'ABSPATH' ) || exit;
@@ -98,55 +99,13 @@ class Helpers implements LoadableInterface {
 	 * Get supported ACF field types based on installed version
 	 *
 	 * Returns array of field types that can be cloned based on whether
-	 * ACF free or ACF Pro is installed.
+	 * ACF free or ACF Pro is installed, including types other plugins
+	 * registered with the FieldTypeRegistry.
 	 *
 	 * @return array<string> List of supported field type names.
 	 */
 	public static function get_supported_field_types(): array {
-		// Basic field types supported in ACF free.
-		$basic_types = [
-			'text',
-			'textarea',
-			'number',
-			'email',
-			'url',
-			'password',
-			'image',
-			'file',
-			'wysiwyg',
-			'oembed',
-			'gallery',
-			'select',
-			'checkbox',
-			'radio',
-			'button_group',
-			'true_false',
-			'link',
-			'post_object',
-			'page_link',
-			'relationship',
-			'taxonomy',
-			'user',
-			'google_map',
-			'date_picker',
-			'date_time_picker',
-			'time_picker',
-			'color_picker',
-			'message',
-			'accordion',
-			'tab',
-		];
-
-		// Pro-only field types.
-		$pro_types = [
-			'repeater',
-			'group',
-			'flexible_content',
-			'clone',
-		];
-
-		// Return all types if Pro is active, otherwise only basic types.
-		return self::is_acf_pro_active() ? array_merge( $basic_types, $pro_types ) : $basic_types;
+		return FieldTypeRegistry::instance()->get_types();
 	}
 
 	/**
@@ -159,8 +118,7 @@ class Helpers implements LoadableInterface {
 	 * @return bool True if field type is supported, false otherwise.
 	 */
 	public static function is_field_type_supported( string $field_type ): bool {
-		$supported_types = self::get_supported_field_types();
-		return in_array( $field_type, $supported_types, true );
+		return FieldTypeRegistry::instance()->is_supported( $field_type );
 	}
 
 	/**
@@ -428,6 +386,27 @@ class Helpers implements LoadableInterface {
 		}
 	}
 
+	/**
+	 * Check if user can clone fields from a source post
+	 *
+	 * Cloning reads every field value of the source, so the user needs the
+	 * same `edit_post` right on it as on a target. A revision is checked
+	 * against the post it belongs to.
+	 *
+	 * @param int      $source_post_id Source post or revision ID.
+	 * @param int|null $user_id User ID, null for current user.
+	 * @return bool
+	 */
+	public static function can_user_clone_from( int $source_post_id, ?int $user_id = null ): bool {
+		if ( null === $user_id ) {
+			$user_id = get_current_user_id();
+		}
+
+		$parent_id = wp_is_post_revision( $source_post_id );
+
+		return $user_id > 0 && user_can( $user_id, 'edit_post', $parent_id ? $parent_id : $source_post_id );
+	}
+
 	/**
 	 * Check if user can edit specific post
 	 *
@@ -514,4 +493,70 @@ class Helpers implements LoadableInterface {
 			)
 		);
 	}
+
+	/**
+	 * Query posts by type with paging information
+	 *
+	 * Restricts the query to posts the current user can edit, using the post
+	 * type's capabilities: only their own posts without `edit_others_posts`,
+	 * and no published or scheduled posts without `edit_published_posts`. So
+	 * `total` counts editable posts only and can be used for paging. Posts a
+	 * `map_meta_cap` filter refuses beyond that are still left out of `posts`.
+	 *
+	 * @param string               $post_type Post type to query.
+	 * @param array<string, mixed> $args Additional WP_Query arguments.
+	 * @return array{posts: array<\WP_Post>, total: int}
+	 */
+	public static function query_posts_by_type( string $post_type, array $args = [] ): array {
+		$default_args = [
+			'post_type'              => $post_type,
+			'post_status'            => 'publish',
+			'posts_per_page'         => 50,
+			'offset'                 => 0,
+			'orderby'                => 'modified',
+			'order'                  => 'DESC',
+			'ignore_sticky_posts'    => true,
+			'update_post_meta_cache' => false,
+			'update_post_term_cache' => false,
+		];
+
+		$query_args       = array_merge( $default_args, $args );
+		$post_type_object = get_post_type_object( $post_type );
+
+		if ( ! $post_type_object ) {
+			return [
+				'posts' => [],
+				'total' => 0,
+			];
+		}
+
+		if ( ! current_user_can( $post_type_object->cap->edit_others_posts ) ) {
+			$query_args['author'] = get_current_user_id();
+		}
+
+		if ( ! current_user_can( $post_type_object->cap->edit_published_posts ) ) {
+			$query_args['post_status'] = array_values( array_diff( (array) $query_args['post_status'], [ 'publish', 'future' ] ) );
+
+			if ( empty( $query_args['post_status'] ) ) {
+				return [
+					'posts' => [],
+					'total' => 0,
+				];
+			}
+		}
+
+		$query = new \WP_Query( $query_args );
+
+		$posts = array_values(
+			array_filter(
+				$query->posts,
+				static fn( \WP_Post $post ): bool => current_user_can( 'edit_post', $post->ID )
+			)
+		);
+
+		return [
+			'posts' => $posts,
+			'total' => (int) $query->found_posts,
+		];
+	}
 }
@@ -12,23 +12,24 @@ namespace SilverAssist\ACFCloneFields\Tests\Integration;
 
 use SilverAssist\ACFCloneFields\Admin\Ajax;
 use SilverAssist\ACFCloneFields\Core\Activator;
+use SilverAssist\ACFCloneFields\Services\CloneOperations;
 use SilverAssist\ACFCloneFields\Services\FieldCloner;
 use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
 
 /**
  * Test clone options processing
  *
- * @covers \SilverAssist\ACFCloneFields\Admin\Ajax::prepare_clone_options
+ * @covers \SilverAssist\ACFCloneFields\Services\CloneOperations::prepare_clone_options
  * @covers \SilverAssist\ACFCloneFields\Services\FieldCloner::clone_fields
  */
 class CloneOptionsTest extends TestCase {
 
 	/**
-	 * Ajax handler instance
+	 * Clone operations instance
 	 *
-	 * @var Ajax
+	 * @var CloneOperations
 	 */
-	private Ajax $ajax;
+	private CloneOperations $operations;
 
 	/**
 	 * Field cloner instance
@@ -64,8 +65,8 @@ class CloneOptionsTest extends TestCase {
 	protected function setUp(): void {
 		parent::setUp();
 
-		$this->ajax   = Ajax::instance();
-		$this->cloner = FieldCloner::instance();
+		$this->operations = CloneOperations::instance();
+		$this->cloner     = FieldCloner::instance();
 
 		// Create test user with admin capabilities using factory.
 		$this->test_user_id = static::factory()->user->create(
@@ -174,7 +175,7 @@ class CloneOptionsTest extends TestCase {
 	public function test_create_backup_option_true_as_boolean(): void {
 		$options = [ 'create_backup' => true ];
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ $options ] );
 
 		$this->assertTrue( $prepared_options['create_backup'], 'create_backup should be true when passed as boolean true' );
 	}
@@ -190,7 +191,7 @@ class CloneOptionsTest extends TestCase {
 	public function test_create_backup_option_false_as_boolean(): void {
 		$options = [ 'create_backup' => false ];
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ $options ] );
 
 		$this->assertFalse( $prepared_options['create_backup'], 'create_backup should be false when passed as boolean false' );
 	}
@@ -206,7 +207,7 @@ class CloneOptionsTest extends TestCase {
 	public function test_create_backup_option_true_as_string(): void {
 		$options = [ 'create_backup' => 'true' ];
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ $options ] );
 
 		$this->assertTrue( $prepared_options['create_backup'], 'create_backup should be true when passed as string "true"' );
 	}
@@ -222,7 +223,7 @@ class CloneOptionsTest extends TestCase {
 	public function test_create_backup_option_false_as_string(): void {
 		$options = [ 'create_backup' => 'false' ];
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ $options ] );
 
 		$this->assertFalse( $prepared_options['create_backup'], 'create_backup should be false when passed as string "false"' );
 	}
@@ -238,7 +239,7 @@ class CloneOptionsTest extends TestCase {
 	public function test_create_backup_option_zero_as_string(): void {
 		$options = [ 'create_backup' => '0' ];
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ $options ] );
 
 		$this->assertFalse( $prepared_options['create_backup'], 'create_backup should be false when passed as string "0"' );
 	}
@@ -254,40 +255,127 @@ class CloneOptionsTest extends TestCase {
 	public function test_create_backup_option_zero_as_integer(): void {
 		$options = [ 'create_backup' => 0 ];
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ $options ] );
 
 		$this->assertFalse( $prepared_options['create_backup'], 'create_backup should be false when passed as integer 0' );
 	}
 
 	/**
-	 * Test that preserve_empty option processes correctly when true
+	 * Test that empty_values falls back to the site default
 	 *
-	 * Note: preserve_empty is not currently implemented in backend,
-	 * but we test that unknown options are ignored.
+	 * The old preserve_empty checkbox value is not an option anymore.
 	 *
 	 * @test
 	 */
-	public function test_preserve_empty_option_true(): void {
-		$options = [ 'preserve_empty' => true ];
+	public function test_empty_values_option_defaults_to_setting(): void {
+		update_option( 'silver_assist_acf_clone_fields_empty_values', 'keep' );
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ [ 'preserve_empty' => true ] ] );
 
-		// preserve_empty is not in default_options, so it should not be in result.
+		delete_option( 'silver_assist_acf_clone_fields_empty_values' );
+
+		$this->assertSame( 'keep', $prepared_options['empty_values'], 'empty_values should default to the saved setting' );
 		$this->assertArrayNotHasKey( 'preserve_empty', $prepared_options, 'Unknown options should be ignored' );
 	}
 
 	/**
-	 * Test that preserve_empty option processes correctly when false
+	 * Test that empty_values accepts known policies only
 	 *
 	 * @test
 	 */
-	public function test_preserve_empty_option_false(): void {
-		$options = [ 'preserve_empty' => false ];
+	public function test_empty_values_option_is_validated(): void {
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ [ 'empty_values' => 'clear' ] ] );
+		$this->assertSame( 'clear', $prepared_options['empty_values'], 'A known policy should be kept' );
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ [ 'empty_values' => 'true' ] ] );
+		$this->assertSame( 'clear', $prepared_options['empty_values'], 'An unknown policy should fall back to clear' );
+	}
 
-		// preserve_empty is not in default_options, so it should not be in result.
-		$this->assertArrayNotHasKey( 'preserve_empty', $prepared_options, 'Unknown options should be ignored' );
+	/**
+	 * Test a clone without an empty_values option copies empty source values
+	 *
+	 * Callers that never pass the option (REST, CLI, bulk and sync jobs
+	 * written before it existed) keep overwriting the target.
+	 *
+	 * @test
+	 */
+	public function test_empty_values_defaults_to_clear(): void {
+		delete_option( 'silver_assist_acf_clone_fields_empty_values' );
+
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ [] ] );
+		$this->assertSame( 'clear', $prepared_options['empty_values'], 'The site default should be clear' );
+
+		if ( ! function_exists( 'update_field' ) ) {
+			$this->markTestSkipped( 'ACF not available' );
+		}
+
+		$field_key = 'field_test_textarea';
+		update_field( $field_key, 'target_value', $this->target_post_id );
+
+		$result = $this->cloner->clone_fields(
+			$this->source_post_id,
+			$this->target_post_id,
+			[ $field_key ],
+			[
+				'create_backup'      => false,
+				'overwrite_existing' => true,
+			]
+		);
+
+		$this->assertSame( [ $field_key ], $result['cloned_fields'] );
+		$this->assertEmpty( get_field( $field_key, $this->target_post_id, false ), 'The empty source value should overwrite the target' );
+	}
+
+	/**
+	 * Test which raw values count as empty
+	 *
+	 * @test
+	 */
+	public function test_is_empty_value(): void {
+		foreach ( [ null, false, '', [] ] as $value ) {
+			$this->assertTrue( $this->invoke_private_method( $this->cloner, 'is_empty_value', [ $value ] ) );
+		}
+
+		foreach ( [ 0, '0', ' ', [ '' ] ] as $value ) {
+			$this->assertFalse( $this->invoke_private_method( $this->cloner, 'is_empty_value', [ $value ] ) );
+		}
+	}
+
+	/**
+	 * Test the skip, keep and clear policies for a field empty in the source
+	 *
+	 * @test
+	 */
+	public function test_empty_source_value_policies(): void {
+		if ( ! function_exists( 'update_field' ) ) {
+			$this->markTestSkipped( 'ACF not available' );
+		}
+
+		$field_key = 'field_test_textarea';
+		update_field( $field_key, 'target_value', $this->target_post_id );
+
+		$options = [
+			'create_backup'      => false,
+			'overwrite_existing' => true,
+		];
+
+		foreach ( [ 'skip', 'keep' ] as $policy ) {
+			$result = $this->cloner->clone_fields( $this->source_post_id, $this->target_post_id, [ $field_key ], array_merge( $options, [ 'empty_values' => $policy ] ) );
+
+			$this->assertTrue( $result['success'], "Policy {$policy} should not report an error" );
+			$this->assertSame( [ $field_key ], $result['skipped_fields'], "Policy {$policy} should skip the field" );
+			$this->assertSame( 'skipped', $result['report'][0]['status'] );
+			$this->assertSame( 'target_value', get_field( $field_key, $this->target_post_id, false ), "Policy {$policy} should keep the target value" );
+		}
+
+		$preview = $this->cloner->clone_fields( $this->source_post_id, $this->target_post_id, [ $field_key ], array_merge( $options, [ 'empty_values' => 'clear', 'dry_run' => true ] ) );
+		$this->assertSame( 'cleared', $preview['report'][0]['status'], 'A dry run should report the field as cleared' );
+		$this->assertSame( 'target_value', get_field( $field_key, $this->target_post_id, false ), 'A dry run should not clear the field' );
+
+		$result = $this->cloner->clone_fields( $this->source_post_id, $this->target_post_id, [ $field_key ], array_merge( $options, [ 'empty_values' => 'clear' ] ) );
+		$this->assertSame( [ $field_key ], $result['cloned_fields'], 'A cleared field should count as cloned' );
+		$this->assertSame( 'cleared', $result['report'][0]['status'] );
+		$this->assertEmpty( get_field( $field_key, $this->target_post_id, false ), 'The target value should be cleared' );
 	}
 
 	/**
@@ -298,7 +386,7 @@ class CloneOptionsTest extends TestCase {
 	public function test_overwrite_existing_option_true(): void {
 		$options = [ 'overwrite_existing' => true ];
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ $options ] );
 
 		$this->assertTrue( $prepared_options['overwrite_existing'], 'overwrite_existing should be true when passed as true' );
 	}
@@ -311,11 +399,289 @@ class CloneOptionsTest extends TestCase {
 	public function test_overwrite_existing_option_false(): void {
 		$options = [ 'overwrite_existing' => false ];
 
-		$prepared_options = $this->invoke_private_method( $this->ajax, 'prepare_clone_options', [ $options ] );
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ $options ] );
 
 		$this->assertFalse( $prepared_options['overwrite_existing'], 'overwrite_existing should be false when passed as false' );
 	}
 
+	/**
+	 * Test that dry_run option is converted from the JS string value
+	 *
+	 * @test
+	 */
+	public function test_dry_run_option_true_as_string(): void {
+		$options = [ 'dry_run' => 'true' ];
+
+		$prepared_options = $this->invoke_private_method( $this->operations, 'prepare_clone_options', [ $options ] );
+
+		$this->assertTrue( $prepared_options['dry_run'], 'dry_run should be true when passed as string "true"' );
+	}
+
+	/**
+	 * Test that a dry run reports the field but writes nothing
+	 *
+	 * @test
+	 */
+	public function test_dry_run_does_not_write_or_backup(): void {
+		global $wpdb;
+
+		$field_name = 'test_text_field';
+
+		if ( function_exists( 'update_field' ) ) {
+			update_field( $field_name, 'source_test_value', $this->source_post_id );
+			update_field( $field_name, 'target_old_value', $this->target_post_id );
+		} else {
+			update_post_meta( $this->source_post_id, $field_name, 'source_test_value' );
+			update_post_meta( $this->target_post_id, $field_name, 'target_old_value' );
+		}
+
+		$table_name     = $wpdb->prefix . 'acf_field_backups';
+		$backups_before = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT COUNT(*) FROM {$table_name} WHERE post_id = %d",
+				$this->target_post_id
+			)
+		);
+
+		$result = $this->cloner->clone_fields(
+			$this->source_post_id,
+			$this->target_post_id,
+			[ $field_name ],
+			[
+				'create_backup'      => true,
+				'overwrite_existing' => true,
+				'dry_run'            => true,
+			]
+		);
+
+		$backups_after = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT COUNT(*) FROM {$table_name} WHERE post_id = %d",
+				$this->target_post_id
+			)
+		);
+
+		$this->assertTrue( $result['dry_run'], 'Result should be flagged as a dry run' );
+		$this->assertCount( 1, $result['report'], 'Report should have one entry per requested field' );
+		$this->assertSame( 'target_old_value', get_post_meta( $this->target_post_id, $field_name, true ), 'Target value should be unchanged' );
+		$this->assertEquals( $backups_before, $backups_after, 'No backup should be created in a dry run' );
+	}
+
+	/**
+	 * Test that field parts are sanitized and limited to requested fields
+	 *
+	 * @test
+	 */
+	public function test_field_parts_are_sanitized(): void {
+		$request_parts = [
+			'faq'     => [
+				'rows'       => [ '1', '2', '2', '-3' ],
+				'sub_fields' => [ 'field_answer<script>' ],
+			],
+			'unknown' => [ 'rows' => [ '0' ] ],
+		];
+
+		$field_parts = $this->invoke_private_method( $this->operations, 'prepare_field_parts', [ $request_parts, [ 'faq' ] ] );
+
+		$this->assertArrayNotHasKey( 'unknown', $field_parts, 'Parts for fields not being cloned should be dropped' );
+		$this->assertSame( [ 1, 2, 3 ], $field_parts['faq']['rows'], 'Rows should be unique absolute integers' );
+		$this->assertSame( [ 'field_answer' ], $field_parts['faq']['sub_fields'], 'Sub-field keys should be sanitized' );
+	}
+
+	/**
+	 * Test that selected repeater rows and sub-fields are applied
+	 *
+	 * Unselected sub-fields keep the target's value at the same row position.
+	 *
+	 * @test
+	 */
+	public function test_apply_field_parts_for_repeater(): void {
+		$field_object = [
+			'type'       => 'repeater',
+			'sub_fields' => [
+				[
+					'key'  => 'field_question',
+					'name' => 'question',
+				],
+				[
+					'key'  => 'field_answer',
+					'name' => 'answer',
+				],
+			],
+		];
+		$source_rows  = [
+			[ 'field_question' => 'Q1', 'field_answer' => 'A1' ],
+			[ 'field_question' => 'Q2', 'field_answer' => 'A2' ],
+			[ 'field_question' => 'Q3', 'field_answer' => 'A3' ],
+		];
+		$target_rows  = [
+			[ 'field_question' => 'Old Q', 'field_answer' => 'Old A' ],
+		];
+
+		$value = $this->invoke_private_method(
+			$this->cloner,
+			'apply_field_parts',
+			[
+				$source_rows,
+				$target_rows,
+				$field_object,
+				[
+					'rows'       => [ 1, 2 ],
+					'sub_fields' => [ 'field_answer' ],
+				],
+			]
+		);
+
+		$this->assertCount( 2, $value, 'Only the selected rows should be cloned' );
+		$this->assertSame( 'Old Q', $value[0]['field_question'], 'Unselected sub-field should keep the target value' );
+		$this->assertSame( 'A2', $value[0]['field_answer'], 'Selected sub-field should come from the source row' );
+		$this->assertNull( $value[1]['field_question'], 'No target row at this position leaves the sub-field empty' );
+		$this->assertSame( 'A3', $value[1]['field_answer'] );
+	}
+
+	/**
+	 * Test that unknown merge strategies are dropped
+	 *
+	 * @test
+	 */
+	public function test_merge_strategies_are_sanitized(): void {
+		$request_strategies = [
+			'faq'          => [
+				'strategy'  => 'merge',
+				'merge_key' => 'field_question',
+			],
+			'testimonials' => [ 'strategy' => 'shuffle' ],
+		];
+
+		$strategies = $this->invoke_private_method( $this->operations, 'prepare_merge_strategies', [ $request_strategies, [ 'faq', 'testimonials' ] ] );
+
+		$this->assertSame( 'merge', $strategies['faq']['strategy'] );
+		$this->assertSame( 'field_question', $strategies['faq']['merge_key'] );
+		$this->assertArrayNotHasKey( 'testimonials', $strategies, 'Unknown strategies should be ignored' );
+	}
+
+	/**
+	 * Test append, prepend and merge-by-key row combination
+	 *
+	 * @test
+	 */
+	public function test_merge_rows_strategies(): void {
+		$field_object = [
+			'type'       => 'repeater',
+			'sub_fields' => [
+				[
+					'key'  => 'field_question',
+					'name' => 'question',
+				],
+				[
+					'key'  => 'field_answer',
+					'name' => 'answer',
+				],
+			],
+		];
+		$source_rows  = [
+			[ 'field_question' => 'Shared', 'field_answer' => 'New answer' ],
+			[ 'field_question' => 'Extra', 'field_answer' => 'Extra answer' ],
+		];
+		$target_rows  = [
+			[ 'field_question' => 'Local', 'field_answer' => 'Local answer' ],
+			[ 'field_question' => 'Shared', 'field_answer' => 'Old answer' ],
+		];
+
+		$appended = $this->invoke_private_method(
+			$this->cloner,
+			'merge_rows',
+			[ $source_rows, $target_rows, $field_object, [ 'strategy' => 'append', 'merge_key' => '' ] ]
+		);
+		$this->assertSame( [ 'Local', 'Shared', 'Shared', 'Extra' ], array_column( $appended, 'field_question' ) );
+
+		$prepended = $this->invoke_private_method(
+			$this->cloner,
+			'merge_rows',
+			[ $source_rows, $target_rows, $field_object, [ 'strategy' => 'prepend', 'merge_key' => '' ] ]
+		);
+		$this->assertSame( [ 'Shared', 'Extra', 'Local', 'Shared' ], array_column( $prepended, 'field_question' ) );
+
+		$merged = $this->invoke_private_method(
+			$this->cloner,
+			'merge_rows',
+			[ $source_rows, $target_rows, $field_object, [ 'strategy' => 'merge', 'merge_key' => 'question' ] ]
+		);
+		$this->assertSame( [ 'Local', 'Shared', 'Extra' ], array_column( $merged, 'field_question' ), 'Matching rows should be updated in place' );
+		$this->assertSame( 'New answer', $merged[1]['field_answer'] );
+	}
+
+	/**
+	 * Test that mappings to unknown target fields are dropped
+	 *
+	 * @test
+	 */
+	public function test_field_mapping_is_sanitized(): void {
+		$request_mapping = [
+			'hero_title'  => 'field_page_title',
+			'hero_image'  => 'field_not_on_target',
+			'unrequested' => 'field_page_intro',
+		];
+
+		$field_mapping = $this->invoke_private_method(
+			$this->operations,
+			'prepare_field_mapping',
+			[ $request_mapping, [ 'hero_title', 'hero_image' ], [ 'field_page_title', 'field_page_intro' ] ]
+		);
+
+		$this->assertSame( [ 'hero_title' => 'field_page_title' ], $field_mapping );
+	}
+
+	/**
+	 * Test that container values are re-keyed by sub-field name for mapped fields
+	 *
+	 * @test
+	 */
+	public function test_remap_sub_field_keys_for_repeater(): void {
+		$from_field = [
+			'type'       => 'repeater',
+			'sub_fields' => [
+				[
+					'key'  => 'field_landing_question',
+					'name' => 'question',
+					'type' => 'text',
+				],
+				[
+					'key'  => 'field_landing_icon',
+					'name' => 'icon',
+					'type' => 'image',
+				],
+			],
+		];
+		$to_field   = [
+			'type'       => 'repeater',
+			'sub_fields' => [
+				[
+					'key'  => 'field_page_question',
+					'name' => 'question',
+					'type' => 'textarea',
+				],
+				[
+					'key'  => 'field_page_answer',
+					'name' => 'answer',
+					'type' => 'text',
+				],
+			],
+		];
+
+		$value = $this->invoke_private_method(
+			$this->cloner,
+			'remap_sub_field_keys',
+			[
+				[ [ 'field_landing_question' => 'Q1', 'field_landing_icon' => 12 ] ],
+				$from_field,
+				$to_field,
+			]
+		);
+
+		$this->assertSame( [ [ 'field_page_question' => 'Q1' ] ], $value, 'Sub-fields should be matched by name; unmatched ones dropped' );
+	}
+
 	/**
 	 * Test that backup is NOT created when create_backup is false
 	 *
@@ -467,7 +833,7 @@ class CloneOptionsTest extends TestCase {
 
 		// Execute AJAX handler.
 		try {
-			$this->ajax->handle_execute_clone();
+			Ajax::instance()->handle_execute_clone();
 		} catch ( \WPAjaxDieContinueException $e ) {
 			// Expected - wp_send_json_success() throws this in tests.
 		}
@@ -526,7 +892,7 @@ class CloneOptionsTest extends TestCase {
 
 		// Execute AJAX handler.
 		try {
-			$this->ajax->handle_execute_clone();
+			Ajax::instance()->handle_execute_clone();
 		} catch ( \WPAjaxDieContinueException $e ) {
 			// Expected - wp_send_json_success() throws this in tests.
 		}
@@ -546,6 +912,256 @@ class CloneOptionsTest extends TestCase {
 		);
 	}
 
+	/**
+	 * Test fields requested by name are cloned and backed up by field key
+	 *
+	 * @test
+	 */
+	public function test_field_names_are_resolved_to_keys(): void {
+		if ( ! function_exists( 'acf_add_local_field_group' ) ) {
+			$this->markTestSkipped( 'ACF is not available' );
+		}
+
+		update_field( 'field_test_text', 'source_test_value', $this->source_post_id );
+		update_field( 'field_test_text', 'target_old_value', $this->target_post_id );
+
+		$result = $this->cloner->clone_fields(
+			$this->source_post_id,
+			$this->target_post_id,
+			[ 'test_text_field' ],
+			[
+				'create_backup'      => true,
+				'overwrite_existing' => true,
+			]
+		);
+
+		$this->assertSame( [ 'field_test_text' ], $result['cloned_fields'] );
+		$this->assertSame( 'field_test_text', $result['report'][0]['field'] );
+		$this->assertSame( 'source_test_value', get_field( 'field_test_text', $this->target_post_id, false ) );
+
+		$backup = $this->cloner->get_backup( $result['backup_id'] );
+		$this->assertSame( [ 'field_test_text' ], array_keys( $backup['field_data'] ) );
+		$this->assertSame( 'test_text_field', $backup['field_data']['field_test_text']['name'] );
+	}
+
+	/**
+	 * Test per-field settings keyed by name are moved to the field key
+	 *
+	 * @test
+	 */
+	public function test_settings_are_rekeyed_by_field_key(): void {
+		$key_map = [
+			'hero'      => 'field_hero',
+			'gallery'   => 'field_gallery',
+			'field_faq' => 'field_faq',
+		];
+
+		$rekeyed = $this->invoke_private_method(
+			$this->cloner,
+			'rekey_by_field_key',
+			[
+				[
+					'hero'          => [ 'rows' => [ 0 ] ],
+					'gallery'       => [ 'rows' => [ 1 ] ],
+					'field_gallery' => [ 'rows' => [ 2 ] ],
+					'field_faq'     => [ 'rows' => [ 3 ] ],
+				],
+				$key_map,
+			]
+		);
+
+		$this->assertSame(
+			[
+				'field_gallery' => [ 'rows' => [ 2 ] ],
+				'field_faq'     => [ 'rows' => [ 3 ] ],
+				'field_hero'    => [ 'rows' => [ 0 ] ],
+			],
+			$rekeyed,
+			'Entries under the field key win over those under its name'
+		);
+	}
+
+	/**
+	 * Test a backup that stores values by field name can still be restored
+	 *
+	 * @test
+	 */
+	public function test_backup_keyed_by_name_is_restored(): void {
+		global $wpdb;
+
+		if ( ! function_exists( 'acf_add_local_field_group' ) ) {
+			$this->markTestSkipped( 'ACF is not available' );
+		}
+
+		update_field( 'field_test_text', 'current_value', $this->target_post_id );
+
+		$backup_id = 'backup_' . $this->target_post_id . '_' . time() . '_byname';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->insert(
+			$wpdb->prefix . 'acf_field_backups',
+			[
+				'backup_id'   => $backup_id,
+				'post_id'     => $this->target_post_id,
+				'user_id'     => $this->test_user_id,
+				'backup_data' => wp_json_encode(
+					[
+						'post_id'    => $this->target_post_id,
+						'timestamp'  => current_time( 'mysql' ),
+						'user_id'    => $this->test_user_id,
+						'field_data' => [
+							'test_text_field' => [
+								'value' => 'backed_up_value',
+								'label' => 'Test Text Field',
+								'type'  => 'text',
+							],
+						],
+					]
+				),
+				'created_at'  => current_time( 'mysql' ),
+			]
+		);
+
+		$backup = $this->cloner->get_backup( $backup_id );
+		$this->assertSame( [ 'field_test_text' ], array_keys( $backup['field_data'] ) );
+		$this->assertSame( 'test_text_field', $backup['field_data']['field_test_text']['name'] );
+
+		$result = $this->cloner->restore_backup( $backup_id, false, [ 'test_text_field' ] );
+
+		$this->assertTrue( $result['success'], 'Fields can still be selected by name' );
+		$this->assertSame( 'backed_up_value', get_field( 'field_test_text', $this->target_post_id, false ) );
+	}
+
+	/**
+	 * Test a selection is checked against the target field by field
+	 *
+	 * @test
+	 */
+	public function test_validate_fields_reports_errors_and_warnings(): void {
+		if ( ! function_exists( 'acf_add_local_field_group' ) ) {
+			$this->markTestSkipped( 'ACF is not available' );
+		}
+
+		acf_add_local_field_group(
+			[
+				'key'      => 'group_test_validate_selection',
+				'title'    => 'Test Validate Selection Fields',
+				'fields'   => [
+					[
+						'key'     => 'field_test_choice',
+						'label'   => 'Test Choice Field',
+						'name'    => 'test_choice_field',
+						'type'    => 'select',
+						'choices' => [
+							'red'  => 'Red',
+							'blue' => 'Blue',
+						],
+					],
+					[
+						'key'   => 'field_test_email',
+						'label' => 'Test Email Field',
+						'name'  => 'test_email_field',
+						'type'  => 'email',
+					],
+					[
+						'key'      => 'field_test_required',
+						'label'    => 'Test Required Field',
+						'name'     => 'test_required_field',
+						'type'     => 'text',
+						'required' => 1,
+					],
+				],
+				'location' => [
+					[
+						[
+							'param'    => 'post_type',
+							'operator' => '==',
+							'value'    => 'post',
+						],
+					],
+				],
+			]
+		);
+		acf_add_local_field_group(
+			[
+				'key'      => 'group_test_validate_pages',
+				'title'    => 'Test Page Fields',
+				'fields'   => [
+					[
+						'key'   => 'field_test_page_only',
+						'label' => 'Test Page Field',
+						'name'  => 'test_page_only',
+						'type'  => 'text',
+					],
+				],
+				'location' => [
+					[
+						[
+							'param'    => 'post_type',
+							'operator' => '==',
+							'value'    => 'page',
+						],
+					],
+				],
+			]
+		);
+
+		update_field( 'field_test_text', 'source_test_value', $this->source_post_id );
+		update_field( 'field_test_choice', 'green', $this->source_post_id );
+		update_field( 'field_test_email', 'not-an-email', $this->source_post_id );
+		update_field( 'field_test_page_only', 'page_value', $this->source_post_id );
+		update_field( 'field_test_required', 'target_value', $this->target_post_id );
+
+		$field_keys = [ 'field_test_text', 'test_choice_field', 'field_test_email', 'field_test_required', 'field_test_page_only' ];
+		$results    = array_column( $this->cloner->validate_fields( $this->source_post_id, $this->target_post_id, $field_keys ), null, 'field' );
+
+		$this->assertSame( [ 'field_test_text', 'field_test_choice', 'field_test_email', 'field_test_required', 'field_test_page_only' ], array_keys( $results ), 'Names are resolved to field keys' );
+		$this->assertSame( 'ok', $results['field_test_text']['status'] );
+		$this->assertSame( 'warning', $results['field_test_choice']['status'] );
+		$this->assertStringContainsString( 'green', $results['field_test_choice']['messages'][0] );
+		$this->assertSame( 'error', $results['field_test_email']['status'] );
+		$this->assertSame( 'warning', $results['field_test_required']['status'], 'Skipped empty values leave the target as it is' );
+		$this->assertSame( 'error', $results['field_test_page_only']['status'] );
+		$this->assertSame( [ 'Field Test Page Field does not exist on the target' ], $results['field_test_page_only']['messages'] );
+
+		$results = $this->cloner->validate_fields( $this->source_post_id, $this->target_post_id, [ 'field_test_required' ], [ 'empty_values' => 'clear' ] );
+		$this->assertSame( 'error', $results[0]['status'], 'Clearing a required target value is an error' );
+
+		$results = $this->cloner->validate_fields( $this->source_post_id, $this->target_post_id, [ 'field_test_email' ], [ 'validate_data' => false ] );
+		$this->assertSame( 'ok', $results[0]['status'], 'Values are only validated when the clone validates them' );
+
+		$validation = $this->operations->validate_selection( get_post( $this->source_post_id ), get_post( $this->target_post_id ), $field_keys, [] );
+		$this->assertTrue( $validation['has_errors'] );
+		$this->assertTrue( $validation['has_warnings'] );
+		$this->assertFalse( $validation['can_proceed'] );
+
+		$validation = $this->operations->validate_selection( get_post( $this->source_post_id ), get_post( $this->target_post_id ), [ 'field_test_text' ], [] );
+		$this->assertTrue( $validation['can_proceed'] );
+	}
+
+	/**
+	 * Test choice values are checked against the target field's choices
+	 *
+	 * @test
+	 */
+	public function test_unknown_choices(): void {
+		$field = [
+			'type'    => 'checkbox',
+			'choices' => [
+				'red'  => 'Red',
+				'blue' => 'Blue',
+				1      => 'One',
+			],
+		];
+
+		$this->assertSame( [], $this->invoke_private_method( $this->cloner, 'get_unknown_choices', [ 'red', $field ] ) );
+		$this->assertSame( [], $this->invoke_private_method( $this->cloner, 'get_unknown_choices', [ [ 'blue', '1' ], $field ] ) );
+		$this->assertSame( [ 'green' ], $this->invoke_private_method( $this->cloner, 'get_unknown_choices', [ [ 'red', 'green' ], $field ] ) );
+
+		$field['allow_custom'] = 1;
+		$this->assertSame( [], $this->invoke_private_method( $this->cloner, 'get_unknown_choices', [ [ 'green' ], $field ] ), 'Custom values are allowed' );
+	}
+
 	/**
 	 * Helper method to invoke private methods for testing
 	 *
@@ -253,6 +253,23 @@ class AjaxTest extends TestCase {
 		);
 	}
 
+	/**
+	 * Test get_field_diff endpoint exists
+	 *
+	 * @return void
+	 */
+	public function test_get_field_diff_endpoint_exists(): void {
+		$this->ajax->init();
+
+		global $wp_filter;
+		
+		$this->assertArrayHasKey(
+			'wp_ajax_acf_clone_get_field_diff',
+			$wp_filter,
+			'get_field_diff AJAX action should be registered'
+		);
+	}
+
 	/**
 	 * Test execute_clone endpoint exists
 	 *
@@ -270,6 +287,42 @@ class AjaxTest extends TestCase {
 		);
 	}
 
+	/**
+	 * Test bulk_clone endpoint exists
+	 *
+	 * @return void
+	 */
+	public function test_bulk_clone_endpoint_exists(): void {
+		$this->ajax->init();
+
+		global $wp_filter;
+		
+		$this->assertArrayHasKey(
+			'wp_ajax_acf_clone_bulk_clone',
+			$wp_filter,
+			'bulk_clone AJAX action should be registered'
+		);
+	}
+
+	/**
+	 * Test preset endpoints exist
+	 *
+	 * @return void
+	 */
+	public function test_preset_endpoints_exist(): void {
+		$this->ajax->init();
+
+		global $wp_filter;
+
+		foreach ( [ 'get_presets', 'save_preset', 'delete_preset' ] as $action ) {
+			$this->assertArrayHasKey(
+				'wp_ajax_acf_clone_' . $action,
+				$wp_filter,
+				$action . ' AJAX action should be registered'
+			);
+		}
+	}
+
 	/**
 	 * Test validate_selection endpoint exists
 	 *
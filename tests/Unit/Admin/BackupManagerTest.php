@@ -10,8 +10,8 @@
 namespace SilverAssist\ACFCloneFields\Tests\Unit\Admin;
 
 use SilverAssist\ACFCloneFields\Admin\BackupManager;
-use SilverAssist\ACFCloneFields\Services\FieldCloner;
 use SilverAssist\ACFCloneFields\Core\Activator;
+use SilverAssist\ACFCloneFields\Services\FieldCloner;
 use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
 
 /**
@@ -174,6 +174,7 @@ class BackupManagerTest extends TestCase {
 
 		// Check that hooks are registered
 		$this->assertGreaterThan( 0, \has_action( 'add_meta_boxes', [ $this->manager, 'add_backup_meta_box' ] ) );
+		$this->assertGreaterThan( 0, \has_action( 'wp_ajax_acf_clone_get_backup', [ $this->manager, 'handle_get_backup' ] ) );
 		$this->assertGreaterThan( 0, \has_action( 'wp_ajax_acf_clone_restore_backup', [ $this->manager, 'handle_restore_backup' ] ) );
 		$this->assertGreaterThan( 0, \has_action( 'wp_ajax_acf_clone_delete_backup', [ $this->manager, 'handle_delete_backup' ] ) );
 		$this->assertGreaterThan( 0, \has_action( 'wp_ajax_acf_clone_cleanup_backups', [ $this->manager, 'handle_cleanup_backups' ] ) );
@@ -272,7 +273,8 @@ class BackupManagerTest extends TestCase {
 				'field_count' => 1,
 				'user_id'     => $this->admin_user_id,
 				'created_at'  => current_time( 'mysql' ),
-			]
+			],
+			[ '%s', '%d', '%d', '%s', '%s' ]
 		);
 
 		$post = \get_post( $this->test_post_id );
@@ -289,6 +291,34 @@ class BackupManagerTest extends TestCase {
 		$this->assertStringContainsString( 'Delete', $output, 'Output should contain delete button' );
 	}
 
+	/**
+	 * Test render_backup_meta_box no longer prints inline scripts
+	 *
+	 * @return void
+	 */
+	public function test_render_backup_meta_box_has_no_inline_script(): void {
+		ob_start();
+		$this->manager->render_backup_meta_box( \get_post( $this->test_post_id ) );
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'acf-clone-backups-metabox', $output, 'Output should contain the wrapper the admin script looks for' );
+		$this->assertStringNotContainsString( '<script', $output );
+	}
+
+	/**
+	 * Test handle_get_backup without nonce
+	 *
+	 * @group ajax
+	 * @return void
+	 */
+	public function test_handle_get_backup_without_nonce(): void {
+		$this->expectException( \WPAjaxDieContinueException::class );
+
+		$_POST['backup_id'] = 'test-backup-id';
+
+		$this->manager->handle_get_backup();
+	}
+
 	/**
 	 * Test handle_restore_backup without nonce (should fail)
 	 *
@@ -328,6 +358,32 @@ class BackupManagerTest extends TestCase {
 		\wp_delete_user( $subscriber_id );
 	}
 
+	/**
+	 * Test restoring and deleting another user's backup are refused
+	 *
+	 * @group ajax
+	 * @return void
+	 */
+	public function test_restore_and_delete_require_edit_rights_on_the_post(): void {
+		$backup_id = $this->insert_test_backup( $this->test_post_id );
+		\wp_set_current_user( static::factory()->user->create( [ 'role' => 'author' ] ) );
+
+		$_POST['nonce']     = \wp_create_nonce( 'acf_clone_backup_action' );
+		$_POST['backup_id'] = $backup_id;
+
+		foreach ( [ 'handle_restore_backup', 'handle_delete_backup' ] as $handler ) {
+			try {
+				$this->manager->$handler();
+				$this->fail( "{$handler} should stop" );
+			} catch ( \WPAjaxDieStopException $e ) {
+				$response = json_decode( $e->getMessage(), true );
+				$this->assertFalse( $response['success'], "{$handler} should be refused" );
+			}
+		}
+
+		$this->assertNotNull( FieldCloner::instance()->get_backup( $backup_id ), 'Backup should be kept' );
+	}
+
 	/**
 	 * Test handle_restore_backup with missing backup_id
 	 *
@@ -441,4 +497,44 @@ class BackupManagerTest extends TestCase {
 
 		$this->assertFalse( $should_load, 'Should not load outside admin context' );
 	}
+
+	/**
+	 * Insert a backup with one text field
+	 *
+	 * @param int $post_id Post the backup belongs to.
+	 * @return string Backup ID
+	 */
+	private function insert_test_backup( int $post_id ): string {
+		global $wpdb;
+
+		$backup_id = 'backup_' . $post_id . '_' . time() . '_manager';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->insert(
+			$wpdb->prefix . 'acf_field_backups',
+			[
+				'backup_id'   => $backup_id,
+				'post_id'     => $post_id,
+				'user_id'     => $this->admin_user_id,
+				'backup_data' => wp_json_encode(
+					[
+						'post_id'    => $post_id,
+						'timestamp'  => current_time( 'mysql' ),
+						'user_id'    => $this->admin_user_id,
+						'field_data' => [
+							'field_test1' => [
+								'value' => 'Test Value 1',
+								'label' => 'Test Field 1',
+								'type'  => 'text',
+							],
+						],
+					]
+				),
+				'created_at'  => current_time( 'mysql' ),
+			],
+			[ '%s', '%d', '%d', '%s', '%s' ]
+		);
+
+		return $backup_id;
+	}
 }
@@ -0,0 +1,126 @@
+<?php
+/**
+ * Tests for Admin\BlockEditor class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Admin
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Admin;
+
+use SilverAssist\ACFCloneFields\Admin\BlockEditor;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class BlockEditorTest
+ *
+ * Tests the BlockEditor class functionality including:
+ * - Singleton pattern
+ * - LoadableInterface implementation
+ * - Hook registration
+ * - Screen detection for the sidebar
+ */
+class BlockEditorTest extends TestCase {
+	/**
+	 * BlockEditor instance
+	 *
+	 * @var BlockEditor
+	 */
+	private BlockEditor $block_editor;
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->block_editor = BlockEditor::instance();
+	}
+
+	/**
+	 * Clean up after tests
+	 *
+	 * @return void
+	 */
+	public function tearDown(): void {
+		delete_option( 'silver_assist_acf_clone_fields_enabled_post_types' );
+		set_current_screen( 'front' );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Test singleton pattern implementation
+	 *
+	 * @return void
+	 */
+	public function test_singleton_pattern(): void {
+		$this->assertSame( BlockEditor::instance(), BlockEditor::instance(), 'BlockEditor should return the same instance' );
+	}
+
+	/**
+	 * Test LoadableInterface implementation
+	 *
+	 * @return void
+	 */
+	public function test_implements_loadable_interface(): void {
+		set_current_screen( 'post' );
+
+		$this->assertInstanceOf( \SilverAssist\PluginKernel\Interfaces\LoadableInterface::class, $this->block_editor );
+		$this->assertSame( 40, $this->block_editor->get_priority(), 'Admin components should have priority 40' );
+		$this->assertTrue( $this->block_editor->should_load(), 'BlockEditor should load in admin context' );
+	}
+
+	/**
+	 * Test the block editor assets hook is registered
+	 *
+	 * @return void
+	 */
+	public function test_init_registers_enqueue_hook(): void {
+		$this->block_editor->init();
+
+		$this->assertNotFalse(
+			has_action( 'enqueue_block_editor_assets', [ $this->block_editor, 'enqueue_block_editor_assets' ] )
+		);
+	}
+
+	/**
+	 * Test the sidebar is offered on block editor screens of enabled post types only
+	 *
+	 * @return void
+	 */
+	public function test_is_enabled_screen(): void {
+		if ( ! function_exists( 'get_field' ) ) {
+			$this->markTestSkipped( 'ACF not available' );
+		}
+
+		update_option( 'silver_assist_acf_clone_fields_enabled_post_types', [ 'post' ] );
+
+		set_current_screen( 'post' );
+		get_current_screen()->is_block_editor( true );
+		$this->assertTrue( $this->block_editor->is_enabled_screen(), 'Enabled post type in the block editor' );
+
+		get_current_screen()->is_block_editor( false );
+		$this->assertFalse( $this->block_editor->is_enabled_screen(), 'Classic editor uses the meta box only' );
+
+		set_current_screen( 'page' );
+		get_current_screen()->is_block_editor( true );
+		$this->assertFalse( $this->block_editor->is_enabled_screen(), 'Post type not enabled for cloning' );
+	}
+
+	/**
+	 * Test nothing is enqueued outside enabled screens
+	 *
+	 * @return void
+	 */
+	public function test_enqueue_skipped_on_other_screens(): void {
+		set_current_screen( 'edit-post' );
+
+		$this->block_editor->enqueue_block_editor_assets();
+
+		$this->assertFalse( wp_script_is( BlockEditor::SCRIPT_HANDLE, 'enqueued' ) );
+	}
+}
@@ -0,0 +1,155 @@
+<?php
+/**
+ * Tests for Admin\BulkClone class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Admin
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Admin;
+
+use SilverAssist\ACFCloneFields\Admin\BulkClone;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class BulkCloneTest
+ *
+ * Tests the BulkClone class functionality including:
+ * - Singleton pattern
+ * - LoadableInterface implementation
+ * - Posts list bulk action
+ * - Initial target selection
+ */
+class BulkCloneTest extends TestCase {
+	/**
+	 * BulkClone instance
+	 *
+	 * @var BulkClone
+	 */
+	private BulkClone $bulk_clone;
+
+	/**
+	 * Admin user ID
+	 *
+	 * @var int
+	 */
+	private int $admin_user_id;
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		set_current_screen( 'edit-post' );
+
+		$this->admin_user_id = static::factory()->user->create(
+			[
+				'role' => 'administrator',
+			]
+		);
+		wp_set_current_user( $this->admin_user_id );
+
+		$this->bulk_clone = BulkClone::instance();
+	}
+
+	/**
+	 * Clean up after tests
+	 *
+	 * @return void
+	 */
+	public function tearDown(): void {
+		$_GET = [];
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Test singleton pattern implementation
+	 *
+	 * @return void
+	 */
+	public function test_singleton_pattern(): void {
+		$this->assertSame( BulkClone::instance(), BulkClone::instance(), 'BulkClone should return the same instance' );
+	}
+
+	/**
+	 * Test LoadableInterface implementation
+	 *
+	 * @return void
+	 */
+	public function test_implements_loadable_interface(): void {
+		$this->assertInstanceOf( \SilverAssist\PluginKernel\Interfaces\LoadableInterface::class, $this->bulk_clone );
+		$this->assertSame( 40, $this->bulk_clone->get_priority(), 'Admin components should have priority 40' );
+		$this->assertTrue( $this->bulk_clone->should_load(), 'BulkClone should load in admin context' );
+	}
+
+	/**
+	 * Test the bulk action is added to the posts list
+	 *
+	 * @return void
+	 */
+	public function test_register_bulk_action_adds_action(): void {
+		$actions = $this->bulk_clone->register_bulk_action( [ 'trash' => 'Move to Trash' ] );
+
+		$this->assertArrayHasKey( BulkClone::BULK_ACTION, $actions );
+		$this->assertArrayHasKey( 'trash', $actions, 'Existing bulk actions should be kept' );
+	}
+
+	/**
+	 * Test the bulk action redirects to the bulk clone screen with the selected targets
+	 *
+	 * @return void
+	 */
+	public function test_handle_bulk_action_redirects_with_targets(): void {
+		$post_ids = static::factory()->post->create_many( 2 );
+
+		$url = $this->bulk_clone->handle_bulk_action( 'edit.php', BulkClone::BULK_ACTION, $post_ids );
+
+		$this->assertStringContainsString( 'page=acf-clone-bulk', $url );
+		$this->assertStringContainsString( 'post_type=post', $url );
+		$this->assertStringContainsString( 'targets=' . rawurlencode( implode( ',', $post_ids ) ), $url );
+	}
+
+	/**
+	 * Test other bulk actions are left alone
+	 *
+	 * @return void
+	 */
+	public function test_handle_bulk_action_ignores_other_actions(): void {
+		$post_id = static::factory()->post->create();
+
+		$this->assertSame( 'edit.php', $this->bulk_clone->handle_bulk_action( 'edit.php', 'trash', [ $post_id ] ) );
+	}
+
+	/**
+	 * Test initial selection keeps only valid targets of the requested post type
+	 *
+	 * @return void
+	 */
+	public function test_get_initial_selection_filters_targets(): void {
+		$post_id = static::factory()->post->create( [ 'post_title' => 'Bulk Target' ] );
+		$page_id = static::factory()->post->create( [ 'post_type' => 'page' ] );
+
+		$_GET = [
+			'post_type' => 'post',
+			'targets'   => implode( ',', [ $post_id, $page_id, 999999 ] ),
+		];
+
+		$selection = $this->bulk_clone->get_initial_selection();
+
+		$this->assertSame( 'post', $selection['post_type'] );
+		$this->assertSame(
+			[
+				[
+					'id'    => $post_id,
+					'title' => 'Bulk Target',
+				],
+			],
+			$selection['targets']
+		);
+	}
+}
@@ -110,6 +110,8 @@ class LoaderTest extends TestCase {
 		$this->assertTrue( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\MetaBox' ) );
 		$this->assertTrue( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\Ajax' ) );
 		$this->assertTrue( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\BackupManager' ) );
+		$this->assertTrue( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\BulkClone' ) );
+		$this->assertTrue( class_exists( 'SilverAssist\\ACFCloneFields\\Admin\\BlockEditor' ) );
 	}
 
 	/**
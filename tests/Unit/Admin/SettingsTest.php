@@ -88,6 +88,7 @@ class SettingsTest extends TestCase {
 		\delete_option( 'silver_assist_acf_clone_fields_default_overwrite' );
 		\delete_option( 'silver_assist_acf_clone_fields_create_backup' );
 		\delete_option( 'silver_assist_acf_clone_fields_copy_attachments' );
+		\delete_option( 'silver_assist_acf_clone_fields_empty_values' );
 		\delete_option( 'silver_assist_acf_clone_fields_validate_data' );
 		\delete_option( 'silver_assist_acf_clone_fields_log_operations' );
 		\delete_option( 'silver_assist_acf_clone_fields_max_source_posts' );
@@ -156,6 +157,9 @@ class SettingsTest extends TestCase {
 		$copy_attachments = \get_option( 'silver_assist_acf_clone_fields_copy_attachments', null );
 		$this->assertTrue( $copy_attachments, 'Copy attachments should be true by default' );
 
+		$empty_values = \get_option( 'silver_assist_acf_clone_fields_empty_values', null );
+		$this->assertSame( 'clear', $empty_values, 'Empty source values should be copied by default' );
+
 		$validate_data = \get_option( 'silver_assist_acf_clone_fields_validate_data', null );
 		$this->assertTrue( $validate_data, 'Validate data should be true by default' );
 
@@ -338,6 +342,23 @@ class SettingsTest extends TestCase {
 		$this->assertStringNotContainsString( 'checked', $output, 'Output should not have checked checkbox when false' );
 	}
 
+	/**
+	 * Test render_empty_values_field outputs a select with the saved policy
+	 *
+	 * @return void
+	 */
+	public function test_render_empty_values_field(): void {
+		\update_option( 'silver_assist_acf_clone_fields_empty_values', 'clear' );
+
+		ob_start();
+		$this->settings->render_empty_values_field();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( '<select name="silver_assist_acf_clone_fields_empty_values">', $output, 'Output should contain select' );
+		$this->assertMatchesRegularExpression( '/value="clear"\s+selected/', $output, 'Saved policy should be selected' );
+		$this->assertStringContainsString( 'value="keep"', $output, 'Output should list every policy' );
+	}
+
 	/**
 	 * Test render_max_posts_field outputs number input
 	 *
@@ -239,6 +239,82 @@ class BackupSystemTest extends TestCase {
 		$this->assertStringContainsString( 'not found', strtolower( $result['message'] ) );
 	}
 
+	/**
+	 * Test get_backup returns the stored field values
+	 *
+	 * @return void
+	 */
+	public function test_get_backup(): void {
+		$backup_id = $this->insert_test_backup();
+		$backup    = $this->cloner->get_backup( $backup_id );
+
+		$this->assertIsArray( $backup );
+		$this->assertSame( $backup_id, $backup['backup_id'] );
+		$this->assertSame( 123, $backup['post_id'] );
+		$this->assertSame( 'Test Value 1', $backup['field_data']['field_test1']['value'] );
+
+		$this->assertNull( $this->cloner->get_backup( 'invalid_backup_id' ) );
+		$this->assertNull( $this->cloner->get_backup( 'backup_999_' . time() . '_notfound' ) );
+	}
+
+	/**
+	 * Test restoring a subset that matches no backed up field fails without changes
+	 *
+	 * @return void
+	 */
+	public function test_restore_backup_with_unknown_field_subset(): void {
+		$backup_id = $this->insert_test_backup();
+		$result    = $this->cloner->restore_backup( $backup_id, true, [ 'field_not_in_backup' ] );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertStringContainsString( 'selected fields', $result['message'] );
+		$this->assertNotNull( $this->cloner->get_backup( $backup_id ), 'Backup should be kept' );
+	}
+
+	/**
+	 * Insert a backup with two text fields for post 123
+	 *
+	 * @return string Backup ID
+	 */
+	private function insert_test_backup(): string {
+		global $wpdb;
+
+		$backup_id = 'backup_123_' . time() . '_subset';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->insert(
+			$wpdb->prefix . 'acf_field_backups',
+			[
+				'backup_id'   => $backup_id,
+				'post_id'     => 123,
+				'user_id'     => 1,
+				'backup_data' => wp_json_encode(
+					[
+						'post_id'    => 123,
+						'timestamp'  => current_time( 'mysql' ),
+						'user_id'    => 1,
+						'field_data' => [
+							'field_test1' => [
+								'value' => 'Test Value 1',
+								'label' => 'Test Field 1',
+								'type'  => 'text',
+							],
+							'field_test2' => [
+								'value' => 'Test Value 2',
+								'label' => 'Test Field 2',
+								'type'  => 'textarea',
+							],
+						],
+					]
+				),
+				'created_at'  => current_time( 'mysql' ),
+			],
+			[ '%s', '%d', '%d', '%s', '%s' ]
+		);
+
+		return $backup_id;
+	}
+
 	/**
 	 * Test backup settings defaults
 	 *
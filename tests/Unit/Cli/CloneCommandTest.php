@@ -0,0 +1,268 @@
+<?php
+/**
+ * Tests for Cli\CloneCommand class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Cli
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Cli;
+
+use SilverAssist\ACFCloneFields\Cli\CloneCommand;
+use SilverAssist\ACFCloneFields\Cli\Loader;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class CloneCommandTest
+ *
+ * Covers the loader gating, the mapping between flags, clone results and
+ * rows, and whole commands run against the WP-CLI stubs in tests/Utils.
+ */
+class CloneCommandTest extends TestCase {
+	/**
+	 * Command instance
+	 *
+	 * @var CloneCommand
+	 */
+	private CloneCommand $command;
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->command = new CloneCommand();
+		\WP_CLI::reset();
+	}
+
+	/**
+	 * Test the CLI loader stays off outside WP-CLI
+	 *
+	 * @return void
+	 */
+	public function test_loader_does_not_load_outside_wp_cli(): void {
+		if ( defined( 'WP_CLI' ) && WP_CLI ) {
+			$this->markTestSkipped( 'Running under WP-CLI' );
+		}
+
+		$loader = Loader::instance();
+
+		$this->assertSame( 40, $loader->get_priority(), 'CLI commands should load after Services' );
+		$this->assertFalse( $loader->should_load(), 'CLI commands are only registered under WP-CLI' );
+	}
+
+	/**
+	 * Test only the flags given become clone options
+	 *
+	 * @return void
+	 */
+	public function test_clone_options_only_include_given_flags(): void {
+		$this->assertSame( [], $this->invoke( 'get_clone_options', [ [ 'fields' => 'title' ] ] ) );
+
+		$options = $this->invoke(
+			'get_clone_options',
+			[
+				[
+					'backup'          => false,
+					'dry-run'         => true,
+					'duplicate-posts' => true,
+					'empty-values'    => 'clear',
+				],
+			]
+		);
+
+		$this->assertSame(
+			[
+				'create_backup'   => false,
+				'duplicate_posts' => true,
+				'dry_run'         => true,
+				'empty_values'    => 'clear',
+			],
+			$options
+		);
+	}
+
+	/**
+	 * Test the clone report becomes one row per field
+	 *
+	 * @return void
+	 */
+	public function test_report_rows_from_clone_result(): void {
+		$rows = $this->invoke(
+			'get_report_rows',
+			[
+				34,
+				[
+					'success' => true,
+					'message' => 'Done',
+					'report'  => [
+						[
+							'field'    => 'hero_title',
+							'label'    => 'Hero title',
+							'status'   => 'cloned',
+							'message'  => 'Field cloned successfully',
+							'warnings' => [ 'Value truncated' ],
+						],
+					],
+				],
+			]
+		);
+
+		$this->assertCount( 1, $rows );
+		$this->assertSame( 34, $rows[0]['target'] );
+		$this->assertSame( 'cloned', $rows[0]['status'] );
+		$this->assertSame( 'Field cloned successfully Value truncated', $rows[0]['message'] );
+	}
+
+	/**
+	 * Test a refused clone becomes a single failed row
+	 *
+	 * @return void
+	 */
+	public function test_report_rows_for_refused_clone(): void {
+		$rows = $this->invoke(
+			'get_report_rows',
+			[
+				34,
+				[
+					'success' => false,
+					'message' => 'Target is the source post',
+				],
+			]
+		);
+
+		$this->assertCount( 1, $rows );
+		$this->assertSame( 'failed', $rows[0]['status'] );
+		$this->assertSame( 'Target is the source post', $rows[0]['message'] );
+	}
+
+	/**
+	 * Test the field list leaves out fields that cannot be cloned
+	 *
+	 * @return void
+	 */
+	public function test_field_rows_skip_uncloneable_fields(): void {
+		$field = [
+			'name'         => 'hero_title',
+			'label'        => 'Hero title',
+			'type'         => 'text',
+			'has_value'    => true,
+			'is_cloneable' => true,
+		];
+
+		$rows = $this->invoke(
+			'get_field_rows',
+			[
+				[
+					'group_hero' => [
+						'title'  => 'Hero',
+						'fields' => [
+							'field_title' => $field,
+							'field_msg'   => array_merge( $field, [ 'is_cloneable' => false ] ),
+						],
+					],
+				],
+			]
+		);
+
+		$this->assertCount( 1, $rows );
+		$this->assertSame( 'field_title', $rows[0]['key'] );
+		$this->assertSame( 'Hero', $rows[0]['group'] );
+	}
+
+	/**
+	 * Test clone and import stop with a clear error when run without --user
+	 *
+	 * @return void
+	 */
+	public function test_commands_require_a_user(): void {
+		wp_set_current_user( 0 );
+		$source_post_id = static::factory()->post->create();
+		$target_post_id = static::factory()->post->create();
+
+		try {
+			$this->command->clone_fields( [ (string) $source_post_id, (string) $target_post_id ], [ 'fields' => 'hero_title' ] );
+			$this->fail( 'clone should stop without a user' );
+		} catch ( \WP_CLI\ExitException $e ) {
+			$this->assertStringContainsString( '--user', $e->getMessage() );
+		}
+
+		try {
+			$this->command->import( [ 'package.json', (string) $target_post_id ], [] );
+			$this->fail( 'import should stop without a user' );
+		} catch ( \WP_CLI\ExitException $e ) {
+			$this->assertStringContainsString( '--user', $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Test the clone command writes the field into the target
+	 *
+	 * @return void
+	 */
+	public function test_clone_command_clones_fields(): void {
+		if ( ! function_exists( 'acf_add_local_field_group' ) ) {
+			$this->markTestSkipped( 'ACF not available' );
+		}
+
+		acf_add_local_field_group(
+			[
+				'key'      => 'group_cli_clone',
+				'title'    => 'CLI Clone',
+				'fields'   => [
+					[
+						'key'   => 'field_cli_hero_title',
+						'label' => 'Hero title',
+						'name'  => 'cli_hero_title',
+						'type'  => 'text',
+					],
+				],
+				'location' => [
+					[
+						[
+							'param'    => 'post_type',
+							'operator' => '==',
+							'value'    => 'post',
+						],
+					],
+				],
+			]
+		);
+
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'administrator' ] ) );
+		$source_post_id = static::factory()->post->create();
+		$target_post_id = static::factory()->post->create();
+		update_field( 'field_cli_hero_title', 'Welcome', $source_post_id );
+
+		$this->command->clone_fields(
+			[ (string) $source_post_id, (string) $target_post_id ],
+			[
+				'fields'    => 'field_cli_hero_title',
+				'backup'    => false,
+				'overwrite' => true,
+			]
+		);
+
+		$this->assertSame( 'Welcome', get_field( 'field_cli_hero_title', $target_post_id, false ) );
+		$this->assertSame( 'cloned', \WP_CLI::$items[0]['status'] );
+		$this->assertSame( [ 'Success: Cloned fields into 1 post(s).' ], \WP_CLI::$output );
+	}
+
+	/**
+	 * Invoke a private method of the command
+	 *
+	 * @param string            $method Method name.
+	 * @param array<int, mixed> $args Arguments.
+	 * @return mixed
+	 */
+	private function invoke( string $method, array $args ) {
+		$reflection = new \ReflectionMethod( CloneCommand::class, $method );
+		$reflection->setAccessible( true );
+
+		return $reflection->invokeArgs( $this->command, $args );
+	}
+}
@@ -190,6 +190,30 @@ class ActivatorTest extends TestCase {
 		$this->assertContains( 'created_at', $column_names );
 	}
 
+	/**
+	 * Test create_tables creates clone history table
+	 *
+	 * @covers ::create_tables
+	 */
+	public function test_create_tables_creates_history_table(): void {
+		global $wpdb;
+
+		Activator::create_tables();
+
+		$table_name = $wpdb->prefix . 'acf_clone_history';
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$table_exists = $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $table_name ) );
+
+		$this->assertSame( $table_name, $table_exists, 'History table should be created' );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$column_names = wp_list_pluck( $wpdb->get_results( "DESCRIBE {$table_name}" ), 'Field' );
+
+		foreach ( [ 'source_post_id', 'target_post_id', 'user_id', 'backup_id', 'outcome', 'fields', 'options', 'created_at' ] as $column ) {
+			$this->assertContains( $column, $column_names );
+		}
+	}
+
 	/**
 	 * Test create_tables is idempotent
 	 *
@@ -336,6 +336,8 @@ class PluginTest extends TestCase {
 		$this->assertIsArray( $components, 'Should return array' );
 		$this->assertContains( \SilverAssist\ACFCloneFields\Services\Loader::class, $components );
 		$this->assertContains( \SilverAssist\ACFCloneFields\Admin\Loader::class, $components );
+		$this->assertContains( \SilverAssist\ACFCloneFields\Rest\Loader::class, $components );
+		$this->assertContains( \SilverAssist\ACFCloneFields\Cli\Loader::class, $components );
 	}
 
 	/**
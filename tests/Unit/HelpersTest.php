@@ -893,5 +893,46 @@ class HelpersTest extends TestCase {
 		$this->assertSame( $instance1, $instance2, 'Should return same instance' );
 		$this->assertInstanceOf( Helpers::class, $instance1 );
 	}
-}
 
+	/**
+	 * Test query_posts_by_type() returns a page of posts with the total count
+	 *
+	 * @return void
+	 */
+	public function test_query_posts_by_type_returns_page_and_total(): void {
+		$admin_id = static::factory()->user->create( [ 'role' => 'administrator' ] );
+		\wp_set_current_user( $admin_id );
+
+		$post_ids = static::factory()->post->create_many(
+			3,
+			[
+				'post_status' => 'publish',
+				'post_author' => $admin_id,
+			]
+		);
+
+		$result = Helpers::query_posts_by_type(
+			'post',
+			[
+				'posts_per_page' => 2,
+				'post__in'       => $post_ids,
+			]
+		);
+
+		$this->assertArrayHasKey( 'posts', $result );
+		$this->assertArrayHasKey( 'total', $result );
+		$this->assertCount( 2, $result['posts'], 'Should respect the page size' );
+		$this->assertSame( 3, $result['total'], 'Total should count all matching posts' );
+
+		$second_page = Helpers::query_posts_by_type(
+			'post',
+			[
+				'posts_per_page' => 2,
+				'offset'         => 2,
+				'post__in'       => $post_ids,
+			]
+		);
+
+		$this->assertCount( 1, $second_page['posts'], 'Offset should return the remaining post' );
+	}
+}
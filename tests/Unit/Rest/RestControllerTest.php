@@ -0,0 +1,379 @@
+<?php
+/**
+ * Tests for Rest\RestController class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Rest
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Rest;
+
+use SilverAssist\ACFCloneFields\Core\Activator;
+use SilverAssist\ACFCloneFields\Rest\RestController;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class RestControllerTest
+ *
+ * Tests the RestController functionality including:
+ * - Singleton pattern and LoadableInterface implementation
+ * - Route registration
+ * - Permission callbacks
+ * - Argument validation and error statuses
+ */
+class RestControllerTest extends TestCase {
+	/**
+	 * REST server
+	 *
+	 * @var \WP_REST_Server
+	 */
+	private \WP_REST_Server $server;
+
+	/**
+	 * Admin user ID
+	 *
+	 * @var int
+	 */
+	private int $admin_user_id;
+
+	/**
+	 * Test post ID
+	 *
+	 * @var int
+	 */
+	private int $test_post_id;
+
+	/**
+	 * Create shared fixtures before class
+	 *
+	 * @param \WP_UnitTest_Factory $factory Factory instance.
+	 * @return void
+	 */
+	public static function wpSetUpBeforeClass( $factory ): void {
+		// Backup routes read the backup table.
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		global $wp_rest_server;
+		$wp_rest_server = new \WP_REST_Server();
+		$this->server   = $wp_rest_server;
+
+		RestController::instance()->init();
+		do_action( 'rest_api_init', $this->server );
+
+		$this->admin_user_id = static::factory()->user->create(
+			[
+				'role' => 'administrator',
+			]
+		);
+		$this->test_post_id = static::factory()->post->create();
+	}
+
+	/**
+	 * Clean up after tests
+	 *
+	 * @return void
+	 */
+	public function tearDown(): void {
+		global $wp_rest_server;
+		$wp_rest_server = null;
+
+		delete_option( 'silver_assist_acf_clone_fields_enabled_post_types' );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Test singleton pattern implementation
+	 *
+	 * @return void
+	 */
+	public function test_singleton_pattern(): void {
+		$this->assertSame( RestController::instance(), RestController::instance(), 'RestController should return the same instance' );
+	}
+
+	/**
+	 * Test LoadableInterface implementation
+	 *
+	 * @return void
+	 */
+	public function test_implements_loadable_interface(): void {
+		$controller = RestController::instance();
+
+		$this->assertInstanceOf( \SilverAssist\PluginKernel\Interfaces\LoadableInterface::class, $controller );
+		$this->assertSame( 40, $controller->get_priority(), 'REST components should load after Services' );
+		$this->assertTrue( $controller->should_load(), 'REST routes are needed outside admin requests' );
+	}
+
+	/**
+	 * Test all routes are registered under the versioned namespace
+	 *
+	 * @return void
+	 */
+	public function test_routes_are_registered(): void {
+		$routes = $this->server->get_routes();
+		$prefix = '/' . RestController::NAMESPACE;
+
+		$this->assertArrayHasKey( $prefix, $routes, 'Namespace index should be registered' );
+
+		foreach ( [ '/source-posts', '/source-fields', '/field-diff', '/validate-selection', '/clone', '/presets', '/backups/cleanup', '/undo', '/import', '/import/preview' ] as $route ) {
+			$this->assertArrayHasKey( $prefix . $route, $routes, "Route {$route} should be registered" );
+		}
+
+		$this->assertArrayHasKey( $prefix . '/posts/(?P<post_id>[\d]+)/backups', $routes );
+		$this->assertArrayHasKey( $prefix . '/posts/(?P<post_id>[\d]+)/export', $routes );
+		$this->assertArrayHasKey( $prefix . '/posts/(?P<post_id>[\d]+)/history', $routes );
+		$this->assertArrayHasKey( $prefix . '/backups/(?P<backup_id>backup_[0-9]+_[0-9]+_[a-zA-Z0-9]+)/restore', $routes );
+		$this->assertArrayHasKey( $prefix . '/backups/(?P<backup_id>backup_[0-9]+_[0-9]+_[a-zA-Z0-9]+)/source-fields', $routes );
+		$this->assertArrayHasKey( $prefix . '/backups/(?P<backup_id>backup_[0-9]+_[0-9]+_[a-zA-Z0-9]+)/clone', $routes );
+	}
+
+	/**
+	 * Test cloning requires a logged-in user
+	 *
+	 * @return void
+	 */
+	public function test_clone_requires_authentication(): void {
+		wp_set_current_user( 0 );
+
+		$response = $this->server->dispatch( $this->clone_request( [ 'field_name' ] ) );
+
+		$this->assertSame( 401, $response->get_status() );
+	}
+
+	/**
+	 * Test dismissing the undo requires a logged-in user
+	 *
+	 * @return void
+	 */
+	public function test_dismiss_undo_requires_authentication(): void {
+		wp_set_current_user( 0 );
+
+		$response = $this->server->dispatch( new \WP_REST_Request( 'DELETE', '/' . RestController::NAMESPACE . '/undo' ) );
+
+		$this->assertSame( 401, $response->get_status() );
+	}
+
+	/**
+	 * Test users who cannot edit the target post are refused
+	 *
+	 * @return void
+	 */
+	public function test_source_fields_forbidden_without_edit_capability(): void {
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'subscriber' ] ) );
+
+		$request = new \WP_REST_Request( 'GET', '/' . RestController::NAMESPACE . '/source-fields' );
+		$request->set_query_params(
+			[
+				'source_post_id' => static::factory()->post->create(),
+				'target_post_id' => $this->test_post_id,
+			]
+		);
+
+		$response = $this->server->dispatch( $request );
+
+		$this->assertSame( 403, $response->get_status() );
+		$this->assertSame( 'rest_forbidden', $response->as_error()->get_error_code() );
+	}
+
+	/**
+	 * Test a source the user cannot edit is refused on every route that reads it
+	 *
+	 * @return void
+	 */
+	public function test_source_reading_routes_forbidden_without_edit_rights_on_source(): void {
+		$author_id      = static::factory()->user->create( [ 'role' => 'author' ] );
+		$target_post_id = static::factory()->post->create( [ 'post_author' => $author_id ] );
+		$source_post_id = static::factory()->post->create(
+			[
+				'post_author' => $this->admin_user_id,
+				'post_status' => 'private',
+			]
+		);
+		wp_set_current_user( $author_id );
+
+		$params = [
+			'source_post_id' => $source_post_id,
+			'target_post_id' => $target_post_id,
+			'field_keys'     => [ 'field_secret' ],
+		];
+
+		foreach ( [ 'GET /source-fields', 'GET /field-diff', 'GET /validate-selection', 'POST /clone' ] as $route ) {
+			list( $method, $path ) = explode( ' ', $route );
+
+			$request = new \WP_REST_Request( $method, '/' . RestController::NAMESPACE . $path );
+			if ( 'GET' === $method ) {
+				$request->set_query_params( $params );
+			} else {
+				$request->set_body_params( $params );
+			}
+
+			$response = $this->server->dispatch( $request );
+
+			$this->assertSame( 403, $response->get_status(), "{$route} should be refused" );
+		}
+	}
+
+	/**
+	 * Test the clone arguments are validated against the route schema
+	 *
+	 * @return void
+	 */
+	public function test_clone_rejects_invalid_arguments(): void {
+		wp_set_current_user( $this->admin_user_id );
+
+		$response = $this->server->dispatch( $this->clone_request( [] ) );
+		$this->assertSame( 400, $response->get_status(), 'At least one field key is required' );
+
+		$request = $this->clone_request( [ 'field_name' ] );
+		$request->set_param( 'options', [ 'empty_values' => 'delete' ] );
+
+		$response = $this->server->dispatch( $request );
+		$this->assertSame( 400, $response->get_status(), 'Unknown empty value policy' );
+	}
+
+	/**
+	 * Test source posts of a post type not enabled for cloning are refused
+	 *
+	 * @return void
+	 */
+	public function test_source_posts_requires_enabled_post_type(): void {
+		wp_set_current_user( $this->admin_user_id );
+		update_option( 'silver_assist_acf_clone_fields_enabled_post_types', [ 'post' ] );
+
+		$request = new \WP_REST_Request( 'GET', '/' . RestController::NAMESPACE . '/source-posts' );
+		$request->set_query_params( [ 'post_type' => 'page' ] );
+
+		$response = $this->server->dispatch( $request );
+
+		$this->assertSame( 400, $response->get_status() );
+		$this->assertSame( 'acf_clone_post_type_not_enabled', $response->as_error()->get_error_code() );
+	}
+
+	/**
+	 * Test files that are not field packages are refused
+	 *
+	 * @return void
+	 */
+	public function test_import_rejects_invalid_package(): void {
+		wp_set_current_user( $this->admin_user_id );
+
+		$request = new \WP_REST_Request( 'POST', '/' . RestController::NAMESPACE . '/import/preview' );
+		$request->set_body_params(
+			[
+				'target_post_id' => $this->test_post_id,
+				'package'        => [ 'fields' => [] ],
+			]
+		);
+
+		$response = $this->server->dispatch( $request );
+
+		$this->assertSame( 400, $response->get_status() );
+		$this->assertSame( 'acf_clone_invalid_package', $response->as_error()->get_error_code() );
+	}
+
+	/**
+	 * Test exporting needs the capability to edit the post
+	 *
+	 * @return void
+	 */
+	public function test_export_requires_edit_capability(): void {
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'subscriber' ] ) );
+
+		$response = $this->server->dispatch(
+			new \WP_REST_Request( 'GET', '/' . RestController::NAMESPACE . '/posts/' . $this->test_post_id . '/export' )
+		);
+
+		$this->assertSame( 403, $response->get_status() );
+	}
+
+	/**
+	 * Test the history of a post needs the capability to edit it
+	 *
+	 * @return void
+	 */
+	public function test_history_requires_edit_capability(): void {
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'subscriber' ] ) );
+
+		$response = $this->server->dispatch(
+			new \WP_REST_Request( 'GET', '/' . RestController::NAMESPACE . '/posts/' . $this->test_post_id . '/history' )
+		);
+
+		$this->assertSame( 403, $response->get_status() );
+	}
+
+	/**
+	 * Test unknown backups return 404
+	 *
+	 * @return void
+	 */
+	public function test_unknown_backup_returns_not_found(): void {
+		wp_set_current_user( $this->admin_user_id );
+
+		$response = $this->server->dispatch(
+			new \WP_REST_Request( 'GET', '/' . RestController::NAMESPACE . '/backups/backup_1_1700000000_missing' )
+		);
+
+		$this->assertSame( 404, $response->get_status() );
+		$this->assertSame( 'acf_clone_backup_not_found', $response->as_error()->get_error_code() );
+	}
+
+	/**
+	 * Test a post without backups lists none
+	 *
+	 * @return void
+	 */
+	public function test_post_backups_empty_list(): void {
+		wp_set_current_user( $this->admin_user_id );
+
+		$response = $this->server->dispatch(
+			new \WP_REST_Request( 'GET', '/' . RestController::NAMESPACE . '/posts/' . $this->test_post_id . '/backups' )
+		);
+
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertSame( [], $response->get_data() );
+	}
+
+	/**
+	 * Test backup cleanup is limited to administrators
+	 *
+	 * @return void
+	 */
+	public function test_cleanup_requires_manage_options(): void {
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'editor' ] ) );
+
+		$response = $this->server->dispatch(
+			new \WP_REST_Request( 'POST', '/' . RestController::NAMESPACE . '/backups/cleanup' )
+		);
+
+		$this->assertSame( 403, $response->get_status() );
+	}
+
+	/**
+	 * Build a clone request for the test post
+	 *
+	 * @param array<string> $field_keys Field keys to clone.
+	 * @return \WP_REST_Request
+	 */
+	private function clone_request( array $field_keys ): \WP_REST_Request {
+		$request = new \WP_REST_Request( 'POST', '/' . RestController::NAMESPACE . '/clone' );
+		$request->set_body_params(
+			[
+				'source_post_id' => static::factory()->post->create(),
+				'target_post_id' => $this->test_post_id,
+				'field_keys'     => $field_keys,
+			]
+		);
+
+		return $request;
+	}
+}
@@ -0,0 +1,208 @@
+<?php
+/**
+ * Tests for Services\AcfObjects class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Services
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Services;
+
+use SilverAssist\ACFCloneFields\Services\AcfObjects;
+use SilverAssist\ACFCloneFields\Services\FieldCloner;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class AcfObjectsTest
+ *
+ * Tests the AcfObjects service functionality including:
+ * - Singleton pattern
+ * - Normalizing post, term, user and options object IDs
+ * - Object kinds and titles
+ * - Edit permissions on terms and users
+ * - Validation of clones between objects
+ * - Post sources of the post types enabled in the settings
+ */
+class AcfObjectsTest extends TestCase {
+	/**
+	 * AcfObjects instance
+	 *
+	 * @var AcfObjects
+	 */
+	private AcfObjects $objects;
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->objects = AcfObjects::instance();
+	}
+
+	/**
+	 * Test singleton pattern implementation
+	 *
+	 * @return void
+	 */
+	public function test_singleton_pattern(): void {
+		$this->assertSame( AcfObjects::instance(), AcfObjects::instance(), 'AcfObjects should return the same instance' );
+		$this->assertSame( 30, $this->objects->get_priority(), 'Services should have priority 30' );
+	}
+
+	/**
+	 * Test object IDs are normalized to the IDs ACF stores fields under
+	 *
+	 * @return void
+	 */
+	public function test_normalize(): void {
+		$post_id = static::factory()->post->create();
+		$term_id = static::factory()->category->create();
+		$user_id = static::factory()->user->create();
+
+		$this->assertSame( $post_id, $this->objects->normalize( $post_id ) );
+		$this->assertSame( $post_id, $this->objects->normalize( (string) $post_id ), 'Numeric strings are posts' );
+		$this->assertSame( 'term_' . $term_id, $this->objects->normalize( 'term_' . $term_id ) );
+		$this->assertSame( 'user_' . $user_id, $this->objects->normalize( 'user_' . $user_id ) );
+
+		$this->assertNull( $this->objects->normalize( 999999 ) );
+		$this->assertNull( $this->objects->normalize( 'term_999999' ) );
+		$this->assertNull( $this->objects->normalize( 'user_999999' ) );
+		$this->assertNull( $this->objects->normalize( '' ) );
+		$this->assertNull( $this->objects->normalize( [ $post_id ] ) );
+
+		if ( empty( $this->objects->get_options_pages() ) ) {
+			$this->assertNull( $this->objects->normalize( 'option' ), 'Options need a registered options page' );
+		}
+	}
+
+	/**
+	 * Test the kind and title of terms and users
+	 *
+	 * @return void
+	 */
+	public function test_kind_and_title(): void {
+		$term_id = static::factory()->category->create( [ 'name' => 'Clone Source Category' ] );
+		$user_id = static::factory()->user->create( [ 'display_name' => 'Clone Source User' ] );
+
+		$this->assertSame( 'post', $this->objects->get_kind( 123 ) );
+		$this->assertSame( 'term', $this->objects->get_kind( 'term_' . $term_id ) );
+		$this->assertSame( 'user', $this->objects->get_kind( 'user_' . $user_id ) );
+		$this->assertSame( 'options', $this->objects->get_kind( 'options' ) );
+
+		$this->assertSame( 'Clone Source Category', $this->objects->get_title( 'term_' . $term_id ) );
+		$this->assertSame( 'Clone Source User', $this->objects->get_title( 'user_' . $user_id ) );
+		$this->assertSame( 'User', $this->objects->get_type_label( 'user_' . $user_id ) );
+	}
+
+	/**
+	 * Test edit permissions follow the term and user capabilities
+	 *
+	 * @return void
+	 */
+	public function test_can_edit(): void {
+		$term_id       = static::factory()->category->create();
+		$editor_id     = static::factory()->user->create( [ 'role' => 'editor' ] );
+		$subscriber_id = static::factory()->user->create( [ 'role' => 'subscriber' ] );
+
+		$this->assertTrue( $this->objects->can_edit( 'term_' . $term_id, $editor_id ) );
+		$this->assertFalse( $this->objects->can_edit( 'term_' . $term_id, $subscriber_id ) );
+		$this->assertTrue( $this->objects->can_edit( 'user_' . $subscriber_id, $subscriber_id ), 'Users can edit their own profile' );
+		$this->assertFalse( $this->objects->can_edit( 'user_' . $editor_id, $subscriber_id ) );
+		$this->assertFalse( $this->objects->can_edit( 'term_' . $term_id, 0 ), 'Logged out users cannot edit' );
+	}
+
+	/**
+	 * Test clones between objects are validated before anything is written
+	 *
+	 * @return void
+	 */
+	public function test_clone_fields_validates_objects(): void {
+		$term_id = static::factory()->category->create();
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'subscriber' ] ) );
+
+		$result = FieldCloner::instance()->clone_fields( 'term_999999', 'term_' . $term_id, [ 'field_test' ] );
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'Source not found', $result['message'] );
+
+		$result = FieldCloner::instance()->clone_fields( 'term_' . $term_id, 'term_999999', [ 'field_test' ] );
+		$this->assertSame( 'Target not found', $result['message'] );
+
+		$other_term_id = static::factory()->category->create();
+		$result        = FieldCloner::instance()->clone_fields( 'term_' . $term_id, 'term_' . $other_term_id, [ 'field_test' ] );
+		$this->assertSame( 'You do not have permission to edit the target', $result['message'] );
+	}
+
+	/**
+	 * Test terms list posts of the post types enabled in the settings only
+	 *
+	 * @return void
+	 */
+	public function test_get_sources_lists_posts_of_enabled_post_types(): void {
+		if ( ! function_exists( 'acf_add_local_field_group' ) ) {
+			$this->markTestSkipped( 'ACF not available' );
+		}
+
+		register_post_type(
+			'clone_landing',
+			[
+				'public'  => true,
+				'show_ui' => true,
+			]
+		);
+		update_option( 'silver_assist_acf_clone_fields_enabled_post_types', [ 'clone_landing' ] );
+
+		acf_add_local_field_group(
+			[
+				'key'      => 'group_sources_shared',
+				'title'    => 'Shared',
+				'fields'   => [
+					[
+						'key'   => 'field_sources_tagline',
+						'label' => 'Tagline',
+						'name'  => 'sources_tagline',
+						'type'  => 'text',
+					],
+				],
+				'location' => [
+					[
+						[
+							'param'    => 'post_type',
+							'operator' => '==',
+							'value'    => 'clone_landing',
+						],
+					],
+					[
+						[
+							'param'    => 'post_type',
+							'operator' => '==',
+							'value'    => 'post',
+						],
+					],
+					[
+						[
+							'param'    => 'taxonomy',
+							'operator' => '==',
+							'value'    => 'category',
+						],
+					],
+				],
+			]
+		);
+
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'administrator' ] ) );
+		$landing_id = static::factory()->post->create( [ 'post_type' => 'clone_landing' ] );
+		$post_id    = static::factory()->post->create();
+		$term_id    = static::factory()->category->create();
+
+		$source_ids = array_column( $this->objects->get_sources( 'term_' . $term_id ), 'id' );
+
+		$this->assertContains( $landing_id, $source_ids, 'Enabled post types other than post and page should be listed' );
+		$this->assertNotContains( $post_id, $source_ids, 'Disabled post types should not be listed' );
+
+		unregister_post_type( 'clone_landing' );
+	}
+}
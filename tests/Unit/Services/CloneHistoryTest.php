@@ -0,0 +1,215 @@
+<?php
+/**
+ * Tests for Services\CloneHistory class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Services
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Services;
+
+use SilverAssist\ACFCloneFields\Core\Activator;
+use SilverAssist\ACFCloneFields\Services\CloneHistory;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class CloneHistoryTest
+ *
+ * Tests the CloneHistory service functionality including:
+ * - Recording clone results
+ * - Outcomes
+ * - Filter sanitization
+ * - Filtered, paginated queries
+ * - Retention pruning
+ */
+class CloneHistoryTest extends TestCase {
+	/**
+	 * CloneHistory instance
+	 *
+	 * @var CloneHistory
+	 */
+	private CloneHistory $history;
+
+	/**
+	 * Admin user ID
+	 *
+	 * @var int
+	 */
+	private int $admin_user_id;
+
+	/**
+	 * Create shared fixtures before class
+	 *
+	 * @param \WP_UnitTest_Factory $factory Factory instance.
+	 * @return void
+	 */
+	public static function wpSetUpBeforeClass( $factory ): void {
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->admin_user_id = static::factory()->user->create(
+			[
+				'role' => 'administrator',
+			]
+		);
+		wp_set_current_user( $this->admin_user_id );
+
+		$this->history = CloneHistory::instance();
+	}
+
+	/**
+	 * Test a clone is recorded with its fields, options and backup
+	 *
+	 * @return void
+	 */
+	public function test_record_stores_clone(): void {
+		$source_post_id = static::factory()->post->create();
+		$target_post_id = static::factory()->post->create();
+
+		$entry_id = $this->history->record(
+			$source_post_id,
+			$target_post_id,
+			$this->clone_result( true, [ 'title' ] ),
+			[ 'create_backup' => true ]
+		);
+
+		$this->assertIsInt( $entry_id );
+
+		$history = $this->history->get_entries( $this->history->prepare_filters( [ 'post' => $target_post_id ] ) );
+
+		$this->assertSame( 1, $history['total'] );
+
+		$entry = $history['entries'][0];
+		$this->assertSame( $source_post_id, $entry['source_post_id'] );
+		$this->assertSame( $this->admin_user_id, $entry['user_id'] );
+		$this->assertSame( 'success', $entry['outcome'] );
+		$this->assertSame( 'backup_1_1700000000_abc', $entry['backup_id'] );
+		$this->assertFalse( $entry['backup_available'], 'The backup was never stored' );
+		$this->assertSame( 'cloned', $entry['fields'][0]['status'] );
+		$this->assertSame( [ 'create_backup' => true ], $entry['options'] );
+	}
+
+	/**
+	 * Test outcomes of clone results
+	 *
+	 * @return void
+	 */
+	public function test_get_outcome(): void {
+		$this->assertSame( 'success', $this->history->get_outcome( $this->clone_result( true, [ 'title' ] ) ) );
+		$this->assertSame( 'partial', $this->history->get_outcome( $this->clone_result( false, [ 'title' ] ) ) );
+		$this->assertSame( 'failed', $this->history->get_outcome( $this->clone_result( false, [] ) ) );
+	}
+
+	/**
+	 * Test invalid filters are dropped
+	 *
+	 * @return void
+	 */
+	public function test_prepare_filters_drops_invalid_values(): void {
+		$filters = $this->history->prepare_filters(
+			[
+				'user'      => '12',
+				'date_from' => '2026-01-05',
+				'date_to'   => 'yesterday',
+				'outcome'   => 'deleted',
+				'unknown'   => 'value',
+			]
+		);
+
+		$this->assertSame(
+			[
+				'user'      => 12,
+				'post'      => 0,
+				'date_from' => '2026-01-05',
+				'date_to'   => '',
+				'outcome'   => '',
+			],
+			$filters
+		);
+	}
+
+	/**
+	 * Test entries are filtered by outcome and user, and paginated
+	 *
+	 * @return void
+	 */
+	public function test_get_entries_filters_and_paginates(): void {
+		$source_post_id = static::factory()->post->create();
+
+		for ( $i = 0; $i < 3; $i++ ) {
+			$this->history->record( $source_post_id, static::factory()->post->create(), $this->clone_result( true, [ 'title' ] ) );
+		}
+		$this->history->record( $source_post_id, static::factory()->post->create(), $this->clone_result( false, [] ) );
+
+		$failed = $this->history->get_entries( $this->history->prepare_filters( [ 'post' => $source_post_id, 'outcome' => 'failed' ] ) );
+		$this->assertSame( 1, $failed['total'] );
+
+		$page = $this->history->get_entries( $this->history->prepare_filters( [ 'post' => $source_post_id ] ), 2, 2 );
+		$this->assertSame( 4, $page['total'] );
+		$this->assertCount( 2, $page['entries'] );
+
+		$other_user = $this->history->get_entries( $this->history->prepare_filters( [ 'post' => $source_post_id, 'user' => $this->admin_user_id + 1000 ] ) );
+		$this->assertSame( 0, $other_user['total'] );
+	}
+
+	/**
+	 * Test pruning compares entry dates in site time
+	 *
+	 * @return void
+	 */
+	public function test_prune_uses_site_time(): void {
+		global $wpdb;
+
+		update_option( 'timezone_string', 'Pacific/Kiritimati' ); // UTC+14.
+		add_filter( 'silver_assist_acf_clone_fields_history_retention_days', static fn(): int => 1 );
+
+		$source_post_id = static::factory()->post->create();
+		$kept_id        = $this->history->record( $source_post_id, static::factory()->post->create(), $this->clone_result( true, [ 'title' ] ) );
+		$expired_id     = $this->history->record( $source_post_id, static::factory()->post->create(), $this->clone_result( true, [ 'title' ] ) );
+		$now            = (int) strtotime( current_time( 'mysql' ) );
+		$table_name     = $this->history->get_table_name();
+
+		$wpdb->update( $table_name, [ 'created_at' => gmdate( 'Y-m-d H:i:s', $now - 23 * HOUR_IN_SECONDS ) ], [ 'id' => $kept_id ] );
+		$wpdb->update( $table_name, [ 'created_at' => gmdate( 'Y-m-d H:i:s', $now - 25 * HOUR_IN_SECONDS ) ], [ 'id' => $expired_id ] );
+
+		$this->assertSame( 1, $this->history->prune() );
+
+		$remaining = $this->history->get_entries( $this->history->prepare_filters( [ 'post' => $source_post_id ] ) );
+		$this->assertSame( [ $kept_id ], array_column( $remaining['entries'], 'id' ) );
+	}
+
+	/**
+	 * Build a clone result
+	 *
+	 * @param bool          $success Whether the clone succeeded.
+	 * @param array<string> $cloned_fields Cloned field keys.
+	 * @return array<string, mixed> Clone result
+	 */
+	private function clone_result( bool $success, array $cloned_fields ): array {
+		return [
+			'success'       => $success,
+			'message'       => $success ? 'Cloned' : 'Failed',
+			'cloned_fields' => $cloned_fields,
+			'backup_id'     => 'backup_1_1700000000_abc',
+			'report'        => array_map(
+				static fn( string $field ): array => [
+					'field'    => $field,
+					'label'    => ucfirst( $field ),
+					'status'   => 'cloned',
+					'message'  => 'Field cloned successfully',
+					'warnings' => [],
+				],
+				$cloned_fields
+			),
+		];
+	}
+}
@@ -0,0 +1,410 @@
+<?php
+/**
+ * Tests for Services\CloneOperations class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Services
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Services;
+
+use SilverAssist\ACFCloneFields\Core\Activator;
+use SilverAssist\ACFCloneFields\Services\CloneOperations;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class CloneOperationsTest
+ *
+ * Tests the CloneOperations service functionality including:
+ * - Singleton pattern
+ * - Source post query filters, totals and author choices
+ * - Preset sanitization
+ * - Backup previews
+ * - Clone permissions between post types
+ * - Undo of the last clone
+ * - Cloning into a single target
+ */
+class CloneOperationsTest extends TestCase {
+	/**
+	 * CloneOperations instance
+	 *
+	 * @var CloneOperations
+	 */
+	private CloneOperations $operations;
+
+	/**
+	 * Admin user ID
+	 *
+	 * @var int
+	 */
+	private int $admin_user_id;
+
+	/**
+	 * Test post ID
+	 *
+	 * @var int
+	 */
+	private int $test_post_id;
+
+	/**
+	 * Create shared fixtures before class
+	 *
+	 * @param \WP_UnitTest_Factory $factory Factory instance.
+	 * @return void
+	 */
+	public static function wpSetUpBeforeClass( $factory ): void {
+		// Backup previews read the backup table.
+		Activator::create_tables();
+	}
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->admin_user_id = static::factory()->user->create(
+			[
+				'role' => 'administrator',
+			]
+		);
+		wp_set_current_user( $this->admin_user_id );
+
+		$this->test_post_id = static::factory()->post->create();
+		$this->operations   = CloneOperations::instance();
+	}
+
+	/**
+	 * Clean up after tests
+	 *
+	 * @return void
+	 */
+	public function tearDown(): void {
+		delete_option( 'silver_assist_acf_clone_fields_enabled_post_types' );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Test singleton pattern implementation
+	 *
+	 * @return void
+	 */
+	public function test_singleton_pattern(): void {
+		$this->assertSame( CloneOperations::instance(), CloneOperations::instance(), 'CloneOperations should return the same instance' );
+	}
+
+	/**
+	 * Test preset field mapping keeps only entries of the preset's fields
+	 *
+	 * @return void
+	 */
+	public function test_prepare_preset_field_mapping_filters_fields(): void {
+		$method = new \ReflectionMethod( CloneOperations::class, 'prepare_preset_field_mapping' );
+		$method->setAccessible( true );
+		$result = $method->invoke(
+			$this->operations,
+			[
+				'title'   => 'field_target_title',
+				'summary' => [ 'not-a-key' ],
+				'other'   => 'field_target_other',
+			],
+			[ 'title', 'summary' ]
+		);
+
+		$this->assertSame( [ 'title' => 'field_target_title' ], $result );
+	}
+
+	/**
+	 * Test source posts query args honor search and filters
+	 *
+	 * @return void
+	 */
+	public function test_build_source_posts_query_args_applies_filters(): void {
+		$filters = [
+			'search'          => 'landing',
+			'status'          => 'draft',
+			'author'          => '7',
+			'modified_within' => '30',
+		];
+
+		$method = new \ReflectionMethod( CloneOperations::class, 'build_source_posts_query_args' );
+		$method->setAccessible( true );
+		$args = $method->invoke( $this->operations, $this->test_post_id, 20, 40, $filters );
+
+		$this->assertSame( 'landing', $args['s'] );
+		$this->assertSame( 'draft', $args['post_status'] );
+		$this->assertSame( 7, $args['author'] );
+		$this->assertSame( 20, $args['posts_per_page'] );
+		$this->assertSame( 40, $args['offset'] );
+		$this->assertSame( [ $this->test_post_id ], $args['post__not_in'] );
+		$this->assertSame( 'post_modified', $args['date_query'][0]['column'] );
+	}
+
+	/**
+	 * Test unknown status falls back to the default status list
+	 *
+	 * @return void
+	 */
+	public function test_build_source_posts_query_args_rejects_unknown_status(): void {
+		$method = new \ReflectionMethod( CloneOperations::class, 'build_source_posts_query_args' );
+		$method->setAccessible( true );
+		$args = $method->invoke( $this->operations, $this->test_post_id, 50, 0, [ 'status' => 'trash' ] );
+
+		$this->assertSame( [ 'publish', 'draft', 'pending' ], $args['post_status'] );
+		$this->assertArrayNotHasKey( 's', $args );
+		$this->assertArrayNotHasKey( 'date_query', $args );
+	}
+
+	/**
+	 * Test authors of draft and pending posts are offered as filter choices
+	 *
+	 * @return void
+	 */
+	public function test_source_post_authors_include_unpublished_authors(): void {
+		$drafter_id   = static::factory()->user->create( [ 'role' => 'author' ] );
+		$submitter_id = static::factory()->user->create( [ 'role' => 'contributor' ] );
+		static::factory()->post->create(
+			[
+				'post_author' => $drafter_id,
+				'post_status' => 'draft',
+			]
+		);
+		static::factory()->post->create(
+			[
+				'post_author' => $submitter_id,
+				'post_status' => 'pending',
+			]
+		);
+
+		$result     = $this->operations->get_source_posts( 'post', $this->test_post_id, [], 0 );
+		$author_ids = array_column( $result['authors'], 'id' );
+
+		$this->assertContains( $drafter_id, $author_ids );
+		$this->assertContains( $submitter_id, $author_ids );
+	}
+
+	/**
+	 * Test the picker's total only counts posts the user can edit
+	 *
+	 * @return void
+	 */
+	public function test_source_posts_total_counts_editable_posts(): void {
+		$contributor_id = static::factory()->user->create( [ 'role' => 'contributor' ] );
+		$own_draft_id   = static::factory()->post->create(
+			[
+				'post_author' => $contributor_id,
+				'post_status' => 'draft',
+			]
+		);
+		static::factory()->post->create(
+			[
+				'post_author' => $contributor_id,
+				'post_status' => 'publish',
+			]
+		);
+		static::factory()->post->create( [ 'post_status' => 'draft' ] );
+
+		wp_set_current_user( $contributor_id );
+		$result = $this->operations->get_source_posts( 'post', 0, [], 0 );
+
+		$this->assertSame( 1, $result['total'], 'Published and others\' posts should not be counted' );
+		$this->assertSame( [ $own_draft_id ], array_column( $result['posts'], 'id' ) );
+		$this->assertFalse( $result['has_more'] );
+		$this->assertSame( [ $contributor_id ], array_column( $result['authors'], 'id' ) );
+	}
+
+	/**
+	 * Test get_backup_preview compares backed up values with current values
+	 *
+	 * @return void
+	 */
+	public function test_get_backup_preview(): void {
+		global $wpdb;
+
+		$backup_id = 'backup_' . $this->test_post_id . '_' . time() . '_preview';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->insert(
+			$wpdb->prefix . 'acf_field_backups',
+			[
+				'backup_id'   => $backup_id,
+				'post_id'     => $this->test_post_id,
+				'user_id'     => $this->admin_user_id,
+				'backup_data' => wp_json_encode(
+					[
+						'post_id'    => $this->test_post_id,
+						'timestamp'  => current_time( 'mysql' ),
+						'user_id'    => $this->admin_user_id,
+						'field_data' => [
+							'field_removed' => [
+								'value' => 'Old value',
+								'label' => 'Removed Field',
+								'type'  => 'text',
+							],
+						],
+					]
+				),
+				'created_at'  => current_time( 'mysql' ),
+			]
+		);
+
+		$preview = $this->operations->get_backup_preview( $backup_id );
+
+		$this->assertIsArray( $preview );
+		$this->assertSame( $this->test_post_id, $preview['post_id'] );
+		$this->assertCount( 1, $preview['fields'] );
+		$this->assertSame( 'field_removed', $preview['fields'][0]['key'] );
+		$this->assertSame( 'Old value', $preview['fields'][0]['source'] );
+		$this->assertTrue( $preview['fields'][0]['missing'], 'Fields without a definition should be flagged' );
+
+		$this->assertNull( $this->operations->get_backup_preview( 'backup_1_1_unknown' ) );
+	}
+
+	/**
+	 * Test preset parts and strategies are kept only for the preset's fields
+	 *
+	 * @return void
+	 */
+	public function test_prepare_preset_filters_settings_by_fields(): void {
+		$preset = $this->operations->prepare_preset(
+			[
+				'name'             => 'FAQ only',
+				'fields'           => [
+					[
+						'name'  => 'faq',
+						'group' => 'group_faq',
+					],
+				],
+				'field_parts'      => [
+					'faq'   => [ 'rows' => [ '1', '2' ] ],
+					'other' => [ 'rows' => [ 0 ] ],
+				],
+				'merge_strategies' => [
+					'faq' => [
+						'strategy'  => 'append',
+						'merge_key' => '',
+					],
+				],
+			]
+		);
+
+		$this->assertSame( [ 'faq' => [ 'rows' => [ 1, 2 ] ] ], $preset['field_parts'] );
+		$this->assertSame( 'append', $preset['merge_strategies']['faq']['strategy'] );
+		$this->assertSame( [], $preset['field_mapping'] );
+		$this->assertSame( 'FAQ only', $preset['name'], 'Other preset data should be passed through' );
+	}
+
+	/**
+	 * Test cloning across post types needs an enabled source type
+	 *
+	 * @return void
+	 */
+	public function test_can_clone_between_post_types(): void {
+		$post = get_post( $this->test_post_id );
+		$page = get_post( static::factory()->post->create( [ 'post_type' => 'page' ] ) );
+
+		update_option( 'silver_assist_acf_clone_fields_enabled_post_types', [ 'post' ] );
+
+		$this->assertTrue( $this->operations->can_clone_between( $post, $page ), 'Enabled source type' );
+		$this->assertFalse( $this->operations->can_clone_between( $page, $post ), 'Source type not enabled' );
+		$this->assertTrue( $this->operations->can_clone_between( $post, get_post( static::factory()->post->create() ) ), 'Same type is always allowed' );
+	}
+
+	/**
+	 * Test a revision is only a source for its own post, as its parent's type
+	 *
+	 * @return void
+	 */
+	public function test_can_clone_from_own_revision(): void {
+		$post = get_post( $this->test_post_id );
+
+		wp_update_post(
+			[
+				'ID'         => $post->ID,
+				'post_title' => 'Revised title',
+			]
+		);
+
+		$revisions = wp_get_post_revisions( $post->ID );
+		$revision  = reset( $revisions );
+		$other     = get_post( static::factory()->post->create() );
+
+		$this->assertInstanceOf( \WP_Post::class, $revision );
+		$this->assertTrue( $this->operations->can_clone_between( $revision, $post ), 'Own revision' );
+		$this->assertFalse( $this->operations->can_clone_between( $revision, $other ), 'Revision of another post' );
+		$this->assertTrue( $this->operations->is_same_post_type( $revision, $post ) );
+	}
+
+	/**
+	 * Test the last clone's undo is offered for its post only, until forgotten
+	 *
+	 * @return void
+	 */
+	public function test_undo_of_last_clone(): void {
+		global $wpdb;
+
+		$backup_id = 'backup_' . $this->test_post_id . '_' . time() . '_undo';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->insert(
+			$wpdb->prefix . 'acf_field_backups',
+			[
+				'backup_id'   => $backup_id,
+				'post_id'     => $this->test_post_id,
+				'user_id'     => $this->admin_user_id,
+				'backup_data' => wp_json_encode( [ 'field_data' => [] ] ),
+				'created_at'  => current_time( 'mysql' ),
+			]
+		);
+
+		$this->operations->remember_undo( $this->admin_user_id, $this->test_post_id, $backup_id, 'Source' );
+
+		$undo = $this->operations->get_undo( $this->admin_user_id, $this->test_post_id );
+		$this->assertSame( $backup_id, $undo['backup_id'] );
+		$this->assertSame( 'Source', $undo['source_title'] );
+		$this->assertNull( $this->operations->get_undo( $this->admin_user_id, $this->test_post_id + 1 ), 'Other posts get no undo' );
+
+		$this->operations->forget_undo( $this->admin_user_id, 'backup_1_1_other' );
+		$this->assertNotNull( $this->operations->get_undo( $this->admin_user_id, $this->test_post_id ), 'Another backup should not forget the undo' );
+
+		$this->operations->forget_undo( $this->admin_user_id, $backup_id );
+		$this->assertNull( $this->operations->get_undo( $this->admin_user_id, $this->test_post_id ) );
+
+		// An undo whose backup is gone is dropped.
+		$this->operations->remember_undo( $this->admin_user_id, $this->test_post_id, 'backup_1_1_deleted', 'Source' );
+		$this->assertNull( $this->operations->get_undo( $this->admin_user_id, $this->test_post_id ) );
+		$this->assertFalse( get_transient( CloneOperations::UNDO_TRANSIENT_PREFIX . $this->admin_user_id ) );
+	}
+
+	/**
+	 * Test cloning into a target of another post type is rejected
+	 *
+	 * @return void
+	 */
+	public function test_clone_into_target_rejects_other_post_type(): void {
+		$page_id = static::factory()->post->create( [ 'post_type' => 'page' ] );
+
+		$result = $this->operations->clone_into_target( \get_post( $this->test_post_id ), $page_id, [ 'field' ], [ 'dry_run' => true ] );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( $page_id, $result['target_post_id'] );
+		$this->assertSame( 'Posts must be the same type', $result['message'] );
+	}
+
+	/**
+	 * Test a missing target is reported without failing the batch
+	 *
+	 * @return void
+	 */
+	public function test_clone_into_target_reports_missing_post(): void {
+		$result = $this->operations->clone_into_target( \get_post( $this->test_post_id ), 999999, [ 'field' ], [ 'dry_run' => true ] );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'Target post not found', $result['message'] );
+		$this->assertSame( 'Post #999999', $result['title'] );
+	}
+}
@@ -216,6 +216,38 @@ class FieldClonerTest extends TestCase {
 		$this->assertNotEmpty( $result['message'], 'Error message should not be empty' );
 	}
 
+	/**
+	 * Test clone_fields rejects posts of different types unless cross-type is allowed
+	 *
+	 * @return void
+	 */
+	public function test_clone_fields_validates_post_types_match(): void {
+		$page_id = static::factory()->post->create( [ 'post_type' => 'page' ] );
+
+		$result = $this->cloner->clone_fields( $page_id, $this->posts['target'], [ 'field_test' ] );
+
+		$this->assertFalse( $result['success'], 'Should fail across post types by default' );
+		$this->assertSame( 'Source and target posts must be the same post type', $result['message'] );
+
+		$result = $this->cloner->clone_fields( $page_id, $this->posts['target'], [ 'field_test' ], [ 'allow_cross_type' => true ] );
+
+		$this->assertNotSame( 'Source and target posts must be the same post type', $result['message'], 'Cross-type should pass validation when allowed' );
+	}
+
+	/**
+	 * Test field type compatibility for mapped clones
+	 *
+	 * @return void
+	 */
+	public function test_are_field_types_compatible(): void {
+		$this->assertTrue( $this->cloner->are_field_types_compatible( 'repeater', 'repeater' ) );
+		$this->assertTrue( $this->cloner->are_field_types_compatible( 'text', 'wysiwyg' ) );
+		$this->assertTrue( $this->cloner->are_field_types_compatible( 'image', 'file' ) );
+		$this->assertFalse( $this->cloner->are_field_types_compatible( 'text', 'number' ) );
+		$this->assertFalse( $this->cloner->are_field_types_compatible( 'repeater', 'group' ) );
+		$this->assertFalse( $this->cloner->are_field_types_compatible( '', '' ) );
+	}
+
 	/**
 	 * Test clone_fields result structure
 	 *
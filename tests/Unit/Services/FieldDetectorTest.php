@@ -539,5 +539,159 @@ class FieldDetectorTest extends TestCase {
 
 		$this->assertIsArray( $sub_fields, 'Should return array even for invalid post ID' );
 	}
-}
 
+	/**
+	 * Test get_display_value resolves choices and booleans to labels
+	 *
+	 * @return void
+	 */
+	public function test_get_display_value_formats_scalar_types(): void {
+		$select = [
+			'type'    => 'select',
+			'choices' => [
+				'red'  => 'Red',
+				'blue' => 'Blue',
+			],
+		];
+
+		$this->assertSame( 'Red, Blue', $this->detector->get_display_value( [ 'red', 'blue' ], $select ) );
+		$this->assertSame( 'No', $this->detector->get_display_value( 0, [ 'type' => 'true_false' ] ) );
+		$this->assertNull( $this->detector->get_display_value( '', [ 'type' => 'text' ] ) );
+	}
+
+	/**
+	 * Test get_display_value maps repeater rows to labelled sub-field entries
+	 *
+	 * @return void
+	 */
+	public function test_get_display_value_formats_repeater_rows(): void {
+		$repeater = [
+			'type'       => 'repeater',
+			'sub_fields' => [
+				[
+					'key'   => 'field_sub1',
+					'name'  => 'title',
+					'label' => 'Title',
+					'type'  => 'text',
+				],
+			],
+		];
+
+		$rows = $this->detector->get_display_value(
+			[
+				[ 'field_sub1' => 'First' ],
+				[ 'title' => 'Second' ],
+			],
+			$repeater
+		);
+
+		$this->assertCount( 2, $rows );
+		$this->assertSame( 'Title', $rows[0][0]['label'] );
+		$this->assertSame( 'First', $rows[0][0]['value'] );
+		$this->assertSame( 'Second', $rows[1][0]['value'], 'Rows keyed by sub-field name should also resolve' );
+	}
+
+	/**
+	 * Test get_field_comparison skips unknown fields
+	 *
+	 * @return void
+	 */
+	public function test_get_field_comparison_skips_unknown_fields(): void {
+		$target_id = static::factory()->post->create();
+
+		$comparison = $this->detector->get_field_comparison( $this->test_post_id, $target_id, [ 'field_does_not_exist' ] );
+
+		$this->assertSame( [], $comparison );
+	}
+
+	/**
+	 * Test compare_values builds a comparison entry from raw values
+	 *
+	 * @return void
+	 */
+	public function test_compare_values_builds_entry(): void {
+		$field = [
+			'key'   => 'field_title',
+			'name'  => 'title',
+			'label' => 'Title',
+			'type'  => 'text',
+		];
+
+		$entry = $this->detector->compare_values( $field, 'Backed up', 'Current' );
+
+		$this->assertSame( 'text', $entry['kind'] );
+		$this->assertSame( 'Backed up', $entry['source'] );
+		$this->assertSame( 'Current', $entry['target'] );
+		$this->assertFalse( $entry['identical'] );
+		$this->assertTrue( $this->detector->compare_values( $field, 'Same', 'Same' )['identical'] );
+	}
+
+	/**
+	 * Test get_editor_values skips unknown fields
+	 *
+	 * @return void
+	 */
+	public function test_get_editor_values_skips_unknown_fields(): void {
+		$values = $this->detector->get_editor_values( $this->test_post_id, [ 'field_does_not_exist' ] );
+
+		$this->assertSame(
+			[
+				'fields'      => [],
+				'attachments' => [],
+			],
+			$values
+		);
+	}
+
+	/**
+	 * Test editor values key container rows by sub-field key
+	 *
+	 * @return void
+	 */
+	public function test_get_editor_value_keys_rows_by_sub_field_key(): void {
+		$flexible = [
+			'type'    => 'flexible_content',
+			'layouts' => [
+				[
+					'name'       => 'quote',
+					'sub_fields' => [
+						[
+							'key'  => 'field_quote_text',
+							'name' => 'text',
+							'type' => 'text',
+						],
+						[
+							'key'  => 'field_quote_photo',
+							'name' => 'photo',
+							'type' => 'image',
+						],
+					],
+				],
+			],
+		];
+
+		$attachments = [];
+		$method      = new \ReflectionMethod( $this->detector, 'get_editor_value' );
+		$method->setAccessible( true );
+
+		$rows = $method->invokeArgs(
+			$this->detector,
+			[
+				[
+					[
+						'acf_fc_layout' => 'quote',
+						'text'          => 'Hello',
+						'photo'         => 999999,
+					],
+				],
+				$flexible,
+				&$attachments,
+			]
+		);
+
+		$this->assertSame( 'quote', $rows[0]['layout'] );
+		$this->assertSame( 'Hello', $rows[0]['fields']['field_quote_text'], 'Rows keyed by sub-field name should be re-keyed by sub-field key' );
+		$this->assertNull( $rows[0]['fields']['field_quote_photo'], 'Missing attachments should be emptied' );
+		$this->assertSame( [], $attachments );
+	}
+}
@@ -0,0 +1,196 @@
+<?php
+/**
+ * Tests for Services\FieldPackage class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Services
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Services;
+
+use SilverAssist\ACFCloneFields\Services\FieldPackage;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class FieldPackageTest
+ *
+ * Tests the FieldPackage service functionality including:
+ * - Package validation
+ * - Portable references of posts, terms and users
+ * - References inside repeaters
+ * - Unresolved references
+ */
+class FieldPackageTest extends TestCase {
+	/**
+	 * FieldPackage instance
+	 *
+	 * @var FieldPackage
+	 */
+	private FieldPackage $package;
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->package = FieldPackage::instance();
+	}
+
+	/**
+	 * Test only packages of a known format and version are accepted
+	 *
+	 * @return void
+	 */
+	public function test_validate_package(): void {
+		$package = [
+			'format'  => FieldPackage::FORMAT,
+			'version' => FieldPackage::VERSION,
+			'fields'  => [],
+		];
+
+		$this->assertTrue( $this->package->validate( $package ) );
+		$this->assertSame( 'acf_clone_invalid_package', $this->package->validate( [ 'fields' => [] ] )->get_error_code() );
+		$this->assertSame( 'acf_clone_invalid_package', $this->package->validate( 'not a package' )->get_error_code() );
+
+		$package['version'] = FieldPackage::VERSION + 1;
+		$this->assertSame( 'acf_clone_package_version', $this->package->validate( $package )->get_error_code() );
+	}
+
+	/**
+	 * Test post, term and user IDs survive a round trip through references
+	 *
+	 * @return void
+	 */
+	public function test_references_round_trip(): void {
+		$parent_id   = static::factory()->post->create(
+			[
+				'post_type' => 'page',
+				'post_name' => 'about',
+			]
+		);
+		$page_id     = static::factory()->post->create(
+			[
+				'post_type'   => 'page',
+				'post_name'   => 'team',
+				'post_parent' => $parent_id,
+			]
+		);
+		$category_id = static::factory()->category->create( [ 'slug' => 'news' ] );
+		$user_id     = static::factory()->user->create( [ 'user_login' => 'package_editor' ] );
+
+		$fields = [
+			[
+				[ 'type' => 'relationship' ],
+				[ (string) $page_id, (string) $parent_id ],
+			],
+			[
+				[
+					'type'     => 'taxonomy',
+					'taxonomy' => 'category',
+				],
+				[ $category_id ],
+			],
+			[
+				[ 'type' => 'user' ],
+				$user_id,
+			],
+		];
+
+		foreach ( $fields as list( $field, $value ) ) {
+			$portable = $this->invoke( 'to_portable', [ $value, $field ] );
+			$warnings = [];
+
+			$this->assertSame( array_map( 'intval', (array) $value ), (array) $this->invoke( 'from_portable', [ $portable, $field, &$warnings ] ) );
+			$this->assertSame( [], $warnings );
+		}
+
+		$this->assertSame( 'about/team', $this->invoke( 'to_portable', [ $page_id, [ 'type' => 'post_object' ] ] )['path'] );
+	}
+
+	/**
+	 * Test references inside repeater rows are converted
+	 *
+	 * @return void
+	 */
+	public function test_references_in_repeater_rows(): void {
+		$post_id = static::factory()->post->create( [ 'post_name' => 'linked-post' ] );
+		$field   = [
+			'type'       => 'repeater',
+			'sub_fields' => [
+				[
+					'key'  => 'field_title',
+					'name' => 'title',
+					'type' => 'text',
+				],
+				[
+					'key'  => 'field_link',
+					'name' => 'link',
+					'type' => 'post_object',
+				],
+			],
+		];
+
+		$portable = $this->invoke(
+			'to_portable',
+			[
+				[
+					[
+						'field_title' => 'First',
+						'field_link'  => (string) $post_id,
+					],
+				],
+				$field,
+			]
+		);
+
+		$this->assertSame( 'First', $portable[0]['field_title'] );
+		$this->assertSame( 'post', $portable[0]['field_link']['ref'] );
+		$this->assertSame( 'linked-post', $portable[0]['field_link']['path'] );
+	}
+
+	/**
+	 * Test references with no match on this site are dropped with a warning
+	 *
+	 * @return void
+	 */
+	public function test_unresolved_references_are_reported(): void {
+		$warnings = [];
+		$value    = $this->invoke(
+			'from_portable',
+			[
+				[
+					[
+						'ref'      => 'term',
+						'id'       => 99,
+						'taxonomy' => 'category',
+						'slug'     => 'missing-term',
+					],
+				],
+				[
+					'type'     => 'taxonomy',
+					'taxonomy' => 'category',
+				],
+				&$warnings,
+			]
+		);
+
+		$this->assertSame( [], $value );
+		$this->assertCount( 1, $warnings );
+		$this->assertStringContainsString( 'missing-term', $warnings[0] );
+	}
+
+	/**
+	 * Invoke a private method of the package service
+	 *
+	 * @param string       $method Method name.
+	 * @param array<mixed> $args Arguments.
+	 * @return mixed Return value
+	 */
+	private function invoke( string $method, array $args ) {
+		return ( new \ReflectionMethod( FieldPackage::class, $method ) )->invokeArgs( $this->package, $args );
+	}
+}
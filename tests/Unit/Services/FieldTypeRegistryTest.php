@@ -0,0 +1,173 @@
+<?php
+/**
+ * Tests for Services\FieldTypeRegistry class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Services
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Services;
+
+use SilverAssist\ACFCloneFields\Services\FieldCloner;
+use SilverAssist\ACFCloneFields\Services\FieldTypeRegistry;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+use SilverAssist\ACFCloneFields\Utils\Helpers;
+
+/**
+ * Class FieldTypeRegistryTest
+ *
+ * Tests the FieldTypeRegistry service functionality including:
+ * - Singleton pattern
+ * - Built-in field types and ACF Pro types
+ * - Registering custom types and overriding handlers
+ * - Processing values through registered processors
+ * - Field type scripts
+ */
+class FieldTypeRegistryTest extends TestCase {
+	/**
+	 * Custom field type registered by the tests
+	 *
+	 * @var string
+	 */
+	private const TEST_TYPE = 'acf_clone_test_type';
+
+	/**
+	 * FieldTypeRegistry instance
+	 *
+	 * @var FieldTypeRegistry
+	 */
+	private FieldTypeRegistry $registry;
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->registry = FieldTypeRegistry::instance();
+	}
+
+	/**
+	 * Test singleton pattern implementation
+	 *
+	 * @return void
+	 */
+	public function test_singleton_pattern(): void {
+		$this->assertSame( FieldTypeRegistry::instance(), FieldTypeRegistry::instance(), 'FieldTypeRegistry should return the same instance' );
+		$this->assertSame( 30, $this->registry->get_priority(), 'Services should have priority 30' );
+	}
+
+	/**
+	 * Test the built-in types are registered with their handlers
+	 *
+	 * @return void
+	 */
+	public function test_built_in_types(): void {
+		$types = $this->registry->get_types();
+
+		$this->assertContains( 'text', $types );
+		$this->assertContains( 'gallery', $types );
+		$this->assertSame( Helpers::is_acf_pro_active(), in_array( 'repeater', $types, true ), 'Pro types need ACF Pro' );
+		$this->assertGreaterThan( 0, did_action( FieldTypeRegistry::REGISTER_ACTION ) );
+
+		$this->assertNotNull( $this->registry->get_handler( 'image', 'process' ) );
+		$this->assertNotNull( $this->registry->get_handler( 'email', 'validate' ) );
+		$this->assertSame( 'a, b, c...', $this->registry->get_handler( 'checkbox', 'preview' )( [ 'value' => [ 'a', 'b', 'c', 'd' ] ] ) );
+		$this->assertNull( $this->registry->get_handler( 'text', 'process' ), 'Simple types are cloned as-is' );
+		$this->assertNull( $this->registry->get_handler( 'invalid_field_type', 'process' ) );
+	}
+
+	/**
+	 * Test a custom type is supported and its handlers merge on re-registration
+	 *
+	 * @return void
+	 */
+	public function test_register_custom_type(): void {
+		$this->registry->register( self::TEST_TYPE, [ 'process' => 'strtoupper' ] );
+		$this->registry->register(
+			self::TEST_TYPE,
+			[
+				'preview' => static fn( array $field_data ): string => 'Custom',
+				'unknown' => 'strtolower',
+			]
+		);
+
+		$this->assertTrue( $this->registry->is_supported( self::TEST_TYPE ) );
+		$this->assertTrue( Helpers::is_field_type_supported( self::TEST_TYPE ) );
+		$this->assertSame( 'strtoupper', $this->registry->get_handler( self::TEST_TYPE, 'process' ), 'Handlers not given again are kept' );
+		$this->assertSame( 'Custom', $this->registry->get_handler( self::TEST_TYPE, 'preview' )( [] ) );
+
+		$this->registry->register( self::TEST_TYPE, [ 'process' => 'strrev' ] );
+		$this->assertSame( 'strrev', $this->registry->get_handler( self::TEST_TYPE, 'process' ) );
+	}
+
+	/**
+	 * Test values are cloned through the registered processor
+	 *
+	 * @return void
+	 */
+	public function test_process_field_value_uses_registered_processor(): void {
+		$this->registry->register(
+			self::TEST_TYPE,
+			[
+				'process' => static function ( $value, array $field_object, array $options, array &$warnings ) {
+					$warnings[] = 'Processed ' . $field_object['name'];
+					return $options['dry_run'] ? $value : strtoupper( $value );
+				},
+			]
+		);
+
+		$warnings = [];
+		$value    = FieldCloner::instance()->process_field_value(
+			'hello',
+			[
+				'type' => self::TEST_TYPE,
+				'name' => 'custom',
+			],
+			[ 'dry_run' => false ],
+			$warnings
+		);
+
+		$this->assertSame( 'HELLO', $value );
+		$this->assertSame( [ 'Processed custom' ], $warnings );
+	}
+
+	/**
+	 * Test galleries keep only the attachments that exist
+	 *
+	 * @return void
+	 */
+	public function test_gallery_drops_missing_attachments(): void {
+		$attachment_id = static::factory()->attachment->create();
+
+		$warnings = [];
+		$value    = FieldCloner::instance()->process_field_value(
+			[ $attachment_id, 999999 ],
+			[ 'type' => 'gallery' ],
+			[
+				'duplicate_attachments' => false,
+				'copy_attachments'      => true,
+				'dry_run'               => false,
+			],
+			$warnings
+		);
+
+		$this->assertSame( [ $attachment_id ], $value );
+		$this->assertSame( [ 'Attachment ID 999999 not found' ], $warnings );
+	}
+
+	/**
+	 * Test field type scripts are listed once each
+	 *
+	 * @return void
+	 */
+	public function test_get_scripts(): void {
+		$this->registry->register( self::TEST_TYPE, [ 'script' => 'acf-clone-test-type' ] );
+		$this->registry->register( self::TEST_TYPE . '_other', [ 'script' => 'acf-clone-test-type' ] );
+
+		$this->assertSame( 1, count( array_keys( $this->registry->get_scripts(), 'acf-clone-test-type', true ) ) );
+	}
+}
@@ -0,0 +1,321 @@
+<?php
+/**
+ * Tests for Services\PresetManager class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Services
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Services;
+
+use SilverAssist\ACFCloneFields\Services\PresetManager;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class PresetManagerTest
+ *
+ * Tests the PresetManager service functionality including:
+ * - Singleton pattern
+ * - Personal and shared preset storage
+ * - Shared preset permissions
+ * - Updating and deleting presets
+ */
+class PresetManagerTest extends TestCase {
+	/**
+	 * PresetManager instance
+	 *
+	 * @var PresetManager
+	 */
+	private PresetManager $manager;
+
+	/**
+	 * Editor user ID (may manage shared presets)
+	 *
+	 * @var int
+	 */
+	private int $editor_id;
+
+	/**
+	 * Author user ID (personal presets only)
+	 *
+	 * @var int
+	 */
+	private int $author_id;
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->editor_id = static::factory()->user->create( [ 'role' => 'editor' ] );
+		$this->author_id = static::factory()->user->create( [ 'role' => 'author' ] );
+		$this->manager   = PresetManager::instance();
+	}
+
+	/**
+	 * Clean up after tests
+	 *
+	 * @return void
+	 */
+	public function tearDown(): void {
+		delete_option( PresetManager::SHARED_OPTION );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Build preset data for tests
+	 *
+	 * @param array<string, mixed> $overrides Values to override.
+	 * @return array<string, mixed> Preset data
+	 */
+	private function preset_data( array $overrides = [] ): array {
+		return array_merge(
+			[
+				'name'      => 'Location fields',
+				'post_type' => 'post',
+				'fields'    => [
+					[
+						'name'  => 'address',
+						'group' => 'group_location',
+					],
+				],
+				'options'   => [
+					'create_backup' => 'false',
+					'empty_values'  => 'clear',
+				],
+			],
+			$overrides
+		);
+	}
+
+	/**
+	 * Test singleton pattern implementation
+	 *
+	 * @return void
+	 */
+	public function test_singleton_pattern(): void {
+		$this->assertSame( PresetManager::instance(), PresetManager::instance(), 'PresetManager should return the same instance' );
+		$this->assertSame( 30, $this->manager->get_priority(), 'Services should have priority 30' );
+	}
+
+	/**
+	 * Test a personal preset is saved and listed for its owner only
+	 *
+	 * @return void
+	 */
+	public function test_save_personal_preset(): void {
+		$preset = $this->manager->save_preset( $this->preset_data(), $this->author_id );
+
+		$this->assertIsArray( $preset );
+		$this->assertStringStartsWith( 'preset_', $preset['id'] );
+		$this->assertFalse( $preset['shared'] );
+		$this->assertFalse( $preset['options']['create_backup'] );
+		$this->assertSame( 'clear', $preset['options']['empty_values'] );
+
+		$presets = $this->manager->get_presets( 'post', $this->author_id );
+		$this->assertCount( 1, $presets );
+		$this->assertSame( $preset['id'], $presets[0]['id'] );
+		$this->assertTrue( $presets[0]['editable'] );
+
+		$this->assertSame( [], $this->manager->get_presets( 'post', $this->editor_id ), 'Personal presets should not be visible to other users' );
+		$this->assertSame( [], $this->manager->get_presets( 'page', $this->author_id ), 'Presets should be kept per post type' );
+	}
+
+	/**
+	 * Test parts, strategies and mapping are sanitized when a preset is saved
+	 *
+	 * @return void
+	 */
+	public function test_save_preset_sanitizes_parts_strategies_and_mapping(): void {
+		$preset = $this->manager->save_preset(
+			$this->preset_data(
+				[
+					'fields'           => [
+						[
+							'key'   => 'field_rows',
+							'name'  => 'rows',
+							'group' => 'group_location',
+						],
+					],
+					'field_parts'      => [
+						'field_rows'  => [
+							'rows'       => [ '2', '-1', 'x', '2' ],
+							'sub_fields' => [ '<b>field_sub</b>' ],
+							'junk'       => 'ignored',
+						],
+						'field_other' => [ 'rows' => [ 1 ] ],
+						'field_flat'  => 'not-an-array',
+					],
+					'merge_strategies' => [
+						'field_rows'  => [
+							'strategy'  => 'append',
+							'merge_key' => [ 'nested' ],
+						],
+						'field_other' => [ 'strategy' => 'merge' ],
+					],
+					'field_mapping'    => [
+						'field_rows'  => [ 'nested' => 'field_target' ],
+						'field_other' => 'field_target',
+					],
+				]
+			),
+			$this->author_id
+		);
+
+		$this->assertIsArray( $preset );
+		$this->assertSame(
+			[
+				'field_rows' => [
+					'rows'       => [ 2, 1, 0 ],
+					'sub_fields' => [ 'field_sub' ],
+				],
+			],
+			$preset['field_parts'],
+			'Only row indexes and sub-field keys of preset fields should be kept'
+		);
+		$this->assertSame(
+			[
+				'field_rows' => [
+					'strategy'  => 'append',
+					'merge_key' => '',
+				],
+			],
+			$preset['merge_strategies'],
+			'Nested merge keys and strategies of other fields should be dropped'
+		);
+		$this->assertSame( [], $preset['field_mapping'], 'Only string target keys of preset fields should be kept' );
+
+		$preset = $this->manager->save_preset(
+			$this->preset_data(
+				[
+					'id'               => $preset['id'],
+					'fields'           => [ [ 'key' => 'field_rows' ] ],
+					'merge_strategies' => [ 'field_rows' => [ 'strategy' => 'shuffle' ] ],
+					'field_mapping'    => [ 'field_rows' => '<i>field_target</i>' ],
+				]
+			),
+			$this->author_id
+		);
+
+		$this->assertSame( [], $preset['merge_strategies'], 'Unknown strategies should be dropped' );
+		$this->assertSame( [ 'field_rows' => 'field_target' ], $preset['field_mapping'] );
+	}
+
+	/**
+	 * Test shared presets need the shared presets capability
+	 *
+	 * @return void
+	 */
+	public function test_shared_preset_permissions(): void {
+		$this->assertNull(
+			$this->manager->save_preset( $this->preset_data( [ 'shared' => true ] ), $this->author_id ),
+			'Authors should not be able to create shared presets'
+		);
+
+		$preset = $this->manager->save_preset( $this->preset_data( [ 'shared' => true ] ), $this->editor_id );
+		$this->assertIsArray( $preset );
+
+		$author_presets = $this->manager->get_presets( 'post', $this->author_id );
+		$this->assertCount( 1, $author_presets, 'Shared presets should be visible to every user' );
+		$this->assertFalse( $author_presets[0]['editable'] );
+
+		$this->assertFalse( $this->manager->delete_preset( $preset['id'], 'post', $this->author_id ) );
+		$this->assertTrue( $this->manager->delete_preset( $preset['id'], 'post', $this->editor_id ) );
+	}
+
+	/**
+	 * Test updating a preset keeps its ID and creation data
+	 *
+	 * @return void
+	 */
+	public function test_update_preset_keeps_id(): void {
+		$preset  = $this->manager->save_preset( $this->preset_data(), $this->author_id );
+		$updated = $this->manager->save_preset(
+			$this->preset_data(
+				[
+					'id'   => $preset['id'],
+					'name' => 'Renamed',
+				]
+			),
+			$this->author_id
+		);
+
+		$this->assertSame( $preset['id'], $updated['id'] );
+		$this->assertSame( $preset['created_at'], $updated['created_at'] );
+		$this->assertSame( 'Renamed', $this->manager->get_preset( $preset['id'], 'post', $this->author_id )['name'] );
+		$this->assertCount( 1, $this->manager->get_presets( 'post', $this->author_id ) );
+	}
+
+	/**
+	 * Test deleting a personal preset
+	 *
+	 * @return void
+	 */
+	public function test_delete_preset(): void {
+		$preset = $this->manager->save_preset( $this->preset_data(), $this->author_id );
+
+		$this->assertTrue( $this->manager->delete_preset( $preset['id'], 'post', $this->author_id ) );
+		$this->assertSame( [], $this->manager->get_presets( 'post', $this->author_id ) );
+		$this->assertFalse( $this->manager->delete_preset( $preset['id'], 'post', $this->author_id ), 'Deleting twice should fail' );
+	}
+
+	/**
+	 * Test presets without a name or fields are rejected
+	 *
+	 * @return void
+	 */
+	public function test_invalid_preset_is_rejected(): void {
+		$this->assertNull( $this->manager->save_preset( $this->preset_data( [ 'name' => '' ] ), $this->author_id ) );
+		$this->assertNull( $this->manager->save_preset( $this->preset_data( [ 'fields' => [] ] ), $this->author_id ) );
+	}
+
+	/**
+	 * Test fields are stored by key, and older fields with only a name are kept
+	 *
+	 * @return void
+	 */
+	public function test_preset_fields_keep_key_and_name(): void {
+		$preset = $this->manager->save_preset(
+			$this->preset_data(
+				[
+					'fields' => [
+						[
+							'key'   => 'field_address',
+							'name'  => 'address',
+							'group' => 'group_location',
+						],
+						[
+							'name'  => 'city',
+							'group' => 'group_location',
+						],
+						[
+							'group' => 'group_location',
+						],
+					],
+				]
+			),
+			$this->author_id
+		);
+
+		$this->assertSame(
+			[
+				[
+					'key'   => 'field_address',
+					'name'  => 'address',
+					'group' => 'group_location',
+				],
+				[
+					'key'   => '',
+					'name'  => 'city',
+					'group' => 'group_location',
+				],
+			],
+			$preset['fields']
+		);
+	}
+}
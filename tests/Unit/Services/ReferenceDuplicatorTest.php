@@ -0,0 +1,158 @@
+<?php
+/**
+ * Tests for Services\ReferenceDuplicator class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Services
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Services;
+
+use SilverAssist\ACFCloneFields\Services\FieldCloner;
+use SilverAssist\ACFCloneFields\Services\ReferenceDuplicator;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class ReferenceDuplicatorTest
+ *
+ * Tests the ReferenceDuplicator service functionality including:
+ * - Post duplication with meta and terms
+ * - Capability checks, including edit rights on the original
+ * - Missing attachments
+ * - Reuse of copies within one clone
+ */
+class ReferenceDuplicatorTest extends TestCase {
+	/**
+	 * ReferenceDuplicator instance
+	 *
+	 * @var ReferenceDuplicator
+	 */
+	private ReferenceDuplicator $duplicator;
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'administrator' ] ) );
+
+		$this->duplicator = ReferenceDuplicator::instance();
+	}
+
+	/**
+	 * Test a duplicated post gets the original's content, meta and terms
+	 *
+	 * @return void
+	 */
+	public function test_duplicate_post_copies_meta_and_terms(): void {
+		$category_id = static::factory()->category->create();
+		$post_id     = static::factory()->post->create(
+			[
+				'post_title'    => 'Testimonial',
+				'post_status'   => 'publish',
+				'post_category' => [ $category_id ],
+			]
+		);
+		update_post_meta( $post_id, 'quote', 'Great service' );
+		update_post_meta( $post_id, '_edit_lock', '1700000000:1' );
+		update_post_meta( $post_id, '_acf_clone_activity', [ [ 'source_post_id' => 1 ] ] );
+
+		$copy_id = $this->duplicator->duplicate_post( $post_id );
+
+		$this->assertIsInt( $copy_id );
+		$this->assertNotSame( $post_id, $copy_id );
+		$this->assertSame( 'Testimonial', get_post_field( 'post_title', $copy_id ) );
+		$this->assertSame( 'publish', get_post_status( $copy_id ) );
+		$this->assertSame( 'Great service', get_post_meta( $copy_id, 'quote', true ) );
+		$this->assertSame( '', get_post_meta( $copy_id, '_edit_lock', true ), 'Edit locks should not be copied' );
+		$this->assertSame( '', get_post_meta( $copy_id, '_acf_clone_activity', true ), 'Clone activity should not be copied' );
+		$this->assertSame( [ $category_id ], wp_get_post_categories( $copy_id ) );
+	}
+
+	/**
+	 * Test users who cannot publish get draft copies, and others none
+	 *
+	 * @return void
+	 */
+	public function test_duplicate_post_respects_capabilities(): void {
+		$post_id = static::factory()->post->create( [ 'post_status' => 'publish' ] );
+
+		$contributor = new \WP_User( static::factory()->user->create( [ 'role' => 'contributor' ] ) );
+		$contributor->add_cap( 'edit_others_posts' );
+		$contributor->add_cap( 'edit_published_posts' );
+		wp_set_current_user( $contributor->ID );
+		$this->assertSame( 'draft', get_post_status( $this->duplicator->duplicate_post( $post_id ) ) );
+
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'subscriber' ] ) );
+		$this->assertWPError( $this->duplicator->duplicate_post( $post_id ) );
+	}
+
+	/**
+	 * Test posts the user cannot edit are not copied, even when they can
+	 * create posts of the type
+	 *
+	 * @return void
+	 */
+	public function test_duplicate_post_requires_edit_rights_on_the_original(): void {
+		$post_id = static::factory()->post->create(
+			[
+				'post_status'  => 'private',
+				'post_content' => 'Internal notes',
+			]
+		);
+		update_post_meta( $post_id, 'secret', 'value' );
+
+		wp_set_current_user( static::factory()->user->create( [ 'role' => 'author' ] ) );
+		$result = $this->duplicator->duplicate_post( $post_id );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'acf_clone_cannot_edit_post', $result->get_error_code() );
+	}
+
+	/**
+	 * Test missing attachments and posts are reported
+	 *
+	 * @return void
+	 */
+	public function test_duplicate_missing_references_fails(): void {
+		$this->assertWPError( $this->duplicator->duplicate_attachment( 999999 ) );
+		$this->assertWPError( $this->duplicator->duplicate_post( 999999 ) );
+	}
+
+	/**
+	 * Test a post referenced twice in one clone is copied once, and failed
+	 * copies keep the original
+	 *
+	 * @return void
+	 */
+	public function test_field_cloner_reuses_copies(): void {
+		$post_id = static::factory()->post->create();
+		$cloner  = FieldCloner::instance();
+
+		$duplicated_ids = new \ReflectionProperty( FieldCloner::class, 'duplicated_ids' );
+		$duplicated_ids->setValue(
+			$cloner,
+			[
+				'attachment' => [],
+				'post'       => [],
+			]
+		);
+
+		$method   = new \ReflectionMethod( FieldCloner::class, 'duplicate_references' );
+		$warnings = [];
+		$result   = $method->invokeArgs( $cloner, [ [ $post_id, (string) $post_id ], 'post', &$warnings ] );
+
+		$this->assertCount( 2, $result );
+		$this->assertSame( $result[0], $result[1], 'The same post should be copied once' );
+		$this->assertNotSame( $post_id, $result[0] );
+
+		$result = $method->invokeArgs( $cloner, [ 999999, 'attachment', &$warnings ] );
+
+		$this->assertSame( 999999, $result );
+		$this->assertCount( 1, $warnings );
+	}
+}
@@ -0,0 +1,229 @@
+<?php
+/**
+ * Tests for Services\SyncJobs class
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @subpackage Tests\Unit\Services
+ * @since 1.4.0
+ */
+
+namespace SilverAssist\ACFCloneFields\Tests\Unit\Services;
+
+use SilverAssist\ACFCloneFields\Services\SyncJobs;
+use SilverAssist\ACFCloneFields\Tests\Utils\TestCase;
+
+/**
+ * Class SyncJobsTest
+ *
+ * Tests the SyncJobs service functionality including:
+ * - Singleton pattern
+ * - Job validation
+ * - Scheduling, pausing and deleting jobs
+ * - Save-triggered runs
+ * - Recording the last run
+ */
+class SyncJobsTest extends TestCase {
+	/**
+	 * SyncJobs instance
+	 *
+	 * @var SyncJobs
+	 */
+	private SyncJobs $sync_jobs;
+
+	/**
+	 * Editor user ID
+	 *
+	 * @var int
+	 */
+	private int $editor_id;
+
+	/**
+	 * Source post ID
+	 *
+	 * @var int
+	 */
+	private int $source_post_id;
+
+	/**
+	 * Target post IDs
+	 *
+	 * @var array<int>
+	 */
+	private array $target_post_ids;
+
+	/**
+	 * Set up test environment
+	 *
+	 * @return void
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->editor_id       = static::factory()->user->create( [ 'role' => 'editor' ] );
+		$this->source_post_id  = static::factory()->post->create();
+		$this->target_post_ids = static::factory()->post->create_many( 2 );
+		$this->sync_jobs       = SyncJobs::instance();
+	}
+
+	/**
+	 * Clean up after tests
+	 *
+	 * @return void
+	 */
+	public function tearDown(): void {
+		wp_unschedule_hook( SyncJobs::CRON_HOOK );
+		delete_option( SyncJobs::OPTION );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Build job data for tests
+	 *
+	 * @param array<string, mixed> $overrides Values to override.
+	 * @return array<string, mixed> Job data
+	 */
+	private function job_data( array $overrides = [] ): array {
+		return array_merge(
+			[
+				'name'            => 'Promotions',
+				'source_post_id'  => $this->source_post_id,
+				'field_keys'      => [ 'promo_banner' ],
+				'target_post_ids' => $this->target_post_ids,
+				'schedule'        => 'daily',
+				'sync_on_save'    => 'true',
+				'options'         => [ 'create_backup' => 'false' ],
+			],
+			$overrides
+		);
+	}
+
+	/**
+	 * Test singleton pattern implementation
+	 *
+	 * @return void
+	 */
+	public function test_singleton_pattern(): void {
+		$this->assertSame( SyncJobs::instance(), SyncJobs::instance(), 'SyncJobs should return the same instance' );
+		$this->assertSame( 30, $this->sync_jobs->get_priority(), 'Services should have priority 30' );
+	}
+
+	/**
+	 * Test a job is saved and scheduled
+	 *
+	 * @return void
+	 */
+	public function test_save_job_schedules_it(): void {
+		$job = $this->sync_jobs->save_job( $this->job_data(), $this->editor_id );
+
+		$this->assertIsArray( $job );
+		$this->assertStringStartsWith( 'sync_', $job['id'] );
+		$this->assertTrue( $job['sync_on_save'] );
+		$this->assertFalse( $job['options']['create_backup'] );
+		$this->assertTrue( $job['options']['overwrite_existing'] );
+		$this->assertSame( $this->editor_id, $job['user_id'] );
+		$this->assertSame( $job, $this->sync_jobs->get_job( $job['id'] ) );
+		$this->assertGreaterThan( time(), $this->sync_jobs->get_next_run( $job['id'] ) );
+	}
+
+	/**
+	 * Test invalid jobs are rejected
+	 *
+	 * @return void
+	 */
+	public function test_save_job_rejects_invalid_jobs(): void {
+		$page_id = static::factory()->post->create( [ 'post_type' => 'page' ] );
+
+		$invalid = [
+			'missing name'     => $this->job_data( [ 'name' => '' ] ),
+			'missing fields'   => $this->job_data( [ 'field_keys' => [] ] ),
+			'unknown schedule' => $this->job_data( [ 'schedule' => 'every_second' ] ),
+			'missing source'   => $this->job_data( [ 'source_post_id' => 999999 ] ),
+			'source as target' => $this->job_data( [ 'target_post_ids' => [ $this->source_post_id ] ] ),
+			'other post type'  => $this->job_data( [ 'target_post_ids' => [ $page_id ] ] ),
+		];
+
+		foreach ( $invalid as $case => $data ) {
+			$this->assertWPError( $this->sync_jobs->save_job( $data, $this->editor_id ), $case );
+		}
+
+		$subscriber_id = static::factory()->user->create( [ 'role' => 'subscriber' ] );
+		$this->assertWPError( $this->sync_jobs->save_job( $this->job_data(), $subscriber_id ), 'user who cannot edit the posts' );
+
+		$this->assertSame( [], $this->sync_jobs->get_jobs() );
+	}
+
+	/**
+	 * Test pausing unschedules a job and resuming schedules it again
+	 *
+	 * @return void
+	 */
+	public function test_pause_and_resume(): void {
+		$job = $this->sync_jobs->save_job( $this->job_data(), $this->editor_id );
+
+		$this->assertTrue( $this->sync_jobs->set_paused( $job['id'], true ) );
+		$this->assertTrue( $this->sync_jobs->get_job( $job['id'] )['paused'] );
+		$this->assertNull( $this->sync_jobs->get_next_run( $job['id'] ) );
+
+		$this->assertTrue( $this->sync_jobs->set_paused( $job['id'], false ) );
+		$this->assertNotNull( $this->sync_jobs->get_next_run( $job['id'] ) );
+
+		$this->assertFalse( $this->sync_jobs->set_paused( 'sync_missing', true ) );
+	}
+
+	/**
+	 * Test deleting a job removes its scheduled runs
+	 *
+	 * @return void
+	 */
+	public function test_delete_job(): void {
+		$job = $this->sync_jobs->save_job( $this->job_data(), $this->editor_id );
+
+		$this->assertTrue( $this->sync_jobs->delete_job( $job['id'] ) );
+		$this->assertNull( $this->sync_jobs->get_job( $job['id'] ) );
+		$this->assertNull( $this->sync_jobs->get_next_run( $job['id'] ) );
+		$this->assertFalse( $this->sync_jobs->delete_job( $job['id'] ) );
+	}
+
+	/**
+	 * Test saving the source queues a run of its save-triggered jobs only
+	 *
+	 * @return void
+	 */
+	public function test_source_save_queues_run(): void {
+		$job    = $this->sync_jobs->save_job( $this->job_data(), $this->editor_id );
+		$manual = $this->sync_jobs->save_job( $this->job_data( [ 'sync_on_save' => false ] ), $this->editor_id );
+
+		$this->sync_jobs->on_source_save( $this->target_post_ids[0] );
+		$this->assertFalse( wp_next_scheduled( SyncJobs::CRON_HOOK, [ $job['id'], 'save' ] ), 'Saving a target should not queue a run' );
+
+		$this->sync_jobs->on_source_save( 'options' );
+		$this->sync_jobs->on_source_save( $this->source_post_id );
+
+		$this->assertNotFalse( wp_next_scheduled( SyncJobs::CRON_HOOK, [ $job['id'], 'save' ] ) );
+		$this->assertFalse( wp_next_scheduled( SyncJobs::CRON_HOOK, [ $manual['id'], 'save' ] ) );
+	}
+
+	/**
+	 * Test a run records its per-target results as the last run
+	 *
+	 * @return void
+	 */
+	public function test_run_job_records_last_run(): void {
+		$job = $this->sync_jobs->save_job( $this->job_data(), $this->editor_id );
+
+		wp_delete_post( $this->source_post_id, true );
+
+		$last_run = $this->sync_jobs->run_job( $job['id'] );
+
+		$this->assertIsArray( $last_run );
+		$this->assertSame( 'manual', $last_run['trigger'] );
+		$this->assertSame( 0, $last_run['success_count'] );
+		$this->assertSame( 2, $last_run['failure_count'] );
+		$this->assertSame( 'Source post not found', $last_run['results'][0]['message'] );
+		$this->assertSame( $last_run, $this->sync_jobs->get_job( $job['id'] )['last_run'] );
+		$this->assertSame( 0, get_current_user_id(), 'The previous user should be restored after the run' );
+
+		$this->assertNull( $this->sync_jobs->run_job( 'sync_missing' ) );
+	}
+}
@@ -0,0 +1,119 @@
+<?php
+/**
+ * WP-CLI Stubs for Silver Assist ACF Clone Fields
+ *
+ * Minimal stand-ins for the parts of WP-CLI the commands use, so tests can
+ * run a command outside a WP-CLI runner. Loaded only when WP-CLI itself is
+ * not. Errors throw instead of exiting, and output is recorded instead of
+ * printed.
+ *
+ * @package SilverAssist\ACFCloneFields
+ * @author SilverAssist Development Team
+ * @license PolyForm-Noncommercial-1.0.0
+ * @since 1.4.0
+ */
+
+namespace {
+	/**
+	 * WP-CLI stand-in
+	 */
+	class WP_CLI {
+		/**
+		 * Lines printed by line(), success() and warning()
+		 *
+		 * @var array<string>
+		 */
+		public static array $output = [];
+
+		/**
+		 * Items last passed to WP_CLI\Utils\format_items()
+		 *
+		 * @var array<array<string, mixed>>
+		 */
+		public static array $items = [];
+
+		/**
+		 * Clear recorded output
+		 *
+		 * @return void
+		 */
+		public static function reset(): void {
+			self::$output = [];
+			self::$items  = [];
+		}
+
+		/**
+		 * Stop the command
+		 *
+		 * @param string|\WP_Error $message Error message.
+		 * @return void
+		 * @throws \WP_CLI\ExitException Always.
+		 */
+		public static function error( $message ): void {
+			throw new \WP_CLI\ExitException( is_wp_error( $message ) ? $message->get_error_message() : (string) $message );
+		}
+
+		/**
+		 * Record a success message
+		 *
+		 * @param string $message Message.
+		 * @return void
+		 */
+		public static function success( string $message ): void {
+			self::$output[] = 'Success: ' . $message;
+		}
+
+		/**
+		 * Record a warning
+		 *
+		 * @param string $message Message.
+		 * @return void
+		 */
+		public static function warning( string $message ): void {
+			self::$output[] = 'Warning: ' . $message;
+		}
+
+		/**
+		 * Record a line
+		 *
+		 * @param string $message Message.
+		 * @return void
+		 */
+		public static function line( string $message = '' ): void {
+			self::$output[] = $message;
+		}
+	}
+}
+
+namespace WP_CLI {
+	/**
+	 * Thrown by the WP_CLI::error() stand-in
+	 */
+	class ExitException extends \Exception {}
+}
+
+namespace WP_CLI\Utils {
+	/**
+	 * Get a flag value, or the default when it was not given
+	 *
+	 * @param array<string, mixed> $assoc_args Associative arguments.
+	 * @param string               $flag Flag name.
+	 * @param mixed                $default_value Default value.
+	 * @return mixed
+	 */
+	function get_flag_value( array $assoc_args, string $flag, $default_value = null ) {
+		return $assoc_args[ $flag ] ?? $default_value;
+	}
+
+	/**
+	 * Record the items a command would print
+	 *
+	 * @param string                      $format Output format.
+	 * @param array<array<string, mixed>> $items Items.
+	 * @param array<string>|string        $fields Columns.
+	 * @return void
+	 */
+	function format_items( string $format, array $items, $fields ): void {
+		\WP_CLI::$items = $items;
+	}
+}
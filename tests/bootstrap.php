@@ -128,3 +128,6 @@ require_once __DIR__ . '/Utils/TestCase.php';
 if ( file_exists( __DIR__ . '/Utils/ACFTestHelpers.php' ) ) {
 	require_once __DIR__ . '/Utils/ACFTestHelpers.php';
 }
+if ( ! class_exists( 'WP_CLI' ) ) {
+	require_once __DIR__ . '/Utils/WpCliStubs.php';
+}